@@ -1,4 +1,5 @@
 import { UserDirectoryList, User } from "./src/users";
+import { ApiToken } from "./src/api-tokens";
 
 declare global {
     namespace Express {
@@ -7,6 +8,10 @@ declare global {
                 profile: User;
                 directories: UserDirectoryList;
             };
+            /**
+             * Personal API token the request was authenticated with, if any.
+             */
+            apiToken?: ApiToken;
         }
     }
 
@@ -20,6 +25,8 @@ declare module 'express-session' {
     export interface SessionData {
       handle: string;
       touch: number;
+      sessionId: string;
+      sso: boolean;
       // other properties...
     }
   }
@@ -0,0 +1,65 @@
+// Copies vector collections between storage drivers without embedding them again.
+// Usage: node migrate-vectors.js <from> <to> [user]
+// Example: node migrate-vectors.js vectra sqlite
+import fs from 'node:fs';
+import process from 'node:process';
+import yaml from 'yaml';
+
+import {
+    initUserStorage,
+    getAllUserHandles,
+    getUserDirectories,
+} from './src/users.js';
+import { VECTOR_STORE_DRIVERS, migrateVectorCollections } from './src/vectors/vector-store.js';
+import { color } from './src/util.js';
+
+const from = process.argv[2];
+const to = process.argv[3];
+const userAccount = process.argv[4];
+
+if (!from || !to) {
+    console.error('A tool for copying SillyTavern vector collections between storage drivers. Uses a "dataRoot" setting from config.yaml file.');
+    console.error('Usage: node migrate-vectors.js [from] [to] (account)');
+    console.error('Example: node migrate-vectors.js vectra sqlite');
+    console.error(`Available drivers: ${Object.keys(VECTOR_STORE_DRIVERS).join(', ')}`);
+    process.exit(1);
+}
+
+async function initStorage() {
+    const config = yaml.parse(fs.readFileSync('config.yaml', 'utf8'));
+    const dataRoot = config.dataRoot;
+
+    if (!dataRoot) {
+        console.error('No "dataRoot" setting found in config.yaml file.');
+        process.exit(1);
+    }
+
+    await initUserStorage(dataRoot);
+}
+
+async function main() {
+    await initStorage();
+
+    const handles = userAccount ? [userAccount] : await getAllUserHandles();
+
+    for (const handle of handles) {
+        const directories = getUserDirectories(handle);
+
+        if (!fs.existsSync(directories.vectors)) {
+            console.log(`User ${color.blue(handle)} has no vectors, skipping.`);
+            continue;
+        }
+
+        try {
+            const result = await migrateVectorCollections(directories, from, to);
+            console.log(`User ${color.blue(handle)}: copied ${color.green(result.items)} vectors in ${color.green(result.collections)} collections from ${from} to ${to}.`);
+        } catch (error) {
+            console.error(color.red(`Failed to copy vectors of user ${handle}:`), error.message);
+            process.exit(1);
+        }
+    }
+
+    console.log(`Done. Set ${color.yellow('vectors.driver')} to ${color.yellow(to)} in config.yaml and restart the server to use the copied collections.`);
+}
+
+main();
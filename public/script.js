@@ -241,6 +241,9 @@ import { evaluateMacros, getLastMessageId, initMacros } from './scripts/macros.j
 import { currentUser, setUserControls } from './scripts/user.js';
 import { POPUP_RESULT, POPUP_TYPE, Popup, callGenericPopup, fixToastrForDialogs } from './scripts/popup.js';
 import { renderTemplate, renderTemplateAsync } from './scripts/templates.js';
+import { showChatHistory } from './scripts/chat-history.js';
+import { showCharacterHistory } from './scripts/character-history.js';
+import { lintImportedCharacter, showCardLint } from './scripts/card-linter.js';
 import { initScrapers } from './scripts/scrapers.js';
 import { SlashCommandParser } from './scripts/slash-commands/SlashCommandParser.js';
 import { SlashCommand } from './scripts/slash-commands/SlashCommand.js';
@@ -260,9 +263,11 @@ import { ToolManager } from './scripts/tool-calling.js';
 import { addShowdownPatch } from './scripts/util/showdown-patch.js';
 import { applyBrowserFixes } from './scripts/browser-fixes.js';
 import { initServerHistory } from './scripts/server-history.js';
+import { initChatRooms, isChatRoomHost, saveChatRoom } from './scripts/chat-rooms.js';
+import { formatMessageCost, initCosts } from './scripts/costs.js';
 import { initSettingsSearch } from './scripts/setting-search.js';
 import { initBulkEdit } from './scripts/bulk-edit.js';
-import { deriveTemplatesFromChatTemplate } from './scripts/chat-templates.js';
+import { deriveTemplatesFromChatTemplate, initChatTemplates, isChatTemplateActive, renderChatTemplatePrompt, setBackendChatTemplate } from './scripts/chat-templates.js';
 import { getContext } from './scripts/st-context.js';
 
 // API OBJECT FOR EXTERNAL WIRING
@@ -477,6 +482,7 @@ export const event_types = {
     GENERATE_AFTER_COMBINE_PROMPTS: 'generate_after_combine_prompts',
     GENERATE_AFTER_DATA: 'generate_after_data',
     GROUP_MEMBER_DRAFTED: 'group_member_drafted',
+    GROUP_WRAPPER_FINISHED: 'group_wrapper_finished',
     WORLD_INFO_ACTIVATED: 'world_info_activated',
     TEXT_COMPLETION_SETTINGS_READY: 'text_completion_settings_ready',
     CHAT_COMPLETION_SETTINGS_READY: 'chat_completion_settings_ready',
@@ -730,6 +736,11 @@ async function getSystemMessages() {
 registerPromptManagerMigration();
 
 $(document).ajaxError(function myErrorHandler(_, xhr) {
+    // Quota errors of uploads are not handled by the individual requests
+    if (xhr.status === 429 && xhr.responseJSON?.error?.type === 'quota_exceeded') {
+        toastr.error(xhr.responseJSON.error.message, t`Quota exceeded`, { preventDuplicates: true });
+    }
+
     // Cohee: CSRF doesn't error out in multiple tabs anymore, so this is unnecessary
     /*
     if (xhr.status == 403) {
@@ -943,6 +954,7 @@ async function firstLoadInit() {
     initTextGenModels();
     initOpenAI();
     initSystemPrompts();
+    initChatTemplates();
     initExtensions();
     initExtensionSlashCommands();
     ToolManager.initToolSlashCommands();
@@ -969,6 +981,8 @@ async function firstLoadInit() {
     initLogprobs();
     initInputMarkdown();
     initServerHistory();
+    initChatRooms();
+    initCosts();
     initSettingsSearch();
     initBulkEdit();
     await initScrapers();
@@ -1238,8 +1252,12 @@ async function getStatusTextgen() {
         const wantsInstructDerivation = (power_user.instruct.enabled && power_user.instruct.derived);
         const wantsContextDerivation = power_user.context_derived;
         const wantsContextSize = power_user.context_size_derived;
+        const wantsChatTemplate = power_user.chat_template.enabled;
         const supportsChatTemplate = [textgen_types.KOBOLDCPP, textgen_types.LLAMACPP].includes(textgen_settings.type);
-        if (supportsChatTemplate && (wantsInstructDerivation || wantsContextDerivation || wantsContextSize)) {
+        if (!supportsChatTemplate) {
+            setBackendChatTemplate(null);
+        }
+        if (supportsChatTemplate && (wantsInstructDerivation || wantsContextDerivation || wantsContextSize || wantsChatTemplate)) {
             const response = await fetch('/api/backends/text-completions/props', {
                 method: 'POST',
                 headers: getRequestHeaders(),
@@ -1253,6 +1271,7 @@ async function getStatusTextgen() {
                 const data = await response.json();
                 if (data) {
                     const { chat_template, chat_template_hash } = data;
+                    setBackendChatTemplate(data);
                     if (wantsContextSize && 'default_generation_settings' in data) {
                         const backend_max_context = data['default_generation_settings']['n_ctx'];
                         const old_value = max_context;
@@ -2189,6 +2208,8 @@ function getMessageFromTemplate({
     forceAvatar,
     timestamp,
     tokenCount,
+    costValue,
+    costTitle,
     extra,
 }) {
     const mes = messageTemplate.clone();
@@ -2208,6 +2229,7 @@ function getMessageFromTemplate({
     mes.find('.timestamp').text(timestamp).attr('title', `${extra?.api ? extra.api + ' - ' : ''}${extra?.model ?? ''}`);
     mes.find('.mesIDDisplay').text(`#${mesId}`);
     tokenCount && mes.find('.tokenCounterDisplay').text(`${tokenCount}t`);
+    costValue && mes.find('.mesCostDisplay').attr('title', costTitle).text(costValue);
     title && mes.attr('title', title);
     timerValue && mes.find('.mes_timer').attr('title', timerTitle).text(timerValue);
     bookmarkLink && updateBookmarkDisplay(mes);
@@ -2399,6 +2421,7 @@ export function addOneMessage(mes, { type = 'normal', insertAfter = null, scroll
         extra: mes.extra,
         tokenCount: mes.extra?.token_count ?? 0,
         ...formatGenerationTimer(mes.gen_started, mes.gen_finished, mes.extra?.token_count),
+        ...formatMessageCost(mes.extra),
     };
 
     const renderedMessage = getMessageFromTemplate(params);
@@ -2463,6 +2486,8 @@ export function addOneMessage(mes, { type = 'normal', insertAfter = null, scroll
             swipeMessage.find('.mes_timer').empty();
             swipeMessage.find('.tokenCounterDisplay').empty();
         }
+
+        swipeMessage.find('.mesCostDisplay').attr('title', params.costTitle).text(params.costValue);
     } else {
         const messageId = forceId ?? chat.length - 1;
         chatElement.find(`[mesid="${messageId}"] .mes_text`).append(messageText);
@@ -3489,7 +3514,8 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
     }
 
     // OpenAI doesn't need instruct mode. Use OAI main prompt instead.
-    const isInstruct = power_user.instruct.enabled && main_api !== 'openai';
+    // The chat template replaces the instruct formatting of the chat history
+    const isInstruct = power_user.instruct.enabled && main_api !== 'openai' && !isChatTemplateActive();
     const isImpersonate = type == 'impersonate';
 
     if (!(dryRun || type == 'regenerate' || type == 'swipe' || type == 'quiet')) {
@@ -3852,6 +3878,8 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
     }
 
     let chat2 = [];
+    // Unformatted messages of chat2, rendered by the chat template
+    let chat2Messages = [];
     let continue_mag = '';
     const userMessageIndices = [];
     const lastUserMessageIndex = coreChat.findLastIndex(x => x.is_user);
@@ -3867,6 +3895,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         }
 
         chat2[i] = formatMessageHistoryItem(coreChat[j], isInstruct, false);
+        chat2Messages[i] = coreChat[j];
 
         if (j === 0 && isInstruct) {
             // Reformat with the first output sequence (if any)
@@ -3949,6 +3978,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
     let examplesString = '';
     let chatString = addChatsPreamble(addChatsSeparator(''));
     let cyclePrompt = '';
+    let cycleMessage = null;
 
     async function getMessagesTokenCount() {
         const encodeString = [
@@ -3973,10 +4003,12 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
     // Only add the chat in context if past the greeting message
     if (isContinue && (chat2.length > 1 || main_api === 'openai')) {
         cyclePrompt = chat2.shift();
+        cycleMessage = chat2Messages.shift();
     }
 
     // Collect enough messages to fill the context
     let arrMes = new Array(chat2.length);
+    let arrMesMessages = new Array(chat2.length);
     let tokenCount = await getMessagesTokenCount();
     let lastAddedIndex = -1;
 
@@ -3993,6 +4025,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         if (tokenCount < this_max_context) {
             chatString = chatString + item;
             arrMes[index] = item;
+            arrMesMessages[index] = chat2Messages[index];
             lastAddedIndex = Math.max(lastAddedIndex, index);
         } else {
             break;
@@ -4020,6 +4053,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         if (tokenCount < this_max_context) {
             chatString = chatString + item;
             arrMes[i] = item;
+            arrMesMessages[i] = chat2Messages[i];
             lastAddedIndex = Math.max(lastAddedIndex, i);
         } else {
             break;
@@ -4032,15 +4066,18 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         tokenCount += await getTokenCountAsync(userAlignmentMessage.replace(/\r/gm, ''));
         chatString = userAlignmentMessage + chatString;
         arrMes.push(userAlignmentMessage);
+        arrMesMessages.push(null);
         injectedIndices.push(arrMes.length - 1);
     }
 
     // Unsparse the array. Adjust injected indices
     const newArrMes = [];
+    const newArrMesMessages = [];
     const newInjectedIndices = [];
     for (let i = 0; i < arrMes.length; i++) {
         if (arrMes[i] !== undefined) {
             newArrMes.push(arrMes[i]);
+            newArrMesMessages.push(arrMesMessages[i]);
             if (injectedIndices.includes(i)) {
                 newInjectedIndices.push(newArrMes.length - 1);
             }
@@ -4048,6 +4085,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
     }
 
     arrMes = newArrMes;
+    arrMesMessages = newArrMesMessages;
     injectedIndices = newInjectedIndices;
 
     if (main_api !== 'openai') {
@@ -4091,6 +4129,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         console.debug('generating prompt');
         chatString = '';
         arrMes = arrMes.reverse();
+        arrMesMessages = arrMesMessages.reverse();
         arrMes.forEach(function (item, i, arr) {
             // OAI doesn't need all of this
             if (main_api === 'openai') {
@@ -4106,7 +4145,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
                 }
             }
 
-            mesSend[mesSend.length] = { message: item, extensionPrompts: [] };
+            mesSend[mesSend.length] = { message: item, extensionPrompts: [], raw: arrMesMessages[i] ?? null };
         });
     }
 
@@ -4356,13 +4395,29 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
             main: system,
             jailbreak,
             naiPreamble: nai_settings.preamble,
+            type,
+            quietPrompt: quiet_prompt,
+            quietToLoud,
+            promptBias,
+            continueMessage: cycleMessage,
         };
 
         // Before returning the combined prompt, give available context related information to all subscribers.
         eventSource.emitAndWait(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, data);
 
         // If one or multiple subscribers return a value, forfeit the responsibillity of flattening the context.
-        return !data.combinedPrompt ? combine() : data.combinedPrompt;
+        if (data.combinedPrompt) {
+            return data.combinedPrompt;
+        }
+
+        const combinedPrompt = combine();
+
+        // The chat template renders the unformatted messages, the flattened prompt is still used for the itemization
+        if (!isNegative && isChatTemplateActive()) {
+            return renderChatTemplatePrompt(data) ?? combinedPrompt;
+        }
+
+        return combinedPrompt;
     }
 
     let finalPrompt = getCombinedPrompt(false);
@@ -6195,6 +6250,12 @@ export async function saveChat(chatName, withMetadata, mesId) {
         },
         ...trimmed_chat,
     ];
+
+    // Shared chats are saved through the room, which merges the changes of the other members
+    if (isChatRoomHost()) {
+        return saveChatRoom(save_chat);
+    }
+
     return jQuery.ajax({
         type: 'POST',
         url: '/api/chats/save',
@@ -7098,9 +7159,63 @@ function getCurrentChatDetails() {
  * the HTML. It also has a built-in search functionality that allows filtering the
  * displayed chats based on a search query.
  */
+/**
+ * Exports a chat file from the chat manager and downloads it.
+ * @param {string} filenamefull Chat file name, with or without the extension
+ * @param {string} format Export format: jsonl, txt, md, html or epub
+ * @param {object} [options] Additional export options
+ * @param {boolean} [options.include_hidden] Include messages hidden from the prompt
+ * @param {boolean} [options.include_swipes] Include alternative swipes
+ * @param {boolean} [options.include_system] Include system messages
+ */
+async function exportChatFile(filenamefull, format, options = {}) {
+    await saveChatConditional();
+    console.log(`exporting ${filenamefull} in ${format} format`);
+
+    const filename = filenamefull.replace('.jsonl', '');
+    const body = {
+        is_group: !!selected_group,
+        avatar_url: characters[this_chid]?.avatar,
+        file: `${filename}.jsonl`,
+        exportfilename: `${filename}.${format}`,
+        format: format,
+        ...options,
+    };
+    console.log(body);
+    try {
+        const response = await fetch('/api/chats/export', {
+            method: 'POST',
+            body: JSON.stringify(body),
+            headers: getRequestHeaders(),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            // display error message
+            console.log(data.message);
+            await delay(250);
+            toastr.error(`Error: ${data.message}`);
+            return;
+        } else {
+            const mimeType = data.mimeType || (format == 'txt' ? 'text/plain' : 'application/octet-stream');
+            // Binary formats are sent as base64
+            const content = data.encoding === 'base64' ? Uint8Array.from(atob(data.result), c => c.charCodeAt(0)) : data.result;
+            await delay(250);
+            toastr.success(data.message);
+            download(content, body.exportfilename, mimeType);
+        }
+    } catch (error) {
+        // display error message
+        console.log(`An error has occurred: ${error.message}`);
+        await delay(250);
+        toastr.error(`Error: ${error.message}`);
+    }
+}
+
 export async function displayPastChats() {
     $('#select_chat_div').empty();
     $('#select_chat_search').val('').off('input');
+    $('#select_chat_scope, #select_chat_swipes').val('current');
+    $('#select_chat_speaker, #select_chat_date_from, #select_chat_date_to').val('');
 
     const chatDetails = getCurrentChatDetails();
     const currentChat = chatDetails.sessionName;
@@ -7119,6 +7234,10 @@ export async function displayPastChats() {
         debouncedDisplay(searchQuery);
     });
 
+    $('#select_chat_filters').find('select, input').off('input change').on('input change', function () {
+        debouncedDisplay($('#select_chat_search').val());
+    });
+
     // UX convenience: Focus the search field when the Manage Chat Files view opens.
     setTimeout(function () {
         const textSearchElement = $('#select_chat_search');
@@ -7131,6 +7250,10 @@ export async function displayPastChats() {
 async function displayChats(searchQuery, currentChat, displayName, avatarImg, selected_group) {
     try {
         const trimExtension = (fileName) => String(fileName).replace('.jsonl', '');
+        const scope = String($('#select_chat_scope').val());
+        const speaker = String($('#select_chat_speaker').val()).split(',').map(x => x.trim()).filter(x => x);
+        const dateFrom = String($('#select_chat_date_from').val());
+        const dateTo = String($('#select_chat_date_to').val());
 
         const response = await fetch('/api/chats/search', {
             method: 'POST',
@@ -7139,6 +7262,12 @@ async function displayChats(searchQuery, currentChat, displayName, avatarImg, se
                 query: searchQuery,
                 avatar_url: selected_group ? null : characters[this_chid].avatar,
                 group_id: selected_group || null,
+                scope: scope,
+                speaker: speaker,
+                // Dates are picked in local time, the end date includes the whole day
+                date_from: dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : undefined,
+                date_to: dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : undefined,
+                swipes: String($('#select_chat_swipes').val()),
             }),
         });
 
@@ -7149,10 +7278,15 @@ async function displayChats(searchQuery, currentChat, displayName, avatarImg, se
         const filteredData = await response.json();
         $('#select_chat_div').empty();
 
-        filteredData.sort((a, b) => sortMoments(timestampToMoment(a.last_mes), timestampToMoment(b.last_mes)));
+        // Search results come ranked by relevance
+        if (!searchQuery) {
+            filteredData.sort((a, b) => sortMoments(timestampToMoment(a.last_mes), timestampToMoment(b.last_mes)));
+        }
 
         for (const chat of filteredData) {
-            const isSelected = trimExtension(currentChat) === trimExtension(chat.file_name);
+            // Chats of other characters and groups are found when searching everywhere
+            const isOtherOwner = selected_group ? chat.group_id !== selected_group : chat.avatar_url !== characters[this_chid].avatar;
+            const isSelected = !isOtherOwner && trimExtension(currentChat) === trimExtension(chat.file_name);
             const template = $('#past_chat_template .select_chat_block_wrapper').clone();
             template.find('.select_chat_block').attr('file_name', chat.file_name);
             template.find('.avatar img').attr('src', avatarImg);
@@ -7163,6 +7297,19 @@ async function displayChats(searchQuery, currentChat, displayName, avatarImg, se
             template.find('.PastChat_cross').attr('file_name', chat.file_name);
             template.find('.chat_messages_date').text(timestampToMoment(chat.last_mes).format('lll'));
 
+            if (isOtherOwner) {
+                const owner = chat.group_id ? chat.group_name : characters.find(x => x.avatar === chat.avatar_url)?.name;
+                template.find('.select_chat_block').attr({ avatar_url: chat.avatar_url ?? null, group_id: chat.group_id ?? null });
+                template.find('.select_chat_block_owner').text(owner ?? chat.avatar_url ?? '');
+                // Chat file actions only work on chats of the current character or group
+                template.find('.renameChatButton, .chatHistoryButton, .exportRawChatButton, .exportChatButton, .exportChatAsButton, .PastChat_cross').remove();
+            }
+
+            if (Array.isArray(chat.matches) && chat.matches.length) {
+                template.find('.select_chat_block_mes').hide();
+                template.find('.select_chat_block_matches').append(chat.matches.map(renderChatSearchMatch));
+            }
+
             if (isSelected) {
                 template.find('.select_chat_block').attr('highlight', String(true));
             }
@@ -7175,6 +7322,51 @@ async function displayChats(searchQuery, currentChat, displayName, avatarImg, se
     }
 }
 
+/**
+ * Renders a matched message of the chat search with the hits highlighted.
+ * @param {object} match Matched message
+ * @returns {JQuery<HTMLElement>} Rendered match
+ */
+function renderChatSearchMatch(match) {
+    const element = $('<div class="select_chat_match"></div>').attr('mesid', match.message_id);
+    element.append($('<b></b>').text(`${match.name}: `));
+
+    let offset = 0;
+    for (const [start, end] of match.highlights) {
+        element.append(document.createTextNode(match.snippet.slice(offset, start)));
+        element.append($('<mark></mark>').text(match.snippet.slice(start, end)));
+        offset = end;
+    }
+    element.append(document.createTextNode(match.snippet.slice(offset)));
+
+    if (match.alternate) {
+        element.attr('title', t`Found in swipe #${match.swipe_id + 1}`);
+        element.prepend('<i class="fa-solid fa-fw fa-shuffle"></i>');
+    }
+
+    return element;
+}
+
+/**
+ * Scrolls the chat to a message, loading the older messages if needed.
+ * @param {number} messageId Message ID
+ */
+export function scrollChatToMessage(messageId) {
+    const selector = `#chat .mes[mesid="${messageId}"]`;
+
+    while ($(selector).length === 0 && $('#show_more_messages').length > 0) {
+        showMoreMessages();
+    }
+
+    const element = $(selector);
+    if (element.length === 0) {
+        return;
+    }
+
+    element[0].scrollIntoView({ block: 'center' });
+    flashHighlight(element, 2000);
+}
+
 export function selectRightMenuWithAnimation(selectedMenuId) {
     const displayModes = {
         'rm_group_chats_block': 'flex',
@@ -7759,7 +7951,12 @@ export async function saveChatConditional() {
  * @param {FormData} formData Form data to send to the server.
  * @param {EventTarget} eventTarget Event target to trigger the event on.
  */
-async function importCharacterChat(formData, eventTarget) {
+/**
+ * Sends a chat file to the import endpoint.
+ * @param {FormData} formData Form data with the chat file
+ * @returns {Promise<any>} Response data, or null if the request failed
+ */
+async function sendChatImport(formData) {
     const headers = getRequestHeaders();
     delete headers['Content-Type'];
     const fetchResult = await fetch('/api/chats/import', {
@@ -7769,13 +7966,53 @@ async function importCharacterChat(formData, eventTarget) {
         cache: 'no-cache',
     });
 
-    if (fetchResult.ok) {
-        const data = await fetchResult.json();
-        if (data.res) {
-            await displayPastChats();
+    if (!fetchResult.ok) {
+        return null;
+    }
+
+    const data = await fetchResult.json();
+    return data.error ? null : data;
+}
+
+/**
+ * Shows what the chat import will create and asks the user to confirm it.
+ * @param {{ chats: { title: string, messages: number, swipes: number, images: number, attachments: number }[] }} preview Dry run result
+ * @returns {Promise<boolean>} Whether the import was confirmed
+ */
+async function confirmChatImport(preview) {
+    const template = $(await renderTemplateAsync('chatImportPreview'));
+    const list = template.find('.chatImportPreviewList');
+
+    for (const chat of preview.chats) {
+        const row = $('<tr></tr>');
+        row.append($('<td></td>').text(chat.title || t`Untitled`));
+        row.append([chat.messages, chat.swipes, chat.images, chat.attachments].map(value => $('<td></td>').text(value)));
+        list.append(row);
+    }
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: t`Import`, wide: true, allowVerticalScrolling: true });
+    return result === POPUP_RESULT.AFFIRMATIVE;
+}
+
+async function importCharacterChat(formData, eventTarget) {
+    formData.set('dry_run', 'true');
+    const preview = await sendChatImport(formData);
+
+    if (!preview) {
+        toastr.error(t`The file is not a supported chat format.`, t`Chat import failed`);
+    } else if (await confirmChatImport(preview)) {
+        formData.set('dry_run', 'false');
+        const data = await sendChatImport(formData);
+
+        if (data?.res) {
+            toastr.success(t`${data.created.length} chat(s) imported.`);
+        } else {
+            toastr.error(t`Could not save the imported chats.`, t`Chat import failed`);
         }
     }
 
+    await displayPastChats();
+
     if (eventTarget instanceof HTMLInputElement) {
         eventTarget.value = '';
     }
@@ -8846,6 +9083,7 @@ async function importCharacter(file, preserveFileName = '') {
             let importedCharacter = currentContext.characters.find(character => character.avatar === avatarFileName);
             await importTags(importedCharacter);
         }
+        await lintImportedCharacter(`${data.file_name}.png`);
     }
 }
 
@@ -9919,49 +10157,40 @@ jQuery(async function () {
         $('#options').hide();
     });
 
+    $(document).on('click', '.chatHistoryButton', async function (e) {
+        e.stopPropagation();
+        const fileName = $(this).closest('.select_chat_block_wrapper').find('.select_chat_block_filename').text();
+        await showChatHistory({
+            file_name: fileName,
+            is_group: !!selected_group,
+            avatar_url: characters[this_chid]?.avatar,
+        });
+    });
+
     $(document).on('click', '.exportChatButton, .exportRawChatButton', async function (e) {
         e.stopPropagation();
         const format = $(this).data('format') || 'txt';
-        await saveChatConditional();
         const filenamefull = $(this).closest('.select_chat_block_wrapper').find('.select_chat_block_filename').text();
-        console.log(`exporting ${filenamefull} in ${format} format`);
+        await exportChatFile(filenamefull, format);
+    });
 
-        const filename = filenamefull.replace('.jsonl', '');
-        const body = {
-            is_group: !!selected_group,
-            avatar_url: characters[this_chid]?.avatar,
-            file: `${filename}.jsonl`,
-            exportfilename: `${filename}.${format}`,
-            format: format,
-        };
-        console.log(body);
-        try {
-            const response = await fetch('/api/chats/export', {
-                method: 'POST',
-                body: JSON.stringify(body),
-                headers: getRequestHeaders(),
-            });
-            const data = await response.json();
-            if (!response.ok) {
-                // display error message
-                console.log(data.message);
-                await delay(250);
-                toastr.error(`Error: ${data.message}`);
-                return;
-            } else {
-                const mimeType = format == 'txt' ? 'text/plain' : 'application/octet-stream';
-                // success, handle response data
-                console.log(data);
-                await delay(250);
-                toastr.success(data.message);
-                download(data.result, body.exportfilename, mimeType);
-            }
-        } catch (error) {
-            // display error message
-            console.log(`An error has occurred: ${error.message}`);
-            await delay(250);
-            toastr.error(`Error: ${error.message}`);
+    $(document).on('click', '.exportChatAsButton', async function (e) {
+        e.stopPropagation();
+        const filenamefull = $(this).closest('.select_chat_block_wrapper').find('.select_chat_block_filename').text();
+        const template = $(await renderTemplateAsync('chatExport'));
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Export', cancelButton: 'Cancel' });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
         }
+
+        const format = String(template.find('input[name="chat_export_format"]:checked').val());
+        const options = {
+            include_hidden: template.find('input[name="include_hidden"]').prop('checked'),
+            include_swipes: template.find('input[name="include_swipes"]').prop('checked'),
+            include_system: template.find('input[name="include_system"]').prop('checked'),
+        };
+        await exportChatFile(filenamefull, format, options);
     });
 
     ///////////////////////////////////////////////////////////////////////////////////
@@ -10719,7 +10948,8 @@ jQuery(async function () {
         });
 
         if (response.ok) {
-            const filename = characters[this_chid].avatar.replace('.png', `.${format}`);
+            const extension = format === 'json_v3' ? 'json' : format;
+            const filename = characters[this_chid].avatar.replace('.png', `.${extension}`);
             const blob = await response.blob();
             const a = document.createElement('a');
             a.href = URL.createObjectURL(blob);
@@ -10748,12 +10978,12 @@ jQuery(async function () {
         const ext = file.name.match(/\.(\w+)$/);
         if (
             !ext ||
-            (ext[1].toLowerCase() != 'json' && ext[1].toLowerCase() != 'jsonl')
+            !['json', 'jsonl', 'zip'].includes(ext[1].toLowerCase())
         ) {
             return;
         }
 
-        if (selected_group && file.name.endsWith('.json')) {
+        if (selected_group && !file.name.endsWith('.jsonl')) {
             toastr.warning('Only SillyTavern\'s own format is supported for group chat imports. Sorry!');
             return;
         }
@@ -11058,6 +11288,14 @@ jQuery(async function () {
             case 'import_tags': {
                 await importTags(characters[this_chid], { importSetting: tag_import_setting.ASK });
             } break;
+            case 'character_history': {
+                await createOrEditCharacter();
+                await showCharacterHistory(characters[this_chid].avatar);
+            } break;
+            case 'character_lint': {
+                await createOrEditCharacter();
+                await showCardLint(characters[this_chid].avatar);
+            } break;
             /*case 'delete_button':
                 popup_type = "del_ch";
                 callPopup(`
@@ -12,6 +12,8 @@ import {
     chat,
     saveChatConditional,
     saveItemizedPrompts,
+    scrollChatToMessage,
+    selectCharacterById,
 } from '../script.js';
 import { humanizedDateTime, getMessageTimeStamp } from './RossAscends-mods.js';
 import {
@@ -620,14 +622,37 @@ export function initBookmarks() {
         const fileName = $(this).hasClass('mes_bookmark')
             ? $(this).closest('.mes').attr('bookmark_link')
             : $(this).attr('file_name').replace('.jsonl', '');
+        // Clicked on a search result inside the chat block
+        const matchedMessageId = $(e.target).closest('.select_chat_match').attr('mesid');
 
         if (!fileName) {
             return;
         }
 
+        // Search results from other characters and groups
+        const otherAvatar = $(this).attr('avatar_url');
+        const otherGroupId = $(this).attr('group_id');
+
         try {
             showLoader();
-            if (selected_group) {
+            if (otherGroupId) {
+                await openGroupById(otherGroupId);
+                if (selected_group !== otherGroupId) {
+                    return;
+                }
+                await openGroupChat(otherGroupId, fileName);
+            } else if (otherAvatar) {
+                const characterId = characters.findIndex(x => x.avatar === otherAvatar);
+                if (characterId === -1) {
+                    toastr.warning(t`Character not found.`);
+                    return;
+                }
+                await selectCharacterById(String(characterId));
+                if (characters[this_chid]?.avatar !== otherAvatar) {
+                    return;
+                }
+                await openCharacterChat(fileName);
+            } else if (selected_group) {
                 await openGroupChat(selected_group, fileName);
             } else {
                 await openCharacterChat(fileName);
@@ -637,6 +662,10 @@ export function initBookmarks() {
         }
 
         $('#shadow_select_chat_popup').css('display', 'none');
+
+        if (matchedMessageId !== undefined) {
+            scrollChatToMessage(Number(matchedMessageId));
+        }
     });
 
     $(document).on('click', '.mes_create_bookmark', async function () {
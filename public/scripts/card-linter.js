@@ -0,0 +1,604 @@
+import { lodash } from '../lib.js';
+import {
+    characters,
+    formatCharacterAvatar,
+    getMaxContextSize,
+    getOneCharacter,
+    getRequestHeaders,
+    getThumbnailUrl,
+    name1,
+    select_selected_character,
+    this_chid,
+} from '../script.js';
+import { CHARACTER_FIELD_NAMES } from './character-history.js';
+import { getInstructMacros } from './instruct-mode.js';
+import { MacrosParser } from './macros.js';
+import { POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { getTokenCountAsync } from './tokenizers.js';
+import { escapeRegex } from './utils.js';
+import { loadWorldInfo, parseRegexFromString, saveWorldInfo } from './world-info.js';
+
+/**
+ * Card fields that are sent in the prompt, by path in the card data.
+ */
+const PROMPT_FIELDS = [
+    'description',
+    'personality',
+    'scenario',
+    'first_mes',
+    'mes_example',
+    'system_prompt',
+    'post_history_instructions',
+    'extensions.depth_prompt.prompt',
+];
+
+/**
+ * Prompt fields that are sent with every generation. Their total is checked against the context size.
+ */
+const PERMANENT_FIELDS = ['description', 'personality', 'scenario', 'system_prompt', 'post_history_instructions', 'extensions.depth_prompt.prompt'];
+
+/**
+ * Fields with a list of greetings.
+ */
+const GREETING_FIELDS = ['alternate_greetings', 'group_only_greetings'];
+
+/**
+ * Built-in macros that don't come from the macro registry or the instruct template, lowercase.
+ * Macros with arguments are matched by the name before the first separator.
+ */
+const BUILTIN_MACROS = [
+    'user', 'char', 'group', 'charifnotgroup', 'groupnotmuted', 'model', 'original',
+    'charprompt', 'charinstruction', 'charjailbreak', 'description', 'personality', 'scenario', 'persona', 'mesexamples', 'charversion', 'char_version',
+    'newline', 'trim', 'noop', 'input', 'maxprompt', 'lastmessage', 'lastmessageid', 'lastusermessage', 'lastcharmessage',
+    'firstincludedmessageid', 'lastswipeid', 'currentswipeid', 'reverse', 'time', 'date', 'weekday', 'isotime', 'isodate',
+    'datetimeformat', 'idle_duration', 'timediff', 'banned', 'random', 'pick', 'roll',
+    'setvar', 'addvar', 'incvar', 'decvar', 'getvar', 'setglobalvar', 'addglobalvar', 'incglobalvar', 'decglobalvar', 'getglobalvar',
+];
+
+/**
+ * Avatars larger than twice the standard avatar size are reported.
+ */
+const MAX_AVATAR_WIDTH = 1024;
+const MAX_AVATAR_HEIGHT = 1536;
+
+/**
+ * Avatar files larger than this are reported, in bytes. Includes the card data.
+ */
+const MAX_AVATAR_SIZE = 5 * 1024 * 1024;
+
+/**
+ * @typedef {Object} LintFix
+ * @property {string} label Button label
+ * @property {() => Promise<void>} apply Applies the fix to the saved card
+ */
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {'error'|'warning'} severity Errors break the card, warnings are likely mistakes
+ * @property {string} field Card field the issue is found in
+ * @property {string} message Description of the issue
+ * @property {LintFix} [fix] Fix that is safe to apply without review
+ */
+
+/**
+ * @typedef {Object} LorebookEntry
+ * @property {string|number} id Entry ID in the lorebook
+ * @property {string} name Entry title
+ * @property {string[]} keys Primary keys
+ * @property {string[]} secondary Secondary keys
+ * @property {boolean} constant Whether the entry is always active
+ * @property {boolean} enabled Whether the entry is enabled
+ */
+
+/**
+ * Gets the value of a card field, preferring the V2 data.
+ * @param {any} character Character
+ * @param {string} field Path of the field in the card data
+ * @returns {any} Field value
+ */
+function getCardField(character, field) {
+    return lodash.get(character.data, field) ?? lodash.get(character, field);
+}
+
+/**
+ * Gets the user-facing name of a card field.
+ * @param {string} field Path of the field in the card data
+ * @returns {string} Field name
+ */
+function getFieldName(field) {
+    const [path, index] = field.split('#');
+    const name = CHARACTER_FIELD_NAMES[path] ?? (path === 'extensions.depth_prompt.prompt' ? CHARACTER_FIELD_NAMES['extensions.depth_prompt'] : path);
+    return index !== undefined ? `${name} #${Number(index) + 1}` : name;
+}
+
+/**
+ * Lists the texts of a card that end up in the prompt, one per greeting.
+ * @param {any} character Character
+ * @returns {{ field: string, text: string }[]} Texts with the field they are from
+ */
+function getPromptTexts(character) {
+    const texts = PROMPT_FIELDS.map(field => ({ field, text: String(getCardField(character, field) ?? '') }));
+
+    for (const field of GREETING_FIELDS) {
+        const greetings = getCardField(character, field);
+
+        if (Array.isArray(greetings)) {
+            texts.push(...greetings.map((text, index) => ({ field: `${field}#${index}`, text: String(text ?? '') })));
+        }
+    }
+
+    return texts.filter(x => x.text);
+}
+
+/**
+ * Saves card fields and reloads the character. The field values replace the old ones.
+ * @param {any} character Character
+ * @param {Record<string, any>} fields Values by path in the card data
+ */
+async function saveCardFields(character, fields) {
+    const update = { avatar: character.avatar, data: {} };
+
+    for (const [field, value] of Object.entries(fields)) {
+        lodash.set(update.data, field, value);
+
+        // V1 fields are duplicated at the top level
+        if (!field.includes('.') && Object.hasOwn(character, field)) {
+            update[field] = value;
+        }
+    }
+
+    const response = await fetch('/api/characters/merge-attributes', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(update),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || response.statusText);
+    }
+
+    await reloadCharacter(character.avatar);
+}
+
+/**
+ * Reloads a character after its card was changed on the server. Refreshes the editor if the character is selected.
+ * @param {string} avatar Avatar file name of the character
+ */
+async function reloadCharacter(avatar) {
+    await getOneCharacter(avatar);
+
+    if (characters[this_chid]?.avatar === avatar) {
+        select_selected_character(this_chid);
+    }
+}
+
+/**
+ * Checks the token counts of the prompt fields with the active tokenizer.
+ * A single field over a quarter of the context, or permanent fields over half of it, are reported.
+ * @param {any} character Character
+ * @returns {Promise<LintIssue[]>} Issues
+ */
+async function lintTokenBudget(character) {
+    /** @type {LintIssue[]} */
+    const issues = [];
+    const contextSize = getMaxContextSize();
+    const permanentLimit = Math.max(contextSize / 2, 1024);
+    const fieldLimit = Math.max(contextSize / 4, 512);
+    let permanentTokens = 0;
+
+    for (const { field, text } of getPromptTexts(character)) {
+        const tokens = await getTokenCountAsync(text);
+
+        if (PERMANENT_FIELDS.includes(field)) {
+            permanentTokens += tokens;
+        }
+
+        if (tokens > fieldLimit) {
+            issues.push({ severity: 'warning', field, message: `Uses ${tokens} tokens, more than a quarter of the ${contextSize} token context.` });
+        }
+    }
+
+    if (permanentTokens > permanentLimit) {
+        issues.push({ severity: 'warning', field: 'description', message: `The permanent fields use ${permanentTokens} tokens, more than half of the ${contextSize} token context. Little room is left for the chat history.` });
+    }
+
+    return issues;
+}
+
+/**
+ * Checks the macros of the prompt fields: unbalanced braces and names that no macro is registered for.
+ * @param {any} character Character
+ * @returns {LintIssue[]} Issues
+ */
+function lintMacros(character) {
+    /** @type {LintIssue[]} */
+    const issues = [];
+    const env = {};
+    MacrosParser.populateEnv(env);
+    // Instruct macros are matched by alternations of their names
+    const instructMacros = getInstructMacros(env).flatMap(x => x.regex.source.replace(/^{{\(|\)}}$/g, '').split('|'));
+    const knownMacros = new Set([...BUILTIN_MACROS, ...instructMacros, ...Object.keys(env)].map(x => x.toLowerCase()));
+
+    for (const { field, text } of getPromptTexts(character)) {
+        const opening = text.split('{{').length - 1;
+        const closing = text.split('}}').length - 1;
+
+        if (opening !== closing) {
+            issues.push({ severity: 'error', field, message: `Unbalanced macro braces: ${opening} opening "{{" and ${closing} closing "}}". The macro will be sent as is.` });
+        }
+
+        const unknown = new Set();
+
+        for (const [, content] of text.matchAll(/{{([^{}]*)}}/g)) {
+            // Comments are removed from the prompt
+            if (content.startsWith('//')) {
+                continue;
+            }
+
+            const name = content.trim().split(/::|[:\s]/)[0].toLowerCase();
+
+            if (!knownMacros.has(name) && !name.startsWith('time_utc')) {
+                unknown.add(`{{${content}}}`);
+            }
+        }
+
+        if (unknown.size) {
+            issues.push({ severity: 'warning', field, message: `Unknown macros, sent as is: ${[...unknown].join(', ')}` });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Checks the prompt fields for the names of the character and the user written out instead of the macros.
+ * @param {any} character Character
+ * @returns {LintIssue[]} Issues
+ */
+function lintHardcodedNames(character) {
+    /** @type {LintIssue[]} */
+    const issues = [];
+    const names = [{ name: String(character.name ?? '').trim(), macro: '{{char}}' }, { name: String(name1 ?? '').trim(), macro: '{{user}}' }]
+        .filter(x => x.name.length > 1);
+
+    for (const { name, macro } of names) {
+        const regex = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(name)}(?![\\p{L}\\p{N}_])`, 'gu');
+        const fields = getPromptTexts(character).filter(x => x.text.match(regex));
+
+        if (!fields.length) {
+            continue;
+        }
+
+        for (const { field } of fields) {
+            issues.push({
+                severity: 'warning',
+                field,
+                message: `The name "${name}" is written out. Use ${macro} so the card works with other names.`,
+                fix: {
+                    label: `Replace with ${macro}`,
+                    apply: async () => {
+                        const [path, index] = field.split('#');
+                        const value = getCardField(character, path);
+                        const replace = (/** @type {string} */ text) => String(text ?? '').replace(regex, macro);
+                        await saveCardFields(character, {
+                            [path]: index !== undefined ? value.map((x, i) => i === Number(index) ? replace(x) : x) : replace(value),
+                        });
+                    },
+                },
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Checks the greetings for duplicates of each other or of the first message.
+ * @param {any} character Character
+ * @returns {LintIssue[]} Issues
+ */
+function lintDuplicateGreetings(character) {
+    /** @type {LintIssue[]} */
+    const issues = [];
+    const firstMessage = String(getCardField(character, 'first_mes') ?? '').trim();
+
+    for (const field of GREETING_FIELDS) {
+        const greetings = getCardField(character, field);
+
+        if (!Array.isArray(greetings)) {
+            continue;
+        }
+
+        const seen = new Set(field === 'alternate_greetings' && firstMessage ? [firstMessage] : []);
+        const duplicates = greetings.filter(x => {
+            const text = String(x ?? '').trim();
+            const isDuplicate = !text || seen.has(text);
+            seen.add(text);
+            return isDuplicate;
+        });
+
+        if (!duplicates.length) {
+            continue;
+        }
+
+        issues.push({
+            severity: 'warning',
+            field,
+            message: `${duplicates.length} greetings are empty or repeat the first message or another greeting.`,
+            fix: {
+                label: 'Remove duplicates',
+                apply: async () => {
+                    const unique = new Set(field === 'alternate_greetings' && firstMessage ? [firstMessage] : []);
+                    const value = greetings.filter(x => {
+                        const text = String(x ?? '').trim();
+                        const keep = !!text && !unique.has(text);
+                        unique.add(text);
+                        return keep;
+                    });
+                    await saveCardFields(character, { [field]: value });
+                },
+            },
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Gets the lorebook of a character: the linked World Info if set, otherwise the embedded one.
+ * @param {any} character Character
+ * @returns {Promise<{ name: string|null, entries: LorebookEntry[], save: (update: (entry: any) => void) => Promise<void> }|null>} Lorebook
+ */
+async function getCharacterLorebook(character) {
+    const worldName = getCardField(character, 'extensions.world');
+
+    if (worldName) {
+        const data = await loadWorldInfo(worldName);
+
+        if (!data?.entries) {
+            return null;
+        }
+
+        return {
+            name: worldName,
+            entries: Object.values(data.entries).map(x => ({
+                id: x.uid,
+                name: x.comment,
+                keys: x.key ?? [],
+                secondary: x.keysecondary ?? [],
+                constant: !!x.constant,
+                enabled: !x.disable,
+            })),
+            save: async (update) => {
+                Object.values(data.entries).forEach(update);
+                await saveWorldInfo(worldName, data, true);
+            },
+        };
+    }
+
+    const book = getCardField(character, 'character_book');
+
+    if (!Array.isArray(book?.entries)) {
+        return null;
+    }
+
+    return {
+        name: null,
+        entries: book.entries.map((x, index) => ({
+            id: x.id ?? index,
+            name: x.comment || x.name,
+            keys: x.keys ?? [],
+            secondary: x.secondary_keys ?? [],
+            constant: !!x.constant,
+            enabled: x.enabled !== false,
+        })),
+        save: async (update) => {
+            const entries = structuredClone(book.entries);
+            entries.forEach(update);
+            await saveCardFields(character, { 'character_book': { ...book, entries } });
+        },
+    };
+}
+
+/**
+ * Checks the lorebook entries for empty keys and keys with invalid regex syntax.
+ * @param {any} character Character
+ * @returns {Promise<LintIssue[]>} Issues
+ */
+async function lintLorebook(character) {
+    /** @type {LintIssue[]} */
+    const issues = [];
+    const lorebook = await getCharacterLorebook(character);
+
+    if (!lorebook) {
+        return issues;
+    }
+
+    const field = lorebook.name ? 'extensions.world' : 'character_book';
+    const source = lorebook.name ? `World Info "${lorebook.name}"` : 'Embedded lorebook';
+    const isBlank = (/** @type {any} */ key) => !String(key ?? '').trim();
+    const entriesWithBlankKeys = lorebook.entries.filter(x => [...x.keys, ...x.secondary].some(isBlank));
+
+    if (entriesWithBlankKeys.length) {
+        issues.push({
+            severity: 'warning',
+            field,
+            message: `${source}: ${entriesWithBlankKeys.length} entries have blank keys.`,
+            fix: {
+                label: 'Remove blank keys',
+                apply: async () => {
+                    await lorebook.save(entry => {
+                        for (const key of lorebook.name ? ['key', 'keysecondary'] : ['keys', 'secondary_keys']) {
+                            if (Array.isArray(entry[key])) {
+                                entry[key] = entry[key].filter(x => !isBlank(x));
+                            }
+                        }
+                    });
+                    await reloadCharacter(character.avatar);
+                },
+            },
+        });
+    }
+
+    for (const entry of lorebook.entries) {
+        const title = entry.name ? `"${entry.name}"` : `#${entry.id}`;
+
+        if (entry.enabled && !entry.constant && !entry.keys.some(x => !isBlank(x))) {
+            issues.push({ severity: 'error', field, message: `${source}: entry ${title} has no keys and is not constant, it will never be activated.` });
+        }
+
+        const invalidKeys = [...entry.keys, ...entry.secondary].filter(x => /^\/.+\/[a-z]*$/s.test(String(x).trim()) && !parseRegexFromString(String(x).trim()));
+
+        if (invalidKeys.length) {
+            issues.push({ severity: 'error', field, message: `${source}: entry ${title} has keys with invalid regex syntax: ${invalidKeys.join(', ')}` });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Checks the dimensions and the file size of the avatar.
+ * @param {any} character Character
+ * @returns {Promise<LintIssue[]>} Issues
+ */
+async function lintAvatar(character) {
+    if (!character.avatar || character.avatar === 'none') {
+        return [];
+    }
+
+    const response = await fetch(formatCharacterAvatar(character.avatar), { cache: 'no-cache' });
+
+    if (!response.ok) {
+        return [];
+    }
+
+    const blob = await response.blob();
+    const bitmap = await createImageBitmap(blob).catch(() => null);
+    const width = bitmap?.width ?? 0;
+    const height = bitmap?.height ?? 0;
+    bitmap?.close();
+
+    if (width <= MAX_AVATAR_WIDTH && height <= MAX_AVATAR_HEIGHT && blob.size <= MAX_AVATAR_SIZE) {
+        return [];
+    }
+
+    return [{
+        severity: 'warning',
+        field: 'avatar',
+        message: `The avatar is ${width}x${height} pixels and ${(blob.size / 1024 / 1024).toFixed(1)} MB. Large avatars slow down loading the character list.`,
+        fix: width > MAX_AVATAR_WIDTH || height > MAX_AVATAR_HEIGHT ? {
+            label: 'Resize to the standard size',
+            apply: async () => {
+                const response = await fetch('/api/characters/resize-avatar', {
+                    method: 'POST',
+                    headers: getRequestHeaders(),
+                    body: JSON.stringify({ avatar_url: character.avatar }),
+                });
+
+                if (!response.ok) {
+                    throw new Error(response.statusText);
+                }
+
+                await fetch(getThumbnailUrl('avatar', character.avatar), { cache: 'no-cache' });
+                await reloadCharacter(character.avatar);
+            },
+        } : undefined,
+    }];
+}
+
+/**
+ * Checks a character card for authoring problems.
+ * @param {string} avatar Avatar file name of the character
+ * @returns {Promise<LintIssue[]>} Issues, errors first
+ */
+export async function lintCharacter(avatar) {
+    const character = characters.find(x => x.avatar === avatar);
+
+    if (!character) {
+        return [];
+    }
+
+    const issues = [
+        ...await lintTokenBudget(character),
+        ...lintMacros(character),
+        ...lintHardcodedNames(character),
+        ...lintDuplicateGreetings(character),
+        ...await lintLorebook(character),
+        ...await lintAvatar(character),
+    ];
+
+    return issues.sort((a, b) => Number(b.severity === 'error') - Number(a.severity === 'error'));
+}
+
+/**
+ * Opens the lint report of a character card.
+ * @param {string} avatar Avatar file name of the character
+ */
+export async function showCardLint(avatar) {
+    const character = characters.find(x => x.avatar === avatar);
+    const template = $(await renderTemplateAsync('cardLintView'));
+    template.find('.cardLintName').text(character?.name ?? avatar);
+
+    async function renderIssues() {
+        const list = template.find('.cardLintList').empty().append($('<small></small>').text('Checking...'));
+        const issues = await lintCharacter(avatar);
+        list.empty();
+
+        if (!issues.length) {
+            list.append($('<small></small>').text('No problems found.'));
+        }
+
+        for (const issue of issues) {
+            const issueBlock = template.find('.cardLintTemplate .cardLintIssue').clone();
+            issueBlock.find('.cardLintSeverity').addClass(issue.severity === 'error' ? 'fa-circle-exclamation warning' : 'fa-triangle-exclamation').attr('title', issue.severity);
+            issueBlock.find('.cardLintField').text(issue.field === 'avatar' ? 'Avatar' : getFieldName(issue.field));
+            issueBlock.find('.cardLintMessage').text(issue.message);
+
+            const fixButton = issueBlock.find('.cardLintFixButton');
+            fixButton.toggle(!!issue.fix).find('span').text(issue.fix?.label ?? '');
+            fixButton.on('click', async () => {
+                try {
+                    await issue.fix.apply();
+                    toastr.success(issue.fix.label, 'Card fixed');
+                } catch (error) {
+                    console.error('Card fix failed', error);
+                    toastr.error(error.message, 'Could not fix the card');
+                }
+
+                await renderIssues();
+            });
+
+            list.append(issueBlock);
+        }
+    }
+
+    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+    await renderIssues();
+}
+
+/**
+ * Checks an imported character and offers to open the report if problems are found.
+ * @param {string} avatar Avatar file name of the character
+ */
+export async function lintImportedCharacter(avatar) {
+    try {
+        const issues = await lintCharacter(avatar);
+
+        if (!issues.length) {
+            return;
+        }
+
+        const errors = issues.filter(x => x.severity === 'error').length;
+        const name = characters.find(x => x.avatar === avatar)?.name ?? avatar;
+        toastr.warning(
+            `${errors} errors and ${issues.length - errors} warnings. Click to review.`,
+            `Problems found in ${name}`,
+            { onclick: () => showCardLint(avatar) },
+        );
+    } catch (error) {
+        console.error('Card lint failed', error);
+    }
+}
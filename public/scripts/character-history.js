@@ -0,0 +1,206 @@
+import { DiffMatchPatch } from '../lib.js';
+import { characters, getOneCharacter, getRequestHeaders, getThumbnailUrl, select_selected_character, this_chid } from '../script.js';
+import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+
+/**
+ * User-facing descriptions of the reasons a character version was saved.
+ */
+const VERSION_REASONS = {
+    edit: 'Saved before an edit',
+    attribute: 'Saved before a field update',
+    merge: 'Saved before an update by an extension',
+    restore: 'Saved before a restore',
+};
+
+/**
+ * User-facing names of the compared card fields.
+ */
+export const CHARACTER_FIELD_NAMES = {
+    'name': 'Name',
+    'description': 'Description',
+    'personality': 'Personality',
+    'scenario': 'Scenario',
+    'first_mes': 'First message',
+    'mes_example': 'Examples of dialogue',
+    'alternate_greetings': 'Alternate greetings',
+    'group_only_greetings': 'Group-only greetings',
+    'system_prompt': 'Main prompt',
+    'post_history_instructions': 'Post-history instructions',
+    'creator_notes': 'Creator\'s notes',
+    'creator': 'Created by',
+    'character_version': 'Character version',
+    'tags': 'Tags',
+    'character_book': 'Embedded lorebook',
+    'extensions.depth_prompt': 'Character\'s note',
+    'extensions.talkativeness': 'Talkativeness',
+    'extensions.world': 'Linked World Info',
+};
+
+/**
+ * Sends a request to the character history API.
+ * @param {string} endpoint API endpoint
+ * @param {object} body Request body
+ * @returns {Promise<any>} Response data, or null if the request failed
+ */
+async function fetchCharacterHistory(endpoint, body) {
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            toastr.error(data.error || response.statusText, 'Character history request failed');
+            return null;
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Character history request failed', error);
+        return null;
+    }
+}
+
+/**
+ * Gets the displayed text of a card field.
+ * @param {any} value Field value
+ * @returns {string} Text
+ */
+function getFieldText(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (Array.isArray(value) && value.every(x => typeof x === 'string')) {
+        return value.join('\n\n');
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+/**
+ * Renders a changed field side by side, highlighting the removed text in the version and the added text in the current card.
+ * @param {{ field: string, before: any, after: any }} change Changed field
+ * @returns {JQuery<HTMLElement>} Rendered change
+ */
+function renderCharacterChange(change) {
+    const dmp = new DiffMatchPatch();
+    const diffs = dmp.diff_main(getFieldText(change.before), getFieldText(change.after));
+    dmp.diff_cleanupSemantic(diffs);
+
+    const before = $('<div class="characterVersionSide flex1"></div>');
+    const after = $('<div class="characterVersionSide flex1"></div>');
+
+    for (const [operation, text] of diffs) {
+        if (operation === DiffMatchPatch.DIFF_DELETE) {
+            before.append($('<del></del>').text(text));
+        } else if (operation === DiffMatchPatch.DIFF_INSERT) {
+            after.append($('<ins></ins>').text(text));
+        } else {
+            before.append(document.createTextNode(text));
+            after.append(document.createTextNode(text));
+        }
+    }
+
+    const element = $('<div class="flex-container flexFlowColumn flexNoGap"></div>');
+    element.append($('<b></b>').text(CHARACTER_FIELD_NAMES[change.field] ?? change.field));
+    element.append($('<div class="flex-container"></div>').append(before, after));
+    return element;
+}
+
+/**
+ * Opens the list of saved versions of a character card.
+ * @param {string} avatar Avatar file name of the character
+ */
+export async function showCharacterHistory(avatar) {
+    const character = characters.find(x => x.avatar === avatar);
+    const template = $(await renderTemplateAsync('characterHistoryView'));
+    template.find('.characterHistoryName').text(character?.name ?? avatar);
+
+    async function renderVersions() {
+        const versions = await fetchCharacterHistory('/api/characters/history', { avatar_url: avatar });
+        const list = template.find('.characterHistoryList').empty();
+
+        if (!Array.isArray(versions)) {
+            return;
+        }
+
+        if (!versions.length) {
+            list.append($('<small></small>').text('No saved versions yet.'));
+        }
+
+        for (const version of versions) {
+            const versionBlock = template.find('.characterHistoryTemplate .characterVersion').clone();
+            versionBlock.find('.characterVersionDate').text(new Date(version.timestamp).toLocaleString());
+            versionBlock.find('.characterVersionReason').text(VERSION_REASONS[version.reason] ?? version.reason);
+            versionBlock.find('.characterVersionName').text(version.name);
+            versionBlock.find('.characterVersionImage').toggle(!!version.image);
+            versionBlock.find('.characterVersionRestoreButton').on('click', async (e) => {
+                e.stopPropagation();
+                await restoreCharacterVersion(avatar, version);
+                await renderVersions();
+            });
+            versionBlock.find('.inline-drawer-toggle').on('click', async () => {
+                const changesBlock = versionBlock.find('.characterVersionChanges');
+
+                if (changesBlock.data('loaded')) {
+                    return;
+                }
+
+                const diff = await fetchCharacterHistory('/api/characters/history/diff', { avatar_url: avatar, from: version.id, to: 'current' });
+                changesBlock.data('loaded', true).empty();
+
+                if (!diff) {
+                    return;
+                }
+
+                if (!diff.changes.length) {
+                    changesBlock.append($('<small></small>').text(version.image ? 'Same as the current card, except the avatar.' : 'Same as the current card.'));
+                }
+
+                changesBlock.append(diff.changes.map(renderCharacterChange));
+            });
+            list.append(versionBlock);
+        }
+    }
+
+    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: true, allowVerticalScrolling: true });
+    await renderVersions();
+}
+
+/**
+ * Replaces a character card with one of its saved versions. Reloads the character editor if the character is selected.
+ * @param {string} avatar Avatar file name of the character
+ * @param {{ id: string, timestamp: number, image: boolean }} version Version to restore
+ */
+async function restoreCharacterVersion(avatar, version) {
+    const confirm = await callGenericPopup(
+        `Restore the character card to the version from ${new Date(version.timestamp).toLocaleString()}? The current card will be saved as a new version.`,
+        POPUP_TYPE.CONFIRM,
+    );
+
+    if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const result = await fetchCharacterHistory('/api/characters/history/restore', { avatar_url: avatar, version: version.id });
+
+    if (!result) {
+        return;
+    }
+
+    if (version.image) {
+        await fetch(getThumbnailUrl('avatar', avatar), { cache: 'no-cache' });
+    }
+
+    await getOneCharacter(avatar);
+
+    if (characters[this_chid]?.avatar === avatar) {
+        select_selected_character(this_chid);
+    }
+
+    toastr.success('Character version restored');
+}
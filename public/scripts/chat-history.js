@@ -0,0 +1,177 @@
+import { getCurrentChatId, getRequestHeaders, reloadCurrentChat, saveChatConditional } from '../script.js';
+import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { humanFileSize } from './utils.js';
+
+/**
+ * User-facing descriptions of the reasons a chat version was saved.
+ */
+const VERSION_REASONS = {
+    save: 'Saved automatically',
+    restore: 'Saved before a restore',
+    repair: 'Saved before a repair',
+};
+
+/**
+ * @typedef {Object} ChatHistoryTarget
+ * @property {string} file_name Chat file name, with or without the extension
+ * @property {boolean} is_group Whether the chat is a group chat
+ * @property {string} [avatar_url] Avatar of the character, for character chats
+ */
+
+/**
+ * Sends a request to the chat history API.
+ * @param {string} endpoint API endpoint
+ * @param {object} body Request body
+ * @returns {Promise<any>} Response data, or null if the request failed
+ */
+async function fetchChatHistory(endpoint, body) {
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            toastr.error(data.error || response.statusText, 'Chat history request failed');
+            return null;
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Chat history request failed', error);
+        return null;
+    }
+}
+
+/**
+ * Gets the displayed text of a chat line.
+ * @param {any} line Chat line
+ * @returns {string} Text
+ */
+function getLineText(line) {
+    if (line === undefined || line === null) {
+        return '';
+    }
+
+    if (typeof line !== 'object') {
+        return String(line);
+    }
+
+    return typeof line.mes === 'string' ? line.mes : JSON.stringify(line.chat_metadata ?? line);
+}
+
+/**
+ * Renders a change between two chat versions.
+ * @param {{ type: string, message_id: number|null, before?: any, after?: any }} change Change
+ * @returns {JQuery<HTMLElement>} Rendered change
+ */
+function renderChatChange(change) {
+    const types = { added: 'Added', removed: 'Removed', modified: 'Changed' };
+    const name = change.after?.name ?? change.before?.name ?? '';
+    const title = change.message_id === null ? 'Chat metadata' : `#${change.message_id} ${name}`;
+    const element = $('<div class="flex-container flexFlowColumn flexNoGap"></div>');
+    element.append($('<b></b>').text(`${types[change.type] ?? change.type}: ${title}`));
+
+    if (change.before !== undefined) {
+        element.append($('<del></del>').text(getLineText(change.before)));
+    }
+
+    if (change.after !== undefined) {
+        element.append($('<ins></ins>').text(getLineText(change.after)));
+    }
+
+    return element;
+}
+
+/**
+ * Opens the list of saved versions of a chat.
+ * @param {ChatHistoryTarget} target Chat to show the history of
+ */
+export async function showChatHistory(target) {
+    await saveChatConditional();
+
+    const chatName = String(target.file_name).replace('.jsonl', '');
+    const template = $(await renderTemplateAsync('chatHistoryView'));
+    template.find('.chatHistoryFileName').text(chatName);
+
+    async function renderVersions() {
+        const versions = await fetchChatHistory('/api/chats/history', target);
+        const list = template.find('.chatHistoryList').empty();
+
+        if (!Array.isArray(versions)) {
+            return;
+        }
+
+        if (!versions.length) {
+            list.append($('<small></small>').text('No saved versions yet.'));
+        }
+
+        for (const version of versions) {
+            const versionBlock = template.find('.chatHistoryTemplate .chatVersion').clone();
+            versionBlock.find('.chatVersionDate').text(new Date(version.timestamp).toLocaleString());
+            versionBlock.find('.chatVersionReason').text(VERSION_REASONS[version.reason] ?? version.reason);
+            versionBlock.find('.chatVersionMessages').text(version.messages);
+            versionBlock.find('.chatVersionSize').text(humanFileSize(version.size));
+            versionBlock.find('.chatVersionRestoreButton').on('click', async (e) => {
+                e.stopPropagation();
+                await restoreChatVersion(target, version);
+                await renderVersions();
+            });
+            versionBlock.find('.inline-drawer-toggle').on('click', async () => {
+                const changesBlock = versionBlock.find('.chatVersionChanges');
+
+                if (changesBlock.data('loaded')) {
+                    return;
+                }
+
+                const diff = await fetchChatHistory('/api/chats/history/diff', { ...target, from: version.id, to: 'current' });
+                changesBlock.data('loaded', true).empty();
+
+                if (!diff) {
+                    return;
+                }
+
+                if (!diff.changes.length) {
+                    changesBlock.append($('<small></small>').text('Same as the current chat.'));
+                }
+
+                changesBlock.append(diff.changes.map(renderChatChange));
+            });
+            list.append(versionBlock);
+        }
+    }
+
+    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+    await renderVersions();
+}
+
+/**
+ * Replaces a chat with one of its saved versions. Reloads the chat if it's currently open.
+ * @param {ChatHistoryTarget} target Chat to restore
+ * @param {{ id: string, timestamp: number }} version Version to restore
+ */
+async function restoreChatVersion(target, version) {
+    const confirm = await callGenericPopup(
+        `Restore the chat to the version from ${new Date(version.timestamp).toLocaleString()}? The current chat will be saved as a new version.`,
+        POPUP_TYPE.CONFIRM,
+    );
+
+    if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const result = await fetchChatHistory('/api/chats/history/restore', { ...target, version: version.id });
+
+    if (!result) {
+        return;
+    }
+
+    if (String(getCurrentChatId()) === String(target.file_name).replace('.jsonl', '')) {
+        await reloadCurrentChat();
+    }
+
+    toastr.success('Chat version restored');
+}
@@ -0,0 +1,548 @@
+import {
+    Generate,
+    characters,
+    chat,
+    event_types,
+    eventSource,
+    getCurrentChatId,
+    getRequestHeaders,
+    is_send_press,
+    messageFormatting,
+    name1,
+    name2,
+    printMessages,
+    saveChatConditional,
+    this_chid,
+} from '../script.js';
+import { generateGroupWrapper, groups, is_group_generating, selected_group } from './group-chats.js';
+import { POPUP_RESULT, POPUP_TYPE, Popup, callGenericPopup } from './popup.js';
+import { getMessageTimeStamp } from './RossAscends-mods.js';
+import { renderTemplateAsync } from './templates.js';
+import { currentUser } from './user.js';
+import { throttle } from './utils.js';
+
+/**
+ * @typedef {Object} HostedChatRoom
+ * @property {string} id - Room ID
+ * @property {string} chatId - ID of the shared chat
+ * @property {number} revision - Revision of the chat that is loaded
+ * @property {object} info - Room information from the server
+ * @property {EventSource} events - Room event stream
+ */
+
+/**
+ * Room of the current chat hosted by the user.
+ * @type {HostedChatRoom|null}
+ */
+let hostedRoom = null;
+
+/**
+ * Chat state received while the host was busy, applied when the generation ends.
+ * @type {{ revision: number, messages: object[] }|null}
+ */
+let pendingRoomState = null;
+
+/**
+ * Whether a message of another member arrived while the host was busy.
+ */
+let pendingRoomReply = false;
+
+/**
+ * Checks if the current chat is shared in a room hosted by the user.
+ * @returns {boolean} Whether the chat is saved through the room
+ */
+export function isChatRoomHost() {
+    return !!hostedRoom && hostedRoom.chatId === getCurrentChatId();
+}
+
+/**
+ * Checks if the host can't replace the chat right now.
+ * @returns {boolean} Whether the host is generating or editing a message
+ */
+function isHostBusy() {
+    return is_send_press || is_group_generating || $('#curEditTextarea').length > 0;
+}
+
+/**
+ * Sends a request to the chat rooms API.
+ * @param {string} endpoint Endpoint name
+ * @param {object} body Request body
+ * @returns {Promise<Response>} Response
+ */
+function postRoomRequest(endpoint, body) {
+    return fetch(`/api/rooms/${endpoint}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+}
+
+/**
+ * Shows the error returned by the chat rooms API.
+ * @param {Response} response Response
+ * @param {string} title Error title
+ */
+async function showRoomError(response, title) {
+    const data = await response.json().catch(() => ({}));
+    toastr.error(data.error || 'Unknown error', title);
+}
+
+/**
+ * Replaces the loaded chat with the state of the room.
+ * @param {number} revision Revision of the state
+ * @param {object[]} messages Lines of the chat file
+ */
+async function applyRoomState(revision, messages) {
+    if (!hostedRoom) {
+        return;
+    }
+
+    // Character chat files start with the metadata header
+    const lines = selected_group ? messages : messages.slice(1);
+    hostedRoom.revision = revision;
+    pendingRoomState = null;
+    chat.splice(0, chat.length, ...lines);
+    $('#chat').children().remove();
+    await printMessages();
+
+    if (needsRoomReply()) {
+        generateRoomReply();
+    }
+}
+
+/**
+ * Checks if the last message of the chat was posted by another member and waits for a reply.
+ * @returns {boolean} Whether the characters should reply
+ */
+function needsRoomReply() {
+    const lastMessage = chat[chat.length - 1];
+    const member = lastMessage?.extra?.room_member;
+    return !!hostedRoom?.info.autoReply && !!lastMessage?.is_user && !lastMessage.is_system && !!member && member !== currentUser?.handle;
+}
+
+/**
+ * Lets the characters reply to the message of another member.
+ * Group replies use the activation strategy of the group to pick the members who reply.
+ */
+async function generateRoomReply() {
+    if (isHostBusy()) {
+        pendingRoomReply = true;
+        return;
+    }
+
+    pendingRoomReply = false;
+
+    if (!needsRoomReply()) {
+        return;
+    }
+
+    if (selected_group) {
+        await generateGroupWrapper(true, 'normal');
+    } else {
+        await Generate('normal', { automatic_trigger: true });
+    }
+}
+
+/**
+ * Handles a change of the chat made by another member. Changes of the host arrive with the response to the save.
+ * @param {{ revision: number, author: string, messages: object[] }} data Event data
+ */
+async function onRoomChatChanged(data) {
+    if (!isChatRoomHost() || data.author === currentUser?.handle || data.revision <= hostedRoom.revision) {
+        return;
+    }
+
+    if (isHostBusy()) {
+        pendingRoomState = { revision: data.revision, messages: data.messages };
+        pendingRoomReply = true;
+        return;
+    }
+
+    await applyRoomState(data.revision, data.messages);
+}
+
+/**
+ * Applies the changes that were received while the host was generating.
+ */
+async function onHostGenerationEnded() {
+    if (!isChatRoomHost() || isHostBusy()) {
+        return;
+    }
+
+    await postRoomRequest('stream', { id: hostedRoom.id, text: '' });
+
+    if (pendingRoomState && pendingRoomState.revision > hostedRoom.revision) {
+        await applyRoomState(pendingRoomState.revision, pendingRoomState.messages);
+    }
+
+    if (pendingRoomReply) {
+        await generateRoomReply();
+    }
+}
+
+const relayRoomStream = throttle((text) => {
+    if (isChatRoomHost()) {
+        postRoomRequest('stream', { id: hostedRoom.id, name: name2, text });
+    }
+}, 250);
+
+/**
+ * Saves the shared chat through the room. The server merges the changes with the ones made by the other members.
+ * @param {object[]} lines Lines of the chat file
+ * @returns {Promise<void>}
+ */
+export async function saveChatRoom(lines) {
+    const room = hostedRoom;
+    const response = await postRoomRequest('sync', { id: room.id, revision: room.revision, chat: lines });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 409) {
+        toastr.warning(data.error, 'Chat room');
+        await applyRoomState(data.revision, data.messages);
+        return;
+    }
+
+    if (!response.ok) {
+        toastr.error('Check the server connection and reload the page to prevent data loss.', 'Chat could not be saved');
+        return;
+    }
+
+    if (data.messages) {
+        await applyRoomState(data.revision, data.messages);
+    } else {
+        room.revision = Math.max(room.revision, data.revision);
+    }
+}
+
+/**
+ * Connects the host to a room of the current chat.
+ * @param {object} info Room information
+ */
+function attachHostedRoom(info) {
+    detachHostedRoom();
+
+    const events = new EventSource(`/api/rooms/events/${info.id}`);
+    hostedRoom = { id: info.id, chatId: getCurrentChatId(), revision: info.revision, info, events };
+    events.addEventListener('chat', (e) => onRoomChatChanged(JSON.parse(e.data)));
+    events.addEventListener('members', (e) => {
+        if (hostedRoom?.id === info.id) {
+            hostedRoom.info = JSON.parse(e.data);
+        }
+    });
+    events.addEventListener('closed', () => {
+        toastr.info('The chat room was closed', info.name);
+        detachHostedRoom();
+    });
+}
+
+/**
+ * Disconnects the host from the room. The room is closed by the server if the host doesn't come back.
+ */
+function detachHostedRoom() {
+    hostedRoom?.events.close();
+    hostedRoom = null;
+    pendingRoomState = null;
+    pendingRoomReply = false;
+}
+
+/**
+ * Reconnects to the room of the opened chat if the user is hosting one.
+ */
+async function onChatChanged() {
+    detachHostedRoom();
+    const chatId = getCurrentChatId();
+
+    if (!chatId || !currentUser) {
+        return;
+    }
+
+    const response = await postRoomRequest('list', {});
+
+    if (!response.ok) {
+        return;
+    }
+
+    const rooms = await response.json();
+    const room = rooms.find(x => x.host === currentUser.handle && x.chatId === chatId);
+
+    if (room) {
+        attachHostedRoom(room);
+    }
+}
+
+/**
+ * Opens a room for the current chat.
+ * @param {object} options Room options
+ * @returns {Promise<boolean>} Whether the room was opened
+ */
+async function hostChatRoom(options) {
+    const group = groups.find(x => x.id === selected_group);
+    const character = characters[this_chid];
+    const chatData = group
+        ? { type: 'group', file_name: group.chat_id, title: group.name }
+        : { type: 'character', avatar_url: character.avatar, file_name: character.chat, title: character.name };
+
+    // The room starts from the saved file
+    await saveChatConditional();
+    const response = await postRoomRequest('create', { ...chatData, ...options, persona: name1 });
+
+    if (!response.ok) {
+        await showRoomError(response, 'Could not open the room');
+        return false;
+    }
+
+    attachHostedRoom(await response.json());
+    return true;
+}
+
+/**
+ * Renders the messages of a room for a member.
+ * @param {JQuery<HTMLElement>} container Messages container
+ * @param {object[]} messages Lines of the chat file
+ */
+function renderRoomMessages(container, messages) {
+    container.empty();
+
+    messages.filter(x => x && typeof x.mes === 'string').forEach((message, index) => {
+        const block = $('<div class="flex-container flexFlowColumn flexNoGap padding5"></div>');
+        block.append($('<b></b>').text(message.name));
+        block.append($('<div class="mes_text"></div>').html(messageFormatting(message.mes, message.name, message.is_system, message.is_user, index)));
+        container.append(block);
+    });
+
+    container.scrollTop(container.prop('scrollHeight'));
+}
+
+/**
+ * Renders the members of a room.
+ * @param {JQuery<HTMLElement>} container Members container
+ * @param {object} info Room information
+ */
+function renderRoomMembers(container, info) {
+    container.empty();
+
+    for (const member of info.members) {
+        const badge = $('<span class="menu_button menu_button_icon"></span>');
+        badge.append($('<i class="fa-fw fa-solid"></i>').addClass(member.handle === info.host ? 'fa-crown' : 'fa-user'));
+        badge.append($('<span></span>').text(member.persona));
+        badge.toggleClass('disabled', !member.online);
+        badge.attr('title', `${member.name}${member.handle === info.turn ? ' (their turn)' : ''}`);
+        badge.toggleClass('active', member.handle === info.turn);
+        container.append(badge);
+    }
+}
+
+/**
+ * Opens the view of a room for a member who is not the host.
+ * @param {string} id Room ID
+ * @param {string} persona Name of the user in the room
+ */
+async function openChatRoom(id, persona) {
+    const joinResponse = await postRoomRequest('join', { id, persona });
+
+    if (!joinResponse.ok) {
+        await showRoomError(joinResponse, 'Could not join the room');
+        return;
+    }
+
+    const template = $(await renderTemplateAsync('chatRoom'));
+    const popup = new Popup(template, POPUP_TYPE.TEXT, '', { okButton: 'Leave', wide: true, large: true, allowVerticalScrolling: true });
+    const messagesContainer = template.find('.chatRoomMessages');
+    const input = template.find('.chatRoomInput');
+    const events = new EventSource(`/api/rooms/events/${id}`);
+    let info = await joinResponse.json();
+
+    const renderInfo = () => {
+        template.find('.chatRoomName').text(info.name);
+        template.find('.chatRoomTitle').text(info.title);
+        renderRoomMembers(template.find('.chatRoomMembers'), info);
+        template.find('.chatRoomTurnHint').toggle(!!info.turn && info.turn !== currentUser?.handle);
+    };
+
+    const sendMessage = async () => {
+        const text = String(input.val());
+
+        if (!text.trim()) {
+            return;
+        }
+
+        const response = await postRoomRequest('message', { id, text, send_date: getMessageTimeStamp() });
+
+        if (!response.ok) {
+            await showRoomError(response, 'Message was not sent');
+            return;
+        }
+
+        input.val('');
+    };
+
+    events.addEventListener('state', (e) => {
+        const data = JSON.parse(e.data);
+        info = data;
+        renderInfo();
+        renderRoomMessages(messagesContainer, data.messages);
+    });
+    events.addEventListener('members', (e) => {
+        info = JSON.parse(e.data);
+        renderInfo();
+    });
+    events.addEventListener('chat', (e) => {
+        const data = JSON.parse(e.data);
+        info.turn = data.turn;
+        renderInfo();
+        renderRoomMessages(messagesContainer, data.messages);
+        template.find('.chatRoomStream').hide();
+    });
+    events.addEventListener('stream', (e) => {
+        const stream = JSON.parse(e.data);
+        template.find('.chatRoomStream').toggle(!!stream);
+
+        if (stream) {
+            template.find('.chatRoomStreamName').text(stream.name);
+            template.find('.chatRoomStreamText').html(messageFormatting(stream.text, stream.name, false, false, -1));
+        }
+    });
+    events.addEventListener('closed', () => {
+        toastr.info('The host closed the room', info.name);
+        popup.completeCancelled();
+    });
+
+    template.find('.chatRoomSend').on('click', sendMessage);
+    input.on('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendMessage();
+        }
+    });
+
+    await popup.show();
+    events.close();
+    await postRoomRequest('leave', { id });
+}
+
+/**
+ * Opens the chat rooms menu: hosting the current chat and joining the rooms of other users.
+ */
+async function openChatRoomsMenu() {
+    const template = $(await renderTemplateAsync('chatRooms'));
+    const popup = new Popup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+    const hostForm = template.find('.chatRoomHostForm');
+    const hostedBlock = template.find('.chatRoomHostedBlock');
+    let joinRoomId = null;
+
+    template.find('.chatRoomPersona').val(name1);
+
+    const renderHostBlock = () => {
+        hostForm.toggle(!isChatRoomHost() && !!getCurrentChatId());
+        hostedBlock.toggle(isChatRoomHost());
+
+        if (!isChatRoomHost()) {
+            return;
+        }
+
+        const info = hostedRoom.info;
+        hostedBlock.find('.chatRoomName').text(info.name);
+        hostedBlock.find('.chatRoomInviteCode').text(info.id);
+        hostedBlock.find('.chatRoomListed').prop('checked', info.listed);
+        hostedBlock.find('.chatRoomAutoReply').prop('checked', info.autoReply);
+        hostedBlock.find('.chatRoomTurnOrder').val(info.turnOrder);
+        renderRoomMembers(hostedBlock.find('.chatRoomHostedMembers'), info);
+    };
+
+    const renderRoomList = async () => {
+        const list = template.find('.chatRoomList').empty();
+        const response = await postRoomRequest('list', {});
+        const rooms = response.ok ? (await response.json()).filter(x => x.host !== currentUser?.handle) : [];
+
+        if (!rooms.length) {
+            list.append($('<small></small>').text('No open rooms.'));
+            return;
+        }
+
+        for (const room of rooms) {
+            const row = $('<div class="flex-container alignItemsBaseline"></div>');
+            row.append($('<b></b>').text(room.name));
+            row.append($('<small class="flex1"></small>').text(`${room.title} · ${room.members.length} member(s)`));
+            const joinButton = $('<div class="menu_button menu_button_icon"><i class="fa-fw fa-solid fa-right-to-bracket"></i></div>');
+            joinButton.append($('<span></span>').text('Join'));
+            joinButton.on('click', () => {
+                joinRoomId = room.id;
+                popup.completeAffirmative();
+            });
+            row.append(joinButton);
+            list.append(row);
+        }
+    };
+
+    const updateSettings = async (settings) => {
+        const response = await postRoomRequest('settings', { id: hostedRoom.id, ...settings });
+
+        if (response.ok) {
+            hostedRoom.info = await response.json();
+        }
+    };
+
+    hostForm.on('submit', async function (e) {
+        e.preventDefault();
+
+        if (!(this instanceof HTMLFormElement)) {
+            return;
+        }
+
+        const data = new FormData(this);
+        const opened = await hostChatRoom({
+            name: String(data.get('name') || ''),
+            listed: data.get('listed') === 'on',
+            autoReply: data.get('autoReply') === 'on',
+            turnOrder: String(data.get('turnOrder')),
+        });
+
+        if (opened) {
+            toastr.success('Share the invite code with other users', 'Room opened');
+            renderHostBlock();
+        }
+    });
+
+    hostedBlock.find('.chatRoomCopyInvite').on('click', async () => {
+        await navigator.clipboard.writeText(hostedRoom.id);
+        toastr.info('Invite code copied');
+    });
+    hostedBlock.find('.chatRoomListed').on('input', (e) => updateSettings({ listed: $(e.target).prop('checked') }));
+    hostedBlock.find('.chatRoomAutoReply').on('input', (e) => updateSettings({ autoReply: $(e.target).prop('checked') }));
+    hostedBlock.find('.chatRoomTurnOrder').on('change', (e) => updateSettings({ turnOrder: $(e.target).val() }));
+    hostedBlock.find('.chatRoomClose').on('click', async () => {
+        const confirm = await callGenericPopup('Close the room? The other members will be disconnected.', POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        await postRoomRequest('close', { id: hostedRoom.id });
+        detachHostedRoom();
+        renderHostBlock();
+    });
+
+    template.find('.chatRoomJoinByCode').on('click', () => {
+        joinRoomId = String(template.find('.chatRoomCode').val()).trim();
+
+        if (joinRoomId) {
+            popup.completeAffirmative();
+        }
+    });
+
+    renderHostBlock();
+    await renderRoomList();
+    await popup.show();
+
+    if (joinRoomId) {
+        await openChatRoom(joinRoomId, String(template.find('.chatRoomPersona').val()).trim());
+    }
+}
+
+export function initChatRooms() {
+    $('#option_chat_room').on('click', () => openChatRoomsMenu());
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    eventSource.on(event_types.GENERATION_ENDED, onHostGenerationEnded);
+    eventSource.on(event_types.GROUP_WRAPPER_FINISHED, onHostGenerationEnded);
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, relayRoomStream);
+}
@@ -1,3 +1,11 @@
+import { main_api, name1, name2, saveSettingsDebounced, system_message_types } from '../script.js';
+import { selected_group } from './group-chats.js';
+import { t } from './i18n.js';
+import { names_behavior_types } from './instruct-mode.js';
+import { JinjaTemplate, TemplateException } from './jinja.js';
+import { callGenericPopup, POPUP_TYPE } from './popup.js';
+import { power_user } from './power-user.js';
+
 // the hash can be obtained from command line e.g. via: MODEL=path_to_model; python -c "import json, hashlib, sys; print(hashlib.sha256(json.load(open('"$MODEL"/tokenizer_config.json'))['chat_template'].encode()).hexdigest())"
 // note that chat templates must be trimmed to match the llama.cpp metadata value
 const hash_derivations = {
@@ -90,3 +98,282 @@ export async function deriveTemplatesFromChatTemplate(chat_template, hash) {
     console.log(`Unknown chat template hash: ${hash} for [${chat_template}]`);
     return null;
 }
+
+/**
+ * Chat template and special tokens reported by the backend of the current connection.
+ */
+const backendChatTemplate = {
+    template: '',
+    bosToken: '',
+    eosToken: '',
+};
+
+/**
+ * Compiled chat template, reused while the template source stays the same.
+ * @type {{ source: string, template: JinjaTemplate }|null}
+ */
+let compiledChatTemplate = null;
+
+/**
+ * Remembers the chat template reported by the backend.
+ * @param {object|null} props Model properties returned by the backend, null if the backend has none
+ */
+export function setBackendChatTemplate(props) {
+    backendChatTemplate.template = typeof props?.chat_template === 'string' ? props.chat_template : '';
+    backendChatTemplate.bosToken = typeof props?.bos_token === 'string' ? props.bos_token : '';
+    backendChatTemplate.eosToken = typeof props?.eos_token === 'string' ? props.eos_token : '';
+    updateBackendChatTemplateStatus();
+}
+
+/**
+ * Gets the chat template used to render prompts: the one pasted by the user or the one reported by the backend.
+ * @returns {string} Chat template source, empty if there is none
+ */
+function getChatTemplateSource() {
+    return power_user.chat_template.template.trim() ? power_user.chat_template.template : backendChatTemplate.template;
+}
+
+/**
+ * Checks if the text completion prompts are rendered with a chat template instead of the instruct template.
+ * @returns {boolean} Whether the chat template is used
+ */
+export function isChatTemplateActive() {
+    return !!power_user.chat_template.enabled && main_api !== 'openai' && main_api !== 'novel' && !!getChatTemplateSource().trim();
+}
+
+/**
+ * Renders messages with a chat template.
+ * @param {string} source Chat template source
+ * @param {{ role: string, content: string }[]} messages Messages
+ * @param {boolean} addGenerationPrompt Whether to add the start of the assistant's reply
+ * @returns {string} Rendered prompt
+ */
+export function renderChatTemplate(source, messages, addGenerationPrompt) {
+    if (compiledChatTemplate?.source !== source) {
+        compiledChatTemplate = { source, template: new JinjaTemplate(source) };
+    }
+
+    return compiledChatTemplate.template.render({
+        messages,
+        add_generation_prompt: addGenerationPrompt,
+        bos_token: power_user.chat_template.bos_token,
+        eos_token: power_user.chat_template.eos_token || backendChatTemplate.eosToken,
+    });
+}
+
+/**
+ * Converts a chat message to a chat template message.
+ * @param {object} message Chat message
+ * @returns {{ role: string, content: string }} Chat template message
+ */
+function toTemplateMessage(message) {
+    const isNarrator = message.extra?.type === system_message_types.NARRATOR;
+
+    if (Array.isArray(message.extra?.tool_invocations)) {
+        return { role: 'tool', content: message.extra.tool_invocations.map(x => x.result).join('\n\n') };
+    }
+
+    if (isNarrator || message.is_system) {
+        return { role: 'system', content: message.mes };
+    }
+
+    const name = message.is_user ? (message.name || name1) : (message.name || name2);
+    const namesBehavior = power_user.chat_template.names_behavior;
+    const includeName = namesBehavior === names_behavior_types.ALWAYS ||
+        (namesBehavior === names_behavior_types.FORCE && name !== name1 && (!!selected_group || !!message.force_avatar));
+
+    return {
+        role: message.is_user ? 'user' : 'assistant',
+        content: includeName ? `${name}: ${message.mes}` : message.mes,
+    };
+}
+
+/**
+ * Rearranges messages for templates that only accept an optional system message followed by alternating user and assistant messages.
+ * Later system messages are sent as user messages, and consecutive messages of the same role are merged.
+ * @param {{ role: string, content: string }[]} messages Messages
+ * @param {boolean} keepSystem Whether to keep the first system message, otherwise it is merged into the first user message
+ * @returns {{ role: string, content: string }[]} Alternating messages
+ */
+function alternateRoles(messages, keepSystem) {
+    const result = [];
+
+    for (const [index, message] of messages.entries()) {
+        const role = message.role === 'system' && index === 0 && keepSystem ? 'system' : (message.role === 'assistant' ? 'assistant' : 'user');
+        const last = result[result.length - 1];
+
+        if (last && last.role === role) {
+            last.content += `\n\n${message.content}`;
+        } else {
+            result.push({ role, content: message.content });
+        }
+    }
+
+    const firstIndex = result[0]?.role === 'system' ? 1 : 0;
+    if (result[firstIndex]?.role === 'assistant') {
+        result.splice(firstIndex, 0, { role: 'user', content: power_user.instruct.user_alignment_message || '[Start a new chat]' });
+    }
+
+    return result;
+}
+
+/**
+ * Renders messages with a chat template, rearranging them if the template rejects their roles.
+ * @param {string} source Chat template source
+ * @param {{ role: string, content: string }[]} messages Messages
+ * @param {boolean} addGenerationPrompt Whether to add the start of the assistant's reply
+ * @returns {string} Rendered prompt
+ */
+function renderChatTemplateMessages(source, messages, addGenerationPrompt) {
+    try {
+        return renderChatTemplate(source, messages, addGenerationPrompt);
+    } catch (error) {
+        if (!(error instanceof TemplateException)) {
+            throw error;
+        }
+
+        console.debug('Chat template rejected the messages, retrying with alternating roles:', error.message);
+    }
+
+    try {
+        return renderChatTemplate(source, alternateRoles(messages, true), addGenerationPrompt);
+    } catch (error) {
+        if (!(error instanceof TemplateException)) {
+            throw error;
+        }
+
+        console.debug('Chat template rejected the system message, retrying without it:', error.message);
+        return renderChatTemplate(source, alternateRoles(messages, false), addGenerationPrompt);
+    }
+}
+
+/**
+ * Builds a text completion prompt with the chat template.
+ * Replaces the flattening of the prompt parts when the chat template is active.
+ * @param {object} data Prompt parts, as passed to the GENERATE_BEFORE_COMBINE_PROMPTS event
+ * @returns {string|null} Prompt, null if the chat template could not be rendered
+ */
+export function renderChatTemplatePrompt(data) {
+    const source = getChatTemplateSource();
+    const messages = [];
+    const systemPrompt = [data.beforeScenarioAnchor, data.storyString, data.afterScenarioAnchor, data.mesExmString].join('').trim();
+
+    if (systemPrompt) {
+        messages.push({ role: 'system', content: systemPrompt });
+    }
+
+    const history = [...data.finalMesSend.map(x => x.raw), data.continueMessage].filter(x => x);
+    messages.push(...history.map(toTemplateMessage));
+
+    if (data.quietPrompt) {
+        messages.push({ role: 'user', content: data.quietPrompt });
+    }
+
+    const includeNames = power_user.chat_template.names_behavior === names_behavior_types.ALWAYS ||
+        (power_user.chat_template.names_behavior === names_behavior_types.FORCE && !!selected_group);
+
+    try {
+        let prompt;
+
+        if (data.type === 'continue' && messages.length && !data.quietPrompt) {
+            // The reply is continued right after its text, without the end of the turn
+            const content = messages[messages.length - 1].content.trimEnd();
+            const rendered = renderChatTemplateMessages(source, messages, false);
+            const index = rendered.lastIndexOf(content);
+            prompt = index === -1 ? rendered : rendered.slice(0, index + content.length);
+        } else if (data.type === 'impersonate') {
+            // The user turn is opened with a placeholder message that is cut off
+            const placeholder = `\u0000${Date.now()}\u0000`;
+            const rendered = renderChatTemplateMessages(source, [...messages, { role: 'user', content: placeholder }], false);
+            prompt = rendered.slice(0, Math.max(0, rendered.lastIndexOf(placeholder)));
+            prompt += includeNames ? `${name1}:` : '';
+        } else {
+            prompt = renderChatTemplateMessages(source, messages, true);
+            prompt += includeNames && !(data.quietPrompt && !data.quietToLoud) ? `${name2}:` : '';
+            prompt += data.promptBias ? (includeNames ? ` ${data.promptBias.trimStart()}` : data.promptBias.trimStart()) : '';
+        }
+
+        return prompt.replace(/\r/gm, '');
+    } catch (error) {
+        console.error('Chat template rendering failed:', error);
+        toastr.error(error.message, t`Could not render the chat template`, { preventDuplicates: true });
+        return null;
+    }
+}
+
+/**
+ * Shows whether the backend reported a chat template.
+ */
+function updateBackendChatTemplateStatus() {
+    const status = backendChatTemplate.template
+        ? t`The backend reported a chat template (${backendChatTemplate.template.split('\n')[0].slice(0, 60)}...). It is used when the field above is empty.`
+        : t`No chat template reported by the backend. Connect to llama.cpp or KoboldCpp to use the model's template, or paste one above.`;
+    $('#chat_template_backend_status').text(status);
+}
+
+/**
+ * Renders a sample chat with the chat template to check it.
+ */
+async function previewChatTemplate() {
+    const source = getChatTemplateSource();
+
+    if (!source.trim()) {
+        toastr.warning(t`Paste a chat template or connect to a backend that reports one.`, t`No chat template`);
+        return;
+    }
+
+    const messages = [
+        { role: 'system', content: 'You are a helpful assistant.' },
+        { role: 'user', content: 'Hello!' },
+        { role: 'assistant', content: 'Hi! How can I help you today?' },
+        { role: 'user', content: 'Tell me a joke.' },
+    ];
+
+    try {
+        const prompt = renderChatTemplateMessages(source, messages, true);
+        const content = $('<div><pre><code></code></pre></div>');
+        content.find('code').text(prompt);
+        await callGenericPopup(content, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+    } catch (error) {
+        toastr.error(error.message, t`Could not render the chat template`);
+    }
+}
+
+/**
+ * Loads the chat template settings into the UI.
+ */
+export function loadChatTemplateSettings() {
+    $('#chat_template_enabled').prop('checked', !!power_user.chat_template.enabled);
+    $('#chat_template_enabled').parent().find('i').toggleClass('toggleEnabled', !!power_user.chat_template.enabled);
+    $('#chat_template_settings').toggleClass('disabled', !power_user.chat_template.enabled);
+    $('#chat_template_template').val(power_user.chat_template.template);
+    $('#chat_template_bos_token').val(power_user.chat_template.bos_token);
+    $('#chat_template_eos_token').val(power_user.chat_template.eos_token);
+    $('#chat_template_names_behavior').val(power_user.chat_template.names_behavior);
+    updateBackendChatTemplateStatus();
+}
+
+export function initChatTemplates() {
+    $('#chat_template_enabled').on('input', function () {
+        power_user.chat_template.enabled = !!$(this).prop('checked');
+        $(this).parent().find('i').toggleClass('toggleEnabled', power_user.chat_template.enabled);
+        $('#chat_template_settings').toggleClass('disabled', !power_user.chat_template.enabled);
+        saveSettingsDebounced();
+    });
+
+    const fields = [
+        { id: 'chat_template_template', property: 'template' },
+        { id: 'chat_template_bos_token', property: 'bos_token' },
+        { id: 'chat_template_eos_token', property: 'eos_token' },
+        { id: 'chat_template_names_behavior', property: 'names_behavior' },
+    ];
+
+    for (const { id, property } of fields) {
+        $(`#${id}`).on('input', function () {
+            power_user.chat_template[property] = String($(this).val());
+            saveSettingsDebounced();
+        });
+    }
+
+    $('#chat_template_preview').on('click', () => previewChatTemplate());
+}
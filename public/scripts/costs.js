@@ -0,0 +1,264 @@
+import {
+    chat,
+    event_types,
+    eventSource,
+    getCurrentChatId,
+    getRequestHeaders,
+    main_api,
+    saveChatDebounced,
+} from '../script.js';
+import { POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { t } from './i18n.js';
+
+/**
+ * ID of the last chat completion request, used to look up its usage when the reply is received.
+ * @type {string|null}
+ */
+let lastGenerationId = null;
+
+/**
+ * Formats an amount in USD.
+ * @param {number} value Amount
+ * @returns {string} Formatted amount
+ */
+function formatCost(value) {
+    return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Formats the cost and the token usage of a message for the message template.
+ * @param {object} extra Message extra data
+ * @returns {{ costValue: string, costTitle: string }} Cost and its tooltip
+ */
+export function formatMessageCost(extra) {
+    if (!extra?.usage) {
+        return { costValue: '', costTitle: '' };
+    }
+
+    const costTitle = `${extra.usage.input} prompt + ${extra.usage.output} generated tokens`;
+    const costValue = typeof extra.cost === 'number' ? formatCost(extra.cost) : '';
+    return { costValue, costTitle };
+}
+
+/**
+ * Gets the total cost of the current chat, including the swipes.
+ * @returns {{ cost: number, input: number, output: number }} Totals
+ */
+function getChatCost() {
+    const totals = { cost: 0, input: 0, output: 0 };
+
+    for (const message of chat) {
+        const extras = Array.isArray(message.swipe_info) && message.swipe_info.length ? message.swipe_info.map(x => x?.extra) : [message.extra];
+
+        for (const extra of extras) {
+            totals.cost += extra?.cost ?? 0;
+            totals.input += extra?.usage?.input ?? 0;
+            totals.output += extra?.usage?.output ?? 0;
+        }
+    }
+
+    return totals;
+}
+
+/**
+ * Saves the usage and the cost of the last generation to the received message.
+ * @param {number} messageId Message ID
+ */
+async function onMessageReceived(messageId) {
+    const id = lastGenerationId;
+    const chatId = getCurrentChatId();
+    lastGenerationId = null;
+
+    if (!id || main_api !== 'openai') {
+        return;
+    }
+
+    const response = await fetch('/api/costs/generation', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ id }),
+    });
+
+    if (!response.ok) {
+        return;
+    }
+
+    const entry = await response.json();
+    const message = chat[messageId];
+
+    if (chatId !== getCurrentChatId() || !message || message.is_user || !entry.input && !entry.output) {
+        return;
+    }
+
+    const extras = [message.extra ??= {}, message.swipe_info?.[message.swipe_id ?? 0]?.extra].filter(x => x);
+    for (const extra of extras) {
+        extra.usage = { input: entry.input, output: entry.output };
+        extra.cost = entry.cost;
+    }
+
+    const { costValue, costTitle } = formatMessageCost(message.extra);
+    $(`#chat .mes[mesid="${messageId}"] .mesCostDisplay`).attr('title', costTitle).text(costValue);
+    saveChatDebounced();
+
+    if (entry.alert === 'exceeded') {
+        toastr.error(t`Spent ${formatCost(entry.month.cost)} of ${formatCost(entry.budget.monthly)} this month.`, t`Monthly budget exceeded`);
+    } else if (entry.alert === 'warning') {
+        toastr.warning(t`Spent ${formatCost(entry.month.cost)} of ${formatCost(entry.budget.monthly)} this month.`, t`Monthly budget almost reached`);
+    }
+}
+
+/**
+ * Parses the price table editor.
+ * @param {string} text One model per line: model, prompt price, generated price
+ * @returns {Record<string, { input: number, output: number }>} Prices by model
+ */
+function parsePrices(text) {
+    const prices = {};
+
+    for (const line of text.split('\n')) {
+        const [model, input, output] = line.trim().split(/\s+/);
+
+        if (model && input !== undefined && output !== undefined) {
+            prices[model] = { input: Number(input), output: Number(output) };
+        }
+    }
+
+    return prices;
+}
+
+/**
+ * Creates a table of cost totals.
+ * @param {string} label Header of the first column
+ * @param {[string, object][]} entries Totals by name
+ * @returns {JQuery<HTMLElement>} Table
+ */
+function createTotalsTable(label, entries) {
+    const table = $('<table class="responsiveTable"></table>');
+    table.append($('<thead></thead>').append(...[label, 'Requests', 'Prompt', 'Generated', 'Cost'].map(x => $('<th></th>').text(x))));
+
+    for (const [name, totals] of entries) {
+        const cost = formatCost(totals.cost) + (totals.unpriced ? ` (${totals.unpriced} unpriced)` : '');
+        const row = $('<tr></tr>');
+        row.append(...[name, totals.requests, totals.input, totals.output, cost].map(x => $('<td></td>').text(x)));
+        table.append(row);
+    }
+
+    return table;
+}
+
+/**
+ * Opens the costs panel with the totals, the budget and the price table.
+ */
+async function openCostsPanel() {
+    const template = $(await renderTemplateAsync('costs'));
+
+    async function getCosts() {
+        const response = await fetch('/api/costs/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || response.statusText);
+        }
+
+        return response.json();
+    }
+
+    function render(data) {
+        const monthKey = new Date().toISOString().slice(0, 7);
+        const month = data.months[monthKey];
+        const chatCost = getChatCost();
+        const budget = data.budget.monthly > 0 ? ` / ${formatCost(data.budget.monthly)}` : '';
+
+        const summary = template.find('.costsSummary').empty();
+        summary.append($('<span></span>').text(`Current chat: ${formatCost(chatCost.cost)} (${chatCost.input} prompt + ${chatCost.output} generated tokens)`));
+        summary.append($('<span></span>').text(`This month: ${formatCost(month?.cost ?? 0)}${budget}`));
+
+        const models = Object.entries(month?.models ?? {}).sort((a, b) => b[1].cost - a[1].cost);
+        template.find('.costsModels').empty().append(models.length ? createTotalsTable('Model', models) : $('<small></small>').text('No usage recorded this month.'));
+
+        const months = Object.entries(data.months).sort((a, b) => b[0].localeCompare(a[0]));
+        template.find('.costsHistory').empty().append(months.length ? createTotalsTable('Month', months) : $('<small></small>').text('No usage recorded yet.'));
+
+        template.find('input[name="monthly"]').val(data.budget.monthly);
+        template.find('input[name="alertPercent"]').val(data.budget.alertPercent);
+        template.find('textarea[name="prices"]').val(Object.entries(data.prices).map(([model, price]) => `${model} ${price.input} ${price.output}`).join('\n'));
+        template.find('.costsImportedHint').text(data.importedAt
+            ? `${data.importedCount} OpenRouter prices imported on ${new Date(data.importedAt).toLocaleString()}.`
+            : 'No OpenRouter prices imported yet.');
+    }
+
+    template.find('.costsBudgetForm').on('submit', async function () {
+        const response = await fetch('/api/costs/budget/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                monthly: Number(template.find('input[name="monthly"]').val()),
+                alertPercent: Number(template.find('input[name="alertPercent"]').val()),
+            }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            toastr.error(data.error || response.statusText, t`Could not save the budget`);
+            return;
+        }
+
+        toastr.success(t`Budget saved`);
+        render(await getCosts());
+    });
+
+    template.find('.costsPricesForm').on('submit', async function () {
+        const response = await fetch('/api/costs/prices/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ prices: parsePrices(String(template.find('textarea[name="prices"]').val())) }),
+        });
+
+        if (!response.ok) {
+            toastr.error(response.statusText, t`Could not save the prices`);
+            return;
+        }
+
+        toastr.success(t`Prices saved`);
+        render(await getCosts());
+    });
+
+    template.find('.costsImportButton').on('click', async function () {
+        const response = await fetch('/api/costs/prices/import', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            toastr.error(data.error || response.statusText, t`Could not import the OpenRouter prices`);
+            return;
+        }
+
+        const { count } = await response.json();
+        toastr.success(t`Imported ${count} prices`);
+        render(await getCosts());
+    });
+
+    try {
+        render(await getCosts());
+    } catch (error) {
+        toastr.error(error.message, t`Could not load the costs`);
+        return;
+    }
+
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+}
+
+export function initCosts() {
+    $('#option_costs').on('click', () => openCostsPanel());
+    eventSource.on(event_types.CHAT_COMPLETION_SETTINGS_READY, (data) => {
+        lastGenerationId = data?.generation_id ?? null;
+    });
+    // Not awaited, the usage may arrive after the reply
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => void onMessageReceived(messageId).catch(console.error));
+}
@@ -27,6 +27,7 @@ const CC_COMMANDS = [
     'preset',
     // Do not fix; CC needs to set the API twice because it could be overridden by the preset
     'api',
+    'custom-endpoint',
     'api-url',
     'model',
     'proxy',
@@ -47,6 +48,7 @@ const TC_COMMANDS = [
 
 const FANCY_NAMES = {
     'api': 'API',
+    'custom-endpoint': 'Custom Endpoint',
     'api-url': 'Server URL',
     'preset': 'Settings Preset',
     'model': 'Model',
@@ -131,6 +133,7 @@ const profilesProvider = () => [
  * @property {string} mode Mode of the connection profile
  * @property {string} [name] Name of the connection profile
  * @property {string} [api] API
+ * @property {string} [custom-endpoint] Custom Endpoint
  * @property {string} [preset] Settings Preset
  * @property {string} [model] Model
  * @property {string} [proxy] Proxy Preset
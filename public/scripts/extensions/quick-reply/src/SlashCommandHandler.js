@@ -5,6 +5,7 @@ import { SlashCommandClosure } from '../../../slash-commands/SlashCommandClosure
 import { enumIcons } from '../../../slash-commands/SlashCommandCommonEnumsProvider.js';
 import { SlashCommandDebugController } from '../../../slash-commands/SlashCommandDebugController.js';
 import { SlashCommandEnumValue, enumTypes } from '../../../slash-commands/SlashCommandEnumValue.js';
+import { SlashCommandFunction } from '../../../slash-commands/SlashCommandFunction.js';
 import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
 import { SlashCommandScope } from '../../../slash-commands/SlashCommandScope.js';
 import { isTrueBoolean } from '../../../utils.js';
@@ -684,11 +685,11 @@ export class SlashCommandHandler {
             /**
              *
              * @param {{_scope:SlashCommandScope, _abortController:SlashCommandAbortController, _debugController:SlashCommandDebugController, from:string}} args
-             * @param {string} value
+             * @param {string|string[]} value
              */
             callback: (args, value) => {
                 if (!args.from) throw new Error('/import requires from= to be set.');
-                if (!value) throw new Error('/import requires the unnamed argument to be set.');
+                let qrList;
                 let qr = [...this.api.listGlobalSets(), ...this.api.listChatSets()]
                     .map(it=>this.api.getSetByName(it)?.qrList ?? [])
                     .flat()
@@ -703,71 +704,103 @@ export class SlashCommandHandler {
                     }
                 }
                 if (qr) {
-                    const parser = new SlashCommandParser();
-                    const closure = parser.parse(qr.message, true, [], args._abortController, args._debugController);
+                    qrList = [qr];
+                } else {
+                    // import from all Quick Replies in a set, like from a module
+                    qrList = QuickReplySet.get(args.from)?.qrList;
+                }
+                if (!qrList) throw new Error(`No Quick Reply or Quick Reply Set found for "${args.from}".`);
+                const testCandidates = (executor)=>{
+                    return (
+                        executor.namedArgumentList.find(arg=>arg.name == 'key')
+                        && executor.unnamedArgumentList.length > 0
+                        && executor.unnamedArgumentList[0].value instanceof SlashCommandClosure
+                    ) || (
+                        !executor.namedArgumentList.find(arg=>arg.name == 'key')
+                        && executor.unnamedArgumentList.length > 1
+                        && executor.unnamedArgumentList[1].value instanceof SlashCommandClosure
+                    );
+                };
+                const testFunctions = (executor)=>{
+                    return executor.unnamedArgumentList.length > 1
+                        && typeof executor.unnamedArgumentList[0].value == 'string'
+                        && executor.unnamedArgumentList[1].value instanceof SlashCommandClosure
+                    ;
+                };
+                const candidates = [];
+                for (const item of qrList) {
+                    let closure;
+                    try {
+                        const parser = new SlashCommandParser();
+                        closure = parser.parse(item.message, true, [], args._abortController, args._debugController);
+                    } catch (ex) {
+                        // a single Quick Reply has to be valid, other Quick Replies of a set may be plain messages
+                        if (qr) throw ex;
+                        continue;
+                    }
                     if (args._debugController) {
-                        closure.source = args.from;
+                        closure.source = qr ? args.from : `${args.from}.${item.label}`;
                     }
-                    const testCandidates = (executor)=>{
-                        return (
-                            executor.namedArgumentList.find(arg=>arg.name == 'key')
-                            && executor.unnamedArgumentList.length > 0
-                            && executor.unnamedArgumentList[0].value instanceof SlashCommandClosure
-                        ) || (
-                            !executor.namedArgumentList.find(arg=>arg.name == 'key')
-                            && executor.unnamedArgumentList.length > 1
-                            && executor.unnamedArgumentList[1].value instanceof SlashCommandClosure
-                        );
-                    };
-                    const candidates = closure.executorList
-                        .filter(executor=>['let', 'var'].includes(executor.command.name))
+                    candidates.push(...closure.executorList
+                        .filter(executor=>['let', 'var'].includes(executor.command?.name))
                         .filter(testCandidates)
                         .map(executor=>({
                             key: executor.namedArgumentList.find(arg=>arg.name == 'key')?.value ?? executor.unnamedArgumentList[0].value,
                             value: executor.unnamedArgumentList[executor.namedArgumentList.find(arg=>arg.name == 'key') ? 0 : 1].value,
-                        }))
-                    ;
-                    for (let i = 0; i < value.length; i++) {
-                        const srcName = value[i];
-                        let dstName = srcName;
-                        if (i + 2 < value.length && value[i + 1] == 'as') {
-                            dstName = value[i + 2];
-                            i += 2;
-                        }
-                        const pick = candidates.find(it=>it.key == srcName);
-                        if (!pick) throw new Error(`No scoped closure named "${srcName}" found in "${args.from}"`);
-                        if (args._scope.existsVariableInScope(dstName)) {
-                            args._scope.setVariable(dstName, pick.value);
-                        } else {
-                            args._scope.letVariable(dstName, pick.value);
-                        }
+                        })),
+                    );
+                    for (const executor of closure.executorList.filter(executor=>executor.command?.name == 'func').filter(testFunctions)) {
+                        const name = /**@type {string}*/(executor.unnamedArgumentList[0].value).trim();
+                        const params = executor.namedArgumentList.find(arg=>arg.name == 'params')?.value ?? '';
+                        if (params instanceof SlashCommandClosure) throw new Error(`Parameters of function "${name}" cannot be a closure`);
+                        const body = /**@type {SlashCommandClosure}*/(executor.unnamedArgumentList[1].value);
+                        body.functionDefinition = new SlashCommandFunction(name, SlashCommandFunction.parseParameters(params));
+                        candidates.push({ key: name, value: body });
+                    }
+                }
+                const names = Array.isArray(value) ? value : (value ? [value] : []);
+                if (names.length == 0) {
+                    // import everything that was found
+                    names.push(...candidates.map(it=>it.key).filter((it,idx,list)=>list.indexOf(it) == idx));
+                }
+                for (let i = 0; i < names.length; i++) {
+                    const srcName = names[i];
+                    let dstName = srcName;
+                    if (i + 2 < names.length && names[i + 1] == 'as') {
+                        dstName = names[i + 2];
+                        i += 2;
+                    }
+                    const pick = candidates.find(it=>it.key == srcName);
+                    if (!pick) throw new Error(`No function or scoped closure named "${srcName}" found in "${args.from}"`);
+                    if (args._scope.existsVariableInScope(dstName)) {
+                        args._scope.setVariable(dstName, pick.value);
+                    } else {
+                        args._scope.letVariable(dstName, pick.value);
                     }
-                } else {
-                    throw new Error(`No Quick Reply found for "${name}".`);
                 }
                 return '';
             },
             namedArgumentList: [
                 SlashCommandNamedArgument.fromProps({ name: 'from',
-                    description: 'Quick Reply to import from (QRSet.QRLabel)',
+                    description: 'Quick Reply to import from (QRSet.QRLabel), or a Quick Reply Set to import from all of its Quick Replies',
                     typeList: ARGUMENT_TYPE.STRING,
                     isRequired: true,
                 }),
             ],
             unnamedArgumentList: [
-                SlashCommandArgument.fromProps({ description: 'what to import (x or x as y)',
+                SlashCommandArgument.fromProps({ description: 'what to import (x or x as y), everything if omitted',
                     acceptsMultiple: true,
                     typeList: ARGUMENT_TYPE.STRING,
-                    isRequired: true,
                 }),
             ],
             splitUnnamedArgument: true,
             helpString: `
                 <div>
-                    Import one or more closures from another Quick Reply.
+                    Import one or more closures and functions from another Quick Reply, or from all Quick Replies of a Quick Reply Set.
                 </div>
                 <div>
-                    Only imports closures that are directly assigned a scoped variable via <code>/let</code> or <code>/var</code>.
+                    Only imports closures that are directly assigned a scoped variable via <code>/let</code> or <code>/var</code>, and functions declared with <code>/func</code>.
+                    Imports everything that was found if no names are given.
                 </div>
                 <div>
                     <strong>Examples:</strong>
@@ -775,6 +808,7 @@ export class SlashCommandHandler {
                         <li><pre><code>/import from=LibraryQrSet.FooBar foo |\n/:foo</code></pre></li>
                         <li><pre><code>/import from=LibraryQrSet.FooBar\n\tfoo\n\tbar\n|\n/:foo |\n/:bar</code></pre></li>
                         <li><pre><code>/import from=LibraryQrSet.FooBar\n\tfoo as x\n\tbar as y\n|\n/:x |\n/:y</code></pre></li>
+                        <li><pre><code>/import from=LibraryQrSet add |\n/:add a=1 b=2</code></pre></li>
                     </ul>
                 </div>
             `,
@@ -87,6 +87,7 @@ export async function getMultimodalCaption(base64Img, prompt) {
         requestBody.custom_include_headers = oai_settings.custom_include_headers;
         requestBody.custom_include_body = oai_settings.custom_include_body;
         requestBody.custom_exclude_body = oai_settings.custom_exclude_body;
+        requestBody.custom_key_label = oai_settings.custom_key_label;
     }
 
     function getEndpointUrl() {
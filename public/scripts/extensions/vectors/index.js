@@ -74,6 +74,14 @@ const settings = {
     message_chunk_size: 400,
     score_threshold: 0.25,
 
+    // For retrieval
+    search_mode: 'vector',
+    mmr: false,
+    mmr_lambda: 0.7,
+    rerank: false,
+    rerank_url: '',
+    rerank_model: '',
+
     // For files
     enabled_files: false,
     translate_files: false,
@@ -878,6 +886,21 @@ async function deleteVectorItems(collectionId, hashes) {
     }
 }
 
+/**
+ * Gets the hybrid search, MMR and rerank parameters of a query request.
+ * @returns {object} Retrieval parameters
+ */
+function getRetrievalParameters() {
+    return {
+        searchMode: settings.search_mode,
+        mmr: settings.mmr,
+        mmrLambda: settings.mmr_lambda,
+        rerank: settings.rerank,
+        rerankUrl: settings.rerank_url,
+        rerankModel: settings.rerank_model,
+    };
+}
+
 /**
  * @param {string} collectionId - The collection to query
  * @param {string} searchText - The text to query
@@ -896,6 +919,7 @@ async function queryCollection(collectionId, searchText, topK) {
             topK: topK,
             source: settings.source,
             threshold: settings.score_threshold,
+            ...getRetrievalParameters(),
         }),
     });
 
@@ -926,6 +950,7 @@ async function queryMultipleCollections(collectionIds, searchText, topK, thresho
             topK: topK,
             source: settings.source,
             threshold: threshold ?? settings.score_threshold,
+            ...getRetrievalParameters(),
         }),
     });
 
@@ -1540,6 +1565,66 @@ jQuery(async () => {
         saveSettingsDebounced();
     });
 
+    $('#vectors_search_mode').val(settings.search_mode).on('change', () => {
+        settings.search_mode = String($('#vectors_search_mode').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_mmr').prop('checked', settings.mmr).on('input', () => {
+        settings.mmr = !!$('#vectors_mmr').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_mmr_lambda').val(settings.mmr_lambda).on('input', () => {
+        settings.mmr_lambda = Number($('#vectors_mmr_lambda').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank').prop('checked', settings.rerank).on('input', () => {
+        settings.rerank = !!$('#vectors_rerank').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank_url').val(settings.rerank_url).on('input', () => {
+        settings.rerank_url = String($('#vectors_rerank_url').val()).trim();
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank_model').val(settings.rerank_model).on('input', () => {
+        settings.rerank_model = String($('#vectors_rerank_model').val()).trim();
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#api_key_rerank').on('click', async () => {
+        const popupText = 'Rerank API Key:';
+        const key = await callGenericPopup(popupText, POPUP_TYPE.INPUT, '', {
+            customButtons: [{
+                text: 'Remove Key',
+                appendAtEnd: true,
+                result: POPUP_RESULT.NEGATIVE,
+                action: async () => {
+                    await writeSecret(SECRET_KEYS.RERANK, '');
+                    toastr.success('API Key removed');
+                    $('#api_key_rerank').toggleClass('success', !!secret_state[SECRET_KEYS.RERANK]);
+                },
+            }],
+        });
+
+        if (!key) {
+            return;
+        }
+
+        await writeSecret(SECRET_KEYS.RERANK, String(key));
+        $('#api_key_rerank').toggleClass('success', !!secret_state[SECRET_KEYS.RERANK]);
+        toastr.success('API Key saved');
+    });
+
     $('#vectors_force_chunk_delimiter').val(settings.force_chunk_delimiter).on('input', () => {
         settings.force_chunk_delimiter = String($('#vectors_force_chunk_delimiter').val());
         Object.assign(extension_settings.vectors, settings);
@@ -1554,6 +1639,7 @@ jQuery(async () => {
     });
 
     $('#api_key_nomicai').toggleClass('success', !!secret_state[SECRET_KEYS.NOMICAI]);
+    $('#api_key_rerank').toggleClass('success', !!secret_state[SECRET_KEYS.RERANK]);
 
     toggleSettings();
     eventSource.on(event_types.MESSAGE_DELETED, onChatEvent);
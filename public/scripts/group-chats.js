@@ -78,6 +78,7 @@ import { FILTER_TYPES, FilterHelper } from './filters.js';
 import { isExternalMediaAllowed } from './chats.js';
 import { POPUP_TYPE, Popup, callGenericPopup } from './popup.js';
 import { t } from './i18n.js';
+import { isChatRoomHost, saveChatRoom } from './chat-rooms.js';
 
 export {
     selected_group,
@@ -518,16 +519,22 @@ async function saveGroupChat(groupId, shouldSaveGroup) {
     const group = groups.find(x => x.id == groupId);
     const chat_id = group.chat_id;
     group['date_last_chat'] = Date.now();
-    const response = await fetch('/api/chats/group/save', {
-        method: 'POST',
-        headers: getRequestHeaders(),
-        body: JSON.stringify({ id: chat_id, chat: [...chat] }),
-    });
 
-    if (!response.ok) {
-        toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group Chat could not be saved`);
-        console.error('Group chat could not be saved', response);
-        return;
+    // Shared chats are saved through the room, which merges the changes of the other members
+    if (isChatRoomHost()) {
+        await saveChatRoom([...chat]);
+    } else {
+        const response = await fetch('/api/chats/group/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chat_id, chat: [...chat] }),
+        });
+
+        if (!response.ok) {
+            toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group Chat could not be saved`);
+            console.error('Group chat could not be saved', response);
+            return;
+        }
     }
 
     if (shouldSaveGroup) {
@@ -921,6 +928,7 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
         setCharacterName('');
         activateSendButtons();
         showSwipeButtons();
+        await eventSource.emit(event_types.GROUP_WRAPPER_FINISHED, { selected_group, type });
     }
 
     return Promise.resolve(textResult);
@@ -0,0 +1,1739 @@
+/**
+ * A Jinja template engine for the chat templates of Hugging Face models.
+ *
+ * Implements the part of Jinja used by chat templates: output expressions, comments, whitespace control,
+ * if/elif/else, for loops with the loop variable, break and continue, set (including namespaces and blocks),
+ * macros, filters, tests, and the globals provided by transformers (raise_exception, strftime_now).
+ * Templates are rendered with trim_blocks and lstrip_blocks enabled and autoescaping disabled, like transformers does.
+ */
+
+export class JinjaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JinjaError';
+    }
+}
+
+/**
+ * Raised by the raise_exception() global of chat templates.
+ */
+export class TemplateException extends JinjaError {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateException';
+    }
+}
+
+const EXPRESSION_OPERATORS = ['//', '**', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '~', '|', '.', ',', ':', '(', ')', '[', ']', '{', '}', '<', '>', '='];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '>', '<=', '>='];
+const BREAK = Symbol('break');
+const CONTINUE = Symbol('continue');
+
+/**
+ * Object created by the namespace() global. Its attributes can be assigned in nested scopes.
+ */
+class Namespace {
+    constructor(values = {}) {
+        Object.assign(this, values);
+    }
+}
+
+/**
+ * Finds the closing delimiter of a tag, skipping string literals.
+ * @param {string} source Template source
+ * @param {number} start Position after the opening delimiter
+ * @param {string} close Closing delimiter
+ * @returns {number} Position of the closing delimiter, -1 if not found
+ */
+function findClosingDelimiter(source, start, close) {
+    let quote = null;
+
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (source.startsWith(close, i)) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Splits a template into text, output, tag and comment tokens and applies the whitespace control.
+ * @param {string} source Template source
+ * @returns {{ type: string, value: string, line: number }[]} Tokens
+ */
+function tokenizeTemplate(source) {
+    const tokens = [];
+    const pattern = /{{|{%|{#/g;
+    let position = 0;
+
+    while (position < source.length) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+
+        if (!match) {
+            tokens.push({ type: 'text', value: source.slice(position) });
+            break;
+        }
+
+        if (match.index > position) {
+            tokens.push({ type: 'text', value: source.slice(position, match.index) });
+        }
+
+        const open = match[0];
+        const close = { '{{': '}}', '{%': '%}', '{#': '#}' }[open];
+        const start = match.index + open.length;
+        const end = open === '{#' ? source.indexOf(close, start) : findClosingDelimiter(source, start, close);
+        const line = source.slice(0, match.index).split('\n').length;
+        const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+
+        if (end === -1) {
+            throw new JinjaError(`Unclosed "${open}" on line ${line}`);
+        }
+
+        let value = source.slice(start, end);
+        const token = { type: { '{{': 'output', '{%': 'tag', '{#': 'comment' }[open], value: '', line, stripBefore: false, stripAfter: false, keepBefore: false, atLineStart: /^[ \t]*$/.test(source.slice(lineStart, match.index)) };
+
+        if (value.startsWith('-')) {
+            token.stripBefore = true;
+            value = value.slice(1);
+        } else if (value.startsWith('+') && open !== '{{') {
+            token.keepBefore = true;
+            value = value.slice(1);
+        }
+
+        if (value.endsWith('-')) {
+            token.stripAfter = true;
+            value = value.slice(0, -1);
+        } else if (value.endsWith('+') && open !== '{{') {
+            value = value.slice(0, -1);
+        }
+
+        token.value = value.trim();
+        tokens.push(token);
+        position = end + close.length;
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        const next = tokens[i + 1];
+        const isBlock = token.type === 'tag' || token.type === 'comment';
+
+        if (token.type === 'text') {
+            continue;
+        }
+
+        if (previous?.type === 'text') {
+            if (token.stripBefore) {
+                previous.value = previous.value.trimEnd();
+            } else if (isBlock && !token.keepBefore && token.atLineStart) {
+                // lstrip_blocks: remove the indentation before a block tag at the start of a line
+                previous.value = previous.value.replace(/[ \t]*$/, '');
+            }
+        }
+
+        if (next?.type === 'text') {
+            if (token.stripAfter) {
+                next.value = next.value.trimStart();
+            } else if (isBlock) {
+                // trim_blocks: remove the first newline after a block tag
+                next.value = next.value.replace(/^\r?\n/, '');
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} text Expression
+ * @returns {{ type: string, value: any }[]} Tokens
+ */
+function tokenizeExpression(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"' };
+            let value = '';
+            i++;
+
+            while (i < text.length && text[i] !== char) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    value += escapes[text[i + 1]] ?? `\\${text[i + 1]}`;
+                    i += 2;
+                } else {
+                    value += text[i++];
+                }
+            }
+
+            if (i >= text.length) {
+                throw new JinjaError(`Unterminated string in "${text}"`);
+            }
+
+            tokens.push({ type: 'string', value });
+            i++;
+            continue;
+        }
+
+        const number = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: Number(number[0]) });
+            i += number[0].length;
+            continue;
+        }
+
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+        if (name) {
+            tokens.push({ type: 'name', value: name[0] });
+            i += name[0].length;
+            continue;
+        }
+
+        const operator = EXPRESSION_OPERATORS.find(x => text.startsWith(x, i));
+        if (!operator) {
+            throw new JinjaError(`Unexpected character "${char}" in "${text}"`);
+        }
+
+        tokens.push({ type: 'op', value: operator });
+        i += operator.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses expressions into syntax trees.
+ */
+class ExpressionParser {
+    /**
+     * @param {string} text Expression
+     */
+    constructor(text) {
+        this.text = text;
+        this.tokens = tokenizeExpression(text);
+        this.position = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isOperator(value, offset = 0) {
+        const token = this.peek(offset);
+        return token?.type === 'op' && token.value === value;
+    }
+
+    isName(value, offset = 0) {
+        const token = this.peek(offset);
+        return token?.type === 'name' && token.value === value;
+    }
+
+    isEnd() {
+        return this.position >= this.tokens.length;
+    }
+
+    expectOperator(value) {
+        if (!this.isOperator(value)) {
+            throw new JinjaError(`Expected "${value}" in "${this.text}"`);
+        }
+        this.position++;
+    }
+
+    expectName(value) {
+        const token = this.next();
+        if (token?.type !== 'name' || (value && token.value !== value)) {
+            throw new JinjaError(`Expected ${value ? `"${value}"` : 'a name'} in "${this.text}"`);
+        }
+        return token.value;
+    }
+
+    expectEnd() {
+        if (!this.isEnd()) {
+            throw new JinjaError(`Unexpected "${this.peek().value}" in "${this.text}"`);
+        }
+    }
+
+    /**
+     * Parses an expression, including a tuple without parentheses.
+     */
+    parseTuple() {
+        const first = this.parseExpression();
+
+        if (!this.isOperator(',')) {
+            return first;
+        }
+
+        const items = [first];
+        while (this.isOperator(',')) {
+            this.position++;
+            if (this.isEnd() || this.isOperator(')')) {
+                break;
+            }
+            items.push(this.parseExpression());
+        }
+
+        return { type: 'list', items };
+    }
+
+    parseExpression() {
+        const value = this.parseOr();
+
+        if (this.isName('if')) {
+            this.position++;
+            const test = this.parseOr();
+            let otherwise = { type: 'literal', value: undefined };
+
+            if (this.isName('else')) {
+                this.position++;
+                otherwise = this.parseExpression();
+            }
+
+            return { type: 'conditional', test, value, otherwise };
+        }
+
+        return value;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isName('or')) {
+            this.position++;
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isName('and')) {
+            this.position++;
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isName('not')) {
+            this.position++;
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let left = this.parseConcat();
+
+        while (true) {
+            const token = this.peek();
+
+            if (token?.type === 'op' && COMPARISON_OPERATORS.includes(token.value)) {
+                this.position++;
+                left = { type: 'binary', operator: token.value, left, right: this.parseConcat() };
+            } else if (this.isName('in')) {
+                this.position++;
+                left = { type: 'binary', operator: 'in', left, right: this.parseConcat() };
+            } else if (this.isName('not') && this.isName('in', 1)) {
+                this.position += 2;
+                left = { type: 'not', operand: { type: 'binary', operator: 'in', left, right: this.parseConcat() } };
+            } else if (this.isName('is')) {
+                this.position++;
+                const negated = this.isName('not');
+                if (negated) {
+                    this.position++;
+                }
+                const name = this.expectName();
+                let args = [];
+
+                if (this.isOperator('(')) {
+                    args = this.parseArguments().args;
+                } else if (this.peek() && !this.isTestBoundary()) {
+                    args = [this.parseConcat()];
+                }
+
+                const test = { type: 'test', name, value: left, args };
+                left = negated ? { type: 'not', operand: test } : test;
+            } else {
+                return left;
+            }
+        }
+    }
+
+    /**
+     * Checks if the next token ends a test without parentheses, e.g. "x is defined and ...".
+     */
+    isTestBoundary() {
+        const token = this.peek();
+        if (token.type === 'name') {
+            return ['and', 'or', 'if', 'else', 'is', 'in', 'not', 'for', 'recursive'].includes(token.value);
+        }
+        return token.type === 'op' && [')', ']', '}', ',', ':', '|', '=', ...COMPARISON_OPERATORS].includes(token.value);
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.isOperator('~')) {
+            this.position++;
+            left = { type: 'binary', operator: '~', left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOperator('+') || this.isOperator('-')) {
+            const operator = this.next().value;
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (['*', '/', '//', '%'].some(x => this.isOperator(x))) {
+            const operator = this.next().value;
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOperator('-') || this.isOperator('+')) {
+            const operator = this.next().value;
+            return { type: 'unary', operator, operand: this.parseUnary() };
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const left = this.parseFiltered();
+        if (this.isOperator('**')) {
+            this.position++;
+            return { type: 'binary', operator: '**', left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseFiltered() {
+        let value = this.parsePostfix();
+
+        while (this.isOperator('|')) {
+            this.position++;
+            const name = this.expectName();
+            const { args, kwargs } = this.isOperator('(') ? this.parseArguments() : { args: [], kwargs: {} };
+            value = { type: 'filter', name, value, args, kwargs };
+        }
+
+        return value;
+    }
+
+    parsePostfix() {
+        let value = this.parsePrimary();
+
+        while (true) {
+            if (this.isOperator('.')) {
+                this.position++;
+                const token = this.next();
+                if (token?.type !== 'name' && token?.type !== 'number') {
+                    throw new JinjaError(`Expected an attribute name in "${this.text}"`);
+                }
+                value = { type: 'attribute', object: value, name: String(token.value) };
+            } else if (this.isOperator('[')) {
+                this.position++;
+                value = this.parseSubscript(value);
+            } else if (this.isOperator('(')) {
+                const { args, kwargs } = this.parseArguments();
+                value = { type: 'call', callee: value, args, kwargs };
+            } else {
+                return value;
+            }
+        }
+    }
+
+    parseSubscript(object) {
+        const parts = [null];
+
+        while (!this.isOperator(']')) {
+            if (this.isOperator(':')) {
+                this.position++;
+                parts.push(null);
+            } else {
+                parts[parts.length - 1] = this.parseExpression();
+            }
+        }
+
+        this.expectOperator(']');
+
+        if (parts.length === 1) {
+            return { type: 'item', object, index: parts[0] };
+        }
+
+        const [start, stop, step] = parts;
+        return { type: 'slice', object, start, stop, step: step ?? null };
+    }
+
+    parseArguments() {
+        this.expectOperator('(');
+        const args = [];
+        const kwargs = {};
+
+        while (!this.isOperator(')')) {
+            if (this.peek()?.type === 'name' && this.isOperator('=', 1)) {
+                const name = this.next().value;
+                this.position++;
+                kwargs[name] = this.parseExpression();
+            } else {
+                args.push(this.parseExpression());
+            }
+
+            if (!this.isOperator(')')) {
+                this.expectOperator(',');
+            }
+        }
+
+        this.expectOperator(')');
+        return { args, kwargs };
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (!token) {
+            throw new JinjaError(`Unexpected end of "${this.text}"`);
+        }
+
+        if (token.type === 'string') {
+            let value = token.value;
+            // Adjacent string literals are concatenated
+            while (this.peek()?.type === 'string') {
+                value += this.next().value;
+            }
+            return { type: 'literal', value };
+        }
+
+        if (token.type === 'number') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            const constants = { true: true, True: true, false: false, False: false, none: null, None: null };
+            if (token.value in constants) {
+                return { type: 'literal', value: constants[token.value] };
+            }
+            return { type: 'name', name: token.value };
+        }
+
+        if (token.value === '(') {
+            if (this.isOperator(')')) {
+                this.position++;
+                return { type: 'list', items: [] };
+            }
+            const value = this.parseTuple();
+            this.expectOperator(')');
+            return value;
+        }
+
+        if (token.value === '[') {
+            const items = [];
+            while (!this.isOperator(']')) {
+                items.push(this.parseExpression());
+                if (!this.isOperator(']')) {
+                    this.expectOperator(',');
+                }
+            }
+            this.position++;
+            return { type: 'list', items };
+        }
+
+        if (token.value === '{') {
+            const entries = [];
+            while (!this.isOperator('}')) {
+                const key = this.parseExpression();
+                this.expectOperator(':');
+                entries.push([key, this.parseExpression()]);
+                if (!this.isOperator('}')) {
+                    this.expectOperator(',');
+                }
+            }
+            this.position++;
+            return { type: 'dict', entries };
+        }
+
+        throw new JinjaError(`Unexpected "${token.value}" in "${this.text}"`);
+    }
+}
+
+/**
+ * Parses an expression that must span the whole text.
+ * @param {string} text Expression
+ * @returns {object} Syntax tree
+ */
+function parseExpression(text) {
+    const parser = new ExpressionParser(text);
+    const expression = parser.parseTuple();
+    parser.expectEnd();
+    return expression;
+}
+
+/**
+ * Parses an assignment target: a name, a list of names or a namespace attribute.
+ * @param {ExpressionParser} parser Parser positioned at the target
+ * @returns {object} Target
+ */
+function parseTarget(parser) {
+    const names = [parser.expectName()];
+
+    if (parser.isOperator('.')) {
+        parser.position++;
+        return { type: 'attribute', object: names[0], name: parser.expectName() };
+    }
+
+    while (parser.isOperator(',')) {
+        parser.position++;
+        names.push(parser.expectName());
+    }
+
+    return names.length === 1 ? { type: 'name', name: names[0] } : { type: 'names', names };
+}
+
+/**
+ * Parses the tokens of a template into a tree of nodes.
+ * @param {ReturnType<typeof tokenizeTemplate>} tokens Tokens
+ * @returns {object[]} Nodes
+ */
+function parseTemplate(tokens) {
+    let position = 0;
+
+    function parseBody(endTags) {
+        const nodes = [];
+
+        while (position < tokens.length) {
+            const token = tokens[position];
+
+            if (token.type === 'text') {
+                token.value && nodes.push({ type: 'text', value: token.value });
+                position++;
+                continue;
+            }
+
+            if (token.type === 'comment') {
+                position++;
+                continue;
+            }
+
+            if (token.type === 'output') {
+                nodes.push({ type: 'output', expression: parseExpression(token.value) });
+                position++;
+                continue;
+            }
+
+            const keyword = token.value.split(/\s/, 1)[0];
+            const rest = token.value.slice(keyword.length).trim();
+
+            if (endTags.includes(keyword)) {
+                return { nodes, end: keyword, rest };
+            }
+
+            position++;
+
+            try {
+                nodes.push(parseStatement(keyword, rest));
+            } catch (error) {
+                if (error instanceof JinjaError && !/ on line \d+$/.test(error.message)) {
+                    error.message += ` on line ${token.line}`;
+                }
+                throw error;
+            }
+        }
+
+        if (endTags.length) {
+            throw new JinjaError(`Missing "${endTags[endTags.length - 1]}"`);
+        }
+
+        return { nodes, end: null, rest: '' };
+    }
+
+    function parseStatement(keyword, rest) {
+        switch (keyword) {
+            case 'if': {
+                const node = { type: 'if', branches: [], otherwise: [] };
+                let test = parseExpression(rest);
+
+                while (true) {
+                    const body = parseBody(['elif', 'else', 'endif']);
+                    position++;
+                    node.branches.push({ test, nodes: body.nodes });
+
+                    if (body.end === 'elif') {
+                        test = parseExpression(body.rest);
+                    } else {
+                        if (body.end === 'else') {
+                            node.otherwise = parseBody(['endif']).nodes;
+                            position++;
+                        }
+                        return node;
+                    }
+                }
+            }
+            case 'for': {
+                const parser = new ExpressionParser(rest);
+                const target = parseTarget(parser);
+                parser.expectName('in');
+                const iterable = parser.parseOr();
+                let filter = null;
+
+                if (parser.isName('if')) {
+                    parser.position++;
+                    filter = parser.parseExpression();
+                }
+
+                if (parser.isName('recursive')) {
+                    throw new JinjaError('Recursive loops are not supported');
+                }
+
+                parser.expectEnd();
+                const body = parseBody(['else', 'endfor']);
+                position++;
+                let otherwise = [];
+
+                if (body.end === 'else') {
+                    otherwise = parseBody(['endfor']).nodes;
+                    position++;
+                }
+
+                return { type: 'for', target, iterable, filter, nodes: body.nodes, otherwise };
+            }
+            case 'set': {
+                const parser = new ExpressionParser(rest);
+                const target = parseTarget(parser);
+
+                if (parser.isEnd()) {
+                    const body = parseBody(['endset']);
+                    position++;
+                    return { type: 'setBlock', target, nodes: body.nodes };
+                }
+
+                parser.expectOperator('=');
+                const value = parser.parseTuple();
+                parser.expectEnd();
+                return { type: 'set', target, value };
+            }
+            case 'macro': {
+                const parser = new ExpressionParser(rest);
+                const name = parser.expectName();
+                const params = [];
+                parser.expectOperator('(');
+
+                while (!parser.isOperator(')')) {
+                    const param = { name: parser.expectName(), defaultValue: null };
+                    if (parser.isOperator('=')) {
+                        parser.position++;
+                        param.defaultValue = parser.parseExpression();
+                    }
+                    params.push(param);
+                    if (!parser.isOperator(')')) {
+                        parser.expectOperator(',');
+                    }
+                }
+
+                parser.position++;
+                parser.expectEnd();
+                const body = parseBody(['endmacro']);
+                position++;
+                return { type: 'macro', name, params, nodes: body.nodes };
+            }
+            case 'filter': {
+                const parser = new ExpressionParser(rest);
+                const name = parser.expectName();
+                const { args, kwargs } = parser.isOperator('(') ? parser.parseArguments() : { args: [], kwargs: {} };
+                parser.expectEnd();
+                const body = parseBody(['endfilter']);
+                position++;
+                return { type: 'filterBlock', name, args, kwargs, nodes: body.nodes };
+            }
+            case 'generation': {
+                // Marks the assistant output for training masks, rendered as is
+                const body = parseBody(['endgeneration']);
+                position++;
+                return { type: 'group', nodes: body.nodes };
+            }
+            case 'break':
+            case 'continue':
+                return { type: keyword };
+            case 'do':
+                return { type: 'do', expression: parseExpression(rest) };
+            default:
+                throw new JinjaError(`Unknown tag "${keyword}"`);
+        }
+    }
+
+    return parseBody([]).nodes;
+}
+
+/**
+ * Checks if a value is a mapping (a plain object or a namespace).
+ * @param {any} value Value
+ * @returns {boolean} Whether the value is a mapping
+ */
+function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Gets the truth value of a value like Python does.
+ * @param {any} value Value
+ * @returns {boolean} Truth value
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+
+    if (isMapping(value) && !(value instanceof Namespace)) {
+        return Object.keys(value).length > 0;
+    }
+
+    return Boolean(value);
+}
+
+/**
+ * Compares values like Python does.
+ * @param {any} a First value
+ * @param {any} b Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((x, i) => isEqual(x, b[i]));
+    }
+
+    if (isMapping(a) && isMapping(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+    }
+
+    return false;
+}
+
+/**
+ * Converts a value to its Python representation, used when lists and dicts are printed.
+ * @param {any} value Value
+ * @returns {string} Representation
+ */
+function toRepresentation(value) {
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+    }
+
+    if (Array.isArray(value)) {
+        return `[${value.map(toRepresentation).join(', ')}]`;
+    }
+
+    if (isMapping(value)) {
+        return `{${Object.entries(value).map(([k, v]) => `${toRepresentation(k)}: ${toRepresentation(v)}`).join(', ')}}`;
+    }
+
+    return toText(value);
+}
+
+/**
+ * Converts a value to the text it renders as.
+ * @param {any} value Value
+ * @returns {string} Text
+ */
+function toText(value) {
+    if (value === undefined) {
+        return '';
+    }
+
+    if (value === null) {
+        return 'None';
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'True' : 'False';
+    }
+
+    if (typeof value === 'string') {
+        return value;
+    }
+
+    if (Array.isArray(value) || isMapping(value)) {
+        return toRepresentation(value);
+    }
+
+    return String(value);
+}
+
+/**
+ * Serializes a value to JSON with the separators of Python's json.dumps, as the tojson filter of transformers does.
+ * @param {any} value Value
+ * @param {number|null} indent Indentation, null for a single line
+ * @param {number} [level] Current nesting level
+ * @returns {string} JSON
+ */
+function toJson(value, indent, level = 0) {
+    if (value === undefined || value === null || typeof value === 'function') {
+        return 'null';
+    }
+
+    const isList = Array.isArray(value);
+
+    if (!isList && !isMapping(value)) {
+        return JSON.stringify(value);
+    }
+
+    const items = isList
+        ? value.map(x => toJson(x, indent, level + 1))
+        : Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${toJson(v, indent, level + 1)}`);
+    const [open, close] = isList ? ['[', ']'] : ['{', '}'];
+
+    if (!items.length) {
+        return open + close;
+    }
+
+    if (indent === null) {
+        return open + items.join(', ') + close;
+    }
+
+    const padding = ' '.repeat(indent * (level + 1));
+    return `${open}\n${padding}${items.join(`,\n${padding}`)}\n${' '.repeat(indent * level)}${close}`;
+}
+
+/**
+ * Formats a date like Python's strftime.
+ * @param {Date} date Date
+ * @param {string} format Format
+ * @returns {string} Formatted date
+ */
+function strftime(date, format) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const locale = 'en-US';
+    const dayOfYear = Math.floor((date.getTime() - new Date(date.getFullYear(), 0, 1).getTime()) / 86400000) + 1;
+    const codes = {
+        a: () => date.toLocaleDateString(locale, { weekday: 'short' }),
+        A: () => date.toLocaleDateString(locale, { weekday: 'long' }),
+        b: () => date.toLocaleDateString(locale, { month: 'short' }),
+        B: () => date.toLocaleDateString(locale, { month: 'long' }),
+        d: () => pad(date.getDate()),
+        H: () => pad(date.getHours()),
+        I: () => pad(date.getHours() % 12 || 12),
+        j: () => pad(dayOfYear, 3),
+        m: () => pad(date.getMonth() + 1),
+        M: () => pad(date.getMinutes()),
+        p: () => date.getHours() < 12 ? 'AM' : 'PM',
+        S: () => pad(date.getSeconds()),
+        y: () => pad(date.getFullYear() % 100),
+        Y: () => String(date.getFullYear()),
+        '%': () => '%',
+    };
+
+    return format.replace(/%([-]?)([A-Za-z%])/g, (match, noPad, code) => {
+        const value = codes[code]?.() ?? match;
+        return noPad ? value.replace(/^0+(?=\d)/, '') : value;
+    });
+}
+
+/**
+ * Normalizes an index like Python does for negative indices.
+ * @param {number} index Index
+ * @param {number} length Length of the sequence
+ * @returns {number} Index
+ */
+function normalizeIndex(index, length) {
+    return index < 0 ? index + length : index;
+}
+
+/**
+ * Slices a list or a string like Python does.
+ * @param {any[]|string} value Sequence
+ * @param {number|null} start Start index
+ * @param {number|null} stop Stop index
+ * @param {number|null} step Step
+ * @returns {any[]|string} Slice
+ */
+function slice(value, start, stop, step) {
+    const items = typeof value === 'string' ? Array.from(value) : Array.from(value ?? []);
+    const length = items.length;
+    step = step ?? 1;
+
+    if (step === 0) {
+        throw new JinjaError('Slice step cannot be zero');
+    }
+
+    const clamp = (index, fallback, min, max) => index === null ? fallback : Math.min(Math.max(normalizeIndex(index, length), min), max);
+    const result = [];
+
+    if (step > 0) {
+        for (let i = clamp(start, 0, 0, length); i < clamp(stop, length, 0, length); i += step) {
+            result.push(items[i]);
+        }
+    } else {
+        for (let i = clamp(start, length - 1, -1, length - 1); i > clamp(stop, -1, -1, length - 1); i += step) {
+            result.push(items[i]);
+        }
+    }
+
+    return typeof value === 'string' ? result.join('') : result;
+}
+
+/**
+ * Strips characters from the ends of a string like Python's str.strip.
+ * @param {string} value String
+ * @param {string|null|undefined} chars Characters to strip, whitespace if not set
+ * @param {boolean} start Strip the start
+ * @param {boolean} end Strip the end
+ * @returns {string} Stripped string
+ */
+function strip(value, chars, start, end) {
+    if (chars === undefined || chars === null) {
+        return start && end ? value.trim() : (start ? value.trimStart() : value.trimEnd());
+    }
+
+    let from = 0;
+    let to = value.length;
+    while (start && from < to && chars.includes(value[from])) from++;
+    while (end && to > from && chars.includes(value[to - 1])) to--;
+    return value.slice(from, to);
+}
+
+/**
+ * Capitalizes a string like Python's str.capitalize.
+ * @param {string} value String
+ * @returns {string} Capitalized string
+ */
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+}
+
+/**
+ * Gets a method of a string, a list or a dict.
+ * @param {any} object Object
+ * @param {string} name Method name
+ * @returns {Function|undefined} Method taking positional and keyword arguments
+ */
+function getMethod(object, name) {
+    if (typeof object === 'string') {
+        const methods = {
+            strip: ([chars]) => strip(object, chars, true, true),
+            lstrip: ([chars]) => strip(object, chars, true, false),
+            rstrip: ([chars]) => strip(object, chars, false, true),
+            upper: () => object.toUpperCase(),
+            lower: () => object.toLowerCase(),
+            title: () => object.replace(/\w\S*/g, capitalize),
+            capitalize: () => capitalize(object),
+            startswith: ([prefix]) => (Array.isArray(prefix) ? prefix : [prefix]).some(x => object.startsWith(x)),
+            endswith: ([suffix]) => (Array.isArray(suffix) ? suffix : [suffix]).some(x => object.endsWith(x)),
+            find: ([sub]) => object.indexOf(sub),
+            count: ([sub]) => sub ? object.split(sub).length - 1 : object.length + 1,
+            join: ([items]) => Array.from(items ?? []).map(toText).join(object),
+            splitlines: () => object.split(/\r?\n/).filter((x, i, a) => i < a.length - 1 || x !== ''),
+            replace: ([old, replacement, count]) => {
+                if (count === undefined || count < 0) {
+                    return object.split(old).join(replacement);
+                }
+                const parts = object.split(old);
+                return parts.slice(0, count + 1).join(replacement) + (parts.length > count + 1 ? old + parts.slice(count + 1).join(old) : '');
+            },
+            split: ([separator, limit]) => {
+                const parts = separator === undefined || separator === null ? object.trim().split(/\s+/).filter(x => x) : object.split(separator);
+                if (limit === undefined || limit < 0 || parts.length <= limit + 1) {
+                    return parts;
+                }
+                return [...parts.slice(0, limit), parts.slice(limit).join(separator ?? ' ')];
+            },
+            format: (args, kwargs) => {
+                let index = 0;
+                return object.replace(/{(\w*)}/g, (_, key) => toText(key === '' ? args[index++] : (/^\d+$/.test(key) ? args[Number(key)] : kwargs[key])));
+            },
+        };
+        return methods[name];
+    }
+
+    if (Array.isArray(object)) {
+        const methods = {
+            index: ([value]) => {
+                const index = object.findIndex(x => isEqual(x, value));
+                if (index === -1) {
+                    throw new JinjaError(`${toRepresentation(value)} is not in list`);
+                }
+                return index;
+            },
+            count: ([value]) => object.filter(x => isEqual(x, value)).length,
+        };
+        return methods[name];
+    }
+
+    if (isMapping(object) && !(object instanceof Namespace)) {
+        const methods = {
+            items: () => Object.entries(object),
+            keys: () => Object.keys(object),
+            values: () => Object.values(object),
+            get: ([key, fallback]) => key in object ? object[key] : (fallback ?? null),
+        };
+        return methods[name];
+    }
+
+    return undefined;
+}
+
+/**
+ * Gets an attribute of an object. Methods take precedence over the items of dicts, like in Jinja.
+ * @param {any} object Object
+ * @param {string} name Attribute name
+ * @returns {any} Attribute value
+ */
+function getAttribute(object, name) {
+    if (object === undefined || object === null) {
+        return undefined;
+    }
+
+    const method = getMethod(object, name);
+    if (method) {
+        return method;
+    }
+
+    return isMapping(object) && Object.hasOwn(object, name) ? object[name] : undefined;
+}
+
+/**
+ * Gets an item of a list, a string or a dict.
+ * @param {any} object Object
+ * @param {any} key Index or key
+ * @returns {any} Item
+ */
+function getItem(object, key) {
+    if (object === undefined || object === null) {
+        return undefined;
+    }
+
+    if ((Array.isArray(object) || typeof object === 'string') && typeof key === 'number') {
+        return object[normalizeIndex(key, object.length)];
+    }
+
+    if (isMapping(object) && Object.hasOwn(object, String(key))) {
+        return object[key];
+    }
+
+    return typeof key === 'string' ? getMethod(object, key) : undefined;
+}
+
+/**
+ * Converts an iterable value to an array.
+ * @param {any} value Value
+ * @returns {any[]} Items
+ */
+function toList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+        return Array.from(value);
+    }
+
+    if (isMapping(value)) {
+        return Object.keys(value);
+    }
+
+    throw new JinjaError(`${toText(value)} is not iterable`);
+}
+
+/**
+ * Resolves a dotted attribute path like "function.name".
+ * @param {any} object Object
+ * @param {string} path Attribute path
+ * @returns {any} Attribute value
+ */
+function getAttributePath(object, path) {
+    return String(path).split('.').reduce((value, part) => getItem(value, /^\d+$/.test(part) ? Number(part) : part), object);
+}
+
+const TESTS = {
+    defined: value => value !== undefined,
+    undefined: value => value === undefined,
+    none: value => value === null,
+    boolean: value => typeof value === 'boolean',
+    true: value => value === true,
+    false: value => value === false,
+    number: value => typeof value === 'number',
+    integer: value => Number.isInteger(value),
+    float: value => typeof value === 'number' && !Number.isInteger(value),
+    string: value => typeof value === 'string',
+    mapping: value => isMapping(value),
+    iterable: value => typeof value === 'string' || Array.isArray(value) || isMapping(value),
+    sequence: value => typeof value === 'string' || Array.isArray(value) || isMapping(value),
+    callable: value => typeof value === 'function',
+    odd: value => value % 2 === 1,
+    even: value => value % 2 === 0,
+    divisibleby: (value, divisor) => value % divisor === 0,
+    lower: value => typeof value === 'string' && value === value.toLowerCase(),
+    upper: value => typeof value === 'string' && value === value.toUpperCase(),
+    equalto: (value, other) => isEqual(value, other),
+    eq: (value, other) => isEqual(value, other),
+    '==': (value, other) => isEqual(value, other),
+    ne: (value, other) => !isEqual(value, other),
+    '!=': (value, other) => !isEqual(value, other),
+    lt: (value, other) => value < other,
+    le: (value, other) => value <= other,
+    gt: (value, other) => value > other,
+    ge: (value, other) => value >= other,
+    in: (value, container) => contains(container, value),
+    sameas: (value, other) => value === other,
+};
+
+/**
+ * Runs a test by name.
+ * @param {string} name Test name
+ * @param {any} value Tested value
+ * @param {any[]} args Test arguments
+ * @returns {boolean} Result
+ */
+function runTest(name, value, args) {
+    const test = TESTS[name];
+
+    if (!test) {
+        throw new JinjaError(`Unknown test "${name}"`);
+    }
+
+    return test(value, ...args);
+}
+
+/**
+ * Checks if a container includes a value like Python's "in" operator.
+ * @param {any} container Container
+ * @param {any} value Value
+ * @returns {boolean} Whether the value is in the container
+ */
+function contains(container, value) {
+    if (typeof container === 'string') {
+        return container.includes(toText(value));
+    }
+
+    if (Array.isArray(container)) {
+        return container.some(x => isEqual(x, value));
+    }
+
+    if (isMapping(container)) {
+        return Object.hasOwn(container, String(value));
+    }
+
+    return false;
+}
+
+/**
+ * Selects the items of a list for the select, reject, selectattr and rejectattr filters.
+ * @param {any} value List
+ * @param {string|null} attribute Attribute to test, null to test the items
+ * @param {any[]} args Test name and arguments
+ * @param {boolean} expected Expected test result
+ * @returns {any[]} Selected items
+ */
+function selectItems(value, attribute, args, expected) {
+    const [testName, ...testArgs] = args;
+    return toList(value).filter(item => {
+        const tested = attribute === null ? item : getAttributePath(item, attribute);
+        const result = testName === undefined ? isTruthy(tested) : runTest(testName, tested, testArgs);
+        return result === expected;
+    });
+}
+
+const FILTERS = {
+    abs: value => Math.abs(value),
+    attr: (value, name) => getAttribute(value, name),
+    capitalize: value => capitalize(toText(value)),
+    count: value => toList(value).length,
+    default: (value, fallback = '', boolean = false) => (value === undefined || (boolean && !isTruthy(value))) ? fallback : value,
+    dictsort: value => Object.entries(value ?? {}).sort(([a], [b]) => a.localeCompare(b)),
+    e: value => FILTERS.escape(value),
+    escape: value => toText(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&#34;').replace(/'/g, '&#39;'),
+    first: value => toList(value)[0],
+    float: (value, fallback = 0.0) => Number.isNaN(parseFloat(value)) ? fallback : parseFloat(value),
+    indent: (value, width = 4, first = false, blank = false) => {
+        const padding = typeof width === 'string' ? width : ' '.repeat(width);
+        return toText(value).split('\n').map((line, i) => (i === 0 && !first) || (!blank && !line.trim()) ? line : padding + line).join('\n');
+    },
+    int: (value, fallback = 0) => Number.isNaN(parseInt(value)) ? fallback : Math.trunc(Number(value)) || parseInt(value),
+    items: value => Object.entries(value ?? {}),
+    join: (value, separator = '', attribute = null) => toList(value).map(x => toText(attribute === null ? x : getAttributePath(x, attribute))).join(separator),
+    last: value => toList(value).at(-1),
+    length: value => toList(value).length,
+    list: value => toList(value),
+    lower: value => toText(value).toLowerCase(),
+    map: (value, ...args) => {
+        const kwargs = args.length && isMapping(args.at(-1)) && args.at(-1).__kwargs ? args.pop() : {};
+        if (kwargs.attribute !== undefined) {
+            return toList(value).map(x => getAttributePath(x, kwargs.attribute) ?? kwargs.default);
+        }
+        const [name, ...filterArgs] = args;
+        return toList(value).map(x => runFilter(name, x, filterArgs));
+    },
+    max: value => toList(value).reduce((a, b) => (b > a ? b : a)),
+    min: value => toList(value).reduce((a, b) => (b < a ? b : a)),
+    reject: (value, ...args) => selectItems(value, null, args, false),
+    rejectattr: (value, attribute, ...args) => selectItems(value, attribute, args, false),
+    replace: (value, old, replacement, count) => getMethod(toText(value), 'replace')([old, replacement, count], {}),
+    reverse: value => typeof value === 'string' ? Array.from(value).reverse().join('') : toList(value).reverse(),
+    round: (value, precision = 0, method = 'common') => {
+        const factor = 10 ** precision;
+        const round = { common: Math.round, ceil: Math.ceil, floor: Math.floor }[method] ?? Math.round;
+        return round(value * factor) / factor;
+    },
+    safe: value => value,
+    select: (value, ...args) => selectItems(value, null, args, true),
+    selectattr: (value, attribute, ...args) => selectItems(value, attribute, args, true),
+    sort: (value, reverse = false, _caseSensitive = false, attribute = null) => {
+        const key = x => attribute === null ? x : getAttributePath(x, attribute);
+        const sorted = toList(value).sort((a, b) => key(a) < key(b) ? -1 : (key(a) > key(b) ? 1 : 0));
+        return reverse ? sorted.reverse() : sorted;
+    },
+    string: value => toText(value),
+    sum: (value, attribute = null, start = 0) => toList(value).reduce((total, x) => total + (attribute === null ? x : getAttributePath(x, attribute)), start),
+    title: value => toText(value).replace(/\w\S*/g, capitalize),
+    tojson: (value, indent = null) => toJson(value, indent),
+    trim: (value, chars = null) => strip(toText(value), chars, true, true),
+    unique: value => toList(value).filter((x, i, a) => a.findIndex(y => isEqual(x, y)) === i),
+    upper: value => toText(value).toUpperCase(),
+    wordcount: value => toText(value).split(/\s+/).filter(x => x).length,
+};
+
+FILTERS.d = FILTERS.default;
+
+/**
+ * Names of the keyword arguments of filters, in the order of their positional arguments.
+ */
+const FILTER_PARAMETERS = {
+    default: ['default_value', 'boolean'],
+    d: ['default_value', 'boolean'],
+    indent: ['width', 'first', 'blank'],
+    join: ['d', 'attribute'],
+    round: ['precision', 'method'],
+    sort: ['reverse', 'case_sensitive', 'attribute'],
+    sum: ['attribute', 'start'],
+    tojson: ['indent'],
+    trim: ['chars'],
+    replace: ['old', 'new', 'count'],
+    int: ['default'],
+    float: ['default'],
+};
+
+/**
+ * Runs a filter by name.
+ * @param {string} name Filter name
+ * @param {any} value Filtered value
+ * @param {any[]} args Positional arguments
+ * @param {Record<string, any>} [kwargs] Keyword arguments
+ * @returns {any} Result
+ */
+function runFilter(name, value, args, kwargs = {}) {
+    const filter = FILTERS[name];
+
+    if (!filter) {
+        throw new JinjaError(`Unknown filter "${name}"`);
+    }
+
+    args = [...args];
+
+    if (name === 'map') {
+        Object.keys(kwargs).length && args.push({ ...kwargs, __kwargs: true });
+    } else {
+        for (const [key, kwarg] of Object.entries(kwargs)) {
+            const index = FILTER_PARAMETERS[name]?.indexOf(key) ?? -1;
+            if (index === -1) {
+                throw new JinjaError(`Unknown argument "${key}" of the "${name}" filter`);
+            }
+            args[index] = kwarg;
+        }
+    }
+
+    return filter(value, ...args);
+}
+
+/**
+ * Variable scope. Assignments are local, lookups fall back to the parent scopes.
+ */
+class Scope {
+    /**
+     * @param {Scope|null} parent Parent scope
+     * @param {Record<string, any>} [variables] Initial variables
+     */
+    constructor(parent, variables = {}) {
+        this.parent = parent;
+        this.variables = new Map(Object.entries(variables));
+    }
+
+    lookup(name) {
+        for (let scope = /** @type {Scope} */ (this); scope; scope = scope.parent) {
+            if (scope.variables.has(name)) {
+                return scope.variables.get(name);
+            }
+        }
+        return undefined;
+    }
+
+    set(name, value) {
+        this.variables.set(name, value);
+    }
+}
+
+/**
+ * A compiled Jinja template.
+ */
+export class JinjaTemplate {
+    /**
+     * @param {string} source Template source
+     */
+    constructor(source) {
+        this.nodes = parseTemplate(tokenizeTemplate(source));
+    }
+
+    /**
+     * Renders the template.
+     * @param {Record<string, any>} context Template variables
+     * @returns {string} Rendered text
+     */
+    render(context = {}) {
+        const globals = new Scope(null, {
+            range: (args) => {
+                const [start, stop, step = 1] = args.length === 1 ? [0, args[0]] : args;
+                const result = [];
+                for (let i = start; step > 0 ? i < stop : i > stop; i += step) {
+                    result.push(i);
+                }
+                return result;
+            },
+            namespace: (_args, kwargs) => new Namespace(kwargs),
+            dict: (_args, kwargs) => ({ ...kwargs }),
+            raise_exception: ([message]) => {
+                throw new TemplateException(toText(message));
+            },
+            strftime_now: ([format]) => strftime(new Date(), toText(format)),
+        });
+        const output = [];
+        this.renderNodes(this.nodes, new Scope(globals, structuredClone(context)), output);
+        return output.join('');
+    }
+
+    /**
+     * Renders nodes to the output.
+     * @param {object[]} nodes Nodes
+     * @param {Scope} scope Variable scope
+     * @param {string[]} output Rendered text
+     * @returns {symbol|undefined} Loop control signal
+     */
+    renderNodes(nodes, scope, output) {
+        for (const node of nodes) {
+            const signal = this.renderNode(node, scope, output);
+            if (signal) {
+                return signal;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Renders a node to the output.
+     * @param {any} node Node
+     * @param {Scope} scope Variable scope
+     * @param {string[]} output Rendered text
+     * @returns {symbol|undefined} Loop control signal
+     */
+    renderNode(node, scope, output) {
+        switch (node.type) {
+            case 'text':
+                output.push(node.value);
+                return undefined;
+            case 'output':
+                output.push(toText(this.evaluate(node.expression, scope)));
+                return undefined;
+            case 'if': {
+                const branch = node.branches.find(x => isTruthy(this.evaluate(x.test, scope)));
+                return this.renderNodes(branch ? branch.nodes : node.otherwise, scope, output);
+            }
+            case 'for':
+                return this.renderLoop(node, scope, output);
+            case 'set':
+                this.assign(node.target, this.evaluate(node.value, scope), scope);
+                return undefined;
+            case 'setBlock': {
+                const block = [];
+                this.renderNodes(node.nodes, scope, block);
+                this.assign(node.target, block.join(''), scope);
+                return undefined;
+            }
+            case 'macro':
+                scope.set(node.name, this.createMacro(node, scope));
+                return undefined;
+            case 'filterBlock': {
+                const block = [];
+                this.renderNodes(node.nodes, scope, block);
+                const args = node.args.map(x => this.evaluate(x, scope));
+                const kwargs = Object.fromEntries(Object.entries(node.kwargs).map(([k, v]) => [k, this.evaluate(v, scope)]));
+                output.push(toText(runFilter(node.name, block.join(''), args, kwargs)));
+                return undefined;
+            }
+            case 'group':
+                return this.renderNodes(node.nodes, scope, output);
+            case 'do':
+                this.evaluate(node.expression, scope);
+                return undefined;
+            case 'break':
+                return BREAK;
+            case 'continue':
+                return CONTINUE;
+            default:
+                throw new JinjaError(`Unknown node "${node.type}"`);
+        }
+    }
+
+    /**
+     * Renders a for loop.
+     * @param {any} node Loop node
+     * @param {Scope} scope Variable scope
+     * @param {string[]} output Rendered text
+     * @returns {undefined}
+     */
+    renderLoop(node, scope, output) {
+        const iterable = this.evaluate(node.iterable, scope);
+        let items = isMapping(iterable) ? Object.keys(iterable) : toList(iterable);
+
+        if (node.filter) {
+            items = items.filter(item => {
+                const filterScope = new Scope(scope);
+                this.assign(node.target, item, filterScope);
+                return isTruthy(this.evaluate(node.filter, filterScope));
+            });
+        }
+
+        if (!items.length) {
+            this.renderNodes(node.otherwise, scope, output);
+            return undefined;
+        }
+
+        for (let i = 0; i < items.length; i++) {
+            const loopScope = new Scope(scope);
+            this.assign(node.target, items[i], loopScope);
+            loopScope.set('loop', {
+                index: i + 1,
+                index0: i,
+                revindex: items.length - i,
+                revindex0: items.length - i - 1,
+                first: i === 0,
+                last: i === items.length - 1,
+                length: items.length,
+                previtem: items[i - 1],
+                nextitem: items[i + 1],
+                cycle: (args) => args[i % args.length],
+            });
+
+            if (this.renderNodes(node.nodes, loopScope, output) === BREAK) {
+                break;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Assigns a value to a target.
+     * @param {any} target Name, names or namespace attribute
+     * @param {any} value Value
+     * @param {Scope} scope Variable scope
+     */
+    assign(target, value, scope) {
+        switch (target.type) {
+            case 'name':
+                scope.set(target.name, value);
+                break;
+            case 'names': {
+                const values = toList(value);
+                if (values.length !== target.names.length) {
+                    throw new JinjaError(`Expected ${target.names.length} values to unpack, got ${values.length}`);
+                }
+                target.names.forEach((name, i) => scope.set(name, values[i]));
+                break;
+            }
+            case 'attribute': {
+                const namespace = scope.lookup(target.object);
+                if (!(namespace instanceof Namespace)) {
+                    throw new JinjaError(`Cannot assign an attribute of "${target.object}", it is not a namespace`);
+                }
+                namespace[target.name] = value;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Creates a function that renders a macro.
+     * @param {any} node Macro node
+     * @param {Scope} scope Scope of the macro definition
+     * @returns {Function} Macro
+     */
+    createMacro(node, scope) {
+        return (args, kwargs) => {
+            const macroScope = new Scope(scope);
+            node.params.forEach((param, i) => {
+                const value = i < args.length ? args[i] : (param.name in kwargs ? kwargs[param.name] : undefined);
+                macroScope.set(param.name, value === undefined && param.defaultValue ? this.evaluate(param.defaultValue, scope) : value);
+            });
+            const output = [];
+            this.renderNodes(node.nodes, macroScope, output);
+            return output.join('');
+        };
+    }
+
+    /**
+     * Evaluates an expression.
+     * @param {any} node Expression node
+     * @param {Scope} scope Variable scope
+     * @returns {any} Value
+     */
+    evaluate(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'name':
+                return scope.lookup(node.name);
+            case 'list':
+                return node.items.map(x => this.evaluate(x, scope));
+            case 'dict':
+                return Object.fromEntries(node.entries.map(([k, v]) => [this.evaluate(k, scope), this.evaluate(v, scope)]));
+            case 'attribute':
+                return getAttribute(this.evaluate(node.object, scope), node.name);
+            case 'item':
+                return getItem(this.evaluate(node.object, scope), this.evaluate(node.index, scope));
+            case 'slice': {
+                const value = (x) => x === null ? null : this.evaluate(x, scope);
+                return slice(this.evaluate(node.object, scope), value(node.start), value(node.stop), value(node.step));
+            }
+            case 'call': {
+                const callee = this.evaluate(node.callee, scope);
+                if (typeof callee !== 'function') {
+                    throw new JinjaError('Cannot call a value that is not a function');
+                }
+                const args = node.args.map(x => this.evaluate(x, scope));
+                const kwargs = Object.fromEntries(Object.entries(node.kwargs).map(([k, v]) => [k, this.evaluate(v, scope)]));
+                return callee(args, kwargs);
+            }
+            case 'filter': {
+                const args = node.args.map(x => this.evaluate(x, scope));
+                const kwargs = Object.fromEntries(Object.entries(node.kwargs).map(([k, v]) => [k, this.evaluate(v, scope)]));
+                return runFilter(node.name, this.evaluate(node.value, scope), args, kwargs);
+            }
+            case 'test':
+                return runTest(node.name, this.evaluate(node.value, scope), node.args.map(x => this.evaluate(x, scope)));
+            case 'conditional':
+                return isTruthy(this.evaluate(node.test, scope)) ? this.evaluate(node.value, scope) : this.evaluate(node.otherwise, scope);
+            case 'not':
+                return !isTruthy(this.evaluate(node.operand, scope));
+            case 'and': {
+                const left = this.evaluate(node.left, scope);
+                return isTruthy(left) ? this.evaluate(node.right, scope) : left;
+            }
+            case 'or': {
+                const left = this.evaluate(node.left, scope);
+                return isTruthy(left) ? left : this.evaluate(node.right, scope);
+            }
+            case 'unary': {
+                const operand = this.evaluate(node.operand, scope);
+                return node.operator === '-' ? -operand : +operand;
+            }
+            case 'binary':
+                return this.evaluateBinary(node.operator, this.evaluate(node.left, scope), this.evaluate(node.right, scope));
+            default:
+                throw new JinjaError(`Unknown expression "${node.type}"`);
+        }
+    }
+
+    /**
+     * Evaluates a binary operator with the semantics of Python.
+     * @param {string} operator Operator
+     * @param {any} left Left operand
+     * @param {any} right Right operand
+     * @returns {any} Result
+     */
+    evaluateBinary(operator, left, right) {
+        switch (operator) {
+            case '==':
+                return isEqual(left, right);
+            case '!=':
+                return !isEqual(left, right);
+            case '<':
+                return left < right;
+            case '>':
+                return left > right;
+            case '<=':
+                return left <= right;
+            case '>=':
+                return left >= right;
+            case 'in':
+                return contains(right, left);
+            case '~':
+                return toText(left) + toText(right);
+            case '+':
+                if (Array.isArray(left) && Array.isArray(right)) {
+                    return [...left, ...right];
+                }
+                if (typeof left === 'string' || typeof right === 'string') {
+                    return toText(left) + toText(right);
+                }
+                return left + right;
+            case '-':
+                return left - right;
+            case '*':
+                if (typeof left === 'string') {
+                    return left.repeat(Math.max(0, right));
+                }
+                if (Array.isArray(left)) {
+                    return Array.from({ length: Math.max(0, right) }, () => left).flat();
+                }
+                return left * right;
+            case '/':
+                return left / right;
+            case '//':
+                return Math.floor(left / right);
+            case '%':
+                if (typeof left === 'string') {
+                    const values = Array.isArray(right) ? [...right] : [right];
+                    return left.replace(/%[sd]/g, () => toText(values.shift()));
+                }
+                return ((left % right) + right) % right;
+            case '**':
+                return left ** right;
+            default:
+                throw new JinjaError(`Unknown operator "${operator}"`);
+        }
+    }
+}
@@ -42,6 +42,33 @@ async function getUserList() {
     return userListObj;
 }
 
+/**
+ * Shows the single sign-on button if the server has an identity provider configured.
+ * @returns {Promise<void>}
+ */
+async function configureOidcLogin() {
+    const response = await fetch('/api/users/oidc/info', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken,
+        },
+    });
+
+    if (!response.ok) {
+        return;
+    }
+
+    const data = await response.json();
+
+    if (data.enabled) {
+        $('#oidcLoginBlock').show();
+        $('#oidcLoginButton').text(data.buttonText).on('click', () => {
+            window.location.href = '/api/users/oidc/login';
+        });
+    }
+}
+
 /**
  * Requests a recovery code for the user.
  * @param {string} handle User handle
@@ -101,12 +128,14 @@ async function sendRecoveryPart2(handle, code, newPassword) {
  * Attempts to log in the user.
  * @param {string} handle User's handle
  * @param {string} password User's password
+ * @param {string} [totp] Code from the authenticator app or a recovery code
  * @returns {Promise<void>}
  */
-async function performLogin(handle, password) {
+async function performLogin(handle, password, totp) {
     const userInfo = {
         handle: handle,
         password: password,
+        totp: totp,
     };
 
     try {
@@ -121,6 +150,11 @@ async function performLogin(handle, password) {
 
         if (!response.ok) {
             const errorData = await response.json();
+
+            if (errorData.totp) {
+                showTotpBlock(handle, password, errorData);
+            }
+
             return displayError(errorData.error || 'An error occurred');
         }
 
@@ -128,6 +162,11 @@ async function performLogin(handle, password) {
 
         if (data.handle) {
             console.log(`Successfully logged in as ${handle}!`);
+
+            if (Array.isArray(data.recoveryCodes)) {
+                return showRecoveryCodesBlock(data.recoveryCodes);
+            }
+
             redirectToHome();
         }
     } catch (error) {
@@ -185,6 +224,7 @@ function redirectToHome() {
     const urlParams = new URLSearchParams(window.location.search);
 
     urlParams.delete('noauto');
+    urlParams.delete('oidcError');
 
     window.location.href = '/' + urlParams.toString();
 }
@@ -198,6 +238,51 @@ function showRecoveryBlock() {
     displayError('');
 }
 
+/**
+ * Shows the two-factor code entry block, with the new secret if the user has to set up two-factor authentication.
+ * @param {string} handle User handle
+ * @param {string} password User password
+ * @param {{ totp: 'required'|'setup', secret?: string, uri?: string }} data Login response
+ */
+function showTotpBlock(handle, password, data) {
+    const isSetup = data.totp === 'setup';
+    $('#passwordEntryBlock').hide();
+    $('#passwordRecoveryBlock').hide();
+    $('#handleEntryBlock').hide();
+    $('#totpEntryBlock').show();
+    $('#totpSetupMessage').toggle(isSetup);
+    $('#totpMessage').text(isSetup ? 'Enter the code shown in the app to finish the setup.' : 'Enter the code from your authenticator app or a recovery code.');
+    $('#totpSecret').text(data.secret ?? '');
+    $('#totpUri').attr('href', data.uri ?? '#');
+    $('#totpCode').val('').trigger('focus');
+    $('#sendTotp').off('click').on('click', async () => {
+        const code = String($('#totpCode').val()).trim();
+        await performLogin(handle, password, code);
+    });
+}
+
+/**
+ * Shows the recovery codes generated during the login.
+ * @param {string[]} codes Recovery codes
+ */
+function showRecoveryCodesBlock(codes) {
+    $('#totpEntryBlock').hide();
+    $('#recoveryCodesBlock').show();
+    $('#recoveryCodesList').text(codes.join(' '));
+    $('#recoveryCodesContinue').off('click').on('click', () => redirectToHome());
+    displayError('');
+}
+
+/**
+ * Hides the two-factor code entry block and goes back to the user selection.
+ */
+function onCancelTotpClick() {
+    $('#totpEntryBlock').hide();
+    $('#passwordEntryBlock').toggle(discreetLogin);
+    $('#handleEntryBlock').toggle(discreetLogin);
+    displayError('');
+}
+
 /**
  * Hides the password recovery block and shows the password entry block.
  */
@@ -268,11 +353,20 @@ function configureDiscreetLogin() {
     } else {
         configureNormalLogin(userList);
     }
+    await configureOidcLogin();
+    // Errors of the single sign-on login are passed back from the server
+    const oidcError = new URLSearchParams(window.location.search).get('oidcError');
+    if (oidcError) {
+        displayError(oidcError);
+    }
     document.getElementById('shadow_popup').style.opacity = '';
     $('#cancelRecovery').on('click', onCancelRecoveryClick);
+    $('#cancelTotp').on('click', onCancelTotpClick);
     $(document).on('keydown', (evt) => {
         if (evt.key === 'Enter' && document.activeElement.tagName === 'INPUT') {
-            if ($('#passwordRecoveryBlock').is(':visible')) {
+            if ($('#totpEntryBlock').is(':visible')) {
+                $('#sendTotp').trigger('click');
+            } else if ($('#passwordRecoveryBlock').is(':visible')) {
                 $('#sendRecovery').trigger('click');
             } else {
                 $('#loginButton').trigger('click');
@@ -60,6 +60,7 @@ import {
     parseJsonFile,
     resetScrollHeight,
     stringFormat,
+    uuidv4,
 } from './utils.js';
 import { countTokensOpenAIAsync, getTokenizerModel } from './tokenizers.js';
 import { isMobile } from './RossAscends-mods.js';
@@ -287,6 +288,9 @@ const default_settings = {
     names_behavior: character_names_behavior.DEFAULT,
     continue_postfix: continue_postfix_types.SPACE,
     custom_prompt_post_processing: custom_prompt_post_processing_types.NONE,
+    custom_key_label: '',
+    custom_providers: [],
+    custom_provider: '',
     seed: -1,
     n: 1,
 };
@@ -363,6 +367,9 @@ const oai_settings = {
     names_behavior: character_names_behavior.DEFAULT,
     continue_postfix: continue_postfix_types.SPACE,
     custom_prompt_post_processing: custom_prompt_post_processing_types.NONE,
+    custom_key_label: '',
+    custom_providers: [],
+    custom_provider: '',
     seed: -1,
     n: 1,
 };
@@ -1593,6 +1600,12 @@ function saveModelList(data) {
         if (!oai_settings.custom_model && model_list.length > 0) {
             $('#model_custom_select').val(model_list[0].id).trigger('change');
         }
+
+        const provider = getCustomProvider();
+        if (provider) {
+            provider.models = model_list.map(model => model.id);
+            saveSettingsDebounced();
+        }
     }
 
     if (oai_settings.chat_completion_source == chat_completion_sources.ZEROONEAI) {
@@ -1860,6 +1873,7 @@ async function sendOpenAIRequest(type, messages, signal) {
         'n': canMultiSwipe ? oai_settings.n : undefined,
         'user_name': name1,
         'char_name': name2,
+        'generation_id': uuidv4(),
     };
 
     // Empty array will produce a validation error
@@ -1875,7 +1889,7 @@ async function sendOpenAIRequest(type, messages, signal) {
     }
 
     // Add logprobs request (currently OpenAI only, max 5 on their side)
-    if (useLogprobs && (isOAI || isCustom)) {
+    if (useLogprobs && (isOAI || (isCustom && isCustomCapabilitySupported('logprobs')))) {
         generate_data['logprobs'] = 5;
     }
 
@@ -1931,6 +1945,7 @@ async function sendOpenAIRequest(type, messages, signal) {
         generate_data['custom_exclude_body'] = oai_settings.custom_exclude_body;
         generate_data['custom_include_headers'] = oai_settings.custom_include_headers;
         generate_data['custom_prompt_post_processing'] = oai_settings.custom_prompt_post_processing;
+        generate_data['custom_key_label'] = oai_settings.custom_key_label;
     }
 
     if (isCohere) {
@@ -3020,6 +3035,9 @@ function loadOpenAISettings(data, settings) {
     oai_settings.custom_exclude_body = settings.custom_exclude_body ?? default_settings.custom_exclude_body;
     oai_settings.custom_include_headers = settings.custom_include_headers ?? default_settings.custom_include_headers;
     oai_settings.custom_prompt_post_processing = settings.custom_prompt_post_processing ?? default_settings.custom_prompt_post_processing;
+    oai_settings.custom_key_label = settings.custom_key_label ?? default_settings.custom_key_label;
+    oai_settings.custom_providers = Array.isArray(settings.custom_providers) ? settings.custom_providers : [];
+    oai_settings.custom_provider = settings.custom_provider ?? default_settings.custom_provider;
     oai_settings.google_model = settings.google_model ?? default_settings.google_model;
     oai_settings.chat_completion_source = settings.chat_completion_source ?? default_settings.chat_completion_source;
     oai_settings.api_url_scale = settings.api_url_scale ?? default_settings.api_url_scale;
@@ -3182,6 +3200,7 @@ function loadOpenAISettings(data, settings) {
         oai_settings.custom_prompt_post_processing = custom_prompt_post_processing_types.MERGE;
     }
 
+    renderCustomProviders();
     $('#chat_completion_source').val(oai_settings.chat_completion_source).trigger('change');
     $('#oai_max_context_unlocked').prop('checked', oai_settings.max_context_unlocked);
     $('#custom_prompt_post_processing').val(oai_settings.custom_prompt_post_processing);
@@ -3278,6 +3297,7 @@ async function getStatusOpen() {
         $('.model_custom_select').empty();
         data.custom_url = oai_settings.custom_url;
         data.custom_include_headers = oai_settings.custom_include_headers;
+        data.custom_key_label = oai_settings.custom_key_label;
     }
 
     const canBypass = (oai_settings.chat_completion_source === chat_completion_sources.OPENAI && oai_settings.bypass_status_check) || oai_settings.chat_completion_source === chat_completion_sources.CUSTOM;
@@ -4524,7 +4544,7 @@ async function onConnectButtonClick(e) {
         const api_key_custom = String($('#api_key_custom').val()).trim();
 
         if (api_key_custom.length) {
-            await writeSecret(SECRET_KEYS.CUSTOM, api_key_custom);
+            await writeSecret(SECRET_KEYS.CUSTOM, api_key_custom, oai_settings.custom_key_label || undefined);
         }
 
         if (!oai_settings.custom_url) {
@@ -4714,21 +4734,235 @@ function updateScaleForm() {
     }
 }
 
+/**
+ * @typedef {Object} CustomProvider
+ * @property {string} name - Name of the endpoint, listed as a chat completion source
+ * @property {string} url - Base URL
+ * @property {string} model - Model ID
+ * @property {string[]} models - Models returned by the endpoint on the last connection
+ * @property {string} include_body - Additional body parameters (YAML)
+ * @property {string} exclude_body - Excluded body parameters (YAML)
+ * @property {string} include_headers - Additional headers (YAML)
+ * @property {string} prompt_post_processing - Prompt post-processing type
+ * @property {string} key_label - Label of the Custom API key to use, the selected key if empty
+ * @property {{ tools: boolean, vision: boolean, logprobs: boolean }} capabilities - Features supported by the endpoint
+ */
+
+/**
+ * Gets the selected custom endpoint.
+ * @returns {CustomProvider|null} Endpoint, or null if the custom source is configured manually
+ */
+function getCustomProvider() {
+    return oai_settings.custom_providers.find(x => x.name === oai_settings.custom_provider) ?? null;
+}
+
+/**
+ * Checks if the selected custom endpoint supports a feature. Manually configured endpoints are assumed to support everything.
+ * @param {'tools'|'vision'|'logprobs'} capability Feature
+ * @returns {boolean} Whether the feature is supported
+ */
+export function isCustomCapabilitySupported(capability) {
+    return getCustomProvider()?.capabilities?.[capability] !== false;
+}
+
+/**
+ * Saves the custom source settings to the selected endpoint.
+ */
+function updateCustomProvider() {
+    const provider = getCustomProvider();
+
+    if (!provider) {
+        return;
+    }
+
+    provider.url = oai_settings.custom_url;
+    provider.model = oai_settings.custom_model;
+    provider.include_body = oai_settings.custom_include_body;
+    provider.exclude_body = oai_settings.custom_exclude_body;
+    provider.include_headers = oai_settings.custom_include_headers;
+    provider.prompt_post_processing = oai_settings.custom_prompt_post_processing;
+    provider.key_label = oai_settings.custom_key_label;
+}
+
+/**
+ * Selects a custom endpoint and loads its settings to the custom source.
+ * @param {string} name Endpoint name, or an empty string to configure the custom source manually
+ */
+function applyCustomProvider(name) {
+    const provider = oai_settings.custom_providers.find(x => x.name === name);
+    oai_settings.custom_provider = provider?.name ?? '';
+    oai_settings.custom_key_label = provider?.key_label ?? '';
+
+    if (provider) {
+        oai_settings.custom_url = provider.url;
+        oai_settings.custom_model = provider.model;
+        oai_settings.custom_include_body = provider.include_body;
+        oai_settings.custom_exclude_body = provider.exclude_body;
+        oai_settings.custom_include_headers = provider.include_headers;
+        oai_settings.custom_prompt_post_processing = provider.prompt_post_processing;
+
+        $('#custom_api_url_text').val(oai_settings.custom_url);
+        $('#custom_model_id').val(oai_settings.custom_model);
+        $('#custom_prompt_post_processing').val(oai_settings.custom_prompt_post_processing);
+        $('.model_custom_select').empty().append('<option value="">None</option>');
+        for (const model of provider.models ?? []) {
+            $('.model_custom_select').append($('<option>', { value: model, text: model, selected: model === provider.model }));
+        }
+    }
+
+    renderCustomProviders();
+    saveSettingsDebounced();
+}
+
+/**
+ * Renders the saved endpoints in the endpoint selector and in the chat completion sources.
+ */
+function renderCustomProviders() {
+    const provider = getCustomProvider();
+    const providerSelect = $('#custom_provider').empty();
+    const sourceGroup = $('#chat_completion_custom_providers').empty();
+    providerSelect.append($('<option>', { value: '', text: t`<Manual>` }));
+
+    for (const { name } of oai_settings.custom_providers) {
+        providerSelect.append($('<option>', { value: name, text: name }));
+        sourceGroup.append($('<option>', { value: chat_completion_sources.CUSTOM, text: name, 'data-custom-provider': name }));
+    }
+
+    sourceGroup.toggle(oai_settings.custom_providers.length > 0);
+    providerSelect.val(oai_settings.custom_provider);
+    $('#custom_provider_rename, #custom_provider_delete, #custom_provider_settings').toggle(!!provider);
+    $('#custom_key_label').val(oai_settings.custom_key_label);
+    $('#custom_provider_settings input[data-capability]').each(function () {
+        $(this).prop('checked', provider?.capabilities?.[String($(this).data('capability'))] !== false);
+    });
+
+    if (provider && oai_settings.chat_completion_source === chat_completion_sources.CUSTOM) {
+        sourceGroup.find('option').filter((_, option) => option.dataset.customProvider === provider.name).prop('selected', true);
+    }
+}
+
+async function onCustomProviderNewClick() {
+    const name = String(await Popup.show.input(t`Save Endpoint`, t`Enter a name for the endpoint:`, oai_settings.custom_provider) ?? '').trim();
+
+    if (!name) {
+        return;
+    }
+
+    if (oai_settings.custom_providers.some(x => x.name === name)) {
+        toastr.warning(t`An endpoint with this name already exists.`);
+        return;
+    }
+
+    const current = getCustomProvider();
+    oai_settings.custom_providers.push({
+        name,
+        url: '',
+        model: '',
+        models: [...(current?.models ?? [])],
+        include_body: '',
+        exclude_body: '',
+        include_headers: '',
+        prompt_post_processing: '',
+        key_label: oai_settings.custom_key_label,
+        capabilities: { tools: true, vision: true, logprobs: true, ...current?.capabilities },
+    });
+    oai_settings.custom_provider = name;
+    updateCustomProvider();
+    applyCustomProvider(name);
+    toastr.success(t`Endpoint saved`);
+}
+
+async function onCustomProviderRenameClick() {
+    const provider = getCustomProvider();
+
+    if (!provider) {
+        return;
+    }
+
+    const name = String(await Popup.show.input(t`Rename Endpoint`, t`Enter a new name for the endpoint:`, provider.name) ?? '').trim();
+
+    if (!name || name === provider.name) {
+        return;
+    }
+
+    if (oai_settings.custom_providers.some(x => x.name === name)) {
+        toastr.warning(t`An endpoint with this name already exists.`);
+        return;
+    }
+
+    provider.name = name;
+    applyCustomProvider(name);
+}
+
+async function onCustomProviderDeleteClick() {
+    const provider = getCustomProvider();
+
+    if (!provider) {
+        return;
+    }
+
+    const confirm = await Popup.show.confirm(t`Delete Endpoint`, t`Are you sure you want to delete the endpoint "${provider.name}"? The API key is not deleted.`);
+
+    if (!confirm) {
+        return;
+    }
+
+    oai_settings.custom_providers.splice(oai_settings.custom_providers.indexOf(provider), 1);
+    applyCustomProvider('');
+}
+
+/**
+ * Gets or sets the custom endpoint with a slash command.
+ * @param {object} _ Named arguments
+ * @param {string} value Endpoint name, or "none" to configure the custom source manually
+ * @returns {string} Selected endpoint, "none" if configured manually, or an empty string if the custom source is not selected
+ */
+function runCustomEndpointCallback(_, value) {
+    if (!value) {
+        if (oai_settings.chat_completion_source !== chat_completion_sources.CUSTOM) {
+            return '';
+        }
+
+        return oai_settings.custom_provider || 'none';
+    }
+
+    if (value.toLowerCase() === 'none') {
+        applyCustomProvider('');
+        reconnectOpenAi();
+        return '';
+    }
+
+    const names = oai_settings.custom_providers.map(x => x.name);
+    const result = names.includes(value) ? value : new Fuse(names).search(value)[0]?.item;
+
+    if (!result) {
+        toastr.warning(t`Custom endpoint '${value}' not found`);
+        return '';
+    }
+
+    $('#chat_completion_source option').filter((_, option) => option.dataset.customProvider === result).prop('selected', true);
+    $('#chat_completion_source').trigger('change');
+    return result;
+}
+
 async function onCustomizeParametersClick() {
     const template = $(await renderTemplateAsync('customEndpointAdditionalParameters'));
 
     template.find('#custom_include_body').val(oai_settings.custom_include_body).on('input', function () {
         oai_settings.custom_include_body = String($(this).val());
+        updateCustomProvider();
         saveSettingsDebounced();
     });
 
     template.find('#custom_exclude_body').val(oai_settings.custom_exclude_body).on('input', function () {
         oai_settings.custom_exclude_body = String($(this).val());
+        updateCustomProvider();
         saveSettingsDebounced();
     });
 
     template.find('#custom_include_headers').val(oai_settings.custom_include_headers).on('input', function () {
         oai_settings.custom_include_headers = String($(this).val());
+        updateCustomProvider();
         saveSettingsDebounced();
     });
 
@@ -4795,7 +5029,7 @@ export function isImageInliningSupported() {
         case chat_completion_sources.OPENROUTER:
             return true;
         case chat_completion_sources.CUSTOM:
-            return true;
+            return isCustomCapabilitySupported('vision');
         case chat_completion_sources.ZEROONEAI:
             return visionSupportedModels.some(model => oai_settings.zerooneai_model.includes(model));
         case chat_completion_sources.MISTRALAI:
@@ -4945,6 +5179,22 @@ export function initOpenAI() {
         helpString: 'Sets a proxy preset by name.',
     }));
 
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'custom-endpoint',
+        callback: runCustomEndpointCallback,
+        returns: 'current custom endpoint',
+        namedArgumentList: [],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'name, or "none" to configure the custom source manually',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: () => oai_settings.custom_providers.map(provider => new SlashCommandEnumValue(provider.name, provider.url)),
+            }),
+        ],
+        helpString: 'Selects a saved custom OpenAI-compatible endpoint by name and switches to it.',
+    }));
+
     $('#test_api_button').on('click', testApiConnection);
 
     $('#scale-alt').on('change', function () {
@@ -5151,7 +5401,15 @@ export function initOpenAI() {
     });
 
     $('#chat_completion_source').on('change', function () {
-        oai_settings.chat_completion_source = String($(this).find(':selected').val());
+        const selected = $(this).find(':selected');
+        oai_settings.chat_completion_source = String(selected.val());
+
+        // Saved endpoints are listed as custom sources, the selected one is restored on any source change
+        if (oai_settings.chat_completion_source === chat_completion_sources.CUSTOM) {
+            const providerName = selected.attr('data-custom-provider');
+            applyCustomProvider(providerName ?? oai_settings.custom_provider);
+        }
+
         toggleChatCompletionForms();
         saveSettingsDebounced();
         reconnectOpenAi();
@@ -5248,21 +5506,47 @@ export function initOpenAI() {
         saveSettingsDebounced();
     });
 
-    $('#custom_api_url_text').on('input', function () {
+    $('#custom_api_url_text').on('input', function (_e, data) {
         oai_settings.custom_url = String($(this).val());
+        data?.source !== 'preset' && updateCustomProvider();
         saveSettingsDebounced();
     });
 
-    $('#custom_model_id').on('input', function () {
+    $('#custom_model_id').on('input', function (_e, data) {
         oai_settings.custom_model = String($(this).val());
+        data?.source !== 'preset' && updateCustomProvider();
         saveSettingsDebounced();
     });
 
     $('#custom_prompt_post_processing').on('change', function () {
         oai_settings.custom_prompt_post_processing = String($(this).val());
+        updateCustomProvider();
+        saveSettingsDebounced();
+    });
+
+    $('#custom_key_label').on('input', function () {
+        oai_settings.custom_key_label = String($(this).val()).trim();
+        updateCustomProvider();
         saveSettingsDebounced();
     });
 
+    $('#custom_provider_settings input[data-capability]').on('input', function () {
+        const provider = getCustomProvider();
+        if (provider) {
+            provider.capabilities = { ...provider.capabilities, [String($(this).data('capability'))]: !!$(this).prop('checked') };
+            saveSettingsDebounced();
+        }
+    });
+
+    $('#custom_provider').on('change', function () {
+        applyCustomProvider(String($(this).val()));
+        reconnectOpenAi();
+    });
+
+    $('#custom_provider_new').on('click', onCustomProviderNewClick);
+    $('#custom_provider_rename').on('click', onCustomProviderRenameClick);
+    $('#custom_provider_delete').on('click', onCustomProviderDeleteClick);
+
     $('#names_behavior').on('input', function () {
         oai_settings.names_behavior = Number($(this).val());
         setNamesBehaviorControls();
@@ -53,6 +53,7 @@ import { SlashCommandEnumValue, enumTypes } from './slash-commands/SlashCommandE
 import { commonEnumProviders, enumIcons } from './slash-commands/SlashCommandCommonEnumsProvider.js';
 import { POPUP_TYPE, callGenericPopup } from './popup.js';
 import { loadSystemPrompts } from './sysprompt.js';
+import { loadChatTemplateSettings } from './chat-templates.js';
 import { fuzzySearchCategories } from './filters.js';
 
 export {
@@ -247,6 +248,14 @@ let power_user = {
     context_derived: false,
     context_size_derived: false,
 
+    chat_template: {
+        enabled: false,
+        template: '',
+        bos_token: '',
+        eos_token: '',
+        names_behavior: names_behavior_types.FORCE,
+    },
+
     sysprompt: {
         enabled: true,
         name: 'Neutral - Chat',
@@ -1389,11 +1398,14 @@ function getExampleMessagesBehavior() {
 
 async function loadPowerUserSettings(settings, data) {
     const defaultStscript = JSON.parse(JSON.stringify(power_user.stscript));
+    const defaultChatTemplate = structuredClone(power_user.chat_template);
     // Load from settings.json
     if (settings.power_user !== undefined) {
         Object.assign(power_user, settings.power_user);
     }
 
+    power_user.chat_template = { ...defaultChatTemplate, ...power_user.chat_template };
+
     if (power_user.stscript === undefined) {
         power_user.stscript = defaultStscript;
     } else {
@@ -1608,6 +1620,7 @@ async function loadPowerUserSettings(settings, data) {
     await loadInstructMode(data);
     await loadContextSettings();
     await loadSystemPrompts(data);
+    loadChatTemplateSettings();
     loadMaxContextUnlocked();
     switchWaifuMode();
     switchSpoilerMode();
@@ -1,5 +1,8 @@
 import { DOMPurify } from '../lib.js';
 import { callPopup, getRequestHeaders } from '../script.js';
+import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { currentUser } from './user.js';
 
 export const SECRET_KEYS = {
     HORDE: 'api_key_horde',
@@ -38,6 +41,7 @@ export const SECRET_KEYS = {
     NANOGPT: 'api_key_nanogpt',
     TAVILY: 'api_key_tavily',
     BFL: 'api_key_bfl',
+    RERANK: 'api_key_rerank',
 };
 
 const INPUT_MAP = {
@@ -102,6 +106,11 @@ async function viewSecrets() {
         return;
     }
 
+    if (response.status == 423) {
+        toastr.warning('Unlock your API keys in the user profile to view them.', 'API keys are locked');
+        return;
+    }
+
     if (!response.ok) {
         return;
     }
@@ -121,19 +130,31 @@ async function viewSecrets() {
 
 export let secret_state = {};
 
-export async function writeSecret(key, value) {
+/**
+ * Writes a secret value.
+ * @param {string} key Secret key
+ * @param {string} value Secret value
+ * @param {string} [label] Label of the key. If set, adds a new key for the provider and selects it.
+ */
+export async function writeSecret(key, value, label) {
     try {
         const response = await fetch('/api/secrets/write', {
             method: 'POST',
             headers: getRequestHeaders(),
-            body: JSON.stringify({ key, value }),
+            body: JSON.stringify({ key, value, label }),
         });
 
+        if (response.status == 423) {
+            toastr.error('Unlock your API keys in the user profile to change them.', 'API keys are locked');
+            return;
+        }
+
         if (response.ok) {
             const text = await response.text();
 
             if (text == 'ok') {
-                secret_state[key] = !!value;
+                // Clearing a key selects the next stored key, if there is one
+                secret_state[key] = !!value || (await fetchSecretKeys(key)).length > 0;
                 updateSecretDisplay();
             }
         }
@@ -153,12 +174,348 @@ export async function readSecretState() {
             secret_state = await response.json();
             updateSecretDisplay();
             await checkOpenRouterAuth();
+            await checkSecretsLocked();
         }
     } catch {
         console.error('Could not read secrets file');
     }
 }
 
+/**
+ * @typedef {Object} SecretKeyInfo
+ * @property {string} id Unique ID of the key
+ * @property {string} label Label of the key
+ * @property {boolean} active Whether the key is selected
+ * @property {number} cooldownUntil Timestamp until which the key is skipped, 0 if not on cooldown
+ * @property {{ requests: number, failures: number, lastUsed: number, lastStatus: number } | null} usage Usage counters
+ */
+
+/**
+ * Gets the list of keys stored for a provider.
+ * @param {string} key Secret key
+ * @returns {Promise<SecretKeyInfo[]>} List of keys
+ */
+async function fetchSecretKeys(key) {
+    try {
+        const response = await fetch('/api/secrets/list', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ key }),
+        });
+
+        if (!response.ok) {
+            return [];
+        }
+
+        return await response.json();
+    } catch {
+        console.error('Could not list secret keys: ', key);
+        return [];
+    }
+}
+
+/**
+ * Sends a request to change the stored keys of a provider.
+ * @param {string} endpoint API endpoint
+ * @param {string} key Secret key
+ * @param {string} id Key ID
+ * @returns {Promise<boolean>} Whether the request succeeded
+ */
+async function updateSecretKey(endpoint, key, id) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ key, id }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', 'Could not update API keys');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Opens a popup to manage multiple keys of a provider.
+ * @param {string} key Secret key
+ */
+async function manageSecretKeys(key) {
+    const template = $(await renderTemplateAsync('apiKeyManager'));
+    const list = template.find('.apiKeyList');
+
+    const renderList = async () => {
+        const keys = await fetchSecretKeys(key);
+        list.empty();
+
+        if (!keys.length) {
+            list.append($('<small></small>').text('No keys saved yet.'));
+        }
+
+        for (const item of keys) {
+            const row = $('<label class="checkbox_label"></label>');
+            const radio = $('<input type="radio" name="apiKeySelect">').prop('checked', item.active);
+            radio.on('change', async () => await updateSecretKey('/api/secrets/select', key, item.id) && renderList());
+            const details = [];
+
+            if (item.usage) {
+                details.push(`${item.usage.requests} requests, ${item.usage.failures} failed`);
+                details.push(`last used ${new Date(item.usage.lastUsed).toLocaleString()}`);
+            }
+
+            if (item.cooldownUntil) {
+                details.push(`skipped until ${new Date(item.cooldownUntil).toLocaleTimeString()}`);
+            }
+
+            const removeButton = $('<div class="menu_button fa-solid fa-trash-can" title="Delete this key"></div>');
+            removeButton.on('click', async (e) => {
+                e.preventDefault();
+                await updateSecretKey('/api/secrets/remove', key, item.id) && renderList();
+            });
+
+            row.append(radio, $('<span class="flex1"></span>').text(item.label), $('<small></small>').text(details.join(', ')), removeButton);
+            list.append(row);
+        }
+
+        secret_state[key] = keys.length > 0;
+        updateSecretDisplay();
+    };
+
+    template.find('.apiKeyAddButton').on('click', async () => {
+        const label = String(template.find('input[name="label"]').val()).trim();
+        const value = String(template.find('input[name="value"]').val()).trim();
+
+        if (!label || !value) {
+            toastr.warning('Enter a label and a key.');
+            return;
+        }
+
+        await writeSecret(key, value, label);
+        template.find('input[name="label"], input[name="value"]').val('');
+        await renderList();
+    });
+
+    await renderList();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { wide: true, large: false, allowVerticalScrolling: true });
+}
+
+/**
+ * @typedef {Object} SecretsStatus
+ * @property {boolean} encrypted Whether the secrets are encrypted at rest
+ * @property {boolean} passphrase Whether the secrets are protected with a passphrase
+ * @property {boolean} locked Whether the secrets are locked
+ */
+
+/**
+ * Gets the encryption status of the secrets.
+ * @returns {Promise<SecretsStatus | null>} Secrets status, or null if it could not be fetched
+ */
+export async function getSecretsStatus() {
+    try {
+        const response = await fetch('/api/secrets/status', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            return null;
+        }
+
+        return await response.json();
+    } catch {
+        console.error('Could not get secrets status');
+        return null;
+    }
+}
+
+/**
+ * Shows a notification if the secrets are locked.
+ */
+async function checkSecretsLocked() {
+    const status = await getSecretsStatus();
+
+    if (status?.locked) {
+        toastr.warning('Click here to unlock them with your passphrase.', 'API keys are locked', {
+            timeOut: 0,
+            extendedTimeOut: 0,
+            onclick: () => unlockSecrets(),
+        });
+    }
+}
+
+/**
+ * Asks the user for a secrets passphrase.
+ * @param {boolean} isNew Whether a new passphrase is being set
+ * @param {string} [label] Label of the input, if it asks for something else than the passphrase
+ * @returns {Promise<string | null>} Passphrase, or null if cancelled
+ */
+async function promptSecretsPassphrase(isNew, label) {
+    let passphrase = '';
+    let confirmPassphrase = '';
+    const template = $(await renderTemplateAsync('secretsPassphrase'));
+    template.find('.confirmPassphraseBlock').toggle(isNew);
+    template.find('.secretsPassphraseHint').toggle(isNew);
+    if (label) {
+        template.find('label[for="passphrase"]').text(label);
+    }
+    template.find('input[name="passphrase"]').on('input', function () {
+        passphrase = String($(this).val());
+    });
+    template.find('input[name="confirm"]').on('input', function () {
+        confirmPassphrase = String($(this).val());
+    });
+
+    const okButton = isNew ? 'Set' : (label ? 'OK' : 'Unlock');
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton, cancelButton: 'Cancel', wide: false, large: false });
+
+    if (result === POPUP_RESULT.CANCELLED || result === POPUP_RESULT.NEGATIVE || !passphrase) {
+        return null;
+    }
+
+    if (isNew && passphrase !== confirmPassphrase) {
+        toastr.error('Passphrases do not match', 'Failed to set passphrase');
+        return null;
+    }
+
+    return passphrase;
+}
+
+/**
+ * Unlocks the secrets with a passphrase entered by the user.
+ * @returns {Promise<boolean>} Whether the secrets were unlocked
+ */
+export async function unlockSecrets() {
+    const passphrase = await promptSecretsPassphrase(false);
+
+    if (passphrase === null) {
+        return false;
+    }
+
+    const response = await fetch('/api/secrets/unlock', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ passphrase }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', 'Failed to unlock API keys');
+        return false;
+    }
+
+    toastr.success('API keys unlocked');
+    await readSecretState();
+    return true;
+}
+
+/**
+ * Locks the passphrase-protected secrets.
+ * @returns {Promise<void>}
+ */
+export async function lockSecrets() {
+    const response = await fetch('/api/secrets/lock', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        toastr.error('Could not lock API keys');
+        return;
+    }
+
+    /** @type {SecretsStatus} */
+    const status = await response.json();
+
+    if (status.locked) {
+        toastr.info('API keys locked');
+    } else {
+        toastr.info('They stay unlocked until your other devices log out or lock them.', 'API keys locked on this device');
+    }
+}
+
+/**
+ * Sets or removes the passphrase protecting the secrets.
+ * @param {boolean} remove Remove the passphrase instead of setting a new one
+ * @returns {Promise<boolean>} Whether the passphrase was changed
+ */
+export async function changeSecretsPassphrase(remove) {
+    const status = await getSecretsStatus();
+    let currentPassphrase = '';
+    let passphrase = '';
+
+    // The current passphrase, or the account password if there is none, confirms the change
+    if (status?.passphrase || currentUser?.password) {
+        currentPassphrase = await promptSecretsPassphrase(false, status?.passphrase ? 'Current passphrase:' : 'Account password:');
+
+        if (currentPassphrase === null) {
+            return false;
+        }
+    }
+
+    if (!remove) {
+        passphrase = await promptSecretsPassphrase(true);
+
+        if (passphrase === null) {
+            return false;
+        }
+    }
+
+    const response = await fetch('/api/secrets/passphrase', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ currentPassphrase, passphrase }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', 'Failed to change passphrase');
+        return false;
+    }
+
+    toastr.success(remove ? 'Passphrase removed' : 'Passphrase set');
+    return true;
+}
+
+/**
+ * Shows the log of endpoints that have read the secrets.
+ * @returns {Promise<void>}
+ */
+export async function viewSecretsAudit() {
+    const response = await fetch('/api/secrets/audit', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ limit: 200 }),
+    });
+
+    if (!response.ok) {
+        toastr.error('Could not load the API keys access log');
+        return;
+    }
+
+    /** @type {{ timestamp: string, key: string, endpoint: string, ip?: string }[]} */
+    const entries = await response.json();
+
+    if (!entries.length) {
+        toastr.info('Your API keys have not been read yet.');
+        return;
+    }
+
+    const table = $('<table class="responsiveTable"></table>');
+    table.append('<thead><th>Time</th><th>Key</th><th>Endpoint</th><th>IP</th></thead>');
+
+    for (const entry of entries) {
+        const row = $('<tr></tr>');
+        row.append($('<td></td>').text(new Date(entry.timestamp).toLocaleString()));
+        row.append($('<td></td>').text(entry.key));
+        row.append($('<td></td>').text(entry.endpoint));
+        row.append($('<td></td>').text(entry.ip ?? ''));
+        table.append(row);
+    }
+
+    await callGenericPopup(table, POPUP_TYPE.TEXT, '', { wide: true, large: true, allowVerticalScrolling: true });
+}
+
 /**
  * Finds a secret value by key.
  * @param {string} key Secret key
@@ -226,6 +583,14 @@ async function checkOpenRouterAuth() {
 jQuery(async () => {
     $('#viewSecrets').on('click', viewSecrets);
     $(document).on('click', '.clear-api-key', clearSecret);
+    $('.clear-api-key').each(function () {
+        const manageButton = $('<div class="menu_button fa-solid fa-key manage-api-keys" title="Manage multiple keys" data-i18n="[title]Manage multiple keys"></div>');
+        manageButton.attr('data-key', $(this).data('key'));
+        $(this).after(manageButton);
+    });
+    $(document).on('click', '.manage-api-keys', function () {
+        manageSecretKeys($(this).data('key'));
+    });
     $(document).on('input', Object.values(INPUT_MAP).join(','), function () {
         const id = $(this).attr('id');
         const value = $(this).val();
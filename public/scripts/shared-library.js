@@ -0,0 +1,291 @@
+import { getCharacters, getRequestHeaders } from '../script.js';
+import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { humanFileSize } from './utils.js';
+import { updateWorldInfoList } from './world-info.js';
+
+/**
+ * Reloads the lists of the imported item type. Returns false if the page has to be reloaded instead.
+ * @param {string} type Item type
+ * @returns {Promise<boolean>} Whether the item is available without reloading the page
+ */
+async function refreshImportedItems(type) {
+    switch (type) {
+        case 'character':
+            await getCharacters();
+            return true;
+        case 'world':
+            await updateWorldInfoList();
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Imports an item from the shared library.
+ * @param {object} item Library item
+ * @param {boolean} subscribe Whether to be notified about updates of the item
+ * @returns {Promise<boolean>} Whether the item was imported
+ */
+async function importLibraryItem(item, subscribe) {
+    const response = await fetch('/api/library/import', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ id: item.id, subscribe }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', 'Failed to import the item');
+        return false;
+    }
+
+    const result = await response.json();
+    const refreshed = await refreshImportedItems(result.type);
+    toastr.success(refreshed ? `Imported as "${result.fileName}"` : `Imported as "${result.fileName}". Reload the page to use it.`, item.name);
+    return true;
+}
+
+/**
+ * Sends a request to the shared library API.
+ * @param {string} url Endpoint URL
+ * @param {object} body Request body
+ * @param {string} errorTitle Title of the error message
+ * @returns {Promise<boolean>} Whether the request succeeded
+ */
+async function postLibraryRequest(url, body, errorTitle) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', errorTitle);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Opens the shared library.
+ * @param {object} [options] Options
+ * @param {boolean} [options.isAdmin] Whether to show the moderation controls
+ * @returns {Promise<void>}
+ */
+export async function openSharedLibrary({ isAdmin = false } = {}) {
+    const template = $(await renderTemplateAsync('sharedLibrary'));
+    const typeFilter = template.find('.libraryTypeFilter');
+    const search = template.find('.librarySearch');
+    const form = template.find('.libraryPublishForm');
+    let items = [];
+
+    function renderItems() {
+        const container = template.find('.libraryItems').empty();
+        const query = String(search.val()).toLowerCase();
+        const visibleItems = items
+            .filter(item => !typeFilter.val() || item.type === typeFilter.val())
+            .filter(item => !query || `${item.name} ${item.description} ${item.author}`.toLowerCase().includes(query));
+
+        if (!visibleItems.length) {
+            container.append($('<small></small>').text('No items found.'));
+            return;
+        }
+
+        for (const item of visibleItems) {
+            const block = $('<div class="flex-container flexFlowColumn flexNoGap padding5"></div>');
+            const header = $('<div class="flex-container alignItemsBaseline"></div>');
+            header.append($('<b></b>').text(item.name));
+            header.append($('<small></small>').text(`${item.typeLabel}${item.apiId ? ` (${item.apiId})` : ''} · v${item.version} · ${item.author} · ${humanFileSize(item.size)}`));
+
+            if (item.status !== 'published') {
+                header.append($('<small class="warning"></small>').text(item.status === 'pending' ? 'Awaiting approval' : 'Hidden'));
+            }
+
+            if (item.imported?.hasUpdate) {
+                header.append($('<small class="warning"></small>').text(`Update available (you have v${item.imported.version})`));
+            }
+
+            block.append(header);
+
+            if (item.description) {
+                block.append($('<small class="flex1"></small>').text(item.description));
+            }
+
+            const buttons = $('<div class="flex-container"></div>');
+            const addButton = (icon, text, handler) => {
+                const button = $('<div class="menu_button menu_button_icon"></div>');
+                button.append($('<i class="fa-fw fa-solid"></i>').addClass(icon), $('<span></span>').text(text));
+                button.on('click', async () => {
+                    await handler();
+                    await loadItems();
+                });
+                buttons.append(button);
+            };
+
+            if (!item.own) {
+                if (!item.imported) {
+                    addButton('fa-download', 'Import', () => importLibraryItem(item, false));
+                    addButton('fa-bell', 'Import and subscribe', () => importLibraryItem(item, true));
+                } else {
+                    if (item.imported.hasUpdate) {
+                        addButton('fa-rotate', 'Update', () => importLibraryItem(item, item.imported.subscribed));
+                    }
+
+                    if (item.imported.subscribed) {
+                        addButton('fa-bell-slash', 'Unsubscribe', () => postLibraryRequest('/api/library/subscribe', { id: item.id, subscribed: false }, 'Failed to unsubscribe'));
+                    } else {
+                        addButton('fa-bell', 'Subscribe', () => postLibraryRequest('/api/library/subscribe', { id: item.id, subscribed: true }, 'Failed to subscribe'));
+                    }
+                }
+            } else {
+                addButton('fa-upload', 'Push update', async () => {
+                    const description = await callGenericPopup('Push the current version of the item to the library. You can edit the description:', POPUP_TYPE.INPUT, item.description, { rows: 3 });
+
+                    if (typeof description !== 'string') {
+                        return;
+                    }
+
+                    if (await postLibraryRequest('/api/library/update', { id: item.id, description }, 'Failed to update the item')) {
+                        toastr.success('Subscribers will be notified about the update. If the library requires approval, they get it once an admin approves it.', item.name);
+                    }
+                });
+            }
+
+            if (isAdmin && item.status !== 'published') {
+                addButton('fa-check', 'Approve', () => postLibraryRequest('/api/library/moderate', { id: item.id, action: 'approve' }, 'Failed to approve the item'));
+            }
+
+            if (isAdmin && item.status === 'published') {
+                addButton('fa-eye-slash', 'Hide', () => postLibraryRequest('/api/library/moderate', { id: item.id, action: 'hide' }, 'Failed to hide the item'));
+            }
+
+            if (item.own || isAdmin) {
+                addButton('fa-trash', 'Remove', async () => {
+                    const confirm = await callGenericPopup(`Remove "${item.name}" from the library? Copies imported by other users are kept.`, POPUP_TYPE.CONFIRM);
+
+                    if (confirm === POPUP_RESULT.AFFIRMATIVE) {
+                        await postLibraryRequest('/api/library/unpublish', { id: item.id }, 'Failed to remove the item');
+                    }
+                });
+            }
+
+            block.append(buttons);
+            container.append(block, '<hr>');
+        }
+    }
+
+    async function loadItems() {
+        const response = await fetch('/api/library/list', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({}),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not load the shared library');
+            return;
+        }
+
+        const data = await response.json();
+        items = data.items;
+        template.find('.libraryApprovalHint').toggle(data.requireApproval && !isAdmin);
+
+        if (typeFilter.children().length === 1) {
+            for (const [type, label] of Object.entries(data.types)) {
+                typeFilter.append($('<option></option>').val(type).text(label));
+                form.find('select[name="type"]').append($('<option></option>').val(type).text(label));
+            }
+
+            await loadSources();
+        }
+
+        renderItems();
+    }
+
+    async function loadSources() {
+        const type = String(form.find('select[name="type"]').val());
+        const apiId = String(form.find('select[name="apiId"]').val());
+        form.find('select[name="apiId"]').toggle(type === 'preset');
+
+        const response = await fetch('/api/library/sources', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ type, apiId }),
+        });
+
+        const select = form.find('select[name="sourceName"]').empty();
+
+        if (!response.ok) {
+            return;
+        }
+
+        for (const name of await response.json()) {
+            select.append($('<option></option>').val(name).text(name));
+        }
+    }
+
+    typeFilter.on('change', renderItems);
+    search.on('input', renderItems);
+    form.find('select[name="type"], select[name="apiId"]').on('change', loadSources);
+    form.on('submit', async function (e) {
+        e.preventDefault();
+
+        if (!(this instanceof HTMLFormElement)) {
+            return;
+        }
+
+        const data = Object.fromEntries(new FormData(this));
+
+        if (!data.sourceName) {
+            toastr.warning('Select an item to publish');
+            return;
+        }
+
+        if (await postLibraryRequest('/api/library/publish', data, 'Failed to publish the item')) {
+            toastr.success('Item published');
+            this.reset();
+            await loadSources();
+            await loadItems();
+        }
+    });
+
+    await loadItems();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Notifies the user about updates of the subscribed shared library items.
+ * @param {object} [options] Options passed to the shared library
+ * @param {boolean} [options.isAdmin] Whether to show the moderation controls
+ * @returns {Promise<void>}
+ */
+export async function checkSharedLibraryUpdates(options) {
+    try {
+        const response = await fetch('/api/library/updates', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            return;
+        }
+
+        const updates = await response.json();
+
+        if (!updates.length) {
+            return;
+        }
+
+        const names = updates.map(x => x.name).join(', ');
+        toastr.info(`Updates available for: ${names}. Click to open the library.`, 'Shared Library', {
+            timeOut: 10000,
+            onclick: () => openSharedLibrary(options),
+        });
+    } catch (error) {
+        console.error('Error checking shared library updates:', error);
+    }
+}
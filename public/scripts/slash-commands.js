@@ -71,6 +71,8 @@ import { SlashCommandEnumValue, enumTypes } from './slash-commands/SlashCommandE
 import { POPUP_TYPE, Popup, callGenericPopup } from './popup.js';
 import { commonEnumProviders, enumIcons } from './slash-commands/SlashCommandCommonEnumsProvider.js';
 import { SlashCommandBreakController } from './slash-commands/SlashCommandBreakController.js';
+import { SlashCommandReturnController } from './slash-commands/SlashCommandReturnController.js';
+import { SlashCommandFunction } from './slash-commands/SlashCommandFunction.js';
 import { SlashCommandExecutionError } from './slash-commands/SlashCommandExecutionError.js';
 import { slashCommandReturnHelper } from './slash-commands/SlashCommandReturnHelper.js';
 export {
@@ -78,6 +80,10 @@ export {
 };
 
 export const parser = new SlashCommandParser();
+/**
+ * Maximum number of nested closure and function calls, guards against infinite recursion.
+ */
+const MAX_CALL_DEPTH = 100;
 /**
  * @deprecated Use SlashCommandParser.addCommandObject() instead
  */
@@ -1309,9 +1315,90 @@ export function initDefaultSlashCommands() {
         ],
         helpString: `
         <div>
-            Runs a closure from a scoped variable, or a Quick Reply with the specified name from a currently active preset or from another preset.
+            Runs a closure or function from a scoped variable, or a Quick Reply with the specified name from a currently active preset or from another preset.
             Named arguments can be referenced in a QR with <code>{{arg::key}}</code>.
         </div>
+        <div>
+            Functions declared with <code>/func</code> check the named arguments against their parameters.
+            Closures and functions can stop early and return a value with <code>/return</code>.
+        </div>
+    `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'func',
+        aliases: ['function'],
+        callback: funcCallback,
+        returns: 'empty string',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'params',
+                description: 'space-separated parameters: name[:type[|type]][?][=default]',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'function name',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME],
+                isRequired: true,
+            }),
+            SlashCommandArgument.fromProps({
+                description: 'function body',
+                typeList: [ARGUMENT_TYPE.CLOSURE],
+                isRequired: true,
+            }),
+        ],
+        splitUnnamedArgument: true,
+        splitUnnamedArgumentCount: 1,
+        helpString: `
+        <div>
+            Declares a function in the current scope. Call it with <code>/run</code> or <code>/:name</code>, passing the parameters as named arguments.
+        </div>
+        <div>
+            Parameter types are <code>string</code>, <code>number</code>, <code>bool</code>, <code>list</code>, <code>dictionary</code>, <code>closure</code> or <code>any</code> (default), several types can be combined with <code>|</code>.
+            Parameters with a default value or marked with <code>?</code> are optional, all other parameters are required.
+            Calls with missing or unknown arguments, or with values that don't match the parameter types, fail.
+        </div>
+        <div>
+            The function returns the value passed to <code>/return</code>, or the output of its last command.
+            Functions can call themselves, up to ${MAX_CALL_DEPTH} nested calls.
+        </div>
+        <div>
+            <strong>Examples:</strong>
+            <ul>
+                <li>
+                    <pre><code class="language-stscript">/func add params="a:number b:number=1" {:\n\t/add {{var::a}} {{var::b}}\n:} |\n/:add a=41 |\n/echo</code></pre>
+                </li>
+                <li>
+                    <pre><code class="language-stscript">/func fact params="n:number" {:\n\t/if left={{var::n}} rule=lte right=1 {: /return 1 :} |\n\t/sub {{var::n}} 1 |\n\t/:fact n={{pipe}} |\n\t/mul {{var::n}} {{pipe}}\n:} |\n/:fact n=5 |\n/echo</code></pre>
+                </li>
+            </ul>
+        </div>
+    `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'return',
+        callback: returnCallback,
+        returns: 'the returned value',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'value to return',
+                typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.BOOLEAN, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY, ARGUMENT_TYPE.CLOSURE],
+            }),
+        ],
+        helpString: `
+        <div>
+            Stops the function or closure called with <code>/run</code> and returns the value (or the pipe if no value is given) to the caller.
+            Also leaves any loops and conditions inside the function.
+        </div>
+        <div>
+            <strong>Example:</strong>
+            <ul>
+                <li>
+                    <pre><code class="language-stscript">/func sign params="n:number" {:\n\t/if left={{var::n}} rule=lt right=0 {: /return -1 :} |\n\t/return 1\n:} |\n/:sign n=-5 |\n/echo</code></pre>
+                </li>
+            </ul>
+        </div>
     `,
     }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
@@ -2267,14 +2354,31 @@ async function getMessagesCallback(args, value) {
     return messages.filter(m => m !== null).join('\n\n');
 }
 
+/**
+ * Executes a closure called with /run. The closure is the target of /return and counts towards the call depth limit.
+ * @param {import('./slash-commands/SlashCommand.js').NamedArguments} args Named arguments of the call
+ * @param {SlashCommandClosure} closure Closure to execute
+ * @returns {Promise<string|SlashCommandClosure>} Returned value, or the pipe if the closure didn't use /return
+ */
+async function callClosure(args, closure) {
+    const depth = (args._returnController?.depth ?? 0) + 1;
+    if (depth > MAX_CALL_DEPTH) {
+        throw new Error(`Maximum call depth of ${MAX_CALL_DEPTH} exceeded. Check for infinite recursion.`);
+    }
+    const returnController = new SlashCommandReturnController(depth);
+    closure.breakController = new SlashCommandBreakController();
+    closure.returnController = returnController;
+    const result = await closure.execute();
+    return returnController.isReturn ? returnController.value : result?.pipe;
+}
+
 async function runCallback(args, name) {
     if (!name) {
         throw new Error('No name provided for /run command');
     }
 
     if (name instanceof SlashCommandClosure) {
-        name.breakController = new SlashCommandBreakController();
-        return (await name.execute())?.pipe;
+        return await callClosure(args, name);
     }
 
     /**@type {SlashCommandScope} */
@@ -2285,11 +2389,20 @@ async function runCallback(args, name) {
             throw new Error(`"${name}" is not callable.`);
         }
         closure.scope.parent = scope;
-        closure.breakController = new SlashCommandBreakController();
         if (args._debugController && !closure.debugController) {
             closure.debugController = args._debugController;
         }
         while (closure.providedArgumentList.pop());
+        if (closure.functionDefinition) {
+            const values = closure.functionDefinition.bindArguments(args);
+            // parameters are declared on a copy, the same function can be called again before this call returns
+            const call = closure.getCopy();
+            call.providedArgumentList = [];
+            for (const [key, value] of Object.entries(values)) {
+                call.scope.letVariable(key, value);
+            }
+            return await callClosure(args, call);
+        }
         closure.argumentList.forEach(arg => {
             if (Object.keys(args).includes(arg.name)) {
                 const providedArg = new SlashCommandNamedArgumentAssignment();
@@ -2298,8 +2411,7 @@ async function runCallback(args, name) {
                 closure.providedArgumentList.push(providedArg);
             }
         });
-        const result = await closure.execute();
-        return result.pipe;
+        return await callClosure(args, closure);
     }
 
     if (typeof window['executeQuickReplyByName'] !== 'function') {
@@ -2319,6 +2431,34 @@ async function runCallback(args, name) {
     }
 }
 
+/**
+ * Declares a function in the current scope.
+ * @param {import('./slash-commands/SlashCommand.js').NamedArguments} args Named arguments
+ * @param {(string|SlashCommandClosure)[]} value Function name and body
+ * @returns {string} Empty string
+ */
+function funcCallback(args, value) {
+    const [name, closure] = Array.isArray(value) ? value : [value];
+    if (typeof name != 'string' || !name.trim()) throw new Error('/func requires a function name');
+    if (!(closure instanceof SlashCommandClosure)) throw new Error(`/func requires a closure as the body of function "${name}"`);
+    if (args.params instanceof SlashCommandClosure) throw new Error('argument \'params\' cannot be a closure for command /func');
+    closure.functionDefinition = new SlashCommandFunction(name.trim(), SlashCommandFunction.parseParameters(/**@type {string}*/(args.params)));
+    args._scope.letVariable(name.trim(), closure);
+    return '';
+}
+
+/**
+ * Stops the closure called with /run and returns a value from it.
+ * @param {import('./slash-commands/SlashCommand.js').NamedArguments} args Named arguments
+ * @param {string|SlashCommandClosure} value Value to return
+ * @returns {string|SlashCommandClosure} Returned value
+ */
+function returnCallback(args, value) {
+    if (!args._returnController) throw new Error('/return can only be used in a function or a closure called with /run');
+    args._returnController.return(value ?? '');
+    return value ?? '';
+}
+
 /**
  *
  * @param {import('./slash-commands/SlashCommand.js').NamedArguments} param0
@@ -15,6 +15,7 @@ import { SlashCommandScope } from './SlashCommandScope.js';
  * _parserFlags:{[id:PARSER_FLAG]:boolean},
  * _abortController:SlashCommandAbortController,
  * _debugController:SlashCommandDebugController,
+ * _returnController:import('./SlashCommandReturnController.js').SlashCommandReturnController,
  * _hasUnnamedArgument:boolean,
  * [id:string]:string|SlashCommandClosure|(string|SlashCommandClosure)[]|undefined,
  * }} NamedArguments
@@ -23,11 +23,13 @@ export class SlashCommandClosure {
     /**@type {SlashCommandExecutor[]}*/ executorList = [];
     /**@type {SlashCommandAbortController}*/ abortController;
     /**@type {SlashCommandBreakController}*/ breakController;
+    /**@type {import('./SlashCommandReturnController.js').SlashCommandReturnController}*/ returnController;
     /**@type {SlashCommandDebugController}*/ debugController;
     /**@type {(done:number, total:number)=>void}*/ onProgress;
     /**@type {string}*/ rawText;
     /**@type {string}*/ fullText;
     /**@type {string}*/ parserContext;
+    /**@type {import('./SlashCommandFunction.js').SlashCommandFunction}*/ functionDefinition;
     /**@type {string}*/ #source = uuidv4();
     get source() { return this.#source; }
     set source(value) {
@@ -87,6 +89,7 @@ export class SlashCommandClosure {
             if (replacer instanceof SlashCommandClosure) {
                 replacer.abortController = this.abortController;
                 replacer.breakController = this.breakController;
+                replacer.returnController = this.returnController;
                 replacer.scope.parent = this.scope;
                 if (this.debugController && !replacer.debugController) {
                     replacer.debugController = this.debugController;
@@ -126,10 +129,12 @@ export class SlashCommandClosure {
         closure.executorList = this.executorList;
         closure.abortController = this.abortController;
         closure.breakController = this.breakController;
+        closure.returnController = this.returnController;
         closure.debugController = this.debugController;
         closure.rawText = this.rawText;
         closure.fullText = this.fullText;
         closure.parserContext = this.parserContext;
+        closure.functionDefinition = this.functionDefinition;
         closure.source = this.source;
         closure.onProgress = this.onProgress;
         return closure;
@@ -164,6 +169,7 @@ export class SlashCommandClosure {
                 const closure = v;
                 closure.scope.parent = this.scope;
                 closure.breakController = this.breakController;
+                closure.returnController = this.returnController;
                 if (closure.executeNow) {
                     v = (await closure.execute())?.pipe;
                 } else {
@@ -188,6 +194,7 @@ export class SlashCommandClosure {
                 const closure = v;
                 closure.scope.parent = this.scope;
                 closure.breakController = this.breakController;
+                closure.returnController = this.returnController;
                 if (closure.executeNow) {
                     v = (await closure.execute())?.pipe;
                 } else {
@@ -211,7 +218,7 @@ export class SlashCommandClosure {
         }
         const stepper = this.executeStep();
         let step;
-        while (!step?.done && !this.breakController?.isBreak) {
+        while (!step?.done && !this.breakController?.isBreak && !this.returnController?.isReturn) {
             // get executor before execution
             step = await stepper.next();
             if (step.value instanceof SlashCommandBreakPoint) {
@@ -267,7 +274,7 @@ export class SlashCommandClosure {
             return step.value;
         }
         /**@type {SlashCommandClosureResult} */
-        const result = Object.assign(new SlashCommandClosureResult(), { pipe: this.scope.pipe, isBreak: this.breakController?.isBreak ?? false });
+        const result = Object.assign(new SlashCommandClosureResult(), { pipe: this.scope.pipe, isBreak: this.breakController?.isBreak ?? false, isReturn: this.returnController?.isReturn ?? false });
         this.debugController?.up();
         return result;
     }
@@ -299,6 +306,7 @@ export class SlashCommandClosure {
                 _parserFlags: executor.parserFlags,
                 _abortController: this.abortController,
                 _debugController: this.debugController,
+                _returnController: this.returnController,
                 _hasUnnamedArgument: executor.unnamedArgumentList.length > 0,
             };
             if (executor instanceof SlashCommandBreakPoint) {
@@ -433,6 +441,7 @@ export class SlashCommandClosure {
                 const closure = arg.value;
                 closure.scope.parent = this.scope;
                 closure.breakController = this.breakController;
+                closure.returnController = this.returnController;
                 if (this.debugController && !closure.debugController) {
                     closure.debugController = this.debugController;
                 }
@@ -471,6 +480,7 @@ export class SlashCommandClosure {
                     const closure = v;
                     closure.scope.parent = this.scope;
                     closure.breakController = this.breakController;
+                    closure.returnController = this.returnController;
                     if (this.debugController && !closure.debugController) {
                         closure.debugController = this.debugController;
                     }
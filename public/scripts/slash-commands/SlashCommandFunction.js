@@ -0,0 +1,134 @@
+import { isFalseBoolean, isTrueBoolean } from '../utils.js';
+import { ARGUMENT_TYPE, SlashCommandNamedArgument } from './SlashCommandArgument.js';
+import { SlashCommandClosure } from './SlashCommandClosure.js';
+
+/**
+ * Types a function parameter can be declared with. "any" accepts all of them.
+ */
+const PARAMETER_TYPES = [
+    ARGUMENT_TYPE.STRING,
+    ARGUMENT_TYPE.NUMBER,
+    ARGUMENT_TYPE.BOOLEAN,
+    ARGUMENT_TYPE.LIST,
+    ARGUMENT_TYPE.DICTIONARY,
+    ARGUMENT_TYPE.CLOSURE,
+];
+
+export class SlashCommandFunction {
+    /**
+     * Parses a parameter list like "a:number b:string=hello c:list?".
+     * Every parameter is "name[:type[|type...]][?][=default]". Parameters without a type accept any value,
+     * parameters with a default value or marked with "?" are optional.
+     * @param {string} text
+     * @returns {SlashCommandNamedArgument[]}
+     */
+    static parseParameters(text) {
+        /**@type {SlashCommandNamedArgument[]}*/
+        const parameters = [];
+        for (const definition of (text ?? '').split(/\s+/).filter(it=>it.length)) {
+            const match = /^(?<name>[^\s:?=]+)(?::(?<types>[^\s?=]+))?(?<optional>\?)?(?:=(?<defaultValue>.*))?$/.exec(definition);
+            if (!match) throw new Error(`Invalid parameter definition: "${definition}"`);
+            const { name, types, optional, defaultValue } = match.groups;
+            if (parameters.find(it=>it.name == name)) throw new Error(`Duplicate parameter name: "${name}"`);
+            const typeList = (!types || types == 'any') ? [...PARAMETER_TYPES] : types.split('|').map(type=>{
+                const argumentType = PARAMETER_TYPES.find(it=>it == type.toLowerCase());
+                if (!argumentType) throw new Error(`Unknown type "${type}" for parameter "${name}". Known types: ${PARAMETER_TYPES.join(', ')}, any`);
+                return argumentType;
+            });
+            const parameter = SlashCommandNamedArgument.fromProps({
+                name,
+                description: '',
+                typeList,
+                isRequired: !optional && defaultValue === undefined,
+                defaultValue: defaultValue ?? null,
+            });
+            if (parameter.defaultValue !== null && SlashCommandFunction.convertValue(parameter, parameter.defaultValue) === undefined) {
+                throw new Error(`Default value "${defaultValue}" of parameter "${name}" is not of type ${typeList.join('|')}`);
+            }
+            parameters.push(parameter);
+        }
+        return parameters;
+    }
+
+    /**
+     * Checks a value against the types of a parameter.
+     * @param {SlashCommandNamedArgument} parameter
+     * @param {string|SlashCommandClosure} value
+     * @returns {string|SlashCommandClosure} the value as it will be assigned to the scoped variable, undefined if it doesn't match any type
+     */
+    static convertValue(parameter, value) {
+        for (const type of parameter.typeList) {
+            if (value instanceof SlashCommandClosure) {
+                if (type == ARGUMENT_TYPE.CLOSURE) return value;
+                continue;
+            }
+            switch (type) {
+                case ARGUMENT_TYPE.STRING: {
+                    return value;
+                }
+                case ARGUMENT_TYPE.NUMBER: {
+                    if (value.trim().length && !isNaN(Number(value))) return value.trim();
+                    break;
+                }
+                case ARGUMENT_TYPE.BOOLEAN: {
+                    if (isTrueBoolean(value)) return 'true';
+                    if (isFalseBoolean(value)) return 'false';
+                    break;
+                }
+                case ARGUMENT_TYPE.LIST:
+                case ARGUMENT_TYPE.DICTIONARY: {
+                    try {
+                        const parsed = JSON.parse(value);
+                        const isList = Array.isArray(parsed);
+                        const isDictionary = typeof parsed == 'object' && parsed !== null && !isList;
+                        if (type == ARGUMENT_TYPE.LIST ? isList : isDictionary) return value;
+                    } catch { /* not JSON */ }
+                    break;
+                }
+            }
+        }
+        return undefined;
+    }
+
+
+    /**@type {string}*/ name;
+    /**@type {SlashCommandNamedArgument[]}*/ parameters = [];
+
+
+    /**
+     * @param {string} name
+     * @param {SlashCommandNamedArgument[]} parameters
+     */
+    constructor(name, parameters) {
+        this.name = name;
+        this.parameters = parameters;
+    }
+
+    /**
+     * Validates the named arguments of a call and applies the default values.
+     * @param {import('./SlashCommand.js').NamedArguments} args
+     * @returns {{[name:string]:string|SlashCommandClosure}} values of all parameters
+     */
+    bindArguments(args) {
+        const unknown = Object.keys(args).find(key=>!key.startsWith('_') && !this.parameters.find(it=>it.name == key));
+        if (unknown) throw new Error(`Function "${this.name}" has no parameter named "${unknown}"`);
+        /**@type {{[name:string]:string|SlashCommandClosure}}*/
+        const values = {};
+        for (const parameter of this.parameters) {
+            const value = args[parameter.name];
+            if (value === undefined) {
+                if (parameter.isRequired) throw new Error(`Missing required argument "${parameter.name}" for function "${this.name}"`);
+                values[parameter.name] = parameter.defaultValue === null ? '' : SlashCommandFunction.convertValue(parameter, parameter.defaultValue);
+                continue;
+            }
+            if (Array.isArray(value)) throw new Error(`Argument "${parameter.name}" of function "${this.name}" was provided more than once`);
+            const converted = SlashCommandFunction.convertValue(parameter, value);
+            if (converted === undefined) {
+                const shown = value instanceof SlashCommandClosure ? value.toString() : `"${value}"`;
+                throw new Error(`Argument "${parameter.name}" of function "${this.name}" must be of type ${parameter.typeList.join('|')}, got ${shown}`);
+            }
+            values[parameter.name] = converted;
+        }
+        return values;
+    }
+}
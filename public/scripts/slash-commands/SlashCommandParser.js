@@ -979,6 +979,10 @@ export class SlashCommandParser {
                 } else if (typeof cmd.unnamedArgumentList[0]?.value == 'string') {
                     this.scope.variableNames.push(cmd.unnamedArgumentList[0].value);
                 }
+            } else if (cmd.command?.name == 'func') {
+                if (typeof cmd.unnamedArgumentList[0]?.value == 'string') {
+                    this.scope.variableNames.push(cmd.unnamedArgumentList[0].value);
+                }
             } else if (cmd.name == 'import') {
                 const value = /**@type {string[]}*/(cmd.unnamedArgumentList.map(it=>it.value));
                 for (let i = 0; i < value.length; i++) {
@@ -0,0 +1,20 @@
+export class SlashCommandReturnController {
+    /**@type {boolean} */ isReturn = false;
+    /**@type {string|import('./SlashCommandClosure.js').SlashCommandClosure} */ value;
+    /**@type {number} */ depth = 0;
+
+    /**
+     * @param {number} depth number of nested calls the controller belongs to
+     */
+    constructor(depth = 0) {
+        this.depth = depth;
+    }
+
+    /**
+     * @param {string|import('./SlashCommandClosure.js').SlashCommandClosure} value
+     */
+    return(value) {
+        this.isReturn = true;
+        this.value = value;
+    }
+}
@@ -1,11 +1,55 @@
 // statsHelper.js
 import { moment } from '../lib.js';
-import { getRequestHeaders, callPopup, characters, this_chid } from '../script.js';
+import { getRequestHeaders, characters, this_chid, chat, getCurrentChatId, itemizedPrompts } from '../script.js';
+import { groups, selected_group } from './group-chats.js';
+import { POPUP_TYPE, callGenericPopup } from './popup.js';
 import { humanizeGenTime } from './RossAscends-mods.js';
 import { registerDebugFunction } from './power-user.js';
+import { renderTemplateAsync } from './templates.js';
+import { countTokensOpenAIAsync, getTokenCountAsync } from './tokenizers.js';
+import { download } from './utils.js';
 
 let charStats = {};
 
+/**
+ * Message types that extend an existing message instead of adding a new one.
+ */
+const CONTINUE_TYPES = ['append', 'continue', 'appendFinal'];
+
+/**
+ * Number of series shown in the chart. The rest are merged.
+ */
+const MAX_CHART_SERIES = 8;
+
+/**
+ * Maximum number of time buckets shown in the chart.
+ */
+const MAX_CHART_BUCKETS = 2000;
+
+/**
+ * Moment.js units and label formats of the time buckets.
+ */
+const BUCKET_FORMATS = {
+    hour: { unit: 'hour', label: 'MMM D, HH:00' },
+    day: { unit: 'day', label: 'MMM D' },
+    week: { unit: 'isoWeek', label: '[Week of] MMM D' },
+    month: { unit: 'month', label: 'MMM YYYY' },
+    year: { unit: 'year', label: 'YYYY' },
+};
+
+/**
+ * Labels of the stats metrics.
+ */
+const METRIC_LABELS = {
+    messages: 'Messages',
+    swipes: 'Swipes',
+    words: 'Words',
+    tokensIn: 'Prompt tokens',
+    tokensOut: 'Generated tokens',
+    genTime: 'Generation time',
+    latency: 'Average latency',
+};
+
 /**
  * Creates an HTML stat block.
  *
@@ -21,156 +65,331 @@ function createStatBlock(statName, statValue) {
 }
 
 /**
- * Verifies and returns a numerical stat value. If the provided stat is not a number, returns 0.
- *
- * @param {number|string} stat - The stat value to be checked and returned.
- * @returns {number} - The stat value if it is a number, otherwise 0.
+ * Formats a metric value for display.
+ * @param {string} metric Metric name
+ * @param {number} value Metric value
+ * @returns {string} Formatted value
  */
-function verifyStatValue(stat) {
-    return isNaN(Number(stat)) ? 0 : Number(stat);
+function formatMetric(metric, value) {
+    switch (metric) {
+        case 'genTime':
+            return humanizeGenTime(value);
+        case 'latency':
+            return `${(value / 1000).toFixed(1)}s`;
+        default:
+            return Number(value).toLocaleString();
+    }
+}
+
+/**
+ * Gets a readable name of a dimension value.
+ * @param {string} dimension Dimension name
+ * @param {any} value Dimension value
+ * @returns {string} Label
+ */
+function getDimensionLabel(dimension, value) {
+    switch (dimension) {
+        case 'character':
+            return characters.find(x => x.avatar === value)?.name ?? (value ? String(value).replace(/\.png$/, '') : '(none)');
+        case 'group':
+            return groups.find(x => x.id === value)?.name ?? (value || '(no group)');
+        case 'isUser':
+            return value ? 'User' : 'Character';
+        default:
+            return value || '(unknown)';
+    }
+}
+
+/**
+ * Queries the stats events aggregated by time bucket and dimensions.
+ * @param {object} query Stats query
+ * @returns {Promise<object[]>} Aggregated rows
+ */
+async function queryStats(query) {
+    const response = await fetch('/api/stats/query', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...query, timezoneOffset: new Date().getTimezoneOffset() }),
+        cache: 'no-cache',
+    });
+
+    if (!response.ok) {
+        toastr.error('Stats could not be loaded. Try reloading the page.');
+        throw new Error('Error querying stats');
+    }
+
+    const data = await response.json();
+    return data.rows;
 }
 
 /**
- * Calculates total stats from character statistics.
+ * Generates an HTML summary of the stats totals.
  *
- * @returns {Object} - Object containing total statistics.
+ * @param {string} statsType - The type of stats (e.g., "User", "Character").
+ * @param {object[]} rows - Totals grouped by sender.
+ * @returns {string} - HTML of the summary.
  */
-function calculateTotalStats() {
-    let totalStats = {
-        total_gen_time: 0,
-        user_msg_count: 0,
-        non_user_msg_count: 0,
-        user_word_count: 0,
-        non_user_word_count: 0,
-        total_swipe_count: 0,
-        date_last_chat: 0,
-        date_first_chat: new Date('9999-12-31T23:59:59.999Z').getTime(),
-    };
+function createSummaryHtml(statsType, rows) {
+    const user = rows.find(x => x.isUser) ?? {};
+    const character = rows.find(x => !x.isUser) ?? {};
+    const first = Math.min(...rows.map(x => x.first));
+    const last = Math.max(...rows.map(x => x.last));
+    const genTime = rows.reduce((sum, x) => sum + x.genTime, 0);
+    const chatAge = rows.length ? moment.duration(last - first).humanize() : 'Never';
+
+    let html = '';
+    html += createStatBlock(statsType === 'User' ? 'Chatting Since' : 'First Interaction', rows.length ? `${chatAge} ago` : chatAge);
+    html += createStatBlock('Chat Time', humanizeGenTime(genTime));
+    html += createStatBlock('User Messages', user.messages ?? 0);
+    html += createStatBlock('Character Messages', (character.messages ?? 0) - (character.swipes ?? 0));
+    html += createStatBlock('User Words', user.words ?? 0);
+    html += createStatBlock('Character Words', character.words ?? 0);
+    html += createStatBlock('Swipes', character.swipes ?? 0);
+    html += createStatBlock('Prompt Tokens', formatMetric('tokensIn', character.tokensIn ?? 0));
+    html += createStatBlock('Generated Tokens', formatMetric('tokensOut', character.tokensOut ?? 0));
+    html += createStatBlock('Average Latency', formatMetric('latency', character.latency ?? 0));
+    return html;
+}
+
+/**
+ * Gets the series of a chart: the values of every bucket for the largest groups.
+ * @param {object[]} rows Aggregated rows
+ * @param {string} bucket Time bucket
+ * @param {string} groupBy Dimension the rows are grouped by
+ * @param {string} metric Metric to show
+ * @returns {{ buckets: moment.Moment[], series: { label: string, values: number[] }[] }} Chart data
+ */
+function getChartData(rows, bucket, groupBy, metric) {
+    const { unit } = BUCKET_FORMATS[bucket];
+    const keyOf = (/** @type {moment.Moment} */ date) => date.format('YYYY-MM-DD HH');
+    const buckets = [];
 
-    for (let stats of Object.values(charStats)) {
-        totalStats.total_gen_time += verifyStatValue(stats.total_gen_time);
-        totalStats.user_msg_count += verifyStatValue(stats.user_msg_count);
-        totalStats.non_user_msg_count += verifyStatValue(
-            stats.non_user_msg_count,
-        );
-        totalStats.user_word_count += verifyStatValue(stats.user_word_count);
-        totalStats.non_user_word_count += verifyStatValue(
-            stats.non_user_word_count,
-        );
-        totalStats.total_swipe_count += verifyStatValue(
-            stats.total_swipe_count,
-        );
-
-        if (verifyStatValue(stats.date_last_chat) != 0) {
-            totalStats.date_last_chat = Math.max(
-                totalStats.date_last_chat,
-                stats.date_last_chat,
-            );
+    if (rows.length) {
+        const last = moment(Math.max(...rows.map(x => x.bucket)));
+
+        for (let date = moment(Math.min(...rows.map(x => x.bucket))).startOf(unit); date.isSameOrBefore(last) && buckets.length < MAX_CHART_BUCKETS; date.add(1, unit === 'isoWeek' ? 'week' : unit)) {
+            buckets.push(date.clone());
+        }
+    }
+
+    const indexes = new Map(buckets.map((date, index) => [keyOf(date), index]));
+    /** @type {Map<string, number[]>} */
+    const values = new Map();
+
+    for (const row of rows) {
+        const label = groupBy ? getDimensionLabel(groupBy, row[groupBy]) : METRIC_LABELS[metric];
+        const index = indexes.get(keyOf(moment(row.bucket)));
+
+        if (!values.has(label)) {
+            values.set(label, new Array(buckets.length).fill(0));
         }
-        if (verifyStatValue(stats.date_first_chat) != 0) {
-            totalStats.date_first_chat = Math.min(
-                totalStats.date_first_chat,
-                stats.date_first_chat,
-            );
+
+        if (index !== undefined) {
+            values.get(label)[index] += row[metric];
         }
     }
 
-    return totalStats;
+    const series = Array.from(values.entries())
+        .map(([label, values]) => ({ label, values }))
+        .sort((a, b) => b.values.reduce((x, y) => x + y, 0) - a.values.reduce((x, y) => x + y, 0));
+
+    if (series.length > MAX_CHART_SERIES) {
+        const rest = series.splice(MAX_CHART_SERIES - 1);
+        series.push({ label: 'Other', values: buckets.map((_, i) => rest.reduce((sum, x) => sum + x.values[i], 0)) });
+    }
+
+    return { buckets, series };
 }
 
 /**
- * Generates an HTML report of stats.
- *
- * This function creates an HTML report from the provided stats, including chat age,
- * chat time, number of user messages and character messages, word count, and swipe count.
- * The stat blocks are tailored depending on the stats type ("User" or "Character").
- *
- * @param {string} statsType - The type of stats (e.g., "User", "Character").
- * @param {Object} stats - The stats data. Expected keys in this object include:
- *      total_gen_time - total generation time
- *      date_first_chat - timestamp of the first chat
- *      date_last_chat - timestamp of the most recent chat
- *      user_msg_count - count of user messages
- *      non_user_msg_count - count of non-user messages
- *      user_word_count - count of words used by the user
- *      non_user_word_count - count of words used by the non-user
- *      total_swipe_count - total swipe count
+ * Draws a stacked bar chart of the stats.
+ * @param {JQuery<HTMLElement>} container Chart container
+ * @param {JQuery<HTMLElement>} legend Legend container
+ * @param {ReturnType<typeof getChartData>} data Chart data
+ * @param {string} bucket Time bucket
+ * @param {string} metric Metric to show
  */
-function createHtml(statsType, stats) {
-    // Get time string
-    let timeStirng = humanizeGenTime(stats.total_gen_time);
-    let chatAge = 'Never';
-    if (stats.date_first_chat < Date.now()) {
-        chatAge = moment
-            .duration(stats.date_last_chat - stats.date_first_chat)
-            .humanize();
+function renderChart(container, legend, data, bucket, metric) {
+    container.empty();
+    legend.empty();
+
+    if (!data.buckets.length) {
+        container.append($('<small></small>').text('No stats recorded in this time range.'));
+        return;
     }
 
-    // Create popup HTML with stats
-    let html = `<h3>${statsType} Stats</h3>`;
-    if (statsType === 'User') {
-        html += createStatBlock('Chatting Since', `${chatAge} ago`);
-    } else {
-        html += createStatBlock('First Interaction', `${chatAge} ago`);
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const width = 600;
+    const height = 200;
+    const padding = 20;
+    const colors = data.series.map((_, i) => `hsl(${Math.round(i * 360 / data.series.length)}, 60%, 55%)`);
+    const totals = data.buckets.map((_, i) => data.series.reduce((sum, x) => sum + x.values[i], 0));
+    const max = Math.max(1, ...totals);
+    const barWidth = (width - padding) / data.buckets.length;
+    const labelStep = Math.ceil(data.buckets.length / 8);
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height + padding}`);
+    svg.classList.add('statsChartSvg');
+
+    const addElement = (/** @type {string} */ name, /** @type {Object<string, any>} */ attributes, /** @type {string} */ text = '') => {
+        const element = document.createElementNS(svgNs, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+        element.textContent = text;
+        svg.appendChild(element);
+        return element;
+    };
+
+    addElement('text', { x: 0, y: 10, class: 'statsChartLabel' }, formatMetric(metric, max));
+
+    data.buckets.forEach((date, i) => {
+        let y = height;
+        const label = date.format(BUCKET_FORMATS[bucket].label);
+
+        data.series.forEach((series, j) => {
+            const value = series.values[i];
+            const barHeight = value / max * (height - padding);
+
+            if (barHeight > 0) {
+                y -= barHeight;
+                const bar = addElement('rect', { x: padding + i * barWidth + 1, y, width: Math.max(1, barWidth - 2), height: barHeight, fill: colors[j] });
+                const title = document.createElementNS(svgNs, 'title');
+                title.textContent = `${label}\n${series.label}: ${formatMetric(metric, value)}`;
+                bar.appendChild(title);
+            }
+        });
+
+        if (i % labelStep === 0) {
+            addElement('text', { x: padding + i * barWidth, y: height + 14, class: 'statsChartLabel' }, label);
+        }
+    });
+
+    container.append(svg);
+
+    data.series.forEach((series, i) => {
+        const item = $('<small class="flex-container alignItemsCenter"></small>');
+        item.append($('<i class="fa-solid fa-square"></i>').css('color', colors[i]), $('<span></span>').text(series.label));
+        legend.append(item);
+    });
+}
+
+/**
+ * Renders the aggregated rows as a table.
+ * @param {JQuery<HTMLElement>} container Table container
+ * @param {object[]} rows Aggregated rows
+ * @param {string} bucket Time bucket
+ * @param {string} groupBy Dimension the rows are grouped by
+ */
+function renderTable(container, rows, bucket, groupBy) {
+    container.empty();
+
+    if (!rows.length) {
+        return;
+    }
+
+    const table = $('<table class="responsiveTable"></table>');
+    const header = $('<tr></tr>').append($('<th></th>').text('Time'));
+
+    if (groupBy) {
+        header.append($('<th></th>').text(groupBy));
     }
-    html += createStatBlock('Chat Time', timeStirng);
-    html += createStatBlock('User Messages', stats.user_msg_count);
-    html += createStatBlock(
-        'Character Messages',
-        stats.non_user_msg_count - stats.total_swipe_count,
-    );
-    html += createStatBlock('User Words', stats.user_word_count);
-    html += createStatBlock('Character Words', stats.non_user_word_count);
-    html += createStatBlock('Swipes', stats.total_swipe_count);
-
-    callPopup(html, 'text');
+
+    Object.values(METRIC_LABELS).forEach(label => header.append($('<th></th>').text(label)));
+    table.append($('<thead></thead>').append(header));
+
+    for (const row of rows.slice().reverse()) {
+        const tr = $('<tr></tr>').append($('<td></td>').text(moment(row.bucket).format(BUCKET_FORMATS[bucket].label)));
+
+        if (groupBy) {
+            tr.append($('<td></td>').text(getDimensionLabel(groupBy, row[groupBy])));
+        }
+
+        Object.keys(METRIC_LABELS).forEach(metric => tr.append($('<td></td>').text(formatMetric(metric, row[metric]))));
+        table.append(tr);
+    }
+
+    container.append(table);
 }
 
 /**
- * Handles the user stats by getting them from the server, calculating the total and generating the HTML report.
+ * Downloads the aggregated rows as a CSV file.
+ * @param {object[]} rows Aggregated rows
+ * @param {string} groupBy Dimension the rows are grouped by
  */
-async function userStatsHandler() {
-    // Get stats from server
-    await getStats();
+function exportCsv(rows, groupBy) {
+    const escape = (/** @type {any} */ value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const columns = ['bucket', ...(groupBy ? [groupBy] : []), 'count', ...Object.keys(METRIC_LABELS)];
+    const lines = [columns.join(',')];
+
+    for (const row of rows) {
+        const values = columns.map(column => column === 'bucket' ? moment(row.bucket).format() : row[column] ?? '');
+        lines.push(values.map(escape).join(','));
+    }
+
+    download(lines.join('\n') + '\n', `stats-${moment().format('YYYY-MM-DD')}.csv`, 'text/csv');
+}
 
-    // Calculate total stats
-    let totalStats = calculateTotalStats();
+/**
+ * Opens the stats page with the totals, a chart and a table of the stats over time.
+ * @param {object} [options] Options
+ * @param {string} [options.character] Only show the stats of this character avatar
+ * @param {string} [options.title] Page title
+ * @returns {Promise<void>}
+ */
+async function openStatsPage({ character, title = 'User Stats' } = {}) {
+    const template = $(await renderTemplateAsync('stats'));
+    const filters = character ? { character } : {};
+    let rows = [];
+
+    template.find('.statsTitle').text(title);
+    template.find('.statsGroupBy option[value="character"]').toggle(!character);
+
+    async function render() {
+        const days = Number(template.find('.statsRange').val());
+        const bucket = String(template.find('.statsBucket').val());
+        const groupBy = String(template.find('.statsGroupBy').val());
+        const metric = String(template.find('.statsMetric').val());
+        const from = days ? moment().subtract(days - 1, 'days').startOf('day').valueOf() : undefined;
 
-    // Create HTML with stats
-    createHtml('User', totalStats);
+        rows = await queryStats({ from, bucket, groupBy: groupBy ? [groupBy] : [], filters });
+        renderChart(template.find('.statsChart'), template.find('.statsLegend'), getChartData(rows, bucket, groupBy, metric), bucket, metric);
+        renderTable(template.find('.statsTable'), rows, bucket, groupBy);
+    }
+
+    const totals = await queryStats({ bucket: 'all', groupBy: ['isUser'], filters });
+    template.find('.statsSummary').html(createSummaryHtml(character ? 'Character' : 'User', totals));
+    template.find('select').on('change', render);
+    template.find('.statsExportButton').on('click', () => exportCsv(rows, String(template.find('.statsGroupBy').val())));
+
+    await render();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: true, allowVerticalScrolling: true });
 }
 
 /**
- * Handles the character stats by getting them from the server and generating the HTML report.
+ * Opens the stats of all chats of the user.
+ */
+async function userStatsHandler() {
+    await openStatsPage({ title: 'User Stats' });
+}
+
+/**
+ * Opens the stats of a character.
  *
  * @param {Object} characters - Object containing character data.
  * @param {string} this_chid - The character id.
  */
 async function characterStatsHandler(characters, this_chid) {
-    // Get stats from server
-    await getStats();
-    // Get character stats
-    let myStats = charStats[characters[this_chid].avatar];
-    if (myStats === undefined) {
-        myStats = {
-            total_gen_time: 0,
-            user_msg_count: 0,
-            non_user_msg_count: 0,
-            user_word_count: 0,
-            non_user_word_count: countWords(characters[this_chid].first_mes),
-            total_swipe_count: 0,
-            date_last_chat: 0,
-            date_first_chat: new Date('9999-12-31T23:59:59.999Z').getTime(),
-        };
-        charStats[characters[this_chid].avatar] = myStats;
-        updateStats();
+    const character = characters[this_chid];
+
+    if (!character) {
+        return;
     }
-    // Create HTML with stats
-    createHtml('Character', myStats);
+
+    await openStatsPage({ character: character.avatar, title: `${character.name} Stats` });
 }
 
 /**
- * Fetches the character stats from the server.
+ * Fetches the totals of every character from the server.
  */
 async function getStats() {
     const response = await fetch('/api/stats/get', {
@@ -188,7 +407,7 @@ async function getStats() {
 }
 
 /**
- * Asynchronously recreates the stats file from chat files.
+ * Asynchronously recreates the stats from chat files.
  *
  * Sends a POST request to the "/api/stats/recreate" endpoint. If the request fails,
  * it displays an error notification and throws an error.
@@ -229,22 +448,6 @@ function calculateGenTime(gen_started, gen_finished) {
     return endDate.getTime() - startDate.getTime();
 }
 
-/**
- * Sends a POST request to the server to update the statistics.
- */
-async function updateStats() {
-    const response = await fetch('/api/stats/update', {
-        method: 'POST',
-        headers: getRequestHeaders(),
-        body: JSON.stringify(charStats),
-    });
-
-    if (response.status !== 200) {
-        console.error('Failed to update stats');
-        console.log(response.status);
-    }
-}
-
 /**
  * Returns the count of words in the given string.
  * A word is a sequence of alphanumeric characters (including underscore).
@@ -253,12 +456,27 @@ async function updateStats() {
  * @returns {number} - Number of words.
  */
 function countWords(str) {
-    const match = str.match(/\b\w+\b/g);
+    const match = String(str ?? '').match(/\b\w+\b/g);
     return match ? match.length : 0;
 }
 
 /**
- * Handles stat processing for messages.
+ * Counts the tokens of the prompt that generated a message.
+ * @param {number} messageId Message ID
+ * @returns {Promise<number>} Number of tokens or 0 if the prompt is unknown
+ */
+async function countPromptTokens(messageId) {
+    const prompt = itemizedPrompts.find(x => x.mesId === messageId)?.rawPrompt;
+
+    if (!prompt) {
+        return 0;
+    }
+
+    return Array.isArray(prompt) ? await countTokensOpenAIAsync(prompt, true) : await getTokenCountAsync(String(prompt), 0);
+}
+
+/**
+ * Records a stats event for a sent or generated message.
  *
  * @param {Object} line - Object containing message data.
  * @param {string} type - The type of the message processing (e.g., 'append', 'continue', 'appendFinal', 'swipe').
@@ -267,58 +485,48 @@ function countWords(str) {
  * @param {string} oldMesssage - The old message that's being processed.
  */
 async function statMesProcess(line, type, characters, this_chid, oldMesssage) {
-    if (this_chid === undefined || characters[this_chid] === undefined) {
+    const character = selected_group ? (line.original_avatar ?? '') : characters[this_chid]?.avatar;
+
+    if (!selected_group && !character) {
         return;
     }
-    await getStats();
-
-    let stat = charStats[characters[this_chid].avatar];
-
-    if (!stat) {
-        stat = {
-            total_gen_time: 0,
-            user_word_count: 0,
-            non_user_msg_count: 0,
-            user_msg_count: 0,
-            total_swipe_count: 0,
-            date_first_chat: Date.now(),
-            date_last_chat: Date.now(),
+
+    try {
+        const isContinue = CONTINUE_TYPES.includes(type);
+        const event = {
+            timestamp: Date.now(),
+            type: isContinue ? type : (line.is_user ? 'user' : type || 'normal'),
+            isUser: !!line.is_user,
+            character: character,
+            group: selected_group ?? '',
+            chat: getCurrentChatId(),
+            api: line.extra?.api,
+            model: line.extra?.model,
+            latency: line.is_user ? 0 : calculateGenTime(line.gen_started, line.gen_finished),
+            swipes: Array.isArray(line.swipes) ? line.swipes.length : 0,
+            words: countWords(line.mes) - (isContinue ? countWords(oldMesssage) : 0),
+            tokensIn: 0,
+            tokensOut: 0,
         };
-    }
 
-    stat.total_gen_time += calculateGenTime(
-        line.gen_started,
-        line.gen_finished,
-    );
-    if (line.is_user) {
-        if (type != 'append' && type != 'continue' && type != 'appendFinal') {
-            stat.user_msg_count++;
-            stat.user_word_count += countWords(line.mes);
-        } else {
-            let oldLen = oldMesssage.split(' ').length;
-            stat.user_word_count += countWords(line.mes) - oldLen;
+        if (!line.is_user) {
+            const tokens = !isContinue && line.extra?.token_count ? line.extra.token_count : await getTokenCountAsync(line.mes, 0);
+            event.tokensOut = isContinue ? tokens - await getTokenCountAsync(oldMesssage, 0) : tokens;
+            event.tokensIn = await countPromptTokens(chat.indexOf(line));
         }
-    } else {
-        // if continue, don't add a message, get the last message and subtract it from the word count of
-        // the new message
-        if (type != 'append' && type != 'continue' && type != 'appendFinal') {
-            stat.non_user_msg_count++;
-            stat.non_user_word_count += countWords(line.mes);
-        } else {
-            let oldLen = oldMesssage.split(' ').length;
-            stat.non_user_word_count += countWords(line.mes) - oldLen;
-        }
-    }
 
-    if (type === 'swipe') {
-        stat.total_swipe_count++;
+        const response = await fetch('/api/stats/record', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(event),
+        });
+
+        if (!response.ok) {
+            console.error('Failed to record stats', response.status);
+        }
+    } catch (error) {
+        console.error('Failed to record stats', error);
     }
-    stat.date_last_chat = Date.now();
-    stat.date_first_chat = Math.min(
-        stat.date_first_chat ?? new Date('9999-12-31T23:59:59.999Z').getTime(),
-        Date.now(),
-    );
-    updateStats();
 }
 
 export function initStats() {
@@ -326,7 +534,7 @@ export function initStats() {
         characterStatsHandler(characters, this_chid);
     });
     // Wait for debug functions to load, then add the refresh stats function
-    registerDebugFunction('refreshStats', 'Refresh Stat File', 'Recreates the stats file based on existing chat files', recreateStats);
+    registerDebugFunction('refreshStats', 'Refresh Stat File', 'Recreates the stats from the existing chat files', recreateStats);
 }
 
 export { userStatsHandler, characterStatsHandler, getStats, statMesProcess, charStats };
@@ -1,7 +1,7 @@
 import { DOMPurify } from '../lib.js';
 
 import { addOneMessage, chat, event_types, eventSource, main_api, saveChatConditional, system_avatar, systemUserName } from '../script.js';
-import { chat_completion_sources, oai_settings } from './openai.js';
+import { chat_completion_sources, isCustomCapabilitySupported, oai_settings } from './openai.js';
 import { Popup } from './popup.js';
 import { SlashCommand } from './slash-commands/SlashCommand.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from './slash-commands/SlashCommandArgument.js';
@@ -527,6 +527,10 @@ export class ToolManager {
             chat_completion_sources.GROQ,
             chat_completion_sources.COHERE,
         ];
+        if (oai_settings.chat_completion_source === chat_completion_sources.CUSTOM && !isCustomCapabilitySupported('tools')) {
+            return false;
+        }
+
         return supportedSources.includes(oai_settings.chat_completion_source);
     }
 
@@ -1,7 +1,9 @@
 import { getRequestHeaders } from '../script.js';
 import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
 import { renderTemplateAsync } from './templates.js';
-import { ensureImageFormatSupported, getBase64Async, humanFileSize } from './utils.js';
+import { checkSharedLibraryUpdates, openSharedLibrary } from './shared-library.js';
+import { changeSecretsPassphrase, getSecretsStatus, lockSecrets, unlockSecrets, viewSecretsAudit } from './secrets.js';
+import { download, ensureImageFormatSupported, getBase64Async, humanFileSize } from './utils.js';
 
 /**
  * @type {import('../../src/users.js').UserViewModel} Logged in user
@@ -25,6 +27,7 @@ export async function setUserControls(isEnabled) {
 
     $('#logout_button').show();
     await getCurrentUser();
+    await checkSharedLibraryUpdates({ isAdmin: isAdmin() });
 }
 
 /**
@@ -267,6 +270,303 @@ async function backupUserData(handle, callback) {
     }
 }
 
+/**
+ * User-facing names of the backup kinds.
+ */
+const BACKUP_KINDS = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    manual: 'Manual',
+    prerestore: 'Before restore',
+};
+
+/**
+ * Get the stored backups of all users.
+ * @returns {Promise<{ schedule: { enabled: boolean, hour: number, daily: number, weekly: number }, users: { handle: string, name: string, backups: any[] }[] }>} Backups
+ */
+async function getBackups() {
+    try {
+        const response = await fetch('/api/users/backups/list', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to get backups');
+        }
+
+        return response.json();
+    } catch (error) {
+        console.error('Error getting backups:', error);
+    }
+}
+
+/**
+ * Create a stored backup of a user's data.
+ * @param {string} handle User handle
+ * @param {function} callback Success callback
+ * @returns {Promise<void>}
+ */
+async function createBackup(handle, callback) {
+    try {
+        toastr.info('The backup is being created. It may take a while.', 'Backup Requested');
+        const response = await fetch('/api/users/backups/create', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to create backup');
+            throw new Error('Failed to create backup');
+        }
+
+        toastr.success('Backup created.');
+        callback();
+    } catch (error) {
+        console.error('Error creating backup:', error);
+    }
+}
+
+/**
+ * Download a stored backup.
+ * @param {string} handle User handle
+ * @param {string} file Backup file name
+ * @returns {Promise<void>}
+ */
+async function downloadBackup(handle, file) {
+    try {
+        const response = await fetch('/api/users/backups/download', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle, file }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to download backup');
+            throw new Error('Failed to download backup');
+        }
+
+        download(await response.blob(), file, 'application/zip');
+    } catch (error) {
+        console.error('Error downloading backup:', error);
+    }
+}
+
+/**
+ * Delete a stored backup.
+ * @param {string} handle User handle
+ * @param {string} file Backup file name
+ * @param {function} callback Success callback
+ * @returns {Promise<void>}
+ */
+async function deleteBackup(handle, file, callback) {
+    try {
+        const confirm = await callGenericPopup(`Delete the backup ${file}?`, POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        const response = await fetch('/api/users/backups/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle, file }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to delete backup');
+            throw new Error('Failed to delete backup');
+        }
+
+        callback();
+    } catch (error) {
+        console.error('Error deleting backup:', error);
+    }
+}
+
+/**
+ * Asks for the password of a user that is created from a backup.
+ * @param {string} handle Handle of the new user
+ * @returns {Promise<string>} Password, empty string if cancelled
+ */
+async function promptNewUserPassword(handle) {
+    const template = $(await renderTemplateAsync('changePassword'));
+    template.find('.currentPasswordBlock').hide();
+    template.find('input[name="password"], input[name="confirm"]').attr('placeholder', '');
+    template.prepend($('<p></p>').text(`The user ${handle} will be created. Set a password for it:`));
+    let password = '';
+    let confirmPassword = '';
+    template.find('input[name="password"]').on('input', function () {
+        password = String($(this).val());
+    });
+    template.find('input[name="confirm"]').on('input', function () {
+        confirmPassword = String($(this).val());
+    });
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Create', cancelButton: 'Cancel', wide: false, large: false });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return '';
+    }
+
+    if (!password) {
+        toastr.warning('The new user needs a password.');
+        return '';
+    }
+
+    if (password !== confirmPassword) {
+        toastr.error('Passwords do not match', 'Failed to restore backup');
+        return '';
+    }
+
+    return password;
+}
+
+/**
+ * Restore a backup into a new or existing user.
+ * @param {{ source_handle: string, file: string }|File} source Stored backup or an uploaded archive
+ * @param {string} defaultHandle Suggested handle of the user to restore into
+ * @param {string[]} handles Handles of the existing users
+ * @param {function} callback Success callback
+ * @returns {Promise<void>}
+ */
+async function restoreBackup(source, defaultHandle, handles, callback) {
+    try {
+        const handle = await callGenericPopup('Restore into the user with the handle (a new user is created if it doesn\'t exist):', POPUP_TYPE.INPUT, defaultHandle);
+
+        if (!handle) {
+            return;
+        }
+
+        const target = await slugify(String(handle));
+
+        if (target === currentUser?.handle) {
+            toastr.warning('Cannot restore into the logged in user.');
+            return;
+        }
+
+        let password = '';
+
+        if (handles.includes(target)) {
+            const confirm = await callGenericPopup(`All data of ${target} will be replaced with the backup. The current data will be backed up first. Continue?`, POPUP_TYPE.CONFIRM);
+
+            if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+                return;
+            }
+        } else {
+            password = await promptNewUserPassword(target);
+
+            if (!password) {
+                return;
+            }
+        }
+
+        toastr.info('The backup is being restored. It may take a while.', 'Restore Requested');
+
+        /** @type {RequestInit} */
+        const request = { method: 'POST' };
+
+        if (source instanceof File) {
+            const formData = new FormData();
+            formData.append('avatar', source);
+            formData.append('handle', target);
+            formData.append('password', password);
+            const headers = getRequestHeaders();
+            delete headers['Content-Type'];
+            Object.assign(request, { headers, body: formData });
+        } else {
+            Object.assign(request, { headers: getRequestHeaders(), body: JSON.stringify({ ...source, handle: target, password }) });
+        }
+
+        const response = await fetch('/api/users/backups/restore', request);
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to restore backup');
+            throw new Error('Failed to restore backup');
+        }
+
+        const data = await response.json();
+        toastr.success(data.created ? `Created the user ${data.handle}.` : `Restored the data of ${data.handle}.`, 'Backup restored');
+        callback();
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+    }
+}
+
+/**
+ * Gets the audit log filters from the admin panel form.
+ * @param {HTMLFormElement} form Filter form
+ * @returns {object} Filters
+ */
+function getAuditFilters(form) {
+    const data = Object.fromEntries(new FormData(form));
+    const toDay = (value, endOfDay) => value ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime() : undefined;
+
+    return {
+        action: data.action || undefined,
+        actor: String(data.actor ?? '').trim() || undefined,
+        target: String(data.target ?? '').trim() || undefined,
+        search: String(data.search ?? '').trim() || undefined,
+        success: data.success ? data.success === 'true' : undefined,
+        from: toDay(data.from, false),
+        to: toDay(data.to, true),
+    };
+}
+
+/**
+ * Get the most recent audit log entries.
+ * @param {object} filters Audit log filters
+ * @returns {Promise<object[]>} Entries, newest first
+ */
+async function getAuditLog(filters) {
+    try {
+        const response = await fetch('/api/users/audit/query', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(filters),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to get the audit log');
+        }
+
+        return response.json();
+    } catch (error) {
+        console.error('Error getting the audit log:', error);
+        toastr.error('Could not load the audit log');
+        return [];
+    }
+}
+
+/**
+ * Download the audit log entries as JSON lines.
+ * @param {object} filters Audit log filters
+ * @returns {Promise<void>}
+ */
+async function exportAuditLog(filters) {
+    try {
+        const response = await fetch('/api/users/audit/export', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(filters),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to export the audit log');
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        download(await response.blob(), `audit-${date}.jsonl`, 'application/x-ndjson');
+    } catch (error) {
+        console.error('Error exporting the audit log:', error);
+        toastr.error('Could not export the audit log');
+    }
+}
+
 /**
  * Shows a popup to change a user's password.
  * @param {string} handle User handle
@@ -597,6 +897,202 @@ async function viewSettingsSnapshots() {
     renderSnapshots();
 }
 
+/**
+ * User-facing names of the plugin statuses.
+ */
+const PLUGIN_STATUSES = {
+    loaded: 'Loaded',
+    disabled: 'Disabled',
+    failed: 'Failed',
+    blocked: 'Not loaded',
+};
+
+/**
+ * Get the server plugins with the settings of the current user.
+ * @returns {Promise<{ enabled: boolean, plugins: any[] }>} Server plugins
+ */
+async function getServerPlugins() {
+    try {
+        const response = await fetch('/api/server-plugins/list', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to get server plugins');
+        }
+
+        return response.json();
+    } catch (error) {
+        console.error('Error getting server plugins:', error);
+    }
+}
+
+/**
+ * Enable, disable or reload a server plugin for all users.
+ * @param {'enable'|'disable'|'reload'} action Action to perform
+ * @param {string} [key] Plugin key. Reloading without a key looks for new plugins
+ * @param {function} callback Success callback
+ */
+async function manageServerPlugin(action, key, callback) {
+    try {
+        const response = await fetch(`/api/server-plugins/${action}`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ key }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', `Failed to ${action} plugin`);
+            throw new Error(`Failed to ${action} plugin`);
+        }
+
+        if (response.status !== 204) {
+            const data = await response.json();
+            data.status === 'loaded'
+                ? toastr.success(`${data.name} is loaded.`, 'Server Plugins')
+                : toastr.warning(data.error || PLUGIN_STATUSES[data.status], data.name);
+        }
+
+        callback();
+    } catch (error) {
+        console.error(`Error trying to ${action} plugin:`, error);
+    }
+}
+
+/**
+ * Save the current user's state and settings of a server plugin.
+ * @param {string} id Plugin ID
+ * @param {{ enabled?: boolean, settings?: object }} state Plugin state
+ * @param {function} callback Success callback
+ */
+async function saveServerPluginState(id, state, callback) {
+    try {
+        const response = await fetch('/api/server-plugins/user/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id, ...state }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to save plugin settings');
+            throw new Error('Failed to save plugin settings');
+        }
+
+        callback();
+    } catch (error) {
+        console.error('Error saving plugin settings:', error);
+    }
+}
+
+/**
+ * Create the input of a plugin setting.
+ * @param {{ key: string, label?: string, type: string, options?: string[] }} setting Setting schema
+ * @param {any} value Current value
+ * @returns {JQuery<HTMLElement>} Setting block
+ */
+function createPluginSettingInput(setting, value) {
+    const label = $('<label class="flex-container flexFlowColumn flexNoGap"></label>');
+    const title = $('<small></small>').text(setting.label || setting.key);
+    let input;
+
+    switch (setting.type) {
+        case 'boolean':
+            label.removeClass('flexFlowColumn').addClass('checkbox_label');
+            input = $('<input type="checkbox">').prop('checked', !!value);
+            return label.append(input.attr('data-key', setting.key), title);
+        case 'select':
+            input = $('<select class="text_pole"></select>');
+            for (const option of setting.options ?? []) {
+                input.append($('<option></option>').val(option).text(option));
+            }
+            break;
+        case 'number':
+            input = $('<input type="number" class="text_pole">');
+            break;
+        default:
+            input = $('<input type="text" class="text_pole">');
+            break;
+    }
+
+    input.val(value ?? '');
+    return label.append(title, input.attr('data-key', setting.key));
+}
+
+/**
+ * Open the server plugins view.
+ */
+async function viewServerPlugins() {
+    const template = $(await renderTemplateAsync('serverPlugins'));
+    const canManage = isAdmin() || !accountsEnabled;
+
+    async function renderPlugins() {
+        const data = await getServerPlugins();
+        template.find('.pluginsList').empty();
+
+        if (!data) {
+            return;
+        }
+
+        template.find('.pluginsDisabledHint').toggle(!data.enabled);
+        template.find('.pluginsRescanButton').toggle(canManage && data.enabled);
+
+        if (!data.plugins.length) {
+            template.find('.pluginsList').append($('<small></small>').text('No plugins installed.'));
+        }
+
+        for (const plugin of data.plugins) {
+            const isLoaded = plugin.status === 'loaded';
+            const dependencies = Array.isArray(plugin.dependencies)
+                ? plugin.dependencies
+                : Object.entries(plugin.dependencies).map(([id, version]) => `${id} ${version}`);
+            const pluginBlock = template.find('.pluginTemplate .serverPlugin').clone();
+            pluginBlock.find('.pluginName').text(plugin.name);
+            pluginBlock.find('.pluginVersion').text(plugin.version ? `v${plugin.version}` : '');
+            pluginBlock.find('.pluginStatus').text(PLUGIN_STATUSES[plugin.status] ?? plugin.status);
+            pluginBlock.find('.pluginDescription').text(plugin.description);
+            pluginBlock.find('.pluginError').text(plugin.error || '').toggle(!!plugin.error);
+            pluginBlock.find('.pluginDependencies').text(dependencies.length ? `Requires: ${dependencies.join(', ')}` : '').toggle(dependencies.length > 0);
+            pluginBlock.find('.pluginUserEnabledLabel').toggle(isLoaded).on('click', (e) => e.stopPropagation());
+            pluginBlock.find('.pluginUserEnabled').prop('checked', plugin.userEnabled).on('change', function () {
+                const enabled = $(this).is(':checked');
+                saveServerPluginState(plugin.id, { enabled }, () => toastr.info('Reload the page to apply the changes.', plugin.name));
+            });
+            pluginBlock.find('.pluginReloadButton').toggle(canManage && plugin.status !== 'disabled');
+            pluginBlock.find('.pluginEnableButton').toggle(canManage && plugin.status === 'disabled');
+            pluginBlock.find('.pluginDisableButton').toggle(canManage && plugin.status !== 'disabled');
+
+            for (const action of ['reload', 'enable', 'disable']) {
+                pluginBlock.find(`.plugin${action[0].toUpperCase()}${action.slice(1)}Button`).on('click', function (e) {
+                    e.stopPropagation();
+                    $(this).addClass('disabled').off('click');
+                    manageServerPlugin(action, plugin.key, renderPlugins);
+                });
+            }
+
+            for (const setting of plugin.settings) {
+                pluginBlock.find('.pluginSettings').append(createPluginSettingInput(setting, plugin.userSettings[setting.key]));
+            }
+
+            pluginBlock.find('.pluginSaveButton').toggle(plugin.settings.length > 0).on('click', () => {
+                const settings = {};
+                pluginBlock.find('.pluginSettings [data-key]').each(function () {
+                    settings[$(this).data('key')] = $(this).is(':checkbox') ? $(this).is(':checked') : $(this).val();
+                });
+                saveServerPluginState(plugin.id, { settings }, () => toastr.success('Plugin settings saved.', plugin.name));
+            });
+
+            template.find('.pluginsList').append(pluginBlock);
+        }
+    }
+
+    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: false, large: false, allowVerticalScrolling: true });
+    template.find('.pluginsRescanButton').on('click', () => manageServerPlugin('reload', undefined, renderPlugins));
+    renderPlugins();
+}
+
 /**
  * Reset everything to default.
  * @param {function} callback Success callback
@@ -655,23 +1151,501 @@ async function resetEverything(callback) {
 
 }
 
-async function openUserProfile() {
-    await getCurrentUser();
-    const template = $(await renderTemplateAsync('userProfile'));
-    template.find('.userName').text(currentUser.name);
-    template.find('.userHandle').text(currentUser.handle);
-    template.find('.avatar img').attr('src', currentUser.avatar);
-    template.find('.userRole').text(currentUser.admin ? 'Admin' : 'User');
-    template.find('.userCreated').text(new Date(currentUser.created).toLocaleString());
-    template.find('.hasPassword').toggle(currentUser.password);
-    template.find('.noPassword').toggle(!currentUser.password);
-    template.find('.userSettingsSnapshotsButton').on('click', () => viewSettingsSnapshots());
-    template.find('.userChangeNameButton').on('click', async () => changeName(currentUser.handle, currentUser.name, async () => {
-        await getCurrentUser();
-        template.find('.userName').text(currentUser.name);
-    }));
-    template.find('.userChangePasswordButton').on('click', () => changePassword(currentUser.handle, async () => {
-        await getCurrentUser();
+/**
+ * Get the two-factor authentication status of the current user.
+ * @returns {Promise<{ enabled: boolean, required: boolean, recoveryCodes: number }>} Status
+ */
+async function getTwoFactorStatus() {
+    try {
+        const response = await fetch('/api/users/2fa/status', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to get two-factor status');
+        }
+
+        return response.json();
+    } catch (error) {
+        console.error('Error getting two-factor status:', error);
+    }
+}
+
+/**
+ * Show the recovery codes of two-factor authentication.
+ * @param {string[]} codes Recovery codes
+ * @returns {Promise<void>}
+ */
+async function showRecoveryCodes(codes) {
+    const content = $('<div class="flex-container flexFlowColumn"></div>');
+    content.append($('<h3></h3>').text('Recovery Codes'));
+    content.append($('<small></small>').text('Save these codes in a safe place. Each code can be used once to log in if you lose access to your authenticator app. The old codes no longer work.'));
+    content.append($('<code></code>').text(codes.join(' ')));
+    await callGenericPopup(content, POPUP_TYPE.TEXT, '', { okButton: 'I saved them', wide: false, large: false });
+}
+
+/**
+ * Set up two-factor authentication for the current user.
+ * @param {function} callback Success callback
+ */
+async function setupTwoFactor(callback) {
+    try {
+        const setupResponse = await fetch('/api/users/2fa/setup', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!setupResponse.ok) {
+            const data = await setupResponse.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to set up two-factor authentication');
+            throw new Error('Failed to set up two-factor authentication');
+        }
+
+        const { secret, uri } = await setupResponse.json();
+        const template = $(await renderTemplateAsync('totpSetup'));
+        template.find('.totpSecret').text(secret);
+        template.find('.totpUri').attr('href', uri);
+        let code = '';
+        template.find('input[name="code"]').on('input', function () {
+            code = String($(this).val()).trim();
+        });
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Enable', cancelButton: 'Cancel', wide: false, large: false });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Two-factor setup cancelled');
+        }
+
+        const response = await fetch('/api/users/2fa/enable', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ code }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to set up two-factor authentication');
+            throw new Error('Failed to set up two-factor authentication');
+        }
+
+        const { recoveryCodes } = await response.json();
+        toastr.success('Two-factor authentication enabled.');
+        await showRecoveryCodes(recoveryCodes);
+        callback();
+    } catch (error) {
+        console.error('Error setting up two-factor authentication:', error);
+    }
+}
+
+/**
+ * Disable two-factor authentication or replace the recovery codes of the current user.
+ * Both actions need the account password and a code from the authenticator app or a recovery code.
+ * @param {'disable'|'recovery-codes'} action Action to perform
+ * @param {function} callback Success callback
+ */
+async function manageTwoFactor(action, callback) {
+    try {
+        const template = $(await renderTemplateAsync('totpConfirm'));
+        let password = '';
+        let code = '';
+        template.find('input[name="password"]').on('input', function () {
+            password = String($(this).val());
+        });
+        template.find('input[name="code"]').on('input', function () {
+            code = String($(this).val()).trim();
+        });
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Confirm', cancelButton: 'Cancel', wide: false, large: false });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE || !code) {
+            throw new Error('Two-factor action cancelled');
+        }
+
+        const response = await fetch(`/api/users/2fa/${action}`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ password, code }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Two-factor authentication');
+            throw new Error(`Failed to ${action} two-factor authentication`);
+        }
+
+        if (action === 'recovery-codes') {
+            const { recoveryCodes } = await response.json();
+            await showRecoveryCodes(recoveryCodes);
+        } else {
+            toastr.success('Two-factor authentication disabled.');
+        }
+
+        callback();
+    } catch (error) {
+        console.error('Error managing two-factor authentication:', error);
+    }
+}
+
+/**
+ * Turn off two-factor authentication for a user.
+ * @param {string} handle User handle
+ * @param {function} callback Success callback
+ */
+async function resetTwoFactor(handle, callback) {
+    try {
+        const confirm = await callGenericPopup(`Turn off two-factor authentication for ${handle}? The user will be logged out on all devices.`, POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Two-factor reset cancelled');
+        }
+
+        const response = await fetch('/api/users/2fa/reset', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to reset two-factor authentication');
+            throw new Error('Failed to reset two-factor authentication');
+        }
+
+        toastr.success('Two-factor authentication turned off.');
+        callback();
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+    }
+}
+
+/**
+ * Revoke one or all other sessions of the current user.
+ * @param {string} [id] Session ID. If not set, all sessions except the current one are revoked
+ * @param {function} callback Success callback
+ */
+async function revokeSessions(id, callback) {
+    try {
+        const response = await fetch(id ? '/api/users/sessions/revoke' : '/api/users/sessions/revoke-others', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to log out the session');
+            throw new Error('Failed to log out the session');
+        }
+
+        callback();
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+    }
+}
+
+/**
+ * Open the list of devices the current user is logged in on.
+ */
+async function viewSessions() {
+    const content = $('<div class="flex-container flexFlowColumn"></div>');
+
+    async function renderSessions() {
+        const response = await fetch('/api/users/sessions/list', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not load your sessions');
+            return;
+        }
+
+        /** @type {{ id: string, created: number, lastSeen: number, ip: string, userAgent: string, current: boolean }[]} */
+        const sessions = await response.json();
+        const table = $('<table class="responsiveTable"></table>');
+        table.append('<thead><th>Device</th><th>IP</th><th>Logged in</th><th>Last seen</th><th></th></thead>');
+
+        for (const session of sessions) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(session.userAgent || 'Unknown'));
+            row.append($('<td></td>').text(session.ip));
+            row.append($('<td></td>').text(new Date(session.created).toLocaleString()));
+            row.append($('<td></td>').text(session.current ? 'This device' : new Date(session.lastSeen).toLocaleString()));
+            const revokeButton = $('<div class="menu_button fa-solid fa-right-from-bracket" title="Log out this device."></div>');
+            revokeButton.on('click', () => revokeSessions(session.id, () => session.current ? location.reload() : renderSessions()));
+            row.append($('<td></td>').append(revokeButton));
+            table.append(row);
+        }
+
+        const revokeOthersButton = $('<div class="menu_button menu_button_icon"><i class="fa-fw fa-solid fa-right-from-bracket"></i><span>Log out all other devices</span></div>');
+        revokeOthersButton.on('click', () => revokeSessions(undefined, renderSessions));
+        content.empty().append($('<h3></h3>').text('My Sessions'), table, revokeOthersButton);
+    }
+
+    await renderSessions();
+    await callGenericPopup(content, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+}
+
+/**
+ * Open the personal API tokens manager.
+ */
+async function viewApiTokens() {
+    const template = $(await renderTemplateAsync('apiTokens'));
+
+    async function renderTokens() {
+        const response = await fetch('/api/users/tokens/list', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not load your API tokens');
+            return;
+        }
+
+        /** @type {{ scopes: Record<string, string>, tokens: { id: string, name: string, scopes: string[], created: number, expires?: number, lastUsed?: number, lastIp?: string }[] }} */
+        const data = await response.json();
+        const scopesBlock = template.find('.apiTokenScopes');
+
+        if (!scopesBlock.children().length) {
+            for (const [key, label] of Object.entries(data.scopes)) {
+                const checkbox = $('<input type="checkbox" name="scopes">').val(key);
+                scopesBlock.append($('<label class="checkbox_label"></label>').append(checkbox, $('<small></small>').text(label)));
+            }
+        }
+
+        const list = template.find('.apiTokensList').empty();
+
+        if (!data.tokens.length) {
+            list.append($('<small></small>').text('No tokens yet.'));
+            return;
+        }
+
+        const table = $('<table class="responsiveTable"></table>');
+        table.append('<thead><th>Name</th><th>Scopes</th><th>Expires</th><th>Last used</th><th></th></thead>');
+
+        for (const token of data.tokens) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(token.name));
+            row.append($('<td></td>').text(token.scopes.map(x => data.scopes[x] ?? x).join(', ')));
+            row.append($('<td></td>').text(token.expires ? new Date(token.expires).toLocaleDateString() : 'Never'));
+            row.append($('<td></td>').text(token.lastUsed ? `${new Date(token.lastUsed).toLocaleString()} (${token.lastIp})` : 'Never'));
+            const revokeButton = $('<div class="menu_button fa-solid fa-trash" title="Revoke the token."></div>');
+            revokeButton.on('click', () => revokeApiToken(token, renderTokens));
+            row.append($('<td></td>').append(revokeButton));
+            table.append(row);
+        }
+
+        list.append(table);
+    }
+
+    template.find('.apiTokenCreateForm').on('submit', async function (event) {
+        event.preventDefault();
+        const form = $(this);
+        const name = String(form.find('input[name="name"]').val()).trim();
+        const scopes = form.find('input[name="scopes"]:checked').map((_, x) => $(x).val()).get();
+        const expiresInDays = Number(form.find('input[name="expiresInDays"]').val());
+
+        try {
+            const response = await fetch('/api/users/tokens/create', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ name, scopes, expiresInDays }),
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                toastr.error(data.error || 'Unknown error', 'Failed to create token');
+                throw new Error('Failed to create token');
+            }
+
+            const { token } = await response.json();
+            template.find('.apiTokenCreated').show();
+            template.find('.apiTokenValue').text(token);
+            form.trigger('reset');
+            await renderTokens();
+        } catch (error) {
+            console.error('Error creating token:', error);
+        }
+    });
+
+    await renderTokens();
+    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+}
+
+/**
+ * Revoke a personal API token.
+ * @param {{ id: string, name: string }} token Token to revoke
+ * @param {function} callback Success callback
+ */
+async function revokeApiToken(token, callback) {
+    try {
+        const confirm = await callGenericPopup(`Revoke the token "${token.name}"? Scripts using it will stop working.`, POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Token revocation cancelled');
+        }
+
+        const response = await fetch('/api/users/tokens/revoke', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: token.id }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to revoke token');
+            throw new Error('Failed to revoke token');
+        }
+
+        callback();
+    } catch (error) {
+        console.error('Error revoking token:', error);
+    }
+}
+
+/**
+ * Formats a quota limit for display.
+ * @param {number} used Used amount
+ * @param {number} limit Limit, 0 if unlimited
+ * @param {function(number): string} [format] Value formatter
+ * @returns {string} Formatted usage
+ */
+function formatQuota(used, limit, format = String) {
+    return limit ? `${format(used)} / ${format(limit)}` : `${format(used)} (no limit)`;
+}
+
+/**
+ * Open the usage report of a user. Admins can also change the quotas of other users.
+ * @param {string} [handle] User handle. The current user if not set
+ */
+async function viewUsage(handle) {
+    const template = $(await renderTemplateAsync('userUsage'));
+    const isAdminView = !!handle;
+
+    /**
+     * @param {object} report Usage report
+     */
+    function renderReport(report) {
+        template.find('.usageHandle').text(report.handle);
+        template.find('.usageDisabledHint').toggle(!report.enabled);
+        template.find('.usageUnlimitedHint').toggle(report.enabled && !report.limited);
+
+        const summary = template.find('.usageSummary').empty();
+        const providers = new Set([...Object.keys(report.today.tokens), ...Object.keys(report.quotas.tokensPerDay).filter(x => x !== 'default')]);
+        summary.append($('<span></span>').text(`Storage: ${formatQuota(report.storage.used, report.storage.limit, x => humanFileSize(x))}`));
+        summary.append($('<span></span>').text(`Requests today: ${formatQuota(report.today.requests, report.quotas.requestsPerDay)}`));
+
+        for (const provider of providers) {
+            const limit = report.quotas.tokensPerDay[provider] ?? report.quotas.tokensPerDay.default ?? 0;
+            summary.append($('<span></span>').text(`Tokens today (${provider}): ${formatQuota(report.today.tokens[provider] ?? 0, limit)}`));
+        }
+
+        const history = template.find('.usageHistory').empty();
+
+        if (!report.history.length) {
+            history.append($('<small></small>').text('No usage recorded yet.'));
+        } else {
+            const table = $('<table class="responsiveTable"></table>');
+            table.append('<thead><th>Day</th><th>Requests</th><th>Tokens</th></thead>');
+
+            for (const day of report.history) {
+                const tokens = Object.entries(day.tokens).map(([provider, count]) => `${provider}: ${count}`).join(', ');
+                const row = $('<tr></tr>');
+                row.append($('<td></td>').text(day.day), $('<td></td>').text(day.requests), $('<td></td>').text(tokens));
+                table.append(row);
+            }
+
+            history.append(table);
+        }
+
+        const form = template.find('.usageQuotasForm').toggle(isAdminView);
+        form.find('input[name="storageMb"]').val(report.overrides.storageMb ?? '').attr('placeholder', `Default: ${report.quotas.storageMb}`);
+        form.find('input[name="requestsPerDay"]').val(report.overrides.requestsPerDay ?? '').attr('placeholder', `Default: ${report.quotas.requestsPerDay}`);
+        form.find('textarea[name="tokensPerDay"]').val(Object.entries(report.overrides.tokensPerDay ?? {}).map(([provider, limit]) => `${provider}: ${limit}`).join('\n'));
+    }
+
+    async function loadReport() {
+        const response = await fetch(isAdminView ? '/api/users/usage/get' : '/api/users/usage', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle }),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not load the usage report');
+            return false;
+        }
+
+        renderReport(await response.json());
+        return true;
+    }
+
+    template.find('.usageQuotasForm').on('submit', async function (e) {
+        e.preventDefault();
+
+        if (!(this instanceof HTMLFormElement)) {
+            return;
+        }
+
+        const data = new FormData(this);
+        const tokensPerDay = {};
+
+        for (const line of String(data.get('tokensPerDay') ?? '').split('\n')) {
+            const [provider, limit] = line.split(':').map(x => x.trim());
+            if (provider && limit) {
+                tokensPerDay[provider] = limit;
+            }
+        }
+
+        const quotas = {
+            storageMb: data.get('storageMb'),
+            requestsPerDay: data.get('requestsPerDay'),
+            tokensPerDay: tokensPerDay,
+        };
+
+        const response = await fetch('/api/users/quotas/set', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle, quotas }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to save the quotas');
+            return;
+        }
+
+        toastr.success('Quotas saved.');
+        renderReport(await response.json());
+    });
+
+    if (!await loadReport()) {
+        return;
+    }
+
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+}
+
+async function openUserProfile() {
+    await getCurrentUser();
+    const template = $(await renderTemplateAsync('userProfile'));
+    template.find('.userName').text(currentUser.name);
+    template.find('.userHandle').text(currentUser.handle);
+    template.find('.avatar img').attr('src', currentUser.avatar);
+    template.find('.userRole').text(currentUser.admin ? 'Admin' : 'User');
+    template.find('.userCreated').text(new Date(currentUser.created).toLocaleString());
+    template.find('.hasPassword').toggle(currentUser.password);
+    template.find('.noPassword').toggle(!currentUser.password);
+    template.find('.userSettingsSnapshotsButton').on('click', () => viewSettingsSnapshots());
+    template.find('.userServerPluginsButton').on('click', () => viewServerPlugins());
+    template.find('.userChangeNameButton').on('click', async () => changeName(currentUser.handle, currentUser.name, async () => {
+        await getCurrentUser();
+        template.find('.userName').text(currentUser.name);
+    }));
+    template.find('.userChangePasswordButton').on('click', () => changePassword(currentUser.handle, async () => {
+        await getCurrentUser();
         template.find('.hasPassword').toggle(currentUser.password);
         template.find('.noPassword').toggle(!currentUser.password);
     }));
@@ -681,6 +1655,49 @@ async function openUserProfile() {
             $(this).removeClass('disabled');
         });
     });
+    const updateSecretsStatus = async () => {
+        const status = await getSecretsStatus();
+        const statusText = !status ? 'Unknown'
+            : status.locked ? 'Locked'
+                : status.passphrase ? 'Encrypted, protected with a passphrase'
+                    : status.encrypted ? 'Encrypted' : 'Not encrypted';
+        template.find('.secretsStatus').text(statusText);
+        template.find('.userSecretsUnlockButton').toggle(!!status?.locked);
+        template.find('.userSecretsLockButton').toggle(!!status?.passphrase && !status.locked);
+        template.find('.userSecretsPassphraseButton').toggle(!!status && !status.locked);
+        template.find('.userSecretsRemovePassphraseButton').toggle(!!status?.passphrase && !status.locked);
+    };
+    template.find('.userSecretsUnlockButton').on('click', async () => await unlockSecrets() && updateSecretsStatus());
+    template.find('.userSecretsLockButton').on('click', async () => {
+        await lockSecrets();
+        await updateSecretsStatus();
+    });
+    template.find('.userSecretsPassphraseButton').on('click', async () => await changeSecretsPassphrase(false) && updateSecretsStatus());
+    template.find('.userSecretsRemovePassphraseButton').on('click', async () => await changeSecretsPassphrase(true) && updateSecretsStatus());
+    template.find('.userSecretsAuditButton').on('click', () => viewSecretsAudit());
+    template.find('.userApiTokensButton').on('click', () => viewApiTokens());
+    await updateSecretsStatus();
+    const updateTwoFactorStatus = async () => {
+        const status = await getTwoFactorStatus();
+        const statusText = !status ? 'Unknown'
+            : status.enabled ? `Enabled, ${status.recoveryCodes} recovery codes left`
+                : status.required ? 'Required by the server' : 'Disabled';
+        template.find('.totpStatus').text(statusText);
+        template.find('.userTotpSetupButton').toggle(!!status && !status.enabled);
+        template.find('.userTotpRecoveryButton').toggle(!!status?.enabled);
+        template.find('.userTotpDisableButton').toggle(!!status?.enabled && !status.required);
+    };
+    template.find('.userTotpSetupButton').on('click', () => setupTwoFactor(updateTwoFactorStatus));
+    template.find('.userTotpRecoveryButton').on('click', () => manageTwoFactor('recovery-codes', updateTwoFactorStatus));
+    template.find('.userTotpDisableButton').on('click', () => manageTwoFactor('disable', updateTwoFactorStatus));
+    template.find('.userSessionsButton').on('click', () => viewSessions());
+    template.find('.userUsageButton').on('click', () => viewUsage());
+    template.find('.userSharedLibraryButton').on('click', () => openSharedLibrary({ isAdmin: isAdmin() }));
+
+    if (accountsEnabled) {
+        await updateTwoFactorStatus();
+    }
+
     template.find('.userResetSettingsButton').on('click', () => resetSettings(currentUser.handle, () => location.reload()));
     template.find('.userResetAllButton').on('click', () => resetEverything(() => location.reload()));
     template.find('.userAvatarChange').on('click', () => template.find('.avatarUpload').trigger('click'));
@@ -780,6 +1797,8 @@ async function openAdminPanel() {
             userBlock.find('.userPromoteButton').toggle(!user.admin).on('click', () => promoteUser(user.handle, renderUsers));
             userBlock.find('.userDemoteButton').toggle(user.admin).on('click', () => demoteUser(user.handle, renderUsers));
             userBlock.find('.userChangePasswordButton').on('click', () => changePassword(user.handle, renderUsers));
+            userBlock.find('.userResetTotpButton').toggle(!!user.totp).on('click', () => resetTwoFactor(user.handle, renderUsers));
+            userBlock.find('.userUsageButton').on('click', () => viewUsage(user.handle));
             userBlock.find('.userDelete').on('click', () => deleteUser(user.handle, renderUsers));
             userBlock.find('.userChangeNameButton').on('click', async () => changeName(user.handle, user.name, renderUsers));
             userBlock.find('.userBackupButton').on('click', function () {
@@ -808,8 +1827,109 @@ async function openAdminPanel() {
         }
     }
 
+    async function renderBackups() {
+        const data = await getBackups();
+        const list = template.find('.backupsList').empty();
+
+        if (!data) {
+            return;
+        }
+
+        const { schedule, users } = data;
+        const handles = users.map(x => x.handle);
+        template.find('.backupsSchedule').text(schedule.enabled
+            ? `Scheduled backups are created at ${schedule.hour}:00. Keeping ${schedule.daily} daily and ${schedule.weekly} weekly backups.`
+            : 'Scheduled backups are disabled in the server config.');
+        template.find('.backupRestoreFile').off('change').on('change', async function () {
+            if (!(this instanceof HTMLInputElement) || !this.files[0]) {
+                return;
+            }
+
+            const file = this.files[0];
+            this.value = '';
+            await restoreBackup(file, '', handles, renderBackups);
+        });
+
+        for (const user of users) {
+            const userBlock = template.find('.userBackupsTemplate .userBackups').clone();
+            userBlock.find('.userBackupsName').text(user.name);
+            userBlock.find('.userBackupsHandle').text(user.handle);
+            userBlock.find('.userBackupCreateButton').on('click', function () {
+                $(this).addClass('disabled').off('click');
+                createBackup(user.handle, renderBackups);
+            });
+
+            if (!user.backups.length) {
+                userBlock.find('.userBackupsList').append($('<small></small>').text('No backups yet.'));
+            }
+
+            for (const backup of user.backups) {
+                const backupBlock = template.find('.backupEntryTemplate .backupEntry').clone();
+                backupBlock.find('.backupDate').text(new Date(backup.created).toLocaleString());
+                backupBlock.find('.backupKind').text(BACKUP_KINDS[backup.kind] ?? backup.kind);
+                backupBlock.find('.backupSize').text(humanFileSize(backup.size));
+                backupBlock.find('.backupDownloadButton').on('click', () => downloadBackup(user.handle, backup.file));
+                backupBlock.find('.backupRestoreButton').on('click', () => restoreBackup({ source_handle: user.handle, file: backup.file }, user.handle, handles, renderBackups));
+                backupBlock.find('.backupDeleteButton').on('click', () => deleteBackup(user.handle, backup.file, renderBackups));
+                userBlock.find('.userBackupsList').append(backupBlock);
+            }
+
+            list.append(userBlock);
+        }
+    }
+
+    async function renderAuditLog() {
+        const form = template.find('.auditFilterForm').get(0);
+        const list = template.find('.auditList').empty();
+
+        if (!(form instanceof HTMLFormElement)) {
+            return;
+        }
+
+        const entries = await getAuditLog(getAuditFilters(form));
+
+        if (!entries.length) {
+            list.append($('<small></small>').text('No matching events.'));
+            return;
+        }
+
+        for (const entry of entries) {
+            const block = $('<div class="flex-container flexFlowColumn flexNoGap padding5"></div>');
+            const header = $('<div class="flex-container alignItemsBaseline flexGap10"></div>');
+            const icon = entry.success ? 'fa-circle-check' : 'fa-circle-xmark warning';
+            header.append($('<i class="fa-fw fa-solid"></i>').addClass(icon).attr('title', entry.success ? 'Succeeded' : 'Failed'));
+            header.append($('<b></b>').text(entry.action));
+            header.append($('<span class="flex1"></span>').text([entry.actor, entry.target].filter(x => x).join(' → ')));
+            header.append($('<small></small>').text(new Date(entry.timestamp).toLocaleString()));
+            block.append(header);
+
+            const details = [entry.ip, entry.endpoint, entry.details ? JSON.stringify(entry.details) : ''].filter(x => x).join(' · ');
+
+            if (details) {
+                block.append($('<small class="wordBreakAll"></small>').text(details));
+            }
+
+            list.append(block);
+        }
+    }
+
     const template = $(await renderTemplateAsync('admin'));
 
+    template.find('.backupsButton').on('click', () => renderBackups());
+    template.find('.auditButton').on('click', () => renderAuditLog());
+    template.find('.auditFilterForm').on('submit', (event) => {
+        event.preventDefault();
+        renderAuditLog();
+    });
+    template.find('.auditExportButton').on('click', () => {
+        const form = template.find('.auditFilterForm').get(0);
+
+        if (form instanceof HTMLFormElement) {
+            exportAuditLog(getAuditFilters(form));
+        }
+    });
+    template.find('.backupRestoreFileButton').on('click', () => template.find('.backupRestoreFile').trigger('click'));
+
     template.find('.adminNav > button').on('click', function () {
         const target = String($(this).data('target-tab'));
         template.find('.navTab').each(function () {
@@ -338,7 +338,7 @@ async function whileCallback(args, value) {
                 commandResult = await executeSubCommands(command, args._scope, args._parserFlags, args._abortController);
             }
             if (commandResult.isAborted) break;
-            if (commandResult.isBreak) break;
+            if (commandResult.isBreak || commandResult.isReturn) break;
         } else {
             break;
         }
@@ -385,7 +385,7 @@ async function timesCallback(args, value) {
             result = await executeSubCommands(command.replace(/\{\{timesIndex\}\}/g, i.toString()), args._scope, args._parserFlags, args._abortController);
         }
         if (result.isAborted) break;
-        if (result.isBreak) break;
+        if (result.isBreak || result.isReturn) break;
     }
 
     return result?.pipe ?? '';
@@ -48,17 +48,22 @@ import {
     getUserDirectoriesList,
     migrateSystemPrompts,
     migrateUserData,
+    migrateSecrets,
     requireLoginMiddleware,
     setUserDataMiddleware,
     shouldRedirectToLogin,
     tryAutoLogin,
     router as userDataRouter,
 } from './src/users.js';
+import { initUserBackups } from './src/user-backups.js';
+import { storageQuotaMiddleware } from './src/user-quotas.js';
+import { skipCsrfForApiTokens } from './src/api-tokens.js';
 
 import getWebpackServeMiddleware from './src/middleware/webpack-serve.js';
 import basicAuthMiddleware from './src/middleware/basicAuth.js';
 import whitelistMiddleware from './src/middleware/whitelist.js';
 import multerMonkeyPatch from './src/middleware/multerMonkeyPatch.js';
+import requestContextMiddleware from './src/middleware/requestContext.js';
 import initRequestProxy from './src/request-proxy.js';
 import {
     getVersion,
@@ -95,7 +100,7 @@ import { router as charactersRouter } from './src/endpoints/characters.js';
 import { router as chatsRouter } from './src/endpoints/chats.js';
 import { router as groupsRouter } from './src/endpoints/groups.js';
 import { router as worldInfoRouter } from './src/endpoints/worldinfo.js';
-import { router as statsRouter, init as statsInit, onExit as statsOnExit } from './src/endpoints/stats.js';
+import { router as statsRouter, init as statsInit } from './src/endpoints/stats.js';
 import { router as backgroundsRouter } from './src/endpoints/backgrounds.js';
 import { router as spritesRouter } from './src/endpoints/sprites.js';
 import { router as contentManagerRouter, checkForNewContent } from './src/endpoints/content-manager.js';
@@ -114,6 +119,10 @@ import { router as textCompletionsRouter } from './src/endpoints/backends/text-c
 import { router as scaleAltRouter } from './src/endpoints/backends/scale-alt.js';
 import { router as speechRouter } from './src/endpoints/speech.js';
 import { router as azureRouter } from './src/endpoints/azure.js';
+import { router as serverPluginsRouter } from './src/endpoints/server-plugins.js';
+import { router as sharedLibraryRouter } from './src/endpoints/shared-library.js';
+import { router as chatRoomsRouter } from './src/endpoints/chat-rooms.js';
+import { router as costsRouter } from './src/endpoints/costs.js';
 
 // Work around a node v20.0.0, v20.1.0, and v20.2.0 bug. The issue was fixed in v20.3.0.
 // https://github.com/nodejs/node/issues/47822#issuecomment-1564708870
@@ -374,6 +383,7 @@ app.use(cookieSession({
 }));
 
 app.use(setUserDataMiddleware);
+app.use(requestContextMiddleware);
 
 // CSRF Protection //
 if (!disableCsrf) {
@@ -397,7 +407,7 @@ if (!disableCsrf) {
     });
 
     app.use(cookieParser(COOKIES_SECRET));
-    app.use(doubleCsrfProtection);
+    app.use(skipCsrfForApiTokens(doubleCsrfProtection));
 } else {
     console.warn('\nCSRF protection is disabled. This will make your server vulnerable to CSRF attacks.\n');
     app.get('/csrf-token', (req, res) => {
@@ -454,6 +464,7 @@ app.get('/api/ping', (_, response) => response.sendStatus(204));
 // File uploads
 app.use(multer({ dest: uploadsPath, limits: { fieldSize: 10 * 1024 * 1024 } }).single('avatar'));
 app.use(multerMonkeyPatch);
+app.use(storageQuotaMiddleware);
 
 // User data mount
 app.use('/', userDataRouter);
@@ -542,7 +553,6 @@ redirect('/editworldinfo', '/api/worldinfo/edit');
 // Redirect deprecated stats API endpoints
 redirect('/getstats', '/api/stats/get');
 redirect('/recreatestats', '/api/stats/recreate');
-redirect('/updatestats', '/api/stats/update');
 
 // Redirect deprecated backgrounds API endpoints
 redirect('/getbackgrounds', '/api/backgrounds/all');
@@ -614,6 +624,10 @@ app.use('/api/backends/chat-completions', chatCompletionsRouter);
 app.use('/api/backends/scale-alt', scaleAltRouter);
 app.use('/api/speech', speechRouter);
 app.use('/api/azure', azureRouter);
+app.use('/api/server-plugins', serverPluginsRouter);
+app.use('/api/library', sharedLibraryRouter);
+app.use('/api/rooms', chatRoomsRouter);
+app.use('/api/costs', costsRouter);
 
 const tavernUrlV6 = new URL(
     (cliArguments.ssl ? 'https://' : 'http://') +
@@ -650,6 +664,7 @@ const preSetupTasks = async function () {
 
     await settingsInit();
     await statsInit();
+    initUserBackups();
 
     const cleanupPlugins = await initializePlugins();
     const consoleTitle = process.title;
@@ -658,7 +673,6 @@ const preSetupTasks = async function () {
     const exitProcess = async () => {
         if (isExiting) return;
         isExiting = true;
-        await statsOnExit();
         if (typeof cleanupPlugins === 'function') {
             await cleanupPlugins();
         }
@@ -926,6 +940,7 @@ initUserStorage(dataRoot)
     .then(ensurePublicDirectoriesExist)
     .then(migrateUserData)
     .then(migrateSystemPrompts)
+    .then(migrateSecrets)
     .then(verifySecuritySettings)
     .then(preSetupTasks)
     .finally(startServer);
@@ -0,0 +1,309 @@
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+import storage from 'node-persist';
+
+const TOKEN_KEY_PREFIX = 'tokens:';
+const TOKEN_PREFIX = 'st_';
+// Last used time is saved at most once per minute for each token
+const TOUCH_INTERVAL = 60 * 1000;
+
+/**
+ * Endpoints each scope gives access to. Paths ending with a slash match all endpoints below them.
+ * Endpoints that are not listed can't be used with tokens, including the user and token management.
+ */
+export const API_TOKEN_SCOPES = {
+    'chats:read': {
+        label: 'Read chats',
+        routes: [
+            '/api/chats/get',
+            '/api/chats/group/get',
+            '/api/chats/search',
+            '/api/chats/export',
+            '/api/chats/history',
+            '/api/chats/history/diff',
+            '/api/characters/chats',
+        ],
+    },
+    'chats:write': {
+        label: 'Write chats',
+        routes: [
+            '/api/chats/save',
+            '/api/chats/rename',
+            '/api/chats/delete',
+            '/api/chats/import',
+            '/api/chats/group/save',
+            '/api/chats/group/delete',
+            '/api/chats/group/import',
+            '/api/chats/history/restore',
+        ],
+    },
+    'characters:read': {
+        label: 'Read characters',
+        routes: [
+            '/api/characters/all',
+            '/api/characters/get',
+            '/api/characters/export',
+            '/api/groups/all',
+            '/api/worldinfo/get',
+            '/characters/',
+            '/thumbnail',
+        ],
+    },
+    'characters:write': {
+        label: 'Write characters',
+        routes: [
+            '/api/characters/create',
+            '/api/characters/edit',
+            '/api/characters/edit-attribute',
+            '/api/characters/merge-attributes',
+            '/api/characters/rename',
+            '/api/characters/duplicate',
+            '/api/characters/import',
+            '/api/characters/delete',
+            '/api/groups/create',
+            '/api/groups/edit',
+            '/api/groups/delete',
+            '/api/worldinfo/edit',
+            '/api/worldinfo/import',
+            '/api/worldinfo/delete',
+        ],
+    },
+    'generate': {
+        label: 'Generate text',
+        routes: [
+            '/api/backends/',
+            '/api/tokenizers/',
+        ],
+    },
+};
+
+/**
+ * Endpoints every token can use.
+ */
+const ALWAYS_ALLOWED_ROUTES = ['/api/ping'];
+
+/**
+ * @typedef {Object} ApiToken
+ * @property {string} id - Token ID, the public part of the token
+ * @property {string} name - Name given by the user
+ * @property {string} hash - SHA-256 hash of the secret part of the token
+ * @property {string[]} scopes - Scopes of the token
+ * @property {number} created - The timestamp when the token was created
+ * @property {number} [expires] - The timestamp when the token expires
+ * @property {number} [lastUsed] - The timestamp when the token was last used
+ * @property {string} [lastIp] - IP address the token was last used from
+ */
+
+/**
+ * Cache of all tokens by ID, with the handles of their users.
+ * @type {Map<string, { handle: string, token: ApiToken }>|null}
+ */
+let tokensCache = null;
+
+/**
+ * Loads all tokens into the cache.
+ * @returns {Promise<Map<string, { handle: string, token: ApiToken }>>} Tokens by ID
+ */
+async function getTokensCache() {
+    if (!tokensCache) {
+        tokensCache = new Map();
+        const keys = await storage.keys();
+
+        for (const key of keys.filter(x => x.startsWith(TOKEN_KEY_PREFIX))) {
+            const handle = key.slice(TOKEN_KEY_PREFIX.length);
+            const tokens = await storage.getItem(key);
+
+            for (const token of Array.isArray(tokens) ? tokens : []) {
+                tokensCache.set(token.id, { handle, token });
+            }
+        }
+    }
+
+    return tokensCache;
+}
+
+/**
+ * Saves the tokens of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<void>}
+ */
+async function saveUserTokens(handle) {
+    const cache = await getTokensCache();
+    const tokens = Array.from(cache.values()).filter(x => x.handle === handle).map(x => x.token);
+
+    if (tokens.length) {
+        await storage.setItem(TOKEN_KEY_PREFIX + handle, tokens);
+    } else {
+        await storage.removeItem(TOKEN_KEY_PREFIX + handle);
+    }
+}
+
+/**
+ * Hashes the secret part of a token.
+ * @param {string} secret Token secret
+ * @returns {string} Hash
+ */
+function hashTokenSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Gets the bearer token of a request.
+ * @param {import('express').Request} request Request object
+ * @returns {string|null} Token, or null if the request has no bearer token
+ */
+export function getBearerToken(request) {
+    const [scheme, token] = String(request.headers.authorization ?? '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Lists the tokens of a user, without the hashes.
+ * @param {string} handle User handle
+ * @returns {Promise<Omit<ApiToken, 'hash'>[]>} Tokens
+ */
+export async function listApiTokens(handle) {
+    const cache = await getTokensCache();
+    return Array.from(cache.values())
+        .filter(x => x.handle === handle)
+        .map(({ token: { hash, ...token } }) => token)
+        .sort((a, b) => b.created - a.created);
+}
+
+/**
+ * Creates a new token for a user.
+ * @param {string} handle User handle
+ * @param {string} name Token name
+ * @param {string[]} scopes Token scopes
+ * @param {number} [expiresInDays] Days until the token expires. Never expires if not set
+ * @returns {Promise<string>} Token. Only the hash is stored, so it can't be shown again
+ */
+export async function createApiToken(handle, name, scopes, expiresInDays) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+
+    /** @type {ApiToken} */
+    const token = {
+        id,
+        name,
+        hash: hashTokenSecret(secret),
+        scopes: scopes.filter(x => Object.hasOwn(API_TOKEN_SCOPES, x)),
+        created: now,
+        expires: expiresInDays > 0 ? now + expiresInDays * 24 * 60 * 60 * 1000 : undefined,
+    };
+
+    const cache = await getTokensCache();
+    cache.set(id, { handle, token });
+    await saveUserTokens(handle);
+    return `${TOKEN_PREFIX}${id}_${secret}`;
+}
+
+/**
+ * Revokes a token of a user.
+ * @param {string} handle User handle
+ * @param {string} id Token ID
+ * @returns {Promise<boolean>} Whether the token was found
+ */
+export async function revokeApiToken(handle, id) {
+    const cache = await getTokensCache();
+
+    if (cache.get(id)?.handle !== handle) {
+        return false;
+    }
+
+    cache.delete(id);
+    await saveUserTokens(handle);
+    return true;
+}
+
+/**
+ * Revokes all tokens of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<void>}
+ */
+export async function revokeAllApiTokens(handle) {
+    const cache = await getTokensCache();
+
+    for (const [id, entry] of cache) {
+        if (entry.handle === handle) {
+            cache.delete(id);
+        }
+    }
+
+    await saveUserTokens(handle);
+}
+
+/**
+ * Finds the user of a token and records its use.
+ * @param {string} value Token from the request
+ * @param {string} ip IP address of the request
+ * @returns {Promise<{ handle: string, token: ApiToken }|null>} Token and the handle of its user, or null if the token is invalid or expired
+ */
+export async function verifyApiToken(value, ip) {
+    const match = /^st_([0-9a-f]{12})_([\w-]+)$/.exec(value);
+
+    if (!match) {
+        return null;
+    }
+
+    const cache = await getTokensCache();
+    const entry = cache.get(match[1]);
+
+    if (!entry) {
+        return null;
+    }
+
+    const expected = Buffer.from(entry.token.hash, 'hex');
+    const actual = Buffer.from(hashTokenSecret(match[2]), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const now = Date.now();
+
+    if (entry.token.expires && entry.token.expires < now) {
+        return null;
+    }
+
+    if (!entry.token.lastUsed || now - entry.token.lastUsed > TOUCH_INTERVAL) {
+        entry.token.lastUsed = now;
+        entry.token.lastIp = ip;
+        await saveUserTokens(entry.handle);
+    }
+
+    return entry;
+}
+
+/**
+ * Checks if a token can be used for an endpoint.
+ * @param {ApiToken} token Token
+ * @param {string} path Request path
+ * @returns {boolean} Whether the token has a scope that includes the endpoint
+ */
+export function isRouteAllowedForToken(token, path) {
+    // Express doesn't normalize paths, so relative segments are never allowed
+    if (path.includes('..')) {
+        return false;
+    }
+
+    const matches = (route) => route.endsWith('/') ? path.startsWith(route) : path === route;
+
+    if (ALWAYS_ALLOWED_ROUTES.some(matches)) {
+        return true;
+    }
+
+    return token.scopes.some(scope => API_TOKEN_SCOPES[scope]?.routes.some(matches));
+}
+
+/**
+ * Wraps the CSRF protection middleware to skip requests authenticated with an API token.
+ * Such requests don't use cookies, so they can't be forged.
+ * @param {import('express').RequestHandler} csrfProtection CSRF protection middleware
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function skipCsrfForApiTokens(csrfProtection) {
+    return (request, response, next) => request.apiToken ? next() : csrfProtection(request, response, next);
+}
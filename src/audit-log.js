@@ -0,0 +1,245 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+
+import { AUDIT_LOG_DIRECTORY } from './constants.js';
+import { getRequestContext } from './middleware/requestContext.js';
+import { getConfigValue } from './util.js';
+
+const AUDIT_LOG_FILE = 'audit.jsonl';
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - ISO timestamp of the event
+ * @property {string} action - Event type, e.g. `login.failed` or `user.delete`
+ * @property {string} [actor] - Handle of the user who did the action
+ * @property {string} [target] - Handle of the user or the name of the item the action was done to
+ * @property {boolean} success - Whether the action succeeded
+ * @property {string} [ip] - IP address of the client
+ * @property {string} [endpoint] - Endpoint that was called
+ * @property {object} [details] - Additional information about the event
+ */
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [action] - Only entries of this action, or of the actions starting with it followed by a dot
+ * @property {string} [actor] - Only entries of this actor
+ * @property {string} [target] - Only entries with this target
+ * @property {boolean} [success] - Only successful or failed entries
+ * @property {number} [from] - Only entries at or after this timestamp in milliseconds
+ * @property {number} [to] - Only entries at or before this timestamp in milliseconds
+ * @property {string} [search] - Only entries that contain this text
+ */
+
+/**
+ * Gets the audit log options from the config.
+ * @returns {{ enabled: boolean, maxSize: number, maxFiles: number }} Options
+ */
+function getAuditOptions() {
+    const maxSizeMb = Number(getConfigValue('auditLog.maxSizeMb', 10));
+
+    return {
+        enabled: !!getConfigValue('auditLog.enabled', true),
+        maxSize: (maxSizeMb > 0 ? maxSizeMb : 10) * 1024 * 1024,
+        maxFiles: Math.max(0, Math.floor(Number(getConfigValue('auditLog.maxFiles', 5)) || 0)),
+    };
+}
+
+/**
+ * Gets the path of the current log file or of a rotated one.
+ * @param {number} [index=0] Rotation index, 0 for the current file
+ * @returns {string} File path
+ */
+function getAuditFilePath(index = 0) {
+    const fileName = index > 0 ? `audit.${index}.jsonl` : AUDIT_LOG_FILE;
+    return path.join(globalThis.DATA_ROOT, AUDIT_LOG_DIRECTORY, fileName);
+}
+
+/**
+ * Rotates the log when the current file is too large. The oldest file is removed when there are too many.
+ * @param {number} maxSize Maximum size of the current file in bytes
+ * @param {number} maxFiles Number of rotated files to keep
+ */
+function rotateAuditLog(maxSize, maxFiles) {
+    const filePath = getAuditFilePath();
+
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size < maxSize) {
+        return;
+    }
+
+    // The log starts over when rotated files are disabled
+    if (maxFiles === 0) {
+        fs.rmSync(filePath);
+        return;
+    }
+
+    fs.rmSync(getAuditFilePath(maxFiles), { force: true });
+
+    for (let i = maxFiles - 1; i >= 0; i--) {
+        if (fs.existsSync(getAuditFilePath(i))) {
+            fs.renameSync(getAuditFilePath(i), getAuditFilePath(i + 1));
+        }
+    }
+}
+
+/**
+ * Records an event in the audit log. The actor and the IP address are taken from the current request if not given.
+ * @param {string} action Event type
+ * @param {object} [options] Event properties
+ * @param {string} [options.actor] Handle of the user who did the action
+ * @param {string} [options.target] Handle of the user or the name of the item the action was done to
+ * @param {boolean} [options.success=true] Whether the action succeeded
+ * @param {object} [options.details] Additional information about the event
+ */
+export function recordAuditEvent(action, { actor, target, success = true, details } = {}) {
+    const { enabled, maxSize, maxFiles } = getAuditOptions();
+
+    if (!enabled) {
+        return;
+    }
+
+    try {
+        const context = getRequestContext();
+        /** @type {AuditEntry} */
+        const entry = {
+            timestamp: new Date().toISOString(),
+            action: action,
+            actor: actor ?? context?.handle,
+            target: target,
+            success: success,
+            ip: context?.ip,
+            endpoint: context?.endpoint,
+            details: details,
+        };
+
+        fs.mkdirSync(path.dirname(getAuditFilePath()), { recursive: true });
+        rotateAuditLog(maxSize, maxFiles);
+        fs.appendFileSync(getAuditFilePath(), JSON.stringify(entry) + '\n', 'utf-8');
+    } catch (error) {
+        console.warn('Failed to write audit log:', error);
+    }
+}
+
+/**
+ * Checks if an entry matches a query.
+ * @param {AuditEntry} entry Audit entry
+ * @param {AuditQuery} query Query
+ * @returns {boolean} Whether the entry matches
+ */
+function matchesAuditQuery(entry, query) {
+    const time = Date.parse(entry.timestamp);
+
+    if (query.action && entry.action !== query.action && !entry.action?.startsWith(`${query.action}.`)) {
+        return false;
+    }
+
+    if (query.actor && entry.actor !== query.actor) {
+        return false;
+    }
+
+    if (query.target && entry.target !== query.target) {
+        return false;
+    }
+
+    if (typeof query.success === 'boolean' && entry.success !== query.success) {
+        return false;
+    }
+
+    if ((query.from && time < query.from) || (query.to && time > query.to)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Reads the entries matching a query from all log files, oldest first.
+ * @param {AuditQuery} query Query
+ * @returns {AsyncGenerator<{ entry: AuditEntry, line: string }>} Matching entries with their original lines
+ */
+async function* readAuditEntries(query) {
+    const { maxFiles } = getAuditOptions();
+    const search = String(query.search ?? '').toLowerCase();
+
+    for (let i = maxFiles; i >= 0; i--) {
+        const filePath = getAuditFilePath(i);
+
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+
+        const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim() || (search && !line.toLowerCase().includes(search))) {
+                continue;
+            }
+
+            try {
+                const entry = JSON.parse(line);
+
+                if (matchesAuditQuery(entry, query)) {
+                    yield { entry, line };
+                }
+            } catch {
+                // Skip damaged lines
+            }
+        }
+    }
+}
+
+/**
+ * Gets the most recent entries matching a query.
+ * @param {AuditQuery} query Query
+ * @param {number} [limit=200] Maximum number of entries to return
+ * @returns {Promise<AuditEntry[]>} Entries, newest first
+ */
+export async function queryAuditLog(query, limit = 200) {
+    const entries = [];
+
+    for await (const { entry } of readAuditEntries(query)) {
+        entries.push(entry);
+
+        if (entries.length > limit) {
+            entries.shift();
+        }
+    }
+
+    return entries.reverse();
+}
+
+/**
+ * Writes the entries matching a query as JSON lines, oldest first.
+ * @param {AuditQuery} query Query
+ * @param {import('node:stream').Writable} stream Stream to write to
+ * @returns {Promise<number>} Number of exported entries
+ */
+export async function exportAuditLog(query, stream) {
+    let count = 0;
+
+    for await (const { line } of readAuditEntries(query)) {
+        stream.write(line + '\n');
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * Converts the filters of a request body to a query.
+ * @param {object} body Request body
+ * @returns {AuditQuery} Query
+ */
+export function getAuditQuery(body) {
+    const toTime = (/** @type {any} */ value) => value ? (Number.isFinite(Number(value)) ? Number(value) : Date.parse(value)) || undefined : undefined;
+
+    return {
+        action: body?.action ? String(body.action) : undefined,
+        actor: body?.actor ? String(body.actor) : undefined,
+        target: body?.target ? String(body.target) : undefined,
+        success: typeof body?.success === 'boolean' ? body.success : undefined,
+        from: toTime(body?.from),
+        to: toTime(body?.to),
+        search: body?.search ? String(body.search) : undefined,
+    };
+}
@@ -0,0 +1,240 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { PassThrough } from 'node:stream';
+
+import archiver from 'archiver';
+import mime from 'mime-types';
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+/**
+ * Asset types restored into the character's sprites folder.
+ */
+const SPRITE_ASSET_TYPES = ['emotion', 'expression', 'other', 'x-risu-asset'];
+
+/**
+ * @typedef {Object} CharacterAsset
+ * @property {string} type - Asset type of the V3 spec: icon, emotion, background or other
+ * @property {string} name - Asset name, the expression label for sprites. Sprites in subfolders are named folder/label.
+ * @property {string} ext - File extension without the dot
+ * @property {Buffer} data - File contents
+ */
+
+/**
+ * @typedef {Object} RestoredAssets
+ * @property {Buffer|null} avatar - Main icon of the character, null if the card has none
+ * @property {number} sprites - Number of sprites written to the sprites folder
+ * @property {number} backgrounds - Number of backgrounds written to the backgrounds folder
+ */
+
+/**
+ * Lists the image files of a sprites folder, including its subfolders.
+ * @param {string} folderPath Path to the folder
+ * @param {string} [prefix] Name prefix of the files in a subfolder
+ * @returns {{ name: string, filePath: string }[]} Sprite names and paths
+ */
+function listSpriteFiles(folderPath, prefix = '') {
+    const result = [];
+
+    for (const entry of fs.readdirSync(folderPath, { withFileTypes: true })) {
+        const filePath = path.join(folderPath, entry.name);
+
+        if (entry.isDirectory()) {
+            result.push(...listSpriteFiles(filePath, `${prefix}${entry.name}/`));
+        } else if (String(mime.lookup(entry.name)).startsWith('image/')) {
+            result.push({ name: prefix + path.parse(entry.name).name, filePath });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Collects the avatar and the sprites of a character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatarPath Path to the character's avatar
+ * @param {string} name Character name, the name of the sprites folder
+ * @returns {CharacterAsset[]} Assets
+ */
+export function getCharacterAssets(directories, avatarPath, name) {
+    /** @type {CharacterAsset[]} */
+    const assets = [{ type: 'icon', name: 'main', ext: 'png', data: fs.readFileSync(avatarPath) }];
+    const spritesPath = path.join(directories.characters, sanitize(name));
+
+    if (name && fs.existsSync(spritesPath) && fs.statSync(spritesPath).isDirectory()) {
+        for (const sprite of listSpriteFiles(spritesPath)) {
+            const ext = path.extname(sprite.filePath).slice(1).toLowerCase();
+            assets.push({ type: 'emotion', name: sprite.name, ext, data: fs.readFileSync(sprite.filePath) });
+        }
+    }
+
+    return assets;
+}
+
+/**
+ * Gets the path of an asset inside a CharX archive.
+ * @param {CharacterAsset} asset Asset
+ * @returns {string} Path in the archive
+ */
+function getArchivePath(asset) {
+    const category = String(mime.lookup(asset.ext)).split('/')[0] || 'other';
+    return `assets/${asset.type}/${category}/${asset.name}.${asset.ext}`;
+}
+
+/**
+ * Creates a CharX archive with the V3 card and its assets.
+ * @param {object} card Character card in the V3 format
+ * @param {CharacterAsset[]} assets Assets to embed
+ * @returns {Promise<Buffer>} CharX archive
+ */
+export async function createCharXArchive(card, assets) {
+    card.data.assets = assets.map(asset => ({ type: asset.type, uri: `embeded://${getArchivePath(asset)}`, name: asset.name, ext: asset.ext }));
+
+    const archive = archiver('zip');
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        output.on('end', resolve);
+        archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    archive.append(JSON.stringify(card, null, 4), { name: 'card.json' });
+
+    for (const asset of assets) {
+        archive.append(asset.data, { name: getArchivePath(asset) });
+    }
+
+    await archive.finalize();
+    await finished;
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Embeds the assets into a V3 card as data URIs.
+ * @param {object} card Character card in the V3 format
+ * @param {CharacterAsset[]} assets Assets to embed
+ * @returns {object} Character card
+ */
+export function embedAssetsAsDataUris(card, assets) {
+    card.data.assets = assets.map(asset => ({
+        type: asset.type,
+        uri: `data:${mime.lookup(asset.ext) || 'application/octet-stream'};base64,${asset.data.toString('base64')}`,
+        name: asset.name,
+        ext: asset.ext,
+    }));
+
+    return card;
+}
+
+/**
+ * Reads an asset referenced by a data URI or by a path in a CharX archive.
+ * Remote URIs are not downloaded.
+ * @param {string} uri Asset URI
+ * @param {{ entries: Map<string, any>, read: (name: string) => Promise<Buffer> }|null} archive CharX archive, null for JSON cards
+ * @returns {Promise<Buffer|null>} Asset contents, null if the asset is not embedded
+ */
+export async function readAssetUri(uri, archive) {
+    const dataUri = /^data:[^;,]*(;base64)?,(.*)$/s.exec(uri);
+
+    if (dataUri) {
+        return dataUri[1] ? Buffer.from(dataUri[2], 'base64') : Buffer.from(decodeURIComponent(dataUri[2]));
+    }
+
+    const embedded = /^(?:embeded|embedded|__asset):\/\/(.+)$/.exec(uri);
+
+    if (embedded && archive) {
+        const name = embedded[1].replace(/^\/+/, '');
+        return archive.entries.has(name) ? await archive.read(name) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Sanitizes the name of a sprite, keeping one level of subfolders.
+ * @param {string} name Asset name
+ * @returns {string[]} Path segments
+ */
+function getSpriteSegments(name) {
+    return String(name).split('/').map(x => sanitize(x)).filter(x => x).slice(-2);
+}
+
+/**
+ * Restores the assets of a V3 card: the main icon is returned to be used as the avatar,
+ * sprites are written to the character's sprites folder and backgrounds to the backgrounds folder.
+ * Existing files are not overwritten. The restored assets are removed from the card.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {object} card Character card
+ * @param {(uri: string) => Promise<Buffer|null>} readAsset Reads an asset by its URI
+ * @returns {Promise<RestoredAssets>} Restored assets
+ */
+export async function restoreCharacterAssets(directories, card, readAsset) {
+    /** @type {RestoredAssets} */
+    const result = { avatar: null, sprites: 0, backgrounds: 0 };
+    const assets = Array.isArray(card?.data?.assets) ? card.data.assets : [];
+    const characterName = sanitize(String(card?.data?.name ?? card?.name ?? ''));
+    const icons = assets.filter(x => x?.type === 'icon');
+
+    // The main icon is preferred over the other icons
+    for (const asset of [...icons.filter(x => x.name === 'main'), ...icons.filter(x => x.name !== 'main')]) {
+        try {
+            result.avatar = typeof asset.uri === 'string' ? await readAsset(asset.uri) : null;
+        } catch (error) {
+            console.warn(`Failed to restore the icon ${asset.name} of ${characterName}:`, error.message);
+            result.avatar = null;
+        }
+
+        if (result.avatar) {
+            break;
+        }
+    }
+
+    for (const asset of assets) {
+        if (typeof asset?.uri !== 'string' || !asset.name) {
+            continue;
+        }
+
+        const ext = sanitize(String(asset.ext || path.extname(asset.uri).slice(1) || 'png')).toLowerCase();
+
+        if (!String(mime.lookup(ext)).startsWith('image/')) {
+            continue;
+        }
+
+        let targetPath = null;
+
+        if (SPRITE_ASSET_TYPES.includes(asset.type) && characterName) {
+            const segments = getSpriteSegments(asset.name);
+            targetPath = segments.length ? path.join(directories.characters, characterName, ...segments) + `.${ext}` : null;
+        } else if (asset.type === 'background') {
+            const name = sanitize(`${characterName} - ${asset.name}`);
+            targetPath = name ? path.join(directories.backgrounds, `${name}.${ext}`) : null;
+        }
+
+        if (!targetPath || fs.existsSync(targetPath)) {
+            continue;
+        }
+
+        try {
+            const data = await readAsset(asset.uri);
+
+            if (!data) {
+                continue;
+            }
+
+            fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+            writeFileAtomicSync(targetPath, data);
+            asset.type === 'background' ? result.backgrounds++ : result.sprites++;
+        } catch (error) {
+            console.warn(`Failed to restore the asset ${asset.name} of ${characterName}:`, error.message);
+        }
+    }
+
+    if (card?.data) {
+        delete card.data.assets;
+    }
+
+    return result;
+}
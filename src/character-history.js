@@ -0,0 +1,292 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+
+import _ from 'lodash';
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, generateTimestamp, tryParse } from './util.js';
+import { read } from './character-card-parser.js';
+
+/**
+ * Name of the directory inside the user's backups directory where versions are kept.
+ * Shared with the chat history, character cards are kept in the "cards" subfolder.
+ */
+const HISTORY_DIRECTORY = '_history';
+const MANIFEST_FILE = 'history.json';
+
+/**
+ * Card fields compared between versions, by path in the card data.
+ */
+const DIFF_FIELDS = [
+    'name',
+    'description',
+    'personality',
+    'scenario',
+    'first_mes',
+    'mes_example',
+    'alternate_greetings',
+    'group_only_greetings',
+    'system_prompt',
+    'post_history_instructions',
+    'creator_notes',
+    'creator',
+    'character_version',
+    'tags',
+    'character_book',
+    'extensions.depth_prompt',
+    'extensions.talkativeness',
+    'extensions.world',
+];
+
+/**
+ * @typedef {Object} CharacterVersion
+ * @property {string} id Version ID, also the name of the snapshot files
+ * @property {number} timestamp Creation time of the version
+ * @property {'edit'|'attribute'|'merge'|'restore'} reason Which change replaced this version of the card
+ * @property {string} name Character name in the version
+ * @property {string} hash Hash of the card data
+ * @property {boolean} image Whether the avatar image of the version was kept
+ */
+
+/**
+ * @typedef {Object} CharacterChange
+ * @property {string} field Path of the changed field in the card data
+ * @property {any} before Value before the change
+ * @property {any} after Value after the change
+ */
+
+/**
+ * Checks if the character card history is enabled.
+ * @returns {boolean} Whether the card history is enabled
+ */
+export function isCharacterHistoryEnabled() {
+    return !!getConfigValue('characterHistory.enabled', true);
+}
+
+/**
+ * Gets the directory where the versions of a character card are kept.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @returns {string} Path to the history directory
+ */
+function getHistoryDirectory(directories, avatar) {
+    return path.join(directories.backups, HISTORY_DIRECTORY, 'cards', sanitize(path.parse(avatar).name));
+}
+
+/**
+ * Reads the list of versions of a character card.
+ * @param {string} historyDirectory History directory of the character
+ * @returns {CharacterVersion[]} Versions, oldest first
+ */
+function readManifest(historyDirectory) {
+    const manifestPath = path.join(historyDirectory, MANIFEST_FILE);
+
+    if (!fs.existsSync(manifestPath)) {
+        return [];
+    }
+
+    const manifest = tryParse(fs.readFileSync(manifestPath, 'utf8'));
+    return Array.isArray(manifest) ? manifest : [];
+}
+
+/**
+ * Gets the path to a snapshot file of a version.
+ * @param {string} historyDirectory History directory of the character
+ * @param {string} id Version ID
+ * @param {'card'|'image'} type Snapshot type: the card data or the avatar image
+ * @returns {string} Path to the snapshot file
+ */
+function getSnapshotPath(historyDirectory, id, type) {
+    return path.join(historyDirectory, `${sanitize(id)}${type === 'image' ? '.png' : '.json.gz'}`);
+}
+
+/**
+ * Removes the versions that fall out of the retention policy. The latest version is always kept.
+ * @param {string} historyDirectory History directory of the character
+ * @param {CharacterVersion[]} versions Versions, oldest first
+ * @returns {CharacterVersion[]} Remaining versions
+ */
+function applyRetentionPolicy(historyDirectory, versions) {
+    const maxVersions = Math.max(1, Number(getConfigValue('characterHistory.maxVersions', 50)));
+    const maxAgeDays = Number(getConfigValue('characterHistory.maxAgeDays', 0));
+    const minTimestamp = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+    return versions.filter((version, index) => {
+        const isLatest = index === versions.length - 1;
+        const isExpired = version.timestamp < minTimestamp || index < versions.length - maxVersions;
+
+        if (!isLatest && isExpired) {
+            fs.rmSync(getSnapshotPath(historyDirectory, version.id, 'card'), { force: true });
+            fs.rmSync(getSnapshotPath(historyDirectory, version.id, 'image'), { force: true });
+            return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Saves the current state of a character card before it is overwritten.
+ * Does nothing if the card didn't change since the latest version. Consecutive edits of the
+ * card fields within the configured interval are kept as one version, the state before the first of them.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @param {CharacterVersion['reason']} reason Which change is about to replace the card
+ * @param {boolean} [imageChanged] Whether the change replaces the avatar image
+ * @returns {CharacterVersion|null} Created version, or null if nothing was saved
+ */
+export function recordCharacterVersion(directories, avatar, reason, imageChanged = false) {
+    try {
+        if (!isCharacterHistoryEnabled()) {
+            return null;
+        }
+
+        const avatarPath = path.join(directories.characters, sanitize(avatar));
+
+        if (!fs.existsSync(avatarPath)) {
+            return null;
+        }
+
+        const image = fs.readFileSync(avatarPath);
+        const content = read(image);
+        const historyDirectory = getHistoryDirectory(directories, avatar);
+        const versions = readManifest(historyDirectory);
+        const latest = versions[versions.length - 1];
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+        const interval = Number(getConfigValue('characterHistory.interval', 300)) * 1000;
+
+        if (latest && !imageChanged && (latest.hash === hash || (reason === 'edit' && latest.reason === 'edit' && Date.now() - latest.timestamp < interval))) {
+            return null;
+        }
+
+        const baseId = generateTimestamp();
+        let id = baseId;
+
+        for (let i = 1; versions.some(x => x.id === id); i++) {
+            id = `${baseId}-${i}`;
+        }
+
+        const card = tryParse(content) ?? {};
+
+        /** @type {CharacterVersion} */
+        const version = {
+            id,
+            timestamp: Date.now(),
+            reason,
+            name: String(card.data?.name ?? card.name ?? ''),
+            hash,
+            image: imageChanged,
+        };
+
+        fs.mkdirSync(historyDirectory, { recursive: true });
+        writeFileAtomicSync(getSnapshotPath(historyDirectory, id, 'card'), zlib.gzipSync(content));
+
+        if (imageChanged) {
+            writeFileAtomicSync(getSnapshotPath(historyDirectory, id, 'image'), image);
+        }
+
+        const remaining = applyRetentionPolicy(historyDirectory, [...versions, version]);
+        writeFileAtomicSync(path.join(historyDirectory, MANIFEST_FILE), JSON.stringify(remaining, null, 4), 'utf8');
+
+        return version;
+    } catch (error) {
+        console.log(`Could not save character version for ${avatar}`, error);
+        return null;
+    }
+}
+
+/**
+ * Lists the saved versions of a character card.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @returns {CharacterVersion[]} Versions, newest first
+ */
+export function listCharacterVersions(directories, avatar) {
+    return readManifest(getHistoryDirectory(directories, avatar)).reverse();
+}
+
+/**
+ * Reads the card data of a version.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @param {string} id Version ID, or 'current' for the current card
+ * @returns {string|null} Serialized card, or null if the version doesn't exist
+ */
+export function readCharacterVersion(directories, avatar, id) {
+    if (id === 'current') {
+        const avatarPath = path.join(directories.characters, sanitize(avatar));
+        return fs.existsSync(avatarPath) ? read(fs.readFileSync(avatarPath)) : null;
+    }
+
+    const historyDirectory = getHistoryDirectory(directories, avatar);
+
+    if (!readManifest(historyDirectory).some(x => x.id === id)) {
+        return null;
+    }
+
+    return zlib.gunzipSync(fs.readFileSync(getSnapshotPath(historyDirectory, id, 'card'))).toString('utf8');
+}
+
+/**
+ * Gets the path to the avatar image kept with a version.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ * @param {string} id Version ID
+ * @returns {string|null} Path to the image, or null if the version didn't change the avatar
+ */
+export function getCharacterVersionImage(directories, avatar, id) {
+    const historyDirectory = getHistoryDirectory(directories, avatar);
+    const version = readManifest(historyDirectory).find(x => x.id === id);
+    const imagePath = getSnapshotPath(historyDirectory, id, 'image');
+
+    return version?.image && fs.existsSync(imagePath) ? imagePath : null;
+}
+
+/**
+ * Compares the fields of two versions of a character card.
+ * @param {string} before Serialized card before the changes
+ * @param {string} after Serialized card after the changes
+ * @returns {CharacterChange[]} Changed fields, in the order of the card editor
+ */
+export function diffCharacterCards(before, after) {
+    const beforeCard = tryParse(before) ?? {};
+    const afterCard = tryParse(after) ?? {};
+    // V1 cards don't have the data object
+    const getValue = (/** @type {any} */ card, /** @type {string} */ field) => _.get(card.data ?? card, field) ?? _.get(card, field);
+
+    return DIFF_FIELDS
+        .map(field => ({ field, before: getValue(beforeCard, field), after: getValue(afterCard, field) }))
+        .filter(change => !_.isEqual(change.before, change.after));
+}
+
+/**
+ * Moves the history of a character card after it was renamed.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} from Old avatar file name
+ * @param {string} to New avatar file name
+ */
+export function moveCharacterHistory(directories, from, to) {
+    try {
+        const fromDirectory = getHistoryDirectory(directories, from);
+        const toDirectory = getHistoryDirectory(directories, to);
+
+        if (fs.existsSync(fromDirectory) && !fs.existsSync(toDirectory)) {
+            fs.mkdirSync(path.dirname(toDirectory), { recursive: true });
+            fs.renameSync(fromDirectory, toDirectory);
+        }
+    } catch (error) {
+        console.log(`Could not move character history of ${from}`, error);
+    }
+}
+
+/**
+ * Deletes the history of a character card.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar file name of the character
+ */
+export function removeCharacterHistory(directories, avatar) {
+    fs.rmSync(getHistoryDirectory(directories, avatar), { recursive: true, force: true });
+}
@@ -0,0 +1,634 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { PassThrough } from 'node:stream';
+
+import archiver from 'archiver';
+import jimp from 'jimp';
+import mime from 'mime-types';
+import showdown from 'showdown';
+import { decode, encode } from 'html-entities';
+
+import { parseChatContent } from './chat-history.js';
+
+/**
+ * Formats supported by {@link exportChat}, with their MIME types.
+ */
+export const CHAT_EXPORT_FORMATS = {
+    md: 'text/markdown',
+    html: 'text/html',
+    epub: 'application/epub+zip',
+};
+
+/**
+ * Size of the avatars embedded into the exports.
+ */
+const AVATAR_SIZE = 96;
+
+/**
+ * @typedef {Object} ChatExportOptions
+ * @property {keyof CHAT_EXPORT_FORMATS} format Export format
+ * @property {string} title Title of the document
+ * @property {string} [avatar] Avatar file of the character, for character chats
+ * @property {boolean} [includeHidden] Include messages hidden from the prompt
+ * @property {boolean} [includeSwipes] Include the alternative swipes of messages
+ * @property {boolean} [includeSystem] Include system messages
+ */
+
+/**
+ * @typedef {Object} ExportAsset
+ * @property {string} fileName File name inside the EPUB package
+ * @property {string} mimeType MIME type of the file
+ * @property {Buffer} data File contents
+ */
+
+/**
+ * @typedef {Object} ChatChapter
+ * @property {string} title Chapter title
+ * @property {object[]} messages Messages of the chapter
+ */
+
+const converter = new showdown.Converter({
+    literalMidWordUnderscores: true,
+    tables: true,
+    underline: true,
+    simpleLineBreaks: true,
+    strikethrough: true,
+    disableForced4SpacesIndentedSublists: true,
+});
+
+const STYLESHEET = `
+body { font-family: Georgia, serif; line-height: 1.5; max-width: 50em; margin: 0 auto; padding: 1em; }
+h1, h2 { text-align: center; }
+.mes { display: flex; gap: 1em; margin: 1.5em 0; }
+.mes .avatar { width: ${AVATAR_SIZE / 2}px; height: ${AVATAR_SIZE / 2}px; border-radius: 50%; object-fit: cover; flex-shrink: 0; }
+.mes_block { flex: 1; min-width: 0; }
+.mes_header { margin-bottom: 0.25em; }
+.mes_header .date { color: #888; margin-left: 0.5em; }
+.mes_user .name { color: #5a7; }
+.mes_hidden { opacity: 0.6; }
+.mes_system { font-style: italic; color: #666; }
+.mes_text img, .mes_images img { max-width: 100%; }
+.reasoning, .swipes { border-left: 3px solid #ccc; padding-left: 0.75em; margin: 0.5em 0; color: #555; }
+summary { cursor: pointer; }
+blockquote { border-left: 3px solid #ddd; margin-left: 0; padding-left: 1em; }
+`;
+
+/**
+ * Collects the images embedded into an export. Each file is read only once.
+ */
+class ExportAssets {
+    /**
+     * @param {import('./users.js').UserDirectoryList} directories User directories
+     */
+    constructor(directories) {
+        this.directories = directories;
+        /** @type {Map<string, ExportAsset|null>} */
+        this.assets = new Map();
+    }
+
+    /**
+     * Adds a file to the export.
+     * @param {string} filePath Path to the file
+     * @param {boolean} isAvatar Whether the image should be downscaled to the avatar size
+     * @returns {Promise<ExportAsset|null>} Added asset, or null if the file can't be read
+     */
+    async addFile(filePath, isAvatar) {
+        if (this.assets.has(filePath)) {
+            return this.assets.get(filePath);
+        }
+
+        let asset = null;
+
+        try {
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+                const id = crypto.createHash('sha256').update(filePath).digest('hex').slice(0, 16);
+                let data = fs.readFileSync(filePath);
+                let mimeType = mime.lookup(filePath) || 'application/octet-stream';
+
+                if (isAvatar) {
+                    try {
+                        const image = await jimp.read(data);
+                        data = await image.cover(AVATAR_SIZE, AVATAR_SIZE).quality(90).getBufferAsync(jimp.MIME_JPEG);
+                        mimeType = jimp.MIME_JPEG;
+                    } catch {
+                        console.warn(`Could not resize avatar ${filePath}, using original size`);
+                    }
+                }
+
+                asset = { fileName: `images/${id}.${mime.extension(mimeType) || 'bin'}`, mimeType, data };
+            }
+        } catch (error) {
+            console.warn(`Could not add ${filePath} to the chat export`, error);
+        }
+
+        this.assets.set(filePath, asset);
+        return asset;
+    }
+
+    /**
+     * Resolves the avatar of a message to a file.
+     * @param {any} message Chat message
+     * @param {string} [characterAvatar] Avatar of the character, for character chats
+     * @returns {Promise<ExportAsset|null>} Avatar asset
+     */
+    async getAvatar(message, characterAvatar) {
+        const forceAvatar = String(message.force_avatar ?? '');
+        let filePath = null;
+
+        if (forceAvatar.includes('file=')) {
+            const params = new URLSearchParams(forceAvatar.slice(forceAvatar.indexOf('?') + 1));
+            const folder = params.get('type') === 'persona' ? this.directories.avatars : this.directories.characters;
+            filePath = path.join(folder, path.basename(params.get('file') ?? ''));
+        } else if (forceAvatar.startsWith('User Avatars/')) {
+            filePath = path.join(this.directories.avatars, path.basename(forceAvatar));
+        } else if (message.original_avatar) {
+            filePath = path.join(this.directories.characters, path.basename(String(message.original_avatar)));
+        } else if (!message.is_user && characterAvatar) {
+            filePath = path.join(this.directories.characters, path.basename(characterAvatar));
+        }
+
+        return filePath ? await this.addFile(filePath, true) : null;
+    }
+
+    /**
+     * Resolves an image URL used in a message to a file in the user's data.
+     * @param {string} url Image URL
+     * @returns {Promise<ExportAsset|null>} Image asset, or null if the URL doesn't point to the user's images
+     */
+    async getImage(url) {
+        const prefix = '/user/images/';
+
+        if (url.startsWith('data:')) {
+            const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(url);
+
+            if (!match) {
+                return null;
+            }
+
+            const data = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+            const id = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+            const asset = { fileName: `images/${id}.${mime.extension(match[1]) || 'bin'}`, mimeType: match[1], data };
+            this.assets.set(id, asset);
+            return asset;
+        }
+
+        if (!url.startsWith(prefix)) {
+            return null;
+        }
+
+        const imagesPath = path.resolve(this.directories.userImages);
+        const filePath = path.resolve(imagesPath, decodeURIComponent(url.slice(prefix.length)));
+
+        // Don't let crafted URLs escape the images directory
+        if (!filePath.startsWith(imagesPath + path.sep)) {
+            return null;
+        }
+
+        return await this.addFile(filePath, false);
+    }
+
+    /**
+     * Lists the assets added so far.
+     * @returns {ExportAsset[]} Assets
+     */
+    list() {
+        return [...new Set(this.assets.values())].filter(x => x);
+    }
+}
+
+/**
+ * Escapes text for use in HTML and XHTML documents.
+ * @param {any} text Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return encode(String(text ?? ''), { level: 'xml' });
+}
+
+/**
+ * Attributes kept in the HTML created from message Markdown.
+ */
+const ALLOWED_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'id', 'class', 'style'];
+
+/**
+ * Checks if an attribute created from message Markdown can be kept in the export.
+ * Only web links and embedded images are allowed, relative URLs have no scheme and point inside the document.
+ * @param {string} name Attribute name
+ * @param {string} value Decoded attribute value
+ * @returns {boolean} Whether the attribute is safe
+ */
+function isSafeAttribute(name, value) {
+    if (!ALLOWED_ATTRIBUTES.includes(name)) {
+        return false;
+    }
+
+    if (name === 'style') {
+        // Alignment of table cells
+        return /^text-align:\s*[a-z]+;?$/i.test(value);
+    }
+
+    if (name !== 'href' && name !== 'src') {
+        return true;
+    }
+
+    // Browsers skip whitespace and control characters in the scheme
+    const url = value.replace(/[\x00-\x20]/g, '');
+    const scheme = /^([a-z][a-z\d+.-]*):/i.exec(url)?.[1]?.toLowerCase();
+
+    if (!scheme || scheme === 'http' || scheme === 'https') {
+        return true;
+    }
+
+    return name === 'src' && /^data:image\/(png|jpe?g|gif|webp|avif);/i.test(url);
+}
+
+/**
+ * Rebuilds the attributes of the tags created from message Markdown, dropping unsafe attributes and URLs.
+ * Values are quoted again, so quotes in a link URL can't add attributes to the tag.
+ * @param {string} html HTML created by the Markdown converter
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+    return html.replace(/<([a-z][a-z\d]*)(\s[^>]*?)?(\s*\/)?>/gi, (_match, tag, attributes = '', selfClosing = '') => {
+        const kept = [];
+
+        for (const [, name, ...values] of attributes.matchAll(/([^\s"'=<>`/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+            const value = decode(values.find(x => x !== undefined) ?? '');
+
+            if (isSafeAttribute(name.toLowerCase(), value)) {
+                kept.push(` ${name.toLowerCase()}="${escapeHtml(value)}"`);
+            }
+        }
+
+        return `<${tag}${kept.join('')}${selfClosing ? ' /' : ''}>`;
+    });
+}
+
+/**
+ * Converts message Markdown to HTML. Raw HTML in the message is escaped and links other than web links
+ * and embedded images are removed, so the export can be shared safely.
+ * @param {string} text Message text
+ * @returns {string} HTML
+ */
+function renderMarkdown(text) {
+    const escaped = String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return sanitizeHtml(converter.makeHtml(escaped));
+}
+
+/**
+ * Checks if a message is a system message, such as command output.
+ * @param {any} message Chat message
+ * @returns {boolean} Whether the message is a system message
+ */
+function isSystemMessage(message) {
+    return !!message.extra?.type && message.extra.type !== 'narrator';
+}
+
+/**
+ * Gets the displayed text of a message.
+ * @param {any} message Chat message
+ * @returns {string} Message text
+ */
+function getMessageText(message) {
+    return String(message.extra?.display_text || message.mes || '').replace(/\r?\n/g, '\n');
+}
+
+/**
+ * Gets the alternative swipes of a message.
+ * @param {any} message Chat message
+ * @returns {string[]} Swipes other than the selected one
+ */
+function getAlternativeSwipes(message) {
+    if (!Array.isArray(message.swipes) || message.swipes.length < 2) {
+        return [];
+    }
+
+    const selected = Number(message.swipe_id ?? 0);
+    return message.swipes.filter((swipe, index) => index !== selected && typeof swipe === 'string' && swipe.trim());
+}
+
+/**
+ * Gets the images attached to a message.
+ * @param {any} message Chat message
+ * @returns {string[]} Image URLs
+ */
+function getMessageImages(message) {
+    const images = [];
+
+    if (typeof message.extra?.image === 'string' && message.extra.image) {
+        images.push(message.extra.image);
+    }
+
+    return images;
+}
+
+/**
+ * Splits the chat into chapters. A chapter ends at every message with a checkpoint or branches.
+ * @param {object[]} messages Chat messages
+ * @returns {ChatChapter[]} Chapters
+ */
+function splitChapters(messages) {
+    /** @type {ChatChapter[]} */
+    const chapters = [];
+    let current = [];
+
+    for (const message of messages) {
+        current.push(message);
+
+        /** @type {any} */
+        const { extra } = message;
+        if (extra?.bookmark_link || (Array.isArray(extra?.branches) && extra.branches.length)) {
+            chapters.push({ title: `Chapter ${chapters.length + 1}`, messages: current });
+            current = [];
+        }
+    }
+
+    if (current.length || !chapters.length) {
+        chapters.push({ title: `Chapter ${chapters.length + 1}`, messages: current });
+    }
+
+    return chapters.length === 1 ? [{ ...chapters[0], title: '' }] : chapters;
+}
+
+/**
+ * Renders a message as HTML.
+ * @param {any} message Chat message
+ * @param {ChatExportOptions} options Export options
+ * @param {ExportAssets} assets Export assets
+ * @param {(asset: ExportAsset) => string} getAssetUrl Gets the URL of an embedded asset
+ * @returns {Promise<string>} HTML
+ */
+async function renderMessageHtml(message, options, assets, getAssetUrl) {
+    // EPUB readers have poor support for collapsible blocks
+    const isCollapsible = options.format !== 'epub';
+    const collapsible = (/** @type {string} */ title, /** @type {string} */ className, /** @type {string} */ content) => isCollapsible
+        ? `<details class="${className}"><summary>${escapeHtml(title)}</summary>${content}</details>`
+        : `<aside class="${className}"><p><b>${escapeHtml(title)}</b></p>${content}</aside>`;
+
+    const classes = ['mes', message.is_user ? 'mes_user' : 'mes_char'];
+
+    if (isSystemMessage(message)) {
+        classes.push('mes_system');
+    } else if (message.is_system) {
+        classes.push('mes_hidden');
+    }
+
+    const avatar = isSystemMessage(message) ? null : await assets.getAvatar(message, options.avatar);
+    const parts = [];
+
+    if (message.extra?.reasoning) {
+        parts.push(collapsible('Reasoning', 'reasoning', renderMarkdown(message.extra.reasoning)));
+    }
+
+    parts.push(`<div class="mes_text">${renderMarkdown(getMessageText(message))}</div>`);
+
+    const images = [];
+    for (const url of getMessageImages(message)) {
+        const asset = await assets.getImage(url);
+        images.push(asset
+            ? `<img src="${escapeHtml(getAssetUrl(asset))}" alt="${escapeHtml(message.extra?.title || 'Image')}" />`
+            : `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`);
+    }
+
+    if (images.length) {
+        parts.push(`<div class="mes_images">${images.join('')}</div>`);
+    }
+
+    const swipes = options.includeSwipes ? getAlternativeSwipes(message) : [];
+    if (swipes.length) {
+        parts.push(collapsible(`Alternative swipes (${swipes.length})`, 'swipes', swipes.map(x => renderMarkdown(x)).join('<hr />')));
+    }
+
+    return [
+        `<div class="${classes.join(' ')}">`,
+        avatar ? `<img class="avatar" src="${escapeHtml(getAssetUrl(avatar))}" alt="" />` : '',
+        '<div class="mes_block">',
+        `<div class="mes_header"><b class="name">${escapeHtml(message.name)}</b><small class="date">${escapeHtml(message.send_date ?? '')}</small></div>`,
+        ...parts,
+        '</div>',
+        '</div>',
+    ].join('\n');
+}
+
+/**
+ * Renders the chat as a Markdown document.
+ * @param {ChatChapter[]} chapters Chapters
+ * @param {ChatExportOptions} options Export options
+ * @returns {string} Markdown
+ */
+function renderMarkdownDocument(chapters, options) {
+    const lines = [`# ${options.title}`, ''];
+
+    for (const chapter of chapters) {
+        if (chapter.title) {
+            lines.push(`## ${chapter.title}`, '');
+        }
+
+        for (const message of chapter.messages) {
+            lines.push(`### ${message.name ?? ''}`);
+
+            if (message.send_date) {
+                lines.push(`*${message.send_date}*`);
+            }
+
+            lines.push('');
+
+            if (message.extra?.reasoning) {
+                lines.push('<details><summary>Reasoning</summary>', '', String(message.extra.reasoning), '', '</details>', '');
+            }
+
+            lines.push(getMessageText(message), '');
+
+            for (const url of getMessageImages(message)) {
+                lines.push(`![${message.extra?.title || 'Image'}](${url.startsWith('data:') ? 'embedded image' : url})`, '');
+            }
+
+            const swipes = options.includeSwipes ? getAlternativeSwipes(message) : [];
+            if (swipes.length) {
+                lines.push(`<details><summary>Alternative swipes (${swipes.length})</summary>`, '', swipes.join('\n\n---\n\n'), '', '</details>', '');
+            }
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Renders the chat as a self-contained HTML document.
+ * @param {ChatChapter[]} chapters Chapters
+ * @param {ChatExportOptions} options Export options
+ * @param {ExportAssets} assets Export assets
+ * @returns {Promise<string>} HTML
+ */
+async function renderHtmlDocument(chapters, options, assets) {
+    const toDataUri = (/** @type {ExportAsset} */ asset) => `data:${asset.mimeType};base64,${asset.data.toString('base64')}`;
+    const sections = [];
+
+    for (const chapter of chapters) {
+        const messages = [];
+
+        for (const message of chapter.messages) {
+            messages.push(await renderMessageHtml(message, options, assets, toDataUri));
+        }
+
+        sections.push(`<section>${chapter.title ? `<h2>${escapeHtml(chapter.title)}</h2>` : ''}\n${messages.join('\n')}\n</section>`);
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8" />',
+        '<meta name="viewport" content="width=device-width, initial-scale=1" />',
+        `<title>${escapeHtml(options.title)}</title>`,
+        `<style>${STYLESHEET}</style>`,
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(options.title)}</h1>`,
+        ...sections,
+        '</body>',
+        '</html>',
+    ].join('\n');
+}
+
+/**
+ * Wraps content into an XHTML document for the EPUB package.
+ * @param {string} title Document title
+ * @param {string} body Document body
+ * @param {string} [extraAttributes] Extra attributes of the html element
+ * @returns {string} XHTML
+ */
+function renderXhtml(title, body, extraAttributes = '') {
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<!DOCTYPE html>',
+        `<html xmlns="http://www.w3.org/1999/xhtml"${extraAttributes}>`,
+        '<head>',
+        `<title>${escapeHtml(title)}</title>`,
+        '<link rel="stylesheet" type="text/css" href="style.css" />',
+        '</head>',
+        `<body>\n${body}\n</body>`,
+        '</html>',
+    ].join('\n');
+}
+
+/**
+ * Packages the chat as an EPUB book, one file per chapter.
+ * @param {ChatChapter[]} chapters Chapters
+ * @param {ChatExportOptions} options Export options
+ * @param {ExportAssets} assets Export assets
+ * @returns {Promise<Buffer>} EPUB file
+ */
+async function renderEpubDocument(chapters, options, assets) {
+    const files = [];
+
+    for (const [index, chapter] of chapters.entries()) {
+        const messages = [];
+
+        for (const message of chapter.messages) {
+            messages.push(await renderMessageHtml(message, options, assets, asset => asset.fileName));
+        }
+
+        const title = chapter.title || options.title;
+        files.push({ id: `chapter-${index + 1}`, fileName: `chapter-${index + 1}.xhtml`, title, content: renderXhtml(title, `<h2>${escapeHtml(title)}</h2>\n${messages.join('\n')}`) });
+    }
+
+    const nav = renderXhtml(
+        options.title,
+        `<nav epub:type="toc" id="toc"><h1>${escapeHtml(options.title)}</h1><ol>${files.map(x => `<li><a href="${x.fileName}">${escapeHtml(x.title)}</a></li>`).join('')}</ol></nav>`,
+        ' xmlns:epub="http://www.idpf.org/2007/ops"',
+    );
+
+    const assetList = assets.list();
+    const opf = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">',
+        '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        `<dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>`,
+        `<dc:title>${escapeHtml(options.title)}</dc:title>`,
+        '<dc:language>en</dc:language>',
+        `<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`,
+        '</metadata>',
+        '<manifest>',
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+        '<item id="style" href="style.css" media-type="text/css" />',
+        ...files.map(x => `<item id="${x.id}" href="${x.fileName}" media-type="application/xhtml+xml" />`),
+        ...assetList.map((x, i) => `<item id="image-${i + 1}" href="${x.fileName}" media-type="${x.mimeType}" />`),
+        '</manifest>',
+        '<spine>',
+        ...files.map(x => `<itemref idref="${x.id}" />`),
+        '</spine>',
+        '</package>',
+    ].join('\n');
+
+    const container = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" /></rootfiles>',
+        '</container>',
+    ].join('\n');
+
+    const archive = archiver('zip');
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        output.on('end', resolve);
+        archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    // The mimetype file must come first and be stored uncompressed
+    archive.append('application/epub+zip', { name: 'mimetype', store: true });
+    archive.append(container, { name: 'META-INF/container.xml' });
+    archive.append(opf, { name: 'OEBPS/content.opf' });
+    archive.append(nav, { name: 'OEBPS/nav.xhtml' });
+    archive.append(STYLESHEET, { name: 'OEBPS/style.css' });
+
+    for (const file of files) {
+        archive.append(file.content, { name: `OEBPS/${file.fileName}` });
+    }
+
+    for (const asset of assetList) {
+        archive.append(asset.data, { name: `OEBPS/${asset.fileName}` });
+    }
+
+    await archive.finalize();
+    await finished;
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Exports a chat file as a Markdown, HTML or EPUB document.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} chatPath Path to the chat file
+ * @param {ChatExportOptions} options Export options
+ * @returns {Promise<string|Buffer>} Exported document. EPUB files are returned as a buffer
+ */
+export async function exportChat(directories, chatPath, options) {
+    const content = await fs.promises.readFile(chatPath, 'utf8');
+    const { lines } = parseChatContent(content, false);
+    const messages = lines.filter(x => typeof x.mes === 'string').filter(message => {
+        if (isSystemMessage(message)) {
+            return !!options.includeSystem;
+        }
+
+        return !message.is_system || !!options.includeHidden;
+    });
+
+    const chapters = splitChapters(messages);
+    const assets = new ExportAssets(directories);
+
+    switch (options.format) {
+        case 'md':
+            return renderMarkdownDocument(chapters, options);
+        case 'html':
+            return await renderHtmlDocument(chapters, options, assets);
+        case 'epub':
+            return await renderEpubDocument(chapters, options, assets);
+        default:
+            throw new Error(`Unknown export format: ${options.format}`);
+    }
+}
@@ -0,0 +1,508 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { Buffer } from 'node:buffer';
+
+import _ from 'lodash';
+import sanitize from 'sanitize-filename';
+import DiffMatchPatch from 'diff-match-patch';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, generateTimestamp, humanizedISO8601DateTime, tryParse } from './util.js';
+import { getChatPath } from './chat-index.js';
+
+/**
+ * Name of the directory inside the user's backups directory where chat versions are kept.
+ */
+const HISTORY_DIRECTORY = '_history';
+const MANIFEST_FILE = 'history.json';
+
+/**
+ * Pending throttled version snapshots, keyed by the history directory of the chat.
+ * @type {Map<string, _.DebouncedFunc<(directories: import('./users.js').UserDirectoryList, ref: import('./chat-index.js').ChatReference, content: string) => void>>}
+ */
+const PENDING_VERSIONS = new Map();
+
+/**
+ * @typedef {Object} ChatVersion
+ * @property {string} id Version ID, also the name of the snapshot file
+ * @property {number} timestamp Creation time of the version
+ * @property {'save'|'restore'|'repair'} reason Why the version was created
+ * @property {number} messages Number of messages in the version, excluding the header
+ * @property {number} size Uncompressed size of the chat file in bytes
+ * @property {string} hash Hash of the chat file contents
+ */
+
+/**
+ * @typedef {Object} ChatChange
+ * @property {'added'|'removed'|'modified'} type Type of the change
+ * @property {number|null} message_id Message index in the chat, null for the chat header
+ * @property {object} [before] Line before the change
+ * @property {object} [after] Line after the change
+ */
+
+/**
+ * @typedef {Object} ParsedChat
+ * @property {object[]} lines Parsed chat lines
+ * @property {number} repaired Number of malformed lines that had to be repaired
+ */
+
+/**
+ * Checks if the versioned chat history is enabled.
+ * @returns {boolean} Whether chat history is enabled
+ */
+export function isChatHistoryEnabled() {
+    return !!getConfigValue('chatHistory.enabled', true);
+}
+
+/**
+ * Gets the directory where the versions of a chat are kept.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @returns {string} Path to the history directory
+ */
+function getHistoryDirectory(directories, ref) {
+    const name = sanitize(path.parse(ref.file_name).name);
+    return ref.type === 'group'
+        ? path.join(directories.backups, HISTORY_DIRECTORY, 'groups', name)
+        : path.join(directories.backups, HISTORY_DIRECTORY, 'characters', sanitize(ref.owner), name);
+}
+
+/**
+ * Reads the list of versions of a chat.
+ * @param {string} historyDirectory History directory of the chat
+ * @returns {ChatVersion[]} Versions, oldest first
+ */
+function readManifest(historyDirectory) {
+    const manifestPath = path.join(historyDirectory, MANIFEST_FILE);
+
+    if (!fs.existsSync(manifestPath)) {
+        return [];
+    }
+
+    const manifest = tryParse(fs.readFileSync(manifestPath, 'utf8'));
+    return Array.isArray(manifest) ? manifest : [];
+}
+
+/**
+ * Gets the path to the snapshot file of a version.
+ * @param {string} historyDirectory History directory of the chat
+ * @param {string} id Version ID
+ * @returns {string} Path to the snapshot file
+ */
+function getSnapshotPath(historyDirectory, id) {
+    return path.join(historyDirectory, `${sanitize(id)}.jsonl.gz`);
+}
+
+/**
+ * Removes the versions that fall out of the retention policy. The latest version is always kept.
+ * @param {string} historyDirectory History directory of the chat
+ * @param {ChatVersion[]} versions Versions, oldest first
+ * @returns {ChatVersion[]} Remaining versions
+ */
+function applyRetentionPolicy(historyDirectory, versions) {
+    const maxVersions = Math.max(1, Number(getConfigValue('chatHistory.maxVersions', 50)));
+    const maxAgeDays = Number(getConfigValue('chatHistory.maxAgeDays', 30));
+    const minTimestamp = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+    const remaining = versions.filter((version, index) => {
+        const isLatest = index === versions.length - 1;
+        const isExpired = version.timestamp < minTimestamp || index < versions.length - maxVersions;
+
+        if (!isLatest && isExpired) {
+            fs.rmSync(getSnapshotPath(historyDirectory, version.id), { force: true });
+            return false;
+        }
+
+        return true;
+    });
+
+    return remaining;
+}
+
+/**
+ * Saves a new version of a chat. Does nothing if the contents didn't change since the latest version.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @param {string} content Serialized chat
+ * @param {ChatVersion['reason']} [reason] Why the version is created
+ * @returns {ChatVersion|null} Created version, or null if nothing was saved
+ */
+export function recordChatVersion(directories, ref, content, reason = 'save') {
+    try {
+        if (!isChatHistoryEnabled()) {
+            return null;
+        }
+
+        const historyDirectory = getHistoryDirectory(directories, ref);
+        const versions = readManifest(historyDirectory);
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+
+        if (versions.length && versions[versions.length - 1].hash === hash) {
+            return null;
+        }
+
+        const baseId = generateTimestamp();
+        let id = baseId;
+
+        for (let i = 1; versions.some(x => x.id === id); i++) {
+            id = `${baseId}-${i}`;
+        }
+
+        /** @type {ChatVersion} */
+        const version = {
+            id,
+            timestamp: Date.now(),
+            reason,
+            messages: content.split('\n').filter(x => x.trim()).length - (ref.type === 'character' ? 1 : 0),
+            size: Buffer.byteLength(content, 'utf8'),
+            hash,
+        };
+
+        fs.mkdirSync(historyDirectory, { recursive: true });
+        writeFileAtomicSync(getSnapshotPath(historyDirectory, id), zlib.gzipSync(content));
+
+        const remaining = applyRetentionPolicy(historyDirectory, [...versions, version]);
+        writeFileAtomicSync(path.join(historyDirectory, MANIFEST_FILE), JSON.stringify(remaining, null, 4), 'utf8');
+
+        return version;
+    } catch (error) {
+        console.log(`Could not save chat version for ${ref.file_name}`, error);
+        return null;
+    }
+}
+
+/**
+ * Saves a version of a chat after it was saved, throttled per chat.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @param {string} content Serialized chat
+ */
+export function queueChatVersion(directories, ref, content) {
+    if (!isChatHistoryEnabled()) {
+        return;
+    }
+
+    const key = getHistoryDirectory(directories, ref);
+
+    if (!PENDING_VERSIONS.has(key)) {
+        const interval = Number(getConfigValue('chatHistory.interval', 60)) * 1000;
+        PENDING_VERSIONS.set(key, _.throttle((d, r, c) => recordChatVersion(d, r, c), interval, { leading: true, trailing: true }));
+    }
+
+    PENDING_VERSIONS.get(key)(directories, ref, content);
+}
+
+/**
+ * Writes the pending throttled versions.
+ * @param {import('./users.js').UserDirectoryList} [directories] User directories. If not set, all pending versions are written
+ * @param {import('./chat-index.js').ChatReference} [ref] Chat reference. Required if directories are set
+ */
+export function flushChatVersions(directories, ref) {
+    if (directories && ref) {
+        PENDING_VERSIONS.get(getHistoryDirectory(directories, ref))?.flush();
+        return;
+    }
+
+    for (const pending of PENDING_VERSIONS.values()) {
+        pending.flush();
+    }
+}
+
+/**
+ * Lists the saved versions of a chat.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @returns {ChatVersion[]} Versions, newest first
+ */
+export function listChatVersions(directories, ref) {
+    flushChatVersions(directories, ref);
+    return readManifest(getHistoryDirectory(directories, ref)).reverse();
+}
+
+/**
+ * Reads the contents of a chat version.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @param {string} id Version ID, or 'current' for the current chat file
+ * @returns {string|null} Serialized chat, or null if the version doesn't exist
+ */
+export function readChatVersion(directories, ref, id) {
+    if (id === 'current') {
+        const chatPath = getChatPath(directories, ref);
+        return fs.existsSync(chatPath) ? fs.readFileSync(chatPath, 'utf8') : null;
+    }
+
+    const historyDirectory = getHistoryDirectory(directories, ref);
+
+    if (!readManifest(historyDirectory).some(x => x.id === id)) {
+        return null;
+    }
+
+    return zlib.gunzipSync(fs.readFileSync(getSnapshotPath(historyDirectory, id))).toString('utf8');
+}
+
+/**
+ * Replaces a chat with one of its versions. The current contents are saved as a new version first.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @param {string} id Version ID
+ * @returns {boolean} Whether the version was restored
+ */
+export function restoreChatVersion(directories, ref, id) {
+    const content = readChatVersion(directories, ref, id);
+
+    if (content === null) {
+        return false;
+    }
+
+    flushChatVersions(directories, ref);
+    const current = readChatVersion(directories, ref, 'current');
+
+    if (current !== null) {
+        recordChatVersion(directories, ref, current, 'restore');
+    }
+
+    writeFileAtomicSync(getChatPath(directories, ref), content, 'utf8');
+    return true;
+}
+
+/**
+ * Moves the history of a chat after it was renamed.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} from Old chat reference
+ * @param {import('./chat-index.js').ChatReference} to New chat reference
+ */
+export function moveChatHistory(directories, from, to) {
+    try {
+        flushChatVersions(directories, from);
+        const fromDirectory = getHistoryDirectory(directories, from);
+        const toDirectory = getHistoryDirectory(directories, to);
+
+        if (fs.existsSync(fromDirectory) && !fs.existsSync(toDirectory)) {
+            fs.mkdirSync(path.dirname(toDirectory), { recursive: true });
+            fs.renameSync(fromDirectory, toDirectory);
+        }
+    } catch (error) {
+        console.log(`Could not move chat history of ${from.file_name}`, error);
+    }
+}
+
+/**
+ * Deletes the history of a chat.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ */
+export function removeChatHistory(directories, ref) {
+    const historyDirectory = getHistoryDirectory(directories, ref);
+    PENDING_VERSIONS.get(historyDirectory)?.cancel();
+    PENDING_VERSIONS.delete(historyDirectory);
+    fs.rmSync(historyDirectory, { recursive: true, force: true });
+}
+
+/**
+ * Compares two versions of a chat line by line.
+ * @param {string} before Serialized chat before the changes
+ * @param {string} after Serialized chat after the changes
+ * @param {boolean} hasHeader Whether the first line of the chat is the header
+ * @returns {ChatChange[]} Changes, in the order of the chat
+ */
+export function diffChatContent(before, after, hasHeader) {
+    const dmp = new DiffMatchPatch();
+    const normalize = (/** @type {string} */ text) => text.split('\n').filter(x => x.trim()).join('\n') + '\n';
+    const { chars1, chars2, lineArray } = dmp.diff_linesToChars_(normalize(before), normalize(after));
+    const diffs = dmp.diff_main(chars1, chars2, false);
+    const getMessageId = (/** @type {number} */ line) => hasHeader ? (line === 0 ? null : line - 1) : line;
+
+    /** @type {ChatChange[]} */
+    const changes = [];
+    let beforeLine = 0;
+    let afterLine = 0;
+    let removed = [];
+    let added = [];
+
+    // Pair the lines removed and added at the same place as modifications
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            const type = i < removed.length && i < added.length ? 'modified' : (i < removed.length ? 'removed' : 'added');
+            const line = i < added.length ? added[i].line : removed[i].line;
+            changes.push({ type, message_id: getMessageId(line), before: removed[i]?.value, after: added[i]?.value });
+        }
+
+        removed = [];
+        added = [];
+    };
+
+    for (const [operation, text] of diffs) {
+        for (const char of text) {
+            const value = tryParse(lineArray[char.charCodeAt(0)]) ?? lineArray[char.charCodeAt(0)].trim();
+
+            if (operation === DiffMatchPatch.DIFF_DELETE) {
+                removed.push({ line: beforeLine++, value });
+            } else if (operation === DiffMatchPatch.DIFF_INSERT) {
+                added.push({ line: afterLine++, value });
+            } else {
+                flush();
+                beforeLine++;
+                afterLine++;
+            }
+        }
+    }
+
+    flush();
+    return changes;
+}
+
+/**
+ * Tries to repair a malformed chat line.
+ * Handles control characters left by interrupted writes, several records glued into one line, and truncated records.
+ * @param {string} line Malformed line
+ * @returns {object[]|null} Recovered records, or null if the line can't be repaired
+ */
+function repairChatLine(line) {
+    const isRecord = (/** @type {any} */ value) => !!value && typeof value === 'object' && !Array.isArray(value);
+    const cleaned = line.replace(/[\u0000-\u0008\u000b-\u001f]/g, '').trim();
+    const parsed = tryParse(cleaned);
+
+    if (isRecord(parsed)) {
+        return [parsed];
+    }
+
+    // Split the line into top-level objects and close the last one if it was cut off
+    const records = [];
+    const stack = [];
+    let inString = false;
+    let isEscaped = false;
+    let start = -1;
+
+    for (let i = 0; i < cleaned.length; i++) {
+        const char = cleaned[i];
+
+        if (inString) {
+            if (isEscaped) {
+                isEscaped = false;
+            } else if (char === '\\') {
+                isEscaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (stack.length === 0) {
+                start = i;
+            }
+            stack.push(char === '{' ? '}' : ']');
+        } else if ((char === '}' || char === ']') && stack.length) {
+            stack.pop();
+
+            if (stack.length === 0 && start !== -1) {
+                records.push(cleaned.slice(start, i + 1));
+                start = -1;
+            }
+        }
+    }
+
+    if (stack.length && start !== -1) {
+        let tail = cleaned.slice(start);
+
+        if (isEscaped) {
+            tail = tail.slice(0, -1);
+        }
+
+        if (inString) {
+            tail += '"';
+        }
+
+        tail = tail.replace(/,\s*$/, '').replace(/:\s*$/, ': null');
+        records.push(tail + stack.reverse().join(''));
+    }
+
+    const recovered = records.map(x => tryParse(x));
+
+    if (!recovered.length || !recovered.every(isRecord)) {
+        return null;
+    }
+
+    // Cut off messages may lack the fields the client relies on
+    for (const record of recovered.filter(x => 'mes' in x)) {
+        record.extra = isRecord(record.extra) ? record.extra : {};
+        record.extra.repaired = true;
+    }
+
+    return recovered;
+}
+
+/**
+ * Parses a chat file, repairing malformed lines instead of dropping them.
+ * Lines that can't be repaired are kept as hidden system messages with their raw contents.
+ * @param {string} content Serialized chat
+ * @param {boolean} hasHeader Whether the first line of the chat is the header
+ * @returns {ParsedChat} Parsed chat
+ */
+export function parseChatContent(content, hasHeader) {
+    const lines = [];
+    let repaired = 0;
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        const parsed = tryParse(line);
+
+        if (parsed && typeof parsed === 'object') {
+            lines.push(parsed);
+            continue;
+        }
+
+        repaired++;
+        const records = repairChatLine(line);
+
+        if (records) {
+            lines.push(...records);
+            continue;
+        }
+
+        lines.push({
+            name: 'System',
+            is_user: false,
+            is_system: true,
+            send_date: humanizedISO8601DateTime(),
+            mes: `This message could not be read and was kept as is:\n\n${line}`,
+            extra: { type: 'corrupted' },
+        });
+    }
+
+    // The client expects the header in the first line
+    if (hasHeader && lines.length && 'mes' in lines[0]) {
+        repaired++;
+        lines.unshift({ user_name: 'unused', character_name: 'unused', create_date: humanizedISO8601DateTime(), chat_metadata: {} });
+    }
+
+    return { lines, repaired };
+}
+
+/**
+ * Reads a chat file and repairs it if needed. The original file is saved as a chat version before it is overwritten.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {import('./chat-index.js').ChatReference} ref Chat reference
+ * @returns {object[]} Parsed chat lines
+ */
+export function readChatWithRepair(directories, ref) {
+    const chatPath = getChatPath(directories, ref);
+    const content = fs.readFileSync(chatPath, 'utf8');
+    const { lines, repaired } = parseChatContent(content, ref.type === 'character');
+
+    if (repaired > 0) {
+        console.warn(`Repaired ${repaired} malformed lines in chat file ${chatPath}`);
+        recordChatVersion(directories, ref, content, 'repair');
+        writeFileAtomicSync(chatPath, lines.map(x => JSON.stringify(x)).join('\n'), 'utf8');
+    }
+
+    return lines;
+}
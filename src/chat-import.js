@@ -0,0 +1,687 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+import yauzl from 'yauzl';
+import mime from 'mime-types';
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { clientRelativePath, humanizedISO8601DateTime, tryParse } from './util.js';
+
+/**
+ * @typedef {Object} ImportedAsset
+ * @property {'image'|'file'} type Asset type
+ * @property {string} path Absolute path the asset is saved to
+ * @property {() => Promise<Buffer>} load Reads the asset contents
+ */
+
+/**
+ * @typedef {Object} ImportedChat
+ * @property {string} title Chat title, used in the file name. Empty to use the import date
+ * @property {string} content Chat contents in JSONL format
+ * @property {ImportedAsset[]} assets Images and files referenced by the chat
+ */
+
+/**
+ * @typedef {Object} ImportContext
+ * @property {import('./users.js').UserDirectoryList} directories User directories
+ * @property {string} userName User name
+ * @property {string} characterName Character name
+ */
+
+/**
+ * Kobold Lite embeds generated images into the story text as data URIs.
+ */
+const KOBOLD_IMAGE_REGEX = /\[<\|d\|(data:image\/[a-z+.-]+;base64,[A-Za-z0-9+/=]+)\|d\|>\]/g;
+
+/**
+ * Other Kobold Lite markers, such as pending image placeholders.
+ */
+const KOBOLD_MARKER_REGEX = /\[<\|[a-z]\|[^|]*\|[a-z]\|>\]/g;
+
+/**
+ * Serializes chat lines to JSONL.
+ * @param {object[]} lines Chat lines, including the header
+ * @returns {string} Chat contents
+ */
+function toJsonl(lines) {
+    return lines.map(line => JSON.stringify(line)).join('\n');
+}
+
+/**
+ * Creates the header of an imported chat.
+ * @param {ImportContext} context Import context
+ * @param {number} [createDate] Creation date of the chat, as a Unix timestamp in milliseconds
+ * @returns {object} Chat header
+ */
+function createHeader(context, createDate) {
+    return {
+        user_name: context.userName,
+        character_name: context.characterName,
+        create_date: humanizedISO8601DateTime(createDate),
+        chat_metadata: {},
+    };
+}
+
+/**
+ * Creates a chat message.
+ * @param {ImportContext} context Import context
+ * @param {boolean} isUser Whether the message was sent by the user
+ * @param {string} text Message text
+ * @param {number} [date] Send date, as a Unix timestamp in milliseconds
+ * @returns {object} Chat message
+ */
+function createMessage(context, isUser, text, date) {
+    return {
+        name: isUser ? context.userName : context.characterName,
+        is_user: isUser,
+        is_system: false,
+        send_date: humanizedISO8601DateTime(Number.isFinite(date) ? date : undefined),
+        mes: text,
+        extra: {},
+    };
+}
+
+/**
+ * Converts a date of any of the supported sources to a Unix timestamp in milliseconds.
+ * @param {any} value Date string, or timestamp in seconds or milliseconds
+ * @returns {number|undefined} Timestamp, or undefined if the value is not a date
+ */
+function parseDate(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        // Timestamps before 2001 in milliseconds are actually in seconds
+        return value < 1e12 ? Math.round(value * 1000) : value;
+    }
+
+    if (typeof value === 'string' && value) {
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? undefined : date;
+    }
+
+    return undefined;
+}
+
+/**
+ * Gets a short hash of the asset contents, to give the same asset the same file name.
+ * @param {Buffer|string} data Asset contents
+ * @returns {string} Hash
+ */
+function getAssetHash(data) {
+    return crypto.createHash('sha1').update(data).digest('hex').slice(0, 12);
+}
+
+/**
+ * Adds an image to the chat assets.
+ * @param {ImportContext} context Import context
+ * @param {ImportedAsset[]} assets Assets of the chat
+ * @param {string} fileName Image file name
+ * @param {() => Promise<Buffer>} load Reads the image contents
+ * @returns {string} Client URL of the image
+ */
+function addImageAsset(context, assets, fileName, load) {
+    const imagePath = path.join(context.directories.userImages, sanitize(context.characterName), sanitize(fileName));
+    assets.push({ type: 'image', path: imagePath, load });
+    return clientRelativePath(context.directories.root, imagePath);
+}
+
+/**
+ * Adds a text attachment to the chat assets.
+ * @param {ImportContext} context Import context
+ * @param {ImportedAsset[]} assets Assets of the chat
+ * @param {string} name Original name of the attachment
+ * @param {string} text Attachment contents
+ * @param {number} [date] Creation date, as a Unix timestamp in milliseconds
+ * @returns {object} File info for the `extra.file` field of a message
+ */
+function addFileAsset(context, assets, name, text, date) {
+    const data = Buffer.from(text, 'utf8');
+    const filePath = path.join(context.directories.files, `imported_${getAssetHash(data)}.txt`);
+    assets.push({ type: 'file', path: filePath, load: async () => data });
+
+    return {
+        url: clientRelativePath(context.directories.root, filePath),
+        size: data.length,
+        name: name,
+        created: date ?? Date.now(),
+    };
+}
+
+/**
+ * Attaches images to a message. The first image is shown as the message image, the rest are added to the text.
+ * @param {object} message Chat message
+ * @param {string[]} imageUrls Image URLs
+ */
+function attachImages(message, imageUrls) {
+    if (!imageUrls.length) {
+        return;
+    }
+
+    const [first, ...rest] = imageUrls;
+    message.extra.image = first;
+    message.extra.inline_image = true;
+
+    if (rest.length) {
+        message.mes = [message.mes, ...rest.map(url => `![image](${url})`)].filter(x => x).join('\n\n');
+    }
+}
+
+/**
+ * Reads the list of entries of a ZIP archive. The entry contents are only read on demand.
+ * @param {string} zipPath Path to the archive
+ * @returns {Promise<{ entries: Map<string, import('yauzl').Entry>, read: (name: string) => Promise<Buffer>, close: () => void }>} Archive reader
+ */
+export async function openZipArchive(zipPath) {
+    /** @type {import('yauzl').ZipFile} */
+    const zipFile = await new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zip) => err ? reject(err) : resolve(zip));
+    });
+
+    /** @type {Map<string, import('yauzl').Entry>} */
+    const entries = new Map();
+
+    await new Promise((resolve, reject) => {
+        zipFile.on('entry', (entry) => {
+            if (!entry.fileName.endsWith('/') && !entry.fileName.startsWith('__MACOSX')) {
+                entries.set(entry.fileName, entry);
+            }
+            zipFile.readEntry();
+        });
+        zipFile.on('end', resolve);
+        zipFile.on('error', reject);
+        zipFile.readEntry();
+    });
+
+    function read(name) {
+        const entry = entries.get(name);
+
+        if (!entry) {
+            return Promise.reject(new Error(`Archive entry not found: ${name}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            zipFile.openReadStream(entry, (err, stream) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => resolve(Buffer.concat(chunks)));
+                stream.on('error', reject);
+            });
+        });
+    }
+
+    return { entries, read, close: () => zipFile.close() };
+}
+
+/**
+ * Imports a chat from RisuAI's chat export format.
+ * RisuAI doesn't store the greeting in the chat, so the chat starts with the first reply.
+ * @param {ImportContext} context Import context
+ * @param {any} jsonData Exported chat
+ * @returns {ImportedChat[]} Imported chats
+ */
+export function importRisuChat(context, jsonData) {
+    const chat = jsonData.data;
+    const messages = Array.isArray(chat?.message) ? chat.message : [];
+    const lines = [createHeader(context)];
+
+    for (const message of messages) {
+        const text = String(message?.data ?? '');
+        lines.push(createMessage(context, message?.role === 'user', text, parseDate(message?.time)));
+    }
+
+    if (chat?.note) {
+        lines[0].chat_metadata.note_prompt = String(chat.note);
+    }
+
+    return [{ title: String(chat?.name ?? ''), content: toJsonl(lines), assets: [] }];
+}
+
+/**
+ * Splits a Kobold Lite chat mode story into messages by the speaker names at the start of the lines.
+ * @param {string} text Story text
+ * @param {string} userName Name of the user in Kobold Lite
+ * @param {string[]} opponents Names of the characters in Kobold Lite
+ * @returns {{ isUser: boolean, name?: string, text: string }[]} Messages
+ */
+function splitKoboldChatTurns(text, userName, opponents) {
+    const turns = [];
+
+    for (const line of text.split('\n')) {
+        const speaker = [userName, ...opponents].find(name => name && line.startsWith(`${name}:`));
+
+        if (speaker) {
+            turns.push({ isUser: speaker === userName, name: speaker, text: line.slice(speaker.length + 1).trim() });
+        } else if (turns.length) {
+            turns[turns.length - 1].text += `\n${line}`;
+        } else if (line.trim()) {
+            turns.push({ isUser: false, text: line.trim() });
+        }
+    }
+
+    return turns.map(turn => ({ ...turn, text: turn.text.trim() }));
+}
+
+/**
+ * Imports a chat from Kobold Lite's saved story format. Supports instruct and chat mode stories.
+ * Images generated in Kobold Lite are extracted to the user images folder.
+ * @param {ImportContext} context Import context
+ * @param {any} data Saved story
+ * @returns {ImportedChat[]} Imported chats
+ */
+export function importKoboldLiteChat(context, data) {
+    const inputToken = '{{[INPUT]}}';
+    const outputToken = '{{[OUTPUT]}}';
+    const koboldUser = String(data.savedsettings?.chatname ?? '');
+    const opponents = String(data.savedsettings?.chatopponent ?? '').split('||$||').filter(x => x);
+    /** @type {ImportedAsset[]} */
+    const assets = [];
+
+    const actions = [data.prompt, ...(Array.isArray(data.actions) ? data.actions : [])].filter(x => typeof x === 'string' && x);
+    const story = actions.join('');
+    const isInstruct = story.includes(inputToken) || story.includes(outputToken);
+
+    /** @type {{ isUser: boolean, name?: string, text: string }[]} */
+    const turns = isInstruct
+        ? actions.map(action => ({
+            isUser: action.includes(inputToken),
+            text: action.replaceAll(inputToken, '').replaceAll(outputToken, '').trim(),
+        }))
+        : splitKoboldChatTurns(story, koboldUser, opponents);
+
+    // Kobold Lite's own names replace the ones from the request, like before
+    const koboldContext = {
+        ...context,
+        userName: koboldUser || context.userName,
+        characterName: opponents[0] || context.characterName,
+    };
+    const lines = [createHeader(koboldContext)];
+
+    for (const turn of turns) {
+        const imageUrls = [];
+        const text = turn.text
+            .replace(KOBOLD_IMAGE_REGEX, (_, dataUri) => {
+                const [header, base64] = dataUri.split(',');
+                const extension = mime.extension(header.slice(5).split(';')[0]) || 'png';
+                const buffer = Buffer.from(base64, 'base64');
+                // Images are saved to the folder of the character the chat is imported to
+                imageUrls.push(addImageAsset(context, assets, `kobold_${getAssetHash(buffer)}.${extension}`, async () => buffer));
+                return '';
+            })
+            .replace(KOBOLD_MARKER_REGEX, '')
+            .trim();
+
+        if (!text && !imageUrls.length) {
+            continue;
+        }
+
+        const message = createMessage(koboldContext, turn.isUser, text);
+        message.name = turn.name ?? message.name;
+        attachImages(message, imageUrls);
+        lines.push(message);
+    }
+
+    return [{ title: '', content: toJsonl(lines), assets }];
+}
+
+/**
+ * Gets the text of a ChatGPT message.
+ * @param {any} message ChatGPT message
+ * @returns {string} Message text
+ */
+function getChatGPTText(message) {
+    const content = message?.content;
+
+    if (Array.isArray(content?.parts)) {
+        return content.parts.filter(part => typeof part === 'string').join('\n').trim();
+    }
+
+    if (typeof content?.text === 'string') {
+        return content.content_type === 'code' ? `\`\`\`\n${content.text}\n\`\`\`` : content.text.trim();
+    }
+
+    return '';
+}
+
+/**
+ * Gets the IDs of the files embedded into a ChatGPT message.
+ * @param {any} message ChatGPT message
+ * @returns {string[]} File IDs, e.g. "file-abc123"
+ */
+function getChatGPTImageIds(message) {
+    const parts = Array.isArray(message?.content?.parts) ? message.content.parts : [];
+
+    return parts
+        .filter(part => part && typeof part === 'object' && part.content_type === 'image_asset_pointer')
+        .map(part => String(part.asset_pointer ?? '').replace(/^[a-z-]+:\/\//, ''))
+        .filter(id => id);
+}
+
+/**
+ * Checks if a ChatGPT message is shown in the conversation.
+ * @param {any} message ChatGPT message
+ * @returns {boolean} Whether the message is visible
+ */
+function isVisibleChatGPTMessage(message) {
+    const role = message?.author?.role;
+    return (role === 'user' || role === 'assistant') && !message.metadata?.is_visually_hidden_from_conversation;
+}
+
+/**
+ * Checks if a ChatGPT message is a reply that can be shown as a swipe.
+ * @param {any} message ChatGPT message
+ * @returns {boolean} Whether the message is a reply
+ */
+function isChatGPTReply(message) {
+    return isVisibleChatGPTMessage(message)
+        && message.author.role === 'assistant'
+        && !['thoughts', 'reasoning_recap'].includes(message.content?.content_type)
+        && (!!getChatGPTText(message) || getChatGPTImageIds(message).length > 0);
+}
+
+/**
+ * Imports conversations from a ChatGPT data export.
+ * Only the selected branch of each conversation is imported. Regenerated replies become swipes.
+ * @param {ImportContext} context Import context
+ * @param {any[]} conversations Contents of the conversations.json file
+ * @param {Awaited<ReturnType<typeof openZipArchive>>} [archive] Export archive, to extract the images from
+ * @returns {ImportedChat[]} Imported chats
+ */
+export function importChatGPTConversations(context, conversations, archive) {
+    const entryNames = archive ? Array.from(archive.entries.keys()) : [];
+
+    /**
+     * Finds the archive entry of an exported file.
+     * @param {string} fileId File ID
+     * @returns {string|undefined} Entry name
+     */
+    function findEntry(fileId) {
+        return entryNames.find(name => path.posix.basename(name).startsWith(fileId));
+    }
+
+    return conversations.filter(x => x && typeof x.mapping === 'object').map(conversation => {
+        const mapping = conversation.mapping;
+        /** @type {ImportedAsset[]} */
+        const assets = [];
+        const lines = [createHeader(context, parseDate(conversation.create_time))];
+
+        /**
+         * Adds the images of a message to the assets.
+         * @param {any} message ChatGPT message
+         * @returns {string[]} Image URLs
+         */
+        function extractImages(message) {
+            const urls = [];
+
+            for (const fileId of getChatGPTImageIds(message)) {
+                const entryName = findEntry(fileId);
+
+                if (entryName) {
+                    urls.push(addImageAsset(context, assets, path.posix.basename(entryName), () => archive.read(entryName)));
+                }
+            }
+
+            return urls;
+        }
+
+        /**
+         * Adds the first text attachment of a message to the assets. Attachments of other types are not supported.
+         * @param {any} message ChatGPT message
+         * @returns {object|null} File info for the `extra.file` field of the message
+         */
+        function extractTextAttachment(message) {
+            const attachments = Array.isArray(message?.metadata?.attachments) ? message.metadata.attachments : [];
+            const attachment = attachments.find(x => /^text\/|json|xml/.test(String(x?.mimeType ?? x?.mime_type ?? '')) && x.id && findEntry(x.id));
+
+            if (!attachment) {
+                return null;
+            }
+
+            const entryName = findEntry(attachment.id);
+            const filePath = path.join(context.directories.files, `imported_${getAssetHash(entryName)}.txt`);
+            assets.push({ type: 'file', path: filePath, load: () => archive.read(entryName) });
+
+            return {
+                url: clientRelativePath(context.directories.root, filePath),
+                size: archive.entries.get(entryName).uncompressedSize,
+                name: String(attachment.name ?? attachment.id),
+                created: parseDate(message.create_time) ?? Date.now(),
+            };
+        }
+
+        // Walk from the selected leaf up to the root to get the shown branch
+        const branch = [];
+        const visited = new Set();
+        let nodeId = conversation.current_node ?? Object.keys(mapping).pop();
+
+        while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+            visited.add(nodeId);
+            branch.unshift(mapping[nodeId]);
+            nodeId = mapping[nodeId].parent;
+        }
+
+        let pendingImages = [];
+        let pendingReasoning = '';
+
+        for (const node of branch) {
+            const message = node.message;
+
+            if (!message) {
+                continue;
+            }
+
+            // Images generated by tools and the model's thoughts belong to the next reply
+            if (message.author?.role === 'tool') {
+                pendingImages.push(...extractImages(message));
+                continue;
+            }
+
+            if (message.content?.content_type === 'thoughts' && Array.isArray(message.content.thoughts)) {
+                pendingReasoning += message.content.thoughts.map(x => [x.summary, x.content].filter(y => y).join('\n')).join('\n\n');
+                continue;
+            }
+
+            if (!isVisibleChatGPTMessage(message) || message.content?.content_type === 'reasoning_recap') {
+                continue;
+            }
+
+            const isUser = message.author.role === 'user';
+            const text = getChatGPTText(message);
+            const imageUrls = [...(isUser ? [] : pendingImages), ...extractImages(message)];
+
+            if (!text && !imageUrls.length) {
+                continue;
+            }
+
+            const chatMessage = createMessage(context, isUser, text, parseDate(message.create_time));
+            attachImages(chatMessage, imageUrls);
+
+            const attachment = isUser ? extractTextAttachment(message) : null;
+            if (attachment) {
+                chatMessage.extra.file = attachment;
+            }
+
+            if (!isUser) {
+                pendingImages = [];
+
+                if (pendingReasoning) {
+                    chatMessage.extra.reasoning = pendingReasoning.trim();
+                    pendingReasoning = '';
+                }
+
+                // Regenerated replies are the siblings of the shown reply
+                const siblings = (mapping[node.parent]?.children ?? [])
+                    .map(id => mapping[id])
+                    .filter(sibling => sibling === node || isChatGPTReply(sibling?.message));
+
+                if (siblings.length > 1) {
+                    chatMessage.swipes = siblings.map(sibling => sibling === node ? chatMessage.mes : getChatGPTText(sibling.message));
+                    chatMessage.swipe_id = siblings.indexOf(node);
+                    chatMessage.swipe_info = siblings.map(sibling => ({
+                        send_date: humanizedISO8601DateTime(parseDate(sibling.message.create_time)),
+                        extra: {},
+                    }));
+                }
+            }
+
+            lines.push(chatMessage);
+        }
+
+        return { title: String(conversation.title ?? ''), content: toJsonl(lines), assets };
+    });
+}
+
+/**
+ * Imports conversations from a Claude.ai data export.
+ * The export doesn't include uploaded images, but the text of the attached documents is imported as file attachments.
+ * @param {ImportContext} context Import context
+ * @param {any[]} conversations Contents of the conversations.json file
+ * @returns {ImportedChat[]} Imported chats
+ */
+export function importClaudeConversations(context, conversations) {
+    return conversations.filter(x => x && Array.isArray(x.chat_messages)).map(conversation => {
+        /** @type {ImportedAsset[]} */
+        const assets = [];
+        const lines = [createHeader(context, parseDate(conversation.created_at))];
+
+        for (const message of conversation.chat_messages) {
+            const content = Array.isArray(message?.content) ? message.content : [];
+            const textParts = content.filter(x => x?.type === 'text' && typeof x.text === 'string').map(x => x.text);
+            const reasoning = content.filter(x => x?.type === 'thinking' && typeof x.thinking === 'string').map(x => x.thinking).join('\n\n');
+            const text = (textParts.length ? textParts.join('\n\n') : String(message?.text ?? '')).trim();
+            const attachments = (Array.isArray(message?.attachments) ? message.attachments : []).filter(x => x?.extracted_content);
+
+            if (!text && !attachments.length) {
+                continue;
+            }
+
+            const date = parseDate(message.created_at);
+            const chatMessage = createMessage(context, message.sender === 'human', text, date);
+
+            if (reasoning) {
+                chatMessage.extra.reasoning = reasoning.trim();
+            }
+
+            // Messages can only have one attachment, so multiple documents are joined into one
+            if (attachments.length) {
+                const name = attachments.map(x => String(x.file_name || 'attachment')).join(', ');
+                const fileText = attachments.length === 1
+                    ? String(attachments[0].extracted_content)
+                    : attachments.map(x => `${x.file_name || 'attachment'}:\n${x.extracted_content}`).join('\n\n');
+                chatMessage.extra.file = addFileAsset(context, assets, name, fileText, date);
+            }
+
+            lines.push(chatMessage);
+        }
+
+        return { title: String(conversation.name ?? ''), content: toJsonl(lines), assets };
+    });
+}
+
+/**
+ * Imports the conversations.json file of a ChatGPT or Claude.ai data export.
+ * @param {ImportContext} context Import context
+ * @param {any[]} conversations Exported conversations
+ * @param {Awaited<ReturnType<typeof openZipArchive>>} [archive] Export archive
+ * @returns {ImportedChat[]|null} Imported chats, or null if the format is not recognized
+ */
+export function importConversations(context, conversations, archive) {
+    if (!Array.isArray(conversations)) {
+        return null;
+    }
+
+    if (conversations.some(x => x && typeof x.mapping === 'object')) {
+        return importChatGPTConversations(context, conversations, archive);
+    }
+
+    if (conversations.some(x => x && Array.isArray(x.chat_messages))) {
+        return importClaudeConversations(context, conversations);
+    }
+
+    return null;
+}
+
+/**
+ * Imports the chats from a ZIP archive with a data export of ChatGPT or Claude.ai.
+ * The archive must stay open until the assets are saved.
+ * @param {ImportContext} context Import context
+ * @param {Awaited<ReturnType<typeof openZipArchive>>} archive Export archive
+ * @returns {Promise<ImportedChat[]|null>} Imported chats, or null if the format is not recognized
+ */
+export async function importChatArchive(context, archive) {
+    const conversationsEntry = Array.from(archive.entries.keys()).find(name => path.posix.basename(name) === 'conversations.json');
+
+    if (!conversationsEntry) {
+        return null;
+    }
+
+    const conversations = tryParse((await archive.read(conversationsEntry)).toString('utf8'));
+    return importConversations(context, conversations, archive);
+}
+
+/**
+ * Summarizes what an import would create, for the dry run.
+ * @param {ImportedChat} chat Imported chat
+ * @returns {{ title: string, messages: number, swipes: number, images: number, attachments: number }} Summary
+ */
+export function summarizeImportedChat(chat) {
+    const lines = chat.content.split('\n').map(line => tryParse(line)).filter(x => x);
+    const messages = lines.filter(line => line.mes !== undefined);
+
+    return {
+        title: chat.title,
+        messages: messages.length,
+        swipes: messages.reduce((sum, line) => sum + (Array.isArray(line.swipes) ? Math.max(line.swipes.length - 1, 0) : 0), 0),
+        images: chat.assets.filter(x => x.type === 'image').length,
+        attachments: chat.assets.filter(x => x.type === 'file').length,
+    };
+}
+
+/**
+ * Saves the imported chats and their assets to the chats folder of a character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatarUrl Character avatar file name, without the extension
+ * @param {string} characterName Character name
+ * @param {ImportedChat[]} chats Imported chats
+ * @returns {Promise<string[]>} Names of the created chat files, without the extension
+ */
+export async function saveImportedChats(directories, avatarUrl, characterName, chats) {
+    const chatsDirectory = path.join(directories.chats, avatarUrl);
+    const created = [];
+
+    if (!fs.existsSync(chatsDirectory)) {
+        fs.mkdirSync(chatsDirectory, { recursive: true });
+    }
+
+    for (const chat of chats) {
+        for (const asset of chat.assets) {
+            if (fs.existsSync(asset.path)) {
+                continue;
+            }
+
+            try {
+                const data = await asset.load();
+                fs.mkdirSync(path.dirname(asset.path), { recursive: true });
+                writeFileAtomicSync(asset.path, data);
+            } catch (error) {
+                console.warn(`Failed to import ${asset.type} ${path.basename(asset.path)}`, error);
+            }
+        }
+
+        const title = sanitize(chat.title).trim().slice(0, 100) || humanizedISO8601DateTime();
+        let fileName = `${characterName} - ${title} imported`;
+
+        for (let i = 2; created.includes(fileName) || fs.existsSync(path.join(chatsDirectory, `${fileName}.jsonl`)); i++) {
+            fileName = `${characterName} - ${title} imported (${i})`;
+        }
+
+        writeFileAtomicSync(path.join(chatsDirectory, `${fileName}.jsonl`), chat.content, 'utf8');
+        created.push(fileName);
+    }
+
+    return created;
+}
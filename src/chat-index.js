@@ -0,0 +1,1129 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+import _ from 'lodash';
+import writeFileAtomic from 'write-file-atomic';
+
+import { tryParse } from './util.js';
+import { timestampToMoment } from './stats-events.js';
+
+/**
+ * Version of the on-disk index format. Segments with a different version are rebuilt.
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * Delay in milliseconds before a saved chat is re-indexed.
+ */
+const UPDATE_DELAY = 2000;
+
+/**
+ * BM25 ranking parameters.
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Maximum number of index terms a single prefix query (e.g. `drag*`) can expand to.
+ */
+const MAX_PREFIX_EXPANSIONS = 64;
+
+/**
+ * Number of characters around the first hit to include in a snippet.
+ */
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Scripts that don't separate words with spaces. Each character of these is indexed as a separate term.
+ */
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const TOKEN_REGEX = new RegExp(`[${CJK_CHARS}]|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}\\p{M}])+`, 'gu');
+
+/**
+ * Time in milliseconds after which an unused chat index is dropped from memory.
+ */
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Maximum number of chat indexes kept in memory. The least recently used one is dropped first.
+ */
+const MAX_LOADED_INDEXES = 4;
+
+/**
+ * Loaded chat indexes, keyed by the user's data root directory, least recently used first.
+ * @type {Map<string, ChatIndex>}
+ */
+const INDEXES = new Map();
+
+/**
+ * Pending debounced index updates, keyed by the user's root and the chat key.
+ * @type {Map<string, _.DebouncedFunc<() => void>>}
+ */
+const PENDING_UPDATES = new Map();
+
+/**
+ * @typedef {Object} ChatReference
+ * @property {'character'|'group'} type Type of the chat
+ * @property {string} owner Name of the character chats directory (avatar without extension). Empty for group chats
+ * @property {string} file_name Chat file name, including the .jsonl extension
+ */
+
+/**
+ * @typedef {Object} IndexedDocument
+ * @property {number} id Message id, as used by the client (zero-based, not counting the chat header)
+ * @property {number|null} swipe_id Swipe id of the indexed text, if the message has swipes
+ * @property {boolean} alternate Whether the document is an alternate (not currently selected) swipe
+ * @property {string} name Name of the speaker
+ * @property {boolean} is_user Whether the message was sent by the user
+ * @property {boolean} is_system Whether the message is hidden from the prompt
+ * @property {number} date Message timestamp in milliseconds, 0 if unknown
+ * @property {number} length Number of terms in the document
+ */
+
+/**
+ * @typedef {Object} IndexedChat
+ * @property {number} version Index format version
+ * @property {string} key Unique key of the chat within a user's index
+ * @property {'character'|'group'} type Type of the chat
+ * @property {string} owner Name of the character chats directory. Empty for group chats
+ * @property {string} file_name Chat file name, including the .jsonl extension
+ * @property {number} mtime Modification time of the chat file when it was indexed
+ * @property {number} size Size of the chat file in bytes when it was indexed
+ * @property {number} message_count Number of messages in the chat
+ * @property {string|number|null} last_mes Send date of the last message
+ * @property {string} preview_message Tail of the last message
+ * @property {IndexedDocument[]} docs Indexed documents (messages and swipes)
+ * @property {Map<string, number[]>} postings Term postings. Flat list of `[docIndex, frequency, ...positions]` tuples
+ */
+
+/**
+ * @typedef {Object} ChatSearchScope
+ * @property {'character'|'group'} [type] Limit the search to chats of this type
+ * @property {string} [owner] Limit the search to chats of this character
+ * @property {string[]} [files] Limit the search to these chat files
+ */
+
+/**
+ * @typedef {Object} ChatSearchFilters
+ * @property {string|string[]} [speaker] Only match messages sent by these names
+ * @property {boolean} [is_user] Only match messages sent (or not sent) by the user
+ * @property {string|number} [date_from] Only match messages sent at or after this date
+ * @property {string|number} [date_to] Only match messages sent at or before this date
+ * @property {'current'|'alternates'|'all'} [swipes] Which swipes to match. Defaults to the currently selected ones
+ * @property {number} [limit] Maximum number of chats to return
+ * @property {number} [max_matches] Maximum number of matched messages to return per chat
+ */
+
+/**
+ * @typedef {Object} ChatSearchMatch
+ * @property {number} message_id Message id, as used by the client
+ * @property {number|null} swipe_id Swipe id of the matched text
+ * @property {boolean} alternate Whether the match is in an alternate swipe
+ * @property {string} name Name of the speaker
+ * @property {boolean} is_user Whether the message was sent by the user
+ * @property {number} score Relevance score of the message
+ * @property {string} snippet Excerpt of the message around the first hit
+ * @property {number[][]} highlights List of `[start, end]` offsets of the hits within the snippet
+ */
+
+/**
+ * @typedef {Object} ChatSearchResult
+ * @property {'character'|'group'} type Type of the chat
+ * @property {string} owner Name of the character chats directory. Empty for group chats
+ * @property {string} file_name Chat file name, including the .jsonl extension
+ * @property {number} size Size of the chat file in bytes
+ * @property {number} message_count Number of messages in the chat
+ * @property {string|number|null} last_mes Send date of the last message
+ * @property {string} preview_message Tail of the last message
+ * @property {number} [score] Relevance score of the chat
+ * @property {number} [match_count] Total number of matched messages
+ * @property {ChatSearchMatch[]} [matches] Best matched messages
+ */
+
+/**
+ * @typedef {Object} QueryNode
+ * @property {'term'|'prefix'|'phrase'|'and'|'or'|'not'} type Node type
+ * @property {string[]} [terms] Terms of a term, prefix or phrase node
+ * @property {QueryNode[]} [children] Operands of a boolean node
+ */
+
+/**
+ * Normalizes a term for indexing: strips diacritics and lowercases it.
+ * @param {string} text Raw term
+ * @returns {string} Normalized term
+ */
+function normalizeTerm(text) {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits a text into normalized terms, keeping the offsets of each term in the original text.
+ * @param {string} text Text to tokenize
+ * @returns {{term: string, start: number, end: number}[]} List of terms
+ */
+export function tokenize(text) {
+    const tokens = [];
+
+    for (const match of String(text ?? '').matchAll(TOKEN_REGEX)) {
+        const term = normalizeTerm(match[0]);
+        if (term) {
+            tokens.push({ term, start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Gets a unique key of the chat within the user's index.
+ * @param {ChatReference} ref Chat reference
+ * @returns {string} Chat key
+ */
+function getChatKey(ref) {
+    return ref.type === 'group' ? `group/${ref.file_name}` : `character/${ref.owner}/${ref.file_name}`;
+}
+
+/**
+ * Gets the path to the chat file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {ChatReference} ref Chat reference
+ * @returns {string} Path to the chat file
+ */
+export function getChatPath(directories, ref) {
+    return ref.type === 'group'
+        ? path.join(directories.groupChats, ref.file_name)
+        : path.join(directories.chats, ref.owner, ref.file_name);
+}
+
+/**
+ * Reads and parses a chat file. Lines that fail to parse are skipped, same as when the chat is loaded by the client.
+ * @param {string} filePath Path to the chat file
+ * @returns {Promise<object[]>} Parsed chat lines, including the header
+ */
+async function readChatFile(filePath) {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    return data.split('\n').map(line => tryParse(line)).filter(x => x);
+}
+
+/**
+ * Gets a preview message from an array of chat messages.
+ * @param {object[]} messages Array of chat messages
+ * @returns {string} A truncated preview of the last message or empty string if no messages
+ */
+function getPreviewMessage(messages) {
+    const strlen = 400;
+    const lastMessage = messages[messages.length - 1]?.mes;
+
+    if (!lastMessage) {
+        return '';
+    }
+
+    return lastMessage.length > strlen
+        ? '...' + lastMessage.substring(lastMessage.length - strlen)
+        : lastMessage;
+}
+
+/**
+ * Builds an index entry for a chat.
+ * @param {ChatReference} ref Chat reference
+ * @param {object[]} lines Parsed chat lines, including the header
+ * @param {fs.Stats} stat Chat file stats
+ * @returns {IndexedChat} Index entry
+ */
+function buildChatEntry(ref, lines, stat) {
+    /** @type {IndexedDocument[]} */
+    const docs = [];
+    /** @type {Map<string, number[]>} */
+    const postings = new Map();
+
+    const addDocument = (/** @type {object} */ message, /** @type {number} */ id, /** @type {string} */ text, /** @type {number|null} */ swipeId, /** @type {boolean} */ alternate) => {
+        const tokens = tokenize(text);
+        if (tokens.length === 0) {
+            return;
+        }
+
+        const docIndex = docs.length;
+        docs.push({
+            id,
+            swipe_id: swipeId,
+            alternate,
+            name: String(message.name ?? ''),
+            is_user: !!message.is_user,
+            is_system: !!message.is_system,
+            date: timestampToMoment(message.send_date),
+            length: tokens.length,
+        });
+
+        /** @type {Map<string, number[]>} */
+        const positions = new Map();
+        tokens.forEach((token, position) => {
+            if (!positions.has(token.term)) {
+                positions.set(token.term, []);
+            }
+            positions.get(token.term).push(position);
+        });
+
+        for (const [term, termPositions] of positions) {
+            if (!postings.has(term)) {
+                postings.set(term, []);
+            }
+            postings.get(term).push(docIndex, termPositions.length, ...termPositions);
+        }
+    };
+
+    // The first line is the chat header, message ids start from the next one
+    for (let i = 1; i < lines.length; i++) {
+        const message = lines[i];
+        if (typeof message.mes !== 'string') {
+            continue;
+        }
+
+        const swipeId = Number.isInteger(message.swipe_id) ? message.swipe_id : null;
+        addDocument(message, i - 1, message.mes, swipeId, false);
+
+        if (Array.isArray(message.swipes)) {
+            message.swipes.forEach((swipe, index) => {
+                if (index !== swipeId && typeof swipe === 'string') {
+                    addDocument(message, i - 1, swipe, index, true);
+                }
+            });
+        }
+    }
+
+    const messages = lines.filter(x => typeof x.mes === 'string');
+
+    return {
+        version: INDEX_VERSION,
+        key: getChatKey(ref),
+        type: ref.type,
+        owner: ref.owner,
+        file_name: ref.file_name,
+        mtime: stat.mtimeMs,
+        size: stat.size,
+        message_count: messages.length,
+        last_mes: messages[messages.length - 1]?.send_date ?? null,
+        preview_message: getPreviewMessage(messages),
+        docs,
+        postings,
+    };
+}
+
+/**
+ * Iterates over the flat postings list of a term.
+ * @param {number[]} list Flat postings list
+ * @param {(docIndex: number, frequency: number, offset: number) => void} callback Called for each document. Offset points to the first position
+ */
+function forEachPosting(list, callback) {
+    for (let i = 0; i < list.length;) {
+        const docIndex = list[i];
+        const frequency = list[i + 1];
+        callback(docIndex, frequency, i + 2);
+        i += 2 + frequency;
+    }
+}
+
+/**
+ * Splits a search query into lexical tokens.
+ * @param {string} query Search query
+ * @returns {{kind: string, text?: string}[]} Query tokens
+ */
+function lexQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        const char = query[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ kind: char });
+            i++;
+            continue;
+        }
+
+        if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            tokens.push({ kind: 'not' });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const end = query.indexOf('"', i + 1);
+            const text = end === -1 ? query.slice(i + 1) : query.slice(i + 1, end);
+            tokens.push({ kind: 'phrase', text });
+            i = end === -1 ? query.length : end + 1;
+            continue;
+        }
+
+        let j = i;
+        while (j < query.length && !/[\s()"]/.test(query[j])) {
+            j++;
+        }
+
+        const word = query.slice(i, j);
+        i = j;
+
+        switch (word) {
+            case 'AND':
+            case '&&':
+                tokens.push({ kind: 'and' });
+                break;
+            case 'OR':
+            case '||':
+                tokens.push({ kind: 'or' });
+                break;
+            case 'NOT':
+                tokens.push({ kind: 'not' });
+                break;
+            default:
+                tokens.push({ kind: 'word', text: word });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses a search query into a query tree.
+ * Supported syntax: implicit AND between words, `AND`, `OR`, `NOT` / `-word`, `"exact phrases"`, `prefix*` and parentheses.
+ * @param {string} query Search query
+ * @returns {QueryNode|null} Query tree, or null if the query has no searchable terms
+ */
+export function parseQuery(query) {
+    const tokens = lexQuery(String(query ?? ''));
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    /**
+     * Creates a node for a word or a phrase.
+     * @param {string} text Word or phrase text
+     * @param {boolean} isPhrase Whether the text was quoted
+     * @returns {QueryNode|null}
+     */
+    function textNode(text, isPhrase) {
+        const isPrefix = !isPhrase && text.length > 1 && text.endsWith('*');
+        const terms = tokenize(isPrefix ? text.slice(0, -1) : text).map(x => x.term);
+
+        if (terms.length === 0) {
+            return null;
+        }
+
+        if (terms.length > 1) {
+            return { type: 'phrase', terms };
+        }
+
+        return { type: isPrefix ? 'prefix' : 'term', terms };
+    }
+
+    /**
+     * Creates a boolean node, collapsing empty and single operands.
+     * @param {'and'|'or'} type Node type
+     * @param {QueryNode[]} children Operands
+     * @returns {QueryNode|null}
+     */
+    function booleanNode(type, children) {
+        children = children.filter(x => x);
+        if (children.length === 0) {
+            return null;
+        }
+        return children.length === 1 ? children[0] : { type, children };
+    }
+
+    function parsePrimary() {
+        const token = next();
+
+        switch (token?.kind) {
+            case '(': {
+                const node = parseOr();
+                if (peek()?.kind === ')') {
+                    next();
+                }
+                return node;
+            }
+            case 'phrase':
+                return textNode(token.text, true);
+            case 'word':
+                return textNode(token.text, false);
+            default:
+                // Stray operator or parenthesis
+                return null;
+        }
+    }
+
+    function parseUnary() {
+        if (peek()?.kind === 'not') {
+            next();
+            const child = parseUnary();
+            return child ? { type: 'not', children: [child] } : null;
+        }
+        return parsePrimary();
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (position < tokens.length && !['or', ')'].includes(peek().kind)) {
+            if (peek().kind === 'and') {
+                next();
+                continue;
+            }
+            children.push(parseUnary());
+        }
+        return booleanNode('and', children);
+    }
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek()?.kind === 'or') {
+            next();
+            children.push(parseAnd());
+        }
+        return booleanNode('or', children);
+    }
+
+    const children = [];
+    while (position < tokens.length) {
+        children.push(parseOr());
+        // Skip unbalanced closing parentheses
+        if (peek()?.kind === ')') {
+            next();
+        }
+    }
+
+    return booleanNode('and', children);
+}
+
+/**
+ * Collects the terms and prefixes that should be highlighted in the results.
+ * Terms under NOT are excluded.
+ * @param {QueryNode} node Query tree
+ * @param {{terms: Set<string>, prefixes: Set<string>}} [result] Accumulator
+ * @returns {{terms: Set<string>, prefixes: Set<string>}} Terms and prefixes to highlight
+ */
+function collectHighlightTerms(node, result = { terms: new Set(), prefixes: new Set() }) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            node.terms.forEach(x => result.terms.add(x));
+            break;
+        case 'prefix':
+            result.prefixes.add(node.terms[0]);
+            break;
+        case 'and':
+        case 'or':
+            node.children.forEach(x => collectHighlightTerms(x, result));
+            break;
+    }
+    return result;
+}
+
+/**
+ * Collects all prefix terms of the query tree.
+ * @param {QueryNode} node Query tree
+ * @param {Set<string>} [result] Accumulator
+ * @returns {Set<string>} Prefixes
+ */
+function collectPrefixes(node, result = new Set()) {
+    if (node.type === 'prefix') {
+        result.add(node.terms[0]);
+    }
+    node.children?.forEach(x => collectPrefixes(x, result));
+    return result;
+}
+
+/**
+ * Converts a date filter value to milliseconds.
+ * @param {string|number|undefined} value Date filter value
+ * @returns {number|null} Timestamp in milliseconds, or null if not set or invalid
+ */
+function parseDateFilter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const timestamp = typeof value === 'number' ? value : new Date(value).getTime();
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+/**
+ * Creates a predicate that checks if a document passes the search filters.
+ * @param {ChatSearchFilters} filters Search filters
+ * @returns {(doc: IndexedDocument) => boolean} Document predicate
+ */
+function createDocumentFilter(filters) {
+    const speakers = [filters.speaker ?? []].flat().map(x => String(x).toLowerCase()).filter(x => x);
+    const isUser = typeof filters.is_user === 'boolean' ? filters.is_user : null;
+    const dateFrom = parseDateFilter(filters.date_from);
+    const dateTo = parseDateFilter(filters.date_to);
+    const swipes = ['current', 'alternates', 'all'].includes(filters.swipes) ? filters.swipes : 'current';
+
+    return (doc) => {
+        if (swipes === 'current' && doc.alternate) return false;
+        if (swipes === 'alternates' && !doc.alternate) return false;
+        if (isUser !== null && doc.is_user !== isUser) return false;
+        if (speakers.length && !speakers.includes(doc.name.toLowerCase())) return false;
+        if (dateFrom !== null && (!doc.date || doc.date < dateFrom)) return false;
+        if (dateTo !== null && (!doc.date || doc.date > dateTo)) return false;
+        return true;
+    };
+}
+
+/**
+ * Cuts an excerpt of the text around the first highlighted term.
+ * @param {string} text Message text
+ * @param {{terms: Set<string>, prefixes: Set<string>}} highlight Terms and prefixes to highlight
+ * @returns {{snippet: string, highlights: number[][]}} Snippet and offsets of the highlighted terms within it
+ */
+function createSnippet(text, highlight) {
+    const prefixes = Array.from(highlight.prefixes);
+    const hits = tokenize(text).filter(x => highlight.terms.has(x.term) || prefixes.some(p => x.term.startsWith(p)));
+
+    const anchor = hits.length ? hits[0].start : 0;
+    let start = Math.max(0, anchor - SNIPPET_RADIUS);
+    let end = Math.min(text.length, anchor + SNIPPET_RADIUS * 2);
+
+    // Don't cut words in half
+    while (start > 0 && /\S/.test(text[start - 1])) start--;
+    while (end < text.length && /\S/.test(text[end])) end++;
+
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < text.length ? '...' : '';
+    const snippet = prefix + text.slice(start, end).replace(/\r?\n/g, ' ') + suffix;
+    const highlights = hits
+        .filter(x => x.start >= start && x.end <= end)
+        .map(x => [x.start - start + prefix.length, x.end - start + prefix.length]);
+
+    return { snippet, highlights };
+}
+
+/**
+ * Persistent full-text index of a user's chats.
+ * Each chat is stored as a separate segment file, so a saved chat only needs its own segment rewritten.
+ */
+class ChatIndex {
+    /**
+     * @param {import('./users.js').UserDirectoryList} directories User directories
+     */
+    constructor(directories) {
+        this.directories = directories;
+        /** @type {Map<string, IndexedChat>} */
+        this.chats = new Map();
+        /** @type {Promise<any>} */
+        this.queue = this.load();
+        /** @type {NodeJS.Timeout} */
+        this.idleTimeout = null;
+    }
+
+    /**
+     * Runs a task after all previously queued tasks are finished.
+     * @template T
+     * @param {() => Promise<T>} task Task to run
+     * @returns {Promise<T>}
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => { });
+        return result;
+    }
+
+    /**
+     * Gets the path to the segment file of a chat.
+     * @param {string} key Chat key
+     * @returns {string} Path to the segment file
+     */
+    getSegmentPath(key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+        return path.join(this.directories.chatIndex, `${hash}.json`);
+    }
+
+    /**
+     * Loads the index segments from disk.
+     */
+    async load() {
+        try {
+            await fs.promises.mkdir(this.directories.chatIndex, { recursive: true });
+            const files = (await fs.promises.readdir(this.directories.chatIndex)).filter(x => path.extname(x) === '.json');
+
+            for (const file of files) {
+                const filePath = path.join(this.directories.chatIndex, file);
+                const segment = tryParse(await fs.promises.readFile(filePath, 'utf8'));
+
+                if (!segment || segment.version !== INDEX_VERSION || !segment.key) {
+                    await fs.promises.rm(filePath, { force: true });
+                    continue;
+                }
+
+                segment.postings = new Map(Object.entries(segment.postings ?? {}));
+                this.chats.set(segment.key, segment);
+            }
+        } catch (error) {
+            console.error('Failed to load chat index:', error);
+        }
+    }
+
+    /**
+     * Indexes a chat and writes its segment to disk.
+     * @param {ChatReference} ref Chat reference
+     */
+    async indexChat(ref) {
+        const filePath = getChatPath(this.directories, ref);
+
+        if (!fs.existsSync(filePath)) {
+            return this.removeChat(ref);
+        }
+
+        const stat = await fs.promises.stat(filePath);
+        const lines = await readChatFile(filePath);
+        const entry = buildChatEntry(ref, lines, stat);
+        this.chats.set(entry.key, entry);
+
+        const segment = { ...entry, postings: Object.fromEntries(entry.postings) };
+        await writeFileAtomic(this.getSegmentPath(entry.key), JSON.stringify(segment));
+    }
+
+    /**
+     * Removes a chat from the index.
+     * @param {ChatReference} ref Chat reference
+     */
+    async removeChat(ref) {
+        const key = getChatKey(ref);
+        this.chats.delete(key);
+        await fs.promises.rm(this.getSegmentPath(key), { force: true });
+    }
+
+    /**
+     * Lists the chat files that belong to the scope.
+     * @param {ChatSearchScope} scope Search scope
+     * @returns {Promise<ChatReference[]>} Chat references
+     */
+    async listChats(scope) {
+        /** @type {ChatReference[]} */
+        const refs = [];
+        const listJsonl = async (/** @type {string} */ directory) => fs.existsSync(directory) && fs.statSync(directory).isDirectory()
+            ? (await fs.promises.readdir(directory, { withFileTypes: true })).filter(x => x.isFile() && path.extname(x.name) === '.jsonl').map(x => x.name)
+            : [];
+
+        if (scope.type !== 'group') {
+            const owners = scope.owner !== undefined
+                ? [scope.owner]
+                : fs.existsSync(this.directories.chats)
+                    ? (await fs.promises.readdir(this.directories.chats, { withFileTypes: true })).filter(x => x.isDirectory()).map(x => x.name)
+                    : [];
+
+            for (const owner of owners) {
+                const files = await listJsonl(path.join(this.directories.chats, owner));
+                refs.push(...files.map(file_name => ({ type: /** @type {const} */ ('character'), owner, file_name })));
+            }
+        }
+
+        if (scope.type !== 'character') {
+            const files = await listJsonl(this.directories.groupChats);
+            refs.push(...files.map(file_name => ({ type: /** @type {const} */ ('group'), owner: '', file_name })));
+        }
+
+        return refs.filter(ref => !Array.isArray(scope.files) || scope.files.includes(ref.file_name));
+    }
+
+    /**
+     * Brings the index up to date with the chat files in the scope: indexes new and modified chats, drops deleted ones.
+     * @param {ChatSearchScope} scope Search scope
+     * @returns {Promise<IndexedChat[]>} Up-to-date index entries of the chats in the scope
+     */
+    async reconcile(scope) {
+        const refs = await this.listChats(scope);
+        const keys = new Set(refs.map(getChatKey));
+
+        for (const entry of Array.from(this.chats.values())) {
+            if (isInScope(entry, scope) && !keys.has(entry.key)) {
+                await this.removeChat(entry);
+            }
+        }
+
+        for (const ref of refs) {
+            try {
+                const entry = this.chats.get(getChatKey(ref));
+                const stat = await fs.promises.stat(getChatPath(this.directories, ref));
+
+                if (!entry || entry.mtime !== stat.mtimeMs || entry.size !== stat.size) {
+                    await this.indexChat(ref);
+                }
+            } catch (error) {
+                console.error(`Failed to index chat ${getChatKey(ref)}:`, error);
+            }
+        }
+
+        return Array.from(this.chats.values()).filter(entry => keys.has(entry.key));
+    }
+
+    /**
+     * Searches the chats in the scope.
+     * @param {string} query Search query
+     * @param {ChatSearchScope} scope Search scope
+     * @param {ChatSearchFilters} filters Search filters
+     * @returns {Promise<ChatSearchResult[]>} Matched chats
+     */
+    async search(query, scope, filters) {
+        const chats = await this.reconcile(scope);
+        const tree = parseQuery(query);
+
+        if (!tree) {
+            return chats
+                .filter(chat => chat.message_count > 0)
+                .map(chat => getChatSummary(chat));
+        }
+
+        const filter = createDocumentFilter(filters);
+        const stats = getCollectionStats(chats, tree);
+        const maxMatches = Number(filters.max_matches) > 0 ? Number(filters.max_matches) : 5;
+
+        /** @type {{chat: IndexedChat, docs: Map<number, number>}[]} */
+        const hits = [];
+        for (const chat of chats) {
+            const allowed = new Set();
+            chat.docs.forEach((doc, index) => filter(doc) && allowed.add(index));
+
+            if (allowed.size === 0) {
+                continue;
+            }
+
+            const docs = evaluateNode(tree, chat, allowed, stats);
+            if (docs.size > 0) {
+                hits.push({ chat, docs });
+            }
+        }
+
+        const results = hits.map(({ chat, docs }) => {
+            const ranked = Array.from(docs.entries()).sort((a, b) => b[1] - a[1]);
+            return {
+                chat,
+                ranked,
+                score: ranked[0][1],
+            };
+        });
+
+        results.sort((a, b) => b.score - a.score || b.ranked.length - a.ranked.length);
+
+        const limit = Number(filters.limit) > 0 ? Number(filters.limit) : results.length;
+        const highlight = collectHighlightTerms(tree);
+        const output = [];
+
+        for (const result of results.slice(0, limit)) {
+            const matches = await this.getMatches(result.chat, result.ranked.slice(0, maxMatches), highlight);
+            output.push({
+                ...getChatSummary(result.chat),
+                score: result.score,
+                match_count: result.ranked.length,
+                matches,
+            });
+        }
+
+        return output;
+    }
+
+    /**
+     * Reads the matched messages from the chat file and creates their snippets.
+     * @param {IndexedChat} chat Index entry
+     * @param {[number, number][]} ranked Matched document indexes with their scores
+     * @param {{terms: Set<string>, prefixes: Set<string>}} highlight Terms and prefixes to highlight
+     * @returns {Promise<ChatSearchMatch[]>} Matches
+     */
+    async getMatches(chat, ranked, highlight) {
+        let lines = [];
+        try {
+            lines = await readChatFile(getChatPath(this.directories, chat));
+        } catch (error) {
+            console.warn(`Failed to read chat ${chat.key} for snippets:`, error);
+        }
+
+        return ranked.map(([docIndex, score]) => {
+            const doc = chat.docs[docIndex];
+            const message = lines[doc.id + 1];
+            const text = doc.alternate ? message?.swipes?.[doc.swipe_id] : message?.mes;
+            const { snippet, highlights } = typeof text === 'string' ? createSnippet(text, highlight) : { snippet: '', highlights: [] };
+
+            return {
+                message_id: doc.id,
+                swipe_id: doc.swipe_id,
+                alternate: doc.alternate,
+                name: doc.name,
+                is_user: doc.is_user,
+                score,
+                snippet,
+                highlights,
+            };
+        });
+    }
+}
+
+/**
+ * Checks if the index entry belongs to the scope.
+ * @param {IndexedChat} entry Index entry
+ * @param {ChatSearchScope} scope Search scope
+ * @returns {boolean}
+ */
+function isInScope(entry, scope) {
+    if (scope.type && entry.type !== scope.type) return false;
+    if (scope.owner !== undefined && entry.owner !== scope.owner) return false;
+    if (Array.isArray(scope.files) && !scope.files.includes(entry.file_name)) return false;
+    return true;
+}
+
+/**
+ * Gets the metadata of an indexed chat.
+ * @param {IndexedChat} chat Index entry
+ * @returns {ChatSearchResult} Chat metadata
+ */
+function getChatSummary(chat) {
+    return {
+        type: chat.type,
+        owner: chat.owner,
+        file_name: chat.file_name,
+        size: chat.size,
+        message_count: chat.message_count,
+        last_mes: chat.last_mes || new Date().toISOString(),
+        preview_message: chat.preview_message,
+    };
+}
+
+/**
+ * Computes the collection-wide statistics needed for BM25 ranking.
+ * @param {IndexedChat[]} chats Chats in the search scope
+ * @param {QueryNode} tree Query tree
+ * @returns {{docCount: number, avgLength: number, idf: (term: string) => number, expansions: Map<string, string[]>}}
+ */
+function getCollectionStats(chats, tree) {
+    let docCount = 0;
+    let totalLength = 0;
+
+    for (const chat of chats) {
+        docCount += chat.docs.length;
+        totalLength += chat.docs.reduce((sum, doc) => sum + doc.length, 0);
+    }
+
+    /** @type {Map<string, string[]>} */
+    const expansions = new Map();
+    for (const prefix of collectPrefixes(tree)) {
+        const terms = new Set();
+        for (const chat of chats) {
+            for (const term of chat.postings.keys()) {
+                if (term.startsWith(prefix)) {
+                    terms.add(term);
+                }
+            }
+        }
+        expansions.set(prefix, Array.from(terms).slice(0, MAX_PREFIX_EXPANSIONS));
+    }
+
+    const idfCache = new Map();
+    const idf = (/** @type {string} */ term) => {
+        if (!idfCache.has(term)) {
+            let frequency = 0;
+            for (const chat of chats) {
+                forEachPosting(chat.postings.get(term) ?? [], () => frequency++);
+            }
+            idfCache.set(term, Math.log(1 + (docCount - frequency + 0.5) / (frequency + 0.5)));
+        }
+        return idfCache.get(term);
+    };
+
+    return {
+        docCount,
+        avgLength: docCount ? totalLength / docCount : 0,
+        idf,
+        expansions,
+    };
+}
+
+/**
+ * Calculates the BM25 score of a term in a document.
+ * @param {number} frequency Term frequency in the document
+ * @param {number} length Document length
+ * @param {number} avgLength Average document length
+ * @param {number} idf Inverse document frequency of the term
+ * @returns {number} Score
+ */
+function bm25(frequency, length, avgLength, idf) {
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * (avgLength ? length / avgLength : 1));
+    return idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+}
+
+/**
+ * Evaluates a query node against a chat.
+ * @param {QueryNode} node Query node
+ * @param {IndexedChat} chat Index entry
+ * @param {Set<number>} allowed Indexes of the documents that pass the filters
+ * @param {ReturnType<typeof getCollectionStats>} stats Collection statistics
+ * @returns {Map<number, number>} Matched document indexes with their scores
+ */
+function evaluateNode(node, chat, allowed, stats) {
+    /** @type {Map<number, number>} */
+    const result = new Map();
+
+    switch (node.type) {
+        case 'term': {
+            const [term] = node.terms;
+            const idf = stats.idf(term);
+            forEachPosting(chat.postings.get(term) ?? [], (docIndex, frequency) => {
+                if (allowed.has(docIndex)) {
+                    result.set(docIndex, bm25(frequency, chat.docs[docIndex].length, stats.avgLength, idf));
+                }
+            });
+            return result;
+        }
+        case 'prefix': {
+            const terms = stats.expansions.get(node.terms[0]) ?? [];
+            const children = terms.map(term => /** @type {QueryNode} */({ type: 'term', terms: [term] }));
+            return evaluateNode({ type: 'or', children }, chat, allowed, stats);
+        }
+        case 'phrase': {
+            /** @type {Map<number, Set<number>>[]} */
+            const positions = node.terms.map(term => {
+                const map = new Map();
+                const list = chat.postings.get(term) ?? [];
+                forEachPosting(list, (docIndex, frequency, offset) => {
+                    if (allowed.has(docIndex)) {
+                        map.set(docIndex, new Set(list.slice(offset, offset + frequency)));
+                    }
+                });
+                return map;
+            });
+
+            const idf = node.terms.reduce((sum, term) => sum + stats.idf(term), 0);
+            for (const [docIndex, starts] of positions[0]) {
+                let frequency = 0;
+                for (const start of starts) {
+                    if (positions.every((map, k) => map.get(docIndex)?.has(start + k))) {
+                        frequency++;
+                    }
+                }
+                if (frequency > 0) {
+                    result.set(docIndex, bm25(frequency, chat.docs[docIndex].length, stats.avgLength, idf));
+                }
+            }
+            return result;
+        }
+        case 'not': {
+            const excluded = evaluateNode(node.children[0], chat, allowed, stats);
+            for (const docIndex of allowed) {
+                if (!excluded.has(docIndex)) {
+                    result.set(docIndex, 0);
+                }
+            }
+            return result;
+        }
+        case 'and': {
+            const [first, ...rest] = node.children.map(child => evaluateNode(child, chat, allowed, stats));
+            for (const [docIndex, score] of first) {
+                if (rest.every(x => x.has(docIndex))) {
+                    result.set(docIndex, rest.reduce((sum, x) => sum + x.get(docIndex), score));
+                }
+            }
+            return result;
+        }
+        case 'or': {
+            for (const child of node.children) {
+                for (const [docIndex, score] of evaluateNode(child, chat, allowed, stats)) {
+                    result.set(docIndex, (result.get(docIndex) ?? 0) + score);
+                }
+            }
+            return result;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gets the chat index of a user, loading it from disk if needed.
+ * The index is dropped from memory when it is not used for a while, or when other users' indexes are loaded.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {ChatIndex} Chat index
+ */
+function getChatIndex(directories) {
+    const index = INDEXES.get(directories.root) ?? new ChatIndex(directories);
+
+    // Move to the end of the list as the most recently used index
+    INDEXES.delete(directories.root);
+    INDEXES.set(directories.root, index);
+
+    for (const [root] of INDEXES) {
+        if (INDEXES.size <= MAX_LOADED_INDEXES) {
+            break;
+        }
+        evictChatIndex(root);
+    }
+
+    clearTimeout(index.idleTimeout);
+    index.idleTimeout = setTimeout(() => evictChatIndex(directories.root), IDLE_TIMEOUT);
+    index.idleTimeout.unref();
+
+    return index;
+}
+
+/**
+ * Drops a chat index from memory. Running tasks still finish, the segments stay on disk.
+ * @param {string} root User's data root directory
+ */
+function evictChatIndex(root) {
+    clearTimeout(INDEXES.get(root)?.idleTimeout);
+    INDEXES.delete(root);
+}
+
+/**
+ * Schedules a chat to be re-indexed after it was saved.
+ * Subsequent saves of the same chat postpone the update. Does nothing if the user's index is not loaded:
+ * the next search re-indexes the chats that changed on disk.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {ChatReference} ref Chat reference
+ */
+export function queueChatIndexUpdate(directories, ref) {
+    const key = `${directories.root}:${getChatKey(ref)}`;
+
+    if (!PENDING_UPDATES.has(key)) {
+        PENDING_UPDATES.set(key, _.debounce(() => {
+            PENDING_UPDATES.delete(key);
+            const index = INDEXES.get(directories.root);
+            index?.enqueue(() => index.indexChat(ref)).catch(error => {
+                console.error(`Failed to index chat ${getChatKey(ref)}:`, error);
+            });
+        }, UPDATE_DELAY));
+    }
+
+    PENDING_UPDATES.get(key)();
+}
+
+/**
+ * Removes a deleted or renamed chat from the index.
+ * If the user's index is not loaded, the chat is dropped by the next search.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {ChatReference} ref Chat reference
+ */
+export function removeFromChatIndex(directories, ref) {
+    const key = `${directories.root}:${getChatKey(ref)}`;
+    PENDING_UPDATES.get(key)?.cancel();
+    PENDING_UPDATES.delete(key);
+
+    const index = INDEXES.get(directories.root);
+    index?.enqueue(() => index.removeChat(ref)).catch(error => {
+        console.error(`Failed to remove chat ${getChatKey(ref)} from the index:`, error);
+    });
+}
+
+/**
+ * Searches the user's chats. Chats that were changed since they were last indexed are re-indexed first.
+ * Without a query, returns the metadata of all chats in the scope.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} query Search query
+ * @param {ChatSearchScope} scope Search scope
+ * @param {ChatSearchFilters} filters Search filters
+ * @returns {Promise<ChatSearchResult[]>} Matched chats
+ */
+export function searchChats(directories, query, scope, filters) {
+    const index = getChatIndex(directories);
+    return index.enqueue(() => index.search(query, scope, filters));
+}
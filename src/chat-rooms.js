@@ -0,0 +1,427 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+import { getConfigValue } from './util.js';
+
+/**
+ * Number of past revisions kept for merging saves that were based on an older state of the chat.
+ */
+const MAX_ROOM_SNAPSHOTS = 20;
+
+/**
+ * Interval of the keep-alive comments sent to the event streams.
+ */
+const ROOM_HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * Time after which a room is closed if the host is not connected to it.
+ */
+const ROOM_HOST_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} ChatRoomMember
+ * @property {string} handle - User handle
+ * @property {string} name - User name
+ * @property {string} persona - Persona name used for the messages of the member
+ * @property {Set<import('express').Response>} clients - Open event streams of the member
+ */
+
+/**
+ * @typedef {Object} ChatRoom
+ * @property {string} id - Room ID, also used as the invite code
+ * @property {string} name - Room name
+ * @property {string} title - Name of the character or group
+ * @property {string} host - Handle of the user who owns the chat
+ * @property {import('./chat-index.js').ChatReference} chat - Chat of the host that is shared in the room
+ * @property {boolean} listed - Whether the room is listed for all users
+ * @property {'free'|'round-robin'} turnOrder - Whether members can post at any time or take turns
+ * @property {boolean} autoReply - Whether the host replies to the messages of other members automatically
+ * @property {number} revision - Revision of the chat, increased on every change
+ * @property {string[]} lines - Serialized lines of the chat file
+ * @property {Map<number, string[]>} snapshots - Lines of the recent revisions
+ * @property {Map<string, ChatRoomMember>} members - Members by handle, in the order they joined
+ * @property {string|null} turn - Handle of the member whose turn it is
+ * @property {{ name: string, text: string }|null} stream - Generation that is being streamed by the host
+ */
+
+/**
+ * Open rooms by ID. Rooms are live sessions and are closed when the server restarts.
+ * @type {Map<string, ChatRoom>}
+ */
+const ROOMS = new Map();
+
+/**
+ * Gets the chat room options from the config.
+ * @returns {{ enabled: boolean, maxMembers: number }} Options
+ */
+export function getChatRoomOptions() {
+    return {
+        enabled: !!getConfigValue('chatRooms.enabled', true),
+        maxMembers: Math.max(0, Number(getConfigValue('chatRooms.maxMembers', 8)) || 0),
+    };
+}
+
+/**
+ * Creates a room for a chat of the host.
+ * @param {import('./users.js').User} host Host user
+ * @param {string} persona Persona name of the host
+ * @param {import('./chat-index.js').ChatReference} chat Chat reference
+ * @param {object[]} messages Lines of the chat file
+ * @param {{ name: string, title: string, listed: boolean, turnOrder: string, autoReply: boolean }} options Room options
+ * @returns {ChatRoom} Created room
+ */
+export function createChatRoom(host, persona, chat, messages, options) {
+    const lines = messages.map(x => JSON.stringify(x));
+    /** @type {ChatRoom} */
+    const room = {
+        id: crypto.randomUUID(),
+        name: options.name,
+        title: options.title,
+        host: host.handle,
+        chat: chat,
+        listed: options.listed,
+        turnOrder: options.turnOrder === 'round-robin' ? 'round-robin' : 'free',
+        autoReply: options.autoReply,
+        revision: 1,
+        lines: lines,
+        snapshots: new Map([[1, lines]]),
+        members: new Map(),
+        turn: host.handle,
+        stream: null,
+    };
+
+    ROOMS.set(room.id, room);
+    joinChatRoom(room, host, persona);
+    return room;
+}
+
+/**
+ * Finds an open room.
+ * @param {string} id Room ID
+ * @returns {ChatRoom|null} Room
+ */
+export function getChatRoom(id) {
+    return ROOMS.get(String(id)) ?? null;
+}
+
+/**
+ * Finds the open room of a chat.
+ * @param {string} host Handle of the chat owner
+ * @param {import('./chat-index.js').ChatReference} chat Chat reference
+ * @returns {ChatRoom|null} Room
+ */
+export function getChatRoomByChat(host, chat) {
+    for (const room of ROOMS.values()) {
+        if (room.host === host && room.chat.type === chat.type && room.chat.owner === chat.owner && room.chat.file_name === chat.file_name) {
+            return room;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Lists the rooms a user can see: listed rooms and the rooms the user is a member of.
+ * @param {string} handle User handle
+ * @returns {ChatRoom[]} Rooms
+ */
+export function listChatRooms(handle) {
+    return Array.from(ROOMS.values()).filter(room => room.listed || room.members.has(handle));
+}
+
+/**
+ * Gets the public information about a room.
+ * @param {ChatRoom} room Room
+ * @returns {object} Room information
+ */
+export function getChatRoomInfo(room) {
+    return {
+        id: room.id,
+        name: room.name,
+        title: room.title,
+        host: room.host,
+        type: room.chat.type,
+        chatId: path.parse(room.chat.file_name).name,
+        listed: room.listed,
+        turnOrder: room.turnOrder,
+        autoReply: room.autoReply,
+        turn: room.turnOrder === 'round-robin' ? room.turn : null,
+        revision: room.revision,
+        members: Array.from(room.members.values()).map(member => ({
+            handle: member.handle,
+            name: member.name,
+            persona: member.persona,
+            online: member.clients.size > 0,
+        })),
+    };
+}
+
+/**
+ * Gets the lines of the chat file of a room.
+ * @param {ChatRoom} room Room
+ * @returns {object[]} Chat lines
+ */
+export function getChatRoomMessages(room) {
+    return room.lines.map(x => JSON.parse(x));
+}
+
+/**
+ * Adds a user to a room or updates the persona of a member.
+ * @param {ChatRoom} room Room
+ * @param {import('./users.js').User} user User
+ * @param {string} persona Persona name
+ */
+export function joinChatRoom(room, user, persona) {
+    const member = room.members.get(user.handle);
+
+    if (member) {
+        member.persona = persona || member.persona;
+    } else {
+        room.members.set(user.handle, { handle: user.handle, name: user.name, persona: persona || user.name, clients: new Set() });
+    }
+
+    broadcastChatRoomEvent(room, 'members', getChatRoomInfo(room));
+}
+
+/**
+ * Removes a member from a room. The room is closed when the host leaves.
+ * @param {ChatRoom} room Room
+ * @param {string} handle Handle of the member
+ */
+export function leaveChatRoom(room, handle) {
+    if (handle === room.host) {
+        closeChatRoom(room);
+        return;
+    }
+
+    const member = room.members.get(handle);
+
+    if (!member) {
+        return;
+    }
+
+    if (room.turn === handle) {
+        advanceChatRoomTurn(room, handle);
+    }
+
+    room.members.delete(handle);
+    member.clients.forEach(client => client.end());
+    broadcastChatRoomEvent(room, 'members', getChatRoomInfo(room));
+}
+
+/**
+ * Closes a room and disconnects its members.
+ * @param {ChatRoom} room Room
+ */
+export function closeChatRoom(room) {
+    broadcastChatRoomEvent(room, 'closed', { id: room.id });
+    ROOMS.delete(room.id);
+
+    for (const member of room.members.values()) {
+        member.clients.forEach(client => client.end());
+        member.clients.clear();
+    }
+}
+
+/**
+ * Attaches a server-sent event stream of a member to a room.
+ * @param {ChatRoom} room Room
+ * @param {string} handle Handle of the member
+ * @param {import('express').Response} response Response to stream the events to
+ */
+export function addChatRoomClient(room, handle, response) {
+    const member = room.members.get(handle);
+
+    if (!member) {
+        return;
+    }
+
+    // no-transform keeps the compression middleware from buffering the stream
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+
+    member.clients.add(response);
+    writeEvent(response, 'state', { ...getChatRoomInfo(room), messages: getChatRoomMessages(room), stream: room.stream });
+
+    const heartbeat = setInterval(() => response.write(': ping\n\n'), ROOM_HEARTBEAT_INTERVAL);
+    response.on('close', () => {
+        clearInterval(heartbeat);
+        member.clients.delete(response);
+
+        if (member.clients.size === 0 && ROOMS.has(room.id)) {
+            broadcastChatRoomEvent(room, 'members', getChatRoomInfo(room));
+        }
+
+        // Nobody can reply without the host
+        if (handle === room.host && member.clients.size === 0) {
+            setTimeout(() => {
+                if (member.clients.size === 0 && ROOMS.get(room.id) === room) {
+                    console.log('Chat room closed: Host disconnected from', room.name);
+                    closeChatRoom(room);
+                }
+            }, ROOM_HOST_TIMEOUT);
+        }
+    });
+
+    if (member.clients.size === 1) {
+        broadcastChatRoomEvent(room, 'members', getChatRoomInfo(room));
+    }
+}
+
+/**
+ * Writes an event to a server-sent event stream.
+ * @param {import('express').Response} response Response
+ * @param {string} event Event name
+ * @param {any} data Event data
+ */
+function writeEvent(response, event, data) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Sends an event to all members of a room.
+ * @param {ChatRoom} room Room
+ * @param {string} event Event name
+ * @param {any} data Event data
+ */
+export function broadcastChatRoomEvent(room, event, data) {
+    for (const member of room.members.values()) {
+        member.clients.forEach(client => writeEvent(client, event, data));
+    }
+}
+
+/**
+ * Checks if a member can post a message.
+ * @param {ChatRoom} room Room
+ * @param {string} handle Handle of the member
+ * @returns {boolean} Whether it's the member's turn
+ */
+export function canPostToChatRoom(room, handle) {
+    return room.turnOrder === 'free' || room.turn === handle;
+}
+
+/**
+ * Passes the turn to the member who joined after the given member.
+ * @param {ChatRoom} room Room
+ * @param {string} handle Handle of the member who finished their turn
+ */
+export function advanceChatRoomTurn(room, handle) {
+    const handles = Array.from(room.members.keys());
+    const index = handles.indexOf(handle);
+    room.turn = handles[(index + 1) % handles.length] ?? room.host;
+}
+
+/**
+ * Stores a new state of the chat and notifies the members.
+ * @param {ChatRoom} room Room
+ * @param {string[]} lines Serialized chat lines
+ * @param {string} author Handle of the member who made the change
+ */
+function commitChatRoomLines(room, lines, author) {
+    room.revision += 1;
+    room.lines = lines;
+    room.snapshots.set(room.revision, lines);
+    room.stream = null;
+
+    for (const revision of room.snapshots.keys()) {
+        if (room.snapshots.size <= MAX_ROOM_SNAPSHOTS) {
+            break;
+        }
+
+        room.snapshots.delete(revision);
+    }
+
+    broadcastChatRoomEvent(room, 'chat', { revision: room.revision, author: author, turn: getChatRoomInfo(room).turn, messages: getChatRoomMessages(room) });
+}
+
+/**
+ * Appends a message to the chat of a room.
+ * @param {ChatRoom} room Room
+ * @param {object} message Chat message
+ * @param {string} author Handle of the member who posted the message
+ */
+export function appendChatRoomMessage(room, message, author) {
+    if (message.is_user) {
+        advanceChatRoomTurn(room, author);
+    }
+
+    commitChatRoomLines(room, [...room.lines, JSON.stringify(message)], author);
+}
+
+/**
+ * Merges a chat saved by the host into the current state of the room.
+ * Changes made since the base revision are rebased on top of the changes of the other members:
+ * edited lines are replaced, removed lines at the end are removed and new lines are appended.
+ * @param {ChatRoom} room Room
+ * @param {number} baseRevision Revision the saved chat was based on
+ * @param {object[]} messages Saved chat lines
+ * @returns {{ lines: string[], appended: object[] }|null} Merged lines and the lines added by the save, or null on conflict
+ */
+export function mergeChatRoomLines(room, baseRevision, messages) {
+    const base = room.snapshots.get(baseRevision);
+    const current = room.lines;
+    const incoming = messages.map(x => JSON.stringify(x));
+
+    if (!base) {
+        return null;
+    }
+
+    // Reuse the strings of the unchanged lines to keep the snapshots small
+    const result = current.slice();
+    const shared = Math.min(base.length, incoming.length);
+
+    for (let i = 0; i < shared; i++) {
+        if (incoming[i] === base[i]) {
+            continue;
+        }
+
+        if (i >= current.length || (current[i] !== base[i] && current[i] !== incoming[i])) {
+            return null;
+        }
+
+        result[i] = incoming[i];
+    }
+
+    if (incoming.length < base.length) {
+        for (let i = incoming.length; i < base.length; i++) {
+            if (current[i] !== base[i]) {
+                return null;
+            }
+        }
+
+        result.splice(incoming.length, base.length - incoming.length);
+    }
+
+    const appended = incoming.slice(base.length);
+    result.push(...appended);
+
+    return { lines: result, appended: appended.map(x => JSON.parse(x)) };
+}
+
+/**
+ * Stores the merged chat of the host.
+ * @param {ChatRoom} room Room
+ * @param {string[]} lines Merged lines
+ * @param {object[]} appended Lines added by the host
+ */
+export function commitChatRoomMerge(room, lines, appended) {
+    if (appended.some(x => x?.is_user && !x?.is_system)) {
+        advanceChatRoomTurn(room, room.host);
+    }
+
+    commitChatRoomLines(room, lines, room.host);
+}
+
+/**
+ * Updates the generation that is being streamed by the host.
+ * @param {ChatRoom} room Room
+ * @param {{ name: string, text: string }|null} stream Streamed generation, or null when it ended
+ */
+export function setChatRoomStream(room, stream) {
+    room.stream = stream;
+    broadcastChatRoomEvent(room, 'stream', stream);
+}
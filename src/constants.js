@@ -42,6 +42,7 @@ export const USER_DIRECTORY_TEMPLATE = Object.freeze({
     vectors: 'vectors',
     backups: 'backups',
     sysprompt: 'sysprompt',
+    chatIndex: 'chat-index',
 });
 
 /**
@@ -208,6 +209,21 @@ export const CHAT_COMPLETION_SOURCES = {
  */
 export const UPLOADS_DIRECTORY = '_uploads';
 
+/**
+ * Path to the scheduled and manual user data backups under the data root.
+ */
+export const USER_BACKUPS_DIRECTORY = '_backups';
+
+/**
+ * Path to the items published to the shared library under the data root.
+ */
+export const SHARED_LIBRARY_DIRECTORY = '_library';
+
+/**
+ * Path to the server-wide audit log under the data root.
+ */
+export const AUDIT_LOG_DIRECTORY = '_audit';
+
 // TODO: this is copied from the client code; there should be a way to de-duplicate it eventually
 export const TEXTGEN_TYPES = {
     OOBA: 'ooba',
@@ -3,6 +3,8 @@ import express from 'express';
 import fetch from 'node-fetch';
 
 import { jsonParser } from '../../express-common.js';
+import { createGenerationQuotaMiddleware } from '../../user-quotas.js';
+import { costTrackingMiddleware, isCostTrackingEnabled } from '../../generation-costs.js';
 import {
     CHAT_COMPLETION_SOURCES,
     GEMINI_SAFETY,
@@ -30,7 +32,7 @@ import {
     cachingAtDepthForClaude,
 } from '../../prompt-converters.js';
 
-import { readSecret, SECRET_KEYS } from '../secrets.js';
+import { getKeyRotation, readSecret, SECRET_KEYS } from '../secrets.js';
 import {
     getTokenizerModel,
     getSentencepiceTokenizer,
@@ -79,7 +81,8 @@ function postProcessPrompt(messages, type, charName, userName) {
  */
 async function sendClaudeRequest(request, response) {
     const apiUrl = new URL(request.body.reverse_proxy || API_CLAUDE).toString();
-    const apiKey = request.body.reverse_proxy ? request.body.proxy_password : readSecret(request.user.directories, SECRET_KEYS.CLAUDE);
+    const keyRotation = request.body.reverse_proxy ? null : getKeyRotation(request.user.directories, SECRET_KEYS.CLAUDE);
+    const apiKey = request.body.reverse_proxy ? request.body.proxy_password : keyRotation.apiKey;
     const divider = '-'.repeat(process.stdout.columns);
     const enableSystemPromptCache = getConfigValue('claude.enableSystemPromptCache', false) && request.body.model.startsWith('claude-3');
     let cachingAtDepth = getConfigValue('claude.cachingAtDepth', -1);
@@ -156,17 +159,18 @@ async function sendClaudeRequest(request, response) {
 
         console.log('Claude request:', requestBody);
 
-        const generateResponse = await fetch(apiUrl + '/messages', {
+        const sendRequest = (/** @type {string} */ key) => fetch(apiUrl + '/messages', {
             method: 'POST',
             signal: controller.signal,
             body: JSON.stringify(requestBody),
             headers: {
                 'Content-Type': 'application/json',
                 'anthropic-version': '2023-06-01',
-                'x-api-key': apiKey,
+                'x-api-key': key,
                 ...additionalHeaders,
             },
         });
+        const generateResponse = keyRotation ? await keyRotation.fetch(sendRequest) : await sendRequest(apiKey);
 
         if (request.body.stream) {
             // Pipe remote SSE stream to Express response
@@ -183,8 +187,8 @@ async function sendClaudeRequest(request, response) {
             const responseText = generateResponseJson?.content?.[0]?.text || '';
             console.log('Claude response:', generateResponseJson);
 
-            // Wrap it back to OAI format + save the original content
-            const reply = { choices: [{ 'message': { 'content': responseText } }], content: generateResponseJson.content };
+            // Wrap it back to OAI format + save the original content and the usage
+            const reply = { choices: [{ 'message': { 'content': responseText } }], content: generateResponseJson.content, usage: generateResponseJson.usage };
             return response.send(reply);
         }
     } catch (error) {
@@ -254,7 +258,8 @@ async function sendScaleRequest(request, response) {
  */
 async function sendMakerSuiteRequest(request, response) {
     const apiUrl = new URL(request.body.reverse_proxy || API_MAKERSUITE);
-    const apiKey = request.body.reverse_proxy ? request.body.proxy_password : readSecret(request.user.directories, SECRET_KEYS.MAKERSUITE);
+    const keyRotation = request.body.reverse_proxy ? null : getKeyRotation(request.user.directories, SECRET_KEYS.MAKERSUITE);
+    const apiKey = request.body.reverse_proxy ? request.body.proxy_password : keyRotation.apiKey;
 
     if (!request.body.reverse_proxy && !apiKey) {
         console.log('Google AI Studio API key is missing.');
@@ -342,7 +347,7 @@ async function sendMakerSuiteRequest(request, response) {
             ? (stream ? 'streamGenerateContent' : 'generateContent')
             : (isText ? 'generateText' : 'generateMessage');
 
-        const generateResponse = await fetch(`${apiUrl.toString().replace(/\/$/, '')}/${apiVersion}/models/${model}:${responseType}?key=${apiKey}${stream ? '&alt=sse' : ''}`, {
+        const sendRequest = (/** @type {string} */ key) => fetch(`${apiUrl.toString().replace(/\/$/, '')}/${apiVersion}/models/${model}:${responseType}?key=${key}${stream ? '&alt=sse' : ''}`, {
             body: JSON.stringify(body),
             method: 'POST',
             headers: {
@@ -350,6 +355,7 @@ async function sendMakerSuiteRequest(request, response) {
             },
             signal: controller.signal,
         });
+        const generateResponse = keyRotation ? await keyRotation.fetch(sendRequest) : await sendRequest(apiKey);
         // have to do this because of their busted ass streaming endpoint
         if (stream) {
             try {
@@ -390,8 +396,8 @@ async function sendMakerSuiteRequest(request, response) {
 
             console.log('Google AI Studio response:', responseText);
 
-            // Wrap it back to OAI format
-            const reply = { choices: [{ 'message': { 'content': responseText } }] };
+            // Wrap it back to OAI format + save the usage
+            const reply = { choices: [{ 'message': { 'content': responseText } }], usageMetadata: generateResponseJson.usageMetadata };
             return response.send(reply);
         }
     } catch (error) {
@@ -470,7 +476,8 @@ async function sendAI21Request(request, response) {
  */
 async function sendMistralAIRequest(request, response) {
     const apiUrl = new URL(request.body.reverse_proxy || API_MISTRAL).toString();
-    const apiKey = request.body.reverse_proxy ? request.body.proxy_password : readSecret(request.user.directories, SECRET_KEYS.MISTRALAI);
+    const keyRotation = request.body.reverse_proxy ? null : getKeyRotation(request.user.directories, SECRET_KEYS.MISTRALAI);
+    const apiKey = request.body.reverse_proxy ? request.body.proxy_password : keyRotation.apiKey;
 
     if (!apiKey) {
         console.log('MistralAI API key is missing.');
@@ -503,20 +510,20 @@ async function sendMistralAIRequest(request, response) {
             requestBody['tool_choice'] = request.body.tool_choice;
         }
 
-        const config = {
+        const sendRequest = (/** @type {string} */ key) => fetch(apiUrl + '/chat/completions', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + apiKey,
+                'Authorization': 'Bearer ' + key,
             },
             body: JSON.stringify(requestBody),
             signal: controller.signal,
             timeout: 0,
-        };
+        });
 
         console.log('MisralAI request:', requestBody);
 
-        const generateResponse = await fetch(apiUrl + '/chat/completions', config);
+        const generateResponse = keyRotation ? await keyRotation.fetch(sendRequest) : await sendRequest(apiKey);
         if (request.body.stream) {
             forwardFetchResponse(generateResponse, response);
         } else {
@@ -546,7 +553,8 @@ async function sendMistralAIRequest(request, response) {
  * @param {express.Response} response Express response
  */
 async function sendCohereRequest(request, response) {
-    const apiKey = readSecret(request.user.directories, SECRET_KEYS.COHERE);
+    const keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.COHERE);
+    const apiKey = keyRotation.apiKey;
     const controller = new AbortController();
     request.socket.removeAllListeners('close');
     request.socket.on('close', function () {
@@ -595,24 +603,21 @@ async function sendCohereRequest(request, response) {
 
         console.log('Cohere request:', requestBody);
 
-        const config = {
+        const apiUrl = API_COHERE_V2 + '/chat';
+        const generateResponse = await keyRotation.fetch(key => fetch(apiUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + apiKey,
+                'Authorization': 'Bearer ' + key,
             },
             body: JSON.stringify(requestBody),
             signal: controller.signal,
             timeout: 0,
-        };
-
-        const apiUrl = API_COHERE_V2 + '/chat';
+        }));
 
         if (request.body.stream) {
-            const stream = await fetch(apiUrl, config);
-            forwardFetchResponse(stream, response);
+            forwardFetchResponse(generateResponse, response);
         } else {
-            const generateResponse = await fetch(apiUrl, config);
             if (!generateResponse.ok) {
                 const errorText = await generateResponse.text();
                 console.log(`Cohere API returned error: ${generateResponse.status} ${generateResponse.statusText} ${errorText}`);
@@ -657,7 +662,7 @@ router.post('/status', jsonParser, async function (request, response_getstatus_o
         headers = {};
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.CUSTOM) {
         api_url = request.body.custom_url;
-        api_key_openai = readSecret(request.user.directories, SECRET_KEYS.CUSTOM);
+        api_key_openai = readSecret(request.user.directories, SECRET_KEYS.CUSTOM, request.body.custom_key_label);
         headers = {};
         mergeObjectWithYaml(headers, request.body.custom_include_headers);
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.COHERE) {
@@ -824,7 +829,7 @@ router.post('/bias', jsonParser, async function (request, response) {
 });
 
 
-router.post('/generate', jsonParser, function (request, response) {
+router.post('/generate', jsonParser, createGenerationQuotaMiddleware(request => request.body?.chat_completion_source), costTrackingMiddleware, function (request, response) {
     if (!request.body) return response.status(400).send({ error: true });
 
     switch (request.body.chat_completion_source) {
@@ -838,13 +843,16 @@ router.post('/generate', jsonParser, function (request, response) {
 
     let apiUrl;
     let apiKey;
+    /** @type {import('../../secrets-rotation.js').KeyRotation} */
+    let keyRotation = null;
     let headers;
     let bodyParams;
     const isTextCompletion = Boolean(request.body.model && TEXT_COMPLETION_MODELS.includes(request.body.model)) || typeof request.body.messages === 'string';
 
     if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.OPENAI) {
         apiUrl = new URL(request.body.reverse_proxy || API_OPENAI).toString();
-        apiKey = request.body.reverse_proxy ? request.body.proxy_password : readSecret(request.user.directories, SECRET_KEYS.OPENAI);
+        keyRotation = request.body.reverse_proxy ? null : getKeyRotation(request.user.directories, SECRET_KEYS.OPENAI);
+        apiKey = request.body.reverse_proxy ? request.body.proxy_password : keyRotation.apiKey;
         headers = {};
         bodyParams = {
             logprobs: request.body.logprobs,
@@ -860,9 +868,15 @@ router.post('/generate', jsonParser, function (request, response) {
         if (getConfigValue('openai.randomizeUserId', false)) {
             bodyParams['user'] = uuidv4();
         }
+
+        // Streamed responses only include the usage when asked to
+        if (request.body.stream && isCostTrackingEnabled()) {
+            bodyParams['stream_options'] = { include_usage: true };
+        }
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.OPENROUTER) {
         apiUrl = 'https://openrouter.ai/api/v1';
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.OPENROUTER);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.OPENROUTER);
+        apiKey = keyRotation.apiKey;
         // OpenRouter needs to pass the Referer and X-Title: https://openrouter.ai/docs#requests
         headers = { ...OPENROUTER_HEADERS };
         bodyParams = { 'transforms': ['middle-out'] };
@@ -890,13 +904,19 @@ router.post('/generate', jsonParser, function (request, response) {
             bodyParams['route'] = 'fallback';
         }
 
+        // Reports the cost of the generation with the usage
+        if (isCostTrackingEnabled()) {
+            bodyParams['usage'] = { include: true };
+        }
+
         let cachingAtDepth = getConfigValue('claude.cachingAtDepth', -1);
         if (Number.isInteger(cachingAtDepth) && cachingAtDepth >= 0 && request.body.model?.startsWith('anthropic/claude-3')) {
             cachingAtDepthForOpenRouterClaude(request.body.messages, cachingAtDepth);
         }
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.CUSTOM) {
         apiUrl = request.body.custom_url;
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.CUSTOM);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.CUSTOM, request.body.custom_key_label);
+        apiKey = keyRotation.apiKey;
         headers = {};
         bodyParams = {
             logprobs: request.body.logprobs,
@@ -922,28 +942,33 @@ router.post('/generate', jsonParser, function (request, response) {
         }
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.PERPLEXITY) {
         apiUrl = API_PERPLEXITY;
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.PERPLEXITY);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.PERPLEXITY);
+        apiKey = keyRotation.apiKey;
         headers = {};
         bodyParams = {};
         request.body.messages = postProcessPrompt(request.body.messages, 'strict', request.body.char_name, request.body.user_name);
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.GROQ) {
         apiUrl = API_GROQ;
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.GROQ);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.GROQ);
+        apiKey = keyRotation.apiKey;
         headers = {};
         bodyParams = {};
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.NANOGPT) {
         apiUrl = API_NANOGPT;
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.NANOGPT);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.NANOGPT);
+        apiKey = keyRotation.apiKey;
         headers = {};
         bodyParams = {};
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.ZEROONEAI) {
         apiUrl = API_01AI;
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.ZEROONEAI);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.ZEROONEAI);
+        apiKey = keyRotation.apiKey;
         headers = {};
         bodyParams = {};
     } else if (request.body.chat_completion_source === CHAT_COMPLETION_SOURCES.BLOCKENTROPY) {
         apiUrl = API_BLOCKENTROPY;
-        apiKey = readSecret(request.user.directories, SECRET_KEYS.BLOCKENTROPY);
+        keyRotation = getKeyRotation(request.user.directories, SECRET_KEYS.BLOCKENTROPY);
+        apiKey = keyRotation.apiKey;
         headers = {};
         bodyParams = {};
     } else {
@@ -1028,6 +1053,11 @@ router.post('/generate', jsonParser, function (request, response) {
         try {
             const fetchResponse = await fetch(endpointUrl, config);
 
+            if (keyRotation && await keyRotation.handleResponse(fetchResponse)) {
+                config.headers['Authorization'] = 'Bearer ' + keyRotation.apiKey;
+                return makeRequest(config, response, request, retries, timeout);
+            }
+
             if (request.body.stream) {
                 console.log('Streaming request in progress');
                 forwardFetchResponse(fetchResponse, response);
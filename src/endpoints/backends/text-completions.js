@@ -4,6 +4,7 @@ import express from 'express';
 import _ from 'lodash';
 
 import { jsonParser } from '../../express-common.js';
+import { createGenerationQuotaMiddleware } from '../../user-quotas.js';
 import {
     TEXTGEN_TYPES,
     TOGETHERAI_KEYS,
@@ -262,7 +263,7 @@ router.post('/props', jsonParser, async function (request, response) {
     }
 });
 
-router.post('/generate', jsonParser, async function (request, response) {
+router.post('/generate', jsonParser, createGenerationQuotaMiddleware(request => request.body?.api_type), async function (request, response) {
     if (!request.body) return response.sendStatus(400);
 
     try {
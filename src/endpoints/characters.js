@@ -14,12 +14,23 @@ import jimp from 'jimp';
 
 import { AVATAR_WIDTH, AVATAR_HEIGHT } from '../constants.js';
 import { jsonParser, urlencodedParser } from '../express-common.js';
-import { deepMerge, humanizedISO8601DateTime, tryParse, extractFileFromZipBuffer, MemoryLimitedMap, getConfigValue } from '../util.js';
+import { deepMerge, humanizedISO8601DateTime, tryParse, MemoryLimitedMap, getConfigValue } from '../util.js';
 import { TavernCardValidator } from '../validator/TavernCardValidator.js';
 import { parse, write } from '../character-card-parser.js';
 import { readWorldInfoFile } from './worldinfo.js';
 import { invalidateThumbnail } from './thumbnails.js';
 import { importRisuSprites } from './sprites.js';
+import { createCharXArchive, embedAssetsAsDataUris, getCharacterAssets, readAssetUri, restoreCharacterAssets } from '../character-assets.js';
+import { openZipArchive } from '../chat-import.js';
+import {
+    diffCharacterCards,
+    getCharacterVersionImage,
+    listCharacterVersions,
+    moveCharacterHistory,
+    readCharacterVersion,
+    recordCharacterVersion,
+    removeCharacterHistory,
+} from '../character-history.js';
 const defaultAvatarPath = './public/img/ai4.png';
 
 // KV-store for parsed character data
@@ -257,6 +268,27 @@ function getCharaCardV2(jsonObject, directories, hoistDate = true) {
     return jsonObject;
 }
 
+/**
+ * Convert a character object to Spec V3 format, embedding the current version of its linked World Info.
+ * @param {object} jsonObject Character object
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {object} Character object in Spec V3 format
+ */
+function getCharaCardV3(jsonObject, directories) {
+    const card = getCharaCardV2(jsonObject, directories);
+    card.spec = 'chara_card_v3';
+    card.spec_version = '3.0';
+    card.data.group_only_greetings = card.data.group_only_greetings ?? [];
+
+    const worldName = card.data.extensions?.world;
+    const world = worldName ? readWorldInfoFile(directories, worldName, false) : null;
+    if (world?.entries && Object.keys(world.entries).length) {
+        card.data.character_book = convertWorldInfoToCharacterBook(worldName, world.entries);
+    }
+
+    return card;
+}
+
 /**
  * Convert a character object to Spec V2 format.
  * @param {object} char Character object
@@ -549,35 +581,33 @@ async function importFromYaml(uploadPath, context, preservedFileName) {
  * @returns {Promise<string>} Internal name of the character
  */
 async function importFromCharX(uploadPath, { request }, preservedFileName) {
-    const data = fs.readFileSync(uploadPath);
-    fs.rmSync(uploadPath);
     console.log('Importing from CharX');
-    const cardBuffer = await extractFileFromZipBuffer(data, 'card.json');
+    const archive = await openZipArchive(uploadPath);
+    let card, assets;
 
-    if (!cardBuffer) {
-        throw new Error('Failed to extract card.json from CharX file');
-    }
+    try {
+        const cardEntry = archive.entries.has('card.json') ? 'card.json' : [...archive.entries.keys()].find(x => x.endsWith('card.json'));
 
-    const card = readFromV2(JSON.parse(cardBuffer.toString()));
+        if (!cardEntry) {
+            throw new Error('Failed to extract card.json from CharX file');
+        }
 
-    if (card.spec === undefined) {
-        throw new Error('Invalid CharX card file: missing spec field');
-    }
+        card = readFromV2(JSON.parse((await archive.read(cardEntry)).toString()));
 
-    /** @type {string|Buffer} */
-    let avatar = defaultAvatarPath;
-    const assets = _.get(card, 'data.assets');
-    if (Array.isArray(assets) && assets.length) {
-        for (const asset of assets.filter(x => x.type === 'icon' && typeof x.uri === 'string')) {
-            const pathNoProtocol = String(asset.uri.replace(/^(?:\/\/|[^/]+)*\//, ''));
-            const buffer = await extractFileFromZipBuffer(data, pathNoProtocol);
-            if (buffer) {
-                avatar = buffer;
-                break;
-            }
+        if (card.spec === undefined) {
+            throw new Error('Invalid CharX card file: missing spec field');
         }
+
+        assets = await restoreCharacterAssets(request.user.directories, card, uri => readAssetUri(uri, archive));
+        console.log(`Restored ${assets.sprites} sprites and ${assets.backgrounds} backgrounds from CharX`);
+    } finally {
+        archive.close();
+        fs.rmSync(uploadPath);
     }
 
+    /** @type {string|Buffer} */
+    const avatar = assets.avatar ?? defaultAvatarPath;
+
     unsetFavFlag(card);
     card['create_date'] = humanizedISO8601DateTime();
     card.name = sanitize(card.name);
@@ -602,12 +632,13 @@ async function importFromJson(uploadPath, { request }, preservedFileName) {
     if (jsonData.spec !== undefined) {
         console.log(`Importing from ${jsonData.spec} json`);
         importRisuSprites(request.user.directories, jsonData);
+        const assets = await restoreCharacterAssets(request.user.directories, jsonData, uri => readAssetUri(uri, null));
         unsetFavFlag(jsonData);
         jsonData = readFromV2(jsonData);
         jsonData['create_date'] = humanizedISO8601DateTime();
         const pngName = preservedFileName || getPngName(jsonData.data?.name || jsonData.name, request.user.directories);
         const char = JSON.stringify(jsonData);
-        const result = await writeCharacterData(defaultAvatarPath, char, pngName, request);
+        const result = await writeCharacterData(assets.avatar ?? defaultAvatarPath, char, pngName, request);
         return result ? pngName : '';
     } else if (jsonData.name !== undefined) {
         console.log('Importing from v1 json');
@@ -685,6 +716,8 @@ async function importFromPng(uploadPath, { request }, preservedFileName) {
     if (jsonData.spec !== undefined) {
         console.log(`Found a ${jsonData.spec} character file.`);
         importRisuSprites(request.user.directories, jsonData);
+        // The card image is the avatar, only the sprites and backgrounds are restored
+        await restoreCharacterAssets(request.user.directories, jsonData, uri => readAssetUri(uri, null));
         unsetFavFlag(jsonData);
         jsonData = readFromV2(jsonData);
         jsonData['create_date'] = humanizedISO8601DateTime();
@@ -790,6 +823,8 @@ router.post('/rename', jsonParser, async function (request, response) {
             fs.rmSync(oldChatsPath, { recursive: true, force: true });
         }
 
+        moveCharacterHistory(request.user.directories, oldAvatarName, newAvatarName);
+
         // Remove the old character file
         fs.rmSync(oldAvatarPath);
 
@@ -822,6 +857,8 @@ router.post('/edit', urlencodedParser, async function (request, response) {
     let targetFile = (request.body.avatar_url).replace('.png', '');
 
     try {
+        recordCharacterVersion(request.user.directories, request.body.avatar_url, 'edit', !!request.file);
+
         if (!request.file) {
             const avatarPath = path.join(request.user.directories.characters, request.body.avatar_url);
             await writeCharacterData(avatarPath, char, targetFile, request);
@@ -879,6 +916,7 @@ router.post('/edit-attribute', jsonParser, async function (request, response) {
         char.data[request.body.field] = request.body.value;
         let newCharJSON = JSON.stringify(char);
         const targetFile = (request.body.avatar_url).replace('.png', '');
+        recordCharacterVersion(request.user.directories, request.body.avatar_url, 'attribute');
         await writeCharacterData(avatarPath, newCharJSON, targetFile, request);
         return response.sendStatus(200);
     } catch (err) {
@@ -917,6 +955,7 @@ router.post('/merge-attributes', jsonParser, async function (request, response)
 
         //Accept either V1 or V2.
         if (validator.validate()) {
+            recordCharacterVersion(request.user.directories, update.avatar, 'merge');
             await writeCharacterData(avatarPath, JSON.stringify(character), targetImg, request);
             response.sendStatus(200);
         } else {
@@ -961,9 +1000,115 @@ router.post('/delete', jsonParser, async function (request, response) {
         }
     }
 
+    removeCharacterHistory(request.user.directories, request.body.avatar_url);
     return response.sendStatus(200);
 });
 
+router.post('/resize-avatar', jsonParser, async function (request, response) {
+    try {
+        if (!request.body.avatar_url) {
+            return response.sendStatus(400);
+        }
+
+        const avatar = sanitize(request.body.avatar_url);
+        const avatarPath = path.join(request.user.directories.characters, avatar);
+
+        if (!fs.existsSync(avatarPath)) {
+            return response.sendStatus(404);
+        }
+
+        const json = await readCharacterData(avatarPath);
+        if (json === undefined) return response.sendStatus(400);
+
+        const image = await jimp.read(avatarPath);
+        /** @type {Crop} */
+        const crop = { x: 0, y: 0, width: image.bitmap.width, height: image.bitmap.height, want_resize: true };
+        recordCharacterVersion(request.user.directories, avatar, 'edit', true);
+
+        if (!await writeCharacterData(avatarPath, json, path.parse(avatar).name, request, crop)) {
+            return response.sendStatus(500);
+        }
+
+        invalidateThumbnail(request.user.directories, 'avatar', avatar);
+        console.log(`Resized the avatar of ${avatar} from ${image.bitmap.width}x${image.bitmap.height} to ${AVATAR_WIDTH}x${AVATAR_HEIGHT}`);
+        return response.send({ width: AVATAR_WIDTH, height: AVATAR_HEIGHT });
+    } catch (error) {
+        console.error('Avatar resize failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/history', jsonParser, function (request, response) {
+    try {
+        if (!request.body.avatar_url) {
+            return response.sendStatus(400);
+        }
+
+        const versions = listCharacterVersions(request.user.directories, request.body.avatar_url);
+        return response.send(versions);
+    } catch (error) {
+        console.error('Character history error:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/history/diff', jsonParser, function (request, response) {
+    try {
+        if (!request.body.avatar_url || !request.body.from) {
+            return response.sendStatus(400);
+        }
+
+        const from = String(request.body.from);
+        const to = String(request.body.to || 'current');
+        const before = readCharacterVersion(request.user.directories, request.body.avatar_url, from);
+        const after = readCharacterVersion(request.user.directories, request.body.avatar_url, to);
+
+        if (before === null || after === null) {
+            return response.status(404).send({ error: 'Character version not found' });
+        }
+
+        const changes = diffCharacterCards(before, after);
+        return response.send({ from, to, changes });
+    } catch (error) {
+        console.error('Character history diff error:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/history/restore', jsonParser, async function (request, response) {
+    try {
+        if (!request.body.avatar_url || !request.body.version) {
+            return response.sendStatus(400);
+        }
+
+        const avatar = sanitize(request.body.avatar_url);
+        const version = String(request.body.version);
+        const content = readCharacterVersion(request.user.directories, avatar, version);
+
+        if (content === null) {
+            return response.status(404).send({ error: 'Character version not found' });
+        }
+
+        const imagePath = getCharacterVersionImage(request.user.directories, avatar, version);
+        const avatarPath = path.join(request.user.directories.characters, avatar);
+        recordCharacterVersion(request.user.directories, avatar, 'restore', !!imagePath);
+
+        if (!await writeCharacterData(imagePath ?? avatarPath, content, path.parse(avatar).name, request)) {
+            return response.sendStatus(500);
+        }
+
+        if (imagePath) {
+            invalidateThumbnail(request.user.directories, 'avatar', avatar);
+        }
+
+        console.log(`Restored character ${avatar} to version ${version}`);
+        return response.send({ ok: true });
+    } catch (error) {
+        console.error('Character history restore error:', error);
+        return response.sendStatus(500);
+    }
+});
+
 /**
  * HTTP POST endpoint for the "/api/characters/all" route.
  *
@@ -1237,6 +1382,22 @@ router.post('/export', jsonParser, async function (request, response) {
                     return response.sendStatus(400);
                 }
             }
+            case 'json_v3':
+            case 'charx': {
+                const json = await readCharacterData(filename);
+                if (json === undefined) return response.sendStatus(400);
+                const card = getCharaCardV3(JSON.parse(json), request.user.directories);
+                const assets = getCharacterAssets(request.user.directories, filename, card.data.name || card.name);
+
+                if (request.body.format === 'json_v3') {
+                    return response.type('json').send(JSON.stringify(embedAssetsAsDataUris(card, assets), null, 4));
+                }
+
+                const archive = await createCharXArchive(card, assets);
+                response.setHeader('Content-Type', 'application/zip');
+                response.setHeader('Content-Disposition', `attachment; filename="${encodeURI(path.parse(filename).name)}.charx"`);
+                return response.send(archive);
+            }
         }
 
         return response.sendStatus(400);
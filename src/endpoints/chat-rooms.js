@@ -0,0 +1,286 @@
+import fs from 'node:fs';
+
+import express from 'express';
+import sanitize from 'sanitize-filename';
+
+import { jsonParser } from '../express-common.js';
+import { humanizedISO8601DateTime } from '../util.js';
+import { getChatPath } from '../chat-index.js';
+import { readChatWithRepair } from '../chat-history.js';
+import { getUserDirectories } from '../users.js';
+import {
+    addChatRoomClient,
+    appendChatRoomMessage,
+    broadcastChatRoomEvent,
+    canPostToChatRoom,
+    closeChatRoom,
+    commitChatRoomMerge,
+    createChatRoom,
+    getChatRoom,
+    getChatRoomByChat,
+    getChatRoomInfo,
+    getChatRoomMessages,
+    getChatRoomOptions,
+    joinChatRoom,
+    leaveChatRoom,
+    listChatRooms,
+    mergeChatRoomLines,
+    setChatRoomStream,
+} from '../chat-rooms.js';
+import { writeChatFile } from './chats.js';
+
+/**
+ * Saves the chat of a room to the chat file of the host.
+ * @param {import('../chat-rooms.js').ChatRoom} room Room
+ */
+function saveChatRoom(room) {
+    writeChatFile(getUserDirectories(room.host), room.host, room.chat, getChatRoomMessages(room));
+}
+
+/**
+ * Gets a room the user is a member of.
+ * @param {import('express').Request} request Request
+ * @returns {import('../chat-rooms.js').ChatRoom|null} Room
+ */
+function getMemberRoom(request) {
+    const room = getChatRoom(request.body?.id ?? request.params?.id);
+    return room?.members.has(request.user.profile.handle) ? room : null;
+}
+
+/**
+ * Gets a room the user is the host of.
+ * @param {import('express').Request} request Request
+ * @returns {import('../chat-rooms.js').ChatRoom|null} Room
+ */
+function getHostedRoom(request) {
+    const room = getChatRoom(request.body?.id);
+    return room?.host === request.user.profile.handle ? room : null;
+}
+
+export const router = express.Router();
+
+router.use((_request, response, next) => {
+    if (!getChatRoomOptions().enabled) {
+        return response.status(404).json({ error: 'Chat rooms are disabled' });
+    }
+
+    return next();
+});
+
+router.post('/list', jsonParser, (request, response) => {
+    const rooms = listChatRooms(request.user.profile.handle).map(room => getChatRoomInfo(room));
+    return response.json(rooms);
+});
+
+/**
+ * Opens a room for a chat of the current user. If the chat already has a room, it is returned instead.
+ */
+router.post('/create', jsonParser, (request, response) => {
+    try {
+        const user = request.user.profile;
+        const isGroup = request.body.type === 'group';
+        const owner = isGroup ? '' : String(request.body.avatar_url ?? '').replace('.png', '');
+        const fileName = sanitize(`${String(request.body.file_name)}.jsonl`);
+
+        if ((!isGroup && !owner) || !request.body.file_name) {
+            console.log('Room creation failed: Missing chat');
+            return response.status(400).json({ error: 'Missing chat' });
+        }
+
+        /** @type {import('../chat-index.js').ChatReference} */
+        const ref = { type: isGroup ? 'group' : 'character', owner: owner, file_name: fileName };
+        const existingRoom = getChatRoomByChat(user.handle, ref);
+
+        if (existingRoom) {
+            return response.json(getChatRoomInfo(existingRoom));
+        }
+
+        const messages = fs.existsSync(getChatPath(request.user.directories, ref)) ? readChatWithRepair(request.user.directories, ref) : [];
+        const room = createChatRoom(user, String(request.body.persona ?? ''), ref, messages, {
+            name: String(request.body.name || request.body.title || 'Chat room').trim().slice(0, 100),
+            title: String(request.body.title ?? '').slice(0, 100),
+            listed: !!request.body.listed,
+            turnOrder: String(request.body.turnOrder ?? ''),
+            autoReply: request.body.autoReply !== false,
+        });
+
+        console.log('Chat room opened:', room.name, 'by', user.handle);
+        return response.json(getChatRoomInfo(room));
+    } catch (error) {
+        console.error('Room creation failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/join', jsonParser, (request, response) => {
+    const room = getChatRoom(request.body.id);
+    const user = request.user.profile;
+
+    if (!room) {
+        console.log('Room join failed: Room not found');
+        return response.status(404).json({ error: 'Room not found' });
+    }
+
+    const { maxMembers } = getChatRoomOptions();
+
+    if (!room.members.has(user.handle) && maxMembers && room.members.size >= maxMembers) {
+        console.log('Room join failed: Room is full');
+        return response.status(403).json({ error: 'Room is full' });
+    }
+
+    joinChatRoom(room, user, String(request.body.persona ?? '').trim().slice(0, 100));
+    return response.json(getChatRoomInfo(room));
+});
+
+router.post('/leave', jsonParser, (request, response) => {
+    const room = getMemberRoom(request);
+
+    if (room) {
+        leaveChatRoom(room, request.user.profile.handle);
+    }
+
+    return response.sendStatus(204);
+});
+
+router.post('/close', jsonParser, (request, response) => {
+    const room = getChatRoom(request.body.id);
+
+    if (!room || (room.host !== request.user.profile.handle && !request.user.profile.admin)) {
+        return response.status(404).json({ error: 'Room not found' });
+    }
+
+    closeChatRoom(room);
+    console.log('Chat room closed:', room.name, 'by', request.user.profile.handle);
+    return response.sendStatus(204);
+});
+
+router.post('/settings', jsonParser, (request, response) => {
+    const room = getHostedRoom(request);
+
+    if (!room) {
+        return response.status(404).json({ error: 'Room not found' });
+    }
+
+    if (typeof request.body.listed === 'boolean') {
+        room.listed = request.body.listed;
+    }
+
+    if (typeof request.body.autoReply === 'boolean') {
+        room.autoReply = request.body.autoReply;
+    }
+
+    if (['free', 'round-robin'].includes(request.body.turnOrder)) {
+        room.turnOrder = request.body.turnOrder;
+    }
+
+    if (room.members.has(request.body.turn)) {
+        room.turn = request.body.turn;
+    }
+
+    const info = getChatRoomInfo(room);
+    broadcastChatRoomEvent(room, 'members', info);
+    return response.json(info);
+});
+
+/**
+ * Streams the room events: the full state on connect, then chat changes, member changes and streamed generations.
+ */
+router.get('/events/:id', (request, response) => {
+    const room = getMemberRoom(request);
+
+    if (!room) {
+        return response.sendStatus(404);
+    }
+
+    addChatRoomClient(room, request.user.profile.handle, response);
+});
+
+/**
+ * Posts a message of a member as their persona.
+ */
+router.post('/message', jsonParser, (request, response) => {
+    try {
+        const room = getMemberRoom(request);
+        const handle = request.user.profile.handle;
+        const text = String(request.body.text ?? '');
+
+        if (!room) {
+            return response.status(404).json({ error: 'Room not found' });
+        }
+
+        if (!text.trim()) {
+            return response.status(400).json({ error: 'Message is empty' });
+        }
+
+        if (!canPostToChatRoom(room, handle)) {
+            return response.status(409).json({ error: 'It is not your turn' });
+        }
+
+        const message = {
+            name: room.members.get(handle).persona,
+            is_user: true,
+            send_date: String(request.body.send_date || humanizedISO8601DateTime()),
+            mes: text,
+            extra: { room_member: handle },
+        };
+
+        appendChatRoomMessage(room, message, handle);
+        saveChatRoom(room);
+        return response.json({ revision: room.revision });
+    } catch (error) {
+        console.error('Room message failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Saves the chat of the host. Saves based on an older revision are merged with the changes of the other members.
+ */
+router.post('/sync', jsonParser, (request, response) => {
+    try {
+        const room = getHostedRoom(request);
+
+        if (!room) {
+            return response.status(404).json({ error: 'Room not found' });
+        }
+
+        if (!Array.isArray(request.body.chat)) {
+            return response.status(400).json({ error: 'Missing chat' });
+        }
+
+        const baseRevision = Number(request.body.revision);
+        const merge = mergeChatRoomLines(room, baseRevision, request.body.chat);
+
+        if (!merge) {
+            console.log('Room sync failed: Conflicting edit in', room.name);
+            return response.status(409).json({ error: 'Your change conflicts with a change made by another member', revision: room.revision, messages: getChatRoomMessages(room) });
+        }
+
+        if (merge.appended.some(x => x?.is_user && !x?.is_system) && !canPostToChatRoom(room, room.host)) {
+            return response.status(409).json({ error: 'It is not your turn', revision: room.revision, messages: getChatRoomMessages(room) });
+        }
+
+        const isFastForward = baseRevision === room.revision;
+        commitChatRoomMerge(room, merge.lines, merge.appended);
+        saveChatRoom(room);
+        return response.json({ revision: room.revision, messages: isFastForward ? undefined : getChatRoomMessages(room) });
+    } catch (error) {
+        console.error('Room sync failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Relays a generation that is being streamed by the host.
+ */
+router.post('/stream', jsonParser, (request, response) => {
+    const room = getHostedRoom(request);
+
+    if (!room) {
+        return response.status(404).json({ error: 'Room not found' });
+    }
+
+    const text = String(request.body.text ?? '');
+    setChatRoomStream(room, text ? { name: String(request.body.name ?? ''), text } : null);
+    return response.sendStatus(204);
+});
@@ -2,6 +2,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import readline from 'node:readline';
 import process from 'node:process';
+import { Buffer } from 'node:buffer';
 
 import express from 'express';
 import sanitize from 'sanitize-filename';
@@ -10,6 +11,29 @@ import _ from 'lodash';
 
 import { jsonParser, urlencodedParser } from '../express-common.js';
 import { getConfigValue, humanizedISO8601DateTime, tryParse, generateTimestamp, removeOldBackups } from '../util.js';
+import { getChatPath, queueChatIndexUpdate, removeFromChatIndex, searchChats } from '../chat-index.js';
+import {
+    diffChatContent,
+    flushChatVersions,
+    listChatVersions,
+    moveChatHistory,
+    queueChatVersion,
+    readChatVersion,
+    readChatWithRepair,
+    removeChatHistory,
+    restoreChatVersion,
+} from '../chat-history.js';
+import { CHAT_EXPORT_FORMATS, exportChat } from '../chat-export.js';
+import {
+    importChatArchive,
+    importConversations,
+    importKoboldLiteChat,
+    importRisuChat,
+    openZipArchive,
+    saveImportedChats,
+    summarizeImportedChat,
+} from '../chat-import.js';
+import { getChatRoomByChat } from '../chat-rooms.js';
 
 /**
  * Saves a chat to the backups directory.
@@ -52,6 +76,24 @@ function getBackupFunction(handle) {
     return backupFunctions.get(handle);
 }
 
+/**
+ * Writes a chat file, then queues its backup, version and search index update.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} handle User handle
+ * @param {import('../chat-index.js').ChatReference} ref Chat reference
+ * @param {object[]} chatData Chat lines
+ */
+export function writeChatFile(directories, handle, ref, chatData) {
+    const jsonlData = chatData.map(x => JSON.stringify(x)).join('\n');
+    const filePath = getChatPath(directories, ref);
+    const backupName = ref.type === 'group' ? path.parse(ref.file_name).name : ref.owner;
+
+    writeFileAtomicSync(filePath, jsonlData, 'utf8');
+    getBackupFunction(handle)(directories.backups, backupName, jsonlData);
+    queueChatVersion(directories, ref, jsonlData);
+    queueChatIndexUpdate(directories, ref);
+}
+
 /**
  * Formats a byte size into a human-readable string with units
  * @param {number} bytes - The size in bytes to format
@@ -65,30 +107,26 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-/**
- * Gets a preview message from an array of chat messages
- * @param {Array<Object>} messages - Array of chat messages, each with a 'mes' property
- * @returns {string} A truncated preview of the last message or empty string if no messages
- */
-function getPreviewMessage(messages) {
-    const strlen = 400;
-    const lastMessage = messages[messages.length - 1]?.mes;
-
-    if (!lastMessage) {
-        return '';
-    }
-
-    return lastMessage.length > strlen
-        ? '...' + lastMessage.substring(lastMessage.length - strlen)
-        : lastMessage;
-}
-
 process.on('exit', () => {
     for (const func of backupFunctions.values()) {
         func.flush();
     }
+
+    flushChatVersions();
 });
 
+/**
+ * Gets a reference to the chat targeted by a chat history request.
+ * @param {any} body Request body
+ * @returns {import('../chat-index.js').ChatReference} Chat reference
+ */
+function getHistoryChatReference(body) {
+    const fileName = `${sanitize(String(body.file_name)).replace(/\.jsonl$/, '')}.jsonl`;
+    return body.is_group
+        ? { type: 'group', owner: '', file_name: fileName }
+        : { type: 'character', owner: sanitize(String(body.avatar_url).replace('.png', '')), file_name: fileName };
+}
+
 /**
  * Imports a chat from Ooba's format.
  * @param {string} userName User name
@@ -190,44 +228,6 @@ function importCAIChat(userName, characterName, jsonData) {
     return newChats;
 }
 
-/**
- * Imports a chat from Kobold Lite format.
- * @param {string} _userName User name
- * @param {string} _characterName Character name
- * @param {object} data JSON data
- * @returns {string} Chat data
- */
-function importKoboldLiteChat(_userName, _characterName, data) {
-    const inputToken = '{{[INPUT]}}';
-    const outputToken = '{{[OUTPUT]}}';
-
-    /** @type {function(string): object} */
-    function processKoboldMessage(msg) {
-        const isUser = msg.includes(inputToken);
-        return {
-            name: isUser ? header.user_name : header.character_name,
-            is_user: isUser,
-            mes: msg.replaceAll(inputToken, '').replaceAll(outputToken, '').trim(),
-            send_date: Date.now(),
-        };
-    }
-
-    // Create the header
-    const header = {
-        user_name: String(data.savedsettings.chatname),
-        character_name: String(data.savedsettings.chatopponent).split('||$||')[0],
-    };
-    // Format messages
-    const formattedMessages = data.actions.map(processKoboldMessage);
-    // Add prompt if available
-    if (data.prompt) {
-        formattedMessages.unshift(processKoboldMessage(data.prompt));
-    }
-    // Combine header and messages
-    const chatData = [header, ...formattedMessages];
-    return chatData.map(obj => JSON.stringify(obj)).join('\n');
-}
-
 /**
  * Flattens `msg` and `swipes` data from Chub Chat format.
  * Only changes enough to make it compatible with the standard chat serialization format.
@@ -264,12 +264,15 @@ export const router = express.Router();
 router.post('/save', jsonParser, function (request, response) {
     try {
         const directoryName = String(request.body.avatar_url).replace('.png', '');
-        const chatData = request.body.chat;
-        const jsonlData = chatData.map(JSON.stringify).join('\n');
         const fileName = `${String(request.body.file_name)}.jsonl`;
-        const filePath = path.join(request.user.directories.chats, directoryName, sanitize(fileName));
-        writeFileAtomicSync(filePath, jsonlData, 'utf8');
-        getBackupFunction(request.user.profile.handle)(request.user.directories.backups, directoryName, jsonlData);
+        const ref = { type: 'character', owner: directoryName, file_name: sanitize(fileName) };
+
+        // Saves of a shared chat are merged by the room
+        if (getChatRoomByChat(request.user.profile.handle, ref)) {
+            return response.status(409).json({ error: 'This chat is open in a chat room' });
+        }
+
+        writeChatFile(request.user.directories, request.user.profile.handle, ref, request.body.chat);
         return response.send({ result: 'ok' });
     } catch (error) {
         response.send(error);
@@ -301,11 +304,8 @@ router.post('/get', jsonParser, function (request, response) {
             return response.send({});
         }
 
-        const data = fs.readFileSync(filePath, 'utf8');
-        const lines = data.split('\n');
-
-        // Iterate through the array of strings and parse each line as JSON
-        const jsonData = lines.map((l) => { try { return JSON.parse(l); } catch (_) { return; } }).filter(x => x);
+        // Malformed lines are repaired instead of being dropped
+        const jsonData = readChatWithRepair(request.user.directories, { type: 'character', owner: dirName, file_name: sanitize(fileName) });
         return response.send(jsonData);
     } catch (error) {
         console.error(error);
@@ -335,6 +335,17 @@ router.post('/rename', jsonParser, async function (request, response) {
 
     fs.copyFileSync(pathToOriginalFile, pathToRenamedFile);
     fs.rmSync(pathToOriginalFile);
+
+    if (!request.body.is_group) {
+        const owner = String(request.body.avatar_url).replace('.png', '');
+        removeFromChatIndex(request.user.directories, { type: 'character', owner, file_name: path.basename(pathToOriginalFile) });
+        queueChatIndexUpdate(request.user.directories, { type: 'character', owner, file_name: path.basename(pathToRenamedFile) });
+        moveChatHistory(request.user.directories, { type: 'character', owner, file_name: path.basename(pathToOriginalFile) }, { type: 'character', owner, file_name: path.basename(pathToRenamedFile) });
+    } else {
+        removeFromChatIndex(request.user.directories, { type: 'group', owner: '', file_name: path.basename(pathToOriginalFile) });
+        queueChatIndexUpdate(request.user.directories, { type: 'group', owner: '', file_name: path.basename(pathToRenamedFile) });
+        moveChatHistory(request.user.directories, { type: 'group', owner: '', file_name: path.basename(pathToOriginalFile) }, { type: 'group', owner: '', file_name: path.basename(pathToRenamedFile) });
+    }
     console.log('Successfully renamed.');
     return response.send({ ok: true, sanitizedFileName });
 });
@@ -351,6 +362,8 @@ router.post('/delete', jsonParser, function (request, response) {
     }
 
     fs.rmSync(filePath);
+    removeFromChatIndex(request.user.directories, { type: 'character', owner: dirName, file_name: sanitize(fileName) });
+    removeChatHistory(request.user.directories, { type: 'character', owner: dirName, file_name: sanitize(fileName) });
     console.log('Deleted chat file: ' + filePath);
     return response.send('ok');
 });
@@ -372,6 +385,27 @@ router.post('/export', jsonParser, async function (request, response) {
         return response.status(404).json(errorMessage);
     }
     try {
+        if (Object.hasOwn(CHAT_EXPORT_FORMATS, request.body.format)) {
+            const title = path.parse(String(exportfilename)).name;
+            const result = await exportChat(request.user.directories, filename, {
+                format: request.body.format,
+                title,
+                avatar: request.body.is_group ? undefined : String(request.body.avatar_url),
+                includeHidden: !!request.body.include_hidden,
+                includeSwipes: !!request.body.include_swipes,
+                includeSystem: !!request.body.include_system,
+            });
+
+            console.log(`Chat exported as ${exportfilename}`);
+            return response.status(200).json({
+                message: `Chat saved to ${exportfilename}`,
+                // Binary formats are sent as base64
+                result: Buffer.isBuffer(result) ? result.toString('base64') : result,
+                encoding: Buffer.isBuffer(result) ? 'base64' : 'utf8',
+                mimeType: CHAT_EXPORT_FORMATS[request.body.format],
+            });
+        }
+
         // Short path for JSONL files
         if (request.body.format === 'jsonl') {
             try {
@@ -445,60 +479,73 @@ router.post('/group/import', urlencodedParser, function (request, response) {
     }
 });
 
-router.post('/import', urlencodedParser, function (request, response) {
+router.post('/import', urlencodedParser, async function (request, response) {
     if (!request.body) return response.sendStatus(400);
 
     const format = request.body.file_type;
     const avatarUrl = (request.body.avatar_url).replace('.png', '');
     const characterName = request.body.character_name;
     const userName = request.body.user_name || 'User';
+    const dryRun = request.body.dry_run === 'true';
 
     if (!request.file) {
         return response.sendStatus(400);
     }
 
+    const pathToUpload = path.join(request.file.destination, request.file.filename);
+    /** @type {import('../chat-import.js').ImportContext} */
+    const context = { directories: request.user.directories, userName, characterName };
+    /** @type {Awaited<ReturnType<typeof openZipArchive>>} */
+    let archive = null;
+
     try {
-        const pathToUpload = path.join(request.file.destination, request.file.filename);
-        const data = fs.readFileSync(pathToUpload, 'utf8');
+        /** @type {import('../chat-import.js').ImportedChat[]} */
+        let chats = null;
+
+        if (format === 'zip') {
+            archive = await openZipArchive(pathToUpload);
+            chats = await importChatArchive(context, archive);
+
+            if (!chats) {
+                console.log('Incorrect chat format .zip');
+                return response.send({ error: true });
+            }
+        }
 
         if (format === 'json') {
-            fs.unlinkSync(pathToUpload);
+            const data = fs.readFileSync(pathToUpload, 'utf8');
             const jsonData = JSON.parse(data);
 
             /** @type {function(string, string, object): string|string[]} */
             let importFunc;
 
-            if (jsonData.savedsettings !== undefined) { // Kobold Lite format
-                importFunc = importKoboldLiteChat;
+            if (jsonData.type === 'risuChat') { // RisuAI format
+                chats = importRisuChat(context, jsonData);
+            } else if (Array.isArray(jsonData)) { // ChatGPT or Claude.ai conversations.json
+                chats = importConversations(context, jsonData);
+            } else if (jsonData.savedsettings !== undefined) { // Kobold Lite format
+                chats = importKoboldLiteChat(context, jsonData);
             } else if (jsonData.histories !== undefined) { // CAI Tools format
                 importFunc = importCAIChat;
             } else if (Array.isArray(jsonData.data_visible)) { // oobabooga's format
                 importFunc = importOobaChat;
             } else if (Array.isArray(jsonData.messages)) { // Agnai's format
                 importFunc = importAgnaiChat;
-            } else { // Unknown format
-                console.log('Incorrect chat format .json');
-                return response.send({ error: true });
             }
 
-            const handleChat = (chat) => {
-                const fileName = `${characterName} - ${humanizedISO8601DateTime()} imported.jsonl`;
-                const filePath = path.join(request.user.directories.chats, avatarUrl, fileName);
-                writeFileAtomicSync(filePath, chat, 'utf8');
-            };
-
-            const chat = importFunc(userName, characterName, jsonData);
-
-            if (Array.isArray(chat)) {
-                chat.forEach(handleChat);
-            } else {
-                handleChat(chat);
+            if (importFunc) {
+                const chat = importFunc(userName, characterName, jsonData);
+                chats = (Array.isArray(chat) ? chat : [chat]).map(content => ({ title: '', content, assets: [] }));
             }
 
-            return response.send({ res: true });
+            if (!chats) {
+                console.log('Incorrect chat format .json');
+                return response.send({ error: true });
+            }
         }
 
         if (format === 'jsonl') {
+            const data = fs.readFileSync(pathToUpload, 'utf8');
             let lines = data.split('\n');
             const header = lines[0];
 
@@ -520,19 +567,28 @@ router.post('/import', urlencodedParser, function (request, response) {
                 console.warn('Failed to flatten Chub Chat data: ', error);
             }
 
-            const fileName = `${characterName} - ${humanizedISO8601DateTime()} imported.jsonl`;
-            const filePath = path.join(request.user.directories.chats, avatarUrl, fileName);
-            if (flattenedChat !== data) {
-                writeFileAtomicSync(filePath, flattenedChat, 'utf8');
-            } else {
-                fs.copyFileSync(pathToUpload, filePath);
-            }
-            fs.unlinkSync(pathToUpload);
-            response.send({ res: true });
+            chats = [{ title: '', content: flattenedChat, assets: [] }];
+        }
+
+        if (!chats?.length) {
+            console.log('No chats found in the imported file');
+            return response.send({ error: true });
+        }
+
+        if (dryRun) {
+            return response.send({ dry_run: true, format, chats: chats.map(summarizeImportedChat) });
         }
+
+        const created = await saveImportedChats(request.user.directories, avatarUrl, characterName, chats);
+        return response.send({ res: true, created });
     } catch (error) {
         console.error(error);
         return response.send({ error: true });
+    } finally {
+        archive?.close();
+        if (fs.existsSync(pathToUpload)) {
+            fs.unlinkSync(pathToUpload);
+        }
     }
 });
 
@@ -545,11 +601,8 @@ router.post('/group/get', jsonParser, (request, response) => {
     const pathToFile = path.join(request.user.directories.groupChats, `${id}.jsonl`);
 
     if (fs.existsSync(pathToFile)) {
-        const data = fs.readFileSync(pathToFile, 'utf8');
-        const lines = data.split('\n');
-
-        // Iterate through the array of strings and parse each line as JSON
-        const jsonData = lines.map(line => tryParse(line)).filter(x => x);
+        // Malformed lines are repaired instead of being dropped
+        const jsonData = readChatWithRepair(request.user.directories, { type: 'group', owner: '', file_name: `${id}.jsonl` });
         return response.send(jsonData);
     } else {
         return response.send([]);
@@ -566,6 +619,8 @@ router.post('/group/delete', jsonParser, (request, response) => {
 
     if (fs.existsSync(pathToFile)) {
         fs.rmSync(pathToFile);
+        removeFromChatIndex(request.user.directories, { type: 'group', owner: '', file_name: `${id}.jsonl` });
+        removeChatHistory(request.user.directories, { type: 'group', owner: '', file_name: `${id}.jsonl` });
         return response.send({ ok: true });
     }
 
@@ -578,135 +633,149 @@ router.post('/group/save', jsonParser, (request, response) => {
     }
 
     const id = request.body.id;
-    const pathToFile = path.join(request.user.directories.groupChats, `${id}.jsonl`);
 
     if (!fs.existsSync(request.user.directories.groupChats)) {
         fs.mkdirSync(request.user.directories.groupChats);
     }
 
-    let chat_data = request.body.chat;
-    let jsonlData = chat_data.map(JSON.stringify).join('\n');
-    writeFileAtomicSync(pathToFile, jsonlData, 'utf8');
-    getBackupFunction(request.user.profile.handle)(request.user.directories.backups, String(id), jsonlData);
+    const ref = { type: 'group', owner: '', file_name: `${id}.jsonl` };
+
+    // Saves of a shared chat are merged by the room
+    if (getChatRoomByChat(request.user.profile.handle, ref)) {
+        return response.status(409).json({ error: 'This chat is open in a chat room' });
+    }
+
+    writeChatFile(request.user.directories, request.user.profile.handle, ref, request.body.chat);
     return response.send({ ok: true });
 });
 
-router.post('/search', jsonParser, function (request, response) {
+router.post('/search', jsonParser, async function (request, response) {
     try {
-        const { query, avatar_url, group_id } = request.body;
-        let chatFiles = [];
+        const { query, avatar_url, group_id, scope } = request.body;
+
+        /** @type {import('../chat-index.js').ChatSearchScope} */
+        let searchScope = {};
+        /** @type {Map<string, object>} */
+        const groupsByChat = new Map();
 
-        if (group_id) {
-            // Find group's chat IDs first
-            const groupDir = path.join(request.user.directories.groups);
-            const groupFiles = fs.readdirSync(groupDir)
-                .filter(file => file.endsWith('.json'));
+        // Map group chat IDs to their groups
+        if (group_id || scope === 'all') {
+            const groupDir = request.user.directories.groups;
+            const groupFiles = fs.existsSync(groupDir) ? fs.readdirSync(groupDir).filter(file => file.endsWith('.json')) : [];
 
-            let targetGroup;
             for (const groupFile of groupFiles) {
                 try {
                     const groupData = JSON.parse(fs.readFileSync(path.join(groupDir, groupFile), 'utf8'));
-                    if (groupData.id === group_id) {
-                        targetGroup = groupData;
-                        break;
+                    if (Array.isArray(groupData.chats) && (scope === 'all' || groupData.id === group_id)) {
+                        groupData.chats.forEach(chatId => groupsByChat.set(`${chatId}.jsonl`, groupData));
                     }
                 } catch (error) {
                     console.error(groupFile, 'group file is corrupted:', error);
                 }
             }
+        }
 
-            if (!targetGroup?.chats) {
+        if (scope === 'all') {
+            searchScope = {};
+        } else if (group_id) {
+            if (groupsByChat.size === 0) {
                 return response.send([]);
             }
-
-            // Find group chat files for given group ID
-            const groupChatsDir = path.join(request.user.directories.groupChats);
-            chatFiles = targetGroup.chats
-                .map(chatId => {
-                    const filePath = path.join(groupChatsDir, `${chatId}.jsonl`);
-                    if (!fs.existsSync(filePath)) return null;
-                    const stats = fs.statSync(filePath);
-                    return {
-                        file_name: chatId,
-                        file_size: formatBytes(stats.size),
-                        path: filePath,
-                    };
-                })
-                .filter(x => x);
+            searchScope = { type: 'group', files: Array.from(groupsByChat.keys()) };
+        } else if (avatar_url) {
+            searchScope = { type: 'character', owner: String(avatar_url).replace('.png', '') };
         } else {
-            // Regular character chat directory
-            const character_name = avatar_url.replace('.png', '');
-            const directoryPath = path.join(request.user.directories.chats, character_name);
+            return response.sendStatus(400);
+        }
 
-            if (!fs.existsSync(directoryPath)) {
-                return response.send([]);
-            }
+        const results = await searchChats(request.user.directories, String(query ?? ''), searchScope, request.body);
+
+        const chats = results.map(result => {
+            const group = result.type === 'group' ? groupsByChat.get(result.file_name) : null;
+            return {
+                // Group chats are identified by their ID, without the extension
+                file_name: result.type === 'group' ? path.parse(result.file_name).name : result.file_name,
+                file_size: formatBytes(result.size),
+                message_count: result.message_count,
+                last_mes: result.last_mes,
+                preview_message: result.preview_message,
+                avatar_url: result.type === 'character' ? `${result.owner}.png` : undefined,
+                group_id: group?.id,
+                group_name: group?.name,
+                score: result.score,
+                match_count: result.match_count,
+                matches: result.matches,
+            };
+        });
 
-            chatFiles = fs.readdirSync(directoryPath)
-                .filter(file => file.endsWith('.jsonl'))
-                .map(fileName => {
-                    const filePath = path.join(directoryPath, fileName);
-                    const stats = fs.statSync(filePath);
-                    return {
-                        file_name: fileName,
-                        file_size: formatBytes(stats.size),
-                        path: filePath,
-                    };
-                });
+        // Without a query, sort by last message date descending. Otherwise, results are sorted by relevance.
+        if (!query) {
+            chats.sort((a, b) => Number(new Date(b.last_mes)) - Number(new Date(a.last_mes)));
         }
 
-        const results = [];
+        return response.send(chats);
+    } catch (error) {
+        console.error('Chat search error:', error);
+        return response.status(500).json({ error: 'Search failed' });
+    }
+});
 
-        // Search logic
-        for (const chatFile of chatFiles) {
-            const data = fs.readFileSync(chatFile.path, 'utf8');
-            const messages = data.split('\n')
-                .map(line => { try { return JSON.parse(line); } catch (_) { return null; } })
-                .filter(x => x && typeof x.mes === 'string');
+router.post('/history', jsonParser, function (request, response) {
+    try {
+        if (!request.body.file_name || (!request.body.is_group && !request.body.avatar_url)) {
+            return response.sendStatus(400);
+        }
 
-            if (messages.length === 0) {
-                continue;
-            }
+        const ref = getHistoryChatReference(request.body);
+        const versions = listChatVersions(request.user.directories, ref);
+        return response.send(versions);
+    } catch (error) {
+        console.error('Chat history error:', error);
+        return response.sendStatus(500);
+    }
+});
 
-            const lastMessage = messages[messages.length - 1];
-            const lastMesDate = lastMessage?.send_date || new Date().toISOString();
-
-            // If no search query, just return metadata
-            if (!query) {
-                results.push({
-                    file_name: chatFile.file_name,
-                    file_size: chatFile.file_size,
-                    message_count: messages.length,
-                    last_mes: lastMesDate,
-                    preview_message: getPreviewMessage(messages),
-                });
-                continue;
-            }
+router.post('/history/diff', jsonParser, function (request, response) {
+    try {
+        if (!request.body.file_name || !request.body.from || (!request.body.is_group && !request.body.avatar_url)) {
+            return response.sendStatus(400);
+        }
 
-            // Search through messages
-            const fragments = query.trim().toLowerCase().split(/\s+/).filter(x => x);
-            const hasMatch = messages.some(message => {
-                const text = message?.mes?.toLowerCase();
-                return text && fragments.every(fragment => text.includes(fragment));
-            });
+        const ref = getHistoryChatReference(request.body);
+        const from = String(request.body.from);
+        const to = String(request.body.to || 'current');
+        const before = readChatVersion(request.user.directories, ref, from);
+        const after = readChatVersion(request.user.directories, ref, to);
 
-            if (hasMatch) {
-                results.push({
-                    file_name: chatFile.file_name,
-                    file_size: chatFile.file_size,
-                    message_count: messages.length,
-                    last_mes: lastMesDate,
-                    preview_message: getPreviewMessage(messages),
-                });
-            }
+        if (before === null || after === null) {
+            return response.status(404).send({ error: 'Chat version not found' });
         }
 
-        // Sort by last message date descending
-        results.sort((a, b) => new Date(b.last_mes) - new Date(a.last_mes));
-        return response.send(results);
+        const changes = diffChatContent(before, after, ref.type === 'character');
+        return response.send({ from, to, changes });
+    } catch (error) {
+        console.error('Chat history diff error:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/history/restore', jsonParser, function (request, response) {
+    try {
+        if (!request.body.file_name || !request.body.version || (!request.body.is_group && !request.body.avatar_url)) {
+            return response.sendStatus(400);
+        }
 
+        const ref = getHistoryChatReference(request.body);
+
+        if (!restoreChatVersion(request.user.directories, ref, String(request.body.version))) {
+            return response.status(404).send({ error: 'Chat version not found' });
+        }
+
+        queueChatIndexUpdate(request.user.directories, ref);
+        console.log(`Restored chat ${ref.file_name} to version ${request.body.version}`);
+        return response.send({ ok: true });
     } catch (error) {
-        console.error('Chat search error:', error);
-        return response.status(500).json({ error: 'Search failed' });
+        console.error('Chat history restore error:', error);
+        return response.sendStatus(500);
     }
 });
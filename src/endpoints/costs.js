@@ -0,0 +1,119 @@
+import express from 'express';
+
+import { jsonParser } from '../express-common.js';
+import {
+    getCostData,
+    getMonthKey,
+    importOpenRouterPrices,
+    isCostTrackingEnabled,
+    sanitizePrices,
+    saveCostData,
+    waitForGenerationCost,
+} from '../generation-costs.js';
+
+export const router = express.Router();
+
+router.use(function (_request, response, next) {
+    if (!isCostTrackingEnabled()) {
+        return response.status(403).json({ error: 'Cost tracking is disabled' });
+    }
+
+    return next();
+});
+
+/**
+ * Gets the usage and the cost of a generation by the ID sent with the generation request.
+ * Waits for the usage to be recorded if the response has just finished.
+ */
+router.post('/generation', jsonParser, async function (request, response) {
+    try {
+        const id = String(request.body?.id ?? '');
+
+        if (!id) {
+            console.log('Cost get failed: No generation ID');
+            return response.status(400).json({ error: 'No generation ID' });
+        }
+
+        const entry = await waitForGenerationCost(request.user.profile.handle, id);
+
+        if (!entry) {
+            return response.sendStatus(404);
+        }
+
+        return response.json(entry);
+    } catch (error) {
+        console.error('Cost get failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Gets the price table, the budget and the monthly totals.
+ */
+router.post('/get', jsonParser, function (request, response) {
+    try {
+        const { importedPrices, ...data } = getCostData(request.user.directories);
+        return response.json({ ...data, importedCount: Object.keys(importedPrices).length });
+    } catch (error) {
+        console.error('Cost data get failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Replaces the prices entered by the user.
+ */
+router.post('/prices/save', jsonParser, function (request, response) {
+    try {
+        const data = getCostData(request.user.directories);
+        data.prices = sanitizePrices(request.body?.prices);
+        saveCostData(request.user.directories, data);
+        return response.json({ prices: data.prices });
+    } catch (error) {
+        console.error('Price save failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Imports the model prices from OpenRouter.
+ */
+router.post('/prices/import', jsonParser, async function (request, response) {
+    try {
+        const count = await importOpenRouterPrices(request.user.directories);
+        return response.json({ count });
+    } catch (error) {
+        console.error('Price import failed:', error);
+        return response.status(502).json({ error: error.message });
+    }
+});
+
+/**
+ * Sets the monthly budget and the percentage of the budget that triggers a warning.
+ */
+router.post('/budget/save', jsonParser, function (request, response) {
+    try {
+        const monthly = Number(request.body?.monthly);
+        const alertPercent = Number(request.body?.alertPercent);
+
+        if (!Number.isFinite(monthly) || monthly < 0 || !Number.isFinite(alertPercent) || alertPercent <= 0 || alertPercent > 100) {
+            console.log('Budget save failed: Invalid budget');
+            return response.status(400).json({ error: 'Invalid budget' });
+        }
+
+        const data = getCostData(request.user.directories);
+        data.budget = { monthly, alertPercent };
+
+        // Alerts are raised again for the new budget
+        const month = data.months[getMonthKey()];
+        if (month) {
+            delete month.alerted;
+        }
+
+        saveCostData(request.user.directories, data);
+        return response.json({ budget: data.budget });
+    } catch (error) {
+        console.error('Budget save failed:', error);
+        return response.sendStatus(500);
+    }
+});
@@ -7,6 +7,8 @@ import { default as simpleGit } from 'simple-git';
 
 import { PUBLIC_DIRECTORIES } from '../constants.js';
 import { jsonParser } from '../express-common.js';
+import { getPluginClientExtensions } from '../plugin-loader.js';
+import { recordAuditEvent } from '../audit-log.js';
 
 /**
  * This function extracts the extension information from the manifest file.
@@ -85,11 +87,12 @@ router.post('/install', jsonParser, async (request, response) => {
 
 
         const { version, author, display_name } = await getManifest(extensionPath);
-
+        recordAuditEvent('extension.install', { target: url, details: { display_name, version } });
 
         return response.send({ version, author, display_name, extensionPath });
     } catch (error) {
         console.log('Importing custom content failed', error);
+        recordAuditEvent('extension.install', { target: request.body.url, success: false, details: { reason: error.message } });
         return response.status(500).send(`Server Error: ${error.message}`);
     }
 });
@@ -225,6 +228,9 @@ router.get('/discover', jsonParser, function (request, response) {
         .filter(f => fs.statSync(path.join(PUBLIC_DIRECTORIES.extensions, f)).isDirectory())
         .filter(f => f !== 'third-party');
 
+    // add the companion extensions of the server plugins enabled for the user
+    extensions.push(...getPluginClientExtensions(request.user.directories));
+
     // get all folders in the third-party folder, if it exists
 
     if (!fs.existsSync(path.join(request.user.directories.extensions))) {
@@ -32,7 +32,7 @@ router.post('/caption-image', jsonParser, async (request, response) => {
         }
 
         if (request.body.api === 'custom') {
-            key = readSecret(request.user.directories, SECRET_KEYS.CUSTOM);
+            key = readSecret(request.user.directories, SECRET_KEYS.CUSTOM, request.body.custom_key_label);
             mergeObjectWithYaml(bodyParams, request.body.custom_include_body);
             mergeObjectWithYaml(headers, request.body.custom_include_headers);
         }
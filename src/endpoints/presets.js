@@ -14,7 +14,7 @@ import { jsonParser } from '../express-common.js';
  * @param {import('../users.js').UserDirectoryList} directories User directories
  * @returns {object} Object containing the folder and extension for the preset settings
  */
-function getPresetSettingsByAPI(apiId, directories) {
+export function getPresetSettingsByAPI(apiId, directories) {
     switch (apiId) {
         case 'kobold':
         case 'koboldhorde':
@@ -2,11 +2,28 @@ import fs from 'node:fs';
 import path from 'node:path';
 
 import express from 'express';
-import { sync as writeFileAtomicSync } from 'write-file-atomic';
-import { getConfigValue } from '../util.js';
-import { jsonParser } from '../express-common.js';
-
-export const SECRETS_FILE = 'secrets.json';
+import { RateLimiterMemory, RateLimiterRes } from 'rate-limiter-flexible';
+import { getConfigValue, uuidv4 } from '../util.js';
+import { jsonParser, getIpFromRequest } from '../express-common.js';
+import { KeyRotation, clearKeyStatus, getKeyStatus } from '../secrets-rotation.js';
+import {
+    SECRETS_FILE,
+    auditSecretRead,
+    getSecretsStatus,
+    loadSecrets,
+    lockSecrets,
+    readSecretsAudit,
+    removeSecretsPassphrase,
+    setSecretsPassphrase,
+    storeSecret,
+    unlockSecrets,
+    verifySecretsPassphrase,
+} from '../secrets-vault.js';
+import { recordAuditEvent } from '../audit-log.js';
+import { listUserSessions } from '../user-sessions.js';
+import { getPasswordHash } from '../users.js';
+
+export { SECRETS_FILE };
 export const SECRET_KEYS = {
     HORDE: 'api_key_horde',
     MANCER: 'api_key_mancer',
@@ -50,6 +67,7 @@ export const SECRET_KEYS = {
     TAVILY: 'api_key_tavily',
     NANOGPT: 'api_key_nanogpt',
     BFL: 'api_key_bfl',
+    RERANK: 'api_key_rerank',
 };
 
 // These are the keys that are safe to expose, even if allowKeysExposure is false
@@ -60,31 +78,173 @@ const EXPORTABLE_KEYS = [
     SECRET_KEYS.DEEPLX_URL,
 ];
 
+/**
+ * @typedef {Object} SecretEntry
+ * @property {string} id Unique ID of the key
+ * @property {string} label User-facing label of the key
+ * @property {string} value Secret value
+ * @property {boolean} [active] Whether the key is selected for use
+ */
+
+/**
+ * Converts a stored secret value to a list of keys.
+ * A secret is stored as a plain string until a second labelled key is added.
+ * @param {string|SecretEntry[]|undefined} value Stored value
+ * @returns {SecretEntry[]} List of keys
+ */
+function toSecretEntries(value) {
+    if (Array.isArray(value)) {
+        return value.filter(x => x && typeof x.value === 'string');
+    }
+
+    if (typeof value === 'string' && value) {
+        return [{ id: 'default', label: 'Default', value, active: true }];
+    }
+
+    return [];
+}
+
+/**
+ * Gets the selected key from a list of keys.
+ * @param {SecretEntry[]} entries List of keys
+ * @returns {SecretEntry|undefined} Selected key
+ */
+function getActiveEntry(entries) {
+    return entries.find(x => x.active) ?? entries[0];
+}
+
 /**
  * Writes a secret to the secrets file
  * @param {import('../users.js').UserDirectoryList} directories User directories
  * @param {string} key Secret key
  * @param {string} value Secret value
+ * @param {string} [label] Label of the key. Adds a new key (or updates the one with the same label) and selects it.
+ * Without a label, the selected key is replaced.
+ * @throws {Error} If the secrets vault is locked
  */
-export function writeSecret(directories, key, value) {
-    const filePath = path.join(directories.root, SECRETS_FILE);
+export function writeSecret(directories, key, value, label) {
+    const current = loadSecrets(directories).secrets[key];
 
-    if (!fs.existsSync(filePath)) {
-        const emptyFile = JSON.stringify({});
-        writeFileAtomicSync(filePath, emptyFile, 'utf-8');
+    if (!label && !Array.isArray(current)) {
+        storeSecret(directories, key, value);
+        return;
+    }
+
+    const entries = toSecretEntries(current);
+    let target = label ? entries.find(x => x.label === label) : getActiveEntry(entries);
+
+    if (!target) {
+        target = { id: uuidv4(), label: label || 'Default', value: '' };
+        entries.push(target);
+    }
+
+    target.value = value;
+    const remaining = entries.filter(x => x.value);
+
+    if (target.value) {
+        remaining.forEach(x => x.active = x === target);
+    } else if (remaining.length && !remaining.some(x => x.active)) {
+        remaining[0].active = true;
+    }
+
+    for (const entry of entries.filter(x => !x.value)) {
+        clearKeyStatus(directories, key, entry.id);
+    }
+
+    storeSecret(directories, key, remaining.length ? remaining : '');
+}
+
+/**
+ * Selects one of the stored keys of a secret.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @param {string} id Key ID
+ * @returns {boolean} Whether the key was found
+ * @throws {Error} If the secrets vault is locked
+ */
+export function selectSecret(directories, key, id) {
+    const entries = toSecretEntries(loadSecrets(directories).secrets[key]);
+
+    if (!entries.some(x => x.id === id)) {
+        return false;
+    }
+
+    entries.forEach(x => x.active = x.id === id);
+    storeSecret(directories, key, entries);
+    return true;
+}
+
+/**
+ * Deletes one of the stored keys of a secret.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @param {string} id Key ID
+ * @returns {boolean} Whether the key was found
+ * @throws {Error} If the secrets vault is locked
+ */
+export function removeSecretEntry(directories, key, id) {
+    const entries = toSecretEntries(loadSecrets(directories).secrets[key]);
+    const remaining = entries.filter(x => x.id !== id);
+
+    if (remaining.length === entries.length) {
+        return false;
+    }
+
+    if (remaining.length && !remaining.some(x => x.active)) {
+        remaining[0].active = true;
+    }
+
+    clearKeyStatus(directories, key, id);
+    storeSecret(directories, key, remaining.length ? remaining : '');
+    return true;
+}
+
+/**
+ * Reads all stored keys of a secret
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @returns {SecretEntry[]} List of keys
+ */
+export function readSecretEntries(directories, key) {
+    const entries = toSecretEntries(loadSecrets(directories).secrets[key]);
+
+    if (entries.length) {
+        auditSecretRead(directories, key);
+    }
+
+    return entries;
+}
+
+/**
+ * Creates a key rotation for a request. The selected key is tried first, then the others in order.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @param {string} [label] Label of the key to use. If set, no other keys are tried and there is no key if the label is not found.
+ * @returns {KeyRotation} Key rotation
+ */
+export function getKeyRotation(directories, key, label) {
+    const entries = readSecretEntries(directories, key);
+
+    if (label) {
+        const labeled = entries.filter(x => x.label === label).slice(0, 1);
+
+        if (!labeled.length) {
+            console.warn(`No key labeled "${label}" found for ${key}`);
+        }
+
+        return new KeyRotation(directories, key, labeled);
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf-8');
-    const secrets = JSON.parse(fileContents);
-    secrets[key] = value;
-    writeFileAtomicSync(filePath, JSON.stringify(secrets, null, 4), 'utf-8');
+    const activeIndex = Math.max(0, entries.findIndex(x => x.active));
+    const ordered = [...entries.slice(activeIndex), ...entries.slice(0, activeIndex)];
+    return new KeyRotation(directories, key, ordered);
 }
 
 /**
  * Deletes a secret from the secrets file
  * @param {import('../users.js').UserDirectoryList} directories User directories
  * @param {string} key Secret key
- * @returns
+ * @throws {Error} If the secrets vault is locked
  */
 export function deleteSecret(directories, key) {
     const filePath = path.join(directories.root, SECRETS_FILE);
@@ -93,27 +253,48 @@ export function deleteSecret(directories, key) {
         return;
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf-8');
-    const secrets = JSON.parse(fileContents);
-    delete secrets[key];
-    writeFileAtomicSync(filePath, JSON.stringify(secrets, null, 4), 'utf-8');
+    storeSecret(directories, key, undefined);
 }
 
 /**
  * Reads a secret from the secrets file
  * @param {import('../users.js').UserDirectoryList} directories User directories
  * @param {string} key Secret key
+ * @param {string} [label] Label of the key to read instead of the selected one. Empty string if there is no key with this label
  * @returns {string} Secret value
  */
-export function readSecret(directories, key) {
+export function readSecret(directories, key, label) {
     const filePath = path.join(directories.root, SECRETS_FILE);
 
     if (!fs.existsSync(filePath)) {
         return '';
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf-8');
-    const secrets = JSON.parse(fileContents);
+    const { secrets, keys, locked } = loadSecrets(directories);
+
+    if (locked && keys.includes(key) && !(key in secrets)) {
+        console.warn(`Secret ${key} can't be read because the secrets vault is locked`);
+        return '';
+    }
+
+    if (secrets[key]) {
+        auditSecretRead(directories, key);
+    }
+
+    if (label) {
+        const entry = toSecretEntries(secrets[key]).find(x => x.label === label);
+
+        if (!entry) {
+            console.warn(`No key labeled "${label}" found for ${key}`);
+        }
+
+        return entry?.value ?? '';
+    }
+
+    if (Array.isArray(secrets[key])) {
+        return getActiveEntry(toSecretEntries(secrets[key]))?.value ?? '';
+    }
+
     return secrets[key];
 }
 
@@ -129,12 +310,12 @@ export function readSecretState(directories) {
         return {};
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf8');
-    const secrets = JSON.parse(fileContents);
+    const { secrets, keys, locked } = loadSecrets(directories);
     const state = {};
 
     for (const key of Object.values(SECRET_KEYS)) {
-        state[key] = !!secrets[key]; // convert to boolean
+        // Locked secrets are reported as present, their values can't be checked
+        state[key] = locked ? keys.includes(key) : !!secrets[key]; // convert to boolean
     }
 
     return state;
@@ -144,6 +325,7 @@ export function readSecretState(directories) {
  * Reads all secrets from the secrets file
  * @param {import('../users.js').UserDirectoryList} directories User directories
  * @returns {Record<string, string> | undefined} Secrets
+ * @throws {Error} If the secrets vault is locked
  */
 export function getAllSecrets(directories) {
     const filePath = path.join(directories.root, SECRETS_FILE);
@@ -153,19 +335,49 @@ export function getAllSecrets(directories) {
         return undefined;
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf8');
-    const secrets = JSON.parse(fileContents);
-    return secrets;
+    const { secrets, locked } = loadSecrets(directories);
+
+    if (locked) {
+        throw new Error('Secrets vault is locked');
+    }
+
+    const result = {};
+
+    for (const [key, value] of Object.entries(secrets)) {
+        auditSecretRead(directories, key);
+
+        if (!Array.isArray(value)) {
+            result[key] = value;
+            continue;
+        }
+
+        for (const entry of toSecretEntries(value)) {
+            result[`${key} [${entry.label}]`] = entry.value;
+        }
+    }
+
+    return result;
 }
 
 export const router = express.Router();
 
+const unlockLimiter = new RateLimiterMemory({
+    points: 5,
+    duration: 60,
+});
+
 router.post('/write', jsonParser, (request, response) => {
     const key = request.body.key;
     const value = request.body.value;
+    const label = request.body.label;
 
-    writeSecret(request.user.directories, key, value);
-    return response.send('ok');
+    try {
+        writeSecret(request.user.directories, key, value, label);
+        return response.send('ok');
+    } catch (error) {
+        console.error('Failed to write secret:', error.message);
+        return response.status(423).send({ error: error.message });
+    }
 });
 
 router.post('/read', jsonParser, (request, response) => {
@@ -183,9 +395,14 @@ router.post('/view', jsonParser, async (request, response) => {
 
     if (!allowKeysExposure) {
         console.error('secrets.json could not be viewed unless the value of allowKeysExposure in config.yaml is set to true');
+        recordAuditEvent('secrets.view', { success: false, details: { reason: 'Key exposure is disabled' } });
         return response.sendStatus(403);
     }
 
+    if (getSecretsStatus(request.user.directories).locked) {
+        return response.status(423).send({ error: 'Secrets vault is locked' });
+    }
+
     try {
         const secrets = getAllSecrets(request.user.directories);
 
@@ -193,6 +410,7 @@ router.post('/view', jsonParser, async (request, response) => {
             return response.sendStatus(404);
         }
 
+        recordAuditEvent('secrets.view', { details: { keys: Object.keys(secrets) } });
         return response.send(secrets);
     } catch (error) {
         console.error(error);
@@ -209,6 +427,10 @@ router.post('/find', jsonParser, (request, response) => {
         return response.sendStatus(403);
     }
 
+    if (getSecretsStatus(request.user.directories).locked && !EXPORTABLE_KEYS.includes(key)) {
+        return response.status(423).send({ error: 'Secrets vault is locked' });
+    }
+
     try {
         const secret = readSecret(request.user.directories, key);
 
@@ -222,3 +444,154 @@ router.post('/find', jsonParser, (request, response) => {
         return response.sendStatus(500);
     }
 });
+
+router.post('/status', jsonParser, (request, response) => {
+    try {
+        const status = getSecretsStatus(request.user.directories);
+        return response.send(status);
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/unlock', jsonParser, async (request, response) => {
+    try {
+        const key = `${request.user.profile.handle}:${getIpFromRequest(request)}`;
+        await unlockLimiter.consume(key);
+
+        if (!await unlockSecrets(request.user.directories, request.body.passphrase, request.session?.sessionId)) {
+            console.log('Secrets unlock failed: Incorrect passphrase for', request.user.profile.handle);
+            return response.status(403).send({ error: 'Incorrect passphrase' });
+        }
+
+        await unlockLimiter.delete(key);
+        return response.sendStatus(204);
+    } catch (error) {
+        if (error instanceof RateLimiterRes) {
+            console.log('Secrets unlock failed: Rate limited for', request.user.profile.handle);
+            return response.status(429).send({ error: 'Too many attempts. Try again later.' });
+        }
+
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/lock', jsonParser, async (request, response) => {
+    try {
+        // Other devices that unlocked the vault keep it unlocked
+        const sessions = await listUserSessions(request.user.profile.handle);
+        lockSecrets(request.user.directories, request.session?.sessionId, sessions.map(x => x.id));
+        return response.send(getSecretsStatus(request.user.directories));
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/passphrase', jsonParser, async (request, response) => {
+    try {
+        const status = getSecretsStatus(request.user.directories);
+
+        if (status.locked) {
+            return response.status(423).send({ error: 'Secrets vault is locked' });
+        }
+
+        // A stolen session must not be enough to replace or strip the protection
+        const user = request.user.profile;
+        const limiterKey = `${user.handle}:${getIpFromRequest(request)}`;
+        await unlockLimiter.consume(limiterKey);
+
+        if (status.passphrase) {
+            if (!await verifySecretsPassphrase(request.user.directories, request.body.currentPassphrase)) {
+                console.log('Secrets passphrase change failed: Incorrect passphrase for', user.handle);
+                return response.status(403).send({ error: 'Incorrect passphrase' });
+            }
+        } else if (user.password && user.password !== getPasswordHash(request.body.currentPassphrase, user.salt)) {
+            console.log('Secrets passphrase change failed: Incorrect password for', user.handle);
+            return response.status(403).send({ error: 'Incorrect password' });
+        }
+
+        await unlockLimiter.delete(limiterKey);
+
+        if (request.body.passphrase) {
+            await setSecretsPassphrase(request.user.directories, String(request.body.passphrase), request.session?.sessionId);
+        } else {
+            removeSecretsPassphrase(request.user.directories);
+        }
+
+        return response.send(getSecretsStatus(request.user.directories));
+    } catch (error) {
+        if (error instanceof RateLimiterRes) {
+            console.log('Secrets passphrase change failed: Rate limited for', request.user.profile.handle);
+            return response.status(429).send({ error: 'Too many attempts. Try again later.' });
+        }
+
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/audit', jsonParser, async (request, response) => {
+    try {
+        const limit = Math.min(Math.max(Number(request.body.limit) || 100, 1), 1000);
+        const key = String(request.body.key ?? '');
+        const entries = await readSecretsAudit(request.user.directories, { limit, key });
+        return response.send(entries);
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/list', jsonParser, (request, response) => {
+    try {
+        const key = String(request.body.key);
+        const { secrets, locked } = loadSecrets(request.user.directories);
+
+        if (locked) {
+            return response.status(423).send({ error: 'Secrets vault is locked' });
+        }
+
+        const entries = toSecretEntries(secrets[key]);
+        const activeEntry = getActiveEntry(entries);
+        const result = entries.map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            active: entry === activeEntry,
+            ...getKeyStatus(request.user.directories, key, entry.id),
+        }));
+
+        return response.send(result);
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/select', jsonParser, (request, response) => {
+    try {
+        if (!selectSecret(request.user.directories, String(request.body.key), String(request.body.id))) {
+            return response.status(404).send({ error: 'Key not found' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Failed to select secret:', error.message);
+        return response.status(423).send({ error: error.message });
+    }
+});
+
+router.post('/remove', jsonParser, (request, response) => {
+    try {
+        if (!removeSecretEntry(request.user.directories, String(request.body.key), String(request.body.id))) {
+            return response.status(404).send({ error: 'Key not found' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Failed to remove secret:', error.message);
+        return response.status(423).send({ error: error.message });
+    }
+});
@@ -0,0 +1,162 @@
+import express from 'express';
+
+import { jsonParser } from '../express-common.js';
+import { requireAdminMiddleware } from '../users.js';
+import {
+    getLoadedPlugin,
+    getPlugins,
+    getUserPluginSettings,
+    isPluginEnabledForUser,
+    isServerPluginsEnabled,
+    reloadPlugin,
+    saveUserPluginState,
+    scanPlugins,
+    setPluginEnabled,
+} from '../plugin-loader.js';
+
+export const router = express.Router();
+
+/**
+ * Gets the view model of a plugin.
+ * @param {import('../plugin-loader.js').PluginRecord} record Plugin record
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {object} Plugin view model
+ */
+function getPluginViewModel(record, directories) {
+    const info = record.info;
+    const isLoaded = record.status === 'loaded';
+
+    return {
+        key: record.key,
+        id: info?.id || null,
+        name: info?.name || record.key,
+        description: info?.description || '',
+        version: info?.version || null,
+        dependencies: info?.dependencies ?? [],
+        requiredConfig: info?.requiredConfig ?? [],
+        status: record.status,
+        error: record.error ?? null,
+        loaded: record.loaded ?? null,
+        client: !!info?.client,
+        settings: isLoaded && Array.isArray(info.settings) ? info.settings : [],
+        userEnabled: isLoaded ? isPluginEnabledForUser(directories, info.id) : false,
+        userSettings: isLoaded ? getUserPluginSettings(directories, info.id) : {},
+    };
+}
+
+/**
+ * Lists the plugins. Admins see all installed plugins, other users only the loaded ones.
+ */
+router.post('/list', jsonParser, async (request, response) => {
+    try {
+        const isAdmin = !!request.user.profile.admin;
+        const plugins = getPlugins()
+            .filter(record => isAdmin || record.status === 'loaded')
+            .map(record => getPluginViewModel(record, request.user.directories));
+
+        return response.json({ enabled: isServerPluginsEnabled(), plugins });
+    } catch (error) {
+        console.error('Plugin list failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/enable', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!request.body.key) {
+            console.log('Enable plugin failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const record = await setPluginEnabled(request.body.key, true);
+
+        if (!record) {
+            console.log('Enable plugin failed: Plugin not found');
+            return response.status(404).json({ error: 'Plugin not found' });
+        }
+
+        return response.json(getPluginViewModel(record, request.user.directories));
+    } catch (error) {
+        console.error('Enable plugin failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/disable', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!request.body.key) {
+            console.log('Disable plugin failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const record = await setPluginEnabled(request.body.key, false);
+
+        if (!record) {
+            console.log('Disable plugin failed: Plugin not found');
+            return response.status(404).json({ error: 'Plugin not found' });
+        }
+
+        return response.json(getPluginViewModel(record, request.user.directories));
+    } catch (error) {
+        console.error('Disable plugin failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Reloads a plugin, or looks for new and removed plugins if no key is given.
+ */
+router.post('/reload', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!isServerPluginsEnabled()) {
+            console.log('Reload plugin failed: Server plugins are disabled');
+            return response.status(400).json({ error: 'Server plugins are disabled in the config' });
+        }
+
+        if (!request.body.key) {
+            await scanPlugins();
+            return response.sendStatus(204);
+        }
+
+        const record = await reloadPlugin(request.body.key);
+
+        if (!record) {
+            console.log('Reload plugin failed: Plugin not found');
+            return response.status(404).json({ error: 'Plugin not found' });
+        }
+
+        return response.json(getPluginViewModel(record, request.user.directories));
+    } catch (error) {
+        console.error('Reload plugin failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Saves the user's own state and settings of a plugin.
+ */
+router.post('/user/save', jsonParser, async (request, response) => {
+    try {
+        if (!request.body.id) {
+            console.log('Save plugin settings failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const record = getLoadedPlugin(request.body.id);
+
+        if (!record) {
+            console.log('Save plugin settings failed: Plugin not found');
+            return response.status(404).json({ error: 'Plugin not found' });
+        }
+
+        saveUserPluginState(request.user.directories, record.info.id, {
+            enabled: request.body.enabled,
+            settings: request.body.settings,
+        });
+
+        return response.json(getPluginViewModel(record, request.user.directories));
+    } catch (error) {
+        console.error('Save plugin settings failed:', error);
+        return response.sendStatus(500);
+    }
+});
@@ -0,0 +1,538 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+import express from 'express';
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { jsonParser } from '../express-common.js';
+import { SHARED_LIBRARY_DIRECTORY } from '../constants.js';
+import { getConfigValue } from '../util.js';
+import { requireAdminMiddleware } from '../users.js';
+import { getPresetSettingsByAPI } from './presets.js';
+
+const LIBRARY_INDEX_FILE = 'library.json';
+const LIBRARY_FILES_DIRECTORY = 'files';
+const USER_SUBSCRIPTIONS_FILE = 'library-subscriptions.json';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Types of items that can be published, with the user directories they are stored in.
+ */
+const LIBRARY_ITEM_TYPES = {
+    character: { label: 'Character', extension: '.png', getFolder: (directories) => directories.characters },
+    world: { label: 'World Info', extension: '.json', getFolder: (directories) => directories.worlds },
+    preset: { label: 'Preset', extension: '.json', getFolder: (directories, apiId) => getPresetSettingsByAPI(apiId, directories).folder },
+    theme: { label: 'Theme', extension: '.json', getFolder: (directories) => directories.themes },
+    quickreplies: { label: 'Quick Reply Set', extension: '.json', getFolder: (directories) => directories.quickreplies },
+};
+
+/**
+ * @typedef {Object} LibraryItem
+ * @property {string} id - Item ID
+ * @property {string} type - Item type, one of the keys of LIBRARY_ITEM_TYPES
+ * @property {string} [apiId] - API of a preset
+ * @property {string} name - Name shown in the library
+ * @property {string} description - Description written by the publisher
+ * @property {string} sourceName - File name of the item in the publisher's data, without the extension
+ * @property {string} author - Handle of the publisher
+ * @property {number} version - Version number, increased on every update
+ * @property {number} created - The timestamp when the item was published
+ * @property {number} updated - The timestamp of the last update
+ * @property {number} size - Size of the item file in bytes
+ * @property {'published'|'pending'|'hidden'} status - Items are only listed for other users when published
+ */
+
+/**
+ * @typedef {Object} LibrarySubscription
+ * @property {number} version - Imported version of the item
+ * @property {string} fileName - File name of the imported copy, without the extension
+ * @property {boolean} subscribed - Whether the user is notified about updates
+ */
+
+/**
+ * Cached library index.
+ * @type {LibraryItem[]|null}
+ */
+let libraryIndex = null;
+
+/**
+ * Gets the shared library options from the config.
+ * @returns {{ enabled: boolean, requireApproval: boolean, maxItemSize: number }} Options
+ */
+function getLibraryOptions() {
+    return {
+        enabled: !!getConfigValue('sharedLibrary.enabled', true),
+        requireApproval: !!getConfigValue('sharedLibrary.requireApproval', false),
+        maxItemSize: Math.max(0, Number(getConfigValue('sharedLibrary.maxItemSizeMb', 20)) || 0) * 1024 * 1024,
+    };
+}
+
+/**
+ * Gets the directory of the shared library.
+ * @returns {string} Library directory
+ */
+function getLibraryDirectory() {
+    return path.join(globalThis.DATA_ROOT, SHARED_LIBRARY_DIRECTORY);
+}
+
+/**
+ * Gets the path of the file of a library item.
+ * @param {LibraryItem} item Library item
+ * @returns {string} File path
+ */
+function getItemFilePath(item) {
+    return path.join(getLibraryDirectory(), LIBRARY_FILES_DIRECTORY, `${item.id}${LIBRARY_ITEM_TYPES[item.type].extension}`);
+}
+
+/**
+ * Reads the library index.
+ * @returns {LibraryItem[]} Library items
+ */
+function getLibraryItems() {
+    if (!libraryIndex) {
+        const indexPath = path.join(getLibraryDirectory(), LIBRARY_INDEX_FILE);
+
+        try {
+            const data = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : [];
+            libraryIndex = Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.error('Could not read the shared library index:', error);
+            libraryIndex = [];
+        }
+    }
+
+    return libraryIndex;
+}
+
+/**
+ * Saves the library index.
+ */
+function saveLibraryItems() {
+    fs.mkdirSync(path.join(getLibraryDirectory(), LIBRARY_FILES_DIRECTORY), { recursive: true });
+    writeFileAtomicSync(path.join(getLibraryDirectory(), LIBRARY_INDEX_FILE), JSON.stringify(getLibraryItems(), null, 4), 'utf8');
+}
+
+/**
+ * Reads the library subscriptions of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {Record<string, LibrarySubscription>} Subscriptions by item ID
+ */
+function readSubscriptions(directories) {
+    const filePath = path.join(directories.root, USER_SUBSCRIPTIONS_FILE);
+
+    try {
+        const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+        return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+        console.error('Could not read the library subscriptions:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves the library subscriptions of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {Record<string, LibrarySubscription>} subscriptions Subscriptions by item ID
+ */
+function saveSubscriptions(directories, subscriptions) {
+    writeFileAtomicSync(path.join(directories.root, USER_SUBSCRIPTIONS_FILE), JSON.stringify(subscriptions, null, 4), 'utf8');
+}
+
+/**
+ * Gets the folder of an item type in the user data.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} type Item type
+ * @param {string} [apiId] API of a preset
+ * @returns {string|null} Folder, or null if the type is not valid
+ */
+function getItemFolder(directories, type, apiId) {
+    if (!Object.hasOwn(LIBRARY_ITEM_TYPES, type)) {
+        return null;
+    }
+
+    return LIBRARY_ITEM_TYPES[type].getFolder(directories, apiId) || null;
+}
+
+/**
+ * Checks if a user can see an item. Items that are not published are only visible to their publisher and admins.
+ * @param {LibraryItem} item Library item
+ * @param {import('../users.js').User} user User
+ * @returns {boolean} Whether the item is visible
+ */
+function isItemVisible(item, user) {
+    return item.status === 'published' || item.author === user.handle || !!user.admin;
+}
+
+/**
+ * Finds an item the user can see.
+ * @param {string} id Item ID
+ * @param {import('../users.js').User} user User
+ * @returns {LibraryItem|null} Library item
+ */
+function findVisibleItem(id, user) {
+    const item = getLibraryItems().find(x => x.id === id);
+    return item && isItemVisible(item, user) ? item : null;
+}
+
+/**
+ * Reads an item from the user data and checks that it can be published.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} type Item type
+ * @param {string} apiId API of a preset
+ * @param {string} sourceName File name without the extension
+ * @returns {Buffer} File contents
+ * @throws {Error} If the item is not found or not valid
+ */
+function readSourceFile(directories, type, apiId, sourceName) {
+    const folder = getItemFolder(directories, type, apiId);
+    const fileName = sanitize(`${sourceName}${LIBRARY_ITEM_TYPES[type]?.extension}`);
+    const filePath = folder ? path.join(folder, fileName) : null;
+
+    if (!filePath || !sourceName || !fs.existsSync(filePath)) {
+        throw new Error('Item not found in your data');
+    }
+
+    const { maxItemSize } = getLibraryOptions();
+    const data = fs.readFileSync(filePath);
+
+    if (maxItemSize && data.length > maxItemSize) {
+        throw new Error('Item is too large for the shared library');
+    }
+
+    if (type === 'character' && !data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        throw new Error('Character card is not a PNG file');
+    }
+
+    if (type !== 'character') {
+        JSON.parse(data.toString('utf8'));
+    }
+
+    return data;
+}
+
+/**
+ * Gets the view model of a library item for a user.
+ * @param {LibraryItem} item Library item
+ * @param {Record<string, LibrarySubscription>} subscriptions Subscriptions of the user
+ * @param {import('../users.js').User} user User
+ * @returns {object} Item view model
+ */
+function getItemViewModel(item, subscriptions, user) {
+    const subscription = subscriptions[item.id];
+
+    return {
+        ...item,
+        typeLabel: LIBRARY_ITEM_TYPES[item.type]?.label ?? item.type,
+        own: item.author === user.handle,
+        imported: subscription ? { ...subscription, hasUpdate: subscription.version < item.version } : null,
+    };
+}
+
+export const router = express.Router();
+
+router.use((_request, response, next) => {
+    if (!getLibraryOptions().enabled) {
+        return response.status(404).json({ error: 'Shared library is disabled' });
+    }
+
+    return next();
+});
+
+router.post('/list', jsonParser, async (request, response) => {
+    try {
+        const user = request.user.profile;
+        const subscriptions = readSubscriptions(request.user.directories);
+        const items = getLibraryItems()
+            .filter(item => isItemVisible(item, user))
+            .filter(item => !request.body.type || item.type === request.body.type)
+            .sort((a, b) => b.updated - a.updated)
+            .map(item => getItemViewModel(item, subscriptions, user));
+
+        const types = Object.fromEntries(Object.entries(LIBRARY_ITEM_TYPES).map(([key, type]) => [key, type.label]));
+        return response.json({ types, items, requireApproval: getLibraryOptions().requireApproval });
+    } catch (error) {
+        console.error('Library list failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Lists the items of a type in the user data that can be published.
+ */
+router.post('/sources', jsonParser, async (request, response) => {
+    try {
+        const type = String(request.body.type ?? '');
+        const folder = getItemFolder(request.user.directories, type, request.body.apiId);
+
+        if (!folder) {
+            console.log('Library sources failed: Invalid type');
+            return response.status(400).json({ error: 'Invalid item type' });
+        }
+
+        const extension = LIBRARY_ITEM_TYPES[type].extension;
+        const names = fs.existsSync(folder)
+            ? fs.readdirSync(folder).filter(x => path.extname(x) === extension).map(x => path.parse(x).name).sort((a, b) => a.localeCompare(b))
+            : [];
+
+        return response.json(names);
+    } catch (error) {
+        console.error('Library sources failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/publish', jsonParser, async (request, response) => {
+    try {
+        const type = String(request.body.type ?? '');
+        const sourceName = String(request.body.sourceName ?? '');
+        const apiId = type === 'preset' ? String(request.body.apiId ?? '') : undefined;
+
+        if (!Object.hasOwn(LIBRARY_ITEM_TYPES, type) || !sourceName) {
+            console.log('Publish failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        let data;
+        try {
+            data = readSourceFile(request.user.directories, type, apiId, sourceName);
+        } catch (error) {
+            console.log('Publish failed:', error.message);
+            return response.status(400).json({ error: error.message });
+        }
+
+        const user = request.user.profile;
+        const now = Date.now();
+        /** @type {LibraryItem} */
+        const item = {
+            id: crypto.randomUUID(),
+            type: type,
+            apiId: apiId,
+            name: String(request.body.name || sourceName).trim().slice(0, 200),
+            description: String(request.body.description ?? '').trim().slice(0, 5000),
+            sourceName: sourceName,
+            author: user.handle,
+            version: 1,
+            created: now,
+            updated: now,
+            size: data.length,
+            status: getLibraryOptions().requireApproval && !user.admin ? 'pending' : 'published',
+        };
+
+        getLibraryItems().push(item);
+        saveLibraryItems();
+        writeFileAtomicSync(getItemFilePath(item), data);
+        console.log('Library item published:', item.name, `(${item.type})`, 'by', user.handle);
+
+        return response.json(getItemViewModel(item, {}, user));
+    } catch (error) {
+        console.error('Publish failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Publishes a new version of an item from the publisher's current data. Subscribers are notified on their next visit.
+ * If the library requires approval, the new version has to be approved again before other users can see it.
+ */
+router.post('/update', jsonParser, async (request, response) => {
+    try {
+        const user = request.user.profile;
+        const item = getLibraryItems().find(x => x.id === request.body.id);
+
+        if (!item || item.author !== user.handle) {
+            console.log('Library update failed: Item not found');
+            return response.status(404).json({ error: 'Item not found' });
+        }
+
+        let data;
+        try {
+            data = readSourceFile(request.user.directories, item.type, item.apiId, item.sourceName);
+        } catch (error) {
+            console.log('Library update failed:', error.message);
+            return response.status(400).json({ error: error.message });
+        }
+
+        if (request.body.name) {
+            item.name = String(request.body.name).trim().slice(0, 200);
+        }
+
+        if (typeof request.body.description === 'string') {
+            item.description = request.body.description.trim().slice(0, 5000);
+        }
+
+        writeFileAtomicSync(getItemFilePath(item), data);
+        item.version += 1;
+        item.updated = Date.now();
+        item.size = data.length;
+
+        if (getLibraryOptions().requireApproval && !user.admin) {
+            item.status = 'pending';
+        }
+
+        saveLibraryItems();
+        console.log('Library item updated:', item.name, 'to version', item.version, 'by', user.handle);
+
+        return response.json(getItemViewModel(item, readSubscriptions(request.user.directories), user));
+    } catch (error) {
+        console.error('Library update failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Removes an item from the library. Copies imported by other users are kept.
+ */
+router.post('/unpublish', jsonParser, async (request, response) => {
+    try {
+        const user = request.user.profile;
+        const item = getLibraryItems().find(x => x.id === request.body.id);
+
+        if (!item || (item.author !== user.handle && !user.admin)) {
+            console.log('Unpublish failed: Item not found');
+            return response.status(404).json({ error: 'Item not found' });
+        }
+
+        libraryIndex = getLibraryItems().filter(x => x.id !== item.id);
+        saveLibraryItems();
+        fs.rmSync(getItemFilePath(item), { force: true });
+        console.log('Library item removed:', item.name, 'by', user.handle);
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Unpublish failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Copies an item to the user data. Subscribed items are imported to the same file again when updated.
+ */
+router.post('/import', jsonParser, async (request, response) => {
+    try {
+        const user = request.user.profile;
+        const item = findVisibleItem(request.body.id, user);
+
+        if (!item) {
+            console.log('Library import failed: Item not found');
+            return response.status(404).json({ error: 'Item not found' });
+        }
+
+        const folder = getItemFolder(request.user.directories, item.type, item.apiId);
+
+        if (!folder) {
+            console.log('Library import failed: Invalid item type');
+            return response.status(400).json({ error: 'Invalid item type' });
+        }
+
+        const extension = LIBRARY_ITEM_TYPES[item.type].extension;
+        const subscriptions = readSubscriptions(request.user.directories);
+        let fileName = subscriptions[item.id]?.fileName;
+
+        // Don't overwrite the user's own items with the same name
+        if (!fileName) {
+            const baseName = sanitize(item.sourceName) || item.id;
+            fileName = baseName;
+
+            for (let i = 2; fs.existsSync(path.join(folder, `${fileName}${extension}`)); i++) {
+                fileName = `${baseName} (${i})`;
+            }
+        }
+
+        fs.mkdirSync(folder, { recursive: true });
+        fs.copyFileSync(getItemFilePath(item), path.join(folder, `${fileName}${extension}`));
+
+        subscriptions[item.id] = {
+            version: item.version,
+            fileName: fileName,
+            subscribed: typeof request.body.subscribe === 'boolean' ? request.body.subscribe : (subscriptions[item.id]?.subscribed ?? true),
+        };
+        saveSubscriptions(request.user.directories, subscriptions);
+        console.log('Library item imported:', item.name, 'version', item.version, 'by', user.handle);
+
+        return response.json({ type: item.type, apiId: item.apiId, fileName });
+    } catch (error) {
+        console.error('Library import failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/subscribe', jsonParser, async (request, response) => {
+    try {
+        const subscriptions = readSubscriptions(request.user.directories);
+        const subscription = subscriptions[request.body.id];
+
+        if (!subscription) {
+            console.log('Library subscribe failed: Item was not imported');
+            return response.status(404).json({ error: 'Import the item first' });
+        }
+
+        subscription.subscribed = !!request.body.subscribed;
+        saveSubscriptions(request.user.directories, subscriptions);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Library subscribe failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Lists the subscribed items that have a newer version than the imported one.
+ */
+router.post('/updates', jsonParser, async (request, response) => {
+    try {
+        const user = request.user.profile;
+        const subscriptions = readSubscriptions(request.user.directories);
+        const updates = getLibraryItems()
+            .filter(item => subscriptions[item.id]?.subscribed && subscriptions[item.id].version < item.version && isItemVisible(item, user))
+            .map(item => getItemViewModel(item, subscriptions, user));
+
+        return response.json(updates);
+    } catch (error) {
+        console.error('Library updates failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Gets the file of an item, e.g. for the character card previews.
+ */
+router.get('/file/:id', async (request, response) => {
+    try {
+        const item = findVisibleItem(request.params.id, request.user.profile);
+
+        if (!item) {
+            return response.sendStatus(404);
+        }
+
+        return response.sendFile(getItemFilePath(item), { headers: { 'Cache-Control': 'no-cache' } });
+    } catch (error) {
+        console.error('Library file failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Approves or hides an item. Admins remove items with the unpublish endpoint.
+ */
+router.post('/moderate', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        const item = getLibraryItems().find(x => x.id === request.body.id);
+        const statuses = { approve: 'published', hide: 'hidden' };
+
+        if (!item || !Object.hasOwn(statuses, request.body.action)) {
+            console.log('Library moderation failed: Invalid item or action');
+            return response.status(400).json({ error: 'Invalid item or action' });
+        }
+
+        item.status = statuses[request.body.action];
+        saveLibraryItems();
+        console.log('Library item', item.name, 'by', item.author, 'set to', item.status, 'by', request.user.profile.handle);
+
+        return response.json(getItemViewModel(item, readSubscriptions(request.user.directories), request.user.profile));
+    } catch (error) {
+        console.error('Library moderation failed:', error);
+        return response.sendStatus(500);
+    }
+});
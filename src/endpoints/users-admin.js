@@ -1,4 +1,5 @@
-import { promises as fsPromises } from 'node:fs';
+import fs, { promises as fsPromises } from 'node:fs';
+import path from 'node:path';
 
 import storage from 'node-persist';
 import express from 'express';
@@ -17,6 +18,20 @@ import {
     ensurePublicDirectoriesExist,
 } from '../users.js';
 import { DEFAULT_USER } from '../constants.js';
+import {
+    createUserBackup,
+    deleteUserBackup,
+    getBackupOptions,
+    getUserBackupPath,
+    listUserBackups,
+    restoreUserBackup,
+    validateBackupArchive,
+} from '../user-backups.js';
+import { revokeUserSessions } from '../user-sessions.js';
+import { lockSecrets } from '../secrets-vault.js';
+import { revokeAllApiTokens } from '../api-tokens.js';
+import { deleteUsageHistory, getUsageReport, sanitizeQuotas } from '../user-quotas.js';
+import { exportAuditLog, getAuditQuery, queryAuditLog, recordAuditEvent } from '../audit-log.js';
 
 export const router = express.Router();
 
@@ -37,6 +52,7 @@ router.post('/get', requireAdminMiddleware, jsonParser, async (_request, respons
                         enabled: user.enabled,
                         created: user.created,
                         password: !!user.password,
+                        totp: !!user.totp?.enabled,
                     }),
                 );
             }));
@@ -72,6 +88,7 @@ router.post('/disable', requireAdminMiddleware, jsonParser, async (request, resp
 
         user.enabled = false;
         await storage.setItem(toKey(request.body.handle), user);
+        recordAuditEvent('user.disable', { target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User disable failed:', error);
@@ -96,6 +113,7 @@ router.post('/enable', requireAdminMiddleware, jsonParser, async (request, respo
 
         user.enabled = true;
         await storage.setItem(toKey(request.body.handle), user);
+        recordAuditEvent('user.enable', { target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User enable failed:', error);
@@ -120,6 +138,7 @@ router.post('/promote', requireAdminMiddleware, jsonParser, async (request, resp
 
         user.admin = true;
         await storage.setItem(toKey(request.body.handle), user);
+        recordAuditEvent('user.promote', { target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User promote failed:', error);
@@ -149,6 +168,7 @@ router.post('/demote', requireAdminMiddleware, jsonParser, async (request, respo
 
         user.admin = false;
         await storage.setItem(toKey(request.body.handle), user);
+        recordAuditEvent('user.demote', { target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User demote failed:', error);
@@ -196,6 +216,7 @@ router.post('/create', requireAdminMiddleware, jsonParser, async (request, respo
         await ensurePublicDirectoriesExist();
         const directories = getUserDirectories(newUser.handle);
         await checkForNewContent([directories]);
+        recordAuditEvent('user.create', { target: newUser.handle, details: { admin: newUser.admin } });
         return response.json({ handle: newUser.handle });
     } catch (error) {
         console.error('User create failed:', error);
@@ -221,6 +242,10 @@ router.post('/delete', requireAdminMiddleware, jsonParser, async (request, respo
         }
 
         await storage.removeItem(toKey(request.body.handle));
+        await revokeUserSessions(request.body.handle);
+        lockSecrets(getUserDirectories(request.body.handle), null, []);
+        await revokeAllApiTokens(request.body.handle);
+        await deleteUsageHistory(request.body.handle);
 
         if (request.body.purge) {
             const directories = getUserDirectories(request.body.handle);
@@ -228,6 +253,7 @@ router.post('/delete', requireAdminMiddleware, jsonParser, async (request, respo
             await fsPromises.rm(directories.root, { recursive: true, force: true });
         }
 
+        recordAuditEvent('user.delete', { target: request.body.handle, details: { purge: !!request.body.purge } });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User delete failed:', error);
@@ -235,6 +261,101 @@ router.post('/delete', requireAdminMiddleware, jsonParser, async (request, respo
     }
 });
 
+/**
+ * Turns off two-factor authentication for a user who lost access to the authenticator app and the recovery codes.
+ * All sessions of the user are logged out.
+ */
+router.post('/2fa/reset', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!request.body.handle) {
+            console.log('Reset two-factor failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.body.handle));
+
+        if (!user) {
+            console.log('Reset two-factor failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        delete user.totp;
+        await storage.setItem(toKey(request.body.handle), user);
+        await revokeUserSessions(request.body.handle);
+        lockSecrets(getUserDirectories(request.body.handle), null, []);
+        console.log('Two-factor authentication reset for', user.handle, 'by', request.user.profile.handle);
+        recordAuditEvent('user.2fa.reset', { target: user.handle });
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Reset two-factor failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Gets the usage report of a user, or of all users if no handle is given.
+ */
+router.post('/usage/get', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        const days = Math.min(Math.max(Number(request.body.days) || 30, 1), 365);
+
+        if (request.body.handle) {
+            /** @type {import('../users.js').User} */
+            const user = await storage.getItem(toKey(request.body.handle));
+
+            if (!user) {
+                console.log('Usage report failed: User not found');
+                return response.status(404).json({ error: 'User not found' });
+            }
+
+            return response.json(await getUsageReport(user, days));
+        }
+
+        /** @type {import('../users.js').User[]} */
+        const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+        const reports = [];
+
+        for (const user of users) {
+            reports.push(await getUsageReport(user, days));
+        }
+
+        return response.json(reports);
+    } catch (error) {
+        console.error('Usage report failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Sets the quotas of a user. Missing values fall back to the defaults from the config.
+ */
+router.post('/quotas/set', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!request.body.handle) {
+            console.log('Set quotas failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.body.handle));
+
+        if (!user) {
+            console.log('Set quotas failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        user.quotas = sanitizeQuotas(request.body.quotas);
+        await storage.setItem(toKey(user.handle), user);
+        console.log('Quotas of', user.handle, 'changed by', request.user.profile.handle);
+        recordAuditEvent('user.quotas', { target: user.handle, details: { quotas: user.quotas } });
+        return response.json(await getUsageReport(user));
+    } catch (error) {
+        console.error('Set quotas failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/slugify', requireAdminMiddleware, jsonParser, async (request, response) => {
     try {
         if (!request.body.text) {
@@ -250,3 +371,180 @@ router.post('/slugify', requireAdminMiddleware, jsonParser, async (request, resp
         return response.sendStatus(500);
     }
 });
+
+router.post('/backups/list', requireAdminMiddleware, jsonParser, async (_request, response) => {
+    try {
+        /** @type {import('../users.js').User[]} */
+        const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+        users.sort((x, y) => (x.created ?? 0) - (y.created ?? 0));
+
+        const { enabled, hour, daily, weekly } = getBackupOptions();
+        const backups = users.map(user => ({
+            handle: user.handle,
+            name: user.name,
+            backups: listUserBackups(user.handle),
+        }));
+
+        return response.json({ schedule: { enabled, hour, daily, weekly }, users: backups });
+    } catch (error) {
+        console.error('Backup list failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/backups/create', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!request.body.handle) {
+            console.log('Create backup failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const handles = await getAllUserHandles();
+
+        if (!handles.includes(request.body.handle)) {
+            console.log('Create backup failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        const backup = await createUserBackup(request.body.handle, 'manual');
+        return response.json(backup);
+    } catch (error) {
+        console.error('Create backup failed:', error);
+        return response.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/backups/download', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        const backupPath = getUserBackupPath(request.body.handle, request.body.file);
+
+        if (!request.body.handle || !backupPath || !fs.existsSync(backupPath)) {
+            console.log('Download backup failed: Backup not found');
+            return response.status(404).json({ error: 'Backup not found' });
+        }
+
+        return response.download(backupPath, request.body.file);
+    } catch (error) {
+        console.error('Download backup failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/backups/delete', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        if (!request.body.handle || !deleteUserBackup(request.body.handle, request.body.file)) {
+            console.log('Delete backup failed: Backup not found');
+            return response.status(404).json({ error: 'Backup not found' });
+        }
+
+        recordAuditEvent('backup.delete', { target: request.body.handle, details: { file: request.body.file } });
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Delete backup failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Restores a backup into a new or existing user. The archive is either a stored backup (source_handle + file)
+ * or an uploaded file. New users are created with the password from the request, it is required for them.
+ */
+router.post('/backups/restore', requireAdminMiddleware, jsonParser, async (request, response) => {
+    const uploadPath = request.file ? path.join(request.file.destination, request.file.filename) : null;
+
+    try {
+        const archivePath = uploadPath ?? getUserBackupPath(request.body.source_handle, request.body.file);
+        const handle = lodash.kebabCase(String(request.body.handle ?? '').toLowerCase().trim());
+
+        if (!handle) {
+            console.log('Restore backup failed: Invalid handle');
+            return response.status(400).json({ error: 'Invalid handle' });
+        }
+
+        if (!archivePath || !fs.existsSync(archivePath)) {
+            console.log('Restore backup failed: Backup not found');
+            return response.status(404).json({ error: 'Backup not found' });
+        }
+
+        if (handle === request.user.profile.handle) {
+            console.log('Restore backup failed: Cannot restore into yourself');
+            return response.status(400).json({ error: 'Cannot restore into the logged in user' });
+        }
+
+        try {
+            await validateBackupArchive(archivePath);
+        } catch (error) {
+            console.log('Restore backup failed:', error.message);
+            return response.status(400).json({ error: error.message });
+        }
+
+        const handles = await getAllUserHandles();
+        const isNewUser = !handles.includes(handle);
+
+        if (isNewUser && !request.body.password) {
+            console.log('Restore backup failed: Missing password for the new user');
+            return response.status(400).json({ error: 'Set a password for the new user' });
+        }
+
+        if (isNewUser) {
+            const salt = getPasswordSalt();
+            await storage.setItem(toKey(handle), {
+                handle: handle,
+                name: request.body.name || handle,
+                created: Date.now(),
+                password: getPasswordHash(String(request.body.password), salt),
+                salt: salt,
+                admin: false,
+                enabled: true,
+            });
+        }
+
+        try {
+            const replaced = await restoreUserBackup(archivePath, handle);
+            recordAuditEvent('backup.restore', { target: handle, details: { created: isNewUser, replaced, uploaded: !!uploadPath } });
+            return response.json({ handle, created: isNewUser, replaced });
+        } catch (error) {
+            if (isNewUser) {
+                await storage.removeItem(toKey(handle));
+            }
+            throw error;
+        }
+    } catch (error) {
+        console.error('Restore backup failed:', error);
+        return response.status(500).json({ error: error.message });
+    } finally {
+        if (uploadPath && fs.existsSync(uploadPath)) {
+            fs.unlinkSync(uploadPath);
+        }
+    }
+});
+
+/**
+ * Gets the most recent audit log entries matching the filters.
+ */
+router.post('/audit/query', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        const limit = Math.min(Math.max(1, Number(request.body.limit) || 200), 5000);
+        const entries = await queryAuditLog(getAuditQuery(request.body), limit);
+        return response.json(entries);
+    } catch (error) {
+        console.error('Audit log query failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Downloads all audit log entries matching the filters as JSON lines.
+ */
+router.post('/audit/export', requireAdminMiddleware, jsonParser, async (request, response) => {
+    try {
+        const date = new Date().toISOString().slice(0, 10);
+        response.setHeader('Content-Type', 'application/x-ndjson');
+        response.setHeader('Content-Disposition', `attachment; filename="audit-${date}.jsonl"`);
+        await exportAuditLog(getAuditQuery(request.body), response);
+        return response.end();
+    } catch (error) {
+        console.error('Audit log export failed:', error);
+        return response.headersSent ? response.end() : response.sendStatus(500);
+    }
+});
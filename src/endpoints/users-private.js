@@ -4,17 +4,38 @@ import crypto from 'node:crypto';
 
 import storage from 'node-persist';
 import express from 'express';
+import { RateLimiterMemory, RateLimiterRes } from 'rate-limiter-flexible';
 
 import { jsonParser } from '../express-common.js';
-import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey } from '../users.js';
+import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey, getUserDirectories } from '../users.js';
+import { changeSecretsPassphrase, lockSecrets } from '../secrets-vault.js';
 import { SETTINGS_FILE } from '../constants.js';
 import { checkForNewContent, CONTENT_TYPES } from './content-manager.js';
 import { color, Cache } from '../util.js';
+import { beginTotpSetup, completeTotpSetup, generateRecoveryCodes, isTwoFactorRequired, verifySecondFactor } from '../totp.js';
+import { endUserSession, listUserSessions, revokeUserSession, revokeUserSessions } from '../user-sessions.js';
+import { API_TOKEN_SCOPES, createApiToken, listApiTokens, revokeApiToken } from '../api-tokens.js';
+import { getUsageReport } from '../user-quotas.js';
 
 const RESET_CACHE = new Cache(5 * 60 * 1000);
+const secondFactorLimiter = new RateLimiterMemory({
+    points: 5,
+    duration: 300,
+});
 
 export const router = express.Router();
 
+/**
+ * Releases the secrets vault unlock held by an ended session.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} handle User handle
+ * @param {string|null} sessionId ID of the ended session, null to only drop sessions that are no longer active
+ */
+async function releaseSecrets(directories, handle, sessionId) {
+    const sessions = await listUserSessions(handle);
+    lockSecrets(directories, sessionId, sessions.map(x => x.id));
+}
+
 router.post('/logout', async (request, response) => {
     try {
         if (!request.session) {
@@ -22,7 +43,9 @@ router.post('/logout', async (request, response) => {
             return response.sendStatus(500);
         }
 
-        request.session.handle = null;
+        const sessionId = request.session.sessionId;
+        await endUserSession(request, request.user.profile.handle);
+        await releaseSecrets(request.user.directories, request.user.profile.handle, sessionId);
         return response.sendStatus(204);
     } catch (error) {
         console.error(error);
@@ -44,6 +67,7 @@ router.get('/me', async (request, response) => {
             admin: user.admin,
             password: !!user.password,
             created: user.created,
+            totp: !!user.totp?.enabled,
         };
 
         return response.json(viewModel);
@@ -118,10 +142,22 @@ router.post('/change-password', jsonParser, async (request, response) => {
             return response.status(403).json({ error: 'Incorrect password' });
         }
 
+        if (user.oidc && !request.body.newPassword) {
+            console.log('Change password failed: Single sign-on accounts need a password');
+            return response.status(400).json({ error: 'Accounts linked to single sign-on can\'t have an empty password' });
+        }
+
+        if (request.body.oldPassword && request.body.newPassword) {
+            // Keep secrets protected with the login password in sync
+            await changeSecretsPassphrase(getUserDirectories(user.handle), request.body.oldPassword, request.body.newPassword);
+        }
+
         if (request.body.newPassword) {
             const salt = getPasswordSalt();
             user.password = getPasswordHash(request.body.newPassword, salt);
             user.salt = salt;
+            // Set by an admin, so the account can also log in with the password from now on
+            delete user.ssoOnly;
         } else {
             user.password = '';
             user.salt = '';
@@ -252,3 +288,245 @@ router.post('/reset-step2', jsonParser, async (request, response) => {
         return response.sendStatus(500);
     }
 });
+
+router.post('/2fa/status', jsonParser, async (request, response) => {
+    try {
+        const user = request.user.profile;
+        return response.json({
+            enabled: !!user.totp?.enabled,
+            required: isTwoFactorRequired(),
+            recoveryCodes: user.totp?.recoveryCodes?.length ?? 0,
+        });
+    } catch (error) {
+        console.error('Two-factor status failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/setup', jsonParser, async (request, response) => {
+    try {
+        if (request.user.profile.totp?.enabled) {
+            console.log('Two-factor setup failed: Already enabled');
+            return response.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!request.user.profile.password) {
+            console.log('Two-factor setup failed: No password');
+            return response.status(400).json({ error: 'Set a password before enabling two-factor authentication' });
+        }
+
+        return response.json(beginTotpSetup(request.user.profile.handle));
+    } catch (error) {
+        console.error('Two-factor setup failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/enable', jsonParser, async (request, response) => {
+    try {
+        if (!request.body.code) {
+            console.log('Two-factor enable failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        if (user.totp?.enabled) {
+            console.log('Two-factor enable failed: Already enabled');
+            return response.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.password) {
+            console.log('Two-factor enable failed: No password');
+            return response.status(400).json({ error: 'Set a password before enabling two-factor authentication' });
+        }
+
+        const recoveryCodes = completeTotpSetup(user, request.body.code);
+
+        if (!recoveryCodes) {
+            console.log('Two-factor enable failed: Incorrect code');
+            return response.status(403).json({ error: 'Incorrect code' });
+        }
+
+        await storage.setItem(toKey(user.handle), user);
+        console.log('Two-factor authentication set up for', user.handle);
+        return response.json({ recoveryCodes });
+    } catch (error) {
+        console.error('Two-factor enable failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/disable', jsonParser, async (request, response) => {
+    try {
+        if (isTwoFactorRequired()) {
+            console.log('Two-factor disable failed: Required by the server');
+            return response.status(400).json({ error: 'Two-factor authentication is required on this server' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        await secondFactorLimiter.consume(user.handle);
+
+        if (!user.password || user.password !== getPasswordHash(request.body.password, user.salt)) {
+            console.log('Two-factor disable failed: Incorrect password');
+            return response.status(403).json({ error: 'Incorrect password' });
+        }
+
+        if (!verifySecondFactor(user, request.body.code)) {
+            console.log('Two-factor disable failed: Incorrect code');
+            return response.status(403).json({ error: 'Incorrect code' });
+        }
+
+        await secondFactorLimiter.delete(user.handle);
+        delete user.totp;
+        await storage.setItem(toKey(user.handle), user);
+        console.log('Two-factor authentication disabled for', user.handle);
+        return response.sendStatus(204);
+    } catch (error) {
+        if (error instanceof RateLimiterRes) {
+            console.log('Two-factor disable failed: Rate limited for', request.user.profile.handle);
+            return response.status(429).json({ error: 'Too many attempts. Try again later.' });
+        }
+
+        console.error('Two-factor disable failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/recovery-codes', jsonParser, async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        await secondFactorLimiter.consume(user.handle);
+
+        if (!user.password || user.password !== getPasswordHash(request.body.password, user.salt)) {
+            console.log('Recovery codes failed: Incorrect password');
+            return response.status(403).json({ error: 'Incorrect password' });
+        }
+
+        if (!verifySecondFactor(user, request.body.code)) {
+            console.log('Recovery codes failed: Incorrect code');
+            return response.status(403).json({ error: 'Incorrect code' });
+        }
+
+        await secondFactorLimiter.delete(user.handle);
+        const recoveryCodes = generateRecoveryCodes(user);
+        await storage.setItem(toKey(user.handle), user);
+        return response.json({ recoveryCodes });
+    } catch (error) {
+        if (error instanceof RateLimiterRes) {
+            console.log('Recovery codes failed: Rate limited for', request.user.profile.handle);
+            return response.status(429).json({ error: 'Too many attempts. Try again later.' });
+        }
+
+        console.error('Recovery codes failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/sessions/list', jsonParser, async (request, response) => {
+    try {
+        const sessions = await listUserSessions(request.user.profile.handle);
+        const viewModels = sessions.map(session => ({
+            ...session,
+            current: session.id === request.session?.sessionId,
+        }));
+
+        return response.json(viewModels);
+    } catch (error) {
+        console.error('Session list failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/sessions/revoke', jsonParser, async (request, response) => {
+    try {
+        if (!request.body.id) {
+            console.log('Revoke session failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        if (!await revokeUserSession(request.user.profile.handle, request.body.id)) {
+            console.log('Revoke session failed: Session not found');
+            return response.status(404).json({ error: 'Session not found' });
+        }
+
+        await releaseSecrets(request.user.directories, request.user.profile.handle, request.body.id);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Revoke session failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/sessions/revoke-others', jsonParser, async (request, response) => {
+    try {
+        const count = await revokeUserSessions(request.user.profile.handle, request.session?.sessionId);
+        await releaseSecrets(request.user.directories, request.user.profile.handle, null);
+        return response.json({ count });
+    } catch (error) {
+        console.error('Revoke sessions failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/tokens/list', jsonParser, async (request, response) => {
+    try {
+        const tokens = await listApiTokens(request.user.profile.handle);
+        const scopes = Object.fromEntries(Object.entries(API_TOKEN_SCOPES).map(([key, scope]) => [key, scope.label]));
+        return response.json({ scopes, tokens });
+    } catch (error) {
+        console.error('Token list failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/tokens/create', jsonParser, async (request, response) => {
+    try {
+        const name = String(request.body.name ?? '').trim();
+        const scopes = Array.isArray(request.body.scopes) ? request.body.scopes.filter(x => Object.hasOwn(API_TOKEN_SCOPES, x)) : [];
+
+        if (!name || !scopes.length) {
+            console.log('Create token failed: Missing required fields');
+            return response.status(400).json({ error: 'A name and at least one scope are required' });
+        }
+
+        const token = await createApiToken(request.user.profile.handle, name, scopes, Number(request.body.expiresInDays) || 0);
+        console.log('API token', name, 'created for', request.user.profile.handle, 'with scopes', scopes.join(', '));
+        return response.json({ token });
+    } catch (error) {
+        console.error('Create token failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/tokens/revoke', jsonParser, async (request, response) => {
+    try {
+        if (!request.body.id) {
+            console.log('Revoke token failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        if (!await revokeApiToken(request.user.profile.handle, request.body.id)) {
+            console.log('Revoke token failed: Token not found');
+            return response.status(404).json({ error: 'Token not found' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Revoke token failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/usage', jsonParser, async (request, response) => {
+    try {
+        const days = Math.min(Math.max(Number(request.body.days) || 30, 1), 365);
+        return response.json(await getUsageReport(request.user.profile, days));
+    } catch (error) {
+        console.error('Usage report failed:', error);
+        return response.sendStatus(500);
+    }
+});
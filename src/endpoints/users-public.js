@@ -5,7 +5,23 @@ import express from 'express';
 import { RateLimiterMemory, RateLimiterRes } from 'rate-limiter-flexible';
 import { jsonParser, getIpFromRequest } from '../express-common.js';
 import { color, Cache, getConfigValue } from '../util.js';
-import { KEY_PREFIX, getUserAvatar, toKey, getPasswordHash, getPasswordSalt } from '../users.js';
+import { KEY_PREFIX, getUserAvatar, toKey, getPasswordHash, getPasswordSalt, getUserDirectories } from '../users.js';
+import { unlockSecrets } from '../secrets-vault.js';
+import { beginTotpSetup, completeTotpSetup, isTwoFactorRequired, verifySecondFactor } from '../totp.js';
+import { startUserSession } from '../user-sessions.js';
+import { recordAuditEvent } from '../audit-log.js';
+import {
+    OIDC_CALLBACK_PATH,
+    OIDC_LOGIN_TIMEOUT,
+    OIDC_STATE_COOKIE,
+    OidcError,
+    beginOidcLogin,
+    completeOidcLogin,
+    getOidcOptions,
+    getOidcUser,
+    isOidcEnabled,
+    isSsoOnlyUser,
+} from '../oidc.js';
 
 const DISCREET_LOGIN = getConfigValue('enableDiscreetLogin', false);
 const MFA_CACHE = new Cache(5 * 60 * 1000);
@@ -68,16 +84,25 @@ router.post('/login', jsonParser, async (request, response) => {
 
         if (!user) {
             console.log('Login failed: User', request.body.handle, 'not found');
+            recordAuditEvent('login', { actor: String(request.body.handle), success: false, details: { reason: 'User not found' } });
             return response.status(403).json({ error: 'Incorrect credentials' });
         }
 
         if (!user.enabled) {
             console.log('Login failed: User', user.handle, 'is disabled');
+            recordAuditEvent('login', { actor: user.handle, success: false, details: { reason: 'User is disabled' } });
             return response.status(403).json({ error: 'User is disabled' });
         }
 
+        if (isSsoOnlyUser(user)) {
+            console.log('Login failed: User', user.handle, 'can only log in with single sign-on');
+            recordAuditEvent('login', { actor: user.handle, success: false, details: { reason: 'Single sign-on account' } });
+            return response.status(403).json({ error: 'Log in with single sign-on' });
+        }
+
         if (user.password && user.password !== getPasswordHash(request.body.password, user.salt)) {
             console.log('Login failed: Incorrect password for', user.handle);
+            recordAuditEvent('login', { actor: user.handle, success: false, details: { reason: 'Incorrect password' } });
             return response.status(403).json({ error: 'Incorrect credentials' });
         }
 
@@ -86,13 +111,54 @@ router.post('/login', jsonParser, async (request, response) => {
             return response.sendStatus(500);
         }
 
+        // Recovery codes are only returned when two-factor authentication was set up during this login
+        let recoveryCodes;
+
+        if (user.totp?.enabled) {
+            if (!request.body.totp) {
+                return response.status(403).json({ error: 'Enter the code from your authenticator app', totp: 'required' });
+            }
+
+            if (!verifySecondFactor(user, request.body.totp)) {
+                console.log('Login failed: Incorrect two-factor code for', user.handle);
+                recordAuditEvent('login', { actor: user.handle, success: false, details: { reason: 'Incorrect two-factor code' } });
+                return response.status(403).json({ error: 'Incorrect code', totp: 'required' });
+            }
+
+            await storage.setItem(toKey(user.handle), user);
+        } else if (isTwoFactorRequired()) {
+            // Anyone could enroll their own authenticator for an account without a password
+            if (!user.password) {
+                console.log('Login failed: Two-factor setup is not allowed without a password for', user.handle);
+                recordAuditEvent('login', { actor: user.handle, success: false, details: { reason: 'Two-factor setup without a password' } });
+                return response.status(403).json({ error: 'This account has no password. Ask an administrator to set one before setting up two-factor authentication.' });
+            }
+
+            recoveryCodes = request.body.totp ? completeTotpSetup(user, request.body.totp) : null;
+
+            if (!recoveryCodes) {
+                const { secret, uri } = beginTotpSetup(user.handle);
+                const error = request.body.totp ? 'Incorrect code' : 'Set up two-factor authentication to continue';
+                return response.status(403).json({ error, totp: 'setup', secret, uri });
+            }
+
+            console.log('Two-factor authentication set up for', user.handle);
+            await storage.setItem(toKey(user.handle), user);
+        }
+
         await loginLimiter.delete(ip);
-        request.session.handle = user.handle;
+        await startUserSession(request, user.handle);
+        // Secrets protected with the login password are unlocked automatically
+        if (user.password) {
+            await unlockSecrets(getUserDirectories(user.handle), request.body.password, request.session.sessionId);
+        }
         console.log('Login successful:', user.handle, 'from', ip, 'at', new Date().toLocaleString());
-        return response.json({ handle: user.handle });
+        recordAuditEvent('login', { actor: user.handle, details: { method: 'password' } });
+        return response.json({ handle: user.handle, recoveryCodes });
     } catch (error) {
         if (error instanceof RateLimiterRes) {
             console.log('Login failed: Rate limited from', getIpFromRequest(request));
+            recordAuditEvent('login', { actor: String(request.body.handle), success: false, details: { reason: 'Rate limited' } });
             return response.status(429).send({ error: 'Too many attempts. Try again later or recover your password.' });
         }
 
@@ -124,6 +190,11 @@ router.post('/recover-step1', jsonParser, async (request, response) => {
             return response.status(403).json({ error: 'User is disabled' });
         }
 
+        if (isSsoOnlyUser(user)) {
+            console.log('Recover step 1 failed: User', user.handle, 'can only log in with single sign-on');
+            return response.status(403).json({ error: 'Log in with single sign-on' });
+        }
+
         const mfaCode = String(crypto.randomInt(1000, 9999));
         console.log();
         console.log(color.blue(`${user.name}, your password recovery code is: `) + color.magenta(mfaCode));
@@ -162,11 +233,17 @@ router.post('/recover-step2', jsonParser, async (request, response) => {
             return response.status(403).json({ error: 'User is disabled' });
         }
 
+        if (isSsoOnlyUser(user)) {
+            console.log('Recover step 2 failed: User', user.handle, 'can only log in with single sign-on');
+            return response.status(403).json({ error: 'Log in with single sign-on' });
+        }
+
         const mfaCode = MFA_CACHE.get(user.handle);
 
         if (request.body.code !== mfaCode) {
             await recoverLimiter.consume(ip);
             console.log('Recover step 2 failed: Incorrect code');
+            recordAuditEvent('user.recover', { actor: user.handle, target: user.handle, success: false, details: { reason: 'Incorrect code' } });
             return response.status(403).json({ error: 'Incorrect code' });
         }
 
@@ -183,6 +260,7 @@ router.post('/recover-step2', jsonParser, async (request, response) => {
 
         await recoverLimiter.delete(ip);
         MFA_CACHE.remove(user.handle);
+        recordAuditEvent('user.recover', { actor: user.handle, target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         if (error instanceof RateLimiterRes) {
@@ -194,3 +272,119 @@ router.post('/recover-step2', jsonParser, async (request, response) => {
         return response.sendStatus(500);
     }
 });
+
+/**
+ * Gets a cookie of the request. Cookies are not parsed by default.
+ * @param {import('express').Request} request Request object
+ * @param {string} name Cookie name
+ * @returns {string|null} Cookie value
+ */
+function getRequestCookie(request, name) {
+    for (const pair of String(request.headers.cookie ?? '').split(';')) {
+        const [key, ...value] = pair.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Sends the user back to the login page with an error message.
+ * @param {import('express').Response} response Response object
+ * @param {string} message Error message
+ */
+function redirectToLoginWithError(response, message) {
+    response.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_CALLBACK_PATH });
+    return response.redirect(`/login?noauto=true&oidcError=${encodeURIComponent(message)}`);
+}
+
+/**
+ * Tells the login page if the single sign-on login is available.
+ */
+router.post('/oidc/info', async (_request, response) => {
+    try {
+        const enabled = isOidcEnabled();
+        return response.json({ enabled, buttonText: enabled ? getOidcOptions().buttonText : '' });
+    } catch (error) {
+        console.error('OIDC info failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Redirects the user to the identity provider.
+ */
+router.get('/oidc/login', async (request, response) => {
+    try {
+        if (!isOidcEnabled()) {
+            console.log('OIDC login failed: Single sign-on is disabled');
+            return response.sendStatus(404);
+        }
+
+        const { url, state } = await beginOidcLogin(request);
+        response.cookie(OIDC_STATE_COOKIE, state, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: request.secure,
+            maxAge: OIDC_LOGIN_TIMEOUT,
+            path: OIDC_CALLBACK_PATH,
+        });
+        return response.redirect(url);
+    } catch (error) {
+        console.error('OIDC login failed:', error);
+        return redirectToLoginWithError(response, 'Identity provider is not available');
+    }
+});
+
+/**
+ * Completes the login when the identity provider redirects the user back.
+ */
+router.get('/oidc/callback', async (request, response) => {
+    try {
+        if (!isOidcEnabled()) {
+            console.log('OIDC callback failed: Single sign-on is disabled');
+            return response.sendStatus(404);
+        }
+
+        if (request.query.error) {
+            console.log('OIDC callback failed: Identity provider returned', request.query.error, request.query.error_description ?? '');
+            return redirectToLoginWithError(response, String(request.query.error_description || request.query.error));
+        }
+
+        const state = String(request.query.state ?? '');
+        const code = String(request.query.code ?? '');
+
+        if (!state || !code || state !== getRequestCookie(request, OIDC_STATE_COOKIE)) {
+            console.log('OIDC callback failed: State does not match');
+            return redirectToLoginWithError(response, 'Login has expired. Try again.');
+        }
+
+        if (!request.session) {
+            console.error('Session not available');
+            return response.sendStatus(500);
+        }
+
+        const claims = await completeOidcLogin(state, code);
+        const user = await getOidcUser(claims);
+
+        await startUserSession(request, user.handle, true);
+        response.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_CALLBACK_PATH });
+        console.log('Login successful:', user.handle, 'with single sign-on from', getIpFromRequest(request), 'at', new Date().toLocaleString());
+        recordAuditEvent('login', { actor: user.handle, details: { method: 'oidc', subject: claims.sub } });
+
+        // The session cookie is strictly same-site, so it would not be sent if the browser followed
+        // a redirect that started at the identity provider. Navigating from a page makes a same-site request.
+        return response.send('<!DOCTYPE html><html><head><meta http-equiv="refresh" content="0;url=/"></head><body></body></html>');
+    } catch (error) {
+        if (error instanceof OidcError) {
+            console.log('OIDC callback failed:', error.message);
+            recordAuditEvent('login', { success: false, details: { method: 'oidc', reason: error.message } });
+            return redirectToLoginWithError(response, error.message);
+        }
+
+        console.error('OIDC callback failed:', error);
+        return redirectToLoginWithError(response, 'Single sign-on failed');
+    }
+});
@@ -1,9 +1,4 @@
-import path from 'node:path';
-import fs from 'node:fs';
-
-import vectra from 'vectra';
 import express from 'express';
-import sanitize from 'sanitize-filename';
 
 import { jsonParser } from '../express-common.js';
 import { getConfigValue } from '../util.js';
@@ -17,6 +12,8 @@ import { getCohereVector, getCohereBatchVector } from '../vectors/cohere-vectors
 import { getLlamaCppVector, getLlamaCppBatchVector } from '../vectors/llamacpp-vectors.js';
 import { getVllmVector, getVllmBatchVector } from '../vectors/vllm-vectors.js';
 import { getOllamaVector, getOllamaBatchVector } from '../vectors/ollama-vectors.js';
+import { getVectorStore, purgeVectorCollections } from '../vectors/vector-store.js';
+import { cosineSimilarity, getRetrievalOptions, isExtendedRetrieval, needsAllItems, rankCandidates } from '../vectors/hybrid-search.js';
 
 // Don't forget to add new sources to the SOURCES array
 const SOURCES = [
@@ -194,23 +191,16 @@ function getModelScope(sourceSettings) {
 }
 
 /**
- * Gets the index for the vector collection
+ * Gets the store for the vector collection
  * @param {import('../users.js').UserDirectoryList} directories - User directories
  * @param {string} collectionId - The collection ID
  * @param {string} source - The source of the vector
  * @param {object} sourceSettings - The model for the source
- * @returns {Promise<vectra.LocalIndex>} - The index for the collection
+ * @returns {Promise<import('../vectors/vector-store.js').VectorStore>} - The store for the collection
  */
 async function getIndex(directories, collectionId, source, sourceSettings) {
     const model = getModelScope(sourceSettings);
-    const pathToFile = path.join(directories.vectors, sanitize(source), sanitize(collectionId), sanitize(model));
-    const store = new vectra.LocalIndex(pathToFile);
-
-    if (!await store.isIndexCreated()) {
-        await store.createIndex();
-    }
-
-    return store;
+    return await getVectorStore(directories, source, collectionId, model);
 }
 
 /**
@@ -223,18 +213,10 @@ async function getIndex(directories, collectionId, source, sourceSettings) {
  */
 async function insertVectorItems(directories, collectionId, source, sourceSettings, items) {
     const store = await getIndex(directories, collectionId, source, sourceSettings);
-
-    await store.beginUpdate();
-
     const vectors = await getBatchVector(source, sourceSettings, items.map(x => x.text), false, directories);
+    const vectorItems = items.map((item, i) => ({ vector: vectors[i], metadata: { hash: item.hash, text: item.text, index: item.index } }));
 
-    for (let i = 0; i < items.length; i++) {
-        const item = items[i];
-        const vector = vectors[i];
-        await store.upsertItem({ vector: vector, metadata: { hash: item.hash, text: item.text, index: item.index } });
-    }
-
-    await store.endUpdate();
+    await store.insertItems(vectorItems);
 }
 
 /**
@@ -247,11 +229,7 @@ async function insertVectorItems(directories, collectionId, source, sourceSettin
  */
 async function getSavedHashes(directories, collectionId, source, sourceSettings) {
     const store = await getIndex(directories, collectionId, source, sourceSettings);
-
-    const items = await store.listItems();
-    const hashes = items.map(x => Number(x.metadata.hash));
-
-    return hashes;
+    return await store.getHashes();
 }
 
 /**
@@ -264,15 +242,7 @@ async function getSavedHashes(directories, collectionId, source, sourceSettings)
  */
 async function deleteVectorItems(directories, collectionId, source, sourceSettings, hashes) {
     const store = await getIndex(directories, collectionId, source, sourceSettings);
-    const items = await store.listItemsByMetadata({ hash: { '$in': hashes } });
-
-    await store.beginUpdate();
-
-    for (const item of items) {
-        await store.deleteItem(item.id);
-    }
-
-    await store.endUpdate();
+    await store.deleteItems(hashes);
 }
 
 /**
@@ -284,15 +254,24 @@ async function deleteVectorItems(directories, collectionId, source, sourceSettin
  * @param {string} searchText - The text to search for
  * @param {number} topK - The number of results to return
  * @param {number} threshold - The threshold for the search
+ * @param {import('../vectors/hybrid-search.js').RetrievalOptions} [options] - Hybrid search, MMR and rerank options
  * @returns {Promise<{hashes: number[], metadata: object[]}>} - The metadata of the items that match the search text
  */
-async function queryCollection(directories, collectionId, source, sourceSettings, searchText, topK, threshold) {
+async function queryCollection(directories, collectionId, source, sourceSettings, searchText, topK, threshold, options) {
     const store = await getIndex(directories, collectionId, source, sourceSettings);
     const vector = await getVector(source, sourceSettings, searchText, true, directories);
 
-    const result = await store.queryItems(vector, topK);
-    const metadata = result.filter(x => x.score >= threshold).map(x => x.item.metadata);
-    const hashes = result.map(x => Number(x.item.metadata.hash));
+    if (options && isExtendedRetrieval(options)) {
+        const candidates = await getRetrievalCandidates(store, collectionId, vector, topK, options);
+        const ranked = await rankCandidates(directories, candidates, searchText, topK, threshold, options);
+        const metadata = ranked.map(x => x.metadata);
+        const hashes = ranked.map(x => Number(x.metadata.hash));
+        return { metadata, hashes };
+    }
+
+    const result = await store.query(vector, topK);
+    const metadata = result.filter(x => x.score >= threshold).map(x => x.metadata);
+    const hashes = result.map(x => Number(x.metadata.hash));
     return { metadata, hashes };
 }
 
@@ -305,16 +284,30 @@ async function queryCollection(directories, collectionId, source, sourceSettings
  * @param {string} searchText - The text to search for
  * @param {number} topK - The number of results to return
  * @param {number} threshold - The threshold for the search
+ * @param {import('../vectors/hybrid-search.js').RetrievalOptions} [options] - Hybrid search, MMR and rerank options
  *
  * @returns {Promise<Record<string, { hashes: number[], metadata: object[] }>>} - The top K results from each collection
  */
-async function multiQueryCollection(directories, collectionIds, source, sourceSettings, searchText, topK, threshold) {
+async function multiQueryCollection(directories, collectionIds, source, sourceSettings, searchText, topK, threshold, options) {
     const vector = await getVector(source, sourceSettings, searchText, true, directories);
     const results = [];
 
+    if (options && isExtendedRetrieval(options)) {
+        const candidates = [];
+
+        for (const collectionId of collectionIds) {
+            const store = await getIndex(directories, collectionId, source, sourceSettings);
+            candidates.push(...await getRetrievalCandidates(store, collectionId, vector, topK, options));
+        }
+
+        const ranked = await rankCandidates(directories, candidates, searchText, topK, threshold, options);
+        results.push(...ranked.map(x => ({ collectionId: x.collectionId, result: { score: x.score, metadata: x.metadata } })));
+        return groupResultsByCollection(results);
+    }
+
     for (const collectionId of collectionIds) {
         const store = await getIndex(directories, collectionId, source, sourceSettings);
-        const result = await store.queryItems(vector, topK);
+        const result = await store.query(vector, topK);
         results.push(...result.map(result => ({ collectionId, result })));
     }
 
@@ -324,23 +317,52 @@ async function multiQueryCollection(directories, collectionIds, source, sourceSe
         .filter(x => x.result.score >= threshold)
         .slice(0, topK);
 
+    return groupResultsByCollection(sortedResults);
+}
+
+/**
+ * Groups query results by collection ID, keeping their order.
+ * @param {{ collectionId: string, result: import('../vectors/vector-store.js').VectorQueryResult }[]} results - The results to group
+ * @returns {Record<string, { hashes: number[], metadata: object[] }>} - The results grouped by collection ID
+ */
+function groupResultsByCollection(results) {
     /**
      * Group the results by collection ID
      * @type {Record<string, { hashes: number[], metadata: object[] }>}
      */
     const groupedResults = {};
-    for (const result of sortedResults) {
+    for (const result of results) {
         if (!groupedResults[result.collectionId]) {
             groupedResults[result.collectionId] = { hashes: [], metadata: [] };
         }
 
-        groupedResults[result.collectionId].hashes.push(Number(result.result.item.metadata.hash));
-        groupedResults[result.collectionId].metadata.push(result.result.item.metadata);
+        groupedResults[result.collectionId].hashes.push(Number(result.result.metadata.hash));
+        groupedResults[result.collectionId].metadata.push(result.result.metadata);
     }
 
     return groupedResults;
 }
 
+/**
+ * Collects the candidates for an extended retrieval from a collection.
+ * Keyword search and MMR need every item with its vector, rerank only needs a wider pool of the nearest items.
+ * @param {import('../vectors/vector-store.js').VectorStore} store - The store of the collection
+ * @param {string} collectionId - The collection ID
+ * @param {number[]} vector - The query vector
+ * @param {number} topK - The number of results to return
+ * @param {import('../vectors/hybrid-search.js').RetrievalOptions} options - Retrieval options
+ * @returns {Promise<import('../vectors/hybrid-search.js').RetrievalCandidate[]>} - The candidates
+ */
+async function getRetrievalCandidates(store, collectionId, vector, topK, options) {
+    if (needsAllItems(options)) {
+        const items = await store.listItems();
+        return items.map(x => ({ collectionId, metadata: x.metadata, vector: x.vector, score: cosineSimilarity(vector, x.vector) }));
+    }
+
+    const result = await store.query(vector, topK * 3);
+    return result.map(x => ({ collectionId, metadata: x.metadata, score: x.score }));
+}
+
 /**
  * Performs a request to regenerate the index if it is corrupted.
  * @param {import('express').Request} req Express request object
@@ -355,15 +377,10 @@ async function regenerateCorruptedIndexErrorHandler(req, res, error) {
         const sourceSettings = getSourceSettings(source, req);
 
         if (collectionId && source) {
-            const index = await getIndex(req.user.directories, collectionId, source, sourceSettings);
-            const exists = await index.isIndexCreated();
-
-            if (exists) {
-                const path = index.folderPath;
-                console.error(`Corrupted index detected at ${path}, regenerating...`);
-                await index.deleteIndex();
-                return res.redirect(307, req.originalUrl + '?regenerated=true');
-            }
+            const store = await getIndex(req.user.directories, collectionId, source, sourceSettings);
+            console.error(`Corrupted index detected at ${store.location}, regenerating...`);
+            await store.reset();
+            return res.redirect(307, req.originalUrl + '?regenerated=true');
         }
     }
 
@@ -386,7 +403,9 @@ router.post('/query', jsonParser, async (req, res) => {
         const source = String(req.body.source) || 'transformers';
         const sourceSettings = getSourceSettings(source, req);
 
-        const results = await queryCollection(req.user.directories, collectionId, source, sourceSettings, searchText, topK, threshold);
+        const options = getRetrievalOptions(req.body);
+
+        const results = await queryCollection(req.user.directories, collectionId, source, sourceSettings, searchText, topK, threshold, options);
         return res.json(results);
     } catch (error) {
         return regenerateCorruptedIndexErrorHandler(req, res, error);
@@ -406,7 +425,9 @@ router.post('/query-multi', jsonParser, async (req, res) => {
         const source = String(req.body.source) || 'transformers';
         const sourceSettings = getSourceSettings(source, req);
 
-        const results = await multiQueryCollection(req.user.directories, collectionIds, source, sourceSettings, searchText, topK, threshold);
+        const options = getRetrievalOptions(req.body);
+
+        const results = await multiQueryCollection(req.user.directories, collectionIds, source, sourceSettings, searchText, topK, threshold, options);
         return res.json(results);
     } catch (error) {
         return regenerateCorruptedIndexErrorHandler(req, res, error);
@@ -469,12 +490,7 @@ router.post('/delete', jsonParser, async (req, res) => {
 router.post('/purge-all', jsonParser, async (req, res) => {
     try {
         for (const source of SOURCES) {
-            const sourcePath = path.join(req.user.directories.vectors, sanitize(source));
-            if (!fs.existsSync(sourcePath)) {
-                continue;
-            }
-            await fs.promises.rm(sourcePath, { recursive: true });
-            console.log(`Deleted vector source store at ${sourcePath}`);
+            await purgeVectorCollections(req.user.directories, source);
         }
 
         return res.sendStatus(200);
@@ -493,12 +509,7 @@ router.post('/purge', jsonParser, async (req, res) => {
         const collectionId = String(req.body.collectionId);
 
         for (const source of SOURCES) {
-            const sourcePath = path.join(req.user.directories.vectors, sanitize(source), sanitize(collectionId));
-            if (!fs.existsSync(sourcePath)) {
-                continue;
-            }
-            await fs.promises.rm(sourcePath, { recursive: true });
-            console.log(`Deleted vector index at ${sourcePath}`);
+            await purgeVectorCollections(req.user.directories, source, collectionId);
         }
 
         return res.sendStatus(200);
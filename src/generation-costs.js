@@ -0,0 +1,316 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import fetch from 'node-fetch';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { OPENROUTER_HEADERS } from './constants.js';
+import { captureGenerationUsage } from './generation-usage.js';
+import { Cache, getConfigValue } from './util.js';
+
+/**
+ * Name of the file with the price table, the budget and the monthly totals in the user's data root.
+ */
+const COSTS_FILE = 'costs.json';
+
+/**
+ * Imported OpenRouter prices are refreshed when they are older than this.
+ */
+const OPENROUTER_PRICES_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Usage and cost of recent generations by user handle and generation ID, picked up by the client after the response.
+ */
+const GENERATIONS = new Cache(10 * 60 * 1000);
+
+/**
+ * How long the client waits for the usage of a generation that is still being recorded.
+ */
+const GENERATION_WAIT_TIMEOUT = 10 * 1000;
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {number} input - Price of a million prompt tokens in USD
+ * @property {number} output - Price of a million generated tokens in USD
+ */
+
+/**
+ * @typedef {Object} CostTotals
+ * @property {number} cost - Cost in USD
+ * @property {number} input - Number of prompt tokens
+ * @property {number} output - Number of generated tokens
+ * @property {number} requests - Number of generations
+ * @property {number} unpriced - Number of generations of models without a price
+ */
+
+/**
+ * @typedef {Object} CostData
+ * @property {Record<string, ModelPrice>} prices - Prices entered by the user by model
+ * @property {Record<string, ModelPrice>} importedPrices - Prices imported from OpenRouter by model
+ * @property {number} importedAt - Time of the last OpenRouter import
+ * @property {{ monthly: number, alertPercent: number }} budget - Monthly budget in USD (0 for none) and the percentage that triggers a warning
+ * @property {Record<string, CostTotals & { models: Record<string, CostTotals>, alerted?: number }>} months - Totals by month (YYYY-MM)
+ */
+
+/**
+ * @typedef {Object} GenerationCost
+ * @property {string} source - Chat completion source
+ * @property {string} model - Model
+ * @property {number} input - Number of prompt tokens
+ * @property {number} output - Number of generated tokens
+ * @property {number|null} cost - Cost in USD, null if the model has no price
+ * @property {CostTotals} month - Totals of the current month
+ * @property {CostData['budget']} budget - Budget
+ * @property {'warning'|'exceeded'|null} alert - Budget alert raised by this generation
+ */
+
+/**
+ * Checks if cost tracking is enabled.
+ * @returns {boolean} Whether cost tracking is enabled
+ */
+export function isCostTrackingEnabled() {
+    return !!getConfigValue('costTracking.enabled', false);
+}
+
+/**
+ * Gets the current month key.
+ * @returns {string} Month in the YYYY-MM format
+ */
+export function getMonthKey() {
+    return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Creates empty totals.
+ * @returns {CostTotals} Totals
+ */
+function createTotals() {
+    return { cost: 0, input: 0, output: 0, requests: 0, unpriced: 0 };
+}
+
+/**
+ * Converts a price table from a request to a valid one.
+ * @param {any} input Price table
+ * @returns {Record<string, ModelPrice>} Prices by model
+ */
+export function sanitizePrices(input) {
+    const prices = {};
+
+    for (const [model, price] of Object.entries(input && typeof input === 'object' ? input : {})) {
+        const inputPrice = Number(price?.input);
+        const outputPrice = Number(price?.output);
+
+        if (model.trim() && Number.isFinite(inputPrice) && Number.isFinite(outputPrice) && inputPrice >= 0 && outputPrice >= 0) {
+            prices[model.trim()] = { input: inputPrice, output: outputPrice };
+        }
+    }
+
+    return prices;
+}
+
+/**
+ * Reads the cost data of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {CostData} Cost data
+ */
+export function getCostData(directories) {
+    /** @type {CostData} */
+    const data = { prices: {}, importedPrices: {}, importedAt: 0, budget: { monthly: 0, alertPercent: 80 }, months: {} };
+    const filePath = path.join(directories.root, COSTS_FILE);
+
+    try {
+        if (fs.existsSync(filePath)) {
+            Object.assign(data, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        }
+    } catch (error) {
+        console.warn('Failed to read the cost data:', error.message);
+    }
+
+    return data;
+}
+
+/**
+ * Saves the cost data of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {CostData} data Cost data
+ */
+export function saveCostData(directories, data) {
+    writeFileAtomicSync(path.join(directories.root, COSTS_FILE), JSON.stringify(data, null, 4), 'utf8');
+}
+
+/**
+ * Finds the price of a model. Prices entered by the user take precedence over the imported ones.
+ * Models are also matched without the vendor prefix of OpenRouter model IDs.
+ * @param {CostData} data Cost data
+ * @param {string} model Model
+ * @returns {ModelPrice|undefined} Price
+ */
+function getModelPrice(data, model) {
+    for (const prices of [data.prices, data.importedPrices]) {
+        if (prices[model]) {
+            return prices[model];
+        }
+
+        const key = Object.keys(prices).find(x => x.split('/').pop() === model);
+
+        if (key) {
+            return prices[key];
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Imports the model prices from OpenRouter.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<number>} Number of imported prices
+ */
+export async function importOpenRouterPrices(directories) {
+    const response = await fetch('https://openrouter.ai/api/v1/models', { headers: OPENROUTER_HEADERS });
+
+    if (!response.ok) {
+        throw new Error(`OpenRouter returned ${response.status} ${response.statusText}`);
+    }
+
+    /** @type {any} */
+    const json = await response.json();
+    const prices = {};
+
+    for (const model of Array.isArray(json?.data) ? json.data : []) {
+        const input = Number(model?.pricing?.prompt);
+        const output = Number(model?.pricing?.completion);
+
+        if (model?.id && input >= 0 && output >= 0) {
+            // OpenRouter prices are per token
+            prices[model.id] = { input: Math.round(input * 1e12) / 1e6, output: Math.round(output * 1e12) / 1e6 };
+        }
+    }
+
+    const data = getCostData(directories);
+    data.importedPrices = prices;
+    data.importedAt = Date.now();
+    saveCostData(directories, data);
+    return Object.keys(prices).length;
+}
+
+/**
+ * Imports the OpenRouter prices if they are missing or outdated and the automatic import is enabled.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ */
+export async function refreshOpenRouterPrices(directories) {
+    if (!getConfigValue('costTracking.autoImportOpenRouterPrices', false)) {
+        return;
+    }
+
+    if (Date.now() - getCostData(directories).importedAt < OPENROUTER_PRICES_TTL) {
+        return;
+    }
+
+    try {
+        const count = await importOpenRouterPrices(directories);
+        console.log('Imported', count, 'model prices from OpenRouter');
+    } catch (error) {
+        console.warn('OpenRouter price import failed:', error.message);
+    }
+}
+
+/**
+ * Adds the usage of a generation to the monthly totals and computes its cost.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} source Chat completion source
+ * @param {string} model Model
+ * @param {import('./generation-usage.js').GenerationUsage} usage Usage reported by the API
+ * @returns {Promise<GenerationCost>} Usage and cost of the generation
+ */
+export async function recordGenerationCost(directories, source, model, usage) {
+    if (usage.cost === undefined && source === 'openrouter') {
+        await refreshOpenRouterPrices(directories);
+    }
+
+    const data = getCostData(directories);
+    const price = getModelPrice(data, model);
+    const cost = usage.cost ?? (price ? (usage.input * price.input + usage.output * price.output) / 1e6 : null);
+    const monthKey = getMonthKey();
+    const month = data.months[monthKey] ??= { ...createTotals(), models: {} };
+    const modelTotals = month.models[model] ??= createTotals();
+    let alert = null;
+
+    for (const totals of [month, modelTotals]) {
+        totals.cost += cost ?? 0;
+        totals.input += usage.input;
+        totals.output += usage.output;
+        totals.requests++;
+        totals.unpriced += cost === null ? 1 : 0;
+    }
+
+    if (data.budget.monthly > 0) {
+        const percent = month.cost / data.budget.monthly * 100;
+        const level = percent >= 100 ? 100 : (percent >= data.budget.alertPercent ? data.budget.alertPercent : 0);
+
+        if (level > (month.alerted ?? 0)) {
+            month.alerted = level;
+            alert = level >= 100 ? 'exceeded' : 'warning';
+        }
+    }
+
+    saveCostData(directories, data);
+
+    const totals = { cost: month.cost, input: month.input, output: month.output, requests: month.requests, unpriced: month.unpriced };
+    return { source, model, input: usage.input, output: usage.output, cost, month: totals, budget: data.budget, alert };
+}
+
+/**
+ * Waits for the usage of a generation to be recorded.
+ * @param {string} handle User handle
+ * @param {string} id Generation ID sent by the client
+ * @returns {Promise<GenerationCost|null>} Usage and cost, or null if the generation is unknown
+ */
+export async function waitForGenerationCost(handle, id) {
+    const key = `${handle}:${id}`;
+    const deadline = Date.now() + GENERATION_WAIT_TIMEOUT;
+
+    while (Date.now() < deadline) {
+        const entry = GENERATIONS.get(key);
+
+        if (entry) {
+            return entry;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    return null;
+}
+
+/**
+ * Middleware that records the usage and the cost of chat completion generations.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('express').NextFunction} next Next function
+ */
+export function costTrackingMiddleware(request, response, next) {
+    if (!isCostTrackingEnabled() || !request.user) {
+        return next();
+    }
+
+    const handle = request.user.profile.handle;
+    const directories = request.user.directories;
+    const source = String(request.body?.chat_completion_source ?? '');
+    const model = String(request.body?.model ?? '');
+    const id = request.body?.generation_id ? String(request.body.generation_id) : '';
+
+    captureGenerationUsage(response, (usage) => {
+        // The API did not report the usage, nothing to record
+        if (!usage.total && usage.cost === undefined) {
+            id && GENERATIONS.set(`${handle}:${id}`, { source, model, input: 0, output: 0, cost: null, month: null, budget: null, alert: null });
+            return;
+        }
+
+        recordGenerationCost(directories, source, model, usage)
+            .then(entry => id && GENERATIONS.set(`${handle}:${id}`, entry))
+            .catch(error => console.error('Cost tracking failed:', error));
+    });
+
+    return next();
+}
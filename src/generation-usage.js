@@ -0,0 +1,182 @@
+import { Buffer } from 'node:buffer';
+
+// Only the start of long non-streamed responses is kept, the usage of streamed responses is read as it arrives
+const MAX_CAPTURED_LENGTH = 1024 * 1024;
+
+/**
+ * @typedef {Object} GenerationUsage
+ * @property {number} input - Number of prompt tokens reported by the API
+ * @property {number} output - Number of generated tokens reported by the API
+ * @property {number} total - Total number of tokens reported by the API, 0 if not reported
+ * @property {number} [cost] - Cost in USD reported by the API, e.g. by OpenRouter
+ * @property {string} text - Generated text
+ */
+
+/**
+ * Gets the text of a chat message or a prompt.
+ * @param {any} content Message content, a string or an array of content parts
+ * @returns {string} Text
+ */
+export function getContentText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    if (Array.isArray(content)) {
+        return content.map(part => typeof part === 'string' ? part : String(part?.text ?? '')).join('');
+    }
+
+    return '';
+}
+
+/**
+ * Gets the generated text of a response or of a streamed event.
+ * Responses converted to the OpenAI format also keep the original content, so only one shape is read.
+ * @param {any} data Parsed payload
+ * @returns {string} Text
+ */
+function getPayloadText(data) {
+    if (Array.isArray(data?.choices)) {
+        const choice = data.choices[0];
+        return getContentText(choice?.delta?.content ?? choice?.message?.content ?? choice?.text);
+    }
+
+    if (Array.isArray(data?.candidates)) {
+        return getContentText(data.candidates[0]?.content?.parts);
+    }
+
+    return getContentText(data?.delta?.text ?? data?.delta?.message?.content?.text ?? data?.content ?? data?.message?.content ?? data?.results?.[0]?.text);
+}
+
+/**
+ * Reads the token usage and the generated text from the responses of the chat completion APIs.
+ * Works with both streamed (server-sent events) and complete JSON responses of OpenAI, Claude,
+ * OpenRouter, Google AI Studio, Mistral and Cohere.
+ */
+export class GenerationUsageReader {
+    constructor() {
+        /** @type {GenerationUsage} */
+        this.usage = { input: 0, output: 0, total: 0, cost: undefined, text: '' };
+        this.body = '';
+        this.pending = '';
+        this.isStream = false;
+    }
+
+    /**
+     * Adds a chunk of the response body.
+     * @param {any} chunk Chunk written to the response
+     */
+    write(chunk) {
+        if (!chunk || typeof chunk === 'function') {
+            return;
+        }
+
+        const text = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+
+        if (this.body.length < MAX_CAPTURED_LENGTH) {
+            this.body += text;
+        }
+
+        // Events can be split between chunks, so only complete lines are read
+        const lines = (this.pending + text).split('\n');
+        this.pending = lines.pop() ?? '';
+        lines.forEach(line => this.readLine(line));
+    }
+
+    /**
+     * Reads an event of a streamed response.
+     * @param {string} line Line of the response body
+     */
+    readLine(line) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+
+        if (!data || data === '[DONE]') {
+            return;
+        }
+
+        try {
+            this.readPayload(JSON.parse(data));
+            this.isStream = true;
+        } catch {
+            // Not an event
+        }
+    }
+
+    /**
+     * Reads the usage and the text of a response or of a streamed event.
+     * @param {any} data Parsed payload
+     */
+    readPayload(data) {
+        const usage = data?.usage ?? data?.message?.usage ?? data?.usageMetadata ?? data?.delta?.usage ?? data?.meta?.billed_units;
+        const counts = usage?.billed_units ?? usage;
+
+        if (counts) {
+            this.usage.input = Math.max(this.usage.input, Number(counts.prompt_tokens ?? counts.input_tokens ?? counts.promptTokenCount) || 0);
+            this.usage.output = Math.max(this.usage.output, Number(counts.completion_tokens ?? counts.output_tokens ?? counts.candidatesTokenCount) || 0);
+            this.usage.total = Math.max(this.usage.total, Number(counts.total_tokens ?? counts.totalTokenCount) || 0);
+        }
+
+        if (typeof usage?.cost === 'number') {
+            this.usage.cost = Math.max(this.usage.cost ?? 0, usage.cost);
+        }
+
+        this.usage.text += getPayloadText(data);
+    }
+
+    /**
+     * Finishes reading the response.
+     * @returns {GenerationUsage} Usage
+     */
+    end() {
+        if (this.pending) {
+            this.readLine(this.pending);
+            this.pending = '';
+        }
+
+        if (!this.isStream) {
+            try {
+                this.readPayload(JSON.parse(this.body));
+            } catch {
+                // Not a JSON response or too long
+            }
+        }
+
+        this.usage.total = this.usage.total || this.usage.input + this.usage.output;
+        return this.usage;
+    }
+}
+
+/**
+ * Reads the usage of a generation response and calls back when the response is finished.
+ * The callback is not called for failed responses.
+ * @param {import('express').Response} response Response object
+ * @param {(usage: GenerationUsage) => void} callback Called with the usage when the response is finished
+ */
+export function captureGenerationUsage(response, callback) {
+    const reader = new GenerationUsageReader();
+    /** @type {any} */
+    const patched = response;
+    const originalWrite = response.write;
+    const originalEnd = response.end;
+
+    patched.write = function (chunk, ...args) {
+        reader.write(chunk);
+        return originalWrite.call(this, chunk, ...args);
+    };
+    patched.end = function (chunk, ...args) {
+        reader.write(chunk);
+        return originalEnd.call(this, chunk, ...args);
+    };
+
+    response.once('close', () => {
+        if (response.statusCode >= 400) {
+            return;
+        }
+
+        try {
+            callback(reader.end());
+        } catch (error) {
+            console.error('Generation usage callback failed:', error);
+        }
+    });
+}
@@ -25,6 +25,11 @@ const basicAuthMiddleware = async function (request, response, callback) {
 
     const [scheme, credentials] = authHeader.split(' ');
 
+    // Personal API tokens are verified by the user data middleware
+    if (scheme === 'Bearer' && credentials) {
+        return callback();
+    }
+
     if (scheme !== 'Basic' || !credentials) {
         return unauthorizedResponse(response);
     }
@@ -0,0 +1,42 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import { getIpFromRequest } from '../express-common.js';
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} method HTTP method of the request
+ * @property {string} endpoint Path of the requested endpoint (without the query string)
+ * @property {string} ip IP address of the client
+ * @property {string} [handle] Handle of the user that made the request
+ */
+
+/** @type {AsyncLocalStorage<RequestContext>} */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Gets the context of the request that is currently being handled.
+ * Useful for code that doesn't have access to the request object (e.g. secrets access auditing).
+ * @returns {RequestContext|undefined} Request context or undefined if called outside of a request
+ */
+export function getRequestContext() {
+    return storage.getStore();
+}
+
+/**
+ * Middleware that makes the request context available to all code called while handling the request.
+ * Must be registered after the user data middleware.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} _response Response object
+ * @param {import('express').NextFunction} next Next function
+ */
+export default function requestContextMiddleware(request, _response, next) {
+    /** @type {RequestContext} */
+    const context = {
+        method: request.method,
+        endpoint: request.originalUrl.split('?')[0],
+        ip: getIpFromRequest(request),
+        handle: request.user?.profile?.handle,
+    };
+
+    storage.run(context, next);
+}
@@ -0,0 +1,485 @@
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+import storage from 'node-persist';
+import fetch from 'node-fetch';
+import _ from 'lodash';
+
+import { Cache, getConfigValue } from './util.js';
+import { KEY_PREFIX, toKey, getPasswordHash, getPasswordSalt, getUserDirectories, ensurePublicDirectoriesExist } from './users.js';
+import { checkForNewContent } from './endpoints/content-manager.js';
+import { recordAuditEvent } from './audit-log.js';
+
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+export const OIDC_CALLBACK_PATH = '/api/users/oidc/callback';
+// Binds the login to the browser that started it. The session cookie is not sent on the redirect from the provider
+export const OIDC_STATE_COOKIE = 'st_oidc_state';
+export const OIDC_LOGIN_TIMEOUT = 10 * 60 * 1000;
+// Allowed difference between the clocks of the server and the identity provider
+const CLOCK_SKEW = 60;
+
+/**
+ * Logins that were sent to the identity provider, by state.
+ */
+const PENDING_LOGINS = new Cache(OIDC_LOGIN_TIMEOUT);
+/**
+ * Discovery documents and key sets of the identity providers, by URL.
+ */
+const METADATA_CACHE = new Cache(60 * 60 * 1000);
+
+/**
+ * Hash algorithms of the supported JWS signature algorithms.
+ */
+const JWS_HASHES = {
+    RS256: 'sha256', RS384: 'sha384', RS512: 'sha512',
+    PS256: 'sha256', PS384: 'sha384', PS512: 'sha512',
+    ES256: 'sha256', ES384: 'sha384', ES512: 'sha512',
+    HS256: 'sha256', HS384: 'sha384', HS512: 'sha512',
+    EdDSA: null,
+};
+
+/**
+ * Error shown to the user on the login page.
+ */
+export class OidcError extends Error {
+    /**
+     * @param {string} message Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'OidcError';
+    }
+}
+
+/**
+ * @typedef {Object} OidcOptions
+ * @property {boolean} enabled - Whether the single sign-on login is enabled
+ * @property {string} buttonText - Text of the login button
+ * @property {string} discoveryUrl - Issuer URL or the URL of its discovery document
+ * @property {string} clientId - Client ID registered at the identity provider
+ * @property {string} clientSecret - Client secret. Empty for public clients
+ * @property {string} redirectUrl - URL of the callback endpoint. Detected from the request if empty
+ * @property {string} scopes - Requested scopes, separated by spaces
+ * @property {string} handleClaim - Claim used as the handle of new users
+ * @property {string} nameClaim - Claim used as the display name of new users
+ * @property {string} groupsClaim - Claim with the groups of the user
+ * @property {string[]} allowedGroups - Only members of these groups can log in. Everyone if empty
+ * @property {string[]} adminGroups - Members of these groups are admins. Admin role is not changed if empty
+ * @property {Record<string, string>} users - User handles by subject, for linking existing accounts
+ * @property {boolean} autoProvision - Create accounts for unknown users
+ */
+
+/**
+ * Gets the single sign-on options from the config.
+ * @returns {OidcOptions} Options
+ */
+export function getOidcOptions() {
+    const toList = (value) => (Array.isArray(value) ? value : [value]).filter(x => x !== null && x !== undefined && x !== '').map(String);
+
+    return {
+        enabled: !!getConfigValue('oidc.enabled', false),
+        buttonText: String(getConfigValue('oidc.buttonText', 'Log in with SSO')),
+        discoveryUrl: String(getConfigValue('oidc.discoveryUrl', '')),
+        clientId: String(getConfigValue('oidc.clientId', '')),
+        clientSecret: String(getConfigValue('oidc.clientSecret', '')),
+        redirectUrl: String(getConfigValue('oidc.redirectUrl', '')),
+        scopes: String(getConfigValue('oidc.scopes', 'openid profile email')),
+        handleClaim: String(getConfigValue('oidc.handleClaim', 'preferred_username')),
+        nameClaim: String(getConfigValue('oidc.nameClaim', 'name')),
+        groupsClaim: String(getConfigValue('oidc.groupsClaim', 'groups')),
+        allowedGroups: toList(getConfigValue('oidc.allowedGroups', [])),
+        adminGroups: toList(getConfigValue('oidc.adminGroups', [])),
+        users: getConfigValue('oidc.users', {}) ?? {},
+        autoProvision: !!getConfigValue('oidc.autoProvision', false),
+    };
+}
+
+/**
+ * Checks if the single sign-on login is enabled and configured.
+ * @returns {boolean} Whether users can log in with the identity provider
+ */
+export function isOidcEnabled() {
+    const options = getOidcOptions();
+    return !!getConfigValue('enableUserAccounts', false) && options.enabled && !!options.discoveryUrl && !!options.clientId;
+}
+
+/**
+ * Fetches a JSON document from the identity provider.
+ * @param {string} url URL
+ * @param {import('node-fetch').RequestInit} [init] Request options
+ * @returns {Promise<any>} Parsed response
+ */
+async function fetchJson(url, init) {
+    const response = await fetch(url, { ...init, headers: { 'Accept': 'application/json', ...init?.headers } });
+    const text = await response.text();
+
+    if (!response.ok) {
+        throw new Error(`Identity provider returned ${response.status} for ${url}: ${text.slice(0, 500)}`);
+    }
+
+    return JSON.parse(text);
+}
+
+/**
+ * Gets the discovery document of the identity provider.
+ * @param {OidcOptions} options Options
+ * @returns {Promise<any>} Provider metadata
+ */
+async function getProviderMetadata(options) {
+    const url = options.discoveryUrl.endsWith(DISCOVERY_PATH)
+        ? options.discoveryUrl
+        : options.discoveryUrl.replace(/\/+$/, '') + DISCOVERY_PATH;
+
+    const cached = METADATA_CACHE.get(url);
+    if (cached) {
+        return cached;
+    }
+
+    const metadata = await fetchJson(url);
+
+    for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!metadata[field]) {
+            throw new Error(`Discovery document at ${url} has no ${field}`);
+        }
+    }
+
+    METADATA_CACHE.set(url, metadata);
+    return metadata;
+}
+
+/**
+ * Gets the signing keys of the identity provider.
+ * @param {any} metadata Provider metadata
+ * @param {boolean} refresh Fetch the keys again, e.g. after the keys were rotated
+ * @returns {Promise<any[]>} JSON web keys
+ */
+async function getProviderKeys(metadata, refresh) {
+    const cached = METADATA_CACHE.get(metadata.jwks_uri);
+    if (cached && !refresh) {
+        return cached;
+    }
+
+    const jwks = await fetchJson(metadata.jwks_uri);
+    const keys = Array.isArray(jwks?.keys) ? jwks.keys : [];
+    METADATA_CACHE.set(metadata.jwks_uri, keys);
+    return keys;
+}
+
+/**
+ * Gets the URL the identity provider redirects to after the login.
+ * @param {import('express').Request} request Request object
+ * @param {OidcOptions} options Options
+ * @returns {string} Callback URL
+ */
+function getRedirectUrl(request, options) {
+    return options.redirectUrl || `${request.protocol}://${request.get('host')}${OIDC_CALLBACK_PATH}`;
+}
+
+/**
+ * Starts a login with the identity provider.
+ * @param {import('express').Request} request Request object
+ * @returns {Promise<{ url: string, state: string }>} URL to redirect the user to and the state to store in the browser
+ */
+export async function beginOidcLogin(request) {
+    const options = getOidcOptions();
+    const metadata = await getProviderMetadata(options);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    const redirectUrl = getRedirectUrl(request, options);
+
+    PENDING_LOGINS.set(state, { nonce, verifier, redirectUrl });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', options.clientId);
+    url.searchParams.set('redirect_uri', redirectUrl);
+    url.searchParams.set('scope', options.scopes.includes('openid') ? options.scopes : `openid ${options.scopes}`.trim());
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', challenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.toString(), state };
+}
+
+/**
+ * Exchanges the authorization code for tokens.
+ * @param {OidcOptions} options Options
+ * @param {any} metadata Provider metadata
+ * @param {string} code Authorization code
+ * @param {{ verifier: string, redirectUrl: string }} login Pending login
+ * @returns {Promise<any>} Token response
+ */
+async function requestTokens(options, metadata, code, login) {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: login.redirectUrl,
+        code_verifier: login.verifier,
+        client_id: options.clientId,
+    });
+
+    /** @type {Record<string, string>} */
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const authMethods = metadata.token_endpoint_auth_methods_supported ?? ['client_secret_basic'];
+
+    if (options.clientSecret) {
+        if (authMethods.includes('client_secret_basic')) {
+            const credentials = `${encodeURIComponent(options.clientId)}:${encodeURIComponent(options.clientSecret)}`;
+            headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            body.set('client_secret', options.clientSecret);
+        }
+    }
+
+    return await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+}
+
+/**
+ * Verifies the signature of a JSON web token.
+ * @param {string[]} parts Encoded header, payload and signature
+ * @param {any} header Decoded header
+ * @param {any[]} keys JSON web keys of the identity provider
+ * @param {string} clientSecret Client secret, used as the key for HMAC signatures
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyJwtSignature(parts, header, keys, clientSecret) {
+    const algorithm = String(header.alg);
+    const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+
+    if (!Object.hasOwn(JWS_HASHES, algorithm)) {
+        throw new OidcError(`Unsupported token signature algorithm: ${algorithm}`);
+    }
+
+    const hash = JWS_HASHES[algorithm];
+
+    if (algorithm.startsWith('HS')) {
+        if (!clientSecret) {
+            return false;
+        }
+
+        const expected = crypto.createHmac(hash, clientSecret).update(data).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const jwk = keys.find(x => (!header.kid || x.kid === header.kid) && (!x.use || x.use === 'sig') && (!x.alg || x.alg === algorithm));
+
+    if (!jwk) {
+        return false;
+    }
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    if (algorithm.startsWith('PS')) {
+        const saltLength = Number(algorithm.slice(2)) / 8;
+        return crypto.verify(hash, data, { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength }, signature);
+    }
+
+    if (algorithm.startsWith('ES')) {
+        return crypto.verify(hash, data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    }
+
+    return crypto.verify(hash, data, key, signature);
+}
+
+/**
+ * Verifies the ID token and returns its claims.
+ * @param {string} idToken ID token
+ * @param {OidcOptions} options Options
+ * @param {any} metadata Provider metadata
+ * @param {string} nonce Nonce sent with the login
+ * @returns {Promise<Record<string, any>>} Claims
+ */
+async function verifyIdToken(idToken, options, metadata, nonce) {
+    const parts = String(idToken ?? '').split('.');
+
+    if (parts.length !== 3) {
+        throw new OidcError('Identity provider did not return an ID token');
+    }
+
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+
+    const isValid = verifyJwtSignature(parts, header, await getProviderKeys(metadata, false), options.clientSecret)
+        || (!header.alg?.startsWith('HS') && verifyJwtSignature(parts, header, await getProviderKeys(metadata, true), options.clientSecret));
+
+    if (!isValid) {
+        throw new OidcError('ID token signature is invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== metadata.issuer) {
+        throw new OidcError('ID token was issued by another provider');
+    }
+
+    if (!audiences.includes(options.clientId)) {
+        throw new OidcError('ID token was issued for another client');
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < now) {
+        throw new OidcError('ID token has expired');
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new OidcError('ID token does not belong to this login');
+    }
+
+    if (!claims.sub) {
+        throw new OidcError('ID token has no subject');
+    }
+
+    return claims;
+}
+
+/**
+ * Completes a login with the authorization code returned by the identity provider.
+ * @param {string} state State returned by the identity provider
+ * @param {string} code Authorization code
+ * @returns {Promise<Record<string, any>>} Claims of the user from the ID token and the user info endpoint
+ */
+export async function completeOidcLogin(state, code) {
+    const login = PENDING_LOGINS.get(state);
+
+    if (!login) {
+        throw new OidcError('Login has expired. Try again.');
+    }
+
+    PENDING_LOGINS.remove(state);
+
+    const options = getOidcOptions();
+    const metadata = await getProviderMetadata(options);
+    const tokens = await requestTokens(options, metadata, code, login);
+    const claims = await verifyIdToken(tokens.id_token, options, metadata, login.nonce);
+
+    // Groups and profile claims are often only available from the user info endpoint
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+        try {
+            const userInfo = await fetchJson(metadata.userinfo_endpoint, { headers: { 'Authorization': `Bearer ${tokens.access_token}` } });
+            if (userInfo?.sub === claims.sub) {
+                return { ...userInfo, ...claims };
+            }
+        } catch (error) {
+            console.warn('OIDC user info request failed:', error.message);
+        }
+    }
+
+    return claims;
+}
+
+/**
+ * Gets the groups of the user from the claims.
+ * @param {Record<string, any>} claims Claims
+ * @param {string} groupsClaim Name of the groups claim
+ * @returns {string[]} Groups
+ */
+function getGroups(claims, groupsClaim) {
+    const value = _.get(claims, groupsClaim);
+
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+
+    return typeof value === 'string' ? value.split(/[\s,]+/).filter(x => x) : [];
+}
+
+/**
+ * Checks if a user can only log in with the identity provider.
+ * Accounts created by the single sign-on login have no usable password.
+ * @param {import('./users.js').User} user User
+ * @returns {boolean} Whether the password login is not allowed
+ */
+export function isSsoOnlyUser(user) {
+    return !!user.ssoOnly || (!!user.oidc && !user.password);
+}
+
+/**
+ * Finds the account of an identity provider user, links it or creates it.
+ * Existing accounts are only linked when an admin assigned the subject to them in the config.
+ * @param {Record<string, any>} claims Verified claims of the user
+ * @returns {Promise<import('./users.js').User>} User to log in
+ */
+export async function getOidcUser(claims) {
+    const options = getOidcOptions();
+    const groups = getGroups(claims, options.groupsClaim);
+    const subject = String(claims.sub);
+    const issuer = String(claims.iss);
+
+    if (options.allowedGroups.length && !groups.some(x => options.allowedGroups.includes(x))) {
+        console.log('OIDC login failed: Subject', subject, 'is not in an allowed group');
+        throw new OidcError('You are not allowed to use this server');
+    }
+
+    /** @type {import('./users.js').User[]} */
+    const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+    let user = users.find(x => x.oidc?.issuer === issuer && x.oidc?.subject === subject);
+
+    if (!user && Object.hasOwn(options.users, subject)) {
+        user = users.find(x => x.handle === options.users[subject]);
+
+        if (user?.oidc && (user.oidc.issuer !== issuer || user.oidc.subject !== subject)) {
+            console.log('OIDC login failed: Account', user.handle, 'is linked to another subject');
+            throw new OidcError('Your account is linked to another identity. Ask an admin to link it.');
+        }
+    }
+
+    if (!user) {
+        const handle = _.kebabCase(String(_.get(claims, options.handleClaim) ?? '').toLowerCase().trim());
+        const existing = users.find(x => x.handle === handle);
+
+        if (existing) {
+            console.log('OIDC login failed: Handle', handle, 'of subject', subject, 'is taken by another account');
+            throw new OidcError('An account with your user name already exists. Ask an admin to link it.');
+        } else if (!options.autoProvision) {
+            console.log('OIDC login failed: No account for subject', subject);
+            throw new OidcError('You do not have an account on this server. Ask an admin to create it.');
+        } else if (!handle) {
+            console.log('OIDC login failed: Subject', subject, 'has no', options.handleClaim, 'claim');
+            throw new OidcError('Identity provider did not return a user name');
+        } else {
+            const salt = getPasswordSalt();
+            user = {
+                handle: handle,
+                name: String(_.get(claims, options.nameClaim) || handle),
+                created: Date.now(),
+                // Nobody knows this password, so an empty password can't be used to log in
+                password: getPasswordHash(crypto.randomBytes(32).toString('base64'), salt),
+                salt: salt,
+                admin: false,
+                enabled: true,
+                ssoOnly: true,
+            };
+
+            console.log('Creating OIDC user', handle, 'for subject', subject);
+            await storage.setItem(toKey(handle), user);
+            await ensurePublicDirectoriesExist();
+            await checkForNewContent([getUserDirectories(handle)]);
+            recordAuditEvent('user.create', { actor: handle, target: handle, details: { method: 'oidc', subject } });
+        }
+    }
+
+    if (!user.enabled) {
+        console.log('OIDC login failed: User', user.handle, 'is disabled');
+        throw new OidcError('User is disabled');
+    }
+
+    user.oidc = { issuer, subject };
+
+    if (options.adminGroups.length) {
+        const admin = groups.some(x => options.adminGroups.includes(x));
+
+        if (admin !== !!user.admin) {
+            recordAuditEvent(admin ? 'user.promote' : 'user.demote', { actor: user.handle, target: user.handle, details: { method: 'oidc', groups } });
+        }
+
+        user.admin = admin;
+    }
+
+    await storage.setItem(toKey(user.handle), user);
+    return user;
+}
@@ -1,16 +1,80 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import url from 'node:url';
+import { createRequire } from 'node:module';
 
 import express from 'express';
+import storage from 'node-persist';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
 import { getConfigValue } from './util.js';
+import { recordAuditEvent } from './audit-log.js';
 const enableServerPlugins = getConfigValue('enableServerPlugins', false);
 
 /**
- * Map of loaded plugins.
- * @type {Map<string, any>}
+ * Storage key of the list of plugins disabled by an admin.
  */
-const loadedPlugins = new Map();
+const DISABLED_PLUGINS_KEY = 'disabledPlugins';
+
+/**
+ * Name of the file with the per-user plugin settings in the user's data root.
+ */
+const USER_PLUGINS_FILE = 'plugins.json';
+
+/**
+ * Maximum time a plugin's init function can take before it is considered failed.
+ */
+const INIT_TIMEOUT = 30_000;
+
+/**
+ * @typedef {Object} PluginSetting
+ * @property {string} key Setting key
+ * @property {string} [label] Setting label
+ * @property {'text'|'number'|'boolean'|'select'} type Setting type
+ * @property {any} [default] Default value
+ * @property {string[]} [options] Options of a select setting
+ */
+
+/**
+ * @typedef {Object} PluginInfo
+ * @property {string} id Plugin ID, used in the API routes
+ * @property {string} name Plugin name
+ * @property {string} description Plugin description
+ * @property {string} [version] Plugin version
+ * @property {string[]|Record<string, string>} [dependencies] IDs of the plugins that must be loaded first, optionally mapped to their minimum version
+ * @property {string[]} [requiredConfig] Keys of the config.yaml values that must be set for the plugin to work
+ * @property {PluginSetting[]} [settings] Settings every user can change for themselves
+ * @property {string} [client] Folder of the companion UI extension, relative to the plugin folder
+ */
+
+/**
+ * @typedef {Object} PluginRecord
+ * @property {string} key Name of the plugin file or folder in the plugins directory
+ * @property {string} source Path to the plugin file or folder
+ * @property {PluginInfo|null} info Plugin info, once the plugin module was imported
+ * @property {'loaded'|'disabled'|'failed'|'blocked'} status Plugin status. Blocked plugins miss a dependency or config value
+ * @property {string} [error] Why the plugin failed or is blocked
+ * @property {any} [module] Plugin module
+ * @property {import('express').Router} [router] API routes of the plugin
+ * @property {Function} [exit] Plugin exit function
+ * @property {number} [loaded] When the plugin was loaded, as a Unix timestamp in milliseconds
+ */
+
+/**
+ * Map of plugins found in the plugins directory by their key.
+ * @type {Map<string, PluginRecord>}
+ */
+const plugins = new Map();
+
+/**
+ * Path to the plugins directory.
+ * @type {string|null}
+ */
+let pluginsDirectory = null;
+
+/**
+ * Number of plugin imports. Makes the module loader import changed plugins again instead of using its cache.
+ */
+let importGeneration = 0;
 
 /**
  * Determine if a file is a CommonJS module.
@@ -34,7 +98,6 @@ const isESModule = (file) => path.extname(file) === '.mjs';
  * be called before the server shuts down.
  */
 export async function loadPlugins(app, pluginsPath) {
-    const exitHooks = [];
     const emptyFn = () => { };
 
     // Server plugins are disabled.
@@ -47,100 +110,178 @@ export async function loadPlugins(app, pluginsPath) {
         return emptyFn;
     }
 
-    const files = fs.readdirSync(pluginsPath);
+    pluginsDirectory = pluginsPath;
 
-    // No plugins to load.
-    if (files.length === 0) {
-        return emptyFn;
-    }
+    // Plugins are looked up on every request, so they can be loaded and unloaded at any time
+    app.use('/api/plugins/:id', handlePluginRequest);
+    app.use('/scripts/extensions/plugins/:id', handlePluginClientRequest);
 
-    for (const file of files) {
-        const pluginFilePath = path.join(pluginsPath, file);
+    await scanPlugins();
 
-        if (fs.statSync(pluginFilePath).isDirectory()) {
-            await loadFromDirectory(app, pluginFilePath, exitHooks);
-            continue;
+    // Call all plugin "exit" functions at once and wait for them to finish
+    return () => Promise.all(Array.from(plugins.values()).map(record => callExit(record)));
+}
+
+/**
+ * Checks if server plugins are enabled in the config.
+ * @returns {boolean} Whether server plugins are enabled
+ */
+export function isServerPluginsEnabled() {
+    return !!enableServerPlugins && pluginsDirectory !== null;
+}
+
+/**
+ * Finds the plugins in the plugins directory and loads the new and enabled ones.
+ * @returns {Promise<void>}
+ */
+export async function scanPlugins() {
+    if (!pluginsDirectory) {
+        return;
+    }
+
+    const disabled = await getDisabledPlugins();
+    const keys = fs.readdirSync(pluginsDirectory).filter(file => {
+        const filePath = path.join(pluginsDirectory, file);
+        return fs.statSync(filePath).isDirectory() ? !file.startsWith('.') : isCommonJS(file) || isESModule(file);
+    });
+
+    // Forget the plugins that were removed from the directory
+    for (const [key, record] of plugins) {
+        if (!keys.includes(key)) {
+            await unloadPlugin(record);
+            plugins.delete(key);
         }
+    }
 
-        // Not a JavaScript file.
-        if (!isCommonJS(file) && !isESModule(file)) {
+    for (const key of keys) {
+        if (plugins.has(key)) {
             continue;
         }
 
-        await loadFromFile(app, pluginFilePath, exitHooks);
+        const record = { key, source: path.join(pluginsDirectory, key), info: readPackageInfo(path.join(pluginsDirectory, key)), status: 'disabled' };
+        plugins.set(key, /** @type {PluginRecord} */ (record));
+
+        if (!disabled.includes(key)) {
+            await importPlugin(plugins.get(key));
+        }
     }
 
-    // Call all plugin "exit" functions at once and wait for them to finish
-    return () => Promise.all(exitHooks.map(exitFn => exitFn()));
+    await initPendingPlugins();
 }
 
-async function loadFromDirectory(app, pluginDirectoryPath, exitHooks) {
-    const files = fs.readdirSync(pluginDirectoryPath);
+/**
+ * Reads the plugin info from a package.json file, so disabled plugins can be listed without importing them.
+ * @param {string} source Path to the plugin file or folder
+ * @returns {PluginInfo|null} Plugin info, or null if the plugin has no package.json
+ */
+function readPackageInfo(source) {
+    try {
+        const packageJsonPath = path.join(source, 'package.json');
+
+        if (!fs.existsSync(packageJsonPath)) {
+            return null;
+        }
 
-    // No plugins to load.
-    if (files.length === 0) {
-        return;
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        return { id: '', name: String(packageJson.name ?? ''), description: String(packageJson.description ?? ''), version: packageJson.version };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Finds the entry point of a plugin.
+ * @param {string} source Path to the plugin file or folder
+ * @returns {string|null} Path to the plugin module, or null if not found
+ */
+function resolvePluginEntry(source) {
+    if (!fs.statSync(source).isDirectory()) {
+        return source;
     }
 
     // Plugin is an npm package.
-    const packageJsonFilePath = path.join(pluginDirectoryPath, 'package.json');
+    const packageJsonFilePath = path.join(source, 'package.json');
     if (fs.existsSync(packageJsonFilePath)) {
-        if (await loadFromPackage(app, packageJsonFilePath, exitHooks)) {
-            return;
+        try {
+            const packageJson = JSON.parse(fs.readFileSync(packageJsonFilePath, 'utf8'));
+            if (packageJson.main) {
+                return path.join(source, packageJson.main);
+            }
+        } catch (error) {
+            console.error(`Failed to read ${packageJsonFilePath}: ${error}`);
         }
     }
 
     // Plugin is a module file.
-    const fileTypes = ['index.js', 'index.cjs', 'index.mjs'];
-
-    for (const fileType of fileTypes) {
-        const filePath = path.join(pluginDirectoryPath, fileType);
+    for (const fileType of ['index.js', 'index.cjs', 'index.mjs']) {
+        const filePath = path.join(source, fileType);
         if (fs.existsSync(filePath)) {
-            if (await loadFromFile(app, filePath, exitHooks)) {
-                return;
-            }
+            return filePath;
         }
     }
+
+    return null;
 }
 
 /**
- * Loads and initializes a plugin from an npm package.
- * @param {import('express').Express} app Express app
- * @param {string} packageJsonPath Path to package.json file
- * @param {Array<Function>} exitHooks Array of functions to be run on plugin exit. Will be pushed to if the plugin has
- * an "exit" function.
- * @returns {Promise<boolean>} Promise that resolves to true if plugin was loaded successfully
+ * Imports the module of a plugin and validates its info. Doesn't initialize the plugin.
+ * @param {PluginRecord} record Plugin record
+ * @returns {Promise<boolean>} Whether the plugin was imported successfully
  */
-async function loadFromPackage(app, packageJsonPath, exitHooks) {
+async function importPlugin(record) {
+    const fail = (error) => {
+        console.error(`Failed to load plugin from ${record.source}: ${error}`);
+        Object.assign(record, { status: 'failed', error: String(error), module: null });
+        return false;
+    };
+
     try {
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-        if (packageJson.main) {
-            const pluginFilePath = path.join(path.dirname(packageJsonPath), packageJson.main);
-            return await loadFromFile(app, pluginFilePath, exitHooks);
+        const entry = resolvePluginEntry(record.source);
+
+        if (!entry) {
+            return fail('plugin module not found');
         }
-    } catch (error) {
-        console.error(`Failed to load plugin from ${packageJsonPath}: ${error}`);
-    }
-    return false;
-}
 
-/**
- * Loads and initializes a plugin from a file.
- * @param {import('express').Express} app Express app
- * @param {string} pluginFilePath Path to plugin directory
- * @param {Array.<Function>} exitHooks Array of functions to be run on plugin exit. Will be pushed to if the plugin has
- * an "exit" function.
- * @returns {Promise<boolean>} Promise that resolves to true if plugin was loaded successfully
- */
-async function loadFromFile(app, pluginFilePath, exitHooks) {
-    try {
-        const fileUrl = url.pathToFileURL(pluginFilePath).toString();
-        const plugin = await import(fileUrl);
-        console.log(`Initializing plugin from ${pluginFilePath}`);
-        return await initPlugin(app, plugin, exitHooks);
+        // Forget the cached CommonJS modules of the plugin, so a reload picks up the changes
+        const requireCache = createRequire(import.meta.url).cache;
+        for (const cachedPath of Object.keys(requireCache)) {
+            if (cachedPath === entry || cachedPath.startsWith(record.source + path.sep)) {
+                delete requireCache[cachedPath];
+            }
+        }
+
+        const fileUrl = url.pathToFileURL(entry).toString();
+        const plugin = await import(`${fileUrl}?v=${++importGeneration}`);
+        const info = plugin.info || plugin.default?.info;
+
+        if (typeof info !== 'object') {
+            return fail('plugin info not found');
+        }
+
+        // Name and description are shown in the plugin manager
+        for (const field of ['id', 'name', 'description']) {
+            if (typeof info[field] !== 'string') {
+                return fail(`plugin info missing field '${field}'`);
+            }
+        }
+
+        if (!isValidPluginID(info.id)) {
+            return fail(`invalid plugin ID '${info.id}'`);
+        }
+
+        const duplicate = Array.from(plugins.values()).find(x => x !== record && x.info?.id === info.id && x.module);
+        if (duplicate) {
+            return fail(`plugin ID '${info.id}' is already in use by ${duplicate.key}`);
+        }
+
+        if (typeof (plugin.init || plugin.default?.init) !== 'function') {
+            return fail('no init function');
+        }
+
+        Object.assign(record, { info, module: plugin, status: 'blocked', error: undefined });
+        return true;
     } catch (error) {
-        console.error(`Failed to load plugin from ${pluginFilePath}: ${error}`);
-        return false;
+        return fail(error);
     }
 }
 
@@ -154,63 +295,412 @@ function isValidPluginID(id) {
 }
 
 /**
- * Initializes a plugin module.
- * @param {import('express').Express} app Express app
- * @param {any} plugin Plugin module
- * @param {Array.<Function>} exitHooks Array of functions to be run on plugin exit. Will be pushed to if the plugin has
- * an "exit" function.
+ * Compares two version strings.
+ * @param {string} a First version
+ * @param {string} b Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split(/[.+-]/).map(x => parseInt(x) || 0);
+    const partsB = String(b).split(/[.+-]/).map(x => parseInt(x) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Gets the dependencies of a plugin as a map of plugin IDs to minimum versions.
+ * @param {PluginInfo} info Plugin info
+ * @returns {Record<string, string>} Dependencies
+ */
+function getDependencies(info) {
+    if (Array.isArray(info?.dependencies)) {
+        return Object.fromEntries(info.dependencies.map(id => [String(id), '']));
+    }
+
+    if (info?.dependencies && typeof info.dependencies === 'object') {
+        // Only minimum versions are supported, so range operators are ignored
+        return Object.fromEntries(Object.entries(info.dependencies).map(([id, version]) => [id, String(version ?? '').replace(/^[\^~>=v\s]+/, '')]));
+    }
+
+    return {};
+}
+
+/**
+ * Checks if a plugin can be initialized.
+ * @param {PluginRecord} record Plugin record
+ * @returns {string|null} Why the plugin can't be initialized, or null if it can
+ */
+function getBlockingReason(record) {
+    const missingConfig = (Array.isArray(record.info.requiredConfig) ? record.info.requiredConfig : [])
+        .filter(key => [undefined, null, ''].includes(getConfigValue(key, undefined)));
+
+    if (missingConfig.length) {
+        return `Missing config values: ${missingConfig.join(', ')}`;
+    }
+
+    for (const [id, minVersion] of Object.entries(getDependencies(record.info))) {
+        const dependency = Array.from(plugins.values()).find(x => x.info?.id === id && x.module);
+
+        if (!dependency || dependency.status !== 'loaded') {
+            return `Dependency '${id}' is ${dependency ? dependency.status : 'not installed or disabled'}`;
+        }
+
+        if (minVersion && compareVersions(dependency.info.version ?? '0', minVersion) < 0) {
+            return `Dependency '${id}' ${dependency.info.version ?? ''} is older than ${minVersion}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Initializes the imported plugins in the dependency order. Plugins with unmet dependencies stay blocked.
+ * @returns {Promise<void>}
+ */
+async function initPendingPlugins() {
+    let progress = true;
+
+    while (progress) {
+        progress = false;
+
+        for (const record of plugins.values()) {
+            if (record.status !== 'blocked' || !record.module) {
+                continue;
+            }
+
+            record.error = getBlockingReason(record) ?? undefined;
+
+            if (!record.error) {
+                await initPlugin(record);
+                progress = progress || record.status === 'loaded';
+            }
+        }
+    }
+
+    for (const record of plugins.values()) {
+        if (record.status === 'blocked') {
+            console.warn(`Plugin ${record.info?.id ?? record.key} was not loaded: ${record.error}`);
+        }
+    }
+}
+
+/**
+ * Initializes a plugin module. Errors and timeouts only fail this plugin.
+ * @param {PluginRecord} record Plugin record
  * @returns {Promise<boolean>} Promise that resolves to true if plugin was initialized successfully
  */
-async function initPlugin(app, plugin, exitHooks) {
-    const info = plugin.info || plugin.default?.info;
-    if (typeof info !== 'object') {
-        console.error('Failed to load plugin module; plugin info not found');
+async function initPlugin(record) {
+    const { id } = record.info;
+    const init = record.module.init || record.module.default?.init;
+
+    // Allow the plugin to register API routes under /api/plugins/[plugin ID] via a router
+    const router = express.Router();
+    const context = {
+        info: record.info,
+        getUserSettings: (/** @type {import('express').Request} */ request) => getUserPluginSettings(request.user.directories, id),
+    };
+
+    console.log(`Initializing plugin from ${record.source}`);
+
+    let timeout;
+    try {
+        await Promise.race([
+            init(router, context),
+            new Promise((_, reject) => { timeout = setTimeout(() => reject(new Error(`init timed out after ${INIT_TIMEOUT / 1000} seconds`)), INIT_TIMEOUT); }),
+        ]);
+    } catch (error) {
+        console.error(`Failed to initialize plugin ${id}: ${error}`);
+        Object.assign(record, { status: 'failed', error: String(error) });
+        recordAuditEvent('plugin.load', { target: id, success: false, details: { source: record.source, reason: String(error) } });
         return false;
+    } finally {
+        clearTimeout(timeout);
     }
 
-    // We don't currently use "name" or "description" but it would be nice to have a UI for listing server plugins, so
-    // require them now just to be safe
-    for (const field of ['id', 'name', 'description']) {
-        if (typeof info[field] !== 'string') {
-            console.error(`Failed to load plugin module; plugin info missing field '${field}'`);
-            return false;
+    const exit = record.module.exit || record.module.default?.exit;
+    Object.assign(record, {
+        status: 'loaded',
+        error: undefined,
+        router: router.stack.length > 0 ? router : undefined,
+        exit: typeof exit === 'function' ? exit : undefined,
+        loaded: Date.now(),
+    });
+
+    recordAuditEvent('plugin.load', { target: id, details: { source: record.source } });
+    return true;
+}
+
+/**
+ * Calls the exit function of a loaded plugin.
+ * @param {PluginRecord} record Plugin record
+ * @returns {Promise<void>}
+ */
+async function callExit(record) {
+    if (record.status !== 'loaded' || !record.exit) {
+        return;
+    }
+
+    try {
+        await record.exit();
+    } catch (error) {
+        console.error(`Plugin ${record.info.id} failed to exit: ${error}`);
+    }
+}
+
+/**
+ * Unloads a plugin and the plugins that depend on it.
+ * @param {PluginRecord} record Plugin record
+ * @param {PluginRecord['status']} [status] Status of the unloaded plugin
+ * @returns {Promise<PluginRecord[]>} Unloaded dependent plugins
+ */
+async function unloadPlugin(record, status = 'disabled') {
+    const dependents = [];
+
+    if (record.status === 'loaded') {
+        for (const other of plugins.values()) {
+            if (other.status === 'loaded' && record.info && getDependencies(other.info)[record.info.id] !== undefined) {
+                dependents.push(other, ...await unloadPlugin(other, 'blocked'));
+                other.error = `Dependency '${record.info.id}' was unloaded`;
+            }
         }
     }
 
-    const init = plugin.init || plugin.default?.init;
-    if (typeof init !== 'function') {
-        console.error('Failed to load plugin module; no init function');
-        return false;
+    await callExit(record);
+    Object.assign(record, { status, router: undefined, exit: undefined, error: undefined, loaded: undefined });
+
+    if (status === 'disabled') {
+        record.module = null;
     }
 
-    const { id } = info;
+    return dependents;
+}
 
-    if (!isValidPluginID(id)) {
-        console.error(`Failed to load plugin module; invalid plugin ID '${id}'`);
-        return false;
+/**
+ * Gets the keys of the plugins disabled by an admin.
+ * @returns {Promise<string[]>} Plugin keys
+ */
+async function getDisabledPlugins() {
+    const disabled = await storage.getItem(DISABLED_PLUGINS_KEY);
+    return Array.isArray(disabled) ? disabled : [];
+}
+
+/**
+ * Enables or disables a plugin for all users.
+ * @param {string} key Plugin key
+ * @param {boolean} enabled Whether the plugin should be enabled
+ * @returns {Promise<PluginRecord|null>} Updated plugin, or null if not found
+ */
+export async function setPluginEnabled(key, enabled) {
+    const record = plugins.get(key);
+
+    if (!record) {
+        return null;
     }
 
-    if (loadedPlugins.has(id)) {
-        console.error(`Failed to load plugin module; plugin ID '${id}' is already in use`);
-        return false;
+    const disabled = (await getDisabledPlugins()).filter(x => x !== key);
+    await storage.setItem(DISABLED_PLUGINS_KEY, enabled ? disabled : [...disabled, key]);
+
+    if (!enabled) {
+        console.log(`Disabling plugin ${record.info?.id ?? key}`);
+        await unloadPlugin(record);
+        return record;
     }
 
-    // Allow the plugin to register API routes under /api/plugins/[plugin ID] via a router
-    const router = express.Router();
+    if (record.status === 'disabled' || record.status === 'failed') {
+        await importPlugin(record);
+        await initPendingPlugins();
+    }
 
-    await init(router);
+    return record;
+}
 
-    loadedPlugins.set(id, plugin);
+/**
+ * Imports and initializes a plugin again. The plugins that depend on it are reloaded too.
+ * Note that only the plugin entry module is imported again. Other ES modules it imports stay cached.
+ * @param {string} key Plugin key
+ * @returns {Promise<PluginRecord|null>} Reloaded plugin, or null if not found
+ */
+export async function reloadPlugin(key) {
+    const record = plugins.get(key);
 
-    // Add API routes to the app if the plugin registered any
-    if (router.stack.length > 0) {
-        app.use(`/api/plugins/${id}`, router);
+    if (!record) {
+        return null;
     }
 
-    const exit = plugin.exit || plugin.default?.exit;
-    if (typeof exit === 'function') {
-        exitHooks.push(exit);
+    if ((await getDisabledPlugins()).includes(key)) {
+        return record;
     }
 
-    return true;
+    console.log(`Reloading plugin ${record.info?.id ?? key}`);
+    const dependents = await unloadPlugin(record, 'blocked');
+
+    if (await importPlugin(record)) {
+        for (const dependent of dependents) {
+            await importPlugin(dependent);
+        }
+    }
+
+    await initPendingPlugins();
+    return record;
+}
+
+/**
+ * Gets the plugin records.
+ * @returns {PluginRecord[]} Plugins
+ */
+export function getPlugins() {
+    return Array.from(plugins.values());
+}
+
+/**
+ * Finds a loaded plugin by its ID.
+ * @param {string} id Plugin ID
+ * @returns {PluginRecord|undefined} Plugin record
+ */
+export function getLoadedPlugin(id) {
+    return Array.from(plugins.values()).find(x => x.status === 'loaded' && x.info?.id === id);
+}
+
+/**
+ * Reads the per-user plugin settings file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Record<string, { enabled?: boolean, settings?: Record<string, any> }>} Settings by plugin ID
+ */
+function readUserPluginsFile(directories) {
+    try {
+        const filePath = path.join(directories.root, USER_PLUGINS_FILE);
+        return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    } catch (error) {
+        console.error('Failed to read the user plugin settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Checks if a user has a plugin enabled. Plugins are enabled for everyone unless a user turns them off.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} id Plugin ID
+ * @returns {boolean} Whether the plugin is enabled for the user
+ */
+export function isPluginEnabledForUser(directories, id) {
+    return readUserPluginsFile(directories)[id]?.enabled !== false;
+}
+
+/**
+ * Gets the settings of a plugin for a user, with the defaults from the plugin info.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} id Plugin ID
+ * @returns {Record<string, any>} Plugin settings
+ */
+export function getUserPluginSettings(directories, id) {
+    const schema = getLoadedPlugin(id)?.info?.settings;
+    const defaults = Array.isArray(schema) ? Object.fromEntries(schema.map(x => [x.key, x.default])) : {};
+    return { ...defaults, ...readUserPluginsFile(directories)[id]?.settings };
+}
+
+/**
+ * Saves the state and settings of a plugin for a user. Only the settings declared by the plugin are saved.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} id Plugin ID
+ * @param {{ enabled?: boolean, settings?: Record<string, any> }} state Plugin state
+ */
+export function saveUserPluginState(directories, id, state) {
+    const data = readUserPluginsFile(directories);
+    const schema = getLoadedPlugin(id)?.info?.settings;
+    const entry = data[id] ?? {};
+
+    if (typeof state.enabled === 'boolean') {
+        entry.enabled = state.enabled;
+    }
+
+    if (state.settings && typeof state.settings === 'object' && Array.isArray(schema)) {
+        entry.settings = { ...entry.settings };
+
+        for (const setting of schema) {
+            if (Object.hasOwn(state.settings, setting.key)) {
+                const value = state.settings[setting.key];
+                entry.settings[setting.key] = setting.type === 'number' ? Number(value) : setting.type === 'boolean' ? !!value : value;
+            }
+        }
+    }
+
+    data[id] = entry;
+    writeFileAtomicSync(path.join(directories.root, USER_PLUGINS_FILE), JSON.stringify(data, null, 4), 'utf8');
+}
+
+/**
+ * Gets the path to the companion UI extension of a loaded plugin.
+ * @param {PluginRecord} record Plugin record
+ * @returns {string|null} Path to the extension folder, or null if the plugin has none
+ */
+function getClientPath(record) {
+    if (typeof record.info?.client !== 'string' || !fs.statSync(record.source).isDirectory()) {
+        return null;
+    }
+
+    const clientPath = path.resolve(record.source, record.info.client);
+    const relativePath = path.relative(record.source, clientPath);
+
+    // The extension must be inside the plugin folder, not in a sibling folder sharing its name prefix
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+        return null;
+    }
+
+    return fs.existsSync(path.join(clientPath, 'manifest.json')) ? clientPath : null;
+}
+
+/**
+ * Gets the names of the companion UI extensions of the plugins enabled for a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {string[]} Extension names, relative to the extensions folder
+ */
+export function getPluginClientExtensions(directories) {
+    return getPlugins()
+        .filter(record => record.status === 'loaded' && getClientPath(record) && isPluginEnabledForUser(directories, record.info.id))
+        .map(record => `plugins/${record.info.id}`);
+}
+
+/**
+ * Routes API requests to the loaded plugins.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('express').NextFunction} next Next function
+ */
+function handlePluginRequest(request, response, next) {
+    const record = getLoadedPlugin(request.params.id);
+
+    if (!record?.router) {
+        return next();
+    }
+
+    if (request.user && !isPluginEnabledForUser(request.user.directories, record.info.id)) {
+        return response.status(403).send({ error: 'The plugin is disabled for this user' });
+    }
+
+    return record.router(request, response, next);
+}
+
+/**
+ * Serves the files of the companion UI extensions of the loaded plugins.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('express').NextFunction} next Next function
+ */
+function handlePluginClientRequest(request, response, next) {
+    const record = getLoadedPlugin(request.params.id);
+    const clientPath = record ? getClientPath(record) : null;
+
+    if (!clientPath) {
+        return next();
+    }
+
+    const filePath = decodeURIComponent(request.path).replace(/^\/+/, '');
+    return response.sendFile(filePath, { root: clientPath }, (error) => error && next());
 }
@@ -0,0 +1,241 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, color } from './util.js';
+
+export const SECRETS_USAGE_FILE = 'secrets-usage.json';
+
+/**
+ * Response statuses that put a key on cooldown and make the request fail over to the next key.
+ * 401/403 - invalid or revoked key, 402 - out of credits, 429 - rate limit or quota exceeded.
+ */
+const ROTATION_STATUSES = [401, 402, 403, 429];
+const RATE_LIMIT_COOLDOWN = Number(getConfigValue('secrets.rotation.rateLimitCooldown', 60)) * 1000;
+const AUTH_ERROR_COOLDOWN = Number(getConfigValue('secrets.rotation.authErrorCooldown', 3600)) * 1000;
+const SAVE_DELAY = 5000;
+const SAVE_MAX_DELAY = 30000;
+
+/**
+ * Timestamps until which the keys are skipped, keyed by user root, secret key and key ID.
+ * @type {Map<string, number>}
+ */
+const COOLDOWNS = new Map();
+
+/**
+ * Usage counters loaded from the disk, keyed by user root directory.
+ * @type {Map<string, Record<string, KeyUsage>>}
+ */
+const USAGE_CACHE = new Map();
+
+/**
+ * Pending writes of the usage counters, keyed by user root directory.
+ * @type {Map<string, import('lodash').DebouncedFunc<() => void>>}
+ */
+const PENDING_SAVES = new Map();
+
+process.on('exit', () => {
+    for (const save of PENDING_SAVES.values()) {
+        save.flush();
+    }
+});
+
+/**
+ * @typedef {Object} KeyUsage
+ * @property {number} requests Number of requests made with the key
+ * @property {number} failures Number of failed requests
+ * @property {number} lastUsed Timestamp of the last request
+ * @property {number} lastStatus HTTP status of the last response
+ */
+
+/**
+ * @typedef {Object} RotationKey
+ * @property {string} id Unique ID of the key
+ * @property {string} label User-facing label of the key
+ * @property {string} value API key
+ */
+
+/**
+ * Gets the cooldown map key of a provider key.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} secretKey Secret key
+ * @param {string} id Key ID
+ * @returns {string} Cooldown key
+ */
+function getCooldownKey(directories, secretKey, id) {
+    return [directories.root, secretKey, id].join('\0');
+}
+
+/**
+ * Loads the usage counters of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Record<string, KeyUsage>} Usage counters keyed by secret key and key ID
+ */
+function loadUsage(directories) {
+    if (USAGE_CACHE.has(directories.root)) {
+        return USAGE_CACHE.get(directories.root);
+    }
+
+    let usage = {};
+    const filePath = path.join(directories.root, SECRETS_USAGE_FILE);
+
+    try {
+        if (fs.existsSync(filePath)) {
+            usage = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        }
+    } catch (error) {
+        console.warn('Failed to read key usage counters:', error);
+    }
+
+    USAGE_CACHE.set(directories.root, usage);
+    return usage;
+}
+
+/**
+ * Schedules a write of the usage counters of a user.
+ * Counters change on every generation, so the writes are batched.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ */
+function saveUsage(directories) {
+    if (!PENDING_SAVES.has(directories.root)) {
+        PENDING_SAVES.set(directories.root, _.debounce(() => {
+            PENDING_SAVES.delete(directories.root);
+
+            try {
+                const usage = loadUsage(directories);
+                writeFileAtomicSync(path.join(directories.root, SECRETS_USAGE_FILE), JSON.stringify(usage, null, 4), 'utf-8');
+            } catch (error) {
+                console.warn('Failed to save key usage counters:', error);
+            }
+        }, SAVE_DELAY, { maxWait: SAVE_MAX_DELAY }));
+    }
+
+    PENDING_SAVES.get(directories.root)();
+}
+
+/**
+ * Gets the cooldown and usage counters of a provider key.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} secretKey Secret key
+ * @param {string} id Key ID
+ * @returns {{ usage: KeyUsage | null, cooldownUntil: number }} Key status
+ */
+export function getKeyStatus(directories, secretKey, id) {
+    const usage = loadUsage(directories)[`${secretKey}/${id}`] ?? null;
+    const cooldownUntil = COOLDOWNS.get(getCooldownKey(directories, secretKey, id)) ?? 0;
+    return { usage, cooldownUntil: cooldownUntil > Date.now() ? cooldownUntil : 0 };
+}
+
+/**
+ * Records a request made with a provider key.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} secretKey Secret key
+ * @param {string} id Key ID
+ * @param {number} status HTTP status of the response
+ */
+export function recordKeyUsage(directories, secretKey, id, status) {
+    const usage = loadUsage(directories);
+    const counters = usage[`${secretKey}/${id}`] ??= { requests: 0, failures: 0, lastUsed: 0, lastStatus: 0 };
+    counters.requests++;
+    counters.failures += status >= 400 ? 1 : 0;
+    counters.lastUsed = Date.now();
+    counters.lastStatus = status;
+    saveUsage(directories);
+}
+
+/**
+ * Forgets the cooldown and usage counters of a deleted provider key.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} secretKey Secret key
+ * @param {string} id Key ID
+ */
+export function clearKeyStatus(directories, secretKey, id) {
+    COOLDOWNS.delete(getCooldownKey(directories, secretKey, id));
+    const usage = loadUsage(directories);
+
+    if (`${secretKey}/${id}` in usage) {
+        delete usage[`${secretKey}/${id}`];
+        saveUsage(directories);
+    }
+}
+
+/**
+ * Rotates through the keys of a provider during a single request.
+ * Keys that are on cooldown are skipped, unless all of them are.
+ */
+export class KeyRotation {
+    /**
+     * @param {import('./users.js').UserDirectoryList} directories User directories
+     * @param {string} secretKey Secret key
+     * @param {RotationKey[]} keys Provider keys in the order they should be tried
+     */
+    constructor(directories, secretKey, keys) {
+        const now = Date.now();
+        const available = keys.filter(key => (COOLDOWNS.get(getCooldownKey(directories, secretKey, key.id)) ?? 0) <= now);
+
+        this.directories = directories;
+        this.secretKey = secretKey;
+        this.keys = available.length ? available : keys.slice(0, 1);
+        this.index = 0;
+    }
+
+    /**
+     * Key to use for the next request.
+     * @returns {string} API key, empty string if there are no keys
+     */
+    get apiKey() {
+        return this.keys[this.index]?.value ?? '';
+    }
+
+    /**
+     * Records the response to a request made with the current key.
+     * If the key was rate limited or rejected, puts it on cooldown and switches to the next key.
+     * @param {import('node-fetch').Response} response Response from the provider
+     * @returns {Promise<boolean>} Whether the request should be retried with the next key
+     */
+    async handleResponse(response) {
+        const key = this.keys[this.index];
+
+        if (!key) {
+            return false;
+        }
+
+        recordKeyUsage(this.directories, this.secretKey, key.id, response.status);
+
+        if (response.ok || !ROTATION_STATUSES.includes(response.status)) {
+            return false;
+        }
+
+        const retryAfter = Number(response.headers.get('retry-after')) * 1000;
+        const cooldown = response.status !== 429 ? AUTH_ERROR_COOLDOWN : retryAfter > 0 ? retryAfter : RATE_LIMIT_COOLDOWN;
+        COOLDOWNS.set(getCooldownKey(this.directories, this.secretKey, key.id), Date.now() + cooldown);
+
+        const nextKey = this.keys[this.index + 1];
+
+        if (!nextKey) {
+            return false;
+        }
+
+        const responseText = await response.text().catch(() => '');
+        console.warn(color.yellow(`Key "${key.label}" of ${this.secretKey} failed with ${response.status}, switching to "${nextKey.label}"`), responseText);
+        this.index++;
+        return true;
+    }
+
+    /**
+     * Sends a request, failing over to the next key until it succeeds or the keys run out.
+     * @param {(apiKey: string) => Promise<import('node-fetch').Response>} sendRequest Function that sends the request with a key
+     * @returns {Promise<import('node-fetch').Response>} Last response
+     */
+    async fetch(sendRequest) {
+        while (true) {
+            const response = await sendRequest(this.apiKey);
+
+            if (!await this.handleResponse(response)) {
+                return response;
+            }
+        }
+    }
+}
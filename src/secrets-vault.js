@@ -0,0 +1,786 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import process from 'node:process';
+import { promisify } from 'node:util';
+import readline from 'node:readline';
+import { Buffer } from 'node:buffer';
+
+import _ from 'lodash';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, color } from './util.js';
+import { getRequestContext } from './middleware/requestContext.js';
+
+export const SECRETS_FILE = 'secrets.json';
+export const SECRETS_AUDIT_FILE = 'secrets-audit.jsonl';
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const HKDF_INFO = 'sillytavern-secrets-vault';
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const AUDIT_MAX_SIZE = 5 * 1024 * 1024;
+const AUDIT_FLUSH_DELAY = 1000;
+const AUDIT_FLUSH_MAX_DELAY = 5000;
+
+const ENCRYPTION_ENABLED = !!getConfigValue('secrets.encryption', false);
+const KEY_FILE = path.resolve(process.cwd(), getConfigValue('secrets.keyFile', './secrets.key'));
+const AUDIT_ENABLED = !!getConfigValue('secrets.auditLog', true);
+
+/**
+ * Keys that are stored unencrypted, so they're available when the vault is locked.
+ * They are used internally by the server and never leave it.
+ */
+const UNENCRYPTED_KEYS = ['csrfSecret'];
+
+/**
+ * Data encryption keys of the unlocked vaults, keyed by user root directory.
+ * @type {Map<string, Buffer>}
+ */
+const VAULT_KEYS = new Map();
+
+/**
+ * Sessions that unlocked a passphrase-protected vault, keyed by user root directory.
+ * The vault is locked again when the last of them locks it or ends.
+ * @type {Map<string, Set<string>>}
+ */
+const UNLOCK_SESSIONS = new Map();
+
+const scrypt = /** @type {(password: crypto.BinaryLike, salt: crypto.BinaryLike, keylen: number, options: crypto.ScryptOptions) => Promise<Buffer>} */ (promisify(crypto.scrypt));
+
+/**
+ * Server encryption key, loaded lazily.
+ * @type {Buffer|null}
+ */
+let serverKey = null;
+
+/**
+ * @typedef {Object} EncryptedPayload
+ * @property {string} iv Initialization vector (base64)
+ * @property {string} tag Authentication tag (base64)
+ * @property {string} data Encrypted data (base64)
+ */
+
+/**
+ * @typedef {EncryptedPayload & { salt: string }} KeySlot Data encryption key wrapped with a key encryption key
+ */
+
+/**
+ * @typedef {Object} SecretsVault
+ * @property {number} vault Vault format version
+ * @property {string} cipher Cipher used for encryption
+ * @property {{ server?: KeySlot, passphrase?: KeySlot }} slots Wrapped copies of the data encryption key
+ * @property {string[]} keys Names of the encrypted secrets
+ * @property {Record<string, string>} plain Secrets stored without encryption
+ * @property {string} iv Initialization vector (base64)
+ * @property {string} tag Authentication tag (base64)
+ * @property {string} data Encrypted secrets (base64)
+ */
+
+/**
+ * @typedef {Object} SecretsSnapshot
+ * @property {Record<string, any>} secrets Readable secrets. Only unencrypted ones if the vault is locked
+ * @property {string[]} keys Names of all stored secrets, including the unreadable ones
+ * @property {boolean} locked Whether the vault is locked
+ */
+
+/**
+ * @typedef {Object} SecretsStatus
+ * @property {boolean} encrypted Whether the secrets are encrypted at rest
+ * @property {boolean} passphrase Whether the vault is protected with a passphrase
+ * @property {boolean} locked Whether the vault is locked
+ */
+
+/**
+ * Checks if secrets encryption is enabled in the config.
+ * @returns {boolean} Whether encryption is enabled
+ */
+export function isSecretsEncryptionEnabled() {
+    return ENCRYPTION_ENABLED;
+}
+
+/**
+ * Gets the server encryption key. Creates a new one if it doesn't exist and creation is allowed.
+ * @param {boolean} create Create the key file if it doesn't exist
+ * @returns {Buffer|null} Server key or null if not available
+ */
+function getServerKey(create) {
+    if (serverKey) {
+        return serverKey;
+    }
+
+    if (fs.existsSync(KEY_FILE)) {
+        const key = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'base64');
+
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`Invalid secrets encryption key in ${KEY_FILE}`);
+        }
+
+        serverKey = key;
+        return serverKey;
+    }
+
+    if (!create) {
+        return null;
+    }
+
+    const key = crypto.randomBytes(KEY_LENGTH);
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    writeFileAtomicSync(KEY_FILE, key.toString('base64'), { encoding: 'utf8', mode: 0o600 });
+    console.log(color.green('Created secrets encryption key:'), KEY_FILE);
+    console.log(color.yellow('Back it up separately from your data. Encrypted secrets cannot be recovered without it.'));
+    serverKey = key;
+    return serverKey;
+}
+
+/**
+ * Encrypts data with AES-256-GCM.
+ * @param {Buffer} key Encryption key
+ * @param {Buffer} plaintext Data to encrypt
+ * @returns {EncryptedPayload} Encrypted payload
+ */
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+/**
+ * Decrypts data encrypted with {@link encrypt}.
+ * @param {Buffer} key Encryption key
+ * @param {EncryptedPayload} payload Encrypted payload
+ * @returns {Buffer} Decrypted data
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+function decrypt(key, payload) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+}
+
+/**
+ * Derives the key encryption key of a server key slot.
+ * @param {Buffer} salt Slot salt
+ * @returns {Buffer|null} Key encryption key or null if the server key is not available
+ */
+function deriveServerSlotKey(salt) {
+    const key = getServerKey(false);
+    return key ? Buffer.from(crypto.hkdfSync('sha256', key, salt, HKDF_INFO, KEY_LENGTH)) : null;
+}
+
+/**
+ * Derives the key encryption key of a passphrase key slot.
+ * Runs off the main thread, as it is deliberately slow.
+ * @param {Buffer} salt Slot salt
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<Buffer>} Key encryption key
+ */
+function derivePassphraseSlotKey(salt, passphrase) {
+    return scrypt(String(passphrase).normalize(), salt, KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+/**
+ * Wraps the data encryption key into a server key slot.
+ * @param {Buffer} vaultKey Data encryption key
+ * @returns {KeySlot} Key slot
+ */
+function createServerSlot(vaultKey) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const slotKey = deriveServerSlotKey(salt);
+
+    if (!slotKey) {
+        throw new Error('Server encryption key is not available');
+    }
+
+    return { salt: salt.toString('base64'), ...encrypt(slotKey, vaultKey) };
+}
+
+/**
+ * Wraps the data encryption key into a passphrase key slot.
+ * @param {Buffer} vaultKey Data encryption key
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<KeySlot>} Key slot
+ */
+async function createPassphraseSlot(vaultKey, passphrase) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const slotKey = await derivePassphraseSlotKey(salt, passphrase);
+    return { salt: salt.toString('base64'), ...encrypt(slotKey, vaultKey) };
+}
+
+/**
+ * Unwraps the data encryption key from a server key slot.
+ * @param {KeySlot} slot Key slot
+ * @returns {Buffer|null} Data encryption key or null if it can't be unwrapped
+ */
+function openServerSlot(slot) {
+    try {
+        const slotKey = deriveServerSlotKey(Buffer.from(slot.salt, 'base64'));
+        return slotKey ? decrypt(slotKey, slot) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Unwraps the data encryption key from a passphrase key slot.
+ * @param {KeySlot} slot Key slot
+ * @param {string} passphrase Passphrase
+ * @returns {Promise<Buffer|null>} Data encryption key or null if the passphrase is wrong
+ */
+async function openPassphraseSlot(slot, passphrase) {
+    try {
+        const slotKey = await derivePassphraseSlotKey(Buffer.from(slot.salt, 'base64'), passphrase);
+        return decrypt(slotKey, slot);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks if the secrets file contents are an encrypted vault.
+ * @param {any} contents Parsed secrets file
+ * @returns {contents is SecretsVault} Whether the contents are a vault
+ */
+function isVault(contents) {
+    return contents?.vault === VAULT_VERSION && typeof contents.slots === 'object' && typeof contents.data === 'string';
+}
+
+/**
+ * Reads and parses the secrets file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Record<string, any>} Parsed file contents, an empty object if the file doesn't exist
+ */
+function readSecretsFile(directories) {
+    const filePath = path.join(directories.root, SECRETS_FILE);
+
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    const fileContents = fs.readFileSync(filePath, 'utf-8');
+    return JSON.parse(fileContents);
+}
+
+/**
+ * Writes the secrets file.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {Record<string, any>} contents File contents
+ */
+function writeSecretsFile(directories, contents) {
+    const filePath = path.join(directories.root, SECRETS_FILE);
+    writeFileAtomicSync(filePath, JSON.stringify(contents, null, 4), 'utf-8');
+}
+
+/**
+ * Encrypts the secrets and writes them as a vault.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {Buffer} vaultKey Data encryption key
+ * @param {SecretsVault['slots']} slots Key slots
+ * @param {Record<string, any>} secrets All secrets
+ */
+function writeVault(directories, vaultKey, slots, secrets) {
+    const plain = {};
+    const hidden = {};
+
+    for (const [key, value] of Object.entries(secrets)) {
+        if (UNENCRYPTED_KEYS.includes(key)) {
+            plain[key] = value;
+        } else {
+            hidden[key] = value;
+        }
+    }
+
+    /** @type {SecretsVault} */
+    const vault = {
+        vault: VAULT_VERSION,
+        cipher: CIPHER,
+        slots: slots,
+        keys: Object.keys(hidden),
+        plain: plain,
+        ...encrypt(vaultKey, Buffer.from(JSON.stringify(hidden), 'utf-8')),
+    };
+
+    writeSecretsFile(directories, vault);
+    VAULT_KEYS.set(directories.root, vaultKey);
+}
+
+/**
+ * Gets the data encryption key of an unlocked vault.
+ * Vaults that aren't protected by a passphrase are unlocked automatically with the server key.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {SecretsVault} vault Vault contents
+ * @returns {Buffer|null} Data encryption key or null if the vault is locked
+ */
+function getVaultKey(directories, vault) {
+    const cachedKey = VAULT_KEYS.get(directories.root);
+
+    if (cachedKey) {
+        return cachedKey;
+    }
+
+    if (vault.slots.server) {
+        const vaultKey = openServerSlot(vault.slots.server);
+
+        if (vaultKey) {
+            VAULT_KEYS.set(directories.root, vaultKey);
+            return vaultKey;
+        }
+
+        console.warn(color.red('Failed to unlock secrets with the server key:'), directories.root);
+    }
+
+    return null;
+}
+
+/**
+ * Decrypts the vault contents.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {SecretsVault} vault Vault contents
+ * @returns {{ vaultKey: Buffer, secrets: Record<string, any> } | null} Decrypted secrets or null if the vault is locked
+ */
+function openVault(directories, vault) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const vaultKey = getVaultKey(directories, vault);
+
+        if (!vaultKey) {
+            return null;
+        }
+
+        try {
+            const hidden = JSON.parse(decrypt(vaultKey, vault).toString('utf-8'));
+            return { vaultKey, secrets: { ...hidden, ...vault.plain } };
+        } catch {
+            // The file was replaced since the vault was unlocked (e.g. restored from a backup)
+            VAULT_KEYS.delete(directories.root);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Encrypts a plaintext secrets file with the server key.
+ * Does nothing if encryption is disabled or the file is already encrypted.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {boolean} Whether the file was encrypted
+ */
+export function encryptSecretsFile(directories) {
+    if (!ENCRYPTION_ENABLED) {
+        return false;
+    }
+
+    const contents = readSecretsFile(directories);
+
+    if (isVault(contents) || Object.keys(contents).every(key => UNENCRYPTED_KEYS.includes(key))) {
+        return false;
+    }
+
+    createServerVault(directories, contents);
+    return true;
+}
+
+/**
+ * Creates a new vault that is unlocked with the server key.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {Record<string, any>} secrets Secrets to encrypt
+ */
+function createServerVault(directories, secrets) {
+    const vaultKey = crypto.randomBytes(KEY_LENGTH);
+    getServerKey(true);
+    writeVault(directories, vaultKey, { server: createServerSlot(vaultKey) }, secrets);
+}
+
+/**
+ * Loads the secrets of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {SecretsSnapshot} Secrets snapshot
+ */
+export function loadSecrets(directories) {
+    let contents = readSecretsFile(directories);
+
+    if (!isVault(contents) && encryptSecretsFile(directories)) {
+        contents = readSecretsFile(directories);
+    }
+
+    if (!isVault(contents)) {
+        return { secrets: contents, keys: Object.keys(contents), locked: false };
+    }
+
+    const keys = [...contents.keys, ...Object.keys(contents.plain)];
+    const opened = openVault(directories, contents);
+
+    if (!opened) {
+        return { secrets: { ...contents.plain }, keys, locked: true };
+    }
+
+    return { secrets: opened.secrets, keys, locked: false };
+}
+
+/**
+ * Sets or deletes a secret. Unencrypted secrets can be changed even when the vault is locked.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @param {string|object[]|undefined} value Secret value, undefined to delete the secret
+ * @throws {Error} If the vault is locked
+ */
+export function storeSecret(directories, key, value) {
+    const contents = readSecretsFile(directories);
+    const assign = (/** @type {Record<string, any>} */ target) => {
+        if (value === undefined) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+    };
+
+    if (!isVault(contents)) {
+        assign(contents);
+
+        if (ENCRYPTION_ENABLED && !Object.keys(contents).every(x => UNENCRYPTED_KEYS.includes(x))) {
+            createServerVault(directories, contents);
+        } else {
+            writeSecretsFile(directories, contents);
+        }
+
+        return;
+    }
+
+    if (UNENCRYPTED_KEYS.includes(key)) {
+        assign(contents.plain);
+        writeSecretsFile(directories, contents);
+        return;
+    }
+
+    const opened = openVault(directories, contents);
+
+    if (!opened) {
+        throw new Error('Secrets vault is locked');
+    }
+
+    assign(opened.secrets);
+    writeVault(directories, opened.vaultKey, contents.slots, opened.secrets);
+}
+
+/**
+ * Gets the encryption status of the user's secrets.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {SecretsStatus} Secrets status
+ */
+export function getSecretsStatus(directories) {
+    const contents = readSecretsFile(directories);
+
+    if (!isVault(contents)) {
+        return { encrypted: false, passphrase: false, locked: false };
+    }
+
+    return {
+        encrypted: true,
+        passphrase: !!contents.slots.passphrase,
+        locked: !openVault(directories, contents),
+    };
+}
+
+/**
+ * Unlocks a passphrase-protected vault. The vault stays unlocked until every session that unlocked it
+ * locks it or ends, or the server restarts.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} passphrase Vault passphrase
+ * @param {string} [sessionId] ID of the session that unlocks the vault
+ * @returns {Promise<boolean>} Whether the vault is unlocked
+ */
+export async function unlockSecrets(directories, passphrase, sessionId) {
+    const contents = readSecretsFile(directories);
+
+    if (!isVault(contents)) {
+        return true;
+    }
+
+    if (!openVault(directories, contents)) {
+        if (!contents.slots.passphrase || typeof passphrase !== 'string') {
+            return false;
+        }
+
+        const vaultKey = await openPassphraseSlot(contents.slots.passphrase, passphrase);
+
+        if (!vaultKey) {
+            return false;
+        }
+
+        VAULT_KEYS.set(directories.root, vaultKey);
+    }
+
+    addUnlockSession(directories, sessionId);
+    return true;
+}
+
+/**
+ * Records that a session keeps the vault unlocked.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} [sessionId] Session ID
+ */
+function addUnlockSession(directories, sessionId) {
+    if (!sessionId) {
+        return;
+    }
+
+    if (!UNLOCK_SESSIONS.has(directories.root)) {
+        UNLOCK_SESSIONS.set(directories.root, new Set());
+    }
+
+    UNLOCK_SESSIONS.get(directories.root).add(sessionId);
+}
+
+/**
+ * Releases the unlock held by a session. The key of the vault is forgotten when no other active session
+ * keeps it unlocked. Only passphrase-protected vaults stay locked afterwards.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string|null} sessionId ID of the session that locks the vault or ends. Null to only drop ended sessions
+ * @param {string[]} activeSessionIds IDs of the user's sessions that are still active
+ */
+export function lockSecrets(directories, sessionId, activeSessionIds) {
+    const sessions = UNLOCK_SESSIONS.get(directories.root) ?? new Set();
+
+    for (const id of Array.from(sessions)) {
+        if (id === sessionId || !activeSessionIds.includes(id)) {
+            sessions.delete(id);
+        }
+    }
+
+    if (sessions.size === 0) {
+        UNLOCK_SESSIONS.delete(directories.root);
+        VAULT_KEYS.delete(directories.root);
+    }
+}
+
+/**
+ * Checks a passphrase against the passphrase protecting the secrets, without unlocking them.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} passphrase Passphrase to check
+ * @returns {Promise<boolean>} Whether the vault has a passphrase and it matches
+ */
+export async function verifySecretsPassphrase(directories, passphrase) {
+    const contents = readSecretsFile(directories);
+
+    if (!isVault(contents) || !contents.slots.passphrase || typeof passphrase !== 'string') {
+        return false;
+    }
+
+    return !!await openPassphraseSlot(contents.slots.passphrase, passphrase);
+}
+
+/**
+ * Protects the secrets with a passphrase. They can't be read until unlocked with it.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} passphrase New passphrase
+ * @param {string} [sessionId] ID of the session that sets the passphrase, it keeps the vault unlocked
+ * @throws {Error} If the vault is locked
+ */
+export async function setSecretsPassphrase(directories, passphrase, sessionId) {
+    const contents = readSecretsFile(directories);
+    let vaultKey = crypto.randomBytes(KEY_LENGTH);
+    let secrets = contents;
+
+    if (isVault(contents)) {
+        const opened = openVault(directories, contents);
+
+        if (!opened) {
+            throw new Error('Secrets vault is locked');
+        }
+
+        vaultKey = opened.vaultKey;
+        secrets = opened.secrets;
+    }
+
+    writeVault(directories, vaultKey, { passphrase: await createPassphraseSlot(vaultKey, passphrase) }, secrets);
+    addUnlockSession(directories, sessionId);
+}
+
+/**
+ * Removes the passphrase protection. The secrets are encrypted with the server key if encryption is enabled.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @throws {Error} If the vault is locked
+ */
+export function removeSecretsPassphrase(directories) {
+    const contents = readSecretsFile(directories);
+
+    if (!isVault(contents) || !contents.slots.passphrase) {
+        return;
+    }
+
+    const opened = openVault(directories, contents);
+
+    if (!opened) {
+        throw new Error('Secrets vault is locked');
+    }
+
+    if (ENCRYPTION_ENABLED) {
+        getServerKey(true);
+        writeVault(directories, opened.vaultKey, { server: createServerSlot(opened.vaultKey) }, opened.secrets);
+        UNLOCK_SESSIONS.delete(directories.root);
+        return;
+    }
+
+    writeSecretsFile(directories, opened.secrets);
+    UNLOCK_SESSIONS.delete(directories.root);
+    VAULT_KEYS.delete(directories.root);
+}
+
+/**
+ * Re-wraps the vault key with a new passphrase if the old one matches.
+ * Used to keep a vault protected with the login password in sync when the password changes.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} oldPassphrase Old passphrase
+ * @param {string} newPassphrase New passphrase
+ * @returns {Promise<boolean>} Whether the passphrase was changed
+ */
+export async function changeSecretsPassphrase(directories, oldPassphrase, newPassphrase) {
+    const contents = readSecretsFile(directories);
+
+    if (!isVault(contents) || !contents.slots.passphrase || typeof oldPassphrase !== 'string' || !newPassphrase) {
+        return false;
+    }
+
+    const vaultKey = await openPassphraseSlot(contents.slots.passphrase, oldPassphrase);
+
+    if (!vaultKey) {
+        return false;
+    }
+
+    contents.slots.passphrase = await createPassphraseSlot(vaultKey, newPassphrase);
+    writeSecretsFile(directories, contents);
+    return true;
+}
+
+/**
+ * Audit log entries waiting to be written, keyed by log file path.
+ * Secrets are read on every generation, so the writes are batched.
+ * @type {Map<string, string[]>}
+ */
+const PENDING_AUDIT_ENTRIES = new Map();
+
+/**
+ * The audit log write in progress. Writes are chained so they don't overlap.
+ * @type {Promise<void>}
+ */
+let auditWrite = Promise.resolve();
+
+const scheduleAuditFlush = _.debounce(() => flushAuditLog(), AUDIT_FLUSH_DELAY, { maxWait: AUDIT_FLUSH_MAX_DELAY });
+
+process.on('exit', () => {
+    for (const [filePath, lines] of PENDING_AUDIT_ENTRIES) {
+        try {
+            fs.appendFileSync(filePath, lines.join(''), 'utf-8');
+        } catch (error) {
+            console.warn('Failed to write secrets audit log:', error);
+        }
+    }
+});
+
+/**
+ * Writes the pending audit log entries, rotating the log files that grew too large.
+ * @returns {Promise<void>} Resolves when the entries are written
+ */
+function flushAuditLog() {
+    auditWrite = auditWrite.then(async () => {
+        for (const [filePath, lines] of PENDING_AUDIT_ENTRIES) {
+            PENDING_AUDIT_ENTRIES.delete(filePath);
+
+            try {
+                const stats = await fs.promises.stat(filePath).catch(() => null);
+
+                if (stats && stats.size > AUDIT_MAX_SIZE) {
+                    await fs.promises.rename(filePath, `${filePath}.1`);
+                }
+
+                await fs.promises.appendFile(filePath, lines.join(''), 'utf-8');
+            } catch (error) {
+                console.warn('Failed to write secrets audit log:', error);
+            }
+        }
+    });
+
+    return auditWrite;
+}
+
+/**
+ * Records that a secret was read and by which endpoint.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ */
+export function auditSecretRead(directories, key) {
+    if (!AUDIT_ENABLED || UNENCRYPTED_KEYS.includes(key)) {
+        return;
+    }
+
+    const context = getRequestContext();
+    const entry = {
+        timestamp: new Date().toISOString(),
+        key: key,
+        endpoint: context ? `${context.method} ${context.endpoint}` : 'server',
+        ip: context?.ip,
+    };
+
+    const filePath = path.join(directories.root, SECRETS_AUDIT_FILE);
+
+    if (!PENDING_AUDIT_ENTRIES.has(filePath)) {
+        PENDING_AUDIT_ENTRIES.set(filePath, []);
+    }
+
+    PENDING_AUDIT_ENTRIES.get(filePath).push(JSON.stringify(entry) + '\n');
+    scheduleAuditFlush();
+}
+
+/**
+ * Reads the most recent entries of the secrets audit log.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {object} [options] Options
+ * @param {number} [options.limit=100] Maximum number of entries to return
+ * @param {string} [options.key] Only return entries for this secret key
+ * @returns {Promise<{ timestamp: string, key: string, endpoint: string, ip?: string }[]>} Audit entries, newest first
+ */
+export async function readSecretsAudit(directories, { limit = 100, key = '' } = {}) {
+    await flushAuditLog();
+
+    const filePath = path.join(directories.root, SECRETS_AUDIT_FILE);
+    const entries = [];
+
+    for (const file of [`${filePath}.1`, filePath]) {
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            try {
+                const entry = JSON.parse(line);
+
+                if (key && entry.key !== key) {
+                    continue;
+                }
+
+                entries.push(entry);
+
+                if (entries.length > limit) {
+                    entries.shift();
+                }
+            } catch {
+                // Skip damaged lines
+            }
+        }
+    }
+
+    return entries.reverse();
+}
@@ -0,0 +1,579 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import readline from 'node:readline';
+
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+/**
+ * Name of the directory with the stats events in the user's data root. Events are partitioned by month.
+ */
+const STATS_DIRECTORY = 'stats';
+
+/**
+ * Event properties the stats can be grouped and filtered by.
+ */
+export const STATS_DIMENSIONS = ['character', 'group', 'api', 'model', 'type', 'isUser'];
+
+/**
+ * Time buckets the stats can be aggregated into.
+ */
+export const STATS_BUCKETS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+/**
+ * Event types that extend an existing message instead of adding a new one.
+ */
+const CONTINUE_TYPES = ['continue', 'append', 'appendFinal'];
+
+/**
+ * @typedef {Object} StatsEvent
+ * @property {number} timestamp - Time of the event in milliseconds since the Unix Epoch
+ * @property {string} type - Generation type, e.g. `normal`, `swipe`, `continue` or `user`
+ * @property {boolean} isUser - Whether the message was sent by the user
+ * @property {string} character - Avatar file name of the character
+ * @property {string} group - Group ID for group chats
+ * @property {string} chat - Chat file name without the extension
+ * @property {string} api - API used to generate the message
+ * @property {string} model - Model used to generate the message
+ * @property {number} tokensIn - Number of prompt tokens
+ * @property {number} tokensOut - Number of generated tokens
+ * @property {number} latency - Generation time in milliseconds
+ * @property {number} swipes - Number of swipes of the message after the event
+ * @property {number} words - Number of added words
+ */
+
+/**
+ * @typedef {Object} StatsQuery
+ * @property {number} [from] - Only events at or after this timestamp
+ * @property {number} [to] - Only events at or before this timestamp
+ * @property {string} [bucket] - Time bucket, one of STATS_BUCKETS
+ * @property {string[]} [groupBy] - Dimensions to group by, from STATS_DIMENSIONS
+ * @property {Object<string, any>} [filters] - Only events with these dimension values
+ * @property {number} [timezoneOffset] - Offset of the client time zone in minutes, as returned by `Date.getTimezoneOffset()`
+ */
+
+/**
+ * @typedef {Object} StatsRow
+ * @property {number|null} bucket - Start of the time bucket in milliseconds, null for the `all` bucket
+ * @property {number} count - Number of events
+ * @property {number} messages - Number of new messages and swipes
+ * @property {number} swipes - Number of swipes
+ * @property {number} words - Number of words
+ * @property {number} tokensIn - Number of prompt tokens
+ * @property {number} tokensOut - Number of generated tokens
+ * @property {number} genTime - Total generation time in milliseconds
+ * @property {number} latency - Average generation time in milliseconds
+ * @property {number} first - Timestamp of the first event
+ * @property {number} last - Timestamp of the last event
+ */
+
+/**
+ * Convert a timestamp to an integer timestamp.
+ * (sorry, it's momentless for now, didn't want to add a package just for this)
+ * This function can handle several different timestamp formats:
+ * 1. Unix timestamps (the number of seconds since the Unix Epoch)
+ * 2. ST "humanized" timestamps, formatted like "YYYY-MM-DD @HHh MMm SSs ms"
+ * 3. Date strings in the format "Month DD, YYYY H:MMam/pm"
+ *
+ * The function returns the timestamp as the number of milliseconds since
+ * the Unix Epoch, which can be converted to a JavaScript Date object with new Date().
+ *
+ * @param {string|number} timestamp - The timestamp to convert.
+ * @returns {number} The timestamp in milliseconds since the Unix Epoch, or 0 if the input cannot be parsed.
+ *
+ * @example
+ * // Unix timestamp
+ * timestampToMoment(1609459200);
+ * // ST humanized timestamp
+ * timestampToMoment("2021-01-01 \@00h 00m 00s 000ms");
+ * // Date string
+ * timestampToMoment("January 1, 2021 12:00am");
+ */
+export function timestampToMoment(timestamp) {
+    if (!timestamp) {
+        return 0;
+    }
+
+    if (typeof timestamp === 'number') {
+        return timestamp;
+    }
+
+    const pattern1 =
+        /(\d{4})-(\d{1,2})-(\d{1,2}) @(\d{1,2})h (\d{1,2})m (\d{1,2})s (\d{1,3})ms/;
+    const replacement1 = (
+        match,
+        year,
+        month,
+        day,
+        hour,
+        minute,
+        second,
+        millisecond,
+    ) => {
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(
+            2,
+            '0',
+        )}T${hour.padStart(2, '0')}:${minute.padStart(
+            2,
+            '0',
+        )}:${second.padStart(2, '0')}.${millisecond.padStart(3, '0')}Z`;
+    };
+    const isoTimestamp1 = timestamp.replace(pattern1, replacement1);
+    if (!isNaN(Number(new Date(isoTimestamp1)))) {
+        return new Date(isoTimestamp1).getTime();
+    }
+
+    const pattern2 = /(\w+)\s(\d{1,2}),\s(\d{4})\s(\d{1,2}):(\d{1,2})(am|pm)/i;
+    const replacement2 = (match, month, day, year, hour, minute, meridiem) => {
+        const monthNames = [
+            'January',
+            'February',
+            'March',
+            'April',
+            'May',
+            'June',
+            'July',
+            'August',
+            'September',
+            'October',
+            'November',
+            'December',
+        ];
+        const monthNum = monthNames.indexOf(month) + 1;
+        const hour24 =
+            meridiem.toLowerCase() === 'pm'
+                ? (parseInt(hour, 10) % 12) + 12
+                : parseInt(hour, 10) % 12;
+        return `${year}-${monthNum.toString().padStart(2, '0')}-${day.padStart(
+            2,
+            '0',
+        )}T${hour24.toString().padStart(2, '0')}:${minute.padStart(
+            2,
+            '0',
+        )}:00Z`;
+    };
+    const isoTimestamp2 = timestamp.replace(pattern2, replacement2);
+    if (!isNaN(Number(new Date(isoTimestamp2)))) {
+        return new Date(isoTimestamp2).getTime();
+    }
+
+    return 0;
+}
+
+/**
+ * Counts the number of words in a string.
+ * @param {string} str The string to count words in
+ * @returns {number} Number of words
+ */
+function countWords(str) {
+    const match = String(str ?? '').match(/\b\w+\b/g);
+    return match ? match.length : 0;
+}
+
+/**
+ * Gets the directory with the stats events of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {string} Directory path
+ */
+function getStatsDirectory(directories) {
+    return path.join(directories.root, STATS_DIRECTORY);
+}
+
+/**
+ * Gets the name of the partition file an event is stored in.
+ * @param {number} timestamp Event timestamp
+ * @returns {string} File name
+ */
+function getPartitionName(timestamp) {
+    return `${new Date(timestamp).toISOString().slice(0, 7)}.jsonl`;
+}
+
+/**
+ * Converts an event sent by the client to a stored event. Unknown properties are dropped.
+ * @param {any} input Event data
+ * @returns {StatsEvent|null} Event or null if the input is not valid
+ */
+export function sanitizeStatsEvent(input) {
+    if (!input || typeof input !== 'object') {
+        return null;
+    }
+
+    const toCount = (/** @type {any} */ value) => Math.max(0, Math.round(Number(value) || 0));
+    const toText = (/** @type {any} */ value) => String(value ?? '').slice(0, 200);
+    const timestamp = Number(input.timestamp) || Date.now();
+
+    return {
+        timestamp: timestamp,
+        type: toText(input.type || 'normal'),
+        isUser: !!input.isUser,
+        character: toText(input.character),
+        group: toText(input.group),
+        chat: toText(input.chat),
+        api: toText(input.api),
+        model: toText(input.model),
+        tokensIn: toCount(input.tokensIn),
+        tokensOut: toCount(input.tokensOut),
+        latency: toCount(input.latency),
+        swipes: toCount(input.swipes),
+        // Continuing a message can remove words
+        words: Math.round(Number(input.words) || 0),
+    };
+}
+
+/**
+ * Checks if the stats events of a user have been collected.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {boolean} Whether the stats directory exists
+ */
+export function hasStatsEvents(directories) {
+    return fs.existsSync(getStatsDirectory(directories));
+}
+
+/**
+ * Appends events to the stats of a user.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {StatsEvent[]} events Events
+ */
+export function recordStatsEvents(directories, events) {
+    const directory = getStatsDirectory(directories);
+    fs.mkdirSync(directory, { recursive: true });
+
+    for (const event of events) {
+        fs.appendFileSync(path.join(directory, getPartitionName(event.timestamp)), JSON.stringify(event) + '\n', 'utf-8');
+    }
+}
+
+/**
+ * Reads the events of a user in a time range.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {number} [from] Start of the range
+ * @param {number} [to] End of the range
+ * @returns {AsyncGenerator<StatsEvent>} Events
+ */
+async function* readStatsEvents(directories, from, to) {
+    const directory = getStatsDirectory(directories);
+
+    if (!fs.existsSync(directory)) {
+        return;
+    }
+
+    const firstPartition = from ? getPartitionName(from) : '';
+    const lastPartition = to ? getPartitionName(to) : '';
+    const files = fs.readdirSync(directory)
+        .filter(file => path.extname(file) === '.jsonl')
+        .filter(file => (!firstPartition || file >= firstPartition) && (!lastPartition || file <= lastPartition))
+        .sort();
+
+    for (const file of files) {
+        const lines = readline.createInterface({ input: fs.createReadStream(path.join(directory, file)), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            try {
+                const event = line.trim() ? JSON.parse(line) : null;
+
+                if (event && (!from || event.timestamp >= from) && (!to || event.timestamp <= to)) {
+                    yield event;
+                }
+            } catch {
+                // Skip damaged lines
+            }
+        }
+    }
+}
+
+/**
+ * Gets the start of the time bucket of a timestamp in the client time zone.
+ * @param {number} timestamp Timestamp
+ * @param {string} bucket Time bucket
+ * @param {number} offset Time zone offset in minutes
+ * @returns {number|null} Start of the bucket, null for the `all` bucket
+ */
+function getBucketStart(timestamp, bucket, offset) {
+    if (bucket === 'all') {
+        return null;
+    }
+
+    const shift = offset * 60 * 1000;
+    const date = new Date(timestamp - shift);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    let start;
+
+    switch (bucket) {
+        case 'hour':
+            start = Date.UTC(year, month, day, date.getUTCHours());
+            break;
+        case 'week':
+            // Weeks start on Monday
+            start = Date.UTC(year, month, day - (date.getUTCDay() + 6) % 7);
+            break;
+        case 'month':
+            start = Date.UTC(year, month);
+            break;
+        case 'year':
+            start = Date.UTC(year, 0);
+            break;
+        default:
+            start = Date.UTC(year, month, day);
+            break;
+    }
+
+    return start + shift;
+}
+
+/**
+ * Converts the query of a request body to a valid query.
+ * @param {any} body Request body
+ * @returns {StatsQuery} Query
+ */
+export function getStatsQuery(body) {
+    const groupBy = Array.isArray(body?.groupBy) ? body.groupBy.filter(x => STATS_DIMENSIONS.includes(x)) : [];
+    const filters = Object.fromEntries(Object.entries(body?.filters ?? {}).filter(([key, value]) => STATS_DIMENSIONS.includes(key) && value !== undefined && value !== ''));
+
+    return {
+        from: Number(body?.from) || undefined,
+        to: Number(body?.to) || undefined,
+        bucket: STATS_BUCKETS.includes(body?.bucket) ? body.bucket : 'day',
+        groupBy: groupBy,
+        filters: filters,
+        timezoneOffset: Number(body?.timezoneOffset) || 0,
+    };
+}
+
+/**
+ * Aggregates the stats events of a user by time bucket and dimensions.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {StatsQuery} query Query
+ * @returns {Promise<StatsRow[]>} Rows sorted by bucket
+ */
+export async function queryStats(directories, query) {
+    const { from, to, bucket = 'day', groupBy = [], filters = {}, timezoneOffset = 0 } = query;
+    /** @type {Map<string, StatsRow & { latencyCount: number }>} */
+    const rows = new Map();
+
+    for await (const event of readStatsEvents(directories, from, to)) {
+        if (Object.entries(filters).some(([key, value]) => event[key] !== value)) {
+            continue;
+        }
+
+        const start = getBucketStart(event.timestamp, bucket, timezoneOffset);
+        const key = JSON.stringify([start, ...groupBy.map(x => event[x])]);
+
+        if (!rows.has(key)) {
+            const row = { bucket: start, ...Object.fromEntries(groupBy.map(x => [x, event[x]])) };
+            rows.set(key, Object.assign(row, {
+                count: 0,
+                messages: 0,
+                swipes: 0,
+                words: 0,
+                tokensIn: 0,
+                tokensOut: 0,
+                genTime: 0,
+                latency: 0,
+                latencyCount: 0,
+                first: event.timestamp,
+                last: event.timestamp,
+            }));
+        }
+
+        const row = rows.get(key);
+        row.count++;
+        row.messages += CONTINUE_TYPES.includes(event.type) ? 0 : 1;
+        row.swipes += event.type === 'swipe' ? 1 : 0;
+        row.words += event.words || 0;
+        row.tokensIn += event.tokensIn || 0;
+        row.tokensOut += event.tokensOut || 0;
+        row.genTime += event.latency || 0;
+        row.latencyCount += event.latency ? 1 : 0;
+        row.first = Math.min(row.first, event.timestamp);
+        row.last = Math.max(row.last, event.timestamp);
+    }
+
+    return Array.from(rows.values())
+        .map(({ latencyCount, ...row }) => ({ ...row, latency: latencyCount ? Math.round(row.genTime / latencyCount) : 0 }))
+        .sort((a, b) => (a.bucket ?? 0) - (b.bucket ?? 0));
+}
+
+/**
+ * Gets the totals of every character in the format of the old aggregated stats.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<Object<string, object>>} Stats by character avatar
+ */
+export async function getCharacterStats(directories) {
+    const rows = await queryStats(directories, { bucket: 'all', groupBy: ['character', 'isUser'] });
+    const stats = {};
+
+    for (const row of rows) {
+        if (!row.character) {
+            continue;
+        }
+
+        const stat = stats[row.character] ??= {
+            total_gen_time: 0,
+            user_word_count: 0,
+            non_user_word_count: 0,
+            user_msg_count: 0,
+            non_user_msg_count: 0,
+            total_swipe_count: 0,
+            date_last_chat: 0,
+            date_first_chat: row.first,
+        };
+
+        stat.total_gen_time += row.genTime;
+        stat[row.isUser ? 'user_word_count' : 'non_user_word_count'] += row.words;
+        stat[row.isUser ? 'user_msg_count' : 'non_user_msg_count'] += row.messages;
+        stat.total_swipe_count += row.swipes;
+        stat.date_last_chat = Math.max(stat.date_last_chat, row.last);
+        stat.date_first_chat = Math.min(stat.date_first_chat, row.first);
+    }
+
+    return stats;
+}
+
+/**
+ * Parses a time stored in a chat message.
+ * @param {...any} values Candidate values, the first valid one is used
+ * @returns {number} Timestamp or 0 if none of the values is valid
+ */
+function parseMessageTime(...values) {
+    for (const value of values) {
+        const time = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? Date.parse(value) : timestampToMoment(value);
+
+        if (time > 0) {
+            return time;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Creates the events of a chat message stored before the events were recorded.
+ * Every swipe of a generated message is a separate event.
+ * @param {any} message Chat message
+ * @param {{ character: string, group: string, chat: string, fallbackTime: number }} context Chat of the message
+ * @returns {StatsEvent[]} Events
+ */
+function getMessageEvents(message, context) {
+    const swipes = Array.isArray(message.swipes) && message.swipes.length && !message.is_user ? message.swipes : [message.mes];
+
+    return swipes.map((text, index) => {
+        const info = message.swipe_info?.[index] ?? (index === 0 || !Array.isArray(message.swipe_info) ? message : {});
+        const extra = info.extra ?? message.extra ?? {};
+        const started = parseMessageTime(info.gen_started);
+        const finished = parseMessageTime(info.gen_finished);
+
+        return sanitizeStatsEvent({
+            timestamp: finished || parseMessageTime(info.send_date, message.send_date) || context.fallbackTime,
+            type: message.is_user ? 'user' : (index === 0 ? 'normal' : 'swipe'),
+            isUser: message.is_user,
+            character: context.group ? (message.original_avatar ?? '') : context.character,
+            group: context.group,
+            chat: context.chat,
+            api: extra.api,
+            model: extra.model,
+            tokensOut: message.is_user ? 0 : extra.token_count,
+            latency: started && finished > started ? finished - started : 0,
+            swipes: message.is_user ? 0 : swipes.length,
+            words: countWords(text),
+        });
+    });
+}
+
+/**
+ * Recreates the stats events of a user from the chat files. Messages copied to several chats
+ * (e.g. by branching) are only counted once. Prompt token counts are not stored in chats and are lost.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<number>} Number of created events
+ */
+export async function rebuildStatsEvents(directories) {
+    /** @type {{ filePath: string, character: string, group: string }[]} */
+    const chats = [];
+
+    if (fs.existsSync(directories.chats)) {
+        for (const owner of fs.readdirSync(directories.chats)) {
+            const chatDir = path.join(directories.chats, owner);
+
+            if (!fs.statSync(chatDir).isDirectory()) {
+                continue;
+            }
+
+            for (const file of fs.readdirSync(chatDir).filter(x => path.extname(x) === '.jsonl')) {
+                chats.push({ filePath: path.join(chatDir, file), character: `${owner}.png`, group: '' });
+            }
+        }
+    }
+
+    if (fs.existsSync(directories.groups)) {
+        for (const file of fs.readdirSync(directories.groups).filter(x => path.extname(x) === '.json')) {
+            try {
+                const group = JSON.parse(fs.readFileSync(path.join(directories.groups, file), 'utf8'));
+
+                for (const chatId of Array.isArray(group.chats) ? group.chats : []) {
+                    chats.push({ filePath: path.join(directories.groupChats, `${chatId}.jsonl`), character: '', group: String(group.id) });
+                }
+            } catch (error) {
+                console.warn(`Failed to read group ${file} for stats:`, error.message);
+            }
+        }
+    }
+
+    const seen = new Set();
+    /** @type {Map<string, StatsEvent[]>} */
+    const partitions = new Map();
+    let count = 0;
+
+    for (const chat of chats) {
+        if (!fs.existsSync(chat.filePath)) {
+            continue;
+        }
+
+        const fallbackTime = Math.floor(fs.statSync(chat.filePath).mtimeMs);
+        const lines = fs.readFileSync(chat.filePath, 'utf8').split('\n');
+        const context = { character: chat.character, group: chat.group, chat: path.parse(chat.filePath).name, fallbackTime };
+
+        // The first line is the chat header
+        for (const line of lines.slice(1)) {
+            try {
+                const message = line.trim() ? JSON.parse(line) : null;
+
+                if (!message || typeof message.mes !== 'string') {
+                    continue;
+                }
+
+                const hash = crypto.createHash('sha256').update(`${message.send_date}\n${message.mes}`).digest('hex');
+
+                if (seen.has(hash)) {
+                    continue;
+                }
+
+                seen.add(hash);
+
+                for (const event of getMessageEvents(message, context)) {
+                    const partition = getPartitionName(event.timestamp);
+
+                    if (!partitions.has(partition)) {
+                        partitions.set(partition, []);
+                    }
+
+                    partitions.get(partition).push(event);
+                    count++;
+                }
+            } catch (error) {
+                console.warn(`Failed to read a message of ${chat.filePath} for stats:`, error.message);
+            }
+        }
+    }
+
+    const directory = getStatsDirectory(directories);
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.mkdirSync(directory, { recursive: true });
+
+    for (const [partition, events] of partitions) {
+        events.sort((a, b) => a.timestamp - b.timestamp);
+        writeFileAtomicSync(path.join(directory, partition), events.map(x => JSON.stringify(x)).join('\n') + '\n', 'utf8');
+    }
+
+    return count;
+}
@@ -0,0 +1,230 @@
+import crypto from 'node:crypto';
+
+import { Cache, getConfigValue } from './util.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one period before and after to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODES_COUNT = 10;
+
+/**
+ * Secrets that were offered to the users but not confirmed with a code yet.
+ */
+const PENDING_SECRETS = new Cache(15 * 60 * 1000);
+
+/**
+ * @typedef {Object} TotpSettings
+ * @property {string} secret - Base32-encoded shared secret
+ * @property {string[]} recoveryCodes - SHA-256 hashes of the unused recovery codes
+ * @property {number} lastCounter - Time step of the last accepted code. Codes can't be used twice
+ * @property {number} enabled - The timestamp when two-factor authentication was set up
+ */
+
+/**
+ * Checks if all users are required to set up two-factor authentication.
+ * @returns {boolean} Whether two-factor authentication is required
+ */
+export function isTwoFactorRequired() {
+    return !!getConfigValue('twoFactorAuth.required', false);
+}
+
+/**
+ * Checks if a user has to enter a code from an authenticator app or set one up to log in.
+ * @param {import('./users.js').User} user User
+ * @returns {boolean} Whether a second factor is needed
+ */
+export function needsSecondFactor(user) {
+    return !!user.totp?.enabled || isTwoFactorRequired();
+}
+
+/**
+ * Encodes a buffer with the RFC 4648 base32 alphabet, without padding.
+ * @param {Buffer} buffer Buffer to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodes a base32 string. Padding, spaces and case are ignored.
+ * @param {string} input Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Calculates an HOTP code (RFC 4226).
+ * @param {Buffer} key Shared secret
+ * @param {number} counter Counter value
+ * @returns {string} Code padded with zeros
+ */
+function getHotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeUInt32BE(Math.floor(counter / 2 ** 32), 0);
+    message.writeUInt32BE(counter % 2 ** 32, 4);
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+    return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Finds the time step a TOTP code (RFC 6238) belongs to.
+ * @param {string} secret Base32-encoded shared secret
+ * @param {string} code Code entered by the user
+ * @param {number} [lastCounter] Time step of the last accepted code. This and older codes are rejected
+ * @returns {number|null} Time step of the code, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, lastCounter = -1) {
+    const normalized = String(code ?? '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const counter = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+        const candidate = getHotp(key, counter + i);
+        if (counter + i > lastCounter && crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return counter + i;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Hashes a recovery code for storage.
+ * @param {string} code Recovery code
+ * @returns {string} Hash of the code
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generates new recovery codes and stores their hashes in the user's settings.
+ * @param {import('./users.js').User} user User with two-factor authentication
+ * @returns {string[]} Recovery codes to show to the user once
+ */
+export function generateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    user.totp.recoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+}
+
+/**
+ * Gets the secret offered to a user for setting up two-factor authentication.
+ * The same secret is returned until the setup is completed or expires.
+ * @param {string} handle User handle
+ * @returns {{ secret: string, uri: string }} Secret and the otpauth URI for the authenticator apps
+ */
+export function beginTotpSetup(handle) {
+    const secret = PENDING_SECRETS.get(handle) ?? base32Encode(crypto.randomBytes(20));
+    PENDING_SECRETS.set(handle, secret);
+
+    const issuer = String(getConfigValue('twoFactorAuth.issuer', 'SillyTavern'));
+    const label = encodeURIComponent(`${issuer}:${handle}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_PERIOD) });
+    return { secret, uri: `otpauth://totp/${label}?${params}` };
+}
+
+/**
+ * Enables two-factor authentication for a user if the code matches the offered secret.
+ * @param {import('./users.js').User} user User. Modified in place, the caller saves it
+ * @param {string} code Code from the authenticator app
+ * @returns {string[]|null} Recovery codes, or null if the code is invalid or the setup expired
+ */
+export function completeTotpSetup(user, code) {
+    const secret = PENDING_SECRETS.get(user.handle);
+    const counter = secret ? verifyTotp(secret, code) : null;
+
+    if (counter === null) {
+        return null;
+    }
+
+    PENDING_SECRETS.remove(user.handle);
+    user.totp = { secret, recoveryCodes: [], lastCounter: counter, enabled: Date.now() };
+    return generateRecoveryCodes(user);
+}
+
+/**
+ * Verifies a code from the authenticator app or a recovery code. Used recovery codes are removed.
+ * @param {import('./users.js').User} user User with two-factor authentication. Modified in place, the caller saves it
+ * @param {string} code Code entered by the user
+ * @returns {boolean} Whether the code is valid
+ */
+export function verifySecondFactor(user, code) {
+    if (!user.totp?.enabled) {
+        return false;
+    }
+
+    const counter = verifyTotp(user.totp.secret, code, user.totp.lastCounter);
+
+    if (counter !== null) {
+        user.totp.lastCounter = counter;
+        return true;
+    }
+
+    const hash = hashRecoveryCode(code);
+    const index = user.totp.recoveryCodes.indexOf(hash);
+
+    if (index !== -1) {
+        user.totp.recoveryCodes.splice(index, 1);
+        console.log('Recovery code used by', user.handle, '-', user.totp.recoveryCodes.length, 'codes left');
+        return true;
+    }
+
+    return false;
+}
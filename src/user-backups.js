@@ -0,0 +1,421 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+
+import { USER_BACKUPS_DIRECTORY, USER_DIRECTORY_TEMPLATE } from './constants.js';
+import { getConfigValue, generateTimestamp } from './util.js';
+import { getAllUserHandles, getUserDirectories } from './users.js';
+
+/**
+ * Name of the manifest file added to the root of the backup archives.
+ */
+const MANIFEST_FILE = 'backup.json';
+
+/**
+ * How often to check if scheduled backups are due.
+ */
+const SCHEDULE_CHECK_INTERVAL = 15 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Backup file names: <handle>-<kind>-<timestamp>.zip
+ */
+const BACKUP_FILE_REGEX = /^(.+)-(daily|weekly|manual|prerestore)-(\d{8}-\d{6})\.zip$/;
+
+/**
+ * Handles of the users with a backup or restore in progress.
+ * @type {Set<string>}
+ */
+const BUSY_USERS = new Set();
+
+/**
+ * @typedef {'daily'|'weekly'|'manual'|'prerestore'} BackupKind
+ */
+
+/**
+ * @typedef {Object} BackupInfo
+ * @property {string} file Archive file name
+ * @property {string} handle Handle of the backed up user
+ * @property {BackupKind} kind Why the backup was created
+ * @property {number} created Creation time, as a Unix timestamp in milliseconds
+ * @property {number} size Archive size in bytes
+ */
+
+/**
+ * Gets the backup options from the config.
+ * @returns {{ enabled: boolean, hour: number, daily: number, weekly: number, excludeThumbnails: boolean, excludeVectors: boolean }} Backup options
+ */
+export function getBackupOptions() {
+    const hour = Number(getConfigValue('userBackups.hour', 3));
+    const daily = Number(getConfigValue('userBackups.daily', 7));
+    const weekly = Number(getConfigValue('userBackups.weekly', 4));
+
+    return {
+        enabled: !!getConfigValue('userBackups.enabled', false),
+        hour: Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 3,
+        daily: Number.isInteger(daily) && daily > 0 ? daily : 0,
+        weekly: Number.isInteger(weekly) && weekly > 0 ? weekly : 0,
+        excludeThumbnails: !!getConfigValue('userBackups.excludeThumbnails', true),
+        excludeVectors: !!getConfigValue('userBackups.excludeVectors', false),
+    };
+}
+
+/**
+ * Gets the directory with the backups of a user. It's outside of the user's data root, so backups don't include each other.
+ * @param {string} handle User handle
+ * @returns {string} Backups directory
+ */
+function getUserBackupsDirectory(handle) {
+    return path.join(globalThis.DATA_ROOT, USER_BACKUPS_DIRECTORY, handle);
+}
+
+/**
+ * Gets the path of a backup archive. Prevents escaping from the backups directory.
+ * @param {string} handle User handle
+ * @param {string} file Archive file name
+ * @returns {string|null} Archive path, or null if the handle or file name is not valid
+ */
+export function getUserBackupPath(handle, file) {
+    const fileName = path.basename(String(file ?? ''));
+
+    if (!handle || path.basename(String(handle)) !== handle || fileName !== file || !BACKUP_FILE_REGEX.test(fileName)) {
+        return null;
+    }
+
+    return path.join(getUserBackupsDirectory(handle), fileName);
+}
+
+/**
+ * Lists the backups of a user.
+ * @param {string} handle User handle
+ * @returns {BackupInfo[]} Backups, newest first
+ */
+export function listUserBackups(handle) {
+    const directory = getUserBackupsDirectory(handle);
+
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    /** @type {BackupInfo[]} */
+    const backups = [];
+
+    for (const file of fs.readdirSync(directory)) {
+        const match = BACKUP_FILE_REGEX.exec(file);
+
+        if (!match) {
+            continue;
+        }
+
+        const stat = fs.statSync(path.join(directory, file));
+        backups.push({ file, handle, kind: /** @type {BackupKind} */ (match[2]), created: stat.mtimeMs, size: stat.size });
+    }
+
+    return backups.sort((a, b) => b.created - a.created);
+}
+
+/**
+ * Deletes a backup archive.
+ * @param {string} handle User handle
+ * @param {string} file Archive file name
+ * @returns {boolean} Whether the backup was found and deleted
+ */
+export function deleteUserBackup(handle, file) {
+    const backupPath = getUserBackupPath(handle, file);
+
+    if (!backupPath || !fs.existsSync(backupPath)) {
+        return false;
+    }
+
+    fs.unlinkSync(backupPath);
+    return true;
+}
+
+/**
+ * Deletes scheduled backups over the retention limits of a user.
+ * Manual and pre-restore backups are kept until deleted by an admin.
+ * @param {string} handle User handle
+ */
+function applyRetention(handle) {
+    const options = getBackupOptions();
+    const backups = listUserBackups(handle);
+
+    for (const [kind, keep] of Object.entries({ daily: options.daily, weekly: options.weekly })) {
+        for (const backup of backups.filter(x => x.kind === kind).slice(keep)) {
+            console.log(`Deleting old ${kind} backup ${backup.file}`);
+            fs.unlinkSync(path.join(getUserBackupsDirectory(handle), backup.file));
+        }
+    }
+}
+
+/**
+ * Creates a backup archive of a user's data root directory.
+ * @param {string} handle User handle
+ * @param {BackupKind} kind Why the backup is created
+ * @returns {Promise<BackupInfo>} Created backup
+ */
+export async function createUserBackup(handle, kind) {
+    if (BUSY_USERS.has(handle)) {
+        throw new Error(`A backup or restore is already in progress for ${handle}`);
+    }
+
+    BUSY_USERS.add(handle);
+
+    try {
+        const options = getBackupOptions();
+        const directories = getUserDirectories(handle);
+        const directory = getUserBackupsDirectory(handle);
+        const file = `${handle}-${kind}-${generateTimestamp()}.zip`;
+        const backupPath = path.join(directory, file);
+        const tempPath = `${backupPath}.tmp`;
+        const ignore = [];
+
+        if (options.excludeThumbnails) {
+            ignore.push(`${USER_DIRECTORY_TEMPLATE.thumbnails}/**`);
+        }
+
+        if (options.excludeVectors) {
+            ignore.push(`${USER_DIRECTORY_TEMPLATE.vectors}/**`);
+        }
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        const archive = archiver('zip');
+        const output = fs.createWriteStream(tempPath);
+        const manifest = { handle, kind, created: Date.now(), excluded: ignore };
+
+        archive.glob('**/*', { cwd: directories.root, dot: true, ignore });
+        archive.append(JSON.stringify(manifest, null, 4), { name: MANIFEST_FILE });
+        archive.finalize();
+
+        await pipeline(archive, output);
+        fs.renameSync(tempPath, backupPath);
+        console.log(`Created ${kind} backup ${file} (${archive.pointer()} bytes)`);
+
+        const stat = fs.statSync(backupPath);
+        return { file, handle, kind, created: stat.mtimeMs, size: stat.size };
+    } finally {
+        BUSY_USERS.delete(handle);
+    }
+}
+
+/**
+ * Reads and validates the entries of a backup archive.
+ * @param {string} archivePath Path to the archive
+ * @returns {Promise<{ entries: string[], manifest: any }>} Entry names and the backup manifest, if present
+ * @throws {Error} If the archive is not a valid user data backup
+ */
+export async function validateBackupArchive(archivePath) {
+    /** @type {import('yauzl').ZipFile} */
+    const zipFile = await new Promise((resolve, reject) => {
+        yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (err, zip) => err ? reject(err) : resolve(zip));
+    });
+
+    try {
+        const entries = [];
+        let manifest = null;
+
+        await new Promise((resolve, reject) => {
+            zipFile.on('entry', (entry) => {
+                const name = entry.fileName;
+
+                if (path.posix.isAbsolute(name) || path.win32.isAbsolute(name) || name.split(/[\\/]/).includes('..')) {
+                    return reject(new Error(`Unsafe path in archive: ${name}`));
+                }
+
+                if (name !== MANIFEST_FILE) {
+                    entries.push(name);
+                    return zipFile.readEntry();
+                }
+
+                zipFile.openReadStream(entry, (err, stream) => {
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    const chunks = [];
+                    stream.on('data', chunk => chunks.push(chunk));
+                    stream.on('error', reject);
+                    stream.on('end', () => {
+                        try {
+                            manifest = JSON.parse(chunks.join(''));
+                            zipFile.readEntry();
+                        } catch {
+                            reject(new Error('Invalid backup manifest'));
+                        }
+                    });
+                });
+            });
+            zipFile.on('end', resolve);
+            zipFile.on('error', reject);
+            zipFile.readEntry();
+        });
+
+        // Archives downloaded from the user profile have no manifest, but always contain the settings
+        if (!manifest && !entries.includes('settings.json')) {
+            throw new Error('The archive is not a user data backup');
+        }
+
+        return { entries, manifest };
+    } finally {
+        zipFile.close();
+    }
+}
+
+/**
+ * Extracts an archive into a directory.
+ * @param {string} archivePath Path to the archive
+ * @param {string} targetDirectory Directory to extract to
+ * @returns {Promise<void>}
+ */
+async function extractArchive(archivePath, targetDirectory) {
+    /** @type {import('yauzl').ZipFile} */
+    const zipFile = await new Promise((resolve, reject) => {
+        yauzl.open(archivePath, { lazyEntries: true }, (err, zip) => err ? reject(err) : resolve(zip));
+    });
+
+    await new Promise((resolve, reject) => {
+        zipFile.on('entry', (entry) => {
+            const targetPath = path.join(targetDirectory, entry.fileName);
+
+            if (entry.fileName === MANIFEST_FILE || !targetPath.startsWith(targetDirectory + path.sep)) {
+                return zipFile.readEntry();
+            }
+
+            if (entry.fileName.endsWith('/')) {
+                fs.mkdirSync(targetPath, { recursive: true });
+                return zipFile.readEntry();
+            }
+
+            zipFile.openReadStream(entry, (err, stream) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+                pipeline(stream, fs.createWriteStream(targetPath)).then(() => zipFile.readEntry(), reject);
+            });
+        });
+        zipFile.on('end', resolve);
+        zipFile.on('error', reject);
+        zipFile.readEntry();
+    });
+}
+
+/**
+ * Replaces the data of a user with the contents of a backup archive.
+ * The current data is backed up first, if the user has any.
+ * @param {string} archivePath Path to the archive
+ * @param {string} handle Handle of the user to restore into
+ * @returns {Promise<BackupInfo|null>} Backup of the replaced data, or null if the user had no data
+ */
+export async function restoreUserBackup(archivePath, handle) {
+    await validateBackupArchive(archivePath);
+
+    const directories = getUserDirectories(handle);
+    const safetyBackup = fs.existsSync(directories.root) ? await createUserBackup(handle, 'prerestore') : null;
+
+    if (BUSY_USERS.has(handle)) {
+        throw new Error(`A backup or restore is already in progress for ${handle}`);
+    }
+
+    BUSY_USERS.add(handle);
+
+    const root = path.resolve(directories.root);
+    const stagingDirectory = `${root}.restoring`;
+    const replacedDirectory = `${root}.replaced`;
+
+    try {
+        fs.rmSync(stagingDirectory, { recursive: true, force: true });
+        fs.mkdirSync(stagingDirectory, { recursive: true });
+        await extractArchive(archivePath, stagingDirectory);
+
+        // Swap the directories only after the archive was fully extracted
+        fs.rmSync(replacedDirectory, { recursive: true, force: true });
+        if (fs.existsSync(root)) {
+            fs.renameSync(root, replacedDirectory);
+        }
+        fs.renameSync(stagingDirectory, root);
+        fs.rmSync(replacedDirectory, { recursive: true, force: true });
+
+        // Recreate the directories that were excluded from the backup
+        for (const directory of Object.values(directories)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        console.log(`Restored the data of ${handle} from ${path.basename(archivePath)}`);
+        return safetyBackup;
+    } finally {
+        fs.rmSync(stagingDirectory, { recursive: true, force: true });
+        BUSY_USERS.delete(handle);
+    }
+}
+
+/**
+ * Creates the scheduled backups that are due for all users.
+ */
+async function runScheduledBackups() {
+    const options = getBackupOptions();
+    const now = Date.now();
+    // The last time point when scheduled backups should have been created
+    const scheduled = new Date(now);
+    scheduled.setHours(options.hour, 0, 0, 0);
+    if (scheduled.getTime() > now) {
+        scheduled.setDate(scheduled.getDate() - 1);
+    }
+
+    for (const handle of await getAllUserHandles()) {
+        try {
+            const backups = listUserBackups(handle);
+            const lastDaily = backups.find(x => x.kind === 'daily')?.created ?? 0;
+            const lastWeekly = backups.find(x => x.kind === 'weekly')?.created ?? 0;
+            const dailyDue = options.daily > 0 && lastDaily < scheduled.getTime();
+            const weeklyDue = options.weekly > 0 && lastWeekly < scheduled.getTime() - 6 * DAY;
+
+            if (!dailyDue && !weeklyDue) {
+                continue;
+            }
+
+            const backup = await createUserBackup(handle, dailyDue ? 'daily' : 'weekly');
+
+            // Both are due on the same day: the weekly backup is a copy of the daily one
+            if (dailyDue && weeklyDue) {
+                const weeklyFile = backup.file.replace('-daily-', '-weekly-');
+                fs.copyFileSync(path.join(getUserBackupsDirectory(handle), backup.file), path.join(getUserBackupsDirectory(handle), weeklyFile));
+            }
+
+            applyRetention(handle);
+        } catch (error) {
+            console.error(`Scheduled backup of ${handle} failed:`, error);
+        }
+    }
+}
+
+/**
+ * Starts the backup scheduler, if scheduled backups are enabled.
+ */
+export function initUserBackups() {
+    // Clean up the leftovers of backups interrupted by a server shutdown
+    const backupsRoot = path.join(globalThis.DATA_ROOT, USER_BACKUPS_DIRECTORY);
+    if (fs.existsSync(backupsRoot)) {
+        for (const handle of fs.readdirSync(backupsRoot)) {
+            const directory = path.join(backupsRoot, handle);
+            if (fs.statSync(directory).isDirectory()) {
+                fs.readdirSync(directory).filter(x => x.endsWith('.tmp')).forEach(x => fs.rmSync(path.join(directory, x), { force: true }));
+            }
+        }
+    }
+
+    if (!getBackupOptions().enabled) {
+        return;
+    }
+
+    const run = () => runScheduledBackups().catch(error => console.error('Scheduled backups failed:', error));
+    setInterval(run, SCHEDULE_CHECK_INTERVAL).unref();
+    run();
+}
+
@@ -0,0 +1,423 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import storage from 'node-persist';
+
+import { Cache, getConfigValue } from './util.js';
+import { getUserDirectories } from './users.js';
+import { captureGenerationUsage, getContentText } from './generation-usage.js';
+
+const USAGE_KEY_PREFIX = 'usage:';
+// Storage usage is calculated by walking the user directory, so it's not done on every upload
+const STORAGE_USAGE_CACHE = new Cache(5 * 60 * 1000);
+// Rough number of characters per token, used when the API doesn't report the usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Endpoints that add files to the user directory without a file upload.
+ * Endpoints with a file upload are always checked.
+ */
+const STORAGE_WRITE_ROUTES = [
+    '/api/images/upload',
+    '/api/files/upload',
+    '/api/vector/insert',
+    '/api/assets/download',
+    '/api/extensions/install',
+];
+
+/**
+ * @typedef {Object} UserQuotas
+ * @property {number} storageMb - Maximum size of the user directory in megabytes
+ * @property {number} requestsPerDay - Maximum number of generation requests per day
+ * @property {Record<string, number>} tokensPerDay - Maximum number of tokens per day by provider. `default` applies to the providers not listed
+ */
+
+/**
+ * @typedef {Object} DailyUsage
+ * @property {number} requests - Number of generation requests
+ * @property {Record<string, number>} tokens - Number of tokens by provider
+ */
+
+/**
+ * Cache of the usage history by user handle.
+ * @type {Map<string, Record<string, DailyUsage>>}
+ */
+const USAGE_CACHE = new Map();
+
+/**
+ * Error returned when a quota is exceeded. Same shape as the errors of the generation APIs, so the UI shows the message.
+ * @param {import('express').Response} response Response object
+ * @param {string} message Error message
+ */
+function sendQuotaError(response, message) {
+    return response.status(429).json({ error: { message, type: 'quota_exceeded' } });
+}
+
+/**
+ * Checks if quotas and usage accounting are enabled.
+ * @returns {boolean} Whether quotas are enabled
+ */
+export function isQuotasEnabled() {
+    return !!getConfigValue('quotas.enabled', false);
+}
+
+/**
+ * Converts a quota value to a number. Invalid and negative values are treated as unlimited.
+ * @param {any} value Quota value
+ * @returns {number} Quota, 0 if unlimited
+ */
+function toLimit(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Normalizes quotas from the config or from an admin request. Missing values are left out.
+ * @param {any} input Quotas
+ * @returns {Partial<UserQuotas>} Quotas
+ */
+export function sanitizeQuotas(input) {
+    /** @type {Partial<UserQuotas>} */
+    const quotas = {};
+
+    if (!input || typeof input !== 'object') {
+        return quotas;
+    }
+
+    for (const key of ['storageMb', 'requestsPerDay']) {
+        if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+            quotas[key] = toLimit(input[key]);
+        }
+    }
+
+    if (input.tokensPerDay && typeof input.tokensPerDay === 'object') {
+        quotas.tokensPerDay = {};
+        for (const [provider, value] of Object.entries(input.tokensPerDay)) {
+            if (provider && value !== undefined && value !== null && value !== '') {
+                quotas.tokensPerDay[provider] = toLimit(value);
+            }
+        }
+    }
+
+    return quotas;
+}
+
+/**
+ * Gets the quotas of a user. The user's own quotas override the defaults from the config.
+ * @param {import('./users.js').User} user User
+ * @returns {UserQuotas} Quotas
+ */
+export function getUserQuotas(user) {
+    const defaults = sanitizeQuotas({
+        storageMb: getConfigValue('quotas.storageMb', 0),
+        requestsPerDay: getConfigValue('quotas.requestsPerDay', 0),
+        tokensPerDay: getConfigValue('quotas.tokensPerDay', {}),
+    });
+    const overrides = sanitizeQuotas(user.quotas);
+
+    return {
+        storageMb: overrides.storageMb ?? defaults.storageMb ?? 0,
+        requestsPerDay: overrides.requestsPerDay ?? defaults.requestsPerDay ?? 0,
+        tokensPerDay: { ...defaults.tokensPerDay, ...overrides.tokensPerDay },
+    };
+}
+
+/**
+ * Checks if the quotas apply to a user. Admins are not limited.
+ * @param {import('./users.js').User} user User
+ * @returns {boolean} Whether the user is limited
+ */
+function isUserLimited(user) {
+    return isQuotasEnabled() && !user.admin;
+}
+
+/**
+ * Gets the key of the current day in the server time zone.
+ * @param {Date} [date] Date
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+function getDayKey(date = new Date()) {
+    const pad = (/** @type {number} */ x) => String(x).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gets the usage history of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<Record<string, DailyUsage>>} Usage by day
+ */
+async function getUsageHistory(handle) {
+    if (!USAGE_CACHE.has(handle)) {
+        const history = await storage.getItem(USAGE_KEY_PREFIX + handle);
+        // Another request may have loaded and changed the history in the meantime
+        if (!USAGE_CACHE.has(handle)) {
+            USAGE_CACHE.set(handle, history && typeof history === 'object' ? history : {});
+        }
+    }
+
+    return USAGE_CACHE.get(handle);
+}
+
+/**
+ * Gets the usage of a user on the current day.
+ * @param {string} handle User handle
+ * @returns {Promise<DailyUsage>} Usage
+ */
+async function getTodayUsage(handle) {
+    const history = await getUsageHistory(handle);
+    return history[getDayKey()] ?? { requests: 0, tokens: {} };
+}
+
+/**
+ * Gets the entry of the current day in a usage history, adding it if missing.
+ * @param {Record<string, DailyUsage>} history Usage history
+ * @returns {DailyUsage} Usage of the current day
+ */
+function getTodayEntry(history) {
+    const day = getDayKey();
+    history[day] = history[day] ?? { requests: 0, tokens: {} };
+    return history[day];
+}
+
+/**
+ * Saves the usage history of a user. Days older than the configured history length are removed.
+ * @param {string} handle User handle
+ * @param {Record<string, DailyUsage>} history Usage history
+ * @returns {Promise<void>}
+ */
+async function saveUsageHistory(handle, history) {
+    const historyDays = Math.max(1, Number(getConfigValue('quotas.historyDays', 90)) || 90);
+    const oldestDay = getDayKey(new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000));
+    for (const key of Object.keys(history)) {
+        if (key < oldestDay) {
+            delete history[key];
+        }
+    }
+
+    await storage.setItem(USAGE_KEY_PREFIX + handle, history);
+}
+
+/**
+ * Records the tokens used by a finished generation request.
+ * @param {string} handle User handle
+ * @param {string} provider Provider the request was sent to
+ * @param {number} tokens Number of used tokens
+ * @returns {Promise<void>}
+ */
+async function recordTokens(handle, provider, tokens) {
+    const history = await getUsageHistory(handle);
+    const usage = getTodayEntry(history);
+    usage.tokens[provider] = (usage.tokens[provider] ?? 0) + tokens;
+    await saveUsageHistory(handle, history);
+}
+
+/**
+ * Removes the usage history of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<void>}
+ */
+export async function deleteUsageHistory(handle) {
+    USAGE_CACHE.delete(handle);
+    STORAGE_USAGE_CACHE.remove(handle);
+    await storage.removeItem(USAGE_KEY_PREFIX + handle);
+}
+
+/**
+ * Calculates the size of a directory, including subdirectories. Symbolic links are not followed.
+ * @param {string} directory Directory path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getDirectorySize(directory) {
+    let size = 0;
+    let entries = [];
+
+    try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch {
+        return 0;
+    }
+
+    for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            size += await getDirectorySize(fullPath);
+        } else if (entry.isFile()) {
+            try {
+                size += (await fs.promises.stat(fullPath)).size;
+            } catch {
+                // File was removed in the meantime
+            }
+        }
+    }
+
+    return size;
+}
+
+/**
+ * Gets the size of the user's data directory.
+ * @param {string} handle User handle
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {boolean} [refresh] Calculate the size again instead of using the cached value
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function getStorageUsage(handle, directories, refresh = false) {
+    const cached = STORAGE_USAGE_CACHE.get(handle);
+
+    if (cached !== null && !refresh) {
+        return cached;
+    }
+
+    const size = await getDirectorySize(directories.root);
+    STORAGE_USAGE_CACHE.set(handle, size);
+    return size;
+}
+
+/**
+ * Gets the daily token limit of a provider.
+ * @param {UserQuotas} quotas Quotas
+ * @param {string} provider Provider
+ * @returns {number} Limit, 0 if unlimited
+ */
+function getTokenLimit(quotas, provider) {
+    return quotas.tokensPerDay[provider] ?? quotas.tokensPerDay.default ?? 0;
+}
+
+/**
+ * Gets the length of the prompt of a generation request.
+ * @param {any} body Request body
+ * @returns {number} Number of characters
+ */
+function getPromptLength(body) {
+    if (Array.isArray(body?.messages)) {
+        return body.messages.reduce((length, message) => length + getContentText(message?.content).length, 0);
+    }
+
+    return getContentText(body?.messages ?? body?.prompt).length;
+}
+
+/**
+ * Creates a middleware that enforces the request and token quotas of a generation endpoint.
+ * Requests are counted when they start, the used tokens are recorded when the response is finished.
+ * @param {(request: import('express').Request) => string} getProvider Gets the provider of a request
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function createGenerationQuotaMiddleware(getProvider) {
+    return async function (request, response, next) {
+        if (!isQuotasEnabled() || !request.user) {
+            return next();
+        }
+
+        try {
+            const user = request.user.profile;
+            const handle = user.handle;
+            const provider = String(getProvider(request) || 'unknown');
+
+            const history = await getUsageHistory(handle);
+            // Checked and counted without awaiting in between, so concurrent requests can't all pass the check
+            const usage = getTodayEntry(history);
+
+            if (isUserLimited(user)) {
+                const quotas = getUserQuotas(user);
+                const tokenLimit = getTokenLimit(quotas, provider);
+
+                if (quotas.requestsPerDay && usage.requests >= quotas.requestsPerDay) {
+                    console.log('Generation quota exceeded:', handle, 'made', usage.requests, 'requests today');
+                    return sendQuotaError(response, `Daily request limit reached (${quotas.requestsPerDay}). Try again tomorrow or ask an admin to raise your quota.`);
+                }
+
+                if (tokenLimit && (usage.tokens[provider] ?? 0) >= tokenLimit) {
+                    console.log('Generation quota exceeded:', handle, 'used', usage.tokens[provider], 'tokens of', provider, 'today');
+                    return sendQuotaError(response, `Daily token limit for ${provider} reached (${tokenLimit}). Try again tomorrow or ask an admin to raise your quota.`);
+                }
+            }
+
+            usage.requests += 1;
+            await saveUsageHistory(handle, history);
+
+            captureGenerationUsage(response, (generated) => {
+                const tokens = generated.total || Math.ceil((getPromptLength(request.body) + generated.text.length) / CHARS_PER_TOKEN);
+                recordTokens(handle, provider, tokens).catch(error => console.error('Usage accounting failed:', error));
+            });
+        } catch (error) {
+            console.error('Generation quota check failed:', error);
+            return response.sendStatus(500);
+        }
+
+        return next();
+    };
+}
+
+/**
+ * Middleware that rejects uploads and other data writes of users over their storage quota.
+ * Must be added after the file upload middleware.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('express').NextFunction} next Next function
+ */
+export async function storageQuotaMiddleware(request, response, next) {
+    if (!request.user || request.method !== 'POST' || !isUserLimited(request.user.profile)) {
+        return next();
+    }
+
+    if (!request.file && !STORAGE_WRITE_ROUTES.includes(request.path)) {
+        return next();
+    }
+
+    try {
+        const { storageMb } = getUserQuotas(request.user.profile);
+
+        if (!storageMb) {
+            return next();
+        }
+
+        const handle = request.user.profile.handle;
+        const used = await getStorageUsage(handle, request.user.directories);
+        const incoming = request.file?.size ?? 0;
+
+        if (used + incoming > storageMb * 1024 * 1024) {
+            console.log('Storage quota exceeded:', handle, 'uses', Math.round(used / 1024 / 1024), 'MB of', storageMb, 'MB');
+            if (request.file?.path) {
+                fs.rmSync(request.file.path, { force: true });
+            }
+            return sendQuotaError(response, `Storage limit reached (${storageMb} MB). Delete some files or ask an admin to raise your quota.`);
+        }
+
+        // Count the upload until the size is calculated again
+        STORAGE_USAGE_CACHE.set(handle, used + incoming);
+        return next();
+    } catch (error) {
+        console.error('Storage quota check failed:', error);
+        return next();
+    }
+}
+
+/**
+ * Gets the usage report of a user.
+ * @param {import('./users.js').User} user User
+ * @param {number} [days] Number of days in the history
+ * @returns {Promise<object>} Usage report
+ */
+export async function getUsageReport(user, days = 30) {
+    const directories = getUserDirectories(user.handle);
+    const history = await getUsageHistory(user.handle);
+    const quotas = getUserQuotas(user);
+    const oldestDay = getDayKey(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+
+    return {
+        handle: user.handle,
+        enabled: isQuotasEnabled(),
+        limited: isUserLimited(user),
+        quotas: quotas,
+        overrides: sanitizeQuotas(user.quotas),
+        storage: {
+            used: await getStorageUsage(user.handle, directories, true),
+            limit: quotas.storageMb * 1024 * 1024,
+        },
+        today: await getTodayUsage(user.handle),
+        history: Object.entries(history)
+            .filter(([day]) => day >= oldestDay)
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([day, usage]) => ({ day, ...usage })),
+    };
+}
@@ -0,0 +1,181 @@
+import crypto from 'node:crypto';
+
+import storage from 'node-persist';
+
+import { getIpFromRequest } from './express-common.js';
+import { getConfigValue } from './util.js';
+
+const SESSION_KEY_PREFIX = 'sessions:';
+// Last seen time is saved at most once per minute for each session
+const TOUCH_INTERVAL = 60 * 1000;
+const MAX_SESSIONS = 50;
+
+/**
+ * @typedef {Object} UserSession
+ * @property {string} id - Session ID, stored in the session cookie
+ * @property {number} created - The timestamp when the user logged in
+ * @property {number} lastSeen - The timestamp of the last request
+ * @property {string} ip - IP address of the last request
+ * @property {string} userAgent - User agent of the last request
+ */
+
+/**
+ * Cache of the session lists by user handle.
+ * @type {Map<string, UserSession[]>}
+ */
+const SESSIONS_CACHE = new Map();
+
+/**
+ * Gets the time after which an unused session expires.
+ * @returns {number} Time in milliseconds
+ */
+function getSessionMaxAge() {
+    const timeout = Number(getConfigValue('sessionTimeout', 24 * 60 * 60));
+    // Session cookies can't live longer than 400 days as per RFC 6265
+    return timeout > 0 ? timeout * 1000 : 400 * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Gets the sessions of a user, without the expired ones.
+ * @param {string} handle User handle
+ * @returns {Promise<UserSession[]>} Sessions
+ */
+async function getSessions(handle) {
+    if (!SESSIONS_CACHE.has(handle)) {
+        const sessions = await storage.getItem(SESSION_KEY_PREFIX + handle);
+        SESSIONS_CACHE.set(handle, Array.isArray(sessions) ? sessions : []);
+    }
+
+    const minLastSeen = Date.now() - getSessionMaxAge();
+    const sessions = SESSIONS_CACHE.get(handle).filter(x => x.lastSeen >= minLastSeen);
+    SESSIONS_CACHE.set(handle, sessions);
+    return sessions;
+}
+
+/**
+ * Saves the sessions of a user.
+ * @param {string} handle User handle
+ * @param {UserSession[]} sessions Sessions
+ * @returns {Promise<void>}
+ */
+async function saveSessions(handle, sessions) {
+    const trimmed = sessions.sort((a, b) => b.lastSeen - a.lastSeen).slice(0, MAX_SESSIONS);
+    SESSIONS_CACHE.set(handle, trimmed);
+
+    if (trimmed.length) {
+        await storage.setItem(SESSION_KEY_PREFIX + handle, trimmed);
+    } else {
+        await storage.removeItem(SESSION_KEY_PREFIX + handle);
+    }
+}
+
+/**
+ * Records a new session of a user and logs the user in.
+ * @param {import('express').Request} request Request object
+ * @param {string} handle User handle
+ * @param {boolean} [sso] Whether the user logged in with the identity provider
+ * @returns {Promise<void>}
+ */
+export async function startUserSession(request, handle, sso = false) {
+    const now = Date.now();
+    const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        created: now,
+        lastSeen: now,
+        ip: getIpFromRequest(request),
+        userAgent: String(request.get('User-Agent') ?? ''),
+    };
+
+    const sessions = await getSessions(handle);
+    await saveSessions(handle, [session, ...sessions]);
+    request.session.handle = handle;
+    request.session.sessionId = session.id;
+    request.session.sso = sso;
+}
+
+/**
+ * Checks if the session of a request is still valid and updates its last seen time.
+ * Sessions created before the sessions were recorded are registered on the first request.
+ * @param {import('express').Request} request Request object
+ * @param {string} handle User handle
+ * @returns {Promise<boolean>} Whether the session is valid. False if it was revoked or expired
+ */
+export async function checkUserSession(request, handle) {
+    if (!request.session.sessionId) {
+        await startUserSession(request, handle);
+        return true;
+    }
+
+    const sessions = await getSessions(handle);
+    const session = sessions.find(x => x.id === request.session.sessionId);
+
+    if (!session) {
+        return false;
+    }
+
+    const now = Date.now();
+    if (now - session.lastSeen > TOUCH_INTERVAL) {
+        session.lastSeen = now;
+        session.ip = getIpFromRequest(request);
+        session.userAgent = String(request.get('User-Agent') ?? '');
+        await saveSessions(handle, sessions);
+    }
+
+    return true;
+}
+
+/**
+ * Ends the session of a request and logs the user out.
+ * @param {import('express').Request} request Request object
+ * @param {string} handle User handle
+ * @returns {Promise<void>}
+ */
+export async function endUserSession(request, handle) {
+    if (request.session.sessionId) {
+        await revokeUserSession(handle, request.session.sessionId);
+    }
+
+    request.session.handle = null;
+    request.session.sessionId = null;
+}
+
+/**
+ * Lists the active sessions of a user, most recently used first.
+ * @param {string} handle User handle
+ * @returns {Promise<UserSession[]>} Sessions
+ */
+export async function listUserSessions(handle) {
+    const sessions = await getSessions(handle);
+    return [...sessions].sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Revokes a session of a user. The device is logged out on its next request.
+ * @param {string} handle User handle
+ * @param {string} id Session ID
+ * @returns {Promise<boolean>} Whether the session was found
+ */
+export async function revokeUserSession(handle, id) {
+    const sessions = await getSessions(handle);
+    const remaining = sessions.filter(x => x.id !== id);
+
+    if (remaining.length === sessions.length) {
+        return false;
+    }
+
+    await saveSessions(handle, remaining);
+    return true;
+}
+
+/**
+ * Revokes all sessions of a user.
+ * @param {string} handle User handle
+ * @param {string} [exceptId] ID of a session to keep
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export async function revokeUserSessions(handle, exceptId) {
+    const sessions = await getSessions(handle);
+    const remaining = sessions.filter(x => x.id === exceptId);
+    await saveSessions(handle, remaining);
+    return sessions.length - remaining.length;
+}
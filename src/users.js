@@ -17,7 +17,12 @@ import { sync as writeFileAtomicSync } from 'write-file-atomic';
 import { USER_DIRECTORY_TEMPLATE, DEFAULT_USER, PUBLIC_DIRECTORIES, SETTINGS_FILE } from './constants.js';
 import { getConfigValue, color, delay, setConfigValue, generateTimestamp } from './util.js';
 import { readSecret, writeSecret } from './endpoints/secrets.js';
+import { encryptSecretsFile, isSecretsEncryptionEnabled, unlockSecrets } from './secrets-vault.js';
 import { getContentOfType } from './endpoints/content-manager.js';
+import { needsSecondFactor, isTwoFactorRequired } from './totp.js';
+import { checkUserSession, startUserSession } from './user-sessions.js';
+import { getBearerToken, isRouteAllowedForToken, verifyApiToken } from './api-tokens.js';
+import { getIpFromRequest } from './express-common.js';
 
 export const KEY_PREFIX = 'user:';
 const AVATAR_PREFIX = 'avatar:';
@@ -47,6 +52,10 @@ const STORAGE_KEYS = {
  * @property {string} salt - Salt used for hashing the password
  * @property {boolean} enabled - Whether the user is enabled
  * @property {boolean} admin - Whether the user is an admin (can manage other users)
+ * @property {import('./totp.js').TotpSettings} [totp] - Two-factor authentication settings
+ * @property {{ issuer: string, subject: string }} [oidc] - Identity provider account linked to the user
+ * @property {boolean} [ssoOnly] - Whether the user was created by the single sign-on login and can't log in with a password
+ * @property {Partial<import('./user-quotas.js').UserQuotas>} [quotas] - Quotas set by an admin. The defaults from the config apply if not set
  */
 
 /**
@@ -58,6 +67,7 @@ const STORAGE_KEYS = {
  * @property {boolean} password - Whether the user is password protected
  * @property {boolean} [enabled] - Whether the user is enabled
  * @property {number} [created] - The timestamp when the user was created
+ * @property {boolean} [totp] - Whether the user has two-factor authentication enabled
  */
 
 /**
@@ -91,6 +101,7 @@ const STORAGE_KEYS = {
  * @property {string} vectors - The directory where the vectors are stored
  * @property {string} backups - The directory where the backups are stored
  * @property {string} sysprompt - The directory where the system prompt data is stored
+ * @property {string} chatIndex - The directory where the chat search index is stored
  */
 
 /**
@@ -388,6 +399,26 @@ export async function migrateSystemPrompts() {
     }
 }
 
+/**
+ * Encrypts plaintext secrets files of all users if secrets encryption is enabled.
+ */
+export async function migrateSecrets() {
+    if (!isSecretsEncryptionEnabled()) {
+        return;
+    }
+
+    const directories = await getUserDirectoriesList();
+    for (const directory of directories) {
+        try {
+            if (encryptSecretsFile(directory)) {
+                console.log(`Encrypted secrets for ${directory.root.split(path.sep).pop()}`);
+            }
+        } catch (error) {
+            console.error('Error encrypting secrets:', error);
+        }
+    }
+}
+
 /**
  * Converts a user handle to a storage key.
  * @param {string} handle User handle
@@ -572,6 +603,7 @@ export function shouldRedirectToLogin(request) {
 /**
  * Tries auto-login if there is only one user and it's not password protected.
  * or another configured method such authlia or basic
+ * Users that need a second factor always log in on the login page.
  * @param {import('express').Request} request Request object
  * @param {boolean} basicAuthMode If Basic auth mode is enabled
  * @returns {Promise<boolean>} Whether auto-login was performed
@@ -611,8 +643,8 @@ async function singleUserLogin(request) {
     const userHandles = await getAllUserHandles();
     if (userHandles.length === 1) {
         const user = await storage.getItem(toKey(userHandles[0]));
-        if (user && !user.password) {
-            request.session.handle = userHandles[0];
+        if (user && !user.password && !user.oidc && !needsSecondFactor(user)) {
+            await startUserSession(request, userHandles[0]);
             return true;
         }
     }
@@ -639,8 +671,8 @@ async function autheliaUserLogin(request) {
     for (const userHandle of userHandles) {
         if (remoteUser === userHandle) {
             const user = await storage.getItem(toKey(userHandle));
-            if (user && user.enabled) {
-                request.session.handle = userHandle;
+            if (user && user.enabled && !needsSecondFactor(user)) {
+                await startUserSession(request, userHandle);
                 return true;
             }
         }
@@ -679,8 +711,9 @@ async function basicUserLogin(request) {
         if (username === userHandle) {
             const user = await storage.getItem(toKey(userHandle));
             // Verify pass again here just to be sure
-            if (user && user.enabled && user.password && user.password === getPasswordHash(password, user.salt)) {
-                request.session.handle = userHandle;
+            if (user && user.enabled && user.password && user.password === getPasswordHash(password, user.salt) && !needsSecondFactor(user)) {
+                await startUserSession(request, userHandle);
+                await unlockSecrets(getUserDirectories(userHandle), password, request.session.sessionId);
                 return true;
             }
         }
@@ -696,6 +729,12 @@ async function basicUserLogin(request) {
  * @param {import('express').NextFunction} next Next function
  */
 export async function setUserDataMiddleware(request, response, next) {
+    // Personal API tokens are used instead of the session
+    const bearerToken = getBearerToken(request);
+    if (bearerToken) {
+        return setTokenUserData(request, response, next, bearerToken);
+    }
+
     // If user accounts are disabled, use the default user
     if (!ENABLE_ACCOUNTS) {
         const handle = DEFAULT_USER.handle;
@@ -733,6 +772,19 @@ export async function setUserDataMiddleware(request, response, next) {
         return next();
     }
 
+    // The user has to set up two-factor authentication on the login page.
+    // Single sign-on logins leave the second factor to the identity provider
+    if (isTwoFactorRequired() && !user.totp?.enabled && !request.session.sso) {
+        return next();
+    }
+
+    if (!await checkUserSession(request, handle)) {
+        console.log('Session was revoked or expired:', handle);
+        request.session.handle = null;
+        request.session.sessionId = null;
+        return next();
+    }
+
     const directories = getUserDirectories(handle);
     request.user = {
         profile: user,
@@ -747,6 +799,40 @@ export async function setUserDataMiddleware(request, response, next) {
     return next();
 }
 
+/**
+ * Adds the data of the user a personal API token belongs to to the request object.
+ * Requests with an invalid token or to an endpoint outside of the token scopes are rejected.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('express').NextFunction} next Next function
+ * @param {string} bearerToken Token from the Authorization header
+ */
+async function setTokenUserData(request, response, next, bearerToken) {
+    const ip = getIpFromRequest(request);
+    const entry = await verifyApiToken(bearerToken, ip);
+    const isAllowedUser = entry && (ENABLE_ACCOUNTS || entry.handle === DEFAULT_USER.handle);
+
+    /** @type {User} */
+    const user = isAllowedUser ? await storage.getItem(toKey(entry.handle)) : null;
+
+    if (!user || !user.enabled) {
+        console.log('API token rejected from', ip);
+        return response.status(401).json({ error: 'Invalid API token' });
+    }
+
+    if (!isRouteAllowedForToken(entry.token, request.path)) {
+        console.log('API token', entry.token.id, 'of', user.handle, 'has no access to', request.path);
+        return response.status(403).json({ error: 'The API token does not have access to this endpoint' });
+    }
+
+    request.user = {
+        profile: user,
+        directories: getUserDirectories(user.handle),
+    };
+    request.apiToken = entry.token;
+    return next();
+}
+
 /**
  * Middleware to add user data to the request object.
  * @param {import('express').Request} request Request object
@@ -849,7 +935,7 @@ async function getAllUsers() {
     /**
      * @type {User[]}
      */
-    const users = await storage.values();
+    const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
     return users;
 }
 
@@ -0,0 +1,286 @@
+import fetch from 'node-fetch';
+
+import { tokenize } from '../chat-index.js';
+import { SECRET_KEYS, readSecret } from '../endpoints/secrets.js';
+
+/**
+ * BM25 ranking parameters.
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Rank constant of the reciprocal rank fusion. Higher values flatten the differences between ranks.
+ */
+const RRF_K = 60;
+
+/**
+ * @typedef {Object} RetrievalCandidate
+ * @property {string} collectionId Collection the item belongs to
+ * @property {import('./vector-store.js').VectorItem['metadata']} metadata Item metadata
+ * @property {number[]} [vector] Embedding vector, required for keyword search and MMR
+ * @property {number} score Cosine similarity to the query
+ */
+
+/**
+ * @typedef {Object} RetrievalOptions
+ * @property {'vector'|'hybrid'} mode Retrieval mode
+ * @property {boolean} mmr Diversify the results with maximal marginal relevance
+ * @property {number} mmrLambda Relevance/diversity trade-off of MMR. 1 = relevance only, 0 = diversity only
+ * @property {boolean} rerank Reorder the results with a rerank endpoint
+ * @property {string} rerankUrl URL of an OpenAI-compatible (Cohere/Jina style) rerank endpoint
+ * @property {string} rerankModel Rerank model name
+ */
+
+/**
+ * Parses the retrieval options from a request body.
+ * @param {any} body Request body
+ * @returns {RetrievalOptions} Retrieval options
+ */
+export function getRetrievalOptions(body) {
+    const mmrLambda = Number(body?.mmrLambda);
+
+    return {
+        mode: body?.searchMode === 'hybrid' ? 'hybrid' : 'vector',
+        mmr: !!body?.mmr,
+        mmrLambda: Number.isFinite(mmrLambda) ? Math.min(Math.max(mmrLambda, 0), 1) : 0.7,
+        rerank: !!body?.rerank && !!body?.rerankUrl,
+        rerankUrl: String(body?.rerankUrl ?? ''),
+        rerankModel: String(body?.rerankModel ?? ''),
+    };
+}
+
+/**
+ * Checks if the options require more than a plain similarity search.
+ * @param {RetrievalOptions} options Retrieval options
+ * @returns {boolean} Whether the extended retrieval pipeline is needed
+ */
+export function isExtendedRetrieval(options) {
+    return options.mode === 'hybrid' || options.mmr || options.rerank;
+}
+
+/**
+ * Checks if the retrieval needs all items of a collection with their vectors.
+ * @param {RetrievalOptions} options Retrieval options
+ * @returns {boolean} Whether all items are needed
+ */
+export function needsAllItems(options) {
+    return options.mode === 'hybrid' || options.mmr;
+}
+
+/**
+ * Calculates the cosine similarity of two vectors.
+ * @param {ArrayLike<number>} a First vector
+ * @param {ArrayLike<number>} b Second vector
+ * @returns {number} Cosine similarity
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length && i < b.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Ranks the candidates by BM25 score of their text against the query.
+ * @param {RetrievalCandidate[]} candidates Candidates to rank
+ * @param {string} queryText Query text
+ * @returns {RetrievalCandidate[]} Candidates that contain at least one query term, best first
+ */
+function rankByKeywords(candidates, queryText) {
+    const queryTerms = [...new Set(tokenize(queryText).map(x => x.term))];
+
+    if (!queryTerms.length) {
+        return [];
+    }
+
+    const documents = candidates.map(candidate => {
+        const frequencies = new Map();
+        const terms = tokenize(candidate.metadata?.text ?? '');
+
+        for (const { term } of terms) {
+            frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+        }
+
+        return { candidate, frequencies, length: terms.length };
+    });
+
+    const avgLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+    const idf = new Map(queryTerms.map(term => {
+        const count = documents.filter(doc => doc.frequencies.has(term)).length;
+        return [term, Math.log(1 + (documents.length - count + 0.5) / (count + 0.5))];
+    }));
+
+    return documents
+        .map(doc => {
+            let score = 0;
+
+            for (const term of queryTerms) {
+                const frequency = doc.frequencies.get(term) ?? 0;
+
+                if (frequency) {
+                    const norm = BM25_K1 * (1 - BM25_B + BM25_B * (avgLength ? doc.length / avgLength : 1));
+                    score += idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+                }
+            }
+
+            return { candidate: doc.candidate, score };
+        })
+        .filter(x => x.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(x => x.candidate);
+}
+
+/**
+ * Merges several rankings with reciprocal rank fusion.
+ * @param {RetrievalCandidate[][]} rankings Rankings to merge, best first
+ * @returns {{ candidate: RetrievalCandidate, score: number }[]} Merged ranking, best first
+ */
+function reciprocalRankFusion(rankings) {
+    /** @type {Map<RetrievalCandidate, number>} */
+    const scores = new Map();
+
+    for (const ranking of rankings) {
+        ranking.forEach((candidate, rank) => {
+            scores.set(candidate, (scores.get(candidate) ?? 0) + 1 / (RRF_K + rank + 1));
+        });
+    }
+
+    return Array.from(scores.entries())
+        .map(([candidate, score]) => ({ candidate, score }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Selects a relevant but diverse subset of the candidates with maximal marginal relevance.
+ * @param {{ candidate: RetrievalCandidate, score: number }[]} ranked Candidates with relevance scores, best first
+ * @param {number} topK Number of candidates to select
+ * @param {number} lambda Relevance/diversity trade-off
+ * @returns {{ candidate: RetrievalCandidate, score: number }[]} Selected candidates in selection order
+ */
+function maximalMarginalRelevance(ranked, topK, lambda) {
+    const maxScore = Math.max(...ranked.map(x => x.score), Number.EPSILON);
+    const remaining = ranked.filter(x => Array.isArray(x.candidate.vector));
+    const selected = [];
+
+    while (selected.length < topK && remaining.length) {
+        let bestIndex = 0;
+        let bestValue = -Infinity;
+
+        for (let i = 0; i < remaining.length; i++) {
+            const relevance = remaining[i].score / maxScore;
+            const redundancy = selected.length
+                ? Math.max(...selected.map(x => cosineSimilarity(x.candidate.vector, remaining[i].candidate.vector)))
+                : 0;
+            const value = lambda * relevance - (1 - lambda) * redundancy;
+
+            if (value > bestValue) {
+                bestValue = value;
+                bestIndex = i;
+            }
+        }
+
+        selected.push(...remaining.splice(bestIndex, 1));
+    }
+
+    return selected;
+}
+
+/**
+ * Reorders the candidates with a rerank endpoint. Keeps the original order if the request fails.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {{ candidate: RetrievalCandidate, score: number }[]} ranked Candidates, best first
+ * @param {string} queryText Query text
+ * @param {RetrievalOptions} options Retrieval options
+ * @returns {Promise<{ candidate: RetrievalCandidate, score: number }[]>} Reranked candidates
+ */
+async function rerankCandidates(directories, ranked, queryText, options) {
+    try {
+        const url = new URL(options.rerankUrl);
+
+        if (!url.pathname.endsWith('/rerank')) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/rerank`;
+        }
+
+        const apiKey = readSecret(directories, SECRET_KEYS.RERANK);
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify({
+                model: options.rerankModel || undefined,
+                query: queryText,
+                documents: ranked.map(x => String(x.candidate.metadata?.text ?? '')),
+                top_n: ranked.length,
+            }),
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            console.log('Rerank request failed', response.statusText, text);
+            return ranked;
+        }
+
+        /** @type {any} */
+        const data = await response.json();
+        /** @type {{ index: number, relevance_score?: number, score?: number }[]} */
+        const results = Array.isArray(data) ? data : data?.results;
+
+        if (!Array.isArray(results)) {
+            console.log('Rerank endpoint returned an unexpected response', data);
+            return ranked;
+        }
+
+        return results
+            .filter(x => ranked[x.index])
+            .map(x => ({ candidate: ranked[x.index].candidate, score: Number(x.relevance_score ?? x.score ?? 0) }))
+            .sort((a, b) => b.score - a.score);
+    } catch (error) {
+        console.log('Rerank request failed', error);
+        return ranked;
+    }
+}
+
+/**
+ * Ranks retrieval candidates with the selected combination of hybrid search, MMR and reranking.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {RetrievalCandidate[]} candidates Candidates with their cosine similarity to the query
+ * @param {string} queryText Query text
+ * @param {number} topK Number of results to return
+ * @param {number} threshold Minimal cosine similarity. Keyword matches are kept regardless of it
+ * @param {RetrievalOptions} options Retrieval options
+ * @returns {Promise<RetrievalCandidate[]>} Best candidates, best first
+ */
+export async function rankCandidates(directories, candidates, queryText, topK, threshold, options) {
+    const vectorRanking = candidates.slice().sort((a, b) => b.score - a.score);
+    const keywordRanking = options.mode === 'hybrid' ? rankByKeywords(candidates, queryText) : [];
+    const keywordMatches = new Set(keywordRanking);
+    // Rerank and MMR pick the best from a wider pool than the final result
+    const poolSize = options.mmr || options.rerank ? topK * 3 : topK;
+
+    /** @type {{ candidate: RetrievalCandidate, score: number }[]} */
+    let ranked = options.mode === 'hybrid'
+        ? reciprocalRankFusion([vectorRanking, keywordRanking])
+        : vectorRanking.map(candidate => ({ candidate, score: candidate.score }));
+
+    ranked = ranked.filter(x => x.candidate.score >= threshold || keywordMatches.has(x.candidate)).slice(0, poolSize);
+
+    if (options.mmr) {
+        ranked = maximalMarginalRelevance(ranked, options.rerank ? poolSize : topK, options.mmrLambda);
+    }
+
+    if (options.rerank && ranked.length > 0) {
+        ranked = await rerankCandidates(directories, ranked, queryText, options);
+    }
+
+    return ranked.slice(0, topK).map(x => x.candidate);
+}
@@ -0,0 +1,231 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import { Buffer } from 'node:buffer';
+
+export const SQLITE_FILE = 'vectors.sqlite';
+
+/**
+ * Open databases, keyed by file path.
+ * @type {Map<string, import('better-sqlite3').Database>}
+ */
+const DATABASES = new Map();
+
+/**
+ * Opens the vector database of a user. Creates it if needed.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<import('better-sqlite3').Database>} Database connection
+ */
+async function openDatabase(directories) {
+    const filePath = path.join(directories.vectors, SQLITE_FILE);
+
+    if (DATABASES.has(filePath)) {
+        return DATABASES.get(filePath);
+    }
+
+    let Database;
+
+    try {
+        Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+        throw new Error('The sqlite vector storage driver requires the better-sqlite3 package. Install it with "npm install better-sqlite3".', { cause: error });
+    }
+
+    fs.mkdirSync(directories.vectors, { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS items (
+        source TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        model TEXT NOT NULL,
+        hash INTEGER NOT NULL,
+        metadata TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        norm REAL NOT NULL,
+        PRIMARY KEY (source, collection, model, hash)
+    )`);
+
+    DATABASES.set(filePath, db);
+    return db;
+}
+
+/**
+ * Encodes a vector as a BLOB of 32-bit floats.
+ * @param {number[]} vector Vector
+ * @returns {Buffer} Encoded vector
+ */
+function encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Decodes a vector stored with {@link encodeVector}.
+ * @param {Buffer} blob Encoded vector
+ * @returns {Float32Array} Vector
+ */
+function decodeVector(blob) {
+    // Copy the bytes, the BLOB buffer is not guaranteed to be aligned
+    const bytes = blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength);
+    return new Float32Array(bytes);
+}
+
+/**
+ * Calculates the Euclidean norm of a vector.
+ * @param {ArrayLike<number>} vector Vector
+ * @returns {number} Norm
+ */
+function getNorm(vector) {
+    let sum = 0;
+
+    for (let i = 0; i < vector.length; i++) {
+        sum += vector[i] * vector[i];
+    }
+
+    return Math.sqrt(sum);
+}
+
+/**
+ * Vector store backed by a per-user SQLite database. Queries are answered with a brute-force scan of the collection.
+ * @implements {import('./vector-store.js').VectorStore}
+ */
+export class SqliteStore {
+    /**
+     * @param {import('../users.js').UserDirectoryList} directories User directories
+     * @param {import('./vector-store.js').CollectionScope} scope Collection scope
+     */
+    constructor(directories, scope) {
+        this.directories = directories;
+        this.scope = scope;
+        this.location = `${path.join(directories.vectors, SQLITE_FILE)} (${[scope.source, scope.collectionId, scope.model].join('/')})`;
+        /** @type {[string, string, string]} Parameters that select the collection */
+        this.params = [scope.source, scope.collectionId, scope.model];
+        /** @type {import('better-sqlite3').Database} */
+        this.db = null;
+    }
+
+    /**
+     * Opens the database.
+     * @returns {Promise<SqliteStore>} The store
+     */
+    async open() {
+        this.db = await openDatabase(this.directories);
+        return this;
+    }
+
+    /**
+     * @param {import('./vector-store.js').VectorItem[]} items Items to insert
+     */
+    async insertItems(items) {
+        const statement = this.db.prepare('INSERT OR REPLACE INTO items (source, collection, model, hash, metadata, vector, norm) VALUES (?, ?, ?, ?, ?, ?, ?)');
+        const insertAll = this.db.transaction((/** @type {import('./vector-store.js').VectorItem[]} */ batch) => {
+            for (const item of batch) {
+                statement.run(...this.params, Number(item.metadata.hash), JSON.stringify(item.metadata), encodeVector(item.vector), getNorm(item.vector));
+            }
+        });
+
+        insertAll(items);
+    }
+
+    /**
+     * @returns {Promise<import('./vector-store.js').VectorItem[]>} All items with their vectors
+     */
+    async listItems() {
+        const rows = this.db.prepare('SELECT metadata, vector FROM items WHERE source = ? AND collection = ? AND model = ?').all(...this.params);
+        return rows.map((/** @type {any} */ row) => ({ vector: Array.from(decodeVector(row.vector)), metadata: JSON.parse(row.metadata) }));
+    }
+
+    /**
+     * @returns {Promise<number[]>} Hashes of all items
+     */
+    async getHashes() {
+        const rows = this.db.prepare('SELECT hash FROM items WHERE source = ? AND collection = ? AND model = ?').all(...this.params);
+        return rows.map((/** @type {any} */ row) => Number(row.hash));
+    }
+
+    /**
+     * @param {number[]} hashes Hashes of the items to delete
+     */
+    async deleteItems(hashes) {
+        const statement = this.db.prepare('DELETE FROM items WHERE source = ? AND collection = ? AND model = ? AND hash = ?');
+        const deleteAll = this.db.transaction((/** @type {number[]} */ batch) => {
+            for (const hash of batch) {
+                statement.run(...this.params, hash);
+            }
+        });
+
+        deleteAll(hashes);
+    }
+
+    /**
+     * @param {number[]} vector Query vector
+     * @param {number} topK Number of results to return
+     * @returns {Promise<import('./vector-store.js').VectorQueryResult[]>} Most similar items
+     */
+    async query(vector, topK) {
+        const queryNorm = getNorm(vector);
+        /** @type {{ score: number, metadata: string }[]} */
+        const best = [];
+        const rows = this.db.prepare('SELECT metadata, vector, norm FROM items WHERE source = ? AND collection = ? AND model = ?').iterate(...this.params);
+
+        for (const row of /** @type {Iterable<any>} */ (rows)) {
+            const itemVector = decodeVector(row.vector);
+            let dot = 0;
+
+            for (let i = 0; i < itemVector.length && i < vector.length; i++) {
+                dot += itemVector[i] * vector[i];
+            }
+
+            const score = queryNorm && row.norm ? dot / (queryNorm * row.norm) : 0;
+
+            if (best.length < topK || score > best[best.length - 1].score) {
+                best.push({ score, metadata: row.metadata });
+                best.sort((a, b) => b.score - a.score);
+                best.length = Math.min(best.length, topK);
+            }
+        }
+
+        return best.map(x => ({ score: x.score, metadata: JSON.parse(x.metadata) }));
+    }
+
+    /**
+     * Deletes all items of the collection.
+     */
+    async reset() {
+        this.db.prepare('DELETE FROM items WHERE source = ? AND collection = ? AND model = ?').run(...this.params);
+    }
+}
+
+/**
+ * Lists all SQLite collections of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<import('./vector-store.js').CollectionScope[]>} Collection scopes
+ */
+export async function listSqliteCollections(directories) {
+    if (!fs.existsSync(path.join(directories.vectors, SQLITE_FILE))) {
+        return [];
+    }
+
+    const db = await openDatabase(directories);
+    const rows = db.prepare('SELECT DISTINCT source, collection, model FROM items').all();
+    return rows.map((/** @type {any} */ row) => ({ source: row.source, collectionId: row.collection, model: row.model }));
+}
+
+/**
+ * Deletes SQLite collections of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} source Source of the vectors
+ * @param {string} [collectionId] Collection ID. If not set, all collections of the source are deleted
+ */
+export async function purgeSqliteCollections(directories, source, collectionId) {
+    if (!fs.existsSync(path.join(directories.vectors, SQLITE_FILE))) {
+        return;
+    }
+
+    const db = await openDatabase(directories);
+    const result = collectionId
+        ? db.prepare('DELETE FROM items WHERE source = ? AND collection = ?').run(source, collectionId)
+        : db.prepare('DELETE FROM items WHERE source = ?').run(source);
+
+    if (result.changes > 0) {
+        console.log(`Deleted ${result.changes} vectors of ${[source, collectionId].filter(x => x).join('/')} from ${SQLITE_FILE}`);
+    }
+}
@@ -0,0 +1,131 @@
+import sanitize from 'sanitize-filename';
+
+import { getConfigValue } from '../util.js';
+import { VectraStore, listVectraCollections, purgeVectraCollections } from './vectra-store.js';
+import { SqliteStore, listSqliteCollections, purgeSqliteCollections } from './sqlite-store.js';
+
+/**
+ * @typedef {Object} CollectionScope
+ * @property {string} source Source of the vectors
+ * @property {string} collectionId Collection ID
+ * @property {string} model Embedding model, empty string if the source has no model selection
+ */
+
+/**
+ * @typedef {Object} VectorItem
+ * @property {number[]} vector Embedding vector
+ * @property {{ hash: number, text: string, index: number } & Record<string, any>} metadata Item metadata
+ */
+
+/**
+ * @typedef {Object} VectorQueryResult
+ * @property {number} score Cosine similarity to the query vector
+ * @property {VectorItem['metadata']} metadata Item metadata
+ */
+
+/**
+ * @typedef {Object} VectorStore
+ * @property {string} location Human-readable location of the collection
+ * @property {() => Promise<VectorStore>} open Prepares the store for use
+ * @property {(items: VectorItem[]) => Promise<void>} insertItems Inserts or replaces items by hash
+ * @property {() => Promise<VectorItem[]>} listItems Lists all items with their vectors
+ * @property {() => Promise<number[]>} getHashes Lists the hashes of all items
+ * @property {(hashes: number[]) => Promise<void>} deleteItems Deletes items by hash
+ * @property {(vector: number[], topK: number) => Promise<VectorQueryResult[]>} query Finds the most similar items
+ * @property {() => Promise<void>} reset Deletes all items of the collection
+ */
+
+/**
+ * Storage drivers. Don't forget to update the vectors.driver description in config.yaml when adding new ones.
+ */
+export const VECTOR_STORE_DRIVERS = {
+    vectra: {
+        create: (directories, scope) => new VectraStore(directories, scope),
+        list: listVectraCollections,
+        purge: purgeVectraCollections,
+    },
+    sqlite: {
+        create: (directories, scope) => new SqliteStore(directories, scope),
+        list: listSqliteCollections,
+        purge: purgeSqliteCollections,
+    },
+};
+
+/**
+ * Gets the storage driver selected in the config.
+ * @returns {string} Driver name
+ */
+export function getDefaultVectorStoreDriver() {
+    const driver = String(getConfigValue('vectors.driver', 'vectra'));
+
+    if (!Object.hasOwn(VECTOR_STORE_DRIVERS, driver)) {
+        console.warn(`Unknown vector storage driver "${driver}", falling back to vectra`);
+        return 'vectra';
+    }
+
+    return driver;
+}
+
+/**
+ * Opens the store of a vector collection.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} source Source of the vectors
+ * @param {string} collectionId Collection ID
+ * @param {string} model Embedding model
+ * @param {string} [driver] Storage driver. Defaults to the one selected in the config
+ * @returns {Promise<VectorStore>} Vector store
+ */
+export async function getVectorStore(directories, source, collectionId, model, driver = getDefaultVectorStoreDriver()) {
+    /** @type {CollectionScope} */
+    const scope = { source: sanitize(source), collectionId: sanitize(collectionId), model: sanitize(model) };
+    const store = VECTOR_STORE_DRIVERS[driver].create(directories, scope);
+    return await store.open();
+}
+
+/**
+ * Deletes vector collections from all storage drivers.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} source Source of the vectors
+ * @param {string} [collectionId] Collection ID. If not set, all collections of the source are deleted
+ */
+export async function purgeVectorCollections(directories, source, collectionId) {
+    for (const driver of Object.values(VECTOR_STORE_DRIVERS)) {
+        await driver.purge(directories, sanitize(source), collectionId ? sanitize(collectionId) : undefined);
+    }
+}
+
+/**
+ * Copies all vector collections of a user from one storage driver to another.
+ * Vectors are copied as they are, nothing is embedded again.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} from Source driver
+ * @param {string} to Target driver
+ * @returns {Promise<{ collections: number, items: number }>} Number of copied collections and items
+ */
+export async function migrateVectorCollections(directories, from, to) {
+    if (!Object.hasOwn(VECTOR_STORE_DRIVERS, from) || !Object.hasOwn(VECTOR_STORE_DRIVERS, to)) {
+        throw new Error(`Unknown vector storage driver. Available drivers: ${Object.keys(VECTOR_STORE_DRIVERS).join(', ')}`);
+    }
+
+    if (from === to) {
+        throw new Error('Source and target drivers must be different');
+    }
+
+    const result = { collections: 0, items: 0 };
+    const scopes = await VECTOR_STORE_DRIVERS[from].list(directories);
+
+    for (const scope of scopes) {
+        const source = await getVectorStore(directories, scope.source, scope.collectionId, scope.model, from);
+        const target = await getVectorStore(directories, scope.source, scope.collectionId, scope.model, to);
+        const items = await source.listItems();
+
+        await target.reset();
+        await target.open();
+        await target.insertItems(items);
+
+        result.collections++;
+        result.items += items.length;
+    }
+
+    return result;
+}
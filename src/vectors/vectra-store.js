@@ -0,0 +1,146 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import vectra from 'vectra';
+
+/**
+ * Vector store backed by a vectra index. Each collection is a folder with a JSON file.
+ * @implements {import('./vector-store.js').VectorStore}
+ */
+export class VectraStore {
+    /**
+     * @param {import('../users.js').UserDirectoryList} directories User directories
+     * @param {import('./vector-store.js').CollectionScope} scope Collection scope
+     */
+    constructor(directories, scope) {
+        this.location = path.join(directories.vectors, scope.source, scope.collectionId, scope.model);
+        this.index = new vectra.LocalIndex(this.location);
+    }
+
+    /**
+     * Creates the index if it doesn't exist yet.
+     * @returns {Promise<VectraStore>} The store
+     */
+    async open() {
+        if (!await this.index.isIndexCreated()) {
+            await this.index.createIndex();
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {import('./vector-store.js').VectorItem[]} items Items to insert
+     */
+    async insertItems(items) {
+        await this.index.beginUpdate();
+
+        for (const item of items) {
+            await this.index.upsertItem({ vector: item.vector, metadata: item.metadata });
+        }
+
+        await this.index.endUpdate();
+    }
+
+    /**
+     * @returns {Promise<import('./vector-store.js').VectorItem[]>} All items with their vectors
+     */
+    async listItems() {
+        const items = await this.index.listItems();
+        return items.map(x => ({ vector: x.vector, metadata: x.metadata }));
+    }
+
+    /**
+     * @returns {Promise<number[]>} Hashes of all items
+     */
+    async getHashes() {
+        const items = await this.index.listItems();
+        return items.map(x => Number(x.metadata.hash));
+    }
+
+    /**
+     * @param {number[]} hashes Hashes of the items to delete
+     */
+    async deleteItems(hashes) {
+        const items = await this.index.listItemsByMetadata({ hash: { '$in': hashes } });
+
+        await this.index.beginUpdate();
+
+        for (const item of items) {
+            await this.index.deleteItem(item.id);
+        }
+
+        await this.index.endUpdate();
+    }
+
+    /**
+     * @param {number[]} vector Query vector
+     * @param {number} topK Number of results to return
+     * @returns {Promise<import('./vector-store.js').VectorQueryResult[]>} Most similar items
+     */
+    async query(vector, topK) {
+        const result = await this.index.queryItems(vector, topK);
+        return result.map(x => ({ score: x.score, metadata: x.item.metadata }));
+    }
+
+    /**
+     * Deletes all items of the collection.
+     */
+    async reset() {
+        if (await this.index.isIndexCreated()) {
+            await this.index.deleteIndex();
+        }
+    }
+}
+
+/**
+ * Lists all vectra collections of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @returns {Promise<import('./vector-store.js').CollectionScope[]>} Collection scopes
+ */
+export async function listVectraCollections(directories) {
+    const result = [];
+    const isIndex = (/** @type {string} */ dir) => fs.existsSync(path.join(dir, 'index.json'));
+    const listDirectories = (/** @type {string} */ dir) => fs.readdirSync(dir, { withFileTypes: true }).filter(x => x.isDirectory()).map(x => x.name);
+
+    if (!fs.existsSync(directories.vectors)) {
+        return result;
+    }
+
+    for (const source of listDirectories(directories.vectors)) {
+        for (const collectionId of listDirectories(path.join(directories.vectors, source))) {
+            const collectionPath = path.join(directories.vectors, source, collectionId);
+
+            if (isIndex(collectionPath)) {
+                result.push({ source, collectionId, model: '' });
+            }
+
+            for (const model of listDirectories(collectionPath)) {
+                if (isIndex(path.join(collectionPath, model))) {
+                    result.push({ source, collectionId, model });
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Deletes vectra collections of a user.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {string} source Source of the vectors
+ * @param {string} [collectionId] Collection ID. If not set, all collections of the source are deleted
+ */
+export async function purgeVectraCollections(directories, source, collectionId) {
+    const targetPath = collectionId
+        ? path.join(directories.vectors, source, collectionId)
+        : path.join(directories.vectors, source);
+
+    if (!fs.existsSync(targetPath)) {
+        return;
+    }
+
+    await fs.promises.rm(targetPath, { recursive: true });
+    console.log(`Deleted vector index at ${targetPath}`);
+}
@@ -11,6 +11,10 @@ module.exports = {
         node: true,
         "jest/globals": true,
     },
+    globals: {
+        // Provided by jest-puppeteer to the end-to-end tests
+        page: 'readonly',
+    },
     parserOptions: {
         ecmaVersion: 'latest',
     },
@@ -0,0 +1,118 @@
+/**
+ * Runs a script and returns its result.
+ * @param {string} script STscript
+ * @returns {Promise<{ pipe: string, isError: boolean, errorMessage: string }>} Result
+ */
+async function run(script) {
+    return await page.evaluate(async (script) => {
+        const { executeSlashCommandsWithOptions } = await import('./scripts/slash-commands.js');
+        try {
+            const result = await executeSlashCommandsWithOptions(script, { handleParserErrors: false, handleExecutionErrors: true });
+            return { pipe: result.pipe, isError: result.isError, errorMessage: result.errorMessage };
+        } catch (error) {
+            return { pipe: undefined, isError: true, errorMessage: error.message };
+        }
+    }, script);
+}
+
+describe('STscript functions', () => {
+    beforeAll(async () => {
+        await page.goto(global.ST_URL);
+        await page.waitForFunction('document.getElementById("preloader") === null', { timeout: 0 });
+    });
+
+    describe('parameters', () => {
+        /**
+         * Parses a parameter list and binds arguments to it.
+         * @param {string} params Parameter list
+         * @param {Record<string, string>} [args] Named arguments
+         * @returns {Promise<{ parameters?: object[], values?: object, error?: string }>} Parameters and bound values, or the error
+         */
+        async function bind(params, args = {}) {
+            return await page.evaluate(async (params, args) => {
+                const { SlashCommandFunction } = await import('./scripts/slash-commands/SlashCommandFunction.js');
+                try {
+                    const parameters = SlashCommandFunction.parseParameters(params);
+                    const values = new SlashCommandFunction('test', parameters).bindArguments(args);
+                    return {
+                        parameters: parameters.map(x => ({ name: x.name, typeList: x.typeList, isRequired: x.isRequired, defaultValue: x.defaultValue })),
+                        values,
+                    };
+                } catch (error) {
+                    return { error: error.message };
+                }
+            }, params, args);
+        }
+
+        it('parses types, optional parameters and default values', async () => {
+            const { parameters, values } = await bind('a:number b:string|list=hello c? d', { a: ' 42 ', d: 'x' });
+
+            expect(parameters).toEqual([
+                { name: 'a', typeList: ['number'], isRequired: true, defaultValue: null },
+                { name: 'b', typeList: ['string', 'list'], isRequired: false, defaultValue: 'hello' },
+                { name: 'c', typeList: ['string', 'number', 'bool', 'list', 'dictionary', 'closure'], isRequired: false, defaultValue: null },
+                { name: 'd', typeList: ['string', 'number', 'bool', 'list', 'dictionary', 'closure'], isRequired: true, defaultValue: null },
+            ]);
+            expect(values).toEqual({ a: '42', b: 'hello', c: '', d: 'x' });
+        });
+
+        it('normalizes booleans and checks lists and dictionaries', async () => {
+            expect((await bind('flag:bool', { flag: 'on' })).values).toEqual({ flag: 'true' });
+            expect((await bind('items:list', { items: '[1, 2]' })).values).toEqual({ items: '[1, 2]' });
+            expect((await bind('map:dictionary', { map: '[1, 2]' })).error).toBe('Argument "map" of function "test" must be of type dictionary, got "[1, 2]"');
+            expect((await bind('n:number', { n: 'abc' })).error).toBe('Argument "n" of function "test" must be of type number, got "abc"');
+        });
+
+        it.each([
+            ['a:foo', 'Unknown type "foo" for parameter "a"'],
+            ['a a', 'Duplicate parameter name: "a"'],
+            ['a:number=abc', 'Default value "abc" of parameter "a" is not of type number'],
+            ['a:=1', 'Invalid parameter definition: "a:=1"'],
+        ])('rejects the parameter list "%s"', async (params, message) => {
+            expect((await bind(params)).error).toContain(message);
+        });
+
+        it('rejects missing and unknown arguments', async () => {
+            expect((await bind('a b?', {})).error).toBe('Missing required argument "a" for function "test"');
+            expect((await bind('a', { a: '1', z: '2' })).error).toBe('Function "test" has no parameter named "z"');
+            expect((await bind('a', { a: '1', _scope: 'internal' })).values).toEqual({ a: '1' });
+        });
+    });
+
+    describe('calls', () => {
+        it('binds the arguments to variables and applies default values', async () => {
+            const result = await run('/func add params="a:number b:number=1" {: /add {{var::a}} {{var::b}} :} | /:add a=41');
+            expect(result).toMatchObject({ isError: false, pipe: '42' });
+        });
+
+        it('returns early with /return', async () => {
+            const script = '/func sign params="n:number" {: /if left={{var::n}} rule=lt right=0 {: /return -1 :} | /return 1 :} | /:sign n=-5';
+            expect(await run(script)).toMatchObject({ isError: false, pipe: '-1' });
+        });
+
+        it('calls itself recursively', async () => {
+            const script = [
+                '/func fact params="n:number" {:',
+                '    /if left={{var::n}} rule=lte right=1 {: /return 1 :} |',
+                '    /sub {{var::n}} 1 |',
+                '    /:fact n={{pipe}} |',
+                '    /mul {{var::n}} {{pipe}}',
+                ':} |',
+                '/:fact n=5',
+            ].join('\n');
+            expect(await run(script)).toMatchObject({ isError: false, pipe: '120' });
+        });
+
+        it('stops infinite recursion', async () => {
+            const result = await run('/func loop {: /:loop :} | /:loop');
+            expect(result.isError).toBe(true);
+            expect(result.errorMessage).toContain('Maximum call depth of 100 exceeded');
+        });
+
+        it('rejects arguments of the wrong type', async () => {
+            const result = await run('/func double params="n:number" {: /mul {{var::n}} 2 :} | /:double n=two');
+            expect(result.isError).toBe(true);
+            expect(result.errorMessage).toContain('Argument "n" of function "double" must be of type number, got "two"');
+        });
+    });
+});
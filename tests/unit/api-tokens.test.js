@@ -0,0 +1,161 @@
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+describe('API tokens', () => {
+    let directory;
+    let apiTokens;
+
+    beforeAll(async () => {
+        directory = useTempDirectory();
+        const storage = (await import('node-persist')).default;
+        await storage.init({ dir: path.join(directory, 'storage') });
+        apiTokens = await import('../../src/api-tokens.js');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Creates a token and splits it into its parts.
+     * @param {string} handle User handle
+     * @param {string[]} scopes Token scopes
+     * @param {number} [expiresInDays] Days until the token expires
+     * @returns {Promise<{ id: string, secret: string, value: string }>} Token parts
+     */
+    async function createToken(handle, scopes, expiresInDays) {
+        const value = await apiTokens.createApiToken(handle, 'Test', scopes, expiresInDays);
+        const [, id, secret] = /^st_([0-9a-f]{12})_(.+)$/.exec(value);
+        return { id, secret, value };
+    }
+
+    describe('verifyApiToken', () => {
+        it('accepts a valid token and returns its user', async () => {
+            const { id, value } = await createToken('alice', ['chats:read']);
+
+            expect(value).toMatch(/^st_[0-9a-f]{12}_[\w-]+$/);
+            const entry = await apiTokens.verifyApiToken(value, '127.0.0.1');
+            expect(entry?.handle).toBe('alice');
+            expect(entry?.token.id).toBe(id);
+            expect(entry?.token.scopes).toEqual(['chats:read']);
+            expect(entry?.token.lastIp).toBe('127.0.0.1');
+        });
+
+        it('drops unknown scopes', async () => {
+            const { value } = await createToken('alice', ['chats:read', 'admin']);
+            const entry = await apiTokens.verifyApiToken(value, '127.0.0.1');
+            expect(entry?.token.scopes).toEqual(['chats:read']);
+        });
+
+        it('rejects revoked tokens', async () => {
+            const { id, value } = await createToken('alice', ['chats:read']);
+
+            expect(await apiTokens.revokeApiToken('alice', id)).toBe(true);
+            expect(await apiTokens.verifyApiToken(value, '127.0.0.1')).toBeNull();
+        });
+
+        it('does not revoke tokens of other users', async () => {
+            const { id, value } = await createToken('alice', ['chats:read']);
+
+            expect(await apiTokens.revokeApiToken('bob', id)).toBe(false);
+            expect(await apiTokens.verifyApiToken(value, '127.0.0.1')).not.toBeNull();
+        });
+
+        it('rejects all tokens of a user after revoking them', async () => {
+            const first = await createToken('carol', ['chats:read']);
+            const second = await createToken('carol', ['generate']);
+            const other = await createToken('dave', ['generate']);
+
+            await apiTokens.revokeAllApiTokens('carol');
+            expect(await apiTokens.verifyApiToken(first.value, '127.0.0.1')).toBeNull();
+            expect(await apiTokens.verifyApiToken(second.value, '127.0.0.1')).toBeNull();
+            expect(await apiTokens.listApiTokens('carol')).toEqual([]);
+            expect(await apiTokens.verifyApiToken(other.value, '127.0.0.1')).not.toBeNull();
+        });
+
+        it('rejects expired tokens', async () => {
+            jest.useFakeTimers({ now: Date.now(), doNotFake: ['nextTick', 'setImmediate'] });
+            const { value } = await createToken('alice', ['chats:read'], 1);
+            expect(await apiTokens.verifyApiToken(value, '127.0.0.1')).not.toBeNull();
+
+            jest.setSystemTime(Date.now() + 25 * 60 * 60 * 1000);
+            expect(await apiTokens.verifyApiToken(value, '127.0.0.1')).toBeNull();
+        });
+
+        it('rejects malformed and forged tokens', async () => {
+            const { id, secret, value } = await createToken('alice', ['chats:read']);
+
+            for (const forged of [
+                '',
+                'st_',
+                value.replace('st_', 'sk_'),
+                `st_${id.toUpperCase()}_${secret}`,
+                `st_${id}_`,
+                `st_${id}_${secret}!`,
+                `st_${id}_${secret}x`,
+                `st_000000000000_${secret}`,
+                ` ${value}`,
+            ]) {
+                expect(await apiTokens.verifyApiToken(forged, '127.0.0.1')).toBeNull();
+            }
+        });
+    });
+
+    describe('getBearerToken', () => {
+        it('reads the token from the authorization header', () => {
+            expect(apiTokens.getBearerToken({ headers: { authorization: 'Bearer st_abc' } })).toBe('st_abc');
+            expect(apiTokens.getBearerToken({ headers: { authorization: 'Basic dXNlcjpwYXNz' } })).toBeNull();
+            expect(apiTokens.getBearerToken({ headers: { authorization: 'Bearer' } })).toBeNull();
+            expect(apiTokens.getBearerToken({ headers: {} })).toBeNull();
+        });
+    });
+
+    describe('isRouteAllowedForToken', () => {
+        const token = { scopes: ['chats:read', 'generate'] };
+
+        it('allows the routes of the token scopes', () => {
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/chats/get')).toBe(true);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/backends/chat-completions/generate')).toBe(true);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/ping')).toBe(true);
+        });
+
+        it('rejects routes outside of the token scopes', () => {
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/chats/save')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/chats/get/other')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/backends')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/users/me')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/secrets/view')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken({ scopes: ['unknown'] }, '/api/chats/get')).toBe(false);
+        });
+
+        it('rejects relative path segments', () => {
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/backends/../users/me')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken(token, '/api/backends/..%2Fusers/me')).toBe(false);
+            expect(apiTokens.isRouteAllowedForToken({ scopes: ['characters:read'] }, '/characters/../secrets.json')).toBe(false);
+        });
+    });
+
+    describe('skipCsrfForApiTokens', () => {
+        it('skips the CSRF protection only for requests with an API token', () => {
+            const csrfProtection = jest.fn();
+            const middleware = apiTokens.skipCsrfForApiTokens(csrfProtection);
+            const response = {};
+
+            const tokenNext = jest.fn();
+            middleware({ apiToken: { id: '000000000000' } }, response, tokenNext);
+            expect(tokenNext).toHaveBeenCalledTimes(1);
+            expect(csrfProtection).not.toHaveBeenCalled();
+
+            const cookieRequest = { headers: { authorization: 'Bearer st_abc' } };
+            const cookieNext = jest.fn();
+            middleware(cookieRequest, response, cookieNext);
+            expect(cookieNext).not.toHaveBeenCalled();
+            expect(csrfProtection).toHaveBeenCalledWith(cookieRequest, response, cookieNext);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+import path from 'node:path';
+import { removeTempDirectory, useTempDirectory, writeChatFile } from './helpers.js';
+
+describe('Chat export', () => {
+    let directory;
+    let directories;
+    let exportChat;
+
+    /**
+     * Exports a chat with one message as an HTML document.
+     * @param {string} mes Message text
+     * @returns {Promise<string>} HTML
+     */
+    async function exportMessage(mes) {
+        const chatPath = path.join(directory, 'chats', 'Alice', 'chat.jsonl');
+        writeChatFile(chatPath, [{ name: 'Alice', is_user: false, mes, send_date: '' }]);
+        const html = await exportChat(directories, chatPath, { format: 'html', title: 'Chat' });
+        return /<div class="mes_text">([\s\S]*?)<\/div>/.exec(String(html))[1];
+    }
+
+    beforeAll(async () => {
+        directory = useTempDirectory();
+        directories = {
+            characters: path.join(directory, 'characters'),
+            avatars: path.join(directory, 'avatars'),
+            userImages: path.join(directory, 'images'),
+        };
+        ({ exportChat } = await import('../../src/chat-export.js'));
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    it('renders Markdown and escapes raw HTML', async () => {
+        const html = await exportMessage('**bold** <script>alert(1)</script> `a < b`');
+
+        expect(html).toContain('<strong>bold</strong>');
+        expect(html).not.toContain('<script>');
+    });
+
+    it('removes script links and images', async () => {
+        const html = await exportMessage('[click](javascript:alert(document.cookie)) ![x](javascript:alert(1)) [upper](JaVaScRiPt:alert(1)) [data](data:text/html;base64,PHNjcmlwdD4=) ![svg](data:image/svg+xml;base64,PHN2Zz4=)');
+
+        expect(html).not.toMatch(/javascript:/i);
+        expect(html).not.toContain('data:text/html');
+        expect(html).not.toContain('data:image/svg');
+        expect(html).toContain('<a>click</a>');
+        expect(html).toContain('<img alt="x" />');
+    });
+
+    it('does not let quotes in link URLs add attributes', async () => {
+        const html = await exportMessage('[c](https://example.com/"onmouseover="alert(1))');
+
+        expect(html).not.toContain('onmouseover');
+        expect(html).toMatch(/<a href="https:\/\/example\.com\/[^"]*">/);
+    });
+
+    it('keeps web links, embedded images and relative links', async () => {
+        const html = await exportMessage('[site](https://example.com/?a=1&b=2 "Example") ![dot](data:image/png;base64,iVBORw0KGgo=) [top](#top)');
+
+        expect(html).toContain('<a href="https://example.com/?a=1&amp;b=2" title="Example">site</a>');
+        expect(html).toContain('<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot" />');
+        expect(html).toContain('<a href="#top">top</a>');
+    });
+});
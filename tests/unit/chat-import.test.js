@@ -0,0 +1,173 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+/**
+ * Parses the JSONL contents of an imported chat.
+ * @param {{ content: string }} chat Imported chat
+ * @returns {any[]} Chat lines, including the header
+ */
+function parseChat(chat) {
+    return chat.content.split('\n').map(line => JSON.parse(line));
+}
+
+describe('chat importers', () => {
+    let directory;
+    let context;
+    let importer;
+    let util;
+
+    beforeAll(async () => {
+        directory = useTempDirectory();
+        context = {
+            directories: {
+                root: directory,
+                chats: path.join(directory, 'chats'),
+                files: path.join(directory, 'user', 'files'),
+                userImages: path.join(directory, 'user', 'images'),
+            },
+            userName: 'User',
+            characterName: 'Alice',
+        };
+        importer = await import('../../src/chat-import.js');
+        util = await import('../../src/util.js');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    it('imports RisuAI chats with their author\'s note', () => {
+        const [chat] = importer.importRisuChat(context, {
+            type: 'risuChat',
+            data: {
+                name: 'Picnic',
+                note: 'Sunny day',
+                message: [
+                    { role: 'user', data: 'Hi!', time: 1714564800000 },
+                    { role: 'char', data: 'Hello there.', time: 1714564860 },
+                ],
+            },
+        });
+
+        const [header, first, second] = parseChat(chat);
+        expect(chat.title).toBe('Picnic');
+        expect(header.chat_metadata.note_prompt).toBe('Sunny day');
+        expect(first).toMatchObject({ name: 'User', is_user: true, mes: 'Hi!' });
+        expect(second).toMatchObject({ name: 'Alice', is_user: false, mes: 'Hello there.' });
+        // Timestamps can be in milliseconds or in seconds
+        expect(first.send_date).toBe(util.humanizedISO8601DateTime(1714564800000));
+        expect(second.send_date).toBe(util.humanizedISO8601DateTime(1714564860000));
+    });
+
+    it('imports Kobold Lite instruct stories', () => {
+        const [chat] = importer.importKoboldLiteChat(context, {
+            prompt: '',
+            actions: ['{{[INPUT]}}Write a haiku', '{{[OUTPUT]}}Autumn moonlight'],
+        });
+
+        expect(parseChat(chat).slice(1).map(x => [x.is_user, x.mes])).toEqual([[true, 'Write a haiku'], [false, 'Autumn moonlight']]);
+    });
+
+    it('splits Kobold Lite chat stories by speaker and extracts the images', () => {
+        const image = Buffer.from('fake image').toString('base64');
+        const [chat] = importer.importKoboldLiteChat(context, {
+            savedsettings: { chatname: 'Me', chatopponent: 'Kobold||$||Other' },
+            prompt: 'A quiet tavern.\n',
+            actions: ['Me: Hello\nhow are you?\n', `Kobold: Fine.[<|d|data:image/png;base64,${image}|d|>]\n`, 'Other: Me too.[<|p|pending|p|>]'],
+        });
+
+        const lines = parseChat(chat);
+        expect(lines[0]).toMatchObject({ user_name: 'Me', character_name: 'Kobold' });
+        expect(lines.slice(1).map(x => [x.name, x.is_user, x.mes])).toEqual([
+            ['Kobold', false, 'A quiet tavern.'],
+            ['Me', true, 'Hello\nhow are you?'],
+            ['Kobold', false, 'Fine.'],
+            ['Other', false, 'Me too.'],
+        ]);
+        expect(chat.assets).toHaveLength(1);
+        expect(chat.assets[0].path).toMatch(/images[\\/]Alice[\\/]kobold_[0-9a-f]{12}\.png$/);
+        expect(lines[3].extra).toMatchObject({ image: expect.stringMatching(/^\/user\/images\/Alice\/kobold_/), inline_image: true });
+    });
+
+    it('imports the selected ChatGPT branch with regenerated replies as swipes', async () => {
+        const archive = {
+            entries: new Map([['file-img1-cat.png', { uncompressedSize: 3 }]]),
+            read: async () => Buffer.from('png'),
+        };
+        const message = (id, role, parts, extra = {}) => ({ id, author: { role }, create_time: 1714564800, content: { content_type: 'text', parts }, ...extra });
+        const conversations = [{
+            title: 'Cats',
+            create_time: 1714564800,
+            current_node: 'reply2',
+            mapping: {
+                root: { id: 'root', parent: null, children: ['system'], message: null },
+                system: { id: 'system', parent: 'root', children: ['ask'], message: message('system', 'system', ['You are ChatGPT']) },
+                ask: { id: 'ask', parent: 'system', children: ['thoughts'], message: message('ask', 'user', ['Draw a cat']) },
+                thoughts: { id: 'thoughts', parent: 'ask', children: ['tool'], message: { id: 'thoughts', author: { role: 'assistant' }, content: { content_type: 'thoughts', thoughts: [{ summary: 'Plan', content: 'Use the image tool' }] } } },
+                tool: { id: 'tool', parent: 'thoughts', children: ['reply1', 'reply2'], message: message('tool', 'tool', [{ content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-img1' }]) },
+                reply1: { id: 'reply1', parent: 'tool', children: [], message: message('reply1', 'assistant', ['First try']) },
+                reply2: { id: 'reply2', parent: 'tool', children: [], message: message('reply2', 'assistant', ['Here is a cat']) },
+            },
+        }];
+
+        const chats = importer.importConversations(context, conversations, archive);
+        expect(chats).toHaveLength(1);
+
+        const lines = parseChat(chats[0]);
+        expect(lines.slice(1).map(x => x.mes)).toEqual(['Draw a cat', 'Here is a cat']);
+        expect(lines[2]).toMatchObject({
+            swipes: ['First try', 'Here is a cat'],
+            swipe_id: 1,
+            extra: { reasoning: 'Plan\nUse the image tool', image: '/user/images/Alice/file-img1-cat.png' },
+        });
+        expect(await chats[0].assets[0].load()).toEqual(Buffer.from('png'));
+    });
+
+    it('imports Claude conversations with the attached documents', () => {
+        const chats = importer.importConversations(context, [{
+            name: 'Docs',
+            created_at: '2024-05-01T12:00:00Z',
+            chat_messages: [
+                { sender: 'human', created_at: '2024-05-01T12:00:00Z', content: [{ type: 'text', text: 'Summarize this' }], attachments: [{ file_name: 'notes.txt', extracted_content: 'Some notes' }] },
+                { sender: 'assistant', created_at: '2024-05-01T12:01:00Z', content: [{ type: 'thinking', thinking: 'Short notes' }, { type: 'text', text: 'They are notes.' }] },
+                { sender: 'assistant', content: [] },
+            ],
+        }]);
+
+        const lines = parseChat(chats[0]);
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toMatchObject({ is_user: true, mes: 'Summarize this', extra: { file: { name: 'notes.txt', size: 10 } } });
+        expect(lines[2]).toMatchObject({ is_user: false, mes: 'They are notes.', extra: { reasoning: 'Short notes' } });
+        expect(chats[0].assets[0].type).toBe('file');
+    });
+
+    it('does not recognize other JSON files as conversations', () => {
+        expect(importer.importConversations(context, { mapping: {} })).toBeNull();
+        expect(importer.importConversations(context, [{ foo: 'bar' }])).toBeNull();
+    });
+
+    it('summarizes imports for the dry run', () => {
+        const chat = {
+            title: 'Test',
+            content: [{ user_name: 'User' }, { mes: 'a' }, { mes: 'b', swipes: ['b', 'c', 'd'] }].map(x => JSON.stringify(x)).join('\n'),
+            assets: [{ type: 'image' }, { type: 'file' }, { type: 'image' }],
+        };
+
+        expect(importer.summarizeImportedChat(chat)).toEqual({ title: 'Test', messages: 2, swipes: 2, images: 2, attachments: 1 });
+    });
+
+    it('saves the chats with unique names and writes the assets once', async () => {
+        const assetPath = path.join(context.directories.userImages, 'Alice', 'a.png');
+        const load = jest.fn(async () => Buffer.from('png'));
+        const chat = { title: 'Same', content: '{}', assets: [{ type: 'image', path: assetPath, load }] };
+
+        const created = await importer.saveImportedChats(context.directories, 'alice', 'Alice', [chat, chat]);
+
+        expect(created).toEqual(['Alice - Same imported', 'Alice - Same imported (2)']);
+        expect(created.every(name => fs.existsSync(path.join(context.directories.chats, 'alice', `${name}.jsonl`)))).toBe(true);
+        expect(fs.readFileSync(assetPath, 'utf8')).toBe('png');
+        expect(load).toHaveBeenCalledTimes(1);
+    });
+});
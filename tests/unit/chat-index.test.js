@@ -0,0 +1,140 @@
+import path from 'node:path';
+import { removeTempDirectory, useTempDirectory, writeChatFile } from './helpers.js';
+
+describe('chat index', () => {
+    let directory;
+    let directories;
+    let chatIndex;
+
+    beforeAll(async () => {
+        directory = useTempDirectory();
+        directories = {
+            root: directory,
+            chats: path.join(directory, 'chats'),
+            groupChats: path.join(directory, 'group chats'),
+            chatIndex: path.join(directory, 'chat-index'),
+        };
+        chatIndex = await import('../../src/chat-index.js');
+
+        const date = (day) => `2024-05-${String(day).padStart(2, '0')}T12:00:00.000Z`;
+        writeChatFile(path.join(directories.chats, 'Alice', 'dragons.jsonl'), [
+            { name: 'User', is_user: true, send_date: date(1), mes: 'Tell me about the red dragon.' },
+            { name: 'Alice', is_user: false, send_date: date(2), mes: 'The red dragon sleeps in the mountain. Dragons hoard gold.', swipe_id: 0, swipes: ['The red dragon sleeps in the mountain. Dragons hoard gold.', 'A silver wyvern guards the pass.'] },
+        ]);
+        writeChatFile(path.join(directories.chats, 'Alice', 'tavern.jsonl'), [
+            { name: 'User', is_user: true, send_date: date(10), mes: 'A dragon walks into a tavern.' },
+            { name: 'Alice', is_user: false, send_date: date(11), mes: 'The bartender pours a drink for the dragon. Dragon, dragon, dragon!' },
+        ]);
+        writeChatFile(path.join(directories.chats, 'Bob', 'market.jsonl'), [
+            { name: 'Bob', is_user: false, send_date: date(20), mes: 'Fresh bread at the market, red apples too.' },
+        ]);
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    describe('tokenize', () => {
+        it('lowercases terms, strips diacritics and keeps offsets', () => {
+            expect(chatIndex.tokenize('Café au LAIT')).toEqual([
+                { term: 'cafe', start: 0, end: 4 },
+                { term: 'au', start: 5, end: 7 },
+                { term: 'lait', start: 8, end: 12 },
+            ]);
+        });
+
+        it('indexes every CJK character as a separate term', () => {
+            expect(chatIndex.tokenize('東京 tower').map(x => x.term)).toEqual(['東', '京', 'tower']);
+        });
+    });
+
+    describe('parseQuery', () => {
+        it('joins words with an implicit AND', () => {
+            expect(chatIndex.parseQuery('red dragon')).toEqual({
+                type: 'and',
+                children: [{ type: 'term', terms: ['red'] }, { type: 'term', terms: ['dragon'] }],
+            });
+        });
+
+        it('parses phrases, prefixes and negation', () => {
+            expect(chatIndex.parseQuery('"Red Dragon" drag* -wyvern')).toEqual({
+                type: 'and',
+                children: [
+                    { type: 'phrase', terms: ['red', 'dragon'] },
+                    { type: 'prefix', terms: ['drag'] },
+                    { type: 'not', children: [{ type: 'term', terms: ['wyvern'] }] },
+                ],
+            });
+        });
+
+        it('binds AND tighter than OR and honors parentheses', () => {
+            expect(chatIndex.parseQuery('a b OR c')).toEqual({
+                type: 'or',
+                children: [
+                    { type: 'and', children: [{ type: 'term', terms: ['a'] }, { type: 'term', terms: ['b'] }] },
+                    { type: 'term', terms: ['c'] },
+                ],
+            });
+            expect(chatIndex.parseQuery('a AND (b || c)')).toEqual({
+                type: 'and',
+                children: [
+                    { type: 'term', terms: ['a'] },
+                    { type: 'or', children: [{ type: 'term', terms: ['b'] }, { type: 'term', terms: ['c'] }] },
+                ],
+            });
+        });
+
+        it('ignores stray operators and empty queries', () => {
+            expect(chatIndex.parseQuery('OR dragon )')).toEqual({ type: 'term', terms: ['dragon'] });
+            expect(chatIndex.parseQuery('  "" ')).toBeNull();
+        });
+    });
+
+    describe('searchChats', () => {
+        const search = (query, scope = {}, filters = {}) => chatIndex.searchChats(directories, query, scope, filters);
+
+        it('ranks chats with more frequent terms higher', async () => {
+            const results = await search('dragon');
+            expect(results.map(x => x.file_name)).toEqual(['tavern.jsonl', 'dragons.jsonl']);
+            expect(results[0].score).toBeGreaterThan(results[1].score);
+        });
+
+        it('matches exact phrases only in order', async () => {
+            const results = await search('"red dragon"');
+            expect(results.map(x => x.file_name)).toEqual(['dragons.jsonl']);
+            expect(await search('"dragon red"')).toEqual([]);
+        });
+
+        it('evaluates boolean queries per message', async () => {
+            const tavern = (await search('dragon -tavern')).find(x => x.file_name === 'tavern.jsonl');
+            expect(tavern.matches.map(x => x.message_id)).toEqual([1]);
+            expect((await search('bread OR wyvern')).map(x => x.file_name).sort()).toEqual(['market.jsonl']);
+            expect((await search('tavern AND gold'))).toEqual([]);
+        });
+
+        it('expands prefixes', async () => {
+            const results = await search('hoar*');
+            expect(results.map(x => x.file_name)).toEqual(['dragons.jsonl']);
+        });
+
+        it('searches alternate swipes only when asked', async () => {
+            expect(await search('wyvern')).toEqual([]);
+            const results = await search('wyvern', {}, { swipes: 'alternates' });
+            expect(results[0].matches[0]).toMatchObject({ message_id: 1, swipe_id: 1, alternate: true });
+        });
+
+        it('applies the scope and the speaker and date filters', async () => {
+            expect((await search('red', { owner: 'Bob' })).map(x => x.file_name)).toEqual(['market.jsonl']);
+            expect((await search('dragon', {}, { speaker: 'User' })).every(x => x.matches.every(m => m.is_user))).toBe(true);
+            const recent = await search('dragon', {}, { date_from: Date.parse('2024-05-05T00:00:00Z') });
+            expect(recent.map(x => x.file_name)).toEqual(['tavern.jsonl']);
+        });
+
+        it('highlights the hits in the snippets', async () => {
+            const [result] = await search('bread');
+            const match = result.matches[0];
+            const [start, end] = match.highlights[0];
+            expect(match.snippet.slice(start, end)).toBe('bread');
+        });
+    });
+});
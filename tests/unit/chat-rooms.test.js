@@ -0,0 +1,204 @@
+import { EventEmitter } from 'node:events';
+import { jest } from '@jest/globals';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+const HOST = { handle: 'host', name: 'Host' };
+const GUEST = { handle: 'guest', name: 'Guest' };
+const CHAT = { type: 'character', owner: 'Alice', file_name: 'Alice - 2024-01-01.jsonl' };
+const HEADER = { user_name: 'Host', character_name: 'Alice', chat_metadata: {} };
+
+/**
+ * Creates a chat message.
+ * @param {string} name Author name
+ * @param {string} mes Message text
+ * @param {boolean} [isUser] Whether the message was written by a user
+ * @returns {object} Message
+ */
+function message(name, mes, isUser = name !== 'Alice') {
+    return { name, mes, is_user: isUser };
+}
+
+/**
+ * Creates a response object that records the server-sent events.
+ * @returns {EventEmitter & { events: { event: string, data: any }[] }} Response
+ */
+function createEventStream() {
+    const response = Object.assign(new EventEmitter(), {
+        events: [],
+        writeHead: jest.fn(),
+        end: jest.fn(),
+        write: (text) => {
+            const match = /^event: (.+)\ndata: (.*)\n\n$/.exec(text);
+            if (match) {
+                response.events.push({ event: match[1], data: JSON.parse(match[2]) });
+            }
+        },
+    });
+    return response;
+}
+
+describe('Chat rooms', () => {
+    let directory;
+    let rooms;
+    let room;
+
+    /**
+     * Gets the text of the messages of the room.
+     * @returns {string[]} Message texts, without the header
+     */
+    function getTexts() {
+        return rooms.getChatRoomMessages(room).slice(1).map(x => x.mes);
+    }
+
+    beforeAll(async () => {
+        directory = useTempDirectory();
+        rooms = await import('../../src/chat-rooms.js');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    beforeEach(() => {
+        const messages = [HEADER, message('Alice', 'Hello!'), message('Host', 'Hi!')];
+        room = rooms.createChatRoom(HOST, 'Host', CHAT, messages, { name: 'Tavern', title: 'Alice', listed: false, turnOrder: 'round-robin', autoReply: true });
+        rooms.joinChatRoom(room, GUEST, 'Guesty');
+    });
+
+    afterEach(() => {
+        rooms.closeChatRoom(room);
+    });
+
+    describe('rooms', () => {
+        it('finds rooms by ID and by chat and lists them for members only', () => {
+            expect(rooms.getChatRoom(room.id)).toBe(room);
+            expect(rooms.getChatRoomByChat('host', { ...CHAT })).toBe(room);
+            expect(rooms.getChatRoomByChat('guest', CHAT)).toBeNull();
+            expect(rooms.listChatRooms('guest')).toEqual([room]);
+            expect(rooms.listChatRooms('stranger')).toEqual([]);
+
+            expect(rooms.getChatRoomInfo(room)).toMatchObject({
+                chatId: 'Alice - 2024-01-01',
+                revision: 1,
+                turn: 'host',
+                members: [
+                    { handle: 'host', persona: 'Host', online: false },
+                    { handle: 'guest', persona: 'Guesty', online: false },
+                ],
+            });
+        });
+
+        it('passes the turn to the next member when a user posts', () => {
+            expect(rooms.canPostToChatRoom(room, 'guest')).toBe(false);
+
+            rooms.appendChatRoomMessage(room, message('Host', 'Your turn.'), 'host');
+            expect(room.turn).toBe('guest');
+            expect(rooms.canPostToChatRoom(room, 'guest')).toBe(true);
+
+            rooms.appendChatRoomMessage(room, message('Guesty', 'Thanks!'), 'guest');
+            expect(room.turn).toBe('host');
+            expect(room.revision).toBe(3);
+            expect(getTexts()).toEqual(['Hello!', 'Hi!', 'Your turn.', 'Thanks!']);
+        });
+
+        it('passes the turn on when the member whose turn it is leaves', () => {
+            room.turn = 'guest';
+            rooms.leaveChatRoom(room, 'guest');
+
+            expect(room.turn).toBe('host');
+            expect(room.members.has('guest')).toBe(false);
+        });
+
+        it('closes the room when the host leaves', () => {
+            const stream = createEventStream();
+            rooms.addChatRoomClient(room, 'guest', stream);
+            rooms.leaveChatRoom(room, 'host');
+
+            expect(rooms.getChatRoom(room.id)).toBeNull();
+            expect(stream.events.at(-1)).toEqual({ event: 'closed', data: { id: room.id } });
+            expect(stream.end).toHaveBeenCalled();
+            stream.emit('close');
+        });
+
+        it('sends the state and the changes to connected members', () => {
+            const stream = createEventStream();
+            rooms.addChatRoomClient(room, 'guest', stream);
+
+            expect(stream.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+            expect(stream.events[0]).toMatchObject({ event: 'state', data: { revision: 1, messages: [HEADER, expect.anything(), expect.anything()] } });
+            expect(stream.events[1].data.members[1]).toMatchObject({ handle: 'guest', online: true });
+
+            rooms.setChatRoomStream(room, { name: 'Alice', text: 'Wel' });
+            rooms.appendChatRoomMessage(room, message('Alice', 'Welcome!'), 'host');
+
+            expect(stream.events.slice(2).map(x => x.event)).toEqual(['stream', 'chat']);
+            expect(stream.events.at(-1).data).toMatchObject({ revision: 2, author: 'host' });
+            expect(room.stream).toBeNull();
+
+            stream.emit('close');
+            expect(rooms.getChatRoomInfo(room).members[1].online).toBe(false);
+        });
+    });
+
+    describe('mergeChatRoomLines', () => {
+        it('appends the new messages of the host after the messages of other members', () => {
+            rooms.appendChatRoomMessage(room, message('Guesty', 'Me too!'), 'guest');
+
+            const saved = [HEADER, message('Alice', 'Hello!'), message('Host', 'Hi!'), message('Alice', 'How are you?')];
+            const { lines, appended } = rooms.mergeChatRoomLines(room, 1, saved);
+            rooms.commitChatRoomMerge(room, lines, appended);
+
+            expect(appended).toEqual([message('Alice', 'How are you?')]);
+            expect(getTexts()).toEqual(['Hello!', 'Hi!', 'Me too!', 'How are you?']);
+            expect(room.revision).toBe(3);
+        });
+
+        it('applies edits and deletions of lines the other members did not change', () => {
+            rooms.appendChatRoomMessage(room, message('Alice', 'Anyone there?'), 'host');
+            rooms.appendChatRoomMessage(room, message('Guesty', 'Yes!'), 'guest');
+
+            // The host edited the first message and deleted the last one before the guest replied
+            const saved = [HEADER, message('Alice', 'Hello there!'), message('Host', 'Hi!')];
+            const { lines } = rooms.mergeChatRoomLines(room, 2, saved);
+            rooms.commitChatRoomMerge(room, lines, []);
+
+            expect(getTexts()).toEqual(['Hello there!', 'Hi!', 'Yes!']);
+        });
+
+        it('accepts the same edit made by another member', () => {
+            const edited = [HEADER, message('Alice', 'Hello!'), message('Host', 'Hi, Alice!')];
+            rooms.commitChatRoomMerge(room, rooms.mergeChatRoomLines(room, 1, edited).lines, []);
+
+            expect(rooms.mergeChatRoomLines(room, 1, edited).lines).toEqual(room.lines);
+        });
+
+        it('rejects conflicting edits and deletions', () => {
+            const edited = [HEADER, message('Alice', 'Hello!'), message('Host', 'Hi, Alice!')];
+            rooms.commitChatRoomMerge(room, rooms.mergeChatRoomLines(room, 1, edited).lines, []);
+
+            expect(rooms.mergeChatRoomLines(room, 1, [HEADER, message('Alice', 'Hello!'), message('Host', 'Hey!')])).toBeNull();
+            expect(rooms.mergeChatRoomLines(room, 1, [HEADER, message('Alice', 'Hello!')])).toBeNull();
+        });
+
+        it('rejects saves based on revisions that are no longer kept', () => {
+            for (let i = 0; i < 25; i++) {
+                rooms.appendChatRoomMessage(room, message('Alice', `Message ${i}`), 'host');
+            }
+
+            expect(room.snapshots.size).toBe(20);
+            expect(rooms.mergeChatRoomLines(room, 1, [HEADER])).toBeNull();
+            expect(rooms.mergeChatRoomLines(room, room.revision, rooms.getChatRoomMessages(room))).not.toBeNull();
+        });
+
+        it('passes the turn only when the host posted as a user', () => {
+            const saved = [...rooms.getChatRoomMessages(room), message('Alice', 'Reply')];
+            let merged = rooms.mergeChatRoomLines(room, 1, saved);
+            rooms.commitChatRoomMerge(room, merged.lines, merged.appended);
+            expect(room.turn).toBe('host');
+
+            merged = rooms.mergeChatRoomLines(room, 2, [...saved, message('Host', 'Next')]);
+            rooms.commitChatRoomMerge(room, merged.lines, merged.appended);
+            expect(room.turn).toBe('guest');
+        });
+    });
+});
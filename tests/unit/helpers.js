@@ -0,0 +1,36 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Creates a temporary working directory with a config file and switches to it.
+ * Server modules read the config from the working directory, so import them after calling this.
+ * @param {string} [config] Contents of config.yaml
+ * @returns {string} Path to the directory
+ */
+export function useTempDirectory(config = '{}') {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'st-test-'));
+    fs.writeFileSync(path.join(directory, 'config.yaml'), config);
+    process.chdir(directory);
+    return directory;
+}
+
+/**
+ * Removes a temporary directory created by useTempDirectory.
+ * @param {string} directory Path to the directory
+ */
+export function removeTempDirectory(directory) {
+    process.chdir(os.tmpdir());
+    fs.rmSync(directory, { recursive: true, force: true });
+}
+
+/**
+ * Writes a chat file in the JSONL format.
+ * @param {string} filePath Path to the chat file
+ * @param {object[]} messages Chat messages, without the header
+ */
+export function writeChatFile(filePath, messages) {
+    const header = { user_name: 'User', character_name: 'Alice', chat_metadata: {} };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [header, ...messages].map(x => JSON.stringify(x)).join('\n'));
+}
@@ -0,0 +1,125 @@
+import { JinjaError, JinjaTemplate, TemplateException } from '../../public/scripts/jinja.js';
+
+/**
+ * Renders a template.
+ * @param {string} source Template source
+ * @param {Record<string, any>} [context] Template variables
+ * @returns {string} Rendered text
+ */
+function render(source, context = {}) {
+    return new JinjaTemplate(source).render(context);
+}
+
+const MESSAGES = [
+    { role: 'system', content: 'You are helpful.' },
+    { role: 'user', content: 'Hi!' },
+    { role: 'assistant', content: 'Hello.' },
+    { role: 'user', content: 'How are you?' },
+];
+
+describe('JinjaTemplate', () => {
+    describe('chat templates', () => {
+        it('renders a ChatML template', () => {
+            const source = '{% for message in messages %}{{\'<|im_start|>\' + message[\'role\'] + \'\\n\' + message[\'content\'] + \'<|im_end|>\' + \'\\n\'}}{% endfor %}{% if add_generation_prompt %}{{ \'<|im_start|>assistant\\n\' }}{% endif %}';
+
+            expect(render(source, { messages: MESSAGES.slice(0, 2), add_generation_prompt: true })).toBe(
+                '<|im_start|>system\nYou are helpful.<|im_end|>\n<|im_start|>user\nHi!<|im_end|>\n<|im_start|>assistant\n',
+            );
+        });
+
+        it('renders a Llama 3 template with loop variables and trim filters', () => {
+            const source = '{% set loop_messages = messages %}{% for message in loop_messages %}{% set content = \'<|start_header_id|>\' + message[\'role\'] + \'<|end_header_id|>\n\n\'+ message[\'content\'] | trim + \'<|eot_id|>\' %}{% if loop.index0 == 0 %}{% set content = bos_token + content %}{% endif %}{{ content }}{% endfor %}{% if add_generation_prompt %}{{ \'<|start_header_id|>assistant<|end_header_id|>\n\n\' }}{% endif %}';
+
+            expect(render(source, { messages: MESSAGES.slice(1, 3), bos_token: '<|begin_of_text|>', add_generation_prompt: true })).toBe(
+                '<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\nHi!<|eot_id|>' +
+                '<|start_header_id|>assistant<|end_header_id|>\n\nHello.<|eot_id|>' +
+                '<|start_header_id|>assistant<|end_header_id|>\n\n',
+            );
+        });
+
+        it('renders a Mistral template that checks the role order', () => {
+            const source = '{{ bos_token }}{% for message in messages %}{% if (message[\'role\'] == \'user\') != (loop.index0 % 2 == 0) %}{{ raise_exception(\'Conversation roles must alternate user/assistant/user/assistant/...\') }}{% endif %}{% if message[\'role\'] == \'user\' %}{{ \'[INST] \' + message[\'content\'] + \' [/INST]\' }}{% elif message[\'role\'] == \'assistant\' %}{{ message[\'content\'] + eos_token}}{% else %}{{ raise_exception(\'Only user and assistant roles are supported!\') }}{% endif %}{% endfor %}';
+            const context = { bos_token: '<s>', eos_token: '</s>' };
+
+            expect(render(source, { ...context, messages: MESSAGES.slice(1) })).toBe('<s>[INST] Hi! [/INST]Hello.</s>[INST] How are you? [/INST]');
+            expect(() => render(source, { ...context, messages: [MESSAGES[1], { role: 'tool', content: '{}' }] })).toThrow('Only user and assistant roles are supported!');
+            expect(() => render(source, { ...context, messages: [MESSAGES[2]] })).toThrow(TemplateException);
+            expect(() => render(source, { ...context, messages: [MESSAGES[2]] })).toThrow('Conversation roles must alternate');
+        });
+
+        it('does not modify the messages passed to the template', () => {
+            const messages = [{ role: 'user', content: 'Hi!' }];
+            render('{% set messages = [] %}{% for m in messages %}{{ m.content }}{% endfor %}', { messages });
+            expect(messages).toEqual([{ role: 'user', content: 'Hi!' }]);
+        });
+    });
+
+    describe('statements', () => {
+        it('strips the first newline after blocks and the whitespace before them', () => {
+            expect(render('a\n    {% if true %}\n    b\n    {% endif %}\nc')).toBe('a\n    b\nc');
+            expect(render('a  {{- " b " -}}  c')).toBe('a b c');
+            expect(render('a{# comment #}b')).toBe('ab');
+        });
+
+        it('assigns namespace attributes from loops', () => {
+            const source = '{% set ns = namespace(count=0, last=none) %}{% for m in messages %}{% if m.role == "user" %}{% set ns.count = ns.count + 1 %}{% set ns.last = loop.index0 %}{% endif %}{% endfor %}{{ ns.count }}/{{ ns.last }}';
+            expect(render(source, { messages: MESSAGES })).toBe('2/3');
+        });
+
+        it('does not leak variables set in loops', () => {
+            expect(render('{% set x = 1 %}{% for i in range(3) %}{% set x = i %}{% endfor %}{{ x }}')).toBe('1');
+        });
+
+        it('supports break, continue, loop filters and else', () => {
+            expect(render('{% for i in range(10) %}{% if i == 1 %}{% continue %}{% endif %}{% if i > 3 %}{% break %}{% endif %}{{ i }}{% endfor %}')).toBe('023');
+            expect(render('{% for i in range(5) if i is odd %}{{ i }}{{ "," if not loop.last }}{% endfor %}')).toBe('1,3');
+            expect(render('{% for i in [] %}{{ i }}{% else %}empty{% endfor %}')).toBe('empty');
+        });
+
+        it('supports macros with default arguments', () => {
+            expect(render('{% macro tag(name, close=false) %}<{{ "/" if close }}{{ name }}>{% endmacro %}{{ tag("b") }}x{{ tag("b", close=true) }}')).toBe('<b>x</b>');
+        });
+
+        it('supports set blocks and filter blocks', () => {
+            expect(render('{% set text %}Hello {{ name }}{% endset %}{{ text | upper }}', { name: 'Ann' })).toBe('HELLO ANN');
+            expect(render('{% filter lower %}ABC{% endfilter %}')).toBe('abc');
+        });
+    });
+
+    describe('expressions', () => {
+        it.each([
+            ['{{ 7 // 2 }}|{{ 7 % 3 }}|{{ 2 ** 3 }}|{{ 7 / 2 }}', '3|1|8|3.5'],
+            ['{{ "a" ~ 1 ~ none }}', 'a1None'],
+            ['{{ [1, 2, 3][1:] }}|{{ "hello"[::-1] }}|{{ [1, 2, 3][-1] }}', '[2, 3]|olleh|3'],
+            ['{{ true }}|{{ none }}|{{ {"a": 1} }}', 'True|None|{\'a\': 1}'],
+            ['{{ "yes" if 1 in [1, 2] else "no" }}|{{ "x" not in "abc" }}', 'yes|True'],
+            ['{{ messages | selectattr("role", "equalto", "user") | map(attribute="content") | join(", ") }}', 'Hi!, How are you?'],
+            ['{{ messages | length }}|{{ messages | first | attr("role") }}|{{ messages | rejectattr("role", "eq", "user") | list | length }}', '4|system|2'],
+            ['{{ "  a b  " | trim | title }}|{{ "x" | default("y") }}|{{ missing | default("y") }}', 'A B|x|y'],
+            ['{% for k, v in {"b": 2, "a": 1} | dictsort %}{{ k }}={{ v }};{% endfor %}|{{ {"a": [1, "x"]} | tojson }}', 'a=1;b=2;|{"a": [1, "x"]}'],
+            ['{{ "a,b".split(",") }}|{{ "Hi".startswith("H") }}|{{ " x ".strip() }}|{{ {"k": 1}.get("z", 2) }}', '[\'a\', \'b\']|True|x|2'],
+            ['{{ messages[0].content is string }}|{{ missing is defined }}|{{ 4 is divisibleby 2 }}', 'True|False|True'],
+        ])('renders %s', (source, expected) => {
+            expect(render(source, { messages: MESSAGES })).toBe(expected);
+        });
+
+        it('renders undefined variables and attributes as empty text', () => {
+            expect(render('[{{ missing }}{{ messages[0].missing }}]', { messages: MESSAGES })).toBe('[]');
+        });
+    });
+
+    describe('errors', () => {
+        it.each([
+            ['{% if true %}a'],
+            ['{% for x in %}{% endfor %}'],
+            ['{{ 1 + }}'],
+            ['{% unknown %}'],
+        ])('rejects the invalid template %s', (source) => {
+            expect(() => new JinjaTemplate(source)).toThrow(JinjaError);
+        });
+
+        it('rejects unknown filters', () => {
+            expect(() => render('{{ "a" | frobnicate }}')).toThrow(JinjaError);
+        });
+    });
+});
@@ -0,0 +1,266 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import path from 'node:path';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+const CLIENT_ID = 'tavern';
+const CLIENT_SECRET = 'client-secret';
+const REQUEST = { protocol: 'http', get: () => 'localhost:8000' };
+
+/**
+ * Identity provider that serves the discovery document, the key set, the token and the user info endpoints.
+ * The token endpoint returns an ID token with the claims and the key set by the test.
+ */
+class MockIdentityProvider {
+    keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    /** @type {crypto.KeyObject} */
+    signingKey = this.keyPair.privateKey;
+    /** @type {Record<string, any>} */
+    claims = {};
+    /** @type {Record<string, any>} */
+    userInfo = {};
+    /** @type {{ authorization: string, body: URLSearchParams }[]} */
+    tokenRequests = [];
+    /** Nonce of the current login, read by the tests from the authorization URL */
+    nonce = '';
+    server = http.createServer((request, response) => this.handle(request, response));
+    issuer = '';
+
+    /**
+     * Starts the server on a random port.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve()));
+        this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Stops the server.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Signs an ID token with the current claims.
+     * @param {string} nonce Nonce of the login
+     * @returns {string} ID token
+     */
+    createIdToken(nonce) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = { alg: 'RS256', kid: 'test-key', typ: 'JWT' };
+        const payload = { iss: this.issuer, aud: CLIENT_ID, iat: now, exp: now + 300, nonce, ...this.claims };
+        const data = [header, payload].map(x => Buffer.from(JSON.stringify(x)).toString('base64url')).join('.');
+        const signature = crypto.sign('sha256', Buffer.from(data), this.signingKey).toString('base64url');
+        return `${data}.${signature}`;
+    }
+
+    /**
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    async handle(request, response) {
+        const send = (status, body) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+
+        switch (request.url) {
+            case '/.well-known/openid-configuration':
+                return send(200, {
+                    issuer: this.issuer,
+                    authorization_endpoint: `${this.issuer}/authorize`,
+                    token_endpoint: `${this.issuer}/token`,
+                    userinfo_endpoint: `${this.issuer}/userinfo`,
+                    jwks_uri: `${this.issuer}/jwks`,
+                });
+            case '/jwks': {
+                const jwk = this.keyPair.publicKey.export({ format: 'jwk' });
+                return send(200, { keys: [{ ...jwk, kid: 'test-key', alg: 'RS256', use: 'sig' }] });
+            }
+            case '/token': {
+                let text = '';
+                for await (const chunk of request) {
+                    text += chunk;
+                }
+                const body = new URLSearchParams(text);
+                this.tokenRequests.push({ authorization: request.headers.authorization, body });
+                if (body.get('code') !== 'valid-code') {
+                    return send(400, { error: 'invalid_grant' });
+                }
+                return send(200, { id_token: this.createIdToken(this.nonce), access_token: 'access-token', token_type: 'Bearer' });
+            }
+            case '/userinfo':
+                if (request.headers.authorization !== 'Bearer access-token') {
+                    return send(401, { error: 'invalid_token' });
+                }
+                return send(200, this.userInfo);
+            default:
+                return send(404, { error: 'not_found' });
+        }
+    }
+}
+
+describe('OIDC', () => {
+    const idp = new MockIdentityProvider();
+    let directory;
+    let oidc;
+    let users;
+    let storage;
+
+    /**
+     * Logs in with the identity provider, which returns the given claims.
+     * @param {Record<string, any>} claims Claims of the ID token
+     * @param {Record<string, any>} [userInfo] User info response
+     * @returns {Promise<Record<string, any>>} Verified claims
+     */
+    async function login(claims, userInfo = {}) {
+        const { url, state } = await oidc.beginOidcLogin(REQUEST);
+        idp.nonce = new URL(url).searchParams.get('nonce');
+        idp.claims = claims;
+        idp.userInfo = userInfo;
+        return await oidc.completeOidcLogin(state, 'valid-code');
+    }
+
+    beforeAll(async () => {
+        await idp.start();
+        directory = useTempDirectory([
+            'enableUserAccounts: true',
+            'skipContentCheck: true',
+            'auditLog:',
+            '  enabled: false',
+            'oidc:',
+            '  enabled: true',
+            `  discoveryUrl: ${idp.issuer}`,
+            `  clientId: ${CLIENT_ID}`,
+            `  clientSecret: ${CLIENT_SECRET}`,
+            '  autoProvision: true',
+            '  adminGroups: [admins]',
+            '  users:',
+            '    frank-subject: frank',
+            '    grace-subject: grace',
+        ].join('\n'));
+        oidc = await import('../../src/oidc.js');
+        users = await import('../../src/users.js');
+        storage = (await import('node-persist')).default;
+        await users.initUserStorage(path.join(directory, 'data'));
+    });
+
+    afterAll(async () => {
+        await idp.stop();
+        removeTempDirectory(directory);
+    });
+
+    describe('login', () => {
+        it('sends the user to the identity provider with PKCE', async () => {
+            expect(oidc.isOidcEnabled()).toBe(true);
+
+            const { url, state } = await oidc.beginOidcLogin(REQUEST);
+            const params = new URL(url).searchParams;
+
+            expect(url.startsWith(`${idp.issuer}/authorize?`)).toBe(true);
+            expect(params.get('state')).toBe(state);
+            expect(params.get('client_id')).toBe(CLIENT_ID);
+            expect(params.get('redirect_uri')).toBe(`http://localhost:8000${oidc.OIDC_CALLBACK_PATH}`);
+            expect(params.get('scope')).toBe('openid profile email');
+            expect(params.get('code_challenge_method')).toBe('S256');
+            expect(params.get('nonce')).toBeTruthy();
+        });
+
+        it('exchanges the code and merges the user info with the verified claims', async () => {
+            idp.tokenRequests = [];
+            const claims = await login({ sub: 'user-1', preferred_username: 'alice' }, { sub: 'user-1', groups: ['admins'], preferred_username: 'mallory' });
+
+            expect(claims).toMatchObject({ sub: 'user-1', preferred_username: 'alice', groups: ['admins'], iss: idp.issuer });
+
+            const [{ authorization, body }] = idp.tokenRequests;
+            expect(authorization).toBe(`Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`);
+            expect(body.get('grant_type')).toBe('authorization_code');
+            expect(body.get('code_verifier')).toBeTruthy();
+        });
+
+        it('ignores user info of another subject', async () => {
+            const claims = await login({ sub: 'user-1' }, { sub: 'user-2', groups: ['admins'] });
+            expect(claims.groups).toBeUndefined();
+        });
+
+        it('accepts each state once', async () => {
+            const { state } = await oidc.beginOidcLogin(REQUEST);
+            await expect(oidc.completeOidcLogin(state, 'wrong-code')).rejects.toThrow('returned 400');
+            await expect(oidc.completeOidcLogin(state, 'valid-code')).rejects.toThrow('Login has expired');
+        });
+
+        it('rejects ID tokens signed with another key', async () => {
+            idp.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+            try {
+                await expect(login({ sub: 'user-1' })).rejects.toThrow('ID token signature is invalid');
+            } finally {
+                idp.signingKey = idp.keyPair.privateKey;
+            }
+        });
+
+        it.each([
+            ['issued by another provider', { iss: 'https://evil.example' }, 'issued by another provider'],
+            ['issued for another client', { aud: 'another-client' }, 'issued for another client'],
+            ['that expired', { exp: Math.floor(Date.now() / 1000) - 3600 }, 'has expired'],
+            ['of another login', { nonce: 'another-nonce' }, 'does not belong to this login'],
+            ['without a subject', { sub: '' }, 'has no subject'],
+        ])('rejects ID tokens %s', async (_name, claims, message) => {
+            await expect(login({ sub: 'user-1', ...claims })).rejects.toThrow(message);
+        });
+    });
+
+    describe('getOidcUser', () => {
+        /**
+         * Saves a user with a password.
+         * @param {string} handle User handle
+         * @param {object} [props] Additional properties
+         */
+        async function createUser(handle, props = {}) {
+            const salt = users.getPasswordSalt();
+            await storage.setItem(users.toKey(handle), {
+                handle, name: handle, created: Date.now(), password: users.getPasswordHash('password', salt), salt, admin: false, enabled: true, ...props,
+            });
+        }
+
+        it('creates new users without a usable password', async () => {
+            const user = await oidc.getOidcUser({ iss: idp.issuer, sub: 'eve-subject', preferred_username: 'Eve Smith', groups: ['admins'] });
+
+            expect(user).toMatchObject({ handle: 'eve-smith', name: 'eve-smith', ssoOnly: true, admin: true, oidc: { issuer: idp.issuer, subject: 'eve-subject' } });
+            expect(user.password).not.toBe(users.getPasswordHash('', user.salt));
+            expect(oidc.isSsoOnlyUser(user)).toBe(true);
+
+            const again = await oidc.getOidcUser({ iss: idp.issuer, sub: 'eve-subject', preferred_username: 'renamed' });
+            expect(again.handle).toBe('eve-smith');
+            expect(again.admin).toBe(false);
+        });
+
+        it('does not link existing accounts by user name', async () => {
+            await createUser('henry');
+            await expect(oidc.getOidcUser({ iss: idp.issuer, sub: 'henry-subject', preferred_username: 'henry' })).rejects.toThrow('already exists');
+            expect((await storage.getItem(users.toKey('henry'))).oidc).toBeUndefined();
+        });
+
+        it('links existing accounts assigned to the subject by an admin', async () => {
+            await createUser('frank');
+            const user = await oidc.getOidcUser({ iss: idp.issuer, sub: 'frank-subject', preferred_username: 'someone-else' });
+
+            expect(user.handle).toBe('frank');
+            expect(user.oidc).toEqual({ issuer: idp.issuer, subject: 'frank-subject' });
+            expect(oidc.isSsoOnlyUser(user)).toBe(false);
+        });
+
+        it('does not relink accounts linked to another identity', async () => {
+            await createUser('grace', { oidc: { issuer: 'https://other.example', subject: 'grace-subject' } });
+            await expect(oidc.getOidcUser({ iss: idp.issuer, sub: 'grace-subject' })).rejects.toThrow('linked to another identity');
+        });
+
+        it('treats linked accounts without a password as single sign-on only', () => {
+            expect(oidc.isSsoOnlyUser({ handle: 'legacy', password: '', oidc: { issuer: idp.issuer, subject: 'legacy' } })).toBe(true);
+            expect(oidc.isSsoOnlyUser({ handle: 'local', password: '' })).toBe(false);
+        });
+    });
+});
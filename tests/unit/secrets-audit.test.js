@@ -0,0 +1,44 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+describe('secrets audit log', () => {
+    let directory;
+    let directories;
+    let vault;
+
+    const auditPath = () => path.join(directories.root, 'secrets-audit.jsonl');
+
+    beforeAll(async () => {
+        directory = useTempDirectory('secrets:\n  auditLog: true\n');
+        directories = { root: path.join(directory, 'user') };
+        fs.mkdirSync(directories.root);
+        vault = await import('../../src/secrets-vault.js');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    it('writes the reads in the background and returns them newest first', async () => {
+        vault.auditSecretRead(directories, 'api_key_openai');
+        vault.auditSecretRead(directories, 'api_key_claude');
+        vault.auditSecretRead(directories, 'csrfSecret');
+        expect(fs.existsSync(auditPath())).toBe(false);
+
+        const entries = await vault.readSecretsAudit(directories);
+        expect(entries.map(x => x.key)).toEqual(['api_key_claude', 'api_key_openai']);
+        expect(entries[0]).toMatchObject({ endpoint: 'server' });
+        expect(fs.readFileSync(auditPath(), 'utf-8').trim().split('\n')).toHaveLength(2);
+    });
+
+    it('filters and limits the entries', async () => {
+        for (let i = 0; i < 3; i++) {
+            vault.auditSecretRead(directories, 'api_key_openai');
+        }
+
+        expect(await vault.readSecretsAudit(directories, { key: 'api_key_openai' })).toHaveLength(4);
+        expect(await vault.readSecretsAudit(directories, { limit: 2 })).toHaveLength(2);
+        expect(await vault.readSecretsAudit(directories, { key: 'api_key_claude' })).toHaveLength(1);
+    });
+});
@@ -0,0 +1,116 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+describe('secrets vault', () => {
+    let directory;
+    let directories;
+    let vault;
+
+    const secretsPath = () => path.join(directories.root, 'secrets.json');
+    const readFile = () => JSON.parse(fs.readFileSync(secretsPath(), 'utf-8'));
+
+    beforeAll(async () => {
+        directory = useTempDirectory('secrets:\n  encryption: true\n  auditLog: false\n');
+        directories = { root: path.join(directory, 'user') };
+        fs.mkdirSync(directories.root);
+        vault = await import('../../src/secrets-vault.js');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    it('migrates a plaintext secrets file to a vault on load', () => {
+        fs.writeFileSync(secretsPath(), JSON.stringify({ api_key_openai: 'sk-plain', csrfSecret: 'csrf' }));
+
+        const snapshot = vault.loadSecrets(directories);
+        expect(snapshot).toEqual({ secrets: { api_key_openai: 'sk-plain', csrfSecret: 'csrf' }, keys: ['api_key_openai', 'csrfSecret'], locked: false });
+
+        const contents = readFile();
+        expect(contents).toMatchObject({ vault: 1, keys: ['api_key_openai'], plain: { csrfSecret: 'csrf' } });
+        expect(Object.keys(contents.slots)).toEqual(['server']);
+        expect(fs.readFileSync(secretsPath(), 'utf-8')).not.toContain('sk-plain');
+        expect(fs.existsSync(path.join(directory, 'secrets.key'))).toBe(true);
+    });
+
+    it('encrypts stored secrets and decrypts them again', () => {
+        vault.storeSecret(directories, 'api_key_claude', 'sk-ant');
+        vault.storeSecret(directories, 'api_key_openai', undefined);
+
+        expect(fs.readFileSync(secretsPath(), 'utf-8')).not.toContain('sk-ant');
+        expect(vault.loadSecrets(directories).secrets).toEqual({ api_key_claude: 'sk-ant', csrfSecret: 'csrf' });
+    });
+
+    it('rejects a vault that was tampered with', () => {
+        const original = fs.readFileSync(secretsPath(), 'utf-8');
+        const contents = readFile();
+        const data = Buffer.from(contents.data, 'base64');
+        data[0] ^= 1;
+        fs.writeFileSync(secretsPath(), JSON.stringify({ ...contents, data: data.toString('base64') }));
+
+        const snapshot = vault.loadSecrets(directories);
+        expect(snapshot.locked).toBe(true);
+        expect(snapshot.secrets).toEqual({ csrfSecret: 'csrf' });
+
+        fs.writeFileSync(secretsPath(), original);
+        expect(vault.loadSecrets(directories).locked).toBe(false);
+    });
+
+    it('locks a passphrase vault when the last unlocking session ends', async () => {
+        await vault.setSecretsPassphrase(directories, 'correct horse', 'session-a');
+        expect(Object.keys(readFile().slots)).toEqual(['passphrase']);
+        expect(vault.getSecretsStatus(directories)).toEqual({ encrypted: true, passphrase: true, locked: false });
+
+        expect(await vault.unlockSecrets(directories, 'correct horse', 'session-b')).toBe(true);
+        vault.lockSecrets(directories, 'session-a', ['session-b']);
+        expect(vault.getSecretsStatus(directories).locked).toBe(false);
+
+        vault.lockSecrets(directories, 'session-b', []);
+        expect(vault.getSecretsStatus(directories).locked).toBe(true);
+        expect(vault.loadSecrets(directories)).toEqual({ secrets: { csrfSecret: 'csrf' }, keys: ['api_key_claude', 'csrfSecret'], locked: true });
+        expect(() => vault.storeSecret(directories, 'api_key_claude', 'sk-new')).toThrow('locked');
+    });
+
+    it('drops unlocks of sessions that are no longer active', async () => {
+        expect(await vault.unlockSecrets(directories, 'correct horse', 'session-c')).toBe(true);
+        vault.lockSecrets(directories, null, ['session-d']);
+        expect(vault.getSecretsStatus(directories).locked).toBe(true);
+    });
+
+    it('unlocks only with the right passphrase', async () => {
+        expect(await vault.unlockSecrets(directories, 'wrong horse', 'session-a')).toBe(false);
+        expect(vault.getSecretsStatus(directories).locked).toBe(true);
+        expect(await vault.unlockSecrets(directories, 'correct horse', 'session-a')).toBe(true);
+        expect(vault.loadSecrets(directories).secrets.api_key_claude).toBe('sk-ant');
+    });
+
+    it('changes the passphrase', async () => {
+        expect(await vault.changeSecretsPassphrase(directories, 'wrong horse', 'battery staple')).toBe(false);
+        expect(await vault.changeSecretsPassphrase(directories, 'correct horse', 'battery staple')).toBe(true);
+
+        vault.lockSecrets(directories, 'session-a', []);
+        expect(await vault.unlockSecrets(directories, 'correct horse', 'session-a')).toBe(false);
+        expect(await vault.unlockSecrets(directories, 'battery staple', 'session-a')).toBe(true);
+    });
+
+    it('checks the passphrase without unlocking the vault', async () => {
+        vault.lockSecrets(directories, 'session-a', []);
+
+        expect(await vault.verifySecretsPassphrase(directories, 'correct horse')).toBe(false);
+        expect(await vault.verifySecretsPassphrase(directories, undefined)).toBe(false);
+        expect(await vault.verifySecretsPassphrase(directories, 'battery staple')).toBe(true);
+        expect(vault.getSecretsStatus(directories).locked).toBe(true);
+
+        expect(await vault.unlockSecrets(directories, 'battery staple', 'session-a')).toBe(true);
+    });
+
+    it('goes back to the server key when the passphrase is removed', () => {
+        vault.removeSecretsPassphrase(directories);
+        expect(Object.keys(readFile().slots)).toEqual(['server']);
+
+        vault.lockSecrets(directories, 'session-a', []);
+        expect(vault.getSecretsStatus(directories)).toEqual({ encrypted: true, passphrase: false, locked: false });
+        expect(vault.loadSecrets(directories).secrets.api_key_claude).toBe('sk-ant');
+    });
+});
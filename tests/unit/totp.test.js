@@ -0,0 +1,111 @@
+import crypto from 'node:crypto';
+import { jest } from '@jest/globals';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+describe('TOTP', () => {
+    let directory;
+    let totp;
+
+    beforeAll(async () => {
+        directory = useTempDirectory('twoFactorAuth:\n  issuer: Test Tavern\n');
+        totp = await import('../../src/totp.js');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('verifyTotp', () => {
+        it('matches the RFC 6238 test vectors', () => {
+            jest.useFakeTimers({ now: 59 * 1000 });
+            expect(totp.verifyTotp(RFC_SECRET, '287082')).toBe(1);
+
+            jest.setSystemTime(1111111109 * 1000);
+            expect(totp.verifyTotp(RFC_SECRET, '081 804')).toBe(37037036);
+        });
+
+        it('accepts codes from the neighboring time steps only', () => {
+            jest.useFakeTimers({ now: 59 * 1000 + 30 * 1000 });
+            expect(totp.verifyTotp(RFC_SECRET, '287082')).toBe(1);
+
+            jest.setSystemTime(59 * 1000 + 60 * 1000);
+            expect(totp.verifyTotp(RFC_SECRET, '287082')).toBeNull();
+        });
+
+        it('rejects reused and malformed codes', () => {
+            jest.useFakeTimers({ now: 59 * 1000 });
+            expect(totp.verifyTotp(RFC_SECRET, '287082', 1)).toBeNull();
+            expect(totp.verifyTotp(RFC_SECRET, '28708')).toBeNull();
+            expect(totp.verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+            expect(totp.verifyTotp(RFC_SECRET, undefined)).toBeNull();
+        });
+    });
+
+    describe('setup and second factor', () => {
+        /**
+         * Computes the current code of a secret.
+         * @param {string} secret Base32 secret
+         * @returns {string} Current code
+         */
+        function getCurrentCode(secret) {
+            const bits = secret.split('').map(c => BASE32_ALPHABET.indexOf(c).toString(2).padStart(5, '0')).join('');
+            const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+            const counter = Buffer.alloc(8);
+            counter.writeUInt32BE(Math.floor(Date.now() / 30000), 4);
+            const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+            const offset = hmac[hmac.length - 1] & 0xf;
+            return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+        }
+
+        it('offers the same secret until the setup is completed', () => {
+            const first = totp.beginTotpSetup('alice');
+            const second = totp.beginTotpSetup('alice');
+
+            expect(second.secret).toBe(first.secret);
+            expect(first.secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(first.uri).toBe(`otpauth://totp/Test%20Tavern%3Aalice?secret=${first.secret}&issuer=Test+Tavern&algorithm=SHA1&digits=6&period=30`);
+            expect(totp.beginTotpSetup('bob').secret).not.toBe(first.secret);
+        });
+
+        it('enables two-factor authentication with a valid code and accepts each code and recovery code once', () => {
+            jest.useFakeTimers({ now: Date.UTC(2024, 4, 1, 12, 0, 10) });
+            const user = { handle: 'carol' };
+            const { secret } = totp.beginTotpSetup(user.handle);
+
+            const wrongCode = String((Number(getCurrentCode(secret)) + 1) % 1000000).padStart(6, '0');
+            expect(totp.completeTotpSetup(user, wrongCode)).toBeNull();
+
+            const setupCode = getCurrentCode(secret);
+            const recoveryCodes = totp.completeTotpSetup(user, setupCode);
+            expect(recoveryCodes).toHaveLength(10);
+            expect(user.totp).toMatchObject({ secret, lastCounter: Math.floor(Date.now() / 30000) });
+            expect(user.totp.recoveryCodes).not.toContain(recoveryCodes[0]);
+
+            // The code used for the setup can't log in again
+            expect(totp.verifySecondFactor(user, setupCode)).toBe(false);
+
+            jest.setSystemTime(Date.now() + 30 * 1000);
+            const nextCode = getCurrentCode(secret);
+            expect(totp.verifySecondFactor(user, nextCode)).toBe(true);
+            expect(totp.verifySecondFactor(user, nextCode)).toBe(false);
+
+            expect(totp.verifySecondFactor(user, recoveryCodes[0].toUpperCase())).toBe(true);
+            expect(totp.verifySecondFactor(user, recoveryCodes[0])).toBe(false);
+            expect(user.totp.recoveryCodes).toHaveLength(9);
+        });
+
+        it('does not verify users without two-factor authentication', () => {
+            expect(totp.verifySecondFactor({ handle: 'dave' }, '123456')).toBe(false);
+            expect(totp.needsSecondFactor({ handle: 'dave' })).toBe(false);
+            expect(totp.needsSecondFactor({ handle: 'dave', totp: { enabled: 1 } })).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import { jest } from '@jest/globals';
+import { removeTempDirectory, useTempDirectory } from './helpers.js';
+
+/**
+ * Creates a response object of a generation endpoint.
+ * @returns {any} Response
+ */
+function createResponse() {
+    const response = Object.assign(new EventEmitter(), {
+        statusCode: 200,
+        body: null,
+        write: () => true,
+        end: (chunk) => {
+            response.body = chunk ?? response.body;
+            response.emit('close');
+        },
+        status: (code) => {
+            response.statusCode = code;
+            return response;
+        },
+        json: (body) => response.end(body),
+        sendStatus: (code) => response.status(code).end(),
+    });
+    return response;
+}
+
+describe('Generation quotas', () => {
+    let directory;
+    let quotas;
+    let storage;
+    let middleware;
+
+    /**
+     * Sends a request through the middleware.
+     * @param {object} user User profile
+     * @returns {Promise<{ response: any, next: jest.Mock }>} Response and the next function
+     */
+    async function send(user) {
+        const request = { user: { profile: user }, body: { messages: [{ role: 'user', content: 'Hello' }] } };
+        const response = createResponse();
+        const next = jest.fn();
+        await middleware(request, response, next);
+        return { response, next };
+    }
+
+    beforeAll(async () => {
+        directory = useTempDirectory('quotas:\n  enabled: true\n  requestsPerDay: 3\n');
+        quotas = await import('../../src/user-quotas.js');
+        storage = (await import('node-persist')).default;
+        global.DATA_ROOT = path.join(directory, 'data');
+        await storage.init({ dir: path.join(global.DATA_ROOT, '_storage') });
+        middleware = quotas.createGenerationQuotaMiddleware(() => 'openai');
+    });
+
+    afterAll(() => {
+        removeTempDirectory(directory);
+    });
+
+    it('counts concurrent requests before they finish', async () => {
+        const user = { handle: 'alice' };
+        const results = await Promise.all(Array.from({ length: 5 }, () => send(user)));
+
+        expect(results.filter(x => x.next.mock.calls.length)).toHaveLength(3);
+        expect(results.filter(x => x.response.statusCode === 429)).toHaveLength(2);
+        expect((await quotas.getUsageReport(user)).today.requests).toBe(3);
+    });
+
+    it('records the tokens when the response ends', async () => {
+        const user = { handle: 'bob' };
+        const { response } = await send(user);
+        response.end(JSON.stringify({ choices: [{ message: { content: 'Hi' } }], usage: { total_tokens: 42 } }));
+
+        await new Promise(resolve => setImmediate(resolve));
+        expect((await quotas.getUsageReport(user)).today).toEqual({ requests: 1, tokens: { openai: 42 } });
+    });
+
+    it('does not limit admins', async () => {
+        const results = await Promise.all(Array.from({ length: 5 }, () => send({ handle: 'carol', admin: true })));
+        expect(results.every(x => x.next.mock.calls.length === 1)).toBe(true);
+    });
+
+    it('rejects requests when the usage can\'t be read', async () => {
+        const getItem = jest.spyOn(storage, 'getItem').mockRejectedValue(new Error('Disk error'));
+        try {
+            const { response, next } = await send({ handle: 'dave' });
+            expect(next).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(500);
+        } finally {
+            getItem.mockRestore();
+        }
+    });
+});